@@ -2,13 +2,14 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const { initDb } = require('../shared/db');
+const { initDb, writeLock } = require('../shared/db');
 
 const app = express();
 const PORT = process.env.PORT || 0; // Replace 0 with your assigned port
 
 app.use(cors()); // Open CORS — intentional for local desktop use
 app.use(express.json());
+app.use(writeLock); // Writes wait for the shared database's write lock
 
 // Serve static UI build if present
 const uiPath = path.join(__dirname, 'ui', 'dist');
@@ -7,6 +7,7 @@
  * - Bill entry with GST line-level calculation
  * - Bill posting with auto journal entry creation
  * - Payment processing with auto JE + TDS entries
+ * - Foreign-currency bills with realized exchange gain/loss on payment
  * - Aging reports, vendor statements
  */
 
@@ -15,15 +16,21 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const { nextNumber, releaseNumber } = require('../shared/numbering');
 const { sendCSV } = require('../shared/csv-generator');
 const { sendPDF, sendLandscapePDF, addHeader, addTable, fmtCurrency, fmtDate } = require('../shared/pdf-generator');
+const forex = require('../shared/forex');
+const { initAuth, authMiddleware } = require('../shared/auth');
+const { checkPosting, requestOptions, lockedResponse } = require('../shared/posting-guard');
 
 const app = express();
 const PORT = process.env.PORT || 8856;
 
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
+app.use(writeLock);
+app.use(authMiddleware);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
@@ -170,13 +177,20 @@ app.get('/api/bills/:id', (req, res) => {
 });
 
 app.post('/api/bills', (req, res) => {
+  let allocatedNumber = null;
   try {
-    const { vendor_id, bill_number, bill_date, due_date, lines, notes, reference_number, po_number, is_interstate, itc_eligible, description } = req.body;
-    if (!vendor_id || !bill_number || !bill_date || !due_date || !lines?.length) {
-      return res.status(400).json({ success: false, error: 'vendor_id, bill_number, bill_date, due_date, lines required' });
+    const { vendor_id, bill_date, due_date, lines, notes, reference_number, po_number, is_interstate, itc_eligible, description, branch_id } = req.body;
+    if (!vendor_id || !bill_date || !due_date || !lines?.length) {
+      return res.status(400).json({ success: false, error: 'vendor_id, bill_date, due_date, lines required' });
     }
+    // Amounts are in the bill currency; exchange_rate is base units per unit of it
+    const currency = req.body.currency || forex.baseCurrency();
+    const exchangeRate = forex.isForeign(currency) ? (req.body.exchange_rate || forex.rateOn(currency, bill_date)) : 1;
+    if (!exchangeRate) return res.status(400).json({ success: false, error: `No exchange rate for ${currency} on ${bill_date}` });
 
     const id = uuidv4();
+    // The vendor's own invoice number belongs in reference_number; bill_number defaults to our series
+    const bill_number = req.body.bill_number || (allocatedNumber = nextNumber('bill', { date: bill_date, branch_id, document_id: id }));
     let subtotal = 0, totalCgst = 0, totalSgst = 0, totalIgst = 0, totalCess = 0;
     const interstate = is_interstate ? 1 : 0;
 
@@ -200,9 +214,9 @@ app.post('/api/bills', (req, res) => {
     const totalTax = totalCgst + totalSgst + totalIgst + totalCess;
     const totalAmount = subtotal + totalTax;
 
-    run(`INSERT INTO acc_bills (id, vendor_id, bill_number, bill_date, due_date, reference_number, po_number, description, notes, is_interstate, itc_eligible, subtotal, taxable_amount, cgst_amount, sgst_amount, igst_amount, cess_amount, total_tax, tax_amount, total_amount, balance_due, status)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft')`,
-      [id, vendor_id, bill_number, bill_date, due_date, reference_number || null, po_number || null, description || null, notes || null, interstate, itc_eligible !== false ? 1 : 0, subtotal, subtotal, totalCgst, totalSgst, totalIgst, totalCess, totalTax, totalTax, totalAmount, totalAmount]);
+    run(`INSERT INTO acc_bills (id, vendor_id, bill_number, bill_date, due_date, reference_number, po_number, description, notes, is_interstate, itc_eligible, subtotal, taxable_amount, cgst_amount, sgst_amount, igst_amount, cess_amount, total_tax, tax_amount, total_amount, balance_due, currency, exchange_rate, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft')`,
+      [id, vendor_id, bill_number, bill_date, due_date, reference_number || null, po_number || null, description || null, notes || null, interstate, itc_eligible !== false ? 1 : 0, subtotal, subtotal, totalCgst, totalSgst, totalIgst, totalCess, totalTax, totalTax, totalAmount, totalAmount, currency, exchangeRate]);
 
     for (let i = 0; i < lines.length; i++) {
       const l = lines[i];
@@ -229,6 +243,7 @@ app.post('/api/bills', (req, res) => {
 
     res.status(201).json({ success: true, data: get('SELECT * FROM acc_bills WHERE id = ?', [id]) });
   } catch (err) {
+    if (allocatedNumber) releaseNumber(allocatedNumber, err.message);
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -239,6 +254,8 @@ app.post('/api/bills/:id/post', (req, res) => {
     const bill = get('SELECT b.*, v.name as vendor_name FROM acc_bills b JOIN acc_vendors v ON b.vendor_id = v.id WHERE b.id = ?', [req.params.id]);
     if (!bill) return res.status(404).json({ success: false, error: 'Bill not found' });
     if (bill.status !== 'draft') return res.status(400).json({ success: false, error: 'Bill is already posted' });
+    const guard = checkPosting(bill.bill_date, requestOptions(req, 'accounts_payable', 'bill', bill.id));
+    if (!guard.allowed) return lockedResponse(res, guard);
 
     const apAccount = get("SELECT id FROM acc_accounts WHERE account_code = '2100'");
     if (!apAccount) return res.status(400).json({ success: false, error: 'Accounts Payable account (2100) not configured' });
@@ -247,33 +264,37 @@ app.post('/api/bills/:id/post', (req, res) => {
     const jeId = uuidv4();
     const count = get('SELECT COUNT(*) as cnt FROM acc_journal_entries');
     const entryNumber = `JE-BILL-${bill.bill_number}`;
+    // Foreign-currency bills are booked in base currency at the bill rate
+    const rate = bill.exchange_rate || 1;
+    const toBase = (amount) => rate === 1 ? amount : forex.round2(amount * rate);
+    const totalBase = toBase(bill.total_amount);
 
     run(`INSERT INTO acc_journal_entries (id, entry_number, entry_date, entry_type, description, reference_type, reference_id, source_document, total_debit, total_credit, status) VALUES (?, ?, ?, 'AP', ?, 'bill', ?, ?, ?, ?, 'posted')`,
-      [jeId, entryNumber, bill.bill_date, `Bill from ${bill.vendor_name}: ${bill.bill_number}`, req.params.id, bill.bill_number, bill.total_amount, bill.total_amount]);
+      [jeId, entryNumber, bill.bill_date, `Bill from ${bill.vendor_name}: ${bill.bill_number}`, req.params.id, bill.bill_number, totalBase, totalBase]);
 
     let lineNum = 1;
     for (const line of lines) {
       run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount, cost_center_id) VALUES (?, ?, ?, ?, ?, ?, 0, ?)`,
-        [uuidv4(), jeId, lineNum++, line.account_id, line.description, line.net_amount || line.amount, line.cost_center_id || null]);
+        [uuidv4(), jeId, lineNum++, line.account_id, line.description, toBase(line.net_amount || line.amount), line.cost_center_id || null]);
 
       // Input tax entries
       if ((line.cgst_amount || 0) > 0) {
         const acc = get("SELECT id FROM acc_accounts WHERE account_code = '1500'");
-        if (acc) run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, 'Input CGST', ?, 0)`, [uuidv4(), jeId, lineNum++, acc.id, line.cgst_amount]);
+        if (acc) run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, 'Input CGST', ?, 0)`, [uuidv4(), jeId, lineNum++, acc.id, toBase(line.cgst_amount)]);
       }
       if ((line.sgst_amount || 0) > 0) {
         const acc = get("SELECT id FROM acc_accounts WHERE account_code = '1501'");
-        if (acc) run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, 'Input SGST', ?, 0)`, [uuidv4(), jeId, lineNum++, acc.id, line.sgst_amount]);
+        if (acc) run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, 'Input SGST', ?, 0)`, [uuidv4(), jeId, lineNum++, acc.id, toBase(line.sgst_amount)]);
       }
       if ((line.igst_amount || 0) > 0) {
         const acc = get("SELECT id FROM acc_accounts WHERE account_code = '1502'");
-        if (acc) run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, 'Input IGST', ?, 0)`, [uuidv4(), jeId, lineNum++, acc.id, line.igst_amount]);
+        if (acc) run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, 'Input IGST', ?, 0)`, [uuidv4(), jeId, lineNum++, acc.id, toBase(line.igst_amount)]);
       }
     }
 
     // Credit AP
     run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, ?, 0, ?)`,
-      [uuidv4(), jeId, lineNum, apAccount.id, `Payable to ${bill.vendor_name}`, bill.total_amount]);
+      [uuidv4(), jeId, lineNum, apAccount.id, `Payable to ${bill.vendor_name}`, totalBase]);
 
     // Post JE -> update ledger
     const jeLines = query('SELECT * FROM acc_journal_lines WHERE journal_entry_id = ?', [jeId]);
@@ -310,11 +331,22 @@ app.post('/api/payments', (req, res) => {
     if (!bill) return res.status(404).json({ success: false, error: 'Bill not found' });
     if (bill.status === 'draft') return res.status(400).json({ success: false, error: 'Bill must be posted before payment' });
     if (d.amount > bill.balance_due) return res.status(400).json({ success: false, error: 'Payment exceeds balance due' });
+    const guard = checkPosting(d.payment_date, requestOptions(req, 'accounts_payable', 'bill_payment', bill.id));
+    if (!guard.allowed) return lockedResponse(res, guard);
+
+    // Foreign bills: amount is in bill currency, settled at the payment-date rate
+    const bookedRate = bill.exchange_rate || 1;
+    const foreign = forex.isForeign(bill.currency);
+    const settledRate = foreign ? (d.exchange_rate || forex.rateOn(bill.currency, d.payment_date)) : 1;
+    if (!settledRate) return res.status(400).json({ success: false, error: `No exchange rate for ${bill.currency} on ${d.payment_date}` });
+    const gainLoss = foreign ? forex.gainLoss('payable', d.amount, bookedRate, settledRate) : 0;
+    const fxAccount = gainLoss ? forex.forexAccount('realized') : null;
+    if (gainLoss && !fxAccount) return res.status(400).json({ success: false, error: `Realized forex gain/loss account (${forex.FOREX_ACCOUNT_CODES.realized}) not configured` });
 
     const paymentId = uuidv4();
-    run(`INSERT INTO acc_bill_payments (id, bill_id, payment_date, amount, payment_method, bank_account_id, reference, cheque_number, cheque_date, notes, tds_amount, tds_section, journal_entry_id)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL)`,
-      [paymentId, d.bill_id, d.payment_date, d.amount, d.payment_method || 'bank_transfer', d.bank_account_id || null, d.reference_number || d.reference || null, d.cheque_number || null, d.cheque_date || null, d.notes || null, d.tds_amount || 0, d.tds_section || null]);
+    run(`INSERT INTO acc_bill_payments (id, bill_id, payment_date, amount, payment_method, bank_account_id, reference, cheque_number, cheque_date, notes, tds_amount, tds_section, exchange_rate, forex_gain_loss, journal_entry_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL)`,
+      [paymentId, d.bill_id, d.payment_date, d.amount, d.payment_method || 'bank_transfer', d.bank_account_id || null, d.reference_number || d.reference || null, d.cheque_number || null, d.cheque_date || null, d.notes || null, d.tds_amount || 0, d.tds_section || null, settledRate, gainLoss]);
 
     const newBalance = bill.balance_due - d.amount;
     const newStatus = newBalance <= 0 ? 'paid' : 'partial';
@@ -327,15 +359,19 @@ app.post('/api/payments', (req, res) => {
       const bankAcc = get('SELECT account_id FROM acc_bank_accounts WHERE id = ?', [d.bank_account_id]);
       if (bankAcc && bankAcc.account_id) {
         const jeId = uuidv4();
-        const entryNumber = `JE-PMT-${paymentId.slice(0, 8)}`;
+        const entryNumber = nextNumber('journal_entry', { date: d.payment_date, document_id: jeId });
+        // AP is relieved at the bill rate, cash goes out at the payment rate
+        const apAmount = foreign ? forex.round2(d.amount * bookedRate) : d.amount;
+        const tdsAmount = foreign ? forex.round2((d.tds_amount || 0) * settledRate) : (d.tds_amount || 0);
+        const netPay = foreign ? forex.round2(d.amount * settledRate) - tdsAmount : d.amount - (d.tds_amount || 0);
+        const totalDebit = apAmount + (gainLoss < 0 ? -gainLoss : 0);
         run(`INSERT INTO acc_journal_entries (id, entry_number, entry_date, entry_type, description, reference_type, reference_id, total_debit, total_credit, status, posted_at) VALUES (?, ?, ?, 'PMT', ?, 'payment', ?, ?, ?, 'posted', datetime('now'))`,
-          [jeId, entryNumber, d.payment_date, `Payment to ${bill.vendor_name} for bill ${bill.bill_number}`, paymentId, d.amount, d.amount]);
+          [jeId, entryNumber, d.payment_date, `Payment to ${bill.vendor_name} for bill ${bill.bill_number}`, paymentId, totalDebit, totalDebit]);
 
         // Debit AP
         run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, 1, ?, ?, ?, 0)`,
-          [uuidv4(), jeId, apAccount.id, `Payment to ${bill.vendor_name}`, d.amount]);
+          [uuidv4(), jeId, apAccount.id, `Payment to ${bill.vendor_name}`, apAmount]);
         // Credit Bank
-        const netPay = d.amount - (d.tds_amount || 0);
         run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, 2, ?, ?, 0, ?)`,
           [uuidv4(), jeId, bankAcc.account_id, `Payment for bill ${bill.bill_number}`, netPay]);
 
@@ -344,10 +380,21 @@ app.post('/api/payments', (req, res) => {
           const tdsAcc = get("SELECT id FROM acc_accounts WHERE account_code = '2310'");
           if (tdsAcc) {
             run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, 3, ?, 'TDS Payable', 0, ?)`,
-              [uuidv4(), jeId, tdsAcc.id, d.tds_amount]);
+              [uuidv4(), jeId, tdsAcc.id, tdsAmount]);
           }
         }
 
+        // Realized exchange difference between bill and payment rates
+        if (gainLoss) {
+          run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, 4, ?, ?, ?, ?)`,
+            [uuidv4(), jeId, fxAccount.id, gainLoss > 0 ? 'Realized exchange gain' : 'Realized exchange loss', gainLoss < 0 ? -gainLoss : 0, gainLoss > 0 ? gainLoss : 0]);
+          forex.recordForexTransaction({
+            journal_entry_id: jeId, kind: 'realized', original_amount: d.amount, original_currency: bill.currency,
+            converted_amount: forex.round2(d.amount * settledRate), exchange_rate: settledRate, gain_loss: gainLoss,
+            reference_type: 'payment', reference_id: paymentId
+          });
+        }
+
         // Update ledger
         const jeLines = query('SELECT * FROM acc_journal_lines WHERE journal_entry_id = ?', [jeId]);
         for (const jl of jeLines) {
@@ -470,12 +517,14 @@ app.get('/api/debit-notes/:id', (req, res) => {
 });
 
 app.post('/api/debit-notes', (req, res) => {
+  let allocatedNumber = null;
   try {
-    const { vendor_id, debit_note_number, debit_note_date, original_bill_id, reason, reason_detail, lines, notes } = req.body;
-    if (!vendor_id || !debit_note_number || !debit_note_date || !lines?.length) {
-      return res.status(400).json({ success: false, error: 'vendor_id, debit_note_number, debit_note_date, lines required' });
+    const { vendor_id, debit_note_date, original_bill_id, reason, reason_detail, lines, notes, branch_id } = req.body;
+    if (!vendor_id || !debit_note_date || !lines?.length) {
+      return res.status(400).json({ success: false, error: 'vendor_id, debit_note_date, lines required' });
     }
     const id = uuidv4();
+    const debit_note_number = req.body.debit_note_number || (allocatedNumber = nextNumber('debit_note', { date: debit_note_date, branch_id, document_id: id }));
     let subtotal = 0, totalCgst = 0, totalSgst = 0, totalIgst = 0;
     for (const l of lines) {
       const amt = (l.quantity || 1) * (l.unit_price || 0);
@@ -491,7 +540,10 @@ app.post('/api/debit-notes', (req, res) => {
         [uuidv4(), id, i + 1, l.account_id, l.description || null, l.hsn_code || null, l.quantity || 1, l.unit_price || 0, (l.quantity || 1) * (l.unit_price || 0), l.tax_code_id || null, l.cgst_amount || 0, l.sgst_amount || 0, l.igst_amount || 0]);
     }
     res.status(201).json({ success: true, data: get('SELECT * FROM acc_debit_notes WHERE id = ?', [id]) });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  } catch (err) {
+    if (allocatedNumber) releaseNumber(allocatedNumber, err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
 app.post('/api/debit-notes/:id/post', (req, res) => {
@@ -499,6 +551,8 @@ app.post('/api/debit-notes/:id/post', (req, res) => {
     const dn = get('SELECT dn.*, v.name as vendor_name FROM acc_debit_notes dn JOIN acc_vendors v ON dn.vendor_id = v.id WHERE dn.id = ?', [req.params.id]);
     if (!dn) return res.status(404).json({ success: false, error: 'Not found' });
     if (dn.status !== 'draft') return res.status(400).json({ success: false, error: 'Already posted' });
+    const guard = checkPosting(dn.debit_note_date, requestOptions(req, 'accounts_payable', 'debit_note', dn.id));
+    if (!guard.allowed) return lockedResponse(res, guard);
 
     const apAccount = get("SELECT id FROM acc_accounts WHERE account_code = '2100'");
     if (!apAccount) return res.status(400).json({ success: false, error: 'AP account (2100) not configured' });
@@ -692,6 +746,7 @@ app.get('*', (req, res) => {
 });
 
 initDb().then(() => {
+  initAuth({ query, run, get });
   app.listen(PORT, () => console.log(`Accounts Payable (lite) on port ${PORT}`));
 }).catch(err => { console.error('Failed to init DB:', err); process.exit(1); });
 
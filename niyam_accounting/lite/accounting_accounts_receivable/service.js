@@ -7,7 +7,9 @@
  * - Invoice creation with GST line-level calculation
  * - Invoice posting with auto journal entry creation
  * - Receipt collection with auto JE + TDS entries
+ * - Foreign-currency invoices with realized exchange gain/loss on receipt
  * - Aging reports, customer statements
+ * - Dunning policies with staged reminders, payment links and late-payment interest
  */
 
 const express = require('express');
@@ -15,15 +17,22 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const { nextNumber, releaseNumber } = require('../shared/numbering');
 const { sendCSV } = require('../shared/csv-generator');
 const { sendPDF, sendLandscapePDF, addHeader, addTable, fmtCurrency, fmtDate } = require('../shared/pdf-generator');
+const forex = require('../shared/forex');
+const { initAuth, authMiddleware } = require('../shared/auth');
+const { checkPosting, requestOptions, lockedResponse } = require('../shared/posting-guard');
+const dunning = require('../shared/dunning');
 
 const app = express();
 const PORT = process.env.PORT || 8857;
 
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
+app.use(writeLock);
+app.use(authMiddleware);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
@@ -165,13 +174,20 @@ app.get('/api/invoices/:id', (req, res) => {
 });
 
 app.post('/api/invoices', (req, res) => {
+  let allocatedNumber = null;
   try {
-    const { customer_id, invoice_number, invoice_date, due_date, lines, notes, reference_number, so_number, is_interstate, place_of_supply, description, terms_conditions } = req.body;
-    if (!customer_id || !invoice_number || !invoice_date || !due_date || !lines?.length) {
-      return res.status(400).json({ success: false, error: 'customer_id, invoice_number, invoice_date, due_date, lines required' });
+    const { customer_id, invoice_date, due_date, lines, notes, reference_number, so_number, is_interstate, place_of_supply, description, terms_conditions, branch_id, shipping_bill_number, shipping_bill_date, port_code } = req.body;
+    if (!customer_id || !invoice_date || !due_date || !lines?.length) {
+      return res.status(400).json({ success: false, error: 'customer_id, invoice_date, due_date, lines required' });
     }
+    // Amounts are in the invoice currency; exchange_rate is base units per unit of it
+    const currency = req.body.currency || forex.baseCurrency();
+    const exchangeRate = forex.isForeign(currency) ? (req.body.exchange_rate || forex.rateOn(currency, invoice_date)) : 1;
+    if (!exchangeRate) return res.status(400).json({ success: false, error: `No exchange rate for ${currency} on ${invoice_date}` });
 
     const id = uuidv4();
+    // Manual numbers are still accepted (e.g. migrated invoices); otherwise take the next in the series
+    const invoice_number = req.body.invoice_number || (allocatedNumber = nextNumber('invoice', { date: invoice_date, branch_id, document_id: id }));
     let subtotal = 0, totalCgst = 0, totalSgst = 0, totalIgst = 0, totalCess = 0;
     const interstate = is_interstate ? 1 : 0;
 
@@ -195,9 +211,9 @@ app.post('/api/invoices', (req, res) => {
     const totalTax = totalCgst + totalSgst + totalIgst + totalCess;
     const totalAmount = subtotal + totalTax;
 
-    run(`INSERT INTO acc_invoices (id, customer_id, invoice_number, invoice_date, due_date, reference_number, so_number, description, notes, terms_conditions, is_interstate, place_of_supply, subtotal, taxable_amount, cgst_amount, sgst_amount, igst_amount, cess_amount, total_tax, tax_amount, total_amount, balance_due, status)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft')`,
-      [id, customer_id, invoice_number, invoice_date, due_date, reference_number || null, so_number || null, description || null, notes || null, terms_conditions || null, interstate, place_of_supply || null, subtotal, subtotal, totalCgst, totalSgst, totalIgst, totalCess, totalTax, totalTax, totalAmount, totalAmount]);
+    run(`INSERT INTO acc_invoices (id, customer_id, invoice_number, invoice_date, due_date, reference_number, so_number, description, notes, terms_conditions, is_interstate, place_of_supply, subtotal, taxable_amount, cgst_amount, sgst_amount, igst_amount, cess_amount, total_tax, tax_amount, total_amount, balance_due, currency, exchange_rate, shipping_bill_number, shipping_bill_date, port_code, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft')`,
+      [id, customer_id, invoice_number, invoice_date, due_date, reference_number || null, so_number || null, description || null, notes || null, terms_conditions || null, interstate, place_of_supply || null, subtotal, subtotal, totalCgst, totalSgst, totalIgst, totalCess, totalTax, totalTax, totalAmount, totalAmount, currency, exchangeRate, shipping_bill_number || null, shipping_bill_date || null, port_code || null]);
 
     for (let i = 0; i < lines.length; i++) {
       const l = lines[i];
@@ -217,12 +233,58 @@ app.post('/api/invoices', (req, res) => {
         }
       }
       const lineTotal = net + lcgst + lsgst + ligst + lcess;
-      run(`INSERT INTO acc_invoice_lines (id, invoice_id, line_number, account_id, description, quantity, unit_price, amount, discount_percent, discount_amount, net_amount, tax_code_id, tax_amount, hsn_sac_code, cgst_amount, sgst_amount, igst_amount, cess_amount, total_amount, cost_center_id)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [uuidv4(), id, i + 1, l.account_id, l.description || null, qty, price, gross, disc, discAmt, net, l.tax_code_id || null, lcgst + lsgst + ligst + lcess, l.hsn_sac_code || null, lcgst, lsgst, ligst, lcess, lineTotal, l.cost_center_id || null]);
+      run(`INSERT INTO acc_invoice_lines (id, invoice_id, line_number, account_id, description, quantity, unit_price, amount, discount_percent, discount_amount, net_amount, tax_code_id, tax_amount, hsn_sac_code, uqc, cgst_amount, sgst_amount, igst_amount, cess_amount, total_amount, cost_center_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), id, i + 1, l.account_id, l.description || null, qty, price, gross, disc, discAmt, net, l.tax_code_id || null, lcgst + lsgst + ligst + lcess, l.hsn_sac_code || null, l.uqc || null, lcgst, lsgst, ligst, lcess, lineTotal, l.cost_center_id || null]);
     }
 
     res.status(201).json({ success: true, data: get('SELECT * FROM acc_invoices WHERE id = ?', [id]) });
+  } catch (err) {
+    if (allocatedNumber) releaseNumber(allocatedNumber, err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Edit invoice header and line GST details. Amounts are fixed once posted; edits to an
+// invoice already reported in a filed GSTR-1 come out as amendments in the next return.
+app.put('/api/invoices/:id', (req, res) => {
+  try {
+    const invoice = get('SELECT * FROM acc_invoices WHERE id = ?', [req.params.id]);
+    if (!invoice) return res.status(404).json({ success: false, error: 'Invoice not found' });
+    if (invoice.status === 'void') return res.status(400).json({ success: false, error: 'Cannot edit a void invoice' });
+    if (invoice.status !== 'draft' && req.body.invoice_date !== undefined && req.body.invoice_date !== invoice.invoice_date) {
+      return res.status(400).json({ success: false, error: 'Invoice date cannot change after posting' });
+    }
+    if (req.body.invoice_number !== undefined && req.body.invoice_number !== invoice.invoice_number &&
+      get('SELECT id FROM acc_invoices WHERE invoice_number = ? AND id != ?', [req.body.invoice_number, invoice.id])) {
+      return res.status(409).json({ success: false, error: 'Invoice number already in use' });
+    }
+
+    const fields = ['invoice_number', 'invoice_date', 'due_date', 'reference_number', 'so_number', 'description', 'notes', 'terms_conditions', 'place_of_supply', 'shipping_bill_number', 'shipping_bill_date', 'port_code'];
+    const updates = [];
+    const params = [];
+    for (const f of fields) {
+      if (req.body[f] !== undefined) { updates.push(`${f} = ?`); params.push(req.body[f]); }
+    }
+    const lineEdits = Array.isArray(req.body.lines) ? req.body.lines.filter(l => l.id) : [];
+    if (updates.length === 0 && lineEdits.length === 0) return res.status(400).json({ success: false, error: 'No fields to update' });
+
+    if (updates.length) {
+      updates.push("updated_at = datetime('now')");
+      params.push(invoice.id);
+      run(`UPDATE acc_invoices SET ${updates.join(', ')} WHERE id = ?`, params);
+    }
+    for (const l of lineEdits) {
+      const lineUpdates = [];
+      const lineParams = [];
+      for (const f of ['description', 'hsn_sac_code', 'uqc']) {
+        if (l[f] !== undefined) { lineUpdates.push(`${f} = ?`); lineParams.push(l[f]); }
+      }
+      if (lineUpdates.length) run(`UPDATE acc_invoice_lines SET ${lineUpdates.join(', ')} WHERE id = ? AND invoice_id = ?`, [...lineParams, l.id, invoice.id]);
+    }
+    const updated = get('SELECT * FROM acc_invoices WHERE id = ?', [invoice.id]);
+    updated.lines = query('SELECT * FROM acc_invoice_lines WHERE invoice_id = ? ORDER BY line_number', [invoice.id]);
+    res.json({ success: true, data: updated });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -234,6 +296,8 @@ app.post('/api/invoices/:id/post', (req, res) => {
     const invoice = get('SELECT i.*, c.name as customer_name FROM acc_invoices i JOIN acc_customers c ON i.customer_id = c.id WHERE i.id = ?', [req.params.id]);
     if (!invoice) return res.status(404).json({ success: false, error: 'Invoice not found' });
     if (invoice.status !== 'draft') return res.status(400).json({ success: false, error: 'Invoice is already posted' });
+    const guard = checkPosting(invoice.invoice_date, requestOptions(req, 'accounts_receivable', 'invoice', invoice.id));
+    if (!guard.allowed) return lockedResponse(res, guard);
 
     const arAccount = get("SELECT id FROM acc_accounts WHERE account_code = '1200'");
     if (!arAccount) return res.status(400).json({ success: false, error: 'Accounts Receivable account (1200) not configured' });
@@ -241,32 +305,36 @@ app.post('/api/invoices/:id/post', (req, res) => {
     const lines = query('SELECT * FROM acc_invoice_lines WHERE invoice_id = ?', [req.params.id]);
     const jeId = uuidv4();
     const entryNumber = `JE-INV-${invoice.invoice_number}`;
+    // Foreign-currency invoices are booked in base currency at the invoice rate
+    const rate = invoice.exchange_rate || 1;
+    const toBase = (amount) => rate === 1 ? amount : forex.round2(amount * rate);
+    const totalBase = toBase(invoice.total_amount);
 
     run(`INSERT INTO acc_journal_entries (id, entry_number, entry_date, entry_type, description, reference_type, reference_id, source_document, total_debit, total_credit, status) VALUES (?, ?, ?, 'AR', ?, 'invoice', ?, ?, ?, ?, 'posted')`,
-      [jeId, entryNumber, invoice.invoice_date, `Invoice to ${invoice.customer_name}: ${invoice.invoice_number}`, req.params.id, invoice.invoice_number, invoice.total_amount, invoice.total_amount]);
+      [jeId, entryNumber, invoice.invoice_date, `Invoice to ${invoice.customer_name}: ${invoice.invoice_number}`, req.params.id, invoice.invoice_number, totalBase, totalBase]);
 
     let lineNum = 1;
 
     // Debit AR
     run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, ?, ?, 0)`,
-      [uuidv4(), jeId, lineNum++, arAccount.id, `Receivable from ${invoice.customer_name}`, invoice.total_amount]);
+      [uuidv4(), jeId, lineNum++, arAccount.id, `Receivable from ${invoice.customer_name}`, totalBase]);
 
     // Credit revenue accounts
     for (const line of lines) {
       run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount, cost_center_id) VALUES (?, ?, ?, ?, ?, 0, ?, ?)`,
-        [uuidv4(), jeId, lineNum++, line.account_id, line.description, line.net_amount || line.amount, line.cost_center_id || null]);
+        [uuidv4(), jeId, lineNum++, line.account_id, line.description, toBase(line.net_amount || line.amount), line.cost_center_id || null]);
 
       if ((line.cgst_amount || 0) > 0) {
         const acc = get("SELECT id FROM acc_accounts WHERE account_code = '2200'");
-        if (acc) run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, 'Output CGST', 0, ?)`, [uuidv4(), jeId, lineNum++, acc.id, line.cgst_amount]);
+        if (acc) run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, 'Output CGST', 0, ?)`, [uuidv4(), jeId, lineNum++, acc.id, toBase(line.cgst_amount)]);
       }
       if ((line.sgst_amount || 0) > 0) {
         const acc = get("SELECT id FROM acc_accounts WHERE account_code = '2201'");
-        if (acc) run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, 'Output SGST', 0, ?)`, [uuidv4(), jeId, lineNum++, acc.id, line.sgst_amount]);
+        if (acc) run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, 'Output SGST', 0, ?)`, [uuidv4(), jeId, lineNum++, acc.id, toBase(line.sgst_amount)]);
       }
       if ((line.igst_amount || 0) > 0) {
         const acc = get("SELECT id FROM acc_accounts WHERE account_code = '2202'");
-        if (acc) run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, 'Output IGST', 0, ?)`, [uuidv4(), jeId, lineNum++, acc.id, line.igst_amount]);
+        if (acc) run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, 'Output IGST', 0, ?)`, [uuidv4(), jeId, lineNum++, acc.id, toBase(line.igst_amount)]);
       }
     }
 
@@ -305,11 +373,22 @@ app.post('/api/receipts', (req, res) => {
     if (!invoice) return res.status(404).json({ success: false, error: 'Invoice not found' });
     if (invoice.status === 'draft') return res.status(400).json({ success: false, error: 'Invoice must be posted before receipt' });
     if (d.amount > invoice.balance_due) return res.status(400).json({ success: false, error: 'Receipt exceeds balance due' });
+    const guard = checkPosting(d.receipt_date, requestOptions(req, 'accounts_receivable', 'invoice_receipt', invoice.id));
+    if (!guard.allowed) return lockedResponse(res, guard);
+
+    // Foreign invoices: amount is in invoice currency, settled at the receipt-date rate
+    const bookedRate = invoice.exchange_rate || 1;
+    const foreign = forex.isForeign(invoice.currency);
+    const settledRate = foreign ? (d.exchange_rate || forex.rateOn(invoice.currency, d.receipt_date)) : 1;
+    if (!settledRate) return res.status(400).json({ success: false, error: `No exchange rate for ${invoice.currency} on ${d.receipt_date}` });
+    const gainLoss = foreign ? forex.gainLoss('receivable', d.amount, bookedRate, settledRate) : 0;
+    const fxAccount = gainLoss ? forex.forexAccount('realized') : null;
+    if (gainLoss && !fxAccount) return res.status(400).json({ success: false, error: `Realized forex gain/loss account (${forex.FOREX_ACCOUNT_CODES.realized}) not configured` });
 
     const receiptId = uuidv4();
-    run(`INSERT INTO acc_invoice_payments (id, invoice_id, payment_date, amount, payment_method, bank_account_id, reference, cheque_number, cheque_date, notes, tds_deducted, journal_entry_id)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL)`,
-      [receiptId, d.invoice_id, d.receipt_date, d.amount, d.payment_method || 'bank_transfer', d.bank_account_id || null, d.reference_number || d.reference || null, d.cheque_number || null, d.cheque_date || null, d.notes || null, d.tds_deducted || 0]);
+    run(`INSERT INTO acc_invoice_payments (id, invoice_id, payment_date, amount, payment_method, bank_account_id, reference, cheque_number, cheque_date, notes, tds_deducted, exchange_rate, forex_gain_loss, journal_entry_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL)`,
+      [receiptId, d.invoice_id, d.receipt_date, d.amount, d.payment_method || 'bank_transfer', d.bank_account_id || null, d.reference_number || d.reference || null, d.cheque_number || null, d.cheque_date || null, d.notes || null, d.tds_deducted || 0, settledRate, gainLoss]);
 
     const newBalance = invoice.balance_due - d.amount;
     const newStatus = newBalance <= 0 ? 'paid' : 'partial';
@@ -322,27 +401,42 @@ app.post('/api/receipts', (req, res) => {
       const bankAcc = get('SELECT account_id FROM acc_bank_accounts WHERE id = ?', [d.bank_account_id]);
       if (bankAcc && bankAcc.account_id) {
         const jeId = uuidv4();
-        const entryNumber = `JE-RCT-${receiptId.slice(0, 8)}`;
+        const entryNumber = nextNumber('journal_entry', { date: d.receipt_date, document_id: jeId });
+        // AR is relieved at the invoice rate, cash comes in at the receipt rate
+        const arAmount = foreign ? forex.round2(d.amount * bookedRate) : d.amount;
+        const tdsAmount = foreign ? forex.round2((d.tds_deducted || 0) * settledRate) : (d.tds_deducted || 0);
+        const netReceipt = foreign ? forex.round2(d.amount * settledRate) - tdsAmount : d.amount - (d.tds_deducted || 0);
+        const totalDebit = netReceipt + tdsAmount + (gainLoss < 0 ? -gainLoss : 0);
         run(`INSERT INTO acc_journal_entries (id, entry_number, entry_date, entry_type, description, reference_type, reference_id, total_debit, total_credit, status, posted_at) VALUES (?, ?, ?, 'RCT', ?, 'receipt', ?, ?, ?, 'posted', datetime('now'))`,
-          [jeId, entryNumber, d.receipt_date, `Receipt from ${invoice.customer_name} for invoice ${invoice.invoice_number}`, receiptId, d.amount, d.amount]);
+          [jeId, entryNumber, d.receipt_date, `Receipt from ${invoice.customer_name} for invoice ${invoice.invoice_number}`, receiptId, totalDebit, totalDebit]);
 
         // Debit Bank
-        const netReceipt = d.amount - (d.tds_deducted || 0);
         run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, 1, ?, ?, ?, 0)`,
           [uuidv4(), jeId, bankAcc.account_id, `Receipt for invoice ${invoice.invoice_number}`, netReceipt]);
         // Credit AR
         run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, 2, ?, ?, 0, ?)`,
-          [uuidv4(), jeId, arAccount.id, `Receipt from ${invoice.customer_name}`, d.amount]);
+          [uuidv4(), jeId, arAccount.id, `Receipt from ${invoice.customer_name}`, arAmount]);
 
         // TDS entry
         if ((d.tds_deducted || 0) > 0) {
           const tdsAcc = get("SELECT id FROM acc_accounts WHERE account_code = '1510'");
           if (tdsAcc) {
             run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, 3, ?, 'TDS Receivable', ?, 0)`,
-              [uuidv4(), jeId, tdsAcc.id, d.tds_deducted]);
+              [uuidv4(), jeId, tdsAcc.id, tdsAmount]);
           }
         }
 
+        // Realized exchange difference between invoice and receipt rates
+        if (gainLoss) {
+          run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, 4, ?, ?, ?, ?)`,
+            [uuidv4(), jeId, fxAccount.id, gainLoss > 0 ? 'Realized exchange gain' : 'Realized exchange loss', gainLoss < 0 ? -gainLoss : 0, gainLoss > 0 ? gainLoss : 0]);
+          forex.recordForexTransaction({
+            journal_entry_id: jeId, kind: 'realized', original_amount: d.amount, original_currency: invoice.currency,
+            converted_amount: forex.round2(d.amount * settledRate), exchange_rate: settledRate, gain_loss: gainLoss,
+            reference_type: 'receipt', reference_id: receiptId
+          });
+        }
+
         // Update ledger
         const jeLines = query('SELECT * FROM acc_journal_lines WHERE journal_entry_id = ?', [jeId]);
         for (const jl of jeLines) {
@@ -406,28 +500,64 @@ app.get('/api/aging', (req, res) => {
 // CUSTOMER STATEMENT
 // =============================================================================
 
+// Invoices, late-interest debit notes and receipts with a running balance
+function customerStatement(customerId, startDate, endDate) {
+  let dateFilterInv = '', dateFilterPay = '', dateFilterDn = '';
+  const invParams = [customerId], payParams = [customerId], dnParams = [customerId];
+  if (startDate) { dateFilterInv += ' AND i.invoice_date >= ?'; dateFilterPay += ' AND p.payment_date >= ?'; dateFilterDn += ' AND d.debit_note_date >= ?'; invParams.push(startDate); payParams.push(startDate); dnParams.push(startDate); }
+  if (endDate) { dateFilterInv += ' AND i.invoice_date <= ?'; dateFilterPay += ' AND p.payment_date <= ?'; dateFilterDn += ' AND d.debit_note_date <= ?'; invParams.push(endDate); payParams.push(endDate); dnParams.push(endDate); }
+
+  const invoices = query(`SELECT 'invoice' as type, i.invoice_date as transaction_date, i.invoice_number as reference, i.description, i.total_amount as debit, 0 as credit FROM acc_invoices i WHERE i.customer_id = ? AND i.status NOT IN ('draft','void') ${dateFilterInv} ORDER BY i.invoice_date`, invParams);
+  const debitNotes = query(`SELECT 'debit_note' as type, d.debit_note_date as transaction_date, d.debit_note_number as reference, d.notes as description, d.amount as debit, 0 as credit FROM acc_customer_debit_notes d WHERE d.customer_id = ? AND d.status != 'void' ${dateFilterDn} ORDER BY d.debit_note_date`, dnParams);
+  const payments = query(`SELECT 'receipt' as type, p.payment_date as transaction_date, p.reference as reference, 'Receipt' as description, 0 as debit, p.amount as credit FROM acc_invoice_payments p JOIN acc_invoices i ON p.invoice_id = i.id WHERE i.customer_id = ? ${dateFilterPay} ORDER BY p.payment_date`, payParams);
+
+  const transactions = [...invoices, ...debitNotes, ...payments].sort((a, b) => (a.transaction_date || '').localeCompare(b.transaction_date || ''));
+  let runningBalance = 0;
+  const statement = transactions.map(t => {
+    runningBalance += (t.debit || 0) - (t.credit || 0);
+    return { ...t, running_balance: runningBalance };
+  });
+  return { transactions: statement, closing_balance: runningBalance };
+}
+
 app.get('/api/customers/:id/statement', (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     const customer = get('SELECT * FROM acc_customers WHERE id = ?', [req.params.id]);
     if (!customer) return res.status(404).json({ success: false, error: 'Customer not found' });
+    res.json({ success: true, data: { customer, ...customerStatement(req.params.id, start_date, end_date) } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    let dateFilterInv = '', dateFilterPay = '';
-    const invParams = [req.params.id], payParams = [req.params.id];
-    if (start_date) { dateFilterInv += ' AND i.invoice_date >= ?'; dateFilterPay += ' AND p.payment_date >= ?'; invParams.push(start_date); payParams.push(start_date); }
-    if (end_date) { dateFilterInv += ' AND i.invoice_date <= ?'; dateFilterPay += ' AND p.payment_date <= ?'; invParams.push(end_date); payParams.push(end_date); }
-
-    const invoices = query(`SELECT 'invoice' as type, i.invoice_date as transaction_date, i.invoice_number as reference, i.description, i.total_amount as debit, 0 as credit FROM acc_invoices i WHERE i.customer_id = ? AND i.status NOT IN ('draft','void') ${dateFilterInv} ORDER BY i.invoice_date`, invParams);
-    const payments = query(`SELECT 'receipt' as type, p.payment_date as transaction_date, p.reference as reference, 'Receipt' as description, 0 as debit, p.amount as credit FROM acc_invoice_payments p JOIN acc_invoices i ON p.invoice_id = i.id WHERE i.customer_id = ? ${dateFilterPay} ORDER BY p.payment_date`, payParams);
-
-    const transactions = [...invoices, ...payments].sort((a, b) => (a.transaction_date || '').localeCompare(b.transaction_date || ''));
-    let runningBalance = 0;
-    const statement = transactions.map(t => {
-      runningBalance += (t.debit || 0) - (t.credit || 0);
-      return { ...t, running_balance: runningBalance };
-    });
-
-    res.json({ success: true, data: { customer, transactions: statement, closing_balance: runningBalance } });
+// Statement PDF (linked from dunning reminders)
+app.get('/api/customers/:id/statement/pdf', (req, res) => {
+  try {
+    const { start_date, end_date } = req.query;
+    const customer = get('SELECT * FROM acc_customers WHERE id = ?', [req.params.id]);
+    if (!customer) return res.status(404).json({ success: false, error: 'Customer not found' });
+    const { transactions, closing_balance } = customerStatement(req.params.id, start_date, end_date);
+    const asOf = end_date || new Date().toISOString().split('T')[0];
+    const overdue = query(`SELECT invoice_number, due_date, balance_due, CAST(julianday(?) - julianday(due_date) AS INTEGER) as days_overdue FROM acc_invoices
+      WHERE customer_id = ? AND status NOT IN ('draft','void') AND balance_due > 0 AND due_date < ? ORDER BY due_date`, [asOf, req.params.id, asOf]);
+    sendPDF(res, (doc) => {
+      addHeader(doc, `Statement of Account - ${customer.name}`, `${start_date ? fmtDate(start_date) + ' to ' : 'As of '}${fmtDate(asOf)}`);
+      addTable(doc, [
+        { key: 'transaction_date', label: 'Date', width: 1 }, { key: 'type', label: 'Type', width: 1 }, { key: 'reference', label: 'Reference', width: 1.3 },
+        { key: 'debit', label: 'Debit', width: 1, align: 'right' }, { key: 'credit', label: 'Credit', width: 1, align: 'right' }, { key: 'running_balance', label: 'Balance', width: 1, align: 'right' }
+      ], transactions.map(t => ({ ...t, transaction_date: fmtDate(t.transaction_date), debit: t.debit ? fmtCurrency(t.debit) : '', credit: t.credit ? fmtCurrency(t.credit) : '', running_balance: fmtCurrency(t.running_balance) })));
+      doc.moveDown();
+      doc.fontSize(10).fillColor('#1e293b').text(`Closing balance: ${fmtCurrency(closing_balance)}`, { align: 'right' });
+      if (overdue.length) {
+        doc.moveDown();
+        doc.fontSize(11).fillColor('#1e293b').text('Overdue invoices');
+        addTable(doc, [
+          { key: 'invoice_number', label: 'Invoice', width: 1.3 }, { key: 'due_date', label: 'Due Date', width: 1 },
+          { key: 'days_overdue', label: 'Days Overdue', width: 1, align: 'right' }, { key: 'balance_due', label: 'Balance Due', width: 1, align: 'right' }
+        ], overdue.map(o => ({ ...o, due_date: fmtDate(o.due_date), balance_due: fmtCurrency(o.balance_due) })));
+      }
+    }, `statement-${customer.code}.pdf`);
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -460,12 +590,14 @@ app.get('/api/credit-notes/:id', (req, res) => {
 });
 
 app.post('/api/credit-notes', (req, res) => {
+  let allocatedNumber = null;
   try {
-    const { customer_id, credit_note_number, credit_note_date, original_invoice_id, reason, reason_detail, lines, notes } = req.body;
-    if (!customer_id || !credit_note_number || !credit_note_date || !lines?.length) {
-      return res.status(400).json({ success: false, error: 'customer_id, credit_note_number, credit_note_date, lines required' });
+    const { customer_id, credit_note_date, original_invoice_id, reason, reason_detail, lines, notes, branch_id } = req.body;
+    if (!customer_id || !credit_note_date || !lines?.length) {
+      return res.status(400).json({ success: false, error: 'customer_id, credit_note_date, lines required' });
     }
     const id = uuidv4();
+    const credit_note_number = req.body.credit_note_number || (allocatedNumber = nextNumber('credit_note', { date: credit_note_date, branch_id, document_id: id }));
     let subtotal = 0, totalCgst = 0, totalSgst = 0, totalIgst = 0;
     for (const l of lines) {
       const amt = (l.quantity || 1) * (l.unit_price || 0);
@@ -477,11 +609,14 @@ app.post('/api/credit-notes', (req, res) => {
       [id, credit_note_number, customer_id, original_invoice_id || null, credit_note_date, reason || 'return', reason_detail || null, subtotal, totalCgst, totalSgst, totalIgst, totalTax, subtotal + totalTax, notes || null]);
     for (let i = 0; i < lines.length; i++) {
       const l = lines[i];
-      run(`INSERT INTO acc_credit_note_lines (id, credit_note_id, line_number, account_id, description, hsn_code, quantity, unit_price, amount, tax_code_id, cgst_amount, sgst_amount, igst_amount) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)`,
-        [uuidv4(), id, i + 1, l.account_id, l.description || null, l.hsn_code || null, l.quantity || 1, l.unit_price || 0, (l.quantity || 1) * (l.unit_price || 0), l.tax_code_id || null, l.cgst_amount || 0, l.sgst_amount || 0, l.igst_amount || 0]);
+      run(`INSERT INTO acc_credit_note_lines (id, credit_note_id, line_number, account_id, description, hsn_code, uqc, quantity, unit_price, amount, tax_code_id, cgst_amount, sgst_amount, igst_amount) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+        [uuidv4(), id, i + 1, l.account_id, l.description || null, l.hsn_code || null, l.uqc || null, l.quantity || 1, l.unit_price || 0, (l.quantity || 1) * (l.unit_price || 0), l.tax_code_id || null, l.cgst_amount || 0, l.sgst_amount || 0, l.igst_amount || 0]);
     }
     res.status(201).json({ success: true, data: get('SELECT * FROM acc_credit_notes WHERE id = ?', [id]) });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  } catch (err) {
+    if (allocatedNumber) releaseNumber(allocatedNumber, err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
 app.post('/api/credit-notes/:id/post', (req, res) => {
@@ -489,6 +624,8 @@ app.post('/api/credit-notes/:id/post', (req, res) => {
     const cn = get('SELECT cn.*, c.name as customer_name FROM acc_credit_notes cn JOIN acc_customers c ON cn.customer_id = c.id WHERE cn.id = ?', [req.params.id]);
     if (!cn) return res.status(404).json({ success: false, error: 'Not found' });
     if (cn.status !== 'draft') return res.status(400).json({ success: false, error: 'Already posted' });
+    const guard = checkPosting(cn.credit_note_date, requestOptions(req, 'accounts_receivable', 'credit_note', cn.id));
+    if (!guard.allowed) return lockedResponse(res, guard);
 
     const arAccount = get("SELECT id FROM acc_accounts WHERE account_code = '1200'");
     if (!arAccount) return res.status(400).json({ success: false, error: 'AR account (1200) not configured' });
@@ -971,6 +1108,194 @@ app.post('/api/webhooks/stripe', (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// =============================================================================
+// DUNNING
+// =============================================================================
+
+function validateStages(stages) {
+  if (!Array.isArray(stages) || !stages.length) return 'At least one stage required';
+  for (const st of stages) {
+    if (!st.name || st.days_overdue === undefined || !st.body) return 'Each stage needs name, days_overdue and body';
+    if (st.channel && !dunning.CHANNELS.includes(st.channel)) return `channel must be one of ${dunning.CHANNELS.join(', ')}`;
+  }
+  const days = stages.map(st => Number(st.days_overdue));
+  if (days.some((d, i) => i > 0 && d <= days[i - 1])) return 'Stages must be in increasing days_overdue order';
+  return null;
+}
+
+function saveStages(policyId, stages) {
+  run('DELETE FROM acc_dunning_stages WHERE policy_id = ?', [policyId]);
+  stages.forEach((st, i) => {
+    run(`INSERT INTO acc_dunning_stages (id, policy_id, stage_number, name, days_overdue, channel, subject, body, attach_statement, include_payment_link, charge_interest)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), policyId, i + 1, st.name, Number(st.days_overdue), st.channel || 'email', st.subject || null, st.body,
+        st.attach_statement === false ? 0 : 1, st.include_payment_link === false ? 0 : 1, st.charge_interest ? 1 : 0]);
+  });
+}
+
+function policyWithStages(id) {
+  const policy = get('SELECT * FROM acc_dunning_policies WHERE id = ?', [id]);
+  if (policy) policy.stages = dunning.policyStages(id);
+  return policy;
+}
+
+app.get('/api/dunning/policies', (req, res) => {
+  try {
+    const policies = query('SELECT * FROM acc_dunning_policies ORDER BY is_default DESC, name');
+    policies.forEach(p => { p.stages = dunning.policyStages(p.id); });
+    res.json({ success: true, data: policies });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/dunning/policies/:id', (req, res) => {
+  try {
+    const policy = policyWithStages(req.params.id);
+    if (!policy) return res.status(404).json({ success: false, error: 'Dunning policy not found' });
+    res.json({ success: true, data: policy });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/api/dunning/policies', (req, res) => {
+  try {
+    const { name, is_default, min_overdue_amount, interest_rate, interest_grace_days, interest_account_id, stages } = req.body;
+    if (!name) return res.status(400).json({ success: false, error: 'name required' });
+    const stageError = validateStages(stages);
+    if (stageError) return res.status(400).json({ success: false, error: stageError });
+
+    const id = uuidv4();
+    if (is_default) run('UPDATE acc_dunning_policies SET is_default = 0');
+    run(`INSERT INTO acc_dunning_policies (id, name, is_default, min_overdue_amount, interest_rate, interest_grace_days, interest_account_id) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, name, is_default ? 1 : 0, min_overdue_amount || 0, interest_rate || 0, interest_grace_days || 0, interest_account_id || null]);
+    saveStages(id, stages);
+    res.status(201).json({ success: true, data: policyWithStages(id) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.put('/api/dunning/policies/:id', (req, res) => {
+  try {
+    const policy = get('SELECT * FROM acc_dunning_policies WHERE id = ?', [req.params.id]);
+    if (!policy) return res.status(404).json({ success: false, error: 'Dunning policy not found' });
+    if (req.body.stages !== undefined) {
+      const stageError = validateStages(req.body.stages);
+      if (stageError) return res.status(400).json({ success: false, error: stageError });
+    }
+
+    const fields = ['name', 'is_default', 'min_overdue_amount', 'interest_rate', 'interest_grace_days', 'interest_account_id', 'is_active'];
+    const updates = [];
+    const params = [];
+    for (const f of fields) {
+      if (req.body[f] !== undefined) {
+        updates.push(`${f} = ?`);
+        params.push(['is_default', 'is_active'].includes(f) ? (req.body[f] ? 1 : 0) : req.body[f]);
+      }
+    }
+    if (req.body.is_default) run('UPDATE acc_dunning_policies SET is_default = 0 WHERE id != ?', [req.params.id]);
+    if (updates.length) {
+      updates.push("updated_at = datetime('now')");
+      params.push(req.params.id);
+      run(`UPDATE acc_dunning_policies SET ${updates.join(', ')} WHERE id = ?`, params);
+    }
+    // Invoices keep the stage number they reached, so renumbered stages are not re-sent
+    if (req.body.stages !== undefined) saveStages(req.params.id, req.body.stages);
+    res.json({ success: true, data: policyWithStages(req.params.id) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Send the reminders due as of a date; dry_run previews without sending, linking or charging interest
+app.post('/api/dunning/run', (req, res) => {
+  try {
+    const { as_of_date, customer_id, dry_run, gateway } = req.body;
+    if (gateway && !['razorpay', 'stripe', 'upi'].includes(gateway)) return res.status(400).json({ success: false, error: 'gateway must be razorpay, stripe or upi' });
+    const result = dunning.runDunning({
+      as_of_date, customer_id, dry_run: !!dry_run, gateway,
+      base_url: `${req.protocol}://${req.get('host')}`,
+      user: req.user || null, override_reason: req.body.override_reason || null
+    });
+    res.json({ success: true, data: result });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/dunning/history', (req, res) => {
+  try {
+    const { customer_id, event_type, status, from_date, to_date, limit = 100 } = req.query;
+    let sql = 'SELECT h.*, c.name as customer_name FROM acc_dunning_history h JOIN acc_customers c ON h.customer_id = c.id WHERE 1=1';
+    const params = [];
+    if (customer_id) { sql += ' AND h.customer_id = ?'; params.push(customer_id); }
+    if (event_type) { sql += ' AND h.event_type = ?'; params.push(event_type); }
+    if (status) { sql += ' AND h.status = ?'; params.push(status); }
+    if (from_date) { sql += ' AND date(h.created_at) >= ?'; params.push(from_date); }
+    if (to_date) { sql += ' AND date(h.created_at) <= ?'; params.push(to_date); }
+    sql += ' ORDER BY h.created_at DESC LIMIT ?';
+    params.push(parseInt(limit));
+    res.json({ success: true, data: query(sql, params) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/customers/:id/dunning-history', (req, res) => {
+  try {
+    const customer = get('SELECT id, code, name, dunning_policy_id, dunning_paused FROM acc_customers WHERE id = ?', [req.params.id]);
+    if (!customer) return res.status(404).json({ success: false, error: 'Customer not found' });
+    const history = query('SELECT * FROM acc_dunning_history WHERE customer_id = ? ORDER BY created_at DESC', [req.params.id]);
+    const disputed = query('SELECT id, invoice_number, balance_due, dispute_reason FROM acc_invoices WHERE customer_id = ? AND disputed = 1', [req.params.id]);
+    const debitNotes = query('SELECT * FROM acc_customer_debit_notes WHERE customer_id = ? ORDER BY debit_note_date DESC', [req.params.id]);
+    res.json({ success: true, data: { customer, history, disputed_invoices: disputed, debit_notes: debitNotes } });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Assign a policy and pause / resume dunning for a customer
+app.put('/api/customers/:id/dunning', (req, res) => {
+  try {
+    const customer = get('SELECT * FROM acc_customers WHERE id = ?', [req.params.id]);
+    if (!customer) return res.status(404).json({ success: false, error: 'Customer not found' });
+    const { dunning_policy_id, paused, notes } = req.body;
+    if (dunning_policy_id && !get('SELECT id FROM acc_dunning_policies WHERE id = ?', [dunning_policy_id])) {
+      return res.status(400).json({ success: false, error: 'Dunning policy not found' });
+    }
+    if (dunning_policy_id !== undefined) run("UPDATE acc_customers SET dunning_policy_id = ?, updated_at = datetime('now') WHERE id = ?", [dunning_policy_id || null, req.params.id]);
+    if (paused !== undefined && !!paused !== !!customer.dunning_paused) {
+      run("UPDATE acc_customers SET dunning_paused = ?, updated_at = datetime('now') WHERE id = ?", [paused ? 1 : 0, req.params.id]);
+      dunning.logEvent(req.params.id, paused ? 'paused' : 'resumed', { notes, user: req.user });
+    }
+    res.json({ success: true, data: get('SELECT * FROM acc_customers WHERE id = ?', [req.params.id]) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// A disputed invoice is left out of dunning until the dispute is resolved
+app.post('/api/invoices/:id/dispute', (req, res) => {
+  try {
+    const invoice = get('SELECT * FROM acc_invoices WHERE id = ?', [req.params.id]);
+    if (!invoice) return res.status(404).json({ success: false, error: 'Invoice not found' });
+    if (!req.body.reason) return res.status(400).json({ success: false, error: 'reason required' });
+    if (invoice.disputed) return res.status(409).json({ success: false, error: 'Invoice is already disputed' });
+    run("UPDATE acc_invoices SET disputed = 1, dispute_reason = ?, updated_at = datetime('now') WHERE id = ?", [req.body.reason, req.params.id]);
+    dunning.logEvent(invoice.customer_id, 'dispute_opened', { invoice_id: invoice.id, notes: req.body.reason, user: req.user });
+    res.json({ success: true, data: get('SELECT * FROM acc_invoices WHERE id = ?', [req.params.id]) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/api/invoices/:id/resolve-dispute', (req, res) => {
+  try {
+    const invoice = get('SELECT * FROM acc_invoices WHERE id = ?', [req.params.id]);
+    if (!invoice) return res.status(404).json({ success: false, error: 'Invoice not found' });
+    if (!invoice.disputed) return res.status(400).json({ success: false, error: 'Invoice is not disputed' });
+    run("UPDATE acc_invoices SET disputed = 0, updated_at = datetime('now') WHERE id = ?", [req.params.id]);
+    dunning.logEvent(invoice.customer_id, 'dispute_resolved', { invoice_id: invoice.id, notes: req.body.notes || null, user: req.user });
+    res.json({ success: true, data: get('SELECT * FROM acc_invoices WHERE id = ?', [req.params.id]) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/customer-debit-notes', (req, res) => {
+  try {
+    const { customer_id, invoice_id } = req.query;
+    let sql = 'SELECT d.*, c.name as customer_name, i.invoice_number FROM acc_customer_debit_notes d JOIN acc_customers c ON d.customer_id = c.id LEFT JOIN acc_invoices i ON d.invoice_id = i.id WHERE 1=1';
+    const params = [];
+    if (customer_id) { sql += ' AND d.customer_id = ?'; params.push(customer_id); }
+    if (invoice_id) { sql += ' AND d.invoice_id = ?'; params.push(invoice_id); }
+    sql += ' ORDER BY d.debit_note_date DESC';
+    res.json({ success: true, data: query(sql, params) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
 // ============================================
 // BARCODE / QR ON INVOICES
 // ============================================
@@ -1010,6 +1335,7 @@ app.get('*', (req, res) => {
 });
 
 initDb().then(() => {
+  initAuth({ query, run, get });
   app.listen(PORT, () => console.log(`Accounts Receivable (lite) on port ${PORT}`));
 }).catch(err => { console.error('Failed to init DB:', err); process.exit(1); });
 
@@ -8,7 +8,10 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock, transaction } = require('../shared/db');
+const { nextNumber } = require('../shared/numbering');
+const { initAuth, authMiddleware } = require('../shared/auth');
+const { checkPosting, requestOptions } = require('../shared/posting-guard');
 const { sendCSV } = require('../shared/csv-generator');
 const { sendPDF, addHeader, addTable, fmtCurrency, fmtDate } = require('../shared/pdf-generator');
 
@@ -17,6 +20,8 @@ const PORT = process.env.PORT || 8854;
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
+app.use(authMiddleware);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
@@ -258,6 +263,397 @@ app.get('/api/bank-statements/history', (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// =============================================================================
+// AUTO-MATCHING (proposals, bulk accept/reject, matching rules)
+// =============================================================================
+
+const matcher = require('../shared/bank-matcher');
+
+// Rule hits are user-asserted, so they rank just below a perfect ledger match
+const RULE_CONFIDENCE = 0.95;
+
+function proposalSignature(bankIds, ledgerIds) {
+  return `${bankIds.slice().sort().join(',')}|${ledgerIds.slice().sort().join(',')}`;
+}
+
+function getProposalDetail(proposalId) {
+  const proposal = get(`SELECT p.*, r.name as rule_name, r.account_id as rule_account_id
+    FROM acc_bank_match_proposals p LEFT JOIN acc_bank_match_rules r ON p.rule_id = r.id WHERE p.id = ?`, [proposalId]);
+  if (!proposal) return null;
+  proposal.score_breakdown = proposal.score_breakdown ? JSON.parse(proposal.score_breakdown) : null;
+  proposal.journal_entry_ids = proposalJournalIds(proposal);
+  proposal.bank_transactions = query(`SELECT bt.* FROM acc_bank_match_items i
+    JOIN acc_bank_transactions bt ON i.bank_transaction_id = bt.id
+    WHERE i.proposal_id = ? AND i.item_type = 'bank' ORDER BY bt.transaction_date`, [proposalId]);
+  proposal.ledger_entries = query(`SELECT le.*, je.entry_number, je.reference, je.description as je_description
+    FROM acc_bank_match_items i
+    JOIN acc_ledger_entries le ON i.ledger_entry_id = le.id
+    LEFT JOIN acc_journal_entries je ON le.journal_entry_id = je.id
+    WHERE i.proposal_id = ? AND i.item_type = 'ledger' ORDER BY le.entry_date`, [proposalId]);
+  return proposal;
+}
+
+// Matches accepted before journal_entry_ids existed only kept their first entry
+function proposalJournalIds(proposal) {
+  if (proposal.journal_entry_ids) return JSON.parse(proposal.journal_entry_ids);
+  return proposal.journal_entry_id ? [proposal.journal_entry_id] : [];
+}
+
+// Post a balanced entry for a rule match: bank GL account against the rule's account
+function postRuleJournal(bank, txns, rule) {
+  const amount = matcher.round2(txns.reduce((s, t) => s + matcher.bankAmount(t), 0));
+  const abs = Math.abs(amount);
+  const entryDate = txns[0].transaction_date;
+  const description = `Bank match (${rule.name}): ${txns.map(t => t.description || t.reference || '').join('; ').substring(0, 200)}`;
+  const jeId = uuidv4();
+  const entryNumber = nextNumber('journal_entry', { date: entryDate, document_id: jeId });
+
+  run(`INSERT INTO acc_journal_entries (id, entry_number, entry_date, entry_type, description, reference, reference_type, reference_id, total_debit, total_credit, status, posted_at)
+    VALUES (?, ?, ?, 'BNK', ?, ?, 'bank_transaction', ?, ?, ?, 'posted', datetime('now'))`,
+    [jeId, entryNumber, entryDate, description, txns[0].reference || null, txns[0].id, abs, abs]);
+
+  const lines = amount >= 0
+    ? [{ account_id: bank.account_id, debit: abs, credit: 0 }, { account_id: rule.account_id, debit: 0, credit: abs }]
+    : [{ account_id: rule.account_id, debit: abs, credit: 0 }, { account_id: bank.account_id, debit: 0, credit: abs }];
+
+  lines.forEach((l, idx) => {
+    run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), jeId, idx + 1, l.account_id, description, l.debit, l.credit]);
+    const account = get('SELECT * FROM acc_accounts WHERE id = ?', [l.account_id]);
+    if (!account) return;
+    const newBal = account.current_balance + l.debit - l.credit;
+    run(`INSERT INTO acc_ledger_entries (id, account_id, journal_entry_id, entry_date, description, debit_amount, credit_amount, running_balance) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), l.account_id, jeId, entryDate, description, l.debit, l.credit, newBal]);
+    run("UPDATE acc_accounts SET current_balance = ?, updated_at = datetime('now') WHERE id = ?", [newBal, l.account_id]);
+  });
+
+  return jeId;
+}
+
+// Post the mirror image of a journal entry on `date` and mark the original reversed
+function reverseJournal(jeId, date, reason) {
+  const entry = get('SELECT * FROM acc_journal_entries WHERE id = ?', [jeId]);
+  if (!entry || entry.status !== 'posted') return null;
+  const description = `Reversal of ${entry.entry_number}${reason ? `: ${reason}` : ''}`.substring(0, 250);
+  const reversalId = uuidv4();
+  const entryNumber = nextNumber('journal_entry', { date, document_id: reversalId });
+
+  run(`INSERT INTO acc_journal_entries (id, entry_number, entry_date, entry_type, description, reference, reference_type, reference_id, total_debit, total_credit, status, posted_at)
+    VALUES (?, ?, ?, 'BNK', ?, ?, 'bank_match_reversal', ?, ?, ?, 'posted', datetime('now'))`,
+    [reversalId, entryNumber, date, description, entry.entry_number, jeId, entry.total_credit, entry.total_debit]);
+
+  query('SELECT * FROM acc_journal_lines WHERE journal_entry_id = ? ORDER BY line_number', [jeId]).forEach((l, idx) => {
+    run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), reversalId, idx + 1, l.account_id, description, l.credit_amount, l.debit_amount]);
+    const account = get('SELECT * FROM acc_accounts WHERE id = ?', [l.account_id]);
+    if (!account) return;
+    const newBal = account.current_balance + l.credit_amount - l.debit_amount;
+    run(`INSERT INTO acc_ledger_entries (id, account_id, journal_entry_id, entry_date, description, debit_amount, credit_amount, running_balance) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), l.account_id, reversalId, date, description, l.credit_amount, l.debit_amount, newBal]);
+    run("UPDATE acc_accounts SET current_balance = ?, updated_at = datetime('now') WHERE id = ?", [newBal, l.account_id]);
+  });
+
+  run("UPDATE acc_journal_entries SET status = 'reversed', updated_at = datetime('now') WHERE id = ?", [jeId]);
+  return reversalId;
+}
+
+// Matching rules
+app.get('/api/match-rules', (req, res) => {
+  try {
+    const { bank_account_id } = req.query;
+    let sql = `SELECT r.*, a.account_code, a.account_name FROM acc_bank_match_rules r
+      LEFT JOIN acc_accounts a ON r.account_id = a.id WHERE 1=1`;
+    const params = [];
+    if (bank_account_id) { sql += ' AND (r.bank_account_id = ? OR r.bank_account_id IS NULL)'; params.push(bank_account_id); }
+    sql += ' ORDER BY r.priority, r.name';
+    res.json({ success: true, data: query(sql, params) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/api/match-rules', (req, res) => {
+  try {
+    const d = req.body;
+    if (!d.name || !d.pattern || !d.account_id) {
+      return res.status(400).json({ success: false, error: 'name, pattern and account_id required' });
+    }
+    if (d.operator === 'regex') {
+      try { new RegExp(d.pattern); } catch (e) { return res.status(400).json({ success: false, error: `Invalid regex: ${e.message}` }); }
+    }
+    const account = get('SELECT id FROM acc_accounts WHERE id = ?', [d.account_id]);
+    if (!account) return res.status(404).json({ success: false, error: 'Account not found' });
+
+    const id = uuidv4();
+    run(`INSERT INTO acc_bank_match_rules (id, name, bank_account_id, match_field, operator, pattern, direction, min_amount, max_amount, account_id, priority, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, d.name, d.bank_account_id || null, d.match_field || 'description', d.operator || 'contains', d.pattern, d.direction || 'any',
+        d.min_amount ?? null, d.max_amount ?? null, d.account_id, d.priority ?? 100, d.is_active === false ? 0 : 1]);
+    res.status(201).json({ success: true, data: get('SELECT * FROM acc_bank_match_rules WHERE id = ?', [id]) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.put('/api/match-rules/:id', (req, res) => {
+  try {
+    const rule = get('SELECT * FROM acc_bank_match_rules WHERE id = ?', [req.params.id]);
+    if (!rule) return res.status(404).json({ success: false, error: 'Rule not found' });
+    const d = req.body;
+    if (d.operator === 'regex' || (d.pattern && rule.operator === 'regex')) {
+      try { new RegExp(d.pattern || rule.pattern); } catch (e) { return res.status(400).json({ success: false, error: `Invalid regex: ${e.message}` }); }
+    }
+    run(`UPDATE acc_bank_match_rules SET name = COALESCE(?, name), bank_account_id = COALESCE(?, bank_account_id), match_field = COALESCE(?, match_field),
+      operator = COALESCE(?, operator), pattern = COALESCE(?, pattern), direction = COALESCE(?, direction), min_amount = COALESCE(?, min_amount),
+      max_amount = COALESCE(?, max_amount), account_id = COALESCE(?, account_id), priority = COALESCE(?, priority), is_active = COALESCE(?, is_active),
+      updated_at = datetime('now') WHERE id = ?`,
+      [d.name || null, d.bank_account_id || null, d.match_field || null, d.operator || null, d.pattern || null, d.direction || null,
+        d.min_amount ?? null, d.max_amount ?? null, d.account_id || null, d.priority ?? null,
+        d.is_active === undefined ? null : (d.is_active ? 1 : 0), req.params.id]);
+    res.json({ success: true, data: get('SELECT * FROM acc_bank_match_rules WHERE id = ?', [req.params.id]) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.delete('/api/match-rules/:id', (req, res) => {
+  try {
+    const rule = get('SELECT id FROM acc_bank_match_rules WHERE id = ?', [req.params.id]);
+    if (!rule) return res.status(404).json({ success: false, error: 'Rule not found' });
+    const used = get("SELECT COUNT(*) as cnt FROM acc_bank_match_proposals WHERE rule_id = ? AND status = 'accepted'", [req.params.id]);
+    if (used.cnt > 0) {
+      run("UPDATE acc_bank_match_rules SET is_active = 0, updated_at = datetime('now') WHERE id = ?", [req.params.id]);
+      return res.json({ success: true, message: 'Rule has accepted matches, deactivated instead of deleted' });
+    }
+    run("DELETE FROM acc_bank_match_items WHERE proposal_id IN (SELECT id FROM acc_bank_match_proposals WHERE rule_id = ?)", [req.params.id]);
+    run('DELETE FROM acc_bank_match_proposals WHERE rule_id = ?', [req.params.id]);
+    run('DELETE FROM acc_bank_match_rules WHERE id = ?', [req.params.id]);
+    res.json({ success: true, message: 'Rule deleted' });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Run the matching engine for a bank account; replaces any open proposals
+app.post('/api/bank-accounts/:bankId/auto-match', (req, res) => {
+  try {
+    const bank = get('SELECT * FROM acc_bank_accounts WHERE id = ?', [req.params.bankId]);
+    if (!bank) return res.status(404).json({ success: false, error: 'Bank account not found' });
+
+    const d = req.body || {};
+    const opts = {
+      date_window_days: d.date_window_days ?? matcher.DEFAULTS.date_window_days,
+      amount_tolerance: d.amount_tolerance ?? matcher.DEFAULTS.amount_tolerance,
+      min_confidence: d.min_confidence ?? matcher.DEFAULTS.min_confidence,
+      max_group_size: d.max_group_size ?? matcher.DEFAULTS.max_group_size,
+      include_splits: d.include_splits !== false
+    };
+    const warnings = [];
+
+    run(`DELETE FROM acc_bank_match_items WHERE proposal_id IN
+      (SELECT id FROM acc_bank_match_proposals WHERE bank_account_id = ? AND status = 'proposed')`, [bank.id]);
+    run("DELETE FROM acc_bank_match_proposals WHERE bank_account_id = ? AND status = 'proposed'", [bank.id]);
+
+    let txnSql = 'SELECT * FROM acc_bank_transactions WHERE bank_account_id = ? AND is_reconciled = 0';
+    const txnParams = [bank.id];
+    if (d.start_date) { txnSql += ' AND transaction_date >= ?'; txnParams.push(d.start_date); }
+    if (d.end_date) { txnSql += ' AND transaction_date <= ?'; txnParams.push(d.end_date); }
+    const bankTxns = query(txnSql + ' ORDER BY transaction_date', txnParams);
+    if (!bankTxns.length) return res.json({ success: true, data: { proposals: [], summary: { bank_transactions: 0, proposed: 0 } } });
+
+    let ledgerEntries = [];
+    if (bank.account_id) {
+      const dates = bankTxns.map(t => t.transaction_date).sort();
+      ledgerEntries = query(`
+        SELECT le.*, je.entry_number, je.reference, je.source_document, je.description as je_description
+        FROM acc_ledger_entries le
+        JOIN acc_journal_entries je ON le.journal_entry_id = je.id
+        WHERE le.account_id = ? AND je.status = 'posted' AND COALESCE(je.reference_type, '') <> 'bank_match_reversal'
+          AND le.entry_date >= date(?, ?) AND le.entry_date <= date(?, ?)
+          AND le.id NOT IN (SELECT i.ledger_entry_id FROM acc_bank_match_items i
+            JOIN acc_bank_match_proposals p ON i.proposal_id = p.id
+            WHERE p.status = 'accepted' AND i.ledger_entry_id IS NOT NULL)
+          AND le.journal_entry_id NOT IN (SELECT journal_entry_id FROM acc_bank_transactions
+            WHERE is_reconciled = 1 AND journal_entry_id IS NOT NULL)
+        ORDER BY le.entry_date`,
+      [bank.account_id, dates[0], `-${opts.date_window_days} days`, dates[dates.length - 1], `+${opts.date_window_days} days`]);
+    } else {
+      warnings.push('Bank account is not linked to a ledger account; only rule matches can be proposed and none can be accepted');
+    }
+
+    // Skip combinations the user has already rejected
+    const rejected = new Set();
+    query("SELECT id, match_type, rule_id FROM acc_bank_match_proposals WHERE bank_account_id = ? AND status = 'rejected'", [bank.id]).forEach(p => {
+      const items = query('SELECT item_type, bank_transaction_id, ledger_entry_id FROM acc_bank_match_items WHERE proposal_id = ?', [p.id]);
+      const ledgerKeys = p.match_type === 'rule'
+        ? [`rule:${p.rule_id}`]
+        : items.filter(i => i.item_type === 'ledger').map(i => i.ledger_entry_id);
+      rejected.add(proposalSignature(items.filter(i => i.item_type === 'bank').map(i => i.bank_transaction_id), ledgerKeys));
+    });
+
+    const proposals = matcher.proposeMatches(bankTxns, ledgerEntries, opts)
+      .filter(p => !rejected.has(proposalSignature(p.bank.map(t => t.id), p.ledger.map(e => e.id))));
+
+    // Rule matches for whatever the ledger could not explain
+    const matchedBank = new Set();
+    proposals.forEach(p => p.bank.forEach(t => matchedBank.add(t.id)));
+    const rules = query('SELECT * FROM acc_bank_match_rules WHERE is_active = 1 AND (bank_account_id = ? OR bank_account_id IS NULL)', [bank.id]);
+    bankTxns.forEach(t => {
+      if (matchedBank.has(t.id)) return;
+      const rule = matcher.applyRules(rules, t);
+      if (!rule || rejected.has(proposalSignature([t.id], [`rule:${rule.id}`]))) return;
+      proposals.push({ match_type: 'rule', rule, bank: [t], ledger: [], confidence: RULE_CONFIDENCE, breakdown: { rule: rule.name } });
+    });
+
+    const created = [];
+    proposals.forEach(p => {
+      const id = uuidv4();
+      const bankTotal = matcher.round2(p.bank.reduce((s, t) => s + matcher.bankAmount(t), 0));
+      const ledgerTotal = matcher.round2(p.ledger.reduce((s, e) => s + matcher.ledgerAmount(e), 0));
+      run(`INSERT INTO acc_bank_match_proposals (id, bank_account_id, match_type, confidence, score_breakdown, rule_id, bank_amount, ledger_amount)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, bank.id, p.match_type, p.confidence, JSON.stringify(p.breakdown), p.rule ? p.rule.id : null, bankTotal, p.rule ? bankTotal : ledgerTotal]);
+      p.bank.forEach(t => run("INSERT INTO acc_bank_match_items (id, proposal_id, item_type, bank_transaction_id, amount) VALUES (?, ?, 'bank', ?, ?)",
+        [uuidv4(), id, t.id, matcher.bankAmount(t)]));
+      p.ledger.forEach(e => run("INSERT INTO acc_bank_match_items (id, proposal_id, item_type, ledger_entry_id, amount) VALUES (?, ?, 'ledger', ?, ?)",
+        [uuidv4(), id, e.id, matcher.ledgerAmount(e)]));
+      created.push(id);
+    });
+
+    const byType = {};
+    proposals.forEach(p => { byType[p.match_type] = (byType[p.match_type] || 0) + 1; });
+
+    res.json({
+      success: true,
+      data: {
+        proposals: created.map(getProposalDetail),
+        summary: { bank_transactions: bankTxns.length, ledger_candidates: ledgerEntries.length, proposed: created.length, by_type: byType, unmatched: bankTxns.length - proposals.reduce((s, p) => s + p.bank.length, 0) },
+        warnings
+      }
+    });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/match-proposals', (req, res) => {
+  try {
+    const { bank_account_id, status, min_confidence, match_type } = req.query;
+    let sql = 'SELECT id FROM acc_bank_match_proposals WHERE 1=1';
+    const params = [];
+    if (bank_account_id) { sql += ' AND bank_account_id = ?'; params.push(bank_account_id); }
+    if (status) { sql += ' AND status = ?'; params.push(status); }
+    if (match_type) { sql += ' AND match_type = ?'; params.push(match_type); }
+    if (min_confidence) { sql += ' AND confidence >= ?'; params.push(parseFloat(min_confidence)); }
+    sql += ' ORDER BY confidence DESC, created_at';
+    res.json({ success: true, data: query(sql, params).map(p => getProposalDetail(p.id)) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/match-proposals/:id', (req, res) => {
+  try {
+    const proposal = getProposalDetail(req.params.id);
+    if (!proposal) return res.status(404).json({ success: false, error: 'Proposal not found' });
+    res.json({ success: true, data: proposal });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/api/match-proposals/bulk-accept', (req, res) => {
+  try {
+    const { proposal_ids, min_confidence, bank_account_id, decided_by } = req.body;
+    let ids = proposal_ids || [];
+    // Convenience: accept everything above a confidence threshold for one bank
+    if (!ids.length && bank_account_id && min_confidence !== undefined) {
+      ids = query("SELECT id FROM acc_bank_match_proposals WHERE bank_account_id = ? AND status = 'proposed' AND confidence >= ?",
+        [bank_account_id, parseFloat(min_confidence)]).map(p => p.id);
+    }
+    if (!ids.length) return res.status(400).json({ success: false, error: 'proposal_ids (or bank_account_id with min_confidence) required' });
+
+    const accepted = [], failed = [];
+    ids.forEach(id => {
+      const p = getProposalDetail(id);
+      if (!p) return failed.push({ id, error: 'Proposal not found' });
+      if (p.status !== 'proposed') return failed.push({ id, error: `Proposal already ${p.status}` });
+      if (p.bank_transactions.some(t => t.is_reconciled)) return failed.push({ id, error: 'Bank transaction already reconciled' });
+
+      let bank = null;
+      if (p.match_type === 'rule') {
+        bank = get('SELECT * FROM acc_bank_accounts WHERE id = ?', [p.bank_account_id]);
+        if (!bank || !bank.account_id) return failed.push({ id, error: 'Bank account is not linked to a ledger account' });
+        const guard = checkPosting(p.bank_transactions[0].transaction_date, requestOptions(req, 'bank_reconciliation', 'bank_match_proposal', id));
+        if (!guard.allowed) return failed.push({ id, error: guard.error, code: 'PERIOD_LOCKED' });
+      }
+
+      // A split match spans several journal entries; all of them are recorded so unmatch can undo each one
+      const journalEntryIds = transaction(() => {
+        const ids = p.match_type === 'rule'
+          ? [postRuleJournal(bank, p.bank_transactions, { name: p.rule_name, account_id: p.rule_account_id })]
+          : [...new Set(p.ledger_entries.map(e => e.journal_entry_id).filter(Boolean))];
+        p.bank_transactions.forEach(t => {
+          run("UPDATE acc_bank_transactions SET is_reconciled = 1, reconciled_at = datetime('now'), journal_entry_id = ? WHERE id = ?",
+            [ids[0] || null, t.id]);
+        });
+        run(`UPDATE acc_bank_match_proposals SET status = 'accepted', journal_entry_id = ?, journal_entry_ids = ?, decided_by = ?, decided_at = datetime('now')
+          WHERE id = ?`, [ids[0] || null, JSON.stringify(ids), decided_by || 'system', id]);
+        return ids;
+      });
+      accepted.push({ id, journal_entry_id: journalEntryIds[0] || null, journal_entry_ids: journalEntryIds });
+    });
+
+    res.json({ success: true, data: { accepted: accepted.length, failed: failed.length, results: accepted, errors: failed } });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/api/match-proposals/bulk-reject', (req, res) => {
+  try {
+    const { proposal_ids, reason, decided_by } = req.body;
+    if (!proposal_ids || !proposal_ids.length) return res.status(400).json({ success: false, error: 'proposal_ids required' });
+
+    let rejected = 0;
+    const failed = [];
+    proposal_ids.forEach(id => {
+      const p = get('SELECT * FROM acc_bank_match_proposals WHERE id = ?', [id]);
+      if (!p) return failed.push({ id, error: 'Proposal not found' });
+      if (p.status !== 'proposed') return failed.push({ id, error: `Proposal already ${p.status}` });
+      run("UPDATE acc_bank_match_proposals SET status = 'rejected', reject_reason = ?, decided_by = ?, decided_at = datetime('now') WHERE id = ?",
+        [reason || null, decided_by || 'system', id]);
+      rejected++;
+    });
+
+    res.json({ success: true, data: { rejected, failed: failed.length, errors: failed } });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Undo an accepted match: its bank lines become unreconciled again, journal entries
+// a rule posted are reversed today, and ledger entries it matched are only unlinked
+app.post('/api/match-proposals/:id/unmatch', (req, res) => {
+  try {
+    const p = getProposalDetail(req.params.id);
+    if (!p) return res.status(404).json({ success: false, error: 'Proposal not found' });
+    if (p.status !== 'accepted') return res.status(400).json({ success: false, error: `Proposal is ${p.status}, only accepted matches can be unmatched` });
+
+    const { reason, decided_by } = req.body || {};
+    const today = new Date().toISOString().split('T')[0];
+    const posted = p.match_type === 'rule' ? p.journal_entry_ids : [];
+    if (posted.length) {
+      const guard = checkPosting(today, requestOptions(req, 'bank_reconciliation', 'bank_match_proposal', p.id));
+      if (!guard.allowed) return res.status(guard.status).json({ success: false, error: guard.error, code: 'PERIOD_LOCKED' });
+    }
+
+    const reversals = transaction(() => {
+      const reversed = posted.map(jeId => reverseJournal(jeId, today, reason)).filter(Boolean);
+      p.bank_transactions.forEach(t => {
+        run('UPDATE acc_bank_transactions SET is_reconciled = 0, reconciled_at = NULL, journal_entry_id = NULL WHERE id = ?', [t.id]);
+      });
+      // Rejected, so the same pairing is not proposed again
+      run("UPDATE acc_bank_match_proposals SET status = 'rejected', reject_reason = ?, decided_by = ?, decided_at = datetime('now') WHERE id = ?",
+        [reason || 'Unmatched', decided_by || 'system', p.id]);
+      return reversed;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        id: p.id,
+        bank_transactions: p.bank_transactions.map(t => t.id),
+        unlinked_journal_entry_ids: p.match_type === 'rule' ? [] : p.journal_entry_ids,
+        reversed_journal_entry_ids: posted,
+        reversal_journal_entry_ids: reversals
+      }
+    });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
 app.get('*', (req, res) => {
   if (req.accepts('html') && fs.existsSync(path.join(uiPath, 'index.html'))) {
     return res.sendFile(path.join(uiPath, 'index.html'));
@@ -266,6 +662,7 @@ app.get('*', (req, res) => {
 });
 
 initDb().then(() => {
+  initAuth({ query, run, get });
   app.listen(PORT, () => console.log(`Bank Reconciliation (lite) on port ${PORT}`));
 }).catch(err => { console.error('Failed to init DB:', err); process.exit(1); });
 
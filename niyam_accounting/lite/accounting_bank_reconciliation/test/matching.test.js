@@ -0,0 +1,156 @@
+/**
+ * Bank matching tests - accepting split and rule matches and undoing them.
+ * The service runs in its own process on a fresh database; this process
+ * seeds the ledger and checks what was reconciled, posted and reversed.
+ * Run: npm test (from accounting_bank_reconciliation)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory, so the shared database starts out empty
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-bank-'));
+process.env.HOME = home;
+
+const { initDb, query, run, get, saveDb, lockDb, releaseLock } = require('../../shared/db');
+
+let service;
+let base;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function call(method, url, body) {
+  const res = await fetch(base + url, {
+    method,
+    headers: { 'content-type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// The service saves shortly after it answers; its lock is free once it has
+async function settled() {
+  releaseLock(await lockDb());
+}
+
+function balance(accountId) {
+  return get('SELECT current_balance FROM acc_accounts WHERE id = ?', [accountId]).current_balance;
+}
+
+// A posted receipt of `amount` into the bank's ledger account
+function seedReceipt(id, date, amount) {
+  run(`INSERT INTO acc_journal_entries (id, entry_number, entry_date, description, total_debit, total_credit, status, posted_at)
+    VALUES (?, ?, ?, 'Customer receipt', ?, ?, 'posted', datetime('now'))`, [id, id.toUpperCase(), date, amount, amount]);
+  run(`INSERT INTO acc_ledger_entries (id, account_id, journal_entry_id, entry_date, description, debit_amount, credit_amount)
+    VALUES (?, 'bank-gl', ?, ?, 'Customer receipt', ?, 0)`, [`le-${id}`, id, date, amount]);
+}
+
+let splitProposal;
+let ruleProposal;
+
+test.before(async () => {
+  await initDb();
+  for (const [id, code, name] of [['bank-gl', 'BANK-001', 'Bank'], ['clearing', 'PG-CLR', 'Gateway clearing']]) {
+    run('INSERT INTO acc_accounts (id, account_code, account_name) VALUES (?, ?, ?)', [id, code, name]);
+  }
+  run("INSERT INTO acc_bank_accounts (id, account_id, bank_name, account_number) VALUES ('hdfc', 'bank-gl', 'HDFC', '0001')");
+  seedReceipt('je-a', '2026-03-02', 60);
+  seedReceipt('je-b', '2026-03-03', 40);
+  run(`INSERT INTO acc_bank_transactions (id, bank_account_id, transaction_date, description, credit_amount) VALUES
+    ('deposit', 'hdfc', '2026-03-03', 'Cash deposit', 100), ('payout', 'hdfc', '2026-03-04', 'RAZORPAY SETTLEMENT 8812', 250)`);
+  saveDb();
+  releaseLock();
+
+  const port = await freePort();
+  service = spawn(process.execPath, [path.join(__dirname, '..', 'service.js')], {
+    env: { ...process.env, HOME: home, PORT: String(port) },
+    stdio: 'ignore'
+  });
+  base = `http://127.0.0.1:${port}`;
+  for (let i = 0; ; i++) {
+    try {
+      if ((await fetch(base + '/health')).ok) break;
+    } catch (e) {
+      if (i > 150) throw new Error('accounting_bank_reconciliation did not start');
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  assert.equal((await call('POST', '/api/match-rules', { name: 'Razorpay', pattern: 'RAZORPAY', account_id: 'clearing' })).status, 201);
+  const r = await call('POST', '/api/bank-accounts/hdfc/auto-match', {});
+  assert.equal(r.status, 200);
+  splitProposal = r.body.data.proposals.find(p => p.bank_transactions[0].id === 'deposit');
+  ruleProposal = r.body.data.proposals.find(p => p.match_type === 'rule');
+});
+
+test.after(() => {
+  if (service) service.kill();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('accepting a split match records every journal entry it covers', async () => {
+  assert.equal(splitProposal.ledger_entries.length, 2);
+  const r = await call('POST', '/api/match-proposals/bulk-accept', { proposal_ids: [splitProposal.id] });
+  assert.equal(r.body.data.accepted, 1, JSON.stringify(r.body.data.errors));
+  assert.deepEqual(r.body.data.results[0].journal_entry_ids.sort(), ['je-a', 'je-b']);
+
+  const detail = (await call('GET', `/api/match-proposals/${splitProposal.id}`)).body.data;
+  assert.equal(detail.status, 'accepted');
+  assert.deepEqual(detail.journal_entry_ids.sort(), ['je-a', 'je-b']);
+});
+
+test('unmatching a split match unlinks its journal entries without reversing them', async () => {
+  const r = await call('POST', `/api/match-proposals/${splitProposal.id}/unmatch`, { reason: 'Wrong deposit' });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.data.unlinked_journal_entry_ids.sort(), ['je-a', 'je-b']);
+  assert.deepEqual(r.body.data.reversal_journal_entry_ids, []);
+
+  await settled();
+  const deposit = get("SELECT is_reconciled, journal_entry_id FROM acc_bank_transactions WHERE id = 'deposit'");
+  assert.deepEqual({ ...deposit }, { is_reconciled: 0, journal_entry_id: null });
+  assert.deepEqual(query("SELECT status FROM acc_journal_entries WHERE id IN ('je-a', 'je-b')").map(e => e.status), ['posted', 'posted']);
+  assert.equal(get('SELECT status FROM acc_bank_match_proposals WHERE id = ?', [splitProposal.id]).status, 'rejected');
+});
+
+test('unmatching a rule match reverses the entry it posted', async () => {
+  let r = await call('POST', '/api/match-proposals/bulk-accept', { proposal_ids: [ruleProposal.id] });
+  assert.equal(r.body.data.accepted, 1, JSON.stringify(r.body.data.errors));
+  const [posted] = r.body.data.results[0].journal_entry_ids;
+  await settled();
+  assert.equal(balance('bank-gl'), 250);
+  assert.equal(balance('clearing'), -250);
+
+  r = await call('POST', `/api/match-proposals/${ruleProposal.id}/unmatch`, {});
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.data.reversed_journal_entry_ids, [posted]);
+  const [reversal] = r.body.data.reversal_journal_entry_ids;
+
+  await settled();
+  assert.equal(get('SELECT status FROM acc_journal_entries WHERE id = ?', [posted]).status, 'reversed');
+  const lines = query('SELECT account_id, debit_amount, credit_amount FROM acc_journal_lines WHERE journal_entry_id = ? ORDER BY line_number', [reversal]);
+  assert.deepEqual(lines.map(l => [l.account_id, l.debit_amount, l.credit_amount]), [['bank-gl', 0, 250], ['clearing', 250, 0]]);
+  assert.equal(balance('bank-gl'), 0);
+  assert.equal(balance('clearing'), 0);
+  assert.equal(get("SELECT is_reconciled FROM acc_bank_transactions WHERE id = 'payout'").is_reconciled, 0);
+
+  r = await call('POST', `/api/match-proposals/${ruleProposal.id}/unmatch`, {});
+  assert.equal(r.status, 400, 'already unmatched');
+});
+
+test('reversed and reversing entries are not offered as ledger matches again', async () => {
+  const r = await call('POST', '/api/bank-accounts/hdfc/auto-match', {});
+  assert.equal(r.status, 200);
+  assert.equal(r.body.data.summary.ledger_candidates, 2, 'only the two customer receipts');
+});
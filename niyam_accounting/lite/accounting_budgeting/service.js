@@ -10,7 +10,7 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
 const { sendCSV } = require('../shared/csv-generator');
 
 const app = express();
@@ -18,6 +18,7 @@ const PORT = process.env.PORT || 8907;
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
@@ -8,15 +8,20 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const numbering = require('../shared/numbering');
 const { sendCSV } = require('../shared/csv-generator');
 const { sendPDF, addHeader, addTable, fmtCurrency } = require('../shared/pdf-generator');
+const forex = require('../shared/forex');
+const { initAuth, authMiddleware } = require('../shared/auth');
 
 const app = express();
 const PORT = process.env.PORT || 8851;
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
+app.use(authMiddleware);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) {
@@ -59,7 +64,7 @@ app.post('/api/account-types', (req, res) => {
 // Accounts
 app.get('/api/accounts', (req, res) => {
   try {
-    const { category, is_active, search } = req.query;
+    const { category, is_active, search, company_id } = req.query;
     let sql = `
       SELECT a.*, at.name as type_name, at.category, at.normal_balance,
              p.account_name as parent_name
@@ -82,6 +87,10 @@ app.get('/api/accounts', (req, res) => {
       sql += ' AND (a.account_name LIKE ? OR a.account_code LIKE ?)';
       params.push(`%${search}%`, `%${search}%`);
     }
+    if (company_id) {
+      sql += ' AND a.company_id = ?';
+      params.push(company_id);
+    }
 
     sql += ' ORDER BY a.account_code';
     const accounts = query(sql, params);
@@ -108,7 +117,7 @@ app.get('/api/accounts/:id', (req, res) => {
 
 app.post('/api/accounts', (req, res) => {
   try {
-    const { account_code, account_name, account_type_id, parent_account_id, description, gst_applicable, hsn_code, opening_balance } = req.body;
+    const { account_code, account_name, account_type_id, parent_account_id, description, gst_applicable, hsn_code, opening_balance, company_id } = req.body;
     if (!account_code || !account_name) {
       return res.status(400).json({ success: false, error: 'account_code and account_name required' });
     }
@@ -117,9 +126,9 @@ app.post('/api/accounts', (req, res) => {
 
     const id = uuidv4();
     run(
-      `INSERT INTO acc_accounts (id, account_code, account_name, account_type_id, parent_account_id, description, gst_applicable, hsn_code, opening_balance, current_balance)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [id, account_code, account_name, account_type_id || null, parent_account_id || null, description || null, gst_applicable ? 1 : 0, hsn_code || null, opening_balance || 0, opening_balance || 0]
+      `INSERT INTO acc_accounts (id, account_code, account_name, account_type_id, parent_account_id, description, gst_applicable, hsn_code, opening_balance, current_balance, company_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, account_code, account_name, account_type_id || null, parent_account_id || null, description || null, gst_applicable ? 1 : 0, hsn_code || null, opening_balance || 0, opening_balance || 0, company_id || 'default']
     );
     const created = get('SELECT * FROM acc_accounts WHERE id = ?', [id]);
     res.status(201).json({ success: true, data: created });
@@ -134,7 +143,7 @@ app.put('/api/accounts/:id', (req, res) => {
     const existing = get('SELECT * FROM acc_accounts WHERE id = ?', [id]);
     if (!existing) return res.status(404).json({ success: false, error: 'Account not found' });
 
-    const fields = ['account_name', 'description', 'account_type_id', 'parent_account_id', 'is_active', 'gst_applicable', 'hsn_code'];
+    const fields = ['account_name', 'description', 'account_type_id', 'parent_account_id', 'is_active', 'gst_applicable', 'hsn_code', 'cash_flow_category', 'cash_flow_line'];
     const updates = [];
     const params = [];
 
@@ -321,13 +330,59 @@ app.post('/api/convert-currency', (req, res) => {
 
 app.get('/api/forex-gain-loss', (req, res) => {
   try {
-    const data = query(`SELECT ft.*, je.entry_number, je.entry_date FROM acc_forex_transactions ft
-      LEFT JOIN acc_journal_entries je ON ft.journal_entry_id = je.id ORDER BY ft.created_at DESC LIMIT 100`);
-    const summary = get('SELECT COALESCE(SUM(gain_loss), 0) as total_gain_loss, COUNT(*) as total_transactions FROM acc_forex_transactions');
-    res.json({ success: true, data: { transactions: data, summary } });
+    const { kind, from_date, to_date } = req.query;
+    let where = ' WHERE 1=1';
+    const params = [];
+    if (kind) { where += ' AND ft.kind = ?'; params.push(kind); }
+    if (from_date) { where += ' AND je.entry_date >= ?'; params.push(from_date); }
+    if (to_date) { where += ' AND je.entry_date <= ?'; params.push(to_date); }
+    const from = ' FROM acc_forex_transactions ft LEFT JOIN acc_journal_entries je ON ft.journal_entry_id = je.id';
+    const data = query(`SELECT ft.*, je.entry_number, je.entry_date${from}${where} ORDER BY ft.created_at DESC LIMIT 100`, params);
+    const summary = get(`SELECT COALESCE(SUM(ft.gain_loss), 0) as total_gain_loss, COUNT(*) as total_transactions${from}${where}`, params);
+    const by_kind = query(`SELECT ft.kind, COALESCE(SUM(ft.gain_loss), 0) as gain_loss, COUNT(*) as transactions${from}${where} GROUP BY ft.kind`, params);
+    res.json({ success: true, data: { transactions: data, summary: { ...summary, by_kind } } });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Period-end revaluation of open foreign AR/AP and bank balances at the closing rate
+app.get('/api/forex-revaluations', (req, res) => {
+  try { res.json({ success: true, data: query('SELECT * FROM acc_forex_revaluations ORDER BY revaluation_date DESC') }); }
+  catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/forex-revaluations/preview', (req, res) => {
+  try {
+    const { as_of_date } = req.query;
+    if (!as_of_date) return res.status(400).json({ success: false, error: 'as_of_date required' });
+    res.json({ success: true, data: forex.previewRevaluation(as_of_date) });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+app.get('/api/forex-revaluations/:id', (req, res) => {
+  try {
+    const revaluation = get('SELECT * FROM acc_forex_revaluations WHERE id = ?', [req.params.id]);
+    if (!revaluation) return res.status(404).json({ success: false, error: 'Revaluation not found' });
+    const lines = query('SELECT * FROM acc_forex_revaluation_lines WHERE revaluation_id = ? ORDER BY source_type, document_number', [req.params.id]);
+    res.json({ success: true, data: { ...revaluation, lines } });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/api/forex-revaluations', (req, res) => {
+  try {
+    const { as_of_date, bank_balances, notes } = req.body;
+    if (!as_of_date) return res.status(400).json({ success: false, error: 'as_of_date required' });
+    if (get('SELECT id FROM acc_forex_revaluations WHERE revaluation_date = ?', [as_of_date])) {
+      return res.status(409).json({ success: false, error: `Revaluation as of ${as_of_date} already posted` });
+    }
+    const result = forex.postRevaluation(as_of_date, { bank_balances, notes, user: req.user, override_reason: req.body.override_reason });
+    res.status(result.id ? 201 : 200).json({ success: true, data: result });
+  } catch (err) {
+    if (err.code === 'MISSING_RATE' || err.code === 'MISSING_ACCOUNT') return res.status(400).json({ success: false, error: err.message });
+    if (err.code === 'PERIOD_LOCKED') return res.status(err.status).json({ success: false, error: err.message, code: err.code, period: err.period });
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // Seed default currencies
 app.post('/api/init-currencies', (req, res) => {
   try {
@@ -411,6 +466,65 @@ app.post('/api/branches', (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// =============================================================================
+// DOCUMENT NUMBERING SERIES
+// =============================================================================
+
+app.get('/api/number-series', (req, res) => {
+  try {
+    const series = query(`SELECT ns.*, b.code as branch_code, b.name as branch_name,
+        (SELECT MAX(last_number) FROM acc_number_counters nc WHERE nc.series_id = ns.id) as last_number
+      FROM acc_number_series ns LEFT JOIN acc_branches b ON ns.branch_id = b.id
+      ORDER BY ns.document_type, ns.branch_id`);
+    res.json({ success: true, data: { series, document_types: numbering.listDocumentTypes() } });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/api/number-series', (req, res) => {
+  try {
+    const { document_type, name, branch_id, prefix, separator, padding, start_number, reset_policy, fy_start_month, include_branch_code } = req.body;
+    if (!document_type || !prefix) return res.status(400).json({ success: false, error: 'document_type and prefix required' });
+    if (!numbering.DEFAULT_SERIES[document_type]) return res.status(400).json({ success: false, error: `Unknown document_type '${document_type}'` });
+    if (branch_id && !get('SELECT id FROM acc_branches WHERE id = ?', [branch_id])) return res.status(404).json({ success: false, error: 'Branch not found' });
+    const clash = get('SELECT id FROM acc_number_series WHERE document_type = ? AND COALESCE(branch_id, \'\') = ? AND is_active = 1', [document_type, branch_id || '']);
+    if (clash) return res.status(409).json({ success: false, error: 'An active series already exists for this document type and branch' });
+
+    const id = uuidv4();
+    run(`INSERT INTO acc_number_series (id, document_type, name, branch_id, prefix, separator, padding, start_number, reset_policy, fy_start_month, include_branch_code)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, document_type, name || null, branch_id || null, prefix, separator ?? '/', padding || 5, start_number || 1, reset_policy || 'fiscal_year', fy_start_month || 4, include_branch_code === false ? 0 : 1]);
+    res.status(201).json({ success: true, data: get('SELECT * FROM acc_number_series WHERE id = ?', [id]) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Format changes apply to numbers issued from now on; counters are never rewound
+app.put('/api/number-series/:id', (req, res) => {
+  try {
+    const fields = ['name', 'prefix', 'separator', 'padding', 'start_number', 'reset_policy', 'fy_start_month', 'include_branch_code', 'is_active'];
+    const updates = []; const params = [];
+    fields.forEach(f => { if (req.body[f] !== undefined) { updates.push(`${f} = ?`); params.push(typeof req.body[f] === 'boolean' ? (req.body[f] ? 1 : 0) : req.body[f]); } });
+    if (updates.length) { params.push(req.params.id); run(`UPDATE acc_number_series SET ${updates.join(', ')}, updated_at = datetime('now') WHERE id = ?`, params); }
+    res.json({ success: true, data: get('SELECT * FROM acc_number_series WHERE id = ?', [req.params.id]) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/number-series/preview', (req, res) => {
+  try {
+    const { document_type, branch_id, date } = req.query;
+    if (!document_type) return res.status(400).json({ success: false, error: 'document_type required' });
+    res.json({ success: true, data: numbering.previewNumber(document_type, { branch_id, date }) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Issued and voided numbers, for auditing gaps in a series
+app.get('/api/number-series/:id/allocations', (req, res) => {
+  try {
+    const allocations = numbering.getAllocations(req.params.id, req.query.period_key);
+    const voided = allocations.filter(a => a.status === 'void');
+    res.json({ success: true, data: { allocations, issued: allocations.length - voided.length, voided: voided.length } });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
 // SPA fallback
 app.get('*', (req, res) => {
   if (req.accepts('html') && fs.existsSync(path.join(uiPath, 'index.html'))) {
@@ -420,6 +534,7 @@ app.get('*', (req, res) => {
 });
 
 initDb().then(() => {
+  initAuth({ query, run, get });
   app.listen(PORT, () => console.log(`Chart of Accounts (lite) on port ${PORT}`));
 }).catch(err => {
   console.error('Failed to init DB:', err);
@@ -9,7 +9,8 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const { nextNumber } = require('../shared/numbering');
 const { sendCSV } = require('../shared/csv-generator');
 
 const app = express();
@@ -17,6 +18,7 @@ const PORT = process.env.PORT || 8902;
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
@@ -90,7 +92,7 @@ app.post('/api/expense-claims', (req, res) => {
     const { employee_id, employee_name, claim_date, notes } = req.body;
     if (!employee_name) return res.status(400).json({ success: false, error: 'employee_name required' });
     const id = uuidv4();
-    const claimNumber = `EXP-${Date.now().toString(36).toUpperCase()}`;
+    const claimNumber = nextNumber('expense_claim', { date: claim_date, document_id: id });
     run('INSERT INTO acc_expense_claims (id, claim_number, employee_id, employee_name, claim_date, notes) VALUES (?, ?, ?, ?, ?, ?)',
       [id, claimNumber, employee_id || null, employee_name, claim_date || new Date().toISOString().split('T')[0], notes || null]);
     res.status(201).json({ success: true, data: get('SELECT * FROM acc_expense_claims WHERE id = ?', [id]) });
@@ -2,13 +2,17 @@
  * Financial Reports - Lite Version (SQLite)
  * Port: 8858
  * P&L, Balance Sheet, Cash Flow, Trial Balance
+ * Group consolidation across companies with inter-company eliminations
  */
 
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const { initDb, query, get } = require('../shared/db');
+const { v4: uuidv4 } = require('uuid');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const consolidation = require('../shared/consolidation');
+const cashFlow = require('../shared/cash-flow');
 const { sendCSV } = require('../shared/csv-generator');
 const { sendPDF, addHeader, addTable, fmtCurrency, fmtDate } = require('../shared/pdf-generator');
 
@@ -17,6 +21,7 @@ const PORT = process.env.PORT || 8858;
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
@@ -152,33 +157,31 @@ app.get('/api/reports/trial-balance', (req, res) => {
   }
 });
 
-// Cash Flow Statement (simplified)
+// Cash Flow Statement
+// method=indirect|direct, compare=previous_period|previous_year (or compare_start_date/compare_end_date)
+function cashFlowFromQuery(q) {
+  const start_date = q.start_date || q.from_date;
+  const end_date = q.end_date || q.to_date;
+  if (!start_date || !end_date) return null;
+  const comparative = q.compare_start_date && q.compare_end_date
+    ? { from: q.compare_start_date, to: q.compare_end_date }
+    : cashFlow.comparativePeriod(start_date, end_date, q.compare);
+  return cashFlow.cashFlowStatement(start_date, end_date, { method: q.method, comparative });
+}
+
 app.get('/api/reports/cash-flow', (req, res) => {
   try {
-    const start_date = req.query.start_date || req.query.from_date;
-    const end_date = req.query.end_date || req.query.to_date;
-    if (!start_date || !end_date) {
+    const statement = cashFlowFromQuery(req.query);
+    if (!statement) {
       return res.status(400).json({ success: false, error: 'start_date/from_date and end_date/to_date required' });
     }
-
-    const operating = query(`
-      SELECT 'Net Income' as description,
-        COALESCE(SUM(CASE WHEN at.category = 'revenue' THEN le.credit_amount - le.debit_amount ELSE 0 END), 0) -
-        COALESCE(SUM(CASE WHEN at.category = 'expense' THEN le.debit_amount - le.credit_amount ELSE 0 END), 0) as amount
-      FROM acc_ledger_entries le
-      JOIN acc_accounts a ON le.account_id = a.id
-      JOIN acc_account_types at ON a.account_type_id = at.id
-      WHERE le.entry_date BETWEEN ? AND ?
-    `, [start_date, end_date]);
-
     res.json({
       success: true,
       data: {
-        period: { start_date, end_date },
-        operating_activities: operating,
-        investing_activities: [],
-        financing_activities: [],
-        net_cash_change: operating[0]?.amount || 0
+        ...statement,
+        operating_activities: statement.sections.operating,
+        investing_activities: statement.sections.investing,
+        financing_activities: statement.sections.financing
       }
     });
   } catch (err) {
@@ -186,6 +189,34 @@ app.get('/api/reports/cash-flow', (req, res) => {
   }
 });
 
+app.get('/api/reports/cash-flow/classification', (req, res) => {
+  try {
+    res.json({ success: true, data: cashFlow.classifyAccounts() });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Tag accounts; a null cash_flow_category returns the account to automatic classification
+app.put('/api/reports/cash-flow/classification', (req, res) => {
+  try {
+    const { accounts } = req.body;
+    if (!Array.isArray(accounts) || !accounts.length) return res.status(400).json({ success: false, error: 'accounts required' });
+    const invalid = accounts.find(a => !a.account_id || (a.cash_flow_category && !cashFlow.CASH_FLOW_CATEGORIES.includes(a.cash_flow_category)));
+    if (invalid) return res.status(400).json({ success: false, error: `account_id and cash_flow_category (${cashFlow.CASH_FLOW_CATEGORIES.join(', ')}) required` });
+    for (const a of accounts) {
+      if (!get('SELECT id FROM acc_accounts WHERE id = ?', [a.account_id])) return res.status(404).json({ success: false, error: `Account ${a.account_id} not found` });
+    }
+    accounts.forEach(a => {
+      run("UPDATE acc_accounts SET cash_flow_category = ?, cash_flow_line = ?, updated_at = datetime('now') WHERE id = ?",
+        [a.cash_flow_category || null, a.cash_flow_line || null, a.account_id]);
+    });
+    res.json({ success: true, data: cashFlow.classifyAccounts() });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // Dashboard summary
 app.get('/api/reports/dashboard', (req, res) => {
   try {
@@ -263,6 +294,51 @@ app.get('/api/reports/profit-loss/export/pdf', (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+const CASH_FLOW_SECTION_TITLES = { operating: 'Operating Activities', investing: 'Investing Activities', financing: 'Financing Activities' };
+
+app.get('/api/reports/cash-flow/export/csv', (req, res) => {
+  try {
+    const statement = cashFlowFromQuery(req.query);
+    if (!statement) return res.status(400).json({ success: false, error: 'start_date and end_date required' });
+    const rows = [];
+    cashFlow.SECTIONS.forEach(s => {
+      statement.sections[s].forEach(i => rows.push({ section: CASH_FLOW_SECTION_TITLES[s], ...i }));
+      rows.push({ section: CASH_FLOW_SECTION_TITLES[s], description: `Net cash from ${s} activities`, amount: statement.totals[s], comparative_amount: statement.comparative?.totals[s] });
+    });
+    rows.push({ section: 'Summary', description: 'Net change in cash', amount: statement.net_cash_change, comparative_amount: statement.comparative?.net_cash_change });
+    rows.push({ section: 'Summary', description: 'Opening cash', amount: statement.opening_cash, comparative_amount: statement.comparative?.opening_cash });
+    rows.push({ section: 'Summary', description: 'Closing cash', amount: statement.closing_cash, comparative_amount: statement.comparative?.closing_cash });
+    const columns = [{ key: 'section', label: 'Section' }, { key: 'description', label: 'Description' }, { key: 'amount', label: `${statement.period.start_date} to ${statement.period.end_date}` }];
+    if (statement.comparative) columns.push({ key: 'comparative_amount', label: `${statement.comparative.period.start_date} to ${statement.comparative.period.end_date}` });
+    sendCSV(res, rows, columns, `cash_flow_${statement.method}.csv`);
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/reports/cash-flow/export/pdf', (req, res) => {
+  try {
+    const statement = cashFlowFromQuery(req.query);
+    if (!statement) return res.status(400).json({ success: false, error: 'start_date and end_date required' });
+    const prior = statement.comparative;
+    const cols = [{ key: 'description', label: 'Description', width: 4 }, { key: 'amount', label: 'Current', width: 1.5, align: 'right', formatter: fmtCurrency }];
+    if (prior) cols.push({ key: 'comparative_amount', label: 'Comparative', width: 1.5, align: 'right', formatter: fmtCurrency });
+    const totalLine = (label, current, previous) => `${label}: ${fmtCurrency(current)}${prior ? `  (comparative ${fmtCurrency(previous)})` : ''}`;
+    sendPDF(res, (doc) => {
+      const method = statement.method === 'direct' ? 'Direct Method' : 'Indirect Method';
+      addHeader(doc, `Cash Flow Statement (${method})`, `${fmtDate(statement.period.start_date)} to ${fmtDate(statement.period.end_date)}${prior ? ` | Comparative ${fmtDate(prior.period.start_date)} to ${fmtDate(prior.period.end_date)}` : ''}`);
+      cashFlow.SECTIONS.forEach(s => {
+        doc.fontSize(11).fillColor('#1e293b').text(CASH_FLOW_SECTION_TITLES[s]);
+        doc.moveDown(0.3);
+        addTable(doc, cols, statement.sections[s]);
+        doc.fontSize(10).text(totalLine(`Net cash from ${s} activities`, statement.totals[s], prior?.totals[s]), { align: 'right' });
+        doc.moveDown(0.5);
+      });
+      doc.fontSize(10).text(totalLine('Opening cash', statement.opening_cash, prior?.opening_cash), { align: 'right' });
+      doc.fontSize(12).text(totalLine('Net change in cash', statement.net_cash_change, prior?.net_cash_change), { align: 'right' });
+      doc.fontSize(10).text(totalLine('Closing cash', statement.closing_cash, prior?.closing_cash), { align: 'right' });
+    }, `cash_flow_${statement.method}.pdf`);
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
 app.get('/api/reports/balance-sheet/export/pdf', (req, res) => {
   try {
     const asOf = req.query.as_of_date || new Date().toISOString().split('T')[0];
@@ -456,6 +532,141 @@ app.get('/api/reports/budget-variance', (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// =============================================================================
+// GROUP CONSOLIDATION
+// =============================================================================
+
+function consolidationErrorStatus(err) {
+  if (err.code === 'NOT_FOUND') return 404;
+  if (err.code === 'MISSING_RATE' || err.code === 'INVALID') return 400;
+  return 500;
+}
+
+app.get('/api/consolidation/groups', (req, res) => {
+  try { res.json({ success: true, data: query('SELECT * FROM acc_consolidation_groups ORDER BY code') }); }
+  catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/api/consolidation/groups', (req, res) => {
+  try {
+    const { code, name, reporting_currency, company_ids } = req.body;
+    if (!code || !name) return res.status(400).json({ success: false, error: 'code and name required' });
+    if (get('SELECT id FROM acc_consolidation_groups WHERE code = ?', [code])) return res.status(400).json({ success: false, error: 'Group code already exists' });
+    const id = uuidv4();
+    run('INSERT INTO acc_consolidation_groups (id, code, name, reporting_currency) VALUES (?, ?, ?, ?)', [id, code, name, reporting_currency || 'INR']);
+    (company_ids || []).forEach(companyId => {
+      run('INSERT OR IGNORE INTO acc_consolidation_members (id, group_id, company_id) VALUES (?, ?, ?)', [uuidv4(), id, companyId]);
+    });
+    res.status(201).json({ success: true, data: consolidation.loadGroup(id) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/consolidation/groups/:id', (req, res) => {
+  try {
+    const group = consolidation.loadGroup(req.params.id);
+    if (!group) return res.status(404).json({ success: false, error: 'Consolidation group not found' });
+    res.json({ success: true, data: group });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.put('/api/consolidation/groups/:id', (req, res) => {
+  try {
+    const group = get('SELECT * FROM acc_consolidation_groups WHERE id = ?', [req.params.id]);
+    if (!group) return res.status(404).json({ success: false, error: 'Consolidation group not found' });
+    const { name, reporting_currency, difference_account_id, is_active } = req.body;
+    if (difference_account_id && !get('SELECT id FROM acc_group_accounts WHERE id = ? AND group_id = ?', [difference_account_id, req.params.id])) {
+      return res.status(400).json({ success: false, error: 'difference_account_id must be a group account of this group' });
+    }
+    run(`UPDATE acc_consolidation_groups SET name = COALESCE(?, name), reporting_currency = COALESCE(?, reporting_currency),
+      difference_account_id = COALESCE(?, difference_account_id), is_active = COALESCE(?, is_active), updated_at = datetime('now') WHERE id = ?`,
+      [name ?? null, reporting_currency ?? null, difference_account_id ?? null, is_active ?? null, req.params.id]);
+    res.json({ success: true, data: consolidation.loadGroup(req.params.id) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/api/consolidation/groups/:id/members', (req, res) => {
+  try {
+    const { company_id } = req.body;
+    if (!company_id) return res.status(400).json({ success: false, error: 'company_id required' });
+    if (!get('SELECT id FROM acc_consolidation_groups WHERE id = ?', [req.params.id])) return res.status(404).json({ success: false, error: 'Consolidation group not found' });
+    if (company_id !== 'default' && !get('SELECT id FROM acc_companies WHERE id = ?', [company_id])) return res.status(404).json({ success: false, error: 'Company not found' });
+    run('INSERT OR IGNORE INTO acc_consolidation_members (id, group_id, company_id) VALUES (?, ?, ?)', [uuidv4(), req.params.id, company_id]);
+    res.status(201).json({ success: true, data: consolidation.loadGroup(req.params.id).members });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.delete('/api/consolidation/groups/:id/members/:company_id', (req, res) => {
+  try {
+    run('DELETE FROM acc_consolidation_members WHERE group_id = ? AND company_id = ?', [req.params.id, req.params.company_id]);
+    run(`DELETE FROM acc_consolidation_account_map WHERE group_id = ? AND account_id IN (SELECT id FROM acc_accounts WHERE COALESCE(company_id, 'default') = ?)`, [req.params.id, req.params.company_id]);
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/api/consolidation/groups/:id/accounts', (req, res) => {
+  try {
+    const { account_code, account_name, category } = req.body;
+    if (!account_code || !account_name || !category) return res.status(400).json({ success: false, error: 'account_code, account_name, category required' });
+    if (!get('SELECT id FROM acc_consolidation_groups WHERE id = ?', [req.params.id])) return res.status(404).json({ success: false, error: 'Consolidation group not found' });
+    if (get('SELECT id FROM acc_group_accounts WHERE group_id = ? AND account_code = ?', [req.params.id, account_code])) return res.status(400).json({ success: false, error: 'Account code already exists' });
+    const id = uuidv4();
+    run('INSERT INTO acc_group_accounts (id, group_id, account_code, account_name, category) VALUES (?, ?, ?, ?, ?)', [id, req.params.id, account_code, account_name, category]);
+    res.status(201).json({ success: true, data: get('SELECT * FROM acc_group_accounts WHERE id = ?', [id]) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Map member accounts to group accounts; inter-company accounts also name the counterparty company
+app.put('/api/consolidation/groups/:id/account-map', (req, res) => {
+  try {
+    const { mappings } = req.body;
+    if (!Array.isArray(mappings) || !mappings.length) return res.status(400).json({ success: false, error: 'mappings required' });
+    const group = consolidation.loadGroup(req.params.id);
+    if (!group) return res.status(404).json({ success: false, error: 'Consolidation group not found' });
+    const memberIds = group.members.map(m => m.company_id);
+    const errors = [];
+    mappings.forEach((m, idx) => {
+      const account = get('SELECT id, company_id FROM acc_accounts WHERE id = ?', [m.account_id]);
+      if (!account) errors.push(`mappings[${idx}]: account not found`);
+      else if (!memberIds.includes(account.company_id || 'default')) errors.push(`mappings[${idx}]: account belongs to a company outside the group`);
+      if (!group.accounts.some(a => a.id === m.group_account_id)) errors.push(`mappings[${idx}]: group account not found`);
+      if (m.intercompany_type && !m.counterparty_company_id) errors.push(`mappings[${idx}]: counterparty_company_id required for inter-company accounts`);
+    });
+    if (errors.length) return res.status(400).json({ success: false, error: errors.join('; ') });
+
+    mappings.forEach(m => {
+      run('DELETE FROM acc_consolidation_account_map WHERE group_id = ? AND account_id = ?', [req.params.id, m.account_id]);
+      run('INSERT INTO acc_consolidation_account_map (id, group_id, account_id, group_account_id, intercompany_type, counterparty_company_id) VALUES (?, ?, ?, ?, ?, ?)',
+        [uuidv4(), req.params.id, m.account_id, m.group_account_id, m.intercompany_type || null, m.intercompany_type ? m.counterparty_company_id : null]);
+    });
+    res.json({ success: true, data: consolidation.loadGroup(req.params.id).mappings });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/consolidation/groups/:id/trial-balance', (req, res) => {
+  try {
+    const asOf = req.query.as_of_date || new Date().toISOString().split('T')[0];
+    res.json({ success: true, data: consolidation.trialBalance(req.params.id, asOf) });
+  } catch (err) { res.status(consolidationErrorStatus(err)).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/consolidation/groups/:id/profit-loss', (req, res) => {
+  try {
+    const start_date = req.query.start_date || req.query.from_date;
+    const end_date = req.query.end_date || req.query.to_date;
+    if (!start_date || !end_date) {
+      return res.status(400).json({ success: false, error: 'start_date/from_date and end_date/to_date required' });
+    }
+    res.json({ success: true, data: consolidation.profitLoss(req.params.id, start_date, end_date) });
+  } catch (err) { res.status(consolidationErrorStatus(err)).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/consolidation/groups/:id/balance-sheet', (req, res) => {
+  try {
+    const asOf = req.query.as_of_date || new Date().toISOString().split('T')[0];
+    res.json({ success: true, data: consolidation.balanceSheet(req.params.id, asOf) });
+  } catch (err) { res.status(consolidationErrorStatus(err)).json({ success: false, error: err.message }); }
+});
+
 // =============================================================================
 // DATA BACKUP & RESTORE
 // =============================================================================
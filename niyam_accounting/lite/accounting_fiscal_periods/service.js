@@ -9,15 +9,17 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
 const { sendCSV } = require('../shared/csv-generator');
 const { sendPDF, addHeader, addTable, fmtDate } = require('../shared/pdf-generator');
+const { periodLock, nextOpenDate } = require('../shared/posting-guard');
 
 const app = express();
 const PORT = process.env.PORT || 8859;
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
@@ -138,6 +140,62 @@ app.post('/api/periods/:id/reopen', (req, res) => {
   }
 });
 
+// Soft lock: postings need an override reason from a user with fiscal_periods 'update'
+app.post('/api/periods/:id/soft-lock', (req, res) => {
+  try {
+    const period = get('SELECT * FROM acc_fiscal_periods WHERE id = ?', [req.params.id]);
+    if (!period) return res.status(404).json({ success: false, error: 'Period not found' });
+    if (period.status === 'closed') return res.status(400).json({ success: false, error: 'Period is closed' });
+
+    run("UPDATE acc_fiscal_periods SET soft_locked = 1, soft_locked_at = datetime('now'), updated_at = datetime('now') WHERE id = ?", [req.params.id]);
+    res.json({ success: true, data: get('SELECT * FROM acc_fiscal_periods WHERE id = ?', [req.params.id]) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/periods/:id/soft-unlock', (req, res) => {
+  try {
+    run("UPDATE acc_fiscal_periods SET soft_locked = 0, soft_locked_at = NULL, updated_at = datetime('now') WHERE id = ?", [req.params.id]);
+    const updated = get('SELECT * FROM acc_fiscal_periods WHERE id = ?', [req.params.id]);
+    if (!updated) return res.status(404).json({ success: false, error: 'Not found' });
+    res.json({ success: true, data: updated });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Whether a date is open for posting, and where a redirected posting would land
+app.get('/api/periods/posting-status', (req, res) => {
+  try {
+    const { date } = req.query;
+    if (!date) return res.status(400).json({ success: false, error: 'date required' });
+    const { period, lock } = periodLock(date);
+    res.json({ success: true, data: { date, period, lock, is_open: !lock, next_open_date: lock ? nextOpenDate(date) : date } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Postings let through a locked period by override, or moved to the next open period
+app.get('/api/periods/lock-events', (req, res) => {
+  try {
+    const { period_id, action, source, from_date, to_date } = req.query;
+    let sql = `SELECT e.*, fp.name as period_name, u.username FROM acc_period_lock_events e
+      JOIN acc_fiscal_periods fp ON e.period_id = fp.id LEFT JOIN acc_users u ON e.user_id = u.id WHERE 1=1`;
+    const params = [];
+    if (period_id) { sql += ' AND e.period_id = ?'; params.push(period_id); }
+    if (action) { sql += ' AND e.action = ?'; params.push(action); }
+    if (source) { sql += ' AND e.source = ?'; params.push(source); }
+    if (from_date) { sql += ' AND e.requested_date >= ?'; params.push(from_date); }
+    if (to_date) { sql += ' AND e.requested_date <= ?'; params.push(to_date); }
+    sql += ' ORDER BY e.created_at DESC';
+    res.json({ success: true, data: query(sql, params) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // Budgets
 app.get('/api/budgets', (req, res) => {
   try {
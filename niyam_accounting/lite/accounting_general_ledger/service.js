@@ -8,17 +8,19 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
 const { sendCSV } = require('../shared/csv-generator');
 const { sendPDF, sendLandscapePDF, addHeader, addTable, fmtCurrency, fmtDate } = require('../shared/pdf-generator');
 const { initAudit, getAuditLog, getRecordHistory, cleanupAuditLog } = require('../shared/audit');
 const { initAuth, login, logout, authMiddleware } = require('../shared/auth');
+const { checkPosting, requestOptions, lockedResponse } = require('../shared/posting-guard');
 
 const app = express();
 const PORT = process.env.PORT || 8852;
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 app.use(authMiddleware);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
@@ -124,6 +126,8 @@ app.post('/api/ledger', (req, res) => {
 
     const account = get('SELECT * FROM acc_accounts WHERE id = ?', [account_id]);
     if (!account) return res.status(404).json({ success: false, error: 'Account not found' });
+    const guard = checkPosting(entry_date, requestOptions(req, 'general_ledger', 'ledger_entry', journal_entry_id));
+    if (!guard.allowed) return lockedResponse(res, guard);
 
     const id = uuidv4();
     const debit = debit_amount || 0;
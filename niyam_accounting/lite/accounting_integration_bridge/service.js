@@ -9,25 +9,33 @@
  * - retail.billing.invoice.created
  * - retail.billing.payment.received
  * - retail.pos.sale.completed
+ * - retail.pos.return.completed
+ * - retail.pos.cash.movement
  * - retail.inventory.purchase.received
  * - hospitality.billing.payment_received
  * - hospitality.front_office.checked_out
  * - restaurant.order.paid
  * - hospitality.room_service.charge
+ * - accounting.inventory.issue.costed
+ * - accounting.inventory.revalued
  */
 
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, lockDb, releaseLock, writeLock } = require('../shared/db');
+const { nextNumber } = require('../shared/numbering');
+const { assertPostingAllowed } = require('../shared/posting-guard');
 
 const app = express();
 const PORT = process.env.PORT || 8860;
 
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
+app.use(writeLock);
 
 // =============================================================================
 // DEFAULT ACCOUNT MAPPINGS
@@ -48,6 +56,38 @@ const DEFAULT_ACCOUNT_MAPPINGS = {
   cost_of_goods_sold: 'COGS-001',
   purchase_expense: 'PURCH-001',
   fnb_cost: 'FNB-COST-001',
+  cgst_payable: 'CGST-PAY-001',
+  sgst_payable: 'SGST-PAY-001',
+  igst_payable: 'IGST-PAY-001',
+  cess_payable: 'CESS-PAY-001',
+  card_clearing: 'CARD-CLR-001',
+  upi_clearing: 'UPI-CLR-001',
+  sales_discount: 'SALES-DISC-001',
+  service_charge_revenue: 'SVC-CHG-001',
+  tips_payable: 'TIPS-PAY-001',
+  round_off: 'ROUND-OFF-001',
+  inventory_adjustment: 'INV-ADJ-001',
+  inventory_revaluation: 'INV-REVAL-001',
+  gift_card_liability: 'GC-LIAB-001',
+  loyalty_liability: 'LOYALTY-LIAB-001',
+  cash_float: 'CASH-FLOAT-001',
+  petty_cash_expense: 'PETTY-EXP-001',
+};
+
+// Used when the more specific account hasn't been set up yet, so existing books keep posting
+const MAPPING_FALLBACKS = {
+  cgst_payable: 'gst_payable',
+  sgst_payable: 'gst_payable',
+  igst_payable: 'gst_payable',
+  cess_payable: 'gst_payable',
+  card_clearing: 'bank',
+  upi_clearing: 'bank',
+  service_charge_revenue: 'service_revenue',
+  inventory_adjustment: 'cost_of_goods_sold',
+  inventory_revaluation: 'accounts_payable',
+  loyalty_liability: 'sales_discount',
+  cash_float: 'bank',
+  petty_cash_expense: 'purchase_expense',
 };
 
 function getAccountByCode(code) {
@@ -60,24 +100,71 @@ function getAccountMapping(mappingKey) {
   const defaultCode = DEFAULT_ACCOUNT_MAPPINGS[mappingKey];
   if (defaultCode) {
     const account = getAccountByCode(defaultCode);
-    return account?.id || null;
+    if (account) return account.id;
   }
+  if (MAPPING_FALLBACKS[mappingKey]) return getAccountMapping(MAPPING_FALLBACKS[mappingKey]);
   return null;
 }
 
+// Throws a MISSING_MAPPING error naming every unresolved key, so the event can be
+// dead-lettered and replayed once someone fixes the mappings
+function requireMappings(resolved) {
+  const missing = Object.keys(resolved).filter(key => !resolved[key]);
+  if (missing.length) {
+    const err = new Error(`Missing account mappings: ${missing.join(', ')}`);
+    err.code = 'MISSING_MAPPING';
+    err.missing = missing;
+    throw err;
+  }
+}
+
+function invalidPayload(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_PAYLOAD';
+  return err;
+}
+
 // =============================================================================
 // JOURNAL ENTRY CREATION
 // =============================================================================
 
+// Auto-posted entries dated in a closed or soft-locked period move to the next open period instead of failing
+const REDIRECT_LOCKED_PERIODS = process.env.BRIDGE_REDIRECT_LOCKED_PERIODS === 'true';
+
 function createJournalEntry(entryData) {
-  const count = get('SELECT COUNT(*) as cnt FROM acc_journal_entries');
-  const entryNumber = `JE-${String((count?.cnt || 0) + 1).padStart(6, '0')}`;
+  // Never post the same source document twice, whichever path it arrives by
+  if (entryData.reference_type && entryData.reference_id) {
+    const existing = get(`SELECT id, entry_number FROM acc_journal_entries
+      WHERE source_system = ? AND reference_type = ? AND reference_id = ? AND status NOT IN ('void','reversed')`,
+      [entryData.source_system || 'integration_bridge', entryData.reference_type, entryData.reference_id]);
+    if (existing) {
+      console.log(`[Bridge] Journal entry ${existing.entry_number} already exists for ${entryData.reference_type}:${entryData.reference_id}`);
+      return { id: existing.id, entry_number: existing.entry_number, duplicate: true };
+    }
+  }
+
+  let entryDate = entryData.date || new Date().toISOString().split('T')[0];
+  let description = entryData.description;
+  let redirectedFrom = null;
+  if (entryData.auto_post) {
+    const guard = assertPostingAllowed(entryDate, {
+      source: entryData.source_system || 'integration_bridge', reference_type: entryData.reference_type,
+      reference_id: entryData.reference_id, redirect: REDIRECT_LOCKED_PERIODS
+    });
+    if (guard.redirected_from) {
+      redirectedFrom = guard.redirected_from;
+      entryDate = guard.date;
+      description = `${description} (dated ${redirectedFrom}, period locked)`;
+    }
+  }
+
   const jeId = uuidv4();
+  const entryNumber = nextNumber('journal_entry', { date: entryDate, branch_id: entryData.branch_id, document_id: jeId });
 
   run(`INSERT INTO acc_journal_entries (id, entry_number, entry_date, entry_type, description, reference_type, reference_id, source_system, status)
     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'draft')`,
-    [jeId, entryNumber, entryData.date || new Date().toISOString().split('T')[0], entryData.entry_type || 'STD',
-      entryData.description, entryData.reference_type, entryData.reference_id, entryData.source_system || 'integration_bridge']);
+    [jeId, entryNumber, entryDate, entryData.entry_type || 'STD',
+      description, entryData.reference_type, entryData.reference_id, entryData.source_system || 'integration_bridge']);
 
   let totalDebit = 0, totalCredit = 0;
 
@@ -85,20 +172,28 @@ function createJournalEntry(entryData) {
     const line = entryData.lines[i];
     run(`INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount)
       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [uuidv4(), jeId, i + 1, line.account_id, line.description || entryData.description, line.debit_amount || 0, line.credit_amount || 0]);
+      [uuidv4(), jeId, i + 1, line.account_id, line.description || description, line.debit_amount || 0, line.credit_amount || 0]);
     totalDebit += (line.debit_amount || 0);
     totalCredit += (line.credit_amount || 0);
   }
 
   run('UPDATE acc_journal_entries SET total_debit = ?, total_credit = ? WHERE id = ?', [totalDebit, totalCredit, jeId]);
 
+  // Rate-wise GST of POS and hospitality sales, picked up by the GST returns in the tax engine
+  for (const tl of entryData.tax_lines || []) {
+    run(`INSERT INTO acc_sales_tax_lines (id, journal_entry_id, source_system, reference_type, reference_id, transaction_date, place_of_supply, hsn_code, gst_rate, taxable_amount, cgst_amount, sgst_amount, igst_amount, cess_amount)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), jeId, entryData.source_system || 'integration_bridge', entryData.reference_type || null, entryData.reference_id || null,
+        entryDate, entryData.place_of_supply || null, tl.hsn_code, tl.gst_rate,
+        tl.taxable_amount, tl.cgst_amount, tl.sgst_amount, tl.igst_amount, tl.cess_amount]);
+  }
+
   // Auto-post if balanced
   if (Math.abs(totalDebit - totalCredit) < 0.01 && entryData.auto_post) {
     run("UPDATE acc_journal_entries SET status = 'posted', posted_at = datetime('now') WHERE id = ?", [jeId]);
 
     // Update ledger
     const lines = query('SELECT * FROM acc_journal_lines WHERE journal_entry_id = ?', [jeId]);
-    const entryDate = entryData.date || new Date().toISOString().split('T')[0];
     for (const jl of lines) {
       const account = get('SELECT * FROM acc_accounts WHERE id = ?', [jl.account_id]);
       if (!account) continue;
@@ -111,7 +206,207 @@ function createJournalEntry(entryData) {
   }
 
   console.log(`[Bridge] Created journal entry ${entryNumber} for ${entryData.reference_type}:${entryData.reference_id}`);
-  return { id: jeId, entry_number: entryNumber };
+  return redirectedFrom ? { id: jeId, entry_number: entryNumber, entry_date: entryDate, redirected_from: redirectedFrom } : { id: jeId, entry_number: entryNumber };
+}
+
+// =============================================================================
+// SALE BREAKDOWN (GST components, discount, charges, tenders)
+// =============================================================================
+
+// Card and UPI settle through clearing accounts until the acquirer pays out to the bank
+const TENDER_MAPPINGS = {
+  cash: 'cash',
+  card: 'card_clearing',
+  credit_card: 'card_clearing',
+  debit_card: 'card_clearing',
+  upi: 'upi_clearing',
+  bank: 'bank',
+  bank_transfer: 'bank',
+  cheque: 'bank',
+  room_charge: 'guest_ledger',
+  credit: 'accounts_receivable',
+  on_account: 'accounts_receivable',
+  gift_card: 'gift_card_liability',
+  loyalty_points: 'loyalty_liability',
+};
+
+const TAX_COMPONENTS = ['cgst', 'sgst', 'igst', 'cess'];
+
+const GST_SLABS = [0, 0.1, 0.25, 1, 1.5, 3, 5, 12, 18, 28, 40];
+
+// A shortfall or excess below this is booked as round-off when the sender didn't state one
+const MAX_IMPLICIT_ROUND_OFF = 1;
+
+// Paise lost rounding each component separately; absorbed into revenue rather than round-off
+const COMPONENT_ROUNDING = 0.05;
+
+function round2(n) {
+  return Math.round((n || 0) * 100) / 100;
+}
+
+// First value that is actually a number; payloads from different apps name the same field differently
+function firstAmount(...values) {
+  for (const v of values) {
+    if (v !== undefined && v !== null && v !== '' && !isNaN(v)) return Number(v);
+  }
+  return 0;
+}
+
+// Tenders not listed above are booked to a tender_<method> mapping; until one is
+// set up the event is dead-lettered rather than posted as cash
+function tenderAccountKey(method, fallbackKey = 'cash') {
+  if (!method) return fallbackKey;
+  const normalized = String(method).toLowerCase();
+  if (TENDER_MAPPINGS[normalized]) return TENDER_MAPPINGS[normalized];
+  const key = `tender_${normalized}`;
+  if (!get('SELECT id FROM acc_account_mappings WHERE mapping_key = ?', [key])) requireMappings({ [key]: null });
+  return key;
+}
+
+// One GST rate slab; a lump-sum tax_amount is split CGST/SGST, or IGST for inter-state supplies
+function normalizeTaxLine(t, interState) {
+  const line = {
+    gst_rate: t.rate ?? t.gst_rate ?? null,
+    hsn_code: t.hsn_code || t.sac_code || null,
+    taxable_amount: round2(firstAmount(t.taxable_amount, t.taxable_value)),
+  };
+  TAX_COMPONENTS.forEach(c => { line[`${c}_amount`] = round2(firstAmount(t[`${c}_amount`], t[c])); });
+
+  const lumpSum = round2(firstAmount(t.tax_amount));
+  if (lumpSum && !(line.cgst_amount || line.sgst_amount || line.igst_amount)) {
+    if (interState) {
+      line.igst_amount = lumpSum;
+    } else {
+      line.cgst_amount = round2(lumpSum / 2);
+      line.sgst_amount = round2(lumpSum - line.cgst_amount);
+    }
+  }
+  return line;
+}
+
+/**
+ * Break a sale payload into what the customer was charged and how they paid.
+ *
+ * Accepts an itemised `taxes` array ([{ rate, taxable_amount, cgst_amount, sgst_amount,
+ * igst_amount, cess_amount, hsn_code }]) or a lump-sum `tax`/`tax_amount`, plus
+ * subtotal (before discount), discount_amount, service_charge, tip, round_off and
+ * `payments` ([{ method, amount }], with change_amount given back in cash).
+ * Older payloads that only carry total_amount and tax still post; the revenue is
+ * whatever is left after tax and charges.
+ */
+function buildSaleBreakdown(payload, defaultTenderKey = 'cash') {
+  const interState = !!(payload.is_interstate || payload.supply_type === 'inter_state');
+  const total = round2(firstAmount(payload.total_amount, payload.total, payload.amount));
+  const discount = round2(firstAmount(payload.discount_amount, payload.discount));
+  const serviceCharge = round2(firstAmount(payload.service_charge));
+  const tip = round2(firstAmount(payload.tip_amount, payload.tip));
+
+  let taxLines = [];
+  if (Array.isArray(payload.taxes) && payload.taxes.length) {
+    taxLines = payload.taxes.map(t => normalizeTaxLine(t, interState));
+  } else {
+    const single = normalizeTaxLine({
+      rate: payload.gst_rate, tax_amount: firstAmount(payload.tax_amount, payload.tax),
+      cgst_amount: payload.cgst_amount, sgst_amount: payload.sgst_amount,
+      igst_amount: payload.igst_amount, cess_amount: payload.cess_amount,
+    }, interState);
+    if (TAX_COMPONENTS.some(c => single[`${c}_amount`])) taxLines = [single];
+  }
+
+  const taxTotals = {};
+  TAX_COMPONENTS.forEach(c => { taxTotals[c] = round2(taxLines.reduce((s, t) => s + t[`${c}_amount`], 0)); });
+  const totalTax = round2(TAX_COMPONENTS.reduce((s, c) => s + taxTotals[c], 0));
+
+  let gross;
+  if (payload.subtotal !== undefined && payload.subtotal !== null && payload.subtotal !== '') {
+    gross = round2(payload.subtotal);
+  } else if (taxLines.length && taxLines.every(t => t.taxable_amount > 0)) {
+    gross = round2(taxLines.reduce((s, t) => s + t.taxable_amount, 0) + discount);
+  } else {
+    gross = round2(total - totalTax - serviceCharge - tip + discount);
+  }
+
+  // A single slab without its own taxable value covers the whole net sale
+  if (taxLines.length === 1 && !taxLines[0].taxable_amount) taxLines[0].taxable_amount = round2(gross - discount);
+  // Rate inferred from amounts lands on the nearest slab unless it is clearly something else
+  taxLines.forEach(t => {
+    if (t.gst_rate === null && t.taxable_amount > 0) {
+      const effective = (t.cgst_amount + t.sgst_amount + t.igst_amount) / t.taxable_amount * 100;
+      const slab = GST_SLABS.reduce((best, r) => (Math.abs(r - effective) < Math.abs(best - effective) ? r : best), GST_SLABS[0]);
+      t.gst_rate = Math.abs(slab - effective) <= 0.5 ? slab : round2(effective);
+    }
+  });
+
+  let tenders;
+  if (Array.isArray(payload.payments) && payload.payments.length) {
+    tenders = payload.payments.map(p => ({
+      method: p.method || p.payment_method || 'cash',
+      key: tenderAccountKey(p.method || p.payment_method),
+      amount: round2(firstAmount(p.amount)),
+    }));
+  } else {
+    tenders = [{ method: payload.payment_method || null, key: tenderAccountKey(payload.payment_method, defaultTenderKey), amount: total }];
+  }
+
+  const change = round2(firstAmount(payload.change_amount, payload.change_given));
+  if (change > 0) {
+    const cashTender = tenders.find(t => t.key === 'cash');
+    if (!cashTender || cashTender.amount < change) throw invalidPayload(`Change of ${change} given without enough cash tendered`);
+    cashTender.amount = round2(cashTender.amount - change);
+  }
+
+  const received = round2(tenders.reduce((s, t) => s + t.amount, 0));
+  if (Array.isArray(payload.payments) && payload.payments.length && total && Math.abs(received - total) > 0.01) {
+    throw invalidPayload(`Payments (${received}) do not add up to the sale total (${total})`);
+  }
+
+  const statedRoundOff = payload.round_off !== undefined && payload.round_off !== null && payload.round_off !== '';
+  let charged = round2(gross - discount + totalTax + serviceCharge + tip);
+  if (!statedRoundOff && received !== charged && Math.abs(received - charged) <= COMPONENT_ROUNDING) {
+    gross = round2(gross + received - charged);
+    charged = received;
+  }
+  const roundOff = statedRoundOff ? round2(payload.round_off) : round2(received - charged);
+  if (Math.abs(round2(received - charged - roundOff)) > 0.01 || (!statedRoundOff && Math.abs(roundOff) >= MAX_IMPLICIT_ROUND_OFF)) {
+    throw invalidPayload(`Sale does not balance: received ${received}, charged ${charged}${statedRoundOff ? `, round-off ${roundOff}` : ''}`);
+  }
+
+  return { gross, discount, taxLines, taxTotals, totalTax, serviceCharge, tip, roundOff, tenders, total: received };
+}
+
+// Journal lines for a sale breakdown; revenueKey is where the net goods/services value goes
+function saleLines(breakdown, revenueKey, label) {
+  const accounts = { [revenueKey]: getAccountMapping(revenueKey) };
+  breakdown.tenders.forEach(t => { if (t.amount) accounts[t.key] = getAccountMapping(t.key); });
+  if (breakdown.discount) accounts.sales_discount = getAccountMapping('sales_discount');
+  TAX_COMPONENTS.forEach(c => { if (breakdown.taxTotals[c]) accounts[`${c}_payable`] = getAccountMapping(`${c}_payable`); });
+  if (breakdown.serviceCharge) accounts.service_charge_revenue = getAccountMapping('service_charge_revenue');
+  if (breakdown.tip) accounts.tips_payable = getAccountMapping('tips_payable');
+  if (breakdown.roundOff) accounts.round_off = getAccountMapping('round_off');
+  requireMappings(accounts);
+
+  const lines = [];
+  const byAccount = {};
+  breakdown.tenders.forEach(t => {
+    if (!t.amount) return;
+    if (!byAccount[t.key]) {
+      byAccount[t.key] = { account_id: accounts[t.key], debit_amount: 0, credit_amount: 0, description: `${label} - ${t.method || t.key}` };
+      lines.push(byAccount[t.key]);
+    }
+    byAccount[t.key].debit_amount = round2(byAccount[t.key].debit_amount + t.amount);
+  });
+
+  if (breakdown.discount) lines.push({ account_id: accounts.sales_discount, debit_amount: breakdown.discount, credit_amount: 0, description: `Discount - ${label}` });
+  lines.push({ account_id: accounts[revenueKey], debit_amount: 0, credit_amount: breakdown.gross, description: `Sales - ${label}` });
+  TAX_COMPONENTS.forEach(c => {
+    if (breakdown.taxTotals[c]) lines.push({ account_id: accounts[`${c}_payable`], debit_amount: 0, credit_amount: breakdown.taxTotals[c], description: `${c.toUpperCase()} - ${label}` });
+  });
+  if (breakdown.serviceCharge) lines.push({ account_id: accounts.service_charge_revenue, debit_amount: 0, credit_amount: breakdown.serviceCharge, description: `Service charge - ${label}` });
+  if (breakdown.tip) lines.push({ account_id: accounts.tips_payable, debit_amount: 0, credit_amount: breakdown.tip, description: `Tips payable - ${label}` });
+  if (breakdown.roundOff > 0) lines.push({ account_id: accounts.round_off, debit_amount: 0, credit_amount: breakdown.roundOff, description: 'Round-off' });
+  if (breakdown.roundOff < 0) lines.push({ account_id: accounts.round_off, debit_amount: -breakdown.roundOff, credit_amount: 0, description: 'Round-off' });
+
+  return lines;
 }
 
 // =============================================================================
@@ -122,7 +417,7 @@ function handleInvoiceCreated(payload) {
   const arAccount = getAccountMapping('accounts_receivable');
   const revenueAccount = getAccountMapping('sales_revenue');
   const gstAccount = getAccountMapping('gst_payable');
-  if (!arAccount || !revenueAccount) return null;
+  requireMappings({ accounts_receivable: arAccount, sales_revenue: revenueAccount });
 
   const lines = [
     { account_id: arAccount, debit_amount: payload.total_amount, credit_amount: 0, description: `Invoice ${payload.invoice_number}` },
@@ -141,9 +436,10 @@ function handleInvoiceCreated(payload) {
 }
 
 function handlePaymentReceived(payload) {
-  const cashAccount = getAccountMapping(payload.payment_method === 'bank' ? 'bank' : 'cash');
+  const cashKey = tenderAccountKey(payload.payment_method);
+  const cashAccount = getAccountMapping(cashKey);
   const arAccount = getAccountMapping('accounts_receivable');
-  if (!cashAccount || !arAccount) return null;
+  requireMappings({ [cashKey]: cashAccount, accounts_receivable: arAccount });
 
   return createJournalEntry({
     date: payload.payment_date || new Date().toISOString().split('T')[0], entry_type: 'PMT',
@@ -158,14 +454,8 @@ function handlePaymentReceived(payload) {
 }
 
 function handlePOSSaleCompleted(payload) {
-  const cashAccount = getAccountMapping('cash');
-  const revenueAccount = getAccountMapping('sales_revenue');
-  if (!cashAccount || !revenueAccount) return null;
-
-  const lines = [
-    { account_id: cashAccount, debit_amount: payload.total_amount, credit_amount: 0, description: `POS Sale ${payload.transaction_id}` },
-    { account_id: revenueAccount, debit_amount: 0, credit_amount: payload.total_amount, description: `Sales - POS ${payload.transaction_id}` },
-  ];
+  const breakdown = buildSaleBreakdown(payload, 'cash');
+  const lines = saleLines(breakdown, 'sales_revenue', `POS ${payload.transaction_id}`);
 
   const cogsAccount = getAccountMapping('cost_of_goods_sold');
   const inventoryAccount = getAccountMapping('inventory');
@@ -180,14 +470,62 @@ function handlePOSSaleCompleted(payload) {
     date: payload.transaction_date || new Date().toISOString().split('T')[0], entry_type: 'POS',
     description: `POS Sale ${payload.transaction_id}`,
     reference_type: 'pos_transaction', reference_id: payload.transaction_id,
-    source_system: 'point_of_sale', lines, auto_post: true
+    source_system: 'point_of_sale', lines, auto_post: true,
+    tax_lines: breakdown.taxLines, place_of_supply: payload.place_of_supply
+  });
+}
+
+// A POS return reverses the sale: refund out of the tender, revenue and output tax back
+function handlePOSReturnCompleted(payload) {
+  const breakdown = buildSaleBreakdown(payload, 'cash');
+  const lines = saleLines(breakdown, 'sales_revenue', `POS return ${payload.return_id}`)
+    .map(l => ({ ...l, debit_amount: l.credit_amount, credit_amount: l.debit_amount }));
+  const taxLines = breakdown.taxLines.map(t => ({
+    ...t,
+    taxable_amount: -t.taxable_amount,
+    ...Object.fromEntries(TAX_COMPONENTS.map(c => [`${c}_amount`, -t[`${c}_amount`]])),
+  }));
+
+  return createJournalEntry({
+    date: payload.return_date || new Date().toISOString().split('T')[0], entry_type: 'POS',
+    description: `POS Return ${payload.return_id}${payload.sale_id ? ` (Sale ${payload.sale_id})` : ''}`,
+    reference_type: 'pos_return', reference_id: payload.return_id,
+    source_system: 'point_of_sale', lines, auto_post: true,
+    tax_lines: taxLines, place_of_supply: payload.place_of_supply
+  });
+}
+
+// Cash paid into or taken out of a register drawer during a session
+function handlePOSCashMovement(payload) {
+  const amount = round2(firstAmount(payload.amount));
+  if (!(amount > 0)) throw invalidPayload('Cash movement amount must be positive');
+  const cashIn = payload.movement_type === 'cash_in';
+  const otherKey = !cashIn && payload.purpose === 'expense' ? 'petty_cash_expense' : 'cash_float';
+  const cashAccount = getAccountMapping('cash');
+  const otherAccount = getAccountMapping(otherKey);
+  requireMappings({ cash: cashAccount, [otherKey]: otherAccount });
+
+  const label = cashIn ? 'Cash paid in' : (otherKey === 'petty_cash_expense' ? 'Petty cash expense' : 'Cash paid out');
+  const description = `${label} - session ${payload.session_id}${payload.reason ? ` (${payload.reason})` : ''}`;
+  return createJournalEntry({
+    date: payload.movement_date || new Date().toISOString().split('T')[0], entry_type: 'POS',
+    description,
+    reference_type: 'pos_cash_movement', reference_id: payload.movement_id,
+    source_system: 'point_of_sale',
+    lines: cashIn ? [
+      { account_id: cashAccount, debit_amount: amount, credit_amount: 0, description: label },
+      { account_id: otherAccount, debit_amount: 0, credit_amount: amount, description: 'From cash float' },
+    ] : [
+      { account_id: otherAccount, debit_amount: amount, credit_amount: 0, description },
+      { account_id: cashAccount, debit_amount: 0, credit_amount: amount, description: label },
+    ], auto_post: true
   });
 }
 
 function handleInventoryPurchase(payload) {
   const inventoryAccount = getAccountMapping('inventory');
   const apAccount = getAccountMapping('accounts_payable');
-  if (!inventoryAccount || !apAccount) return null;
+  requireMappings({ inventory: inventoryAccount, accounts_payable: apAccount });
 
   return createJournalEntry({
     date: payload.purchase_date || new Date().toISOString().split('T')[0], entry_type: 'PUR',
@@ -202,14 +540,15 @@ function handleInventoryPurchase(payload) {
 }
 
 function handleHospitalityPayment(payload) {
-  const cashAccount = getAccountMapping(payload.payment_method === 'card' ? 'bank' : 'cash');
+  const cashKey = tenderAccountKey(payload.payment_method);
+  const cashAccount = getAccountMapping(cashKey);
   const creditAccount = getAccountMapping('accounts_receivable') || getAccountMapping('room_revenue');
-  if (!cashAccount || !creditAccount) return null;
+  requireMappings({ [cashKey]: cashAccount, accounts_receivable: creditAccount });
 
   return createJournalEntry({
     date: payload.payment_date || new Date().toISOString().split('T')[0], entry_type: 'PMT',
     description: `Guest Payment - Booking ${payload.booking_id}`,
-    reference_type: 'hospitality_payment', reference_id: payload.booking_id,
+    reference_type: 'hospitality_payment', reference_id: payload.payment_id || payload.booking_id,
     source_system: 'billing_payments',
     lines: [
       { account_id: cashAccount, debit_amount: payload.amount, credit_amount: 0, description: 'Payment received' },
@@ -220,65 +559,102 @@ function handleHospitalityPayment(payload) {
 
 function handleGuestCheckout(payload) {
   if (!payload.outstanding_balance || payload.outstanding_balance <= 0) return null;
-  const arAccount = getAccountMapping('accounts_receivable');
-  const revenueAccount = getAccountMapping('room_revenue');
-  if (!arAccount || !revenueAccount) return null;
+  // The outstanding balance goes to the guest's receivable, whatever they settle it with later
+  const breakdown = buildSaleBreakdown({ ...payload, total_amount: payload.outstanding_balance, payments: null, payment_method: null, change_amount: null }, 'accounts_receivable');
+  const lines = saleLines(breakdown, 'room_revenue', `Folio ${payload.booking_id || payload.reservation_id}`);
 
   return createJournalEntry({
     date: payload.checkout_date || new Date().toISOString().split('T')[0], entry_type: 'INV',
     description: `Guest Folio - Checkout ${payload.booking_id}`,
-    reference_type: 'guest_folio', reference_id: payload.booking_id,
-    source_system: 'front_office',
-    lines: [
-      { account_id: arAccount, debit_amount: payload.outstanding_balance, credit_amount: 0, description: 'Guest balance due' },
-      { account_id: revenueAccount, debit_amount: 0, credit_amount: payload.outstanding_balance, description: 'Room revenue' },
-    ], auto_post: true
+    reference_type: 'guest_folio', reference_id: payload.booking_id || payload.reservation_id,
+    source_system: 'front_office', lines, auto_post: true,
+    tax_lines: breakdown.taxLines, place_of_supply: payload.place_of_supply
   });
 }
 
 function handleRestaurantOrderPaid(payload) {
-  const amount = payload.total || payload.amount || 0;
+  const amount = firstAmount(payload.total_amount, payload.total, payload.amount);
   if (amount <= 0) return null;
 
-  let debitType = 'cash';
-  if (payload.payment_method === 'card' || payload.payment_method === 'upi') debitType = 'bank';
-  else if (payload.payment_method === 'room_charge') debitType = 'guest_ledger';
-
-  const debitAccount = getAccountMapping(debitType);
-  const fnbRevenueAccount = getAccountMapping('fnb_revenue');
-  if (!debitAccount || !fnbRevenueAccount) return null;
+  const breakdown = buildSaleBreakdown(payload, 'cash');
+  const lines = saleLines(breakdown, 'fnb_revenue', `Order ${payload.order_id}`);
 
   return createJournalEntry({
-    date: new Date().toISOString().split('T')[0], entry_type: 'POS',
+    date: payload.order_date || new Date().toISOString().split('T')[0], entry_type: 'POS',
     description: `Restaurant Order ${payload.order_id} - Table ${payload.table_number || payload.table_id || 'N/A'}`,
     reference_type: 'restaurant_order', reference_id: payload.order_id,
-    source_system: 'restaurant_pos',
-    lines: [
-      { account_id: debitAccount, debit_amount: amount, credit_amount: 0, description: `F&B Sale - ${payload.payment_method}` },
-      { account_id: fnbRevenueAccount, debit_amount: 0, credit_amount: amount, description: 'F&B Revenue' },
-    ], auto_post: true
+    source_system: 'restaurant_pos', lines, auto_post: true,
+    tax_lines: breakdown.taxLines, place_of_supply: payload.place_of_supply
   });
 }
 
 function handleRoomServiceCharge(payload) {
-  const amount = payload.total || payload.amount || 0;
+  const amount = firstAmount(payload.total_amount, payload.total, payload.amount);
   if (amount <= 0) return null;
-  const arAccount = getAccountMapping('guest_ledger');
-  const fnbRevenueAccount = getAccountMapping('fnb_revenue');
-  if (!arAccount || !fnbRevenueAccount) return null;
+  // Charged to the room; settled later through the folio
+  const breakdown = buildSaleBreakdown({ ...payload, payments: null, payment_method: null }, 'guest_ledger');
+  const lines = saleLines(breakdown, 'fnb_revenue', `Room ${payload.room_number || payload.room_id}`);
 
   return createJournalEntry({
     date: new Date().toISOString().split('T')[0], entry_type: 'CHG',
     description: `Room Service - Room ${payload.room_number || payload.room_id}`,
     reference_type: 'room_service', reference_id: payload.charge_id || payload.order_id,
-    source_system: 'room_service_dining',
+    source_system: 'room_service_dining', lines, auto_post: true,
+    tax_lines: breakdown.taxLines, place_of_supply: payload.place_of_supply
+  });
+}
+
+// Cost of stock issued, as valued from the cost layers in accounting_inventory_valuation
+function handleInventoryIssueCosted(payload) {
+  const amount = round2(payload.cost_amount);
+  if (amount <= 0) return null;
+  const expenseKey = payload.issue_type === 'adjustment' ? 'inventory_adjustment' : 'cost_of_goods_sold';
+  const expenseAccount = getAccountMapping(expenseKey);
+  const inventoryAccount = getAccountMapping('inventory');
+  requireMappings({ [expenseKey]: expenseAccount, inventory: inventoryAccount });
+
+  const label = `${payload.product_name || payload.product_id} x ${payload.quantity}`;
+  return createJournalEntry({
+    date: payload.transaction_date || new Date().toISOString().split('T')[0], entry_type: 'COGS',
+    description: payload.issue_type === 'adjustment' ? `Stock write-down - ${label}` : `Cost of goods sold - ${label}`,
+    reference_type: 'inventory_issue', reference_id: payload.transaction_id,
+    source_system: 'inventory_valuation',
     lines: [
-      { account_id: arAccount, debit_amount: amount, credit_amount: 0, description: 'Charge to guest folio' },
-      { account_id: fnbRevenueAccount, debit_amount: 0, credit_amount: amount, description: 'Room Service Revenue' },
+      { account_id: expenseAccount, debit_amount: amount, credit_amount: 0, description: expenseKey === 'inventory_adjustment' ? 'Inventory adjustment' : 'Cost of goods sold' },
+      { account_id: inventoryAccount, debit_amount: 0, credit_amount: amount, description: 'Reduce inventory' },
     ], auto_post: true
   });
 }
 
+// Purchase price correction: stock on hand and stock already sold absorb the difference,
+// the other side is what is owed to (or by) the vendor
+function handleInventoryRevalued(payload) {
+  const inventoryAdj = round2(payload.inventory_adjustment);
+  const cogsAdj = round2(payload.cogs_adjustment);
+  const total = round2(inventoryAdj + cogsAdj);
+  if (!inventoryAdj && !cogsAdj) return null;
+
+  const accounts = { inventory_revaluation: getAccountMapping('inventory_revaluation') };
+  if (inventoryAdj) accounts.inventory = getAccountMapping('inventory');
+  if (cogsAdj) accounts.cost_of_goods_sold = getAccountMapping('cost_of_goods_sold');
+  requireMappings(accounts);
+
+  const side = (accountId, amount, description) => ({
+    account_id: accountId, debit_amount: amount > 0 ? amount : 0, credit_amount: amount < 0 ? -amount : 0, description
+  });
+  const lines = [];
+  if (inventoryAdj) lines.push(side(accounts.inventory, inventoryAdj, 'Revalue stock on hand'));
+  if (cogsAdj) lines.push(side(accounts.cost_of_goods_sold, cogsAdj, 'Cost adjustment on stock already sold'));
+  if (total) lines.push(side(accounts.inventory_revaluation, -total, 'Purchase price correction'));
+
+  return createJournalEntry({
+    date: payload.revaluation_date || new Date().toISOString().split('T')[0], entry_type: 'ADJ',
+    description: `Inventory revaluation - ${payload.product_id}${payload.reason ? ` (${payload.reason})` : ''}`,
+    reference_type: 'inventory_revaluation', reference_id: payload.revaluation_id,
+    source_system: 'inventory_valuation', lines, auto_post: true
+  });
+}
+
 const EVENT_HANDLERS = {
   'retail.billing.invoice.created': handleInvoiceCreated,
   'retail.billing.invoice.created.v1': handleInvoiceCreated,
@@ -286,6 +662,10 @@ const EVENT_HANDLERS = {
   'retail.billing.payment.received.v1': handlePaymentReceived,
   'retail.pos.sale.completed': handlePOSSaleCompleted,
   'retail.pos.sale.completed.v1': handlePOSSaleCompleted,
+  'retail.pos.return.completed': handlePOSReturnCompleted,
+  'retail.pos.return.completed.v1': handlePOSReturnCompleted,
+  'retail.pos.cash.movement': handlePOSCashMovement,
+  'retail.pos.cash.movement.v1': handlePOSCashMovement,
   'retail.inventory.purchase.received': handleInventoryPurchase,
   'retail.inventory.purchase.received.v1': handleInventoryPurchase,
   'hospitality.billing.payment_received': handleHospitalityPayment,
@@ -296,8 +676,151 @@ const EVENT_HANDLERS = {
   'restaurant.order.paid.v1': handleRestaurantOrderPaid,
   'hospitality.room_service.charge': handleRoomServiceCharge,
   'hospitality.room_service.charge.v1': handleRoomServiceCharge,
+  'accounting.inventory.issue.costed': handleInventoryIssueCosted,
+  'accounting.inventory.revalued': handleInventoryRevalued,
 };
 
+// Source document each event posts for: [source_system, reference_type, reference_id].
+// Must agree with what the handler passes to createJournalEntry.
+const EVENT_REFERENCES = {
+  'retail.billing.invoice.created': p => ['billing_engine', 'invoice', p.invoice_id],
+  'retail.billing.payment.received': p => ['billing_engine', 'payment', p.payment_id || p.invoice_id],
+  'retail.pos.sale.completed': p => ['point_of_sale', 'pos_transaction', p.transaction_id],
+  'retail.pos.return.completed': p => ['point_of_sale', 'pos_return', p.return_id],
+  'retail.pos.cash.movement': p => ['point_of_sale', 'pos_cash_movement', p.movement_id],
+  'retail.inventory.purchase.received': p => ['inventory_management', 'purchase_order', p.purchase_order_id],
+  'hospitality.billing.payment_received': p => ['billing_payments', 'hospitality_payment', p.payment_id || p.booking_id],
+  'hospitality.front_office.checked_out': p => ['front_office', 'guest_folio', p.booking_id || p.reservation_id],
+  'restaurant.order.paid': p => ['restaurant_pos', 'restaurant_order', p.order_id],
+  'hospitality.room_service.charge': p => ['room_service_dining', 'room_service', p.charge_id || p.order_id],
+  'accounting.inventory.issue.costed': p => ['inventory_valuation', 'inventory_issue', p.transaction_id],
+  'accounting.inventory.revalued': p => ['inventory_valuation', 'inventory_revaluation', p.revaluation_id],
+};
+
+// source_system:reference_type:reference_id, or null when the payload carries no reference
+function deriveIdempotencyKey(eventType, payload) {
+  const extract = EVENT_REFERENCES[eventType.replace(/\.v\d+$/, '')];
+  if (!extract || !payload) return null;
+  const [sourceSystem, referenceType, referenceId] = extract(payload);
+  if (referenceId === undefined || referenceId === null || referenceId === '') return null;
+  return `${sourceSystem}:${referenceType}:${referenceId}`;
+}
+
+// Key order and whitespace don't make a payload different
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).filter(k => value[k] !== undefined).sort()
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function payloadHash(payload) {
+  let parsed = payload;
+  if (typeof payload === 'string') {
+    try { parsed = JSON.parse(payload); } catch (e) { parsed = payload; }
+  }
+  return crypto.createHash('sha256').update(canonicalJson(parsed)).digest('hex');
+}
+
+// =============================================================================
+// EVENT PROCESSING (retry with backoff, dead-letter queue)
+// =============================================================================
+
+const MAX_ATTEMPTS = parseInt(process.env.BRIDGE_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.BRIDGE_RETRY_BASE_SECONDS, 10) || 30;
+const RETRY_POLL_MS = parseInt(process.env.BRIDGE_RETRY_POLL_MS, 10) || 15000;
+
+// 30s, 60s, 120s, ... capped at one hour
+function backoffSeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * Math.pow(2, Math.max(0, attempts - 1)), 3600);
+}
+
+function deadLetter(eventId, reason, error, missing) {
+  run("UPDATE acc_integration_events SET status = 'failed', error = ?, next_retry_at = NULL WHERE id = ?", [error, eventId]);
+  const existing = get('SELECT id FROM acc_integration_dead_letters WHERE event_id = ?', [eventId]);
+  if (existing) {
+    run(`UPDATE acc_integration_dead_letters SET reason = ?, error = ?, missing_mappings = ?, status = 'open', resolved_at = NULL, updated_at = datetime('now') WHERE id = ?`,
+      [reason, error, missing ? JSON.stringify(missing) : null, existing.id]);
+  } else {
+    run('INSERT INTO acc_integration_dead_letters (id, event_id, reason, error, missing_mappings) VALUES (?, ?, ?, ?, ?)',
+      [uuidv4(), eventId, reason, error, missing ? JSON.stringify(missing) : null]);
+  }
+  console.error(`[Bridge] Event ${eventId} dead-lettered (${reason}): ${error}`);
+}
+
+/**
+ * Run the handler for a stored event and record the outcome.
+ * Missing mappings and unparseable or unbalanced payloads go straight to the
+ * dead-letter queue; anything else is retried with exponential backoff until
+ * MAX_ATTEMPTS. That includes postings into a locked period, which succeed
+ * once the period is reopened or BRIDGE_REDIRECT_LOCKED_PERIODS is set.
+ */
+function processEvent(eventId) {
+  const event = get('SELECT * FROM acc_integration_events WHERE id = ?', [eventId]);
+  const attempts = (event.attempts || 0) + 1;
+  run("UPDATE acc_integration_events SET attempts = ?, last_attempt_at = datetime('now') WHERE id = ?", [attempts, eventId]);
+
+  const handler = EVENT_HANDLERS[event.event_type];
+  if (!handler) {
+    run("UPDATE acc_integration_events SET status = 'processed', processed_at = datetime('now'), next_retry_at = NULL WHERE id = ?", [eventId]);
+    return { outcome: 'processed', message: 'No handler, marked as processed' };
+  }
+
+  let payload;
+  try {
+    payload = event.payload ? JSON.parse(event.payload) : {};
+  } catch (parseErr) {
+    deadLetter(eventId, 'invalid_payload', parseErr.message);
+    return { outcome: 'dead_lettered', error: parseErr.message };
+  }
+
+  try {
+    const result = handler(payload);
+    run("UPDATE acc_integration_events SET status = 'processed', processed_at = datetime('now'), journal_entry_id = ?, error = NULL, next_retry_at = NULL WHERE id = ?",
+      [result ? result.id : null, eventId]);
+    run("UPDATE acc_integration_dead_letters SET status = 'replayed', resolved_at = datetime('now'), updated_at = datetime('now') WHERE event_id = ? AND status = 'open'", [eventId]);
+    return { outcome: 'processed', journal_entry: result };
+  } catch (processErr) {
+    if (processErr.code === 'MISSING_MAPPING') {
+      deadLetter(eventId, 'missing_mapping', processErr.message, processErr.missing);
+      return { outcome: 'dead_lettered', error: processErr.message, missing_mappings: processErr.missing };
+    }
+    // Retrying won't make the figures add up
+    if (processErr.code === 'INVALID_PAYLOAD') {
+      deadLetter(eventId, 'invalid_payload', processErr.message);
+      return { outcome: 'dead_lettered', error: processErr.message };
+    }
+    if (attempts >= MAX_ATTEMPTS) {
+      deadLetter(eventId, 'max_retries', processErr.message);
+      return { outcome: 'dead_lettered', error: processErr.message };
+    }
+    const delay = backoffSeconds(attempts);
+    run("UPDATE acc_integration_events SET status = 'pending', error = ?, next_retry_at = datetime('now', ?) WHERE id = ?",
+      [processErr.message, `+${delay} seconds`, eventId]);
+    console.error(`[Bridge] Failed to process ${event.event_type} (attempt ${attempts}/${MAX_ATTEMPTS}), retrying in ${delay}s:`, processErr.message);
+    return { outcome: 'retry_scheduled', error: processErr.message, retry_in_seconds: delay };
+  }
+}
+
+async function processDueRetries() {
+  let hold;
+  try {
+    hold = await lockDb();
+    const due = query("SELECT id FROM acc_integration_events WHERE status = 'pending' AND next_retry_at IS NOT NULL AND next_retry_at <= datetime('now') ORDER BY created_at LIMIT 100");
+    due.forEach(e => processEvent(e.id));
+  } catch (err) {
+    console.error('[Bridge] Retry sweep failed:', err.message);
+  } finally {
+    if (hold) releaseLock(hold);
+  }
+}
+
+function eventResponse(eventId, outcome) {
+  return { success: true, data: get('SELECT * FROM acc_integration_events WHERE id = ?', [eventId]), ...outcome };
+}
+
 // =============================================================================
 // REST API
 // =============================================================================
@@ -306,7 +829,9 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'accounting_integration_bridge', mode: 'lite' });
 });
 
-// Receive and process event (auto-creates JE if handler exists)
+// Receive and process event (auto-creates JE if handler exists).
+// Re-sent events for the same source document are acknowledged, not re-posted;
+// a different payload under a key already used is refused with 409.
 app.post('/api/events', (req, res) => {
   try {
     const { source, event_type, payload } = req.body;
@@ -314,29 +839,35 @@ app.post('/api/events', (req, res) => {
       return res.status(400).json({ success: false, error: 'source and event_type required' });
     }
 
+    let payloadObj = payload;
+    if (typeof payload === 'string') {
+      try { payloadObj = JSON.parse(payload); } catch (e) { payloadObj = null; }
+    }
+    const idempotencyKey = req.body.idempotency_key || req.headers['idempotency-key'] || deriveIdempotencyKey(event_type, payloadObj);
+
+    if (idempotencyKey) {
+      const existing = get('SELECT id, payload FROM acc_integration_events WHERE idempotency_key = ?', [idempotencyKey]);
+      if (existing && payloadHash(existing.payload) !== payloadHash(payload)) {
+        return res.status(409).json({
+          success: false, error: `Idempotency key ${idempotencyKey} was already used for a different payload`,
+          idempotency_key: idempotencyKey, event_id: existing.id
+        });
+      }
+      if (existing) return res.json({ ...eventResponse(existing.id), duplicate: true });
+    }
+
     const id = uuidv4();
     const payloadStr = typeof payload === 'string' ? payload : JSON.stringify(payload);
 
-    run('INSERT INTO acc_integration_events (id, source, event_type, payload) VALUES (?, ?, ?, ?)',
-      [id, source, event_type, payloadStr]);
-
-    // Try to process immediately
-    const handler = EVENT_HANDLERS[event_type];
-    if (handler && payload) {
-      try {
-        const payloadObj = typeof payload === 'string' ? JSON.parse(payload) : payload;
-        const result = handler(payloadObj);
-        if (result) {
-          run("UPDATE acc_integration_events SET status = 'processed', processed_at = datetime('now'), journal_entry_id = ? WHERE id = ?", [result.id, id]);
-          return res.status(201).json({ success: true, data: get('SELECT * FROM acc_integration_events WHERE id = ?', [id]), journal_entry: result });
-        }
-      } catch (processErr) {
-        run("UPDATE acc_integration_events SET status = 'failed', error = ? WHERE id = ?", [processErr.message, id]);
-        console.error(`[Bridge] Failed to process ${event_type}:`, processErr.message);
-      }
+    run('INSERT INTO acc_integration_events (id, source, event_type, payload, idempotency_key) VALUES (?, ?, ?, ?, ?)',
+      [id, source, event_type, payloadStr, idempotencyKey || null]);
+
+    // Try to process immediately; failures are retried or dead-lettered
+    if (EVENT_HANDLERS[event_type] && payload) {
+      return res.status(201).json(eventResponse(id, processEvent(id)));
     }
 
-    res.status(201).json({ success: true, data: get('SELECT * FROM acc_integration_events WHERE id = ?', [id]) });
+    res.status(201).json(eventResponse(id));
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -363,27 +894,11 @@ app.post('/api/events/:id/process', (req, res) => {
   try {
     const event = get('SELECT * FROM acc_integration_events WHERE id = ?', [req.params.id]);
     if (!event) return res.status(404).json({ success: false, error: 'Event not found' });
+    if (event.status === 'processed') return res.json({ ...eventResponse(req.params.id), message: 'Event already processed' });
 
-    const handler = EVENT_HANDLERS[event.event_type];
-    if (!handler) {
-      run("UPDATE acc_integration_events SET status = 'processed', processed_at = datetime('now') WHERE id = ?", [req.params.id]);
-      return res.json({ success: true, data: get('SELECT * FROM acc_integration_events WHERE id = ?', [req.params.id]), message: 'No handler, marked as processed' });
-    }
-
-    try {
-      const payload = event.payload ? JSON.parse(event.payload) : {};
-      const result = handler(payload);
-      if (result) {
-        run("UPDATE acc_integration_events SET status = 'processed', processed_at = datetime('now'), journal_entry_id = ?, error = NULL WHERE id = ?", [result.id, req.params.id]);
-        return res.json({ success: true, data: get('SELECT * FROM acc_integration_events WHERE id = ?', [req.params.id]), journal_entry: result });
-      }
-      run("UPDATE acc_integration_events SET status = 'processed', processed_at = datetime('now') WHERE id = ?", [req.params.id]);
-    } catch (processErr) {
-      run("UPDATE acc_integration_events SET status = 'failed', error = ? WHERE id = ?", [processErr.message, req.params.id]);
-      return res.status(500).json({ success: false, error: processErr.message });
-    }
-
-    res.json({ success: true, data: get('SELECT * FROM acc_integration_events WHERE id = ?', [req.params.id]) });
+    const outcome = processEvent(req.params.id);
+    if (outcome.outcome !== 'processed') return res.status(422).json({ ...eventResponse(req.params.id, outcome), success: false, error: outcome.error });
+    res.json(eventResponse(req.params.id, outcome));
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -404,9 +919,12 @@ app.post('/api/events/:id/fail', (req, res) => {
 app.post('/api/trigger/invoice', (req, res) => {
   try {
     const result = handleInvoiceCreated(req.body);
-    if (!result) return res.status(400).json({ success: false, error: 'Missing account mappings' });
+    if (!result) return res.status(400).json({ success: false, error: 'Nothing to post' });
     res.json({ success: true, message: 'Invoice journal entry created', journal_entry: result });
   } catch (err) {
+    if (err.code === 'MISSING_MAPPING') return res.status(400).json({ success: false, error: err.message, missing_mappings: err.missing });
+    if (err.code === 'INVALID_PAYLOAD') return res.status(400).json({ success: false, error: err.message });
+    if (err.code === 'PERIOD_LOCKED') return res.status(409).json({ success: false, error: err.message, period: err.period });
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -414,9 +932,12 @@ app.post('/api/trigger/invoice', (req, res) => {
 app.post('/api/trigger/payment', (req, res) => {
   try {
     const result = handlePaymentReceived(req.body);
-    if (!result) return res.status(400).json({ success: false, error: 'Missing account mappings' });
+    if (!result) return res.status(400).json({ success: false, error: 'Nothing to post' });
     res.json({ success: true, message: 'Payment journal entry created', journal_entry: result });
   } catch (err) {
+    if (err.code === 'MISSING_MAPPING') return res.status(400).json({ success: false, error: err.message, missing_mappings: err.missing });
+    if (err.code === 'INVALID_PAYLOAD') return res.status(400).json({ success: false, error: err.message });
+    if (err.code === 'PERIOD_LOCKED') return res.status(409).json({ success: false, error: err.message, period: err.period });
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -424,8 +945,69 @@ app.post('/api/trigger/payment', (req, res) => {
 app.post('/api/trigger/pos-sale', (req, res) => {
   try {
     const result = handlePOSSaleCompleted(req.body);
-    if (!result) return res.status(400).json({ success: false, error: 'Missing account mappings' });
+    if (!result) return res.status(400).json({ success: false, error: 'Nothing to post' });
     res.json({ success: true, message: 'POS sale journal entry created', journal_entry: result });
+  } catch (err) {
+    if (err.code === 'MISSING_MAPPING') return res.status(400).json({ success: false, error: err.message, missing_mappings: err.missing });
+    if (err.code === 'INVALID_PAYLOAD') return res.status(400).json({ success: false, error: err.message });
+    if (err.code === 'PERIOD_LOCKED') return res.status(409).json({ success: false, error: err.message, period: err.period });
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Dead-letter queue
+app.get('/api/dead-letters', (req, res) => {
+  try {
+    const { status, reason } = req.query;
+    let sql = `SELECT dl.*, e.source, e.event_type, e.payload, e.attempts, e.idempotency_key, e.created_at as event_created_at
+      FROM acc_integration_dead_letters dl JOIN acc_integration_events e ON dl.event_id = e.id WHERE 1=1`;
+    const params = [];
+    sql += ' AND dl.status = ?'; params.push(status || 'open');
+    if (reason) { sql += ' AND dl.reason = ?'; params.push(reason); }
+    sql += ' ORDER BY dl.created_at';
+    const data = query(sql, params).map(r => ({ ...r, missing_mappings: r.missing_mappings ? JSON.parse(r.missing_mappings) : [] }));
+    res.json({ success: true, data });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Replay dead-lettered events, e.g. after fixing account mappings.
+// Body: { ids: [...] } for specific entries, or { reason } / {} for every open entry.
+app.post('/api/dead-letters/replay', (req, res) => {
+  try {
+    const { ids, reason } = req.body || {};
+    let entries;
+    if (ids && ids.length) {
+      entries = ids.map(id => get("SELECT * FROM acc_integration_dead_letters WHERE id = ? AND status = 'open'", [id])).filter(Boolean);
+    } else {
+      let sql = "SELECT * FROM acc_integration_dead_letters WHERE status = 'open'";
+      const params = [];
+      if (reason) { sql += ' AND reason = ?'; params.push(reason); }
+      entries = query(sql + ' ORDER BY created_at', params);
+    }
+
+    const results = entries.map(dl => {
+      // Give the event a fresh retry budget
+      run('UPDATE acc_integration_events SET attempts = 0 WHERE id = ?', [dl.event_id]);
+      run("UPDATE acc_integration_dead_letters SET replay_count = replay_count + 1, last_replayed_at = datetime('now'), updated_at = datetime('now') WHERE id = ?", [dl.id]);
+      return { dead_letter_id: dl.id, event_id: dl.event_id, ...processEvent(dl.event_id) };
+    });
+
+    const replayed = results.filter(r => r.outcome === 'processed').length;
+    res.json({ success: true, data: { total: results.length, replayed, still_failing: results.length - replayed, results } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/dead-letters/:id/discard', (req, res) => {
+  try {
+    const dl = get('SELECT * FROM acc_integration_dead_letters WHERE id = ?', [req.params.id]);
+    if (!dl) return res.status(404).json({ success: false, error: 'Dead letter not found' });
+    run("UPDATE acc_integration_dead_letters SET status = 'discarded', resolved_at = datetime('now'), updated_at = datetime('now'), error = COALESCE(?, error) WHERE id = ?",
+      [req.body?.reason || null, req.params.id]);
+    res.json({ success: true, data: get('SELECT * FROM acc_integration_dead_letters WHERE id = ?', [req.params.id]) });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -435,12 +1017,13 @@ app.post('/api/trigger/pos-sale', (req, res) => {
 app.get('/api/mappings', (req, res) => {
   try {
     const mappings = {};
-    for (const key of Object.keys(DEFAULT_ACCOUNT_MAPPINGS)) {
+    const stored = query('SELECT mapping_key FROM acc_account_mappings ORDER BY mapping_key').map(m => m.mapping_key);
+    for (const key of new Set([...Object.keys(DEFAULT_ACCOUNT_MAPPINGS), ...stored])) {
       const accountId = getAccountMapping(key);
       let accountInfo = null;
       if (accountId) accountInfo = get('SELECT account_code, account_name FROM acc_accounts WHERE id = ?', [accountId]);
       mappings[key] = {
-        default_code: DEFAULT_ACCOUNT_MAPPINGS[key],
+        default_code: DEFAULT_ACCOUNT_MAPPINGS[key] || null,
         account_id: accountId,
         account_code: accountInfo?.account_code,
         account_name: accountInfo?.account_name
@@ -479,19 +1062,24 @@ app.get('/api/stats', (req, res) => {
       FROM acc_integration_events
     `);
     const sources = query('SELECT source, COUNT(*) as count FROM acc_integration_events GROUP BY source ORDER BY count DESC');
-    res.json({ success: true, data: { ...stats, sources } });
+    const deadLetters = get("SELECT COUNT(*) as open FROM acc_integration_dead_letters WHERE status = 'open'");
+    const retrying = get("SELECT COUNT(*) as cnt FROM acc_integration_events WHERE status = 'pending' AND next_retry_at IS NOT NULL AND attempts > 0");
+    res.json({ success: true, data: { ...stats, retrying: retrying.cnt, dead_letters: deadLetters.open, sources } });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 initDb().then(() => {
+  processDueRetries();
+  setInterval(processDueRetries, RETRY_POLL_MS);
   app.listen(PORT, () => {
     console.log(`Integration Bridge (lite) on port ${PORT}`);
     console.log('[Bridge] HTTP event endpoints ready');
     console.log('[Bridge] Supported events:');
-    console.log('  RETAIL: invoice.created, payment.received, pos.sale.completed, inventory.purchase.received');
+    console.log('  RETAIL: invoice.created, payment.received, pos.sale.completed, pos.return.completed, pos.cash.movement, inventory.purchase.received');
     console.log('  HOSPITALITY: billing.payment_received, front_office.checked_out, restaurant.order.paid, room_service.charge');
+    console.log('  ACCOUNTING: inventory.issue.costed, inventory.revalued');
   });
 }).catch(err => { console.error('Failed to init DB:', err); process.exit(1); });
 
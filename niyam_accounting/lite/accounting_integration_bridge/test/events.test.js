@@ -0,0 +1,175 @@
+/**
+ * Bridge event tests - tenders, idempotency and the dead-letter queue. The
+ * service runs in its own process on a fresh database; this process seeds
+ * the accounts and checks what was posted.
+ * Run: npm test (from accounting_integration_bridge)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory, so the shared database starts out empty
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-bridge-'));
+process.env.HOME = home;
+
+const { initDb, query, run, get, saveDb, lockDb, releaseLock } = require('../../shared/db');
+
+let service;
+let base;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function call(method, url, body) {
+  const res = await fetch(base + url, {
+    method,
+    headers: { 'content-type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+function posSale(id, payments, total = 100) {
+  return {
+    source: 'retail', event_type: 'retail.pos.sale.completed',
+    payload: { transaction_id: id, subtotal: total, total_amount: total, payments }
+  };
+}
+
+// The service saves shortly after it answers; its lock is free once it has
+async function settled() {
+  releaseLock(await lockDb());
+}
+
+function postedLines(journalEntryId) {
+  return query(`SELECT a.account_code, l.debit_amount, l.credit_amount FROM acc_journal_lines l
+    JOIN acc_accounts a ON a.id = l.account_id WHERE l.journal_entry_id = ? ORDER BY l.line_number`, [journalEntryId])
+    .map(l => [l.account_code, l.debit_amount, l.credit_amount]);
+}
+
+test.before(async () => {
+  await initDb();
+  for (const [code, name] of [['CASH-001', 'Cash'], ['SALES-001', 'Sales'], ['CARD-CLR-001', 'Card clearing'], ['VOUCHER-CLR', 'Voucher clearing']]) {
+    run('INSERT INTO acc_accounts (id, account_code, account_name) VALUES (?, ?, ?)', [code.toLowerCase(), code, name]);
+  }
+  saveDb();
+  releaseLock();
+
+  const port = await freePort();
+  service = spawn(process.execPath, [path.join(__dirname, '..', 'service.js')], {
+    env: { ...process.env, HOME: home, PORT: String(port) },
+    stdio: 'ignore'
+  });
+  base = `http://127.0.0.1:${port}`;
+  for (let i = 0; ; i++) {
+    try {
+      if ((await fetch(base + '/health')).ok) break;
+    } catch (e) {
+      if (i > 150) throw new Error('accounting_integration_bridge did not start');
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+});
+
+test.after(() => {
+  if (service) service.kill();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('known tenders post to their own accounts', async () => {
+  const r = await call('POST', '/api/events', posSale('S1', [{ method: 'card', amount: 60 }, { method: 'cash', amount: 40 }]));
+  assert.equal(r.status, 201);
+  assert.equal(r.body.outcome, 'processed');
+  await settled();
+  assert.deepEqual(postedLines(r.body.data.journal_entry_id), [['CARD-CLR-001', 60, 0], ['CASH-001', 40, 0], ['SALES-001', 0, 100]]);
+});
+
+test('an unknown tender is dead-lettered, not booked as cash, and replays once mapped', async () => {
+  let r = await call('POST', '/api/events', posSale('S2', [{ method: 'voucher', amount: 100 }]));
+  assert.equal(r.status, 201);
+  assert.equal(r.body.outcome, 'dead_lettered');
+  assert.deepEqual(r.body.missing_mappings, ['tender_voucher']);
+  const eventId = r.body.data.id;
+  await settled();
+  assert.equal(get("SELECT COUNT(*) AS n FROM acc_journal_entries WHERE reference_id = 'S2'").n, 0);
+
+  r = await call('GET', '/api/dead-letters');
+  const letter = r.body.data.find(d => d.event_id === eventId);
+  assert.equal(letter.reason, 'missing_mapping');
+  assert.deepEqual(letter.missing_mappings, ['tender_voucher']);
+
+  assert.equal((await call('POST', '/api/mappings', { mapping_key: 'tender_voucher', account_id: 'voucher-clr' })).status, 200);
+  r = await call('GET', '/api/mappings');
+  assert.equal(r.body.data.tender_voucher.account_code, 'VOUCHER-CLR');
+
+  r = await call('POST', '/api/dead-letters/replay', { ids: [letter.id] });
+  assert.equal(r.body.data.replayed, 1, JSON.stringify(r.body.data.results));
+  await settled();
+  const event = get('SELECT status, journal_entry_id FROM acc_integration_events WHERE id = ?', [eventId]);
+  assert.equal(event.status, 'processed');
+  assert.deepEqual(postedLines(event.journal_entry_id), [['VOUCHER-CLR', 100, 0], ['SALES-001', 0, 100]]);
+});
+
+test('a re-sent event is acknowledged once; a changed payload under its key is refused', async () => {
+  const sale = posSale('S3', [{ method: 'cash', amount: 100 }]);
+  let r = await call('POST', '/api/events', sale);
+  assert.equal(r.status, 201);
+  const eventId = r.body.data.id;
+
+  // Same document, fields in another order
+  const { transaction_id, ...rest } = sale.payload;
+  r = await call('POST', '/api/events', { ...sale, payload: { ...rest, transaction_id } });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.duplicate, true);
+  assert.equal(r.body.data.id, eventId);
+
+  r = await call('POST', '/api/events', posSale('S3', [{ method: 'cash', amount: 120 }], 120));
+  assert.equal(r.status, 409);
+  assert.equal(r.body.idempotency_key, 'point_of_sale:pos_transaction:S3');
+  assert.equal(r.body.event_id, eventId);
+
+  await settled();
+  assert.equal(get("SELECT COUNT(*) AS n FROM acc_journal_entries WHERE reference_id = 'S3'").n, 1);
+  assert.equal(get("SELECT COUNT(*) AS n FROM acc_integration_events WHERE idempotency_key = 'point_of_sale:pos_transaction:S3'").n, 1);
+});
+
+test('an explicit idempotency key is held to the same payload', async () => {
+  const event = { source: 'retail', event_type: 'retail.custom.noted', payload: { note: 'first' }, idempotency_key: 'ext-1' };
+  assert.equal((await call('POST', '/api/events', event)).status, 201);
+  assert.equal((await call('POST', '/api/events', event)).status, 200);
+  const r = await call('POST', '/api/events', { ...event, payload: { note: 'second' } });
+  assert.equal(r.status, 409);
+  assert.match(r.body.error, /ext-1/);
+});
+
+test('a replay that still fails keeps the dead letter open until it is discarded', async () => {
+  let r = await call('POST', '/api/events', posSale('S4', [{ method: 'cash', amount: 80 }]));
+  assert.equal(r.body.outcome, 'dead_lettered');
+  const eventId = r.body.data.id;
+
+  r = await call('POST', '/api/dead-letters/replay', { reason: 'invalid_payload' });
+  assert.equal(r.body.data.total, 1);
+  assert.equal(r.body.data.still_failing, 1);
+  assert.equal(r.body.data.results[0].event_id, eventId);
+
+  r = await call('GET', '/api/dead-letters?status=open');
+  const letter = r.body.data.find(d => d.event_id === eventId);
+  assert.equal(letter.replay_count, 1);
+  assert.match(letter.error, /do not add up/);
+
+  r = await call('POST', `/api/dead-letters/${letter.id}/discard`, { reason: 'Sale re-sent with the correct tenders' });
+  assert.equal(r.body.data.status, 'discarded');
+  r = await call('GET', '/api/dead-letters?status=open');
+  assert.ok(!r.body.data.some(d => d.event_id === eventId));
+});
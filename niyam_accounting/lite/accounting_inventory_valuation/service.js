@@ -3,6 +3,14 @@
  * Port: 8904
  * FIFO/LIFO/Weighted Average costing for inventory
  * Split from fiscal_periods for clean separation
+ *
+ * Receipts are kept as cost layers per product and warehouse; every issue
+ * consumes them by the product's method and its cost is posted (COGS / stock
+ * write-down against inventory) through the integration bridge.
+ *
+ * Each request's writes run in one transaction, together with the bridge event
+ * that posts them (see accounting-hook.js): stock, cost layers and the pending
+ * journal are saved together or not at all.
  */
 
 const express = require('express');
@@ -10,14 +18,16 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, transaction, writeLock } = require('../shared/db');
 const { sendCSV } = require('../shared/csv-generator');
+const { queueAccountingEvent } = require('../shared/accounting-hook');
 
 const app = express();
 const PORT = process.env.PORT || 8904;
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
@@ -26,6 +36,200 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'accounting_inventory_valuation', mode: 'lite' });
 });
 
+// =============================================================================
+// COST LAYERS
+// =============================================================================
+
+const VALUATION_METHODS = ['fifo', 'lifo', 'weighted_avg', 'specific'];
+const INFLOW_TYPES = ['purchase', 'return_in'];
+const QTY_EPSILON = 0.000001;
+
+function round2(n) {
+  return Math.round((n || 0) * 100) / 100;
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function movementError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function ensureProduct(productId, productName) {
+  let product = get('SELECT * FROM acc_inventory_valuation WHERE product_id = ?', [productId]);
+  if (!product) {
+    run('INSERT INTO acc_inventory_valuation (id, product_id, product_name, valuation_method) VALUES (?, ?, ?, ?)',
+      [uuidv4(), productId, productName || productId, 'weighted_avg']);
+    product = get('SELECT * FROM acc_inventory_valuation WHERE product_id = ?', [productId]);
+  }
+  return product;
+}
+
+// Layers with stock left, in the order the method consumes them
+function openLayers(productId, warehouseId, method) {
+  const order = method === 'lifo' ? 'DESC' : 'ASC';
+  return query(`SELECT * FROM acc_inventory_cost_layers
+    WHERE product_id = ? AND COALESCE(warehouse_id, '') = ? AND remaining_qty > ?
+    ORDER BY layer_date ${order}, rowid ${order}`, [productId, warehouseId || '', QTY_EPSILON]);
+}
+
+function currentUnitCost(productId, warehouseId) {
+  const layers = openLayers(productId, warehouseId, 'fifo');
+  const qty = layers.reduce((s, l) => s + l.remaining_qty, 0);
+  if (qty > QTY_EPSILON) return layers.reduce((s, l) => s + l.remaining_qty * l.unit_cost, 0) / qty;
+  const product = get('SELECT unit_cost FROM acc_inventory_valuation WHERE product_id = ?', [productId]);
+  return product ? product.unit_cost || 0 : 0;
+}
+
+// Weighted average keeps one running layer per warehouse; FIFO/LIFO/specific keep one per receipt
+function receiveIntoLayer(txnId, productId, warehouseId, method, qty, unitCost, date) {
+  if (method === 'weighted_avg') {
+    const layer = openLayers(productId, warehouseId, 'fifo')[0];
+    if (layer) {
+      const newQty = layer.remaining_qty + qty;
+      const newCost = (layer.remaining_qty * layer.unit_cost + qty * unitCost) / newQty;
+      run("UPDATE acc_inventory_cost_layers SET original_qty = original_qty + ?, remaining_qty = ?, unit_cost = ?, updated_at = datetime('now') WHERE id = ?",
+        [qty, newQty, newCost, layer.id]);
+      return layer.id;
+    }
+  }
+  const layerId = uuidv4();
+  run(`INSERT INTO acc_inventory_cost_layers (id, product_id, warehouse_id, source_transaction_id, layer_date, original_qty, remaining_qty, unit_cost)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`, [layerId, productId, warehouseId || null, txnId, date, qty, qty, unitCost]);
+  return layerId;
+}
+
+// Pick the layers an issue draws from, without touching them yet
+function planConsumption(productId, warehouseId, method, qty, layerId) {
+  let layers;
+  if (method === 'specific') {
+    if (!layerId) throw movementError('INVALID_MOVEMENT', 'layer_id required for products valued by specific identification');
+    layers = query("SELECT * FROM acc_inventory_cost_layers WHERE id = ? AND product_id = ? AND COALESCE(warehouse_id, '') = ? AND remaining_qty > ?",
+      [layerId, productId, warehouseId || '', QTY_EPSILON]);
+  } else {
+    layers = openLayers(productId, warehouseId, method);
+  }
+
+  const available = layers.reduce((s, l) => s + l.remaining_qty, 0);
+  if (available + QTY_EPSILON < qty) {
+    throw movementError('INSUFFICIENT_STOCK', `Insufficient stock for ${productId}: ${round2(available)} available, ${qty} requested`);
+  }
+
+  const plan = [];
+  let remaining = qty;
+  for (const layer of layers) {
+    if (remaining <= QTY_EPSILON) break;
+    const take = Math.min(layer.remaining_qty, remaining);
+    plan.push({ layer, quantity: take, unit_cost: layer.unit_cost, total_cost: take * layer.unit_cost });
+    remaining -= take;
+  }
+  return plan;
+}
+
+function refreshProductTotals(productId) {
+  const totals = get('SELECT COALESCE(SUM(remaining_qty), 0) as qty, COALESCE(SUM(remaining_qty * unit_cost), 0) as value FROM acc_inventory_cost_layers WHERE product_id = ? AND remaining_qty > ?',
+    [productId, QTY_EPSILON]);
+  const unitCost = totals.qty > QTY_EPSILON ? totals.value / totals.qty : currentUnitCost(productId, null);
+  run("UPDATE acc_inventory_valuation SET total_qty = ?, total_value = ?, unit_cost = ?, last_updated = datetime('now') WHERE product_id = ?",
+    [totals.qty, round2(totals.value), unitCost, productId]);
+}
+
+/**
+ * Record a stock movement against the cost layers.
+ * Receipts (purchase, return_in, positive adjustment) open or feed a layer;
+ * issues (sale, return_out, negative adjustment) consume layers using the
+ * product's valuation method and are costed from what they consumed.
+ * Run it inside a transaction: an issue writes several rows and queues its posting.
+ */
+function recordMovement(m) {
+  const product = ensureProduct(m.product_id, m.product_name);
+  const method = product.valuation_method || 'weighted_avg';
+  const qty = Math.abs(Number(m.quantity));
+  const isInflow = INFLOW_TYPES.includes(m.transaction_type) || (m.transaction_type === 'adjustment' && m.quantity > 0);
+  const date = m.transaction_date || today();
+  const warehouseId = m.warehouse_id || null;
+  const id = uuidv4();
+
+  if (isInflow) {
+    if (m.transaction_type === 'purchase' && (m.unit_cost === undefined || m.unit_cost === null)) {
+      throw movementError('INVALID_MOVEMENT', 'unit_cost required for purchases');
+    }
+    // Customer returns and found stock come back at the current cost unless told otherwise
+    const unitCost = m.unit_cost !== undefined && m.unit_cost !== null ? Number(m.unit_cost) : currentUnitCost(m.product_id, warehouseId);
+    const totalCost = round2(unitCost * qty);
+    run(`INSERT INTO acc_inventory_transactions (id, product_id, transaction_type, quantity, unit_cost, total_cost, journal_entry_id, reference_id, reference_type, warehouse_id, transaction_date, cost_method, qty_change, value_change)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, m.product_id, m.transaction_type, qty, unitCost, totalCost, m.journal_entry_id || null, m.reference_id || null, m.reference_type || null, warehouseId, date, method, qty, totalCost]);
+    const layerId = receiveIntoLayer(id, m.product_id, warehouseId, method, qty, unitCost, date);
+    run('UPDATE acc_inventory_transactions SET layer_id = ? WHERE id = ?', [layerId, id]);
+  } else {
+    const plan = planConsumption(m.product_id, warehouseId, method, qty, m.layer_id);
+    const totalCost = round2(plan.reduce((s, p) => s + p.total_cost, 0));
+    run(`INSERT INTO acc_inventory_transactions (id, product_id, transaction_type, quantity, unit_cost, total_cost, journal_entry_id, reference_id, reference_type, warehouse_id, transaction_date, cost_method, qty_change, value_change)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, m.product_id, m.transaction_type, qty, qty > 0 ? totalCost / qty : 0, totalCost, m.journal_entry_id || null, m.reference_id || null, m.reference_type || null, warehouseId, date, method, -qty, -totalCost]);
+    for (const p of plan) {
+      run('INSERT INTO acc_inventory_layer_consumptions (id, layer_id, transaction_id, quantity, unit_cost, total_cost) VALUES (?, ?, ?, ?, ?, ?)',
+        [uuidv4(), p.layer.id, id, p.quantity, p.unit_cost, round2(p.total_cost)]);
+      run("UPDATE acc_inventory_cost_layers SET remaining_qty = ?, updated_at = datetime('now') WHERE id = ?",
+        [Math.max(0, p.layer.remaining_qty - p.quantity), p.layer.id]);
+    }
+
+    // Sales and write-downs hit the P&L; purchase returns are posted with the vendor debit note.
+    // Callers that already posted their own entry pass journal_entry_id.
+    if (!m.journal_entry_id && totalCost > 0 && m.transaction_type !== 'return_out') {
+      const eventId = queueAccountingEvent('accounting', 'accounting.inventory.issue.costed', {
+        transaction_id: id, product_id: m.product_id, product_name: product.product_name, warehouse_id: warehouseId,
+        issue_type: m.transaction_type, quantity: qty, cost_amount: totalCost, transaction_date: date,
+        reference_type: m.reference_type || null, reference_id: m.reference_id || null
+      }, `inventory_valuation:inventory_issue:${id}`);
+      run('UPDATE acc_inventory_transactions SET posting_event_id = ? WHERE id = ?', [eventId, id]);
+    }
+  }
+
+  refreshProductTotals(m.product_id);
+  return get('SELECT * FROM acc_inventory_transactions WHERE id = ?', [id]);
+}
+
+// Fold a product's open layers into one per warehouse when it moves to weighted average
+function mergeLayers(productId) {
+  const groups = query("SELECT DISTINCT COALESCE(warehouse_id, '') as warehouse_id FROM acc_inventory_cost_layers WHERE product_id = ? AND remaining_qty > ?", [productId, QTY_EPSILON]);
+  for (const g of groups) {
+    const layers = openLayers(productId, g.warehouse_id, 'fifo');
+    if (layers.length < 2) continue;
+    const qty = layers.reduce((s, l) => s + l.remaining_qty, 0);
+    const value = layers.reduce((s, l) => s + l.remaining_qty * l.unit_cost, 0);
+    run("UPDATE acc_inventory_cost_layers SET remaining_qty = ?, unit_cost = ?, updated_at = datetime('now') WHERE id = ?", [qty, value / qty, layers[0].id]);
+    layers.slice(1).forEach(l => run("UPDATE acc_inventory_cost_layers SET remaining_qty = 0, updated_at = datetime('now') WHERE id = ?", [l.id]));
+  }
+}
+
+function valuationAsOf(date, warehouseId, productId) {
+  let sql = `SELECT t.product_id, COALESCE(t.warehouse_id, '') as warehouse_id, v.product_name, v.valuation_method,
+      SUM(t.qty_change) as quantity, SUM(t.value_change) as value
+    FROM acc_inventory_transactions t LEFT JOIN acc_inventory_valuation v ON v.product_id = t.product_id
+    WHERE COALESCE(t.transaction_date, date(t.created_at)) <= ?`;
+  const params = [date];
+  if (warehouseId) { sql += ' AND t.warehouse_id = ?'; params.push(warehouseId); }
+  if (productId) { sql += ' AND t.product_id = ?'; params.push(productId); }
+  sql += ` GROUP BY t.product_id, COALESCE(t.warehouse_id, '')
+    HAVING ABS(SUM(t.qty_change)) > ${QTY_EPSILON} OR ABS(SUM(t.value_change)) >= 0.01
+    ORDER BY v.product_name, t.product_id`;
+  const items = query(sql, params).map(r => ({
+    ...r, value: round2(r.value), unit_cost: r.quantity > QTY_EPSILON ? round2(r.value / r.quantity) : 0
+  }));
+  const summary = {
+    as_of: date,
+    total_products: new Set(items.map(i => i.product_id)).size,
+    total_quantity: items.reduce((s, i) => s + i.quantity, 0),
+    total_value: round2(items.reduce((s, i) => s + i.value, 0))
+  };
+  return { items, summary };
+}
+
 // =============================================================================
 // INVENTORY VALUATION
 // =============================================================================
@@ -47,36 +251,128 @@ app.get('/api/inventory-valuation/csv', (req, res) => {
 
 app.post('/api/inventory-valuation', (req, res) => {
   try {
-    const { product_id, product_name, valuation_method, unit_cost, total_qty, account_id } = req.body;
+    const { product_id, product_name, valuation_method, unit_cost, total_qty, account_id, warehouse_id } = req.body;
     if (!product_id || !product_name) return res.status(400).json({ success: false, error: 'product_id and product_name required' });
+    if (valuation_method && !VALUATION_METHODS.includes(valuation_method)) return res.status(400).json({ success: false, error: `valuation_method must be one of ${VALUATION_METHODS.join(', ')}` });
+    if (get('SELECT id FROM acc_inventory_valuation WHERE product_id = ?', [product_id])) return res.status(409).json({ success: false, error: 'Product already has a valuation record' });
     const id = uuidv4();
-    const totalValue = (unit_cost || 0) * (total_qty || 0);
-    run('INSERT INTO acc_inventory_valuation (id, product_id, product_name, valuation_method, unit_cost, total_qty, total_value, account_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-      [id, product_id, product_name, valuation_method || 'weighted_avg', unit_cost || 0, total_qty || 0, totalValue, account_id || null]);
+    transaction(() => {
+      run('INSERT INTO acc_inventory_valuation (id, product_id, product_name, valuation_method, unit_cost, total_qty, total_value, account_id) VALUES (?, ?, ?, ?, ?, 0, 0, ?)',
+        [id, product_id, product_name, valuation_method || 'weighted_avg', unit_cost || 0, account_id || null]);
+      // Opening stock becomes the first cost layer
+      if ((total_qty || 0) > 0) {
+        recordMovement({ product_id, transaction_type: 'adjustment', quantity: total_qty, unit_cost: unit_cost || 0, warehouse_id, reference_type: 'opening' });
+      }
+    });
     res.status(201).json({ success: true, data: get('SELECT * FROM acc_inventory_valuation WHERE id = ?', [id]) });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
 app.post('/api/inventory-transactions', (req, res) => {
   try {
-    const { product_id, transaction_type, quantity, unit_cost, journal_entry_id, reference_id, reference_type } = req.body;
+    const { product_id, transaction_type, quantity } = req.body;
     if (!product_id || !transaction_type || !quantity) return res.status(400).json({ success: false, error: 'product_id, transaction_type, quantity required' });
-    const id = uuidv4();
-    const totalCost = (unit_cost || 0) * Math.abs(quantity);
-    run('INSERT INTO acc_inventory_transactions (id, product_id, transaction_type, quantity, unit_cost, total_cost, journal_entry_id, reference_id, reference_type) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [id, product_id, transaction_type, quantity, unit_cost || 0, totalCost, journal_entry_id || null, reference_id || null, reference_type || null]);
-
-    const val = get('SELECT * FROM acc_inventory_valuation WHERE product_id = ?', [product_id]);
-    if (val) {
-      const isInflow = ['purchase', 'return_in'].includes(transaction_type);
-      const newQty = isInflow ? val.total_qty + Math.abs(quantity) : val.total_qty - Math.abs(quantity);
-      const newValue = isInflow ? val.total_value + totalCost : val.total_value - (val.unit_cost * Math.abs(quantity));
-      const newUnitCost = newQty > 0 ? newValue / newQty : 0;
-      run('UPDATE acc_inventory_valuation SET total_qty = ?, total_value = ?, unit_cost = ?, last_updated = datetime(\'now\') WHERE product_id = ?',
-        [Math.max(0, newQty), Math.max(0, newValue), Math.max(0, newUnitCost), product_id]);
-    }
+    if (!['purchase', 'sale', 'adjustment', 'return_in', 'return_out'].includes(transaction_type)) return res.status(400).json({ success: false, error: 'Invalid transaction_type' });
+    const txn = transaction(() => recordMovement(req.body));
+    const consumed = query('SELECT layer_id, quantity, unit_cost, total_cost FROM acc_inventory_layer_consumptions WHERE transaction_id = ?', [txn.id]);
+    res.status(201).json({ success: true, data: { ...txn, layers_consumed: consumed } });
+  } catch (err) {
+    if (err.code === 'INSUFFICIENT_STOCK' || err.code === 'INVALID_MOVEMENT') return res.status(400).json({ success: false, error: err.message });
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Correct the purchase price of a receipt. Units still on hand are revalued;
+// units already issued adjust cost of goods sold.
+app.post('/api/inventory-transactions/:id/revalue', (req, res) => {
+  try {
+    const { new_unit_cost, reason, revaluation_date } = req.body;
+    if (new_unit_cost === undefined || new_unit_cost === null || new_unit_cost < 0) return res.status(400).json({ success: false, error: 'new_unit_cost required' });
+    const txn = get('SELECT * FROM acc_inventory_transactions WHERE id = ?', [req.params.id]);
+    if (!txn) return res.status(404).json({ success: false, error: 'Transaction not found' });
+    if (!txn.layer_id || txn.qty_change <= 0) return res.status(400).json({ success: false, error: 'Only stock receipts can be revalued' });
+    const layer = get('SELECT * FROM acc_inventory_cost_layers WHERE id = ?', [txn.layer_id]);
+    const delta = Number(new_unit_cost) - txn.unit_cost;
+    if (Math.abs(delta) < QTY_EPSILON) return res.status(400).json({ success: false, error: 'Unit cost is unchanged' });
+
+    // A receipt with its own layer still holds layer.remaining_qty; one folded into a
+    // weighted-average layer holds its proportional share
+    const ownLayer = layer.source_transaction_id === txn.id;
+    const onHand = ownLayer ? layer.remaining_qty : (layer.original_qty > 0 ? txn.quantity * layer.remaining_qty / layer.original_qty : 0);
+    const inventoryAdjustment = round2(delta * onHand);
+    const cogsAdjustment = round2(delta * txn.quantity - inventoryAdjustment);
+    const date = revaluation_date || today();
 
-    res.status(201).json({ success: true, data: get('SELECT * FROM acc_inventory_transactions WHERE id = ?', [id]) });
+    const revaluationId = uuidv4();
+    transaction(() => {
+      if (layer.remaining_qty > QTY_EPSILON) {
+        const newLayerCost = ownLayer ? Number(new_unit_cost) : layer.unit_cost + inventoryAdjustment / layer.remaining_qty;
+        run("UPDATE acc_inventory_cost_layers SET unit_cost = ?, updated_at = datetime('now') WHERE id = ?", [newLayerCost, layer.id]);
+      } else if (ownLayer) {
+        run("UPDATE acc_inventory_cost_layers SET unit_cost = ?, updated_at = datetime('now') WHERE id = ?", [Number(new_unit_cost), layer.id]);
+      }
+      run('UPDATE acc_inventory_transactions SET unit_cost = ?, total_cost = ? WHERE id = ?', [Number(new_unit_cost), round2(Number(new_unit_cost) * txn.quantity), txn.id]);
+
+      let adjustmentId = null;
+      if (inventoryAdjustment !== 0) {
+        adjustmentId = uuidv4();
+        run(`INSERT INTO acc_inventory_transactions (id, product_id, transaction_type, quantity, unit_cost, total_cost, reference_id, reference_type, warehouse_id, transaction_date, cost_method, qty_change, value_change)
+          VALUES (?, ?, 'adjustment', 0, 0, ?, ?, 'revaluation', ?, ?, ?, 0, ?)`,
+          [adjustmentId, txn.product_id, Math.abs(inventoryAdjustment), revaluationId, txn.warehouse_id, date, txn.cost_method, inventoryAdjustment]);
+      }
+      run(`INSERT INTO acc_inventory_revaluations (id, product_id, warehouse_id, layer_id, source_transaction_id, adjustment_transaction_id, revaluation_date, old_unit_cost, new_unit_cost, quantity, inventory_adjustment, cogs_adjustment, reason)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [revaluationId, txn.product_id, txn.warehouse_id, layer.id, txn.id, adjustmentId, date, txn.unit_cost, Number(new_unit_cost), txn.quantity, inventoryAdjustment, cogsAdjustment, reason || null]);
+      refreshProductTotals(txn.product_id);
+
+      if (inventoryAdjustment !== 0 || cogsAdjustment !== 0) {
+        const eventId = queueAccountingEvent('accounting', 'accounting.inventory.revalued', {
+          revaluation_id: revaluationId, product_id: txn.product_id, source_transaction_id: txn.id,
+          inventory_adjustment: inventoryAdjustment, cogs_adjustment: cogsAdjustment, revaluation_date: date, reason: reason || null
+        }, `inventory_valuation:inventory_revaluation:${revaluationId}`);
+        run('UPDATE acc_inventory_revaluations SET posting_event_id = ? WHERE id = ?', [eventId, revaluationId]);
+      }
+    });
+
+    res.status(201).json({ success: true, data: get('SELECT * FROM acc_inventory_revaluations WHERE id = ?', [revaluationId]) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/inventory-revaluations', (req, res) => {
+  try {
+    const { product_id } = req.query;
+    let sql = 'SELECT r.*, v.product_name FROM acc_inventory_revaluations r LEFT JOIN acc_inventory_valuation v ON v.product_id = r.product_id WHERE 1=1';
+    const params = [];
+    if (product_id) { sql += ' AND r.product_id = ?'; params.push(product_id); }
+    res.json({ success: true, data: query(sql + ' ORDER BY r.created_at DESC', params) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Stock valuation as it stood at the end of a given date, per product and warehouse
+app.get('/api/inventory-valuation/as-of', (req, res) => {
+  try {
+    const { date, warehouse_id, product_id } = req.query;
+    res.json({ success: true, data: valuationAsOf(date || today(), warehouse_id, product_id) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/inventory-valuation/as-of/csv', (req, res) => {
+  try {
+    const { date, warehouse_id, product_id } = req.query;
+    const { items } = valuationAsOf(date || today(), warehouse_id, product_id);
+    sendCSV(res, items, `inventory-valuation-${date || today()}.csv`);
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/inventory-valuation/:productId/layers', (req, res) => {
+  try {
+    const { warehouse_id, include_closed } = req.query;
+    let sql = 'SELECT * FROM acc_inventory_cost_layers WHERE product_id = ?';
+    const params = [req.params.productId];
+    if (warehouse_id) { sql += ' AND warehouse_id = ?'; params.push(warehouse_id); }
+    if (include_closed !== 'true') { sql += ' AND remaining_qty > ?'; params.push(QTY_EPSILON); }
+    const layers = query(sql + ' ORDER BY layer_date, rowid', params);
+    res.json({ success: true, data: layers.map(l => ({ ...l, remaining_value: round2(l.remaining_qty * l.unit_cost) })) });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
@@ -91,7 +387,11 @@ app.put('/api/inventory-valuation/settings', (req, res) => {
   try {
     const { product_id, valuation_method } = req.body;
     if (!product_id || !valuation_method) return res.status(400).json({ success: false, error: 'product_id and valuation_method required' });
-    run('UPDATE acc_inventory_valuation SET valuation_method = ?, last_updated = datetime(\'now\') WHERE product_id = ?', [valuation_method, product_id]);
+    if (!VALUATION_METHODS.includes(valuation_method)) return res.status(400).json({ success: false, error: `valuation_method must be one of ${VALUATION_METHODS.join(', ')}` });
+    transaction(() => {
+      if (valuation_method === 'weighted_avg') mergeLayers(product_id);
+      run('UPDATE acc_inventory_valuation SET valuation_method = ?, last_updated = datetime(\'now\') WHERE product_id = ?', [valuation_method, product_id]);
+    });
     res.json({ success: true, data: get('SELECT * FROM acc_inventory_valuation WHERE product_id = ?', [product_id]) });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
@@ -110,41 +410,32 @@ app.get('/api/inventory-valuation/methods', (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// What an issue would cost right now, without consuming any layers
 app.post('/api/inventory-valuation/calculate', (req, res) => {
   try {
-    const { product_id, method, sale_quantity } = req.body;
+    const { product_id, method, sale_quantity, warehouse_id } = req.body;
     if (!product_id || !method) return res.status(400).json({ success: false, error: 'product_id and method required' });
 
-    const txns = query('SELECT * FROM acc_inventory_transactions WHERE product_id = ? ORDER BY created_at ASC', [product_id]);
-    const purchases = txns.filter(t => t.transaction_type === 'purchase' || t.quantity > 0);
     const qty = sale_quantity || 1;
+    const layers = openLayers(product_id, warehouse_id, method === 'lifo' ? 'lifo' : 'fifo');
+    const totalQty = layers.reduce((s, l) => s + l.remaining_qty, 0);
+    const totalCost = layers.reduce((s, l) => s + l.remaining_qty * l.unit_cost, 0);
 
     let cogs = 0, remaining = qty;
-    if (method === 'fifo') {
-      for (const p of purchases) {
-        if (remaining <= 0) break;
-        const available = Math.min(p.quantity, remaining);
-        cogs += available * (p.unit_cost || 0);
-        remaining -= available;
-      }
-    } else if (method === 'lifo') {
-      for (let i = purchases.length - 1; i >= 0; i--) {
-        if (remaining <= 0) break;
-        const available = Math.min(purchases[i].quantity, remaining);
-        cogs += available * (purchases[i].unit_cost || 0);
-        remaining -= available;
+    if (method === 'fifo' || method === 'lifo') {
+      for (const l of layers) {
+        if (remaining <= QTY_EPSILON) break;
+        const take = Math.min(l.remaining_qty, remaining);
+        cogs += take * l.unit_cost;
+        remaining -= take;
       }
     } else {
-      const totalCost = purchases.reduce((s, p) => s + (p.quantity * (p.unit_cost || 0)), 0);
-      const totalQty = purchases.reduce((s, p) => s + p.quantity, 0);
       const avgCost = totalQty > 0 ? totalCost / totalQty : 0;
-      cogs = qty * avgCost;
+      cogs = Math.min(qty, totalQty) * avgCost;
+      remaining = Math.max(0, qty - totalQty);
     }
 
-    const totalQty = purchases.reduce((s, p) => s + p.quantity, 0);
-    const totalCost = purchases.reduce((s, p) => s + (p.quantity * (p.unit_cost || 0)), 0);
-
-    res.json({ success: true, data: { product_id, method, sale_quantity: qty, cogs: Math.round(cogs * 100) / 100, total_stock_qty: totalQty, total_stock_value: Math.round(totalCost * 100) / 100 } });
+    res.json({ success: true, data: { product_id, method, sale_quantity: qty, cogs: round2(cogs), shortfall_qty: Math.max(0, remaining), total_stock_qty: totalQty, total_stock_value: round2(totalCost) } });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
@@ -0,0 +1,203 @@
+/**
+ * Inventory valuation tests - FIFO, LIFO and weighted-average consumption,
+ * valuation as of a date, and the journals the bridge posts for issues and
+ * revaluations. Both services run in their own processes on a fresh
+ * database; this process seeds the accounts and checks what was saved.
+ * Run: npm test (from accounting_inventory_valuation)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory, so the shared database starts out empty
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-valuation-'));
+process.env.HOME = home;
+
+const { initDb, query, run, get, saveDb, lockDb, releaseLock } = require('../../shared/db');
+
+const services = [];
+let base;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function start(name, env = {}) {
+  const port = await freePort();
+  services.push(spawn(process.execPath, [path.join(__dirname, '..', '..', name, 'service.js')], {
+    env: { ...process.env, HOME: home, PORT: String(port), ...env },
+    stdio: 'ignore'
+  }));
+  const url = `http://127.0.0.1:${port}`;
+  for (let i = 0; ; i++) {
+    try {
+      if ((await fetch(url + '/health')).ok) return url;
+    } catch (e) {
+      if (i > 150) throw new Error(`${name} did not start`);
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+}
+
+async function call(method, url, body) {
+  const res = await fetch(base + url, {
+    method,
+    headers: { 'content-type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// The service saves shortly after it answers; its lock is free once it has
+async function settled() {
+  releaseLock(await lockDb());
+}
+
+// Two receipts at different costs, so the methods disagree about what a sale costs
+async function stock(productId, method) {
+  assert.equal((await call('POST', '/api/inventory-valuation', { product_id: productId, product_name: productId, valuation_method: method })).status, 201);
+  for (const [date, cost] of [['2026-04-01', 10], ['2026-04-05', 12]]) {
+    const r = await call('POST', '/api/inventory-transactions', { product_id: productId, transaction_type: 'purchase', quantity: 10, unit_cost: cost, transaction_date: date });
+    assert.equal(r.status, 201);
+  }
+}
+
+function sell(productId, quantity, date = '2026-04-10') {
+  return call('POST', '/api/inventory-transactions', { product_id: productId, transaction_type: 'sale', quantity, transaction_date: date });
+}
+
+async function openLayers(productId) {
+  const r = await call('GET', `/api/inventory-valuation/${productId}/layers`);
+  return r.body.data.map(l => [l.remaining_qty, l.unit_cost]);
+}
+
+async function posted(eventId) {
+  for (let i = 0; i < 100; i++) {
+    await settled();
+    const event = get('SELECT status, error, journal_entry_id FROM acc_integration_events WHERE id = ?', [eventId]);
+    if (event.status !== 'pending') {
+      assert.equal(event.status, 'processed', event.error);
+      return query(`SELECT a.account_code, l.debit_amount, l.credit_amount FROM acc_journal_lines l
+        JOIN acc_accounts a ON a.id = l.account_id WHERE l.journal_entry_id = ? ORDER BY l.line_number`, [event.journal_entry_id])
+        .map(l => [l.account_code, l.debit_amount, l.credit_amount]);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`event ${eventId} was not posted`);
+}
+
+test.before(async () => {
+  await initDb();
+  for (const [code, name] of [['INV-001', 'Inventory'], ['COGS-001', 'Cost of goods sold'], ['INV-REVAL-001', 'Purchase price variance']]) {
+    run('INSERT INTO acc_accounts (id, account_code, account_name) VALUES (?, ?, ?)', [code.toLowerCase(), code, name]);
+  }
+  saveDb();
+  releaseLock();
+
+  base = await start('accounting_inventory_valuation');
+  await start('accounting_integration_bridge', { BRIDGE_RETRY_POLL_MS: '100' });
+});
+
+test.after(() => {
+  services.forEach(s => s.kill());
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+// ============================================
+// Consumption by method
+// ============================================
+
+test('FIFO issues the oldest layer first', async () => {
+  await stock('P-FIFO', 'fifo');
+  const r = await sell('P-FIFO', 15);
+  assert.equal(r.status, 201);
+  assert.equal(r.body.data.total_cost, 160);
+  assert.deepEqual(r.body.data.layers_consumed.map(c => [c.quantity, c.unit_cost]), [[10, 10], [5, 12]]);
+  assert.deepEqual(await openLayers('P-FIFO'), [[5, 12]]);
+});
+
+test('LIFO issues the newest layer first', async () => {
+  await stock('P-LIFO', 'lifo');
+  const r = await sell('P-LIFO', 15);
+  assert.equal(r.body.data.total_cost, 170);
+  assert.deepEqual(r.body.data.layers_consumed.map(c => [c.quantity, c.unit_cost]), [[10, 12], [5, 10]]);
+  assert.deepEqual(await openLayers('P-LIFO'), [[5, 10]]);
+});
+
+test('weighted average issues at the running average cost', async () => {
+  await stock('P-AVG', 'weighted_avg');
+  assert.deepEqual(await openLayers('P-AVG'), [[20, 11]]);
+  const r = await sell('P-AVG', 15);
+  assert.equal(r.body.data.total_cost, 165);
+  assert.deepEqual(await openLayers('P-AVG'), [[5, 11]]);
+});
+
+test('an issue beyond stock is refused and changes nothing', async () => {
+  const r = await sell('P-FIFO', 6);
+  assert.equal(r.status, 400);
+  assert.match(r.body.error, /Insufficient stock/);
+  assert.deepEqual(await openLayers('P-FIFO'), [[5, 12]]);
+  await settled();
+  assert.equal(get("SELECT COUNT(*) AS n FROM acc_inventory_transactions WHERE product_id = 'P-FIFO' AND transaction_type = 'sale'").n, 1);
+});
+
+// ============================================
+// As-of valuation
+// ============================================
+
+test('valuation as of a date counts only the movements up to it', async () => {
+  let r = await call('GET', '/api/inventory-valuation/as-of?date=2026-04-03&product_id=P-FIFO');
+  assert.deepEqual(r.body.data.items.map(i => [i.quantity, i.value, i.unit_cost]), [[10, 100, 10]]);
+
+  r = await call('GET', '/api/inventory-valuation/as-of?date=2026-04-09&product_id=P-FIFO');
+  assert.deepEqual(r.body.data.items.map(i => [i.quantity, i.value]), [[20, 220]]);
+
+  r = await call('GET', '/api/inventory-valuation/as-of?date=2026-04-10');
+  const byProduct = Object.fromEntries(r.body.data.items.map(i => [i.product_id, [i.quantity, i.value]]));
+  assert.deepEqual(byProduct, { 'P-AVG': [5, 55], 'P-FIFO': [5, 60], 'P-LIFO': [5, 50] });
+  assert.equal(r.body.data.summary.total_value, 165);
+
+  r = await call('GET', '/api/inventory-valuation/as-of?date=2026-03-31');
+  assert.deepEqual(r.body.data.items, []);
+});
+
+// ============================================
+// Postings
+// ============================================
+
+test('an issue is saved with its pending journal, which the bridge posts once', async () => {
+  const r = await sell('P-LIFO', 2, '2026-04-12');
+  const txn = r.body.data;
+  assert.ok(txn.posting_event_id);
+  await settled();
+  const event = get('SELECT event_type, idempotency_key FROM acc_integration_events WHERE id = ?', [txn.posting_event_id]);
+  assert.equal(event.event_type, 'accounting.inventory.issue.costed');
+  assert.equal(event.idempotency_key, `inventory_valuation:inventory_issue:${txn.id}`);
+
+  assert.deepEqual(await posted(txn.posting_event_id), [['COGS-001', 20, 0], ['INV-001', 0, 20]]);
+  assert.equal(get('SELECT COUNT(*) AS n FROM acc_journal_entries WHERE reference_id = ?', [txn.id]).n, 1);
+});
+
+test('a purchase price correction revalues stock on hand and what was already sold', async () => {
+  // P-FIFO: the 10 @ 10 receipt was sold in full; 5 of the 10 @ 12 receipt are left
+  const receipt = get("SELECT id FROM acc_inventory_transactions WHERE product_id = 'P-FIFO' AND unit_cost = 12 AND transaction_type = 'purchase'");
+  const r = await call('POST', `/api/inventory-transactions/${receipt.id}/revalue`, { new_unit_cost: 13, reason: 'Supplier invoice', revaluation_date: '2026-04-15' });
+  assert.equal(r.status, 201);
+  assert.equal(r.body.data.inventory_adjustment, 5);
+  assert.equal(r.body.data.cogs_adjustment, 5);
+  assert.deepEqual(await openLayers('P-FIFO'), [[5, 13]]);
+
+  assert.deepEqual(await posted(r.body.data.posting_event_id), [['INV-001', 5, 0], ['COGS-001', 5, 0], ['INV-REVAL-001', 0, 10]]);
+  const asOf = await call('GET', '/api/inventory-valuation/as-of?date=2026-04-15&product_id=P-FIFO');
+  assert.deepEqual(asOf.body.data.items.map(i => [i.quantity, i.value]), [[5, 65]]);
+});
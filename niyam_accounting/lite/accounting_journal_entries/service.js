@@ -8,7 +8,10 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const { nextNumber, releaseNumber } = require('../shared/numbering');
+const { initAuth, authMiddleware } = require('../shared/auth');
+const { checkPosting, requestOptions, lockedResponse } = require('../shared/posting-guard');
 const { sendCSV } = require('../shared/csv-generator');
 const { sendPDF, sendLandscapePDF, addHeader, addTable, fmtCurrency, fmtDate } = require('../shared/pdf-generator');
 
@@ -17,6 +20,8 @@ const PORT = process.env.PORT || 8853;
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
+app.use(authMiddleware);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
@@ -68,8 +73,9 @@ app.get('/api/journal-entries/:id', (req, res) => {
 
 // Create journal entry with lines
 app.post('/api/journal-entries', (req, res) => {
+  let entryNumber = null;
   try {
-    const { entry_date, entry_type, description, reference, lines } = req.body;
+    const { entry_date, entry_type, description, reference, lines, branch_id } = req.body;
     if (!entry_date || !lines || lines.length < 2) {
       return res.status(400).json({ success: false, error: 'entry_date and at least 2 lines required' });
     }
@@ -85,8 +91,7 @@ app.post('/api/journal-entries', (req, res) => {
     }
 
     const id = uuidv4();
-    const count = query('SELECT COUNT(*) as cnt FROM acc_journal_entries')[0].cnt;
-    const entryNumber = `JE-${String(count + 1).padStart(6, '0')}`;
+    entryNumber = nextNumber('journal_entry', { date: entry_date, branch_id, document_id: id });
 
     run(
       `INSERT INTO acc_journal_entries (id, entry_number, entry_date, entry_type, description, reference, total_debit, total_credit)
@@ -107,6 +112,7 @@ app.post('/api/journal-entries', (req, res) => {
     const createdLines = query('SELECT * FROM acc_journal_lines WHERE journal_entry_id = ? ORDER BY line_number', [id]);
     res.status(201).json({ success: true, data: { ...created, lines: createdLines } });
   } catch (err) {
+    if (entryNumber) releaseNumber(entryNumber, err.message);
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -117,6 +123,8 @@ app.post('/api/journal-entries/:id/post', (req, res) => {
     const entry = get('SELECT * FROM acc_journal_entries WHERE id = ?', [req.params.id]);
     if (!entry) return res.status(404).json({ success: false, error: 'Not found' });
     if (entry.status === 'posted') return res.status(400).json({ success: false, error: 'Already posted' });
+    const guard = checkPosting(entry.entry_date, requestOptions(req, 'journal_entries', 'journal_entry', entry.id));
+    if (!guard.allowed) return lockedResponse(res, guard);
 
     const lines = query('SELECT * FROM acc_journal_lines WHERE journal_entry_id = ?', [req.params.id]);
 
@@ -311,6 +319,7 @@ app.get('*', (req, res) => {
 });
 
 initDb().then(() => {
+  initAuth({ query, run, get });
   app.listen(PORT, () => console.log(`Journal Entries (lite) on port ${PORT}`));
 }).catch(err => { console.error('Failed to init DB:', err); process.exit(1); });
 
@@ -2,6 +2,7 @@
  * Payroll Processing - Lite Version (SQLite)
  * Port: 8903
  * Indian payroll: PF, ESI, PT, TDS with salary structures
+ * Attendance, leave and one-off pay items feed each run (LOP pro-rating)
  * Split from accounts_payable for clean separation
  */
 
@@ -10,14 +11,19 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
 const { sendCSV } = require('../shared/csv-generator');
+const { sendPDF, addHeader, addTable, fmtCurrency } = require('../shared/pdf-generator');
+const { parseCSVLine } = require('../shared/bank-parser');
+const { fetchAttendance, SOURCES: WORKFORCE_SOURCES } = require('../shared/workforce-client');
+const statutory = require('../shared/statutory-returns');
 
 const app = express();
 const PORT = process.env.PORT || 8903;
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
@@ -51,11 +57,12 @@ app.get('/api/employees/csv', (req, res) => {
 
 app.post('/api/employees', (req, res) => {
   try {
-    const { emp_code, name, department, designation, date_of_joining, pan, uan, esi_number, bank_account, bank_ifsc, salary_structure_id, gross_salary } = req.body;
+    const { emp_code, name, department, designation, date_of_joining, pan, uan, esi_number, bank_account, bank_ifsc, salary_structure_id, gross_salary, workforce_source, workforce_employee_id } = req.body;
     if (!emp_code || !name) return res.status(400).json({ success: false, error: 'emp_code and name required' });
+    if (workforce_source && !WORKFORCE_SOURCES[workforce_source]) return res.status(400).json({ success: false, error: `workforce_source must be one of: ${Object.keys(WORKFORCE_SOURCES).join(', ')}` });
     const id = uuidv4();
-    run('INSERT INTO acc_employees (id, emp_code, name, department, designation, date_of_joining, pan, uan, esi_number, bank_account, bank_ifsc, salary_structure_id, gross_salary) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [id, emp_code, name, department || null, designation || null, date_of_joining || null, pan || null, uan || null, esi_number || null, bank_account || null, bank_ifsc || null, salary_structure_id || null, gross_salary || 0]);
+    run('INSERT INTO acc_employees (id, emp_code, name, department, designation, date_of_joining, pan, uan, esi_number, bank_account, bank_ifsc, salary_structure_id, gross_salary, workforce_source, workforce_employee_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [id, emp_code, name, department || null, designation || null, date_of_joining || null, pan || null, uan || null, esi_number || null, bank_account || null, bank_ifsc || null, salary_structure_id || null, gross_salary || 0, workforce_source || null, workforce_employee_id || null]);
     res.status(201).json({ success: true, data: get('SELECT * FROM acc_employees WHERE id = ?', [id]) });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
@@ -71,9 +78,10 @@ app.get('/api/employees/:id', (req, res) => {
 
 app.put('/api/employees/:id', (req, res) => {
   try {
-    const { name, department, designation, pan, uan, esi_number, bank_account, bank_ifsc, salary_structure_id, gross_salary, status } = req.body;
-    run('UPDATE acc_employees SET name = COALESCE(?, name), department = COALESCE(?, department), designation = COALESCE(?, designation), pan = COALESCE(?, pan), uan = COALESCE(?, uan), esi_number = COALESCE(?, esi_number), bank_account = COALESCE(?, bank_account), bank_ifsc = COALESCE(?, bank_ifsc), salary_structure_id = COALESCE(?, salary_structure_id), gross_salary = COALESCE(?, gross_salary), status = COALESCE(?, status), updated_at = datetime(\'now\') WHERE id = ?',
-      [name, department, designation, pan, uan, esi_number, bank_account, bank_ifsc, salary_structure_id, gross_salary, status, req.params.id]);
+    const { name, department, designation, pan, uan, esi_number, bank_account, bank_ifsc, salary_structure_id, gross_salary, status, workforce_source, workforce_employee_id } = req.body;
+    if (workforce_source && !WORKFORCE_SOURCES[workforce_source]) return res.status(400).json({ success: false, error: `workforce_source must be one of: ${Object.keys(WORKFORCE_SOURCES).join(', ')}` });
+    run('UPDATE acc_employees SET name = COALESCE(?, name), department = COALESCE(?, department), designation = COALESCE(?, designation), pan = COALESCE(?, pan), uan = COALESCE(?, uan), esi_number = COALESCE(?, esi_number), bank_account = COALESCE(?, bank_account), bank_ifsc = COALESCE(?, bank_ifsc), salary_structure_id = COALESCE(?, salary_structure_id), gross_salary = COALESCE(?, gross_salary), status = COALESCE(?, status), workforce_source = COALESCE(?, workforce_source), workforce_employee_id = COALESCE(?, workforce_employee_id), updated_at = datetime(\'now\') WHERE id = ?',
+      [name, department, designation, pan, uan, esi_number, bank_account, bank_ifsc, salary_structure_id, gross_salary, status, workforce_source, workforce_employee_id, req.params.id].map(v => v ?? null));
     res.json({ success: true, data: get('SELECT * FROM acc_employees WHERE id = ?', [req.params.id]) });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
@@ -126,17 +134,327 @@ app.get('/api/payroll/settings', (req, res) => {
 
 app.put('/api/payroll/settings', (req, res) => {
   try {
-    const { pf_rate_employee, pf_rate_employer, pf_wage_ceiling, esi_rate_employee, esi_rate_employer, esi_wage_ceiling, pt_slabs, tds_slabs } = req.body;
-    run('UPDATE acc_payroll_settings SET pf_rate_employee = COALESCE(?, pf_rate_employee), pf_rate_employer = COALESCE(?, pf_rate_employer), pf_wage_ceiling = COALESCE(?, pf_wage_ceiling), esi_rate_employee = COALESCE(?, esi_rate_employee), esi_rate_employer = COALESCE(?, esi_rate_employer), esi_wage_ceiling = COALESCE(?, esi_wage_ceiling), pt_slabs = COALESCE(?, pt_slabs), tds_slabs = COALESCE(?, tds_slabs), updated_at = datetime(\'now\') WHERE id = \'default\'',
-      [pf_rate_employee, pf_rate_employer, pf_wage_ceiling, esi_rate_employee, esi_rate_employer, esi_wage_ceiling, pt_slabs ? JSON.stringify(pt_slabs) : null, tds_slabs ? JSON.stringify(tds_slabs) : null]);
+    const { pf_rate_employee, pf_rate_employer, pf_wage_ceiling, esi_rate_employee, esi_rate_employer, esi_wage_ceiling, pt_slabs, tds_slabs, standard_hours_per_day, overtime_multiplier, employer_tan, epf_establishment_code, esic_employer_code, standard_deduction } = req.body;
+    run('UPDATE acc_payroll_settings SET pf_rate_employee = COALESCE(?, pf_rate_employee), pf_rate_employer = COALESCE(?, pf_rate_employer), pf_wage_ceiling = COALESCE(?, pf_wage_ceiling), esi_rate_employee = COALESCE(?, esi_rate_employee), esi_rate_employer = COALESCE(?, esi_rate_employer), esi_wage_ceiling = COALESCE(?, esi_wage_ceiling), pt_slabs = COALESCE(?, pt_slabs), tds_slabs = COALESCE(?, tds_slabs), standard_hours_per_day = COALESCE(?, standard_hours_per_day), overtime_multiplier = COALESCE(?, overtime_multiplier), employer_tan = COALESCE(?, employer_tan), epf_establishment_code = COALESCE(?, epf_establishment_code), esic_employer_code = COALESCE(?, esic_employer_code), standard_deduction = COALESCE(?, standard_deduction), updated_at = datetime(\'now\') WHERE id = \'default\'',
+      [pf_rate_employee, pf_rate_employer, pf_wage_ceiling, esi_rate_employee, esi_rate_employer, esi_wage_ceiling, pt_slabs ? JSON.stringify(pt_slabs) : null, tds_slabs ? JSON.stringify(tds_slabs) : null, standard_hours_per_day, overtime_multiplier, employer_tan ? String(employer_tan).toUpperCase() : null, epf_establishment_code, esic_employer_code, standard_deduction].map(v => v ?? null));
     res.json({ success: true, data: get('SELECT * FROM acc_payroll_settings WHERE id = \'default\'') });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// =============================================================================
+// PAYROLL INPUTS (attendance, leave and one-off pay items per period)
+// =============================================================================
+
+const ADJUSTMENT_COMPONENTS = ['overtime', 'arrears', 'bonus', 'earning', 'deduction'];
+const ADJUSTMENT_LABELS = { overtime: 'Overtime', arrears: 'Arrears', bonus: 'Bonus', earning: 'Other earning', deduction: 'Other deduction' };
+// Optional amount columns in the attendance CSV and the adjustment each one becomes
+const CSV_ADJUSTMENT_COLUMNS = { arrears: 'arrears', bonus: 'bonus', other_earnings: 'earning', other_deductions: 'deduction' };
+
+function daysInMonth(month, year) {
+  return new Date(year, month, 0).getDate();
+}
+
+function periodBounds(month, year) {
+  const mm = String(month).padStart(2, '0');
+  return { from: `${year}-${mm}-01`, to: `${year}-${mm}-${String(daysInMonth(month, year)).padStart(2, '0')}` };
+}
+
+function parsePeriod(src) {
+  const month = parseInt(src.period_month, 10);
+  const year = parseInt(src.period_year, 10);
+  if (!month || month < 1 || month > 12 || !year) return null;
+  return { month, year };
+}
+
+function num(val) {
+  if (val === undefined || val === null || val === '') return null;
+  const n = parseFloat(val);
+  return isNaN(n) ? null : n;
+}
+
+// Inputs freeze once the period's payroll has been approved
+function lockedPeriodError(period) {
+  const existing = get('SELECT status FROM acc_payroll_runs WHERE period_month = ? AND period_year = ?', [period.month, period.year]);
+  return existing && existing.status !== 'draft' ? `Payroll for ${period.month}/${period.year} is already ${existing.status}` : null;
+}
+
+function validateAttendance(input, period) {
+  const workingDays = num(input.working_days) ?? daysInMonth(period.month, period.year);
+  for (const field of ['working_days', 'days_present', 'paid_leave_days', 'lop_days', 'overtime_hours']) {
+    if (num(input[field]) !== null && num(input[field]) < 0) return `${field} cannot be negative`;
+  }
+  if (workingDays <= 0) return 'working_days must be positive';
+  if ((num(input.lop_days) || 0) > workingDays) return 'lop_days cannot exceed working_days';
+  return null;
+}
+
+function upsertAttendance(employeeId, period, input, source) {
+  const values = [num(input.working_days), num(input.days_present), num(input.paid_leave_days) || 0, num(input.lop_days) || 0, num(input.overtime_hours) || 0, source, input.notes || null];
+  const existing = get('SELECT id FROM acc_payroll_attendance WHERE employee_id = ? AND period_month = ? AND period_year = ?', [employeeId, period.month, period.year]);
+  if (existing) {
+    run('UPDATE acc_payroll_attendance SET working_days = ?, days_present = ?, paid_leave_days = ?, lop_days = ?, overtime_hours = ?, source = ?, notes = ?, updated_at = datetime(\'now\') WHERE id = ?', [...values, existing.id]);
+    return existing.id;
+  }
+  const id = uuidv4();
+  run('INSERT INTO acc_payroll_attendance (id, employee_id, period_month, period_year, working_days, days_present, paid_leave_days, lop_days, overtime_hours, source, notes) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [id, employeeId, period.month, period.year, ...values]);
+  return id;
+}
+
+function addAdjustment(employeeId, period, component, description, amount, source) {
+  const id = uuidv4();
+  run('INSERT INTO acc_payroll_adjustments (id, employee_id, period_month, period_year, component, description, amount, source) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [id, employeeId, period.month, period.year, component, description || ADJUSTMENT_LABELS[component], amount, source]);
+  return id;
+}
+
+app.get('/api/payroll/inputs', (req, res) => {
+  try {
+    const period = parsePeriod(req.query);
+    if (!period) return res.status(400).json({ success: false, error: 'period_month and period_year required' });
+    const employees = query('SELECT id, emp_code, name, department, gross_salary, workforce_source, workforce_employee_id FROM acc_employees WHERE status = \'active\' ORDER BY emp_code', []);
+    const attendance = query('SELECT * FROM acc_payroll_attendance WHERE period_month = ? AND period_year = ?', [period.month, period.year]);
+    const adjustments = query('SELECT * FROM acc_payroll_adjustments WHERE period_month = ? AND period_year = ? ORDER BY created_at', [period.month, period.year]);
+    res.json({ success: true, data: {
+      period_month: period.month, period_year: period.year,
+      default_working_days: daysInMonth(period.month, period.year),
+      locked: !!lockedPeriodError(period),
+      employees: employees.map(e => ({ ...e, attendance: attendance.find(a => a.employee_id === e.id) || null, adjustments: adjustments.filter(a => a.employee_id === e.id) }))
+    } });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.put('/api/payroll/inputs/attendance', (req, res) => {
+  try {
+    const period = parsePeriod(req.body);
+    const { employee_id } = req.body;
+    if (!period || !employee_id) return res.status(400).json({ success: false, error: 'employee_id, period_month and period_year required' });
+    if (!get('SELECT id FROM acc_employees WHERE id = ?', [employee_id])) return res.status(404).json({ success: false, error: 'Employee not found' });
+    const locked = lockedPeriodError(period);
+    if (locked) return res.status(400).json({ success: false, error: locked });
+    const invalid = validateAttendance(req.body, period);
+    if (invalid) return res.status(400).json({ success: false, error: invalid });
+    const id = upsertAttendance(employee_id, period, req.body, 'manual');
+    res.json({ success: true, data: get('SELECT * FROM acc_payroll_attendance WHERE id = ?', [id]) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/api/payroll/inputs/adjustments', (req, res) => {
+  try {
+    const period = parsePeriod(req.body);
+    const { employee_id, component, description } = req.body;
+    const amount = num(req.body.amount);
+    if (!period || !employee_id || !component || amount === null) return res.status(400).json({ success: false, error: 'employee_id, period_month, period_year, component and amount required' });
+    if (!ADJUSTMENT_COMPONENTS.includes(component)) return res.status(400).json({ success: false, error: `component must be one of: ${ADJUSTMENT_COMPONENTS.join(', ')}` });
+    if (amount <= 0) return res.status(400).json({ success: false, error: 'amount must be positive' });
+    if (!get('SELECT id FROM acc_employees WHERE id = ?', [employee_id])) return res.status(404).json({ success: false, error: 'Employee not found' });
+    const locked = lockedPeriodError(period);
+    if (locked) return res.status(400).json({ success: false, error: locked });
+    const id = addAdjustment(employee_id, period, component, description, amount, 'manual');
+    res.status(201).json({ success: true, data: get('SELECT * FROM acc_payroll_adjustments WHERE id = ?', [id]) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.delete('/api/payroll/inputs/adjustments/:id', (req, res) => {
+  try {
+    const adj = get('SELECT * FROM acc_payroll_adjustments WHERE id = ?', [req.params.id]);
+    if (!adj) return res.status(404).json({ success: false, error: 'Adjustment not found' });
+    const locked = lockedPeriodError({ month: adj.period_month, year: adj.period_year });
+    if (locked) return res.status(400).json({ success: false, error: locked });
+    run('DELETE FROM acc_payroll_adjustments WHERE id = ?', [req.params.id]);
+    res.json({ success: true, data: { id: req.params.id, deleted: true } });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Bulk upload: emp_code, working_days, days_present, paid_leave_days, lop_days, overtime_hours, arrears, bonus, other_earnings, other_deductions, remarks
+app.post('/api/payroll/inputs/upload', (req, res) => {
+  try {
+    const period = parsePeriod(req.body);
+    const { content } = req.body;
+    if (!period || !content) return res.status(400).json({ success: false, error: 'period_month, period_year and content required' });
+    const locked = lockedPeriodError(period);
+    if (locked) return res.status(400).json({ success: false, error: locked });
+    const lines = String(content).trim().split(/\r?\n/);
+    const separator = lines[0].includes('\t') ? '\t' : ',';
+    const headers = parseCSVLine(lines[0], separator).map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+    if (!headers.includes('emp_code')) return res.status(400).json({ success: false, error: 'CSV must have an emp_code column' });
+
+    const result = { imported: 0, adjustments: 0, errors: [] };
+    for (let i = 1; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+      const vals = parseCSVLine(lines[i], separator);
+      const row = {};
+      headers.forEach((h, idx) => { row[h] = (vals[idx] || '').trim(); });
+      const emp = get('SELECT id FROM acc_employees WHERE emp_code = ?', [row.emp_code]);
+      if (!emp) { result.errors.push({ line: i + 1, emp_code: row.emp_code, error: 'Unknown emp_code' }); continue; }
+      const invalid = validateAttendance(row, period);
+      if (invalid) { result.errors.push({ line: i + 1, emp_code: row.emp_code, error: invalid }); continue; }
+
+      upsertAttendance(emp.id, period, { ...row, notes: row.remarks }, 'csv');
+      // Re-uploading a corrected sheet replaces its earlier items instead of adding to them
+      run('DELETE FROM acc_payroll_adjustments WHERE employee_id = ? AND period_month = ? AND period_year = ? AND source = \'csv\'', [emp.id, period.month, period.year]);
+      Object.entries(CSV_ADJUSTMENT_COLUMNS).forEach(([column, component]) => {
+        const amount = num(row[column]);
+        if (amount && amount > 0) {
+          addAdjustment(emp.id, period, component, row.remarks ? `${ADJUSTMENT_LABELS[component]} - ${row.remarks}` : null, amount, 'csv');
+          result.adjustments++;
+        }
+      });
+      result.imported++;
+    }
+    res.json({ success: true, data: result });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Pull timesheets and approved leave from retail/hospitality workforce for employees linked to that source
+app.post('/api/payroll/inputs/pull', async (req, res) => {
+  try {
+    const period = parsePeriod(req.body);
+    const { source, count_absence_as_lop } = req.body;
+    if (!period || !source) return res.status(400).json({ success: false, error: 'period_month, period_year and source required' });
+    if (!WORKFORCE_SOURCES[source]) return res.status(400).json({ success: false, error: `source must be one of: ${Object.keys(WORKFORCE_SOURCES).join(', ')}` });
+    const locked = lockedPeriodError(period);
+    if (locked) return res.status(400).json({ success: false, error: locked });
+
+    const { from, to } = periodBounds(period.month, period.year);
+    const workingDays = num(req.body.working_days) || daysInMonth(period.month, period.year);
+    const settings = payrollSettings();
+    const employees = query('SELECT id, emp_code, workforce_employee_id FROM acc_employees WHERE status = \'active\' AND workforce_source = ? AND workforce_employee_id IS NOT NULL', [source]);
+
+    const result = { source, linked_employees: employees.length, imported: 0, errors: [] };
+    for (const emp of employees) {
+      try {
+        const a = await fetchAttendance(source, emp.workforce_employee_id, from, to, { standard_hours: settings.standard_hours_per_day || 8 });
+        let lopDays = a.lop_days;
+        // Days neither worked nor covered by approved leave
+        if (count_absence_as_lop) lopDays += Math.max(0, workingDays - a.days_present - a.paid_leave_days - a.lop_days);
+        upsertAttendance(emp.id, period, {
+          working_days: workingDays, days_present: a.days_present, paid_leave_days: a.paid_leave_days,
+          lop_days: Math.min(lopDays, workingDays), overtime_hours: a.overtime_hours
+        }, source);
+        result.imported++;
+      } catch (e) { result.errors.push({ emp_code: emp.emp_code, error: e.message }); }
+    }
+    res.json({ success: true, data: result });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
 // =============================================================================
 // PAYROLL RUNS
 // =============================================================================
 
+function payrollSettings() {
+  return get('SELECT * FROM acc_payroll_settings WHERE id = \'default\'') || {};
+}
+
+/**
+ * One employee's pay for the period. Fixed pay is pro-rated by paid days
+ * (working days less LOP); PF and ESI follow the wages actually earned and
+ * PT the month's total gross. One-off items carry their full marginal TDS.
+ */
+function computePayslip(emp, settings, attendance, adjustments, period) {
+  const gross = emp.gross_salary || 0;
+  const basicPct = (emp.basic_pct || 50) / 100;
+  const hraPct = (emp.hra_pct || 20) / 100;
+  const daPct = (emp.da_pct || 10) / 100;
+
+  const workingDays = (attendance && attendance.working_days) || daysInMonth(period.month, period.year);
+  const lopDays = Math.min((attendance && attendance.lop_days) || 0, workingDays);
+  const paidDays = workingDays - lopDays;
+  const factor = paidDays / workingDays;
+
+  const earnedFixed = Math.round(gross * factor);
+  const basic = Math.round(gross * basicPct * factor);
+  const hra = Math.round(gross * hraPct * factor);
+  const da = Math.round(gross * daPct * factor);
+  const special = earnedFixed - basic - hra - da;
+  const lopAmount = gross - earnedFixed;
+
+  const sumOf = component => adjustments.filter(a => a.component === component).reduce((s, a) => s + a.amount, 0);
+  const overtimeHours = (attendance && attendance.overtime_hours) || 0;
+  const hourlyRate = gross / workingDays / (settings.standard_hours_per_day || 8);
+  const timesheetOvertime = Math.round(overtimeHours * hourlyRate * (settings.overtime_multiplier || 2));
+  const overtimeAmount = timesheetOvertime + sumOf('overtime');
+  const arrears = sumOf('arrears');
+  const bonus = sumOf('bonus');
+  const otherEarnings = sumOf('earning');
+  const otherDeductions = sumOf('deduction');
+  const totalGross = earnedFixed + overtimeAmount + arrears + bonus + otherEarnings;
+
+  const pfCeiling = settings.pf_wage_ceiling || 15000;
+  const pfWage = Math.min(basic + da, pfCeiling);
+  const pfEmployee = Math.round(pfWage * (settings.pf_rate_employee || 12) / 100);
+  const pfEmployer = Math.round(pfWage * (settings.pf_rate_employer || 12) / 100);
+  // ESI coverage is decided on the fixed monthly wage; contributions are on wages earned, bonus excluded
+  const esiCovered = gross <= (settings.esi_wage_ceiling || 21000);
+  const esiWages = totalGross - bonus;
+  const esiEmployee = esiCovered ? Math.round(esiWages * (settings.esi_rate_employee || 0.75) / 100) : 0;
+  const esiEmployer = esiCovered ? Math.round(esiWages * (settings.esi_rate_employer || 3.25) / 100) : 0;
+
+  let pt = 0;
+  for (const slab of JSON.parse(settings.pt_slabs || '[]')) { if (totalGross >= slab.min && (!slab.max || totalGross <= slab.max)) { pt = slab.tax || 0; break; } }
+
+  const tdsSlabs = JSON.parse(settings.tds_slabs || '[]');
+  const regularAnnual = gross * 12 - lopAmount;
+  const regularTax = statutory.slabTax(regularAnnual, tdsSlabs);
+  const tds = Math.round(regularTax / 12 + statutory.slabTax(regularAnnual + totalGross - earnedFixed, tdsSlabs) - regularTax);
+
+  const deductions = pfEmployee + esiEmployee + pt + tds + otherDeductions;
+
+  const lines = [
+    { line_type: 'earning', code: 'BASIC', description: 'Basic', amount: basic },
+    { line_type: 'earning', code: 'HRA', description: 'House rent allowance', amount: hra },
+    { line_type: 'earning', code: 'DA', description: 'Dearness allowance', amount: da },
+    { line_type: 'earning', code: 'SPECIAL', description: 'Special allowance', amount: special }
+  ];
+  if (timesheetOvertime) lines.push({ line_type: 'earning', code: 'OVERTIME', description: `Overtime (${overtimeHours} h)`, amount: timesheetOvertime });
+  adjustments.filter(a => a.component !== 'deduction').forEach(a => {
+    lines.push({ line_type: 'earning', code: a.component.toUpperCase(), description: a.description || ADJUSTMENT_LABELS[a.component], amount: a.amount });
+  });
+  lines.push(
+    { line_type: 'deduction', code: 'PF', description: 'Provident fund', amount: pfEmployee },
+    { line_type: 'deduction', code: 'ESI', description: 'Employee state insurance', amount: esiEmployee },
+    { line_type: 'deduction', code: 'PT', description: 'Professional tax', amount: pt },
+    { line_type: 'deduction', code: 'TDS', description: 'Income tax (TDS)', amount: tds }
+  );
+  adjustments.filter(a => a.component === 'deduction').forEach(a => {
+    lines.push({ line_type: 'deduction', code: 'DEDUCTION', description: a.description || ADJUSTMENT_LABELS.deduction, amount: a.amount });
+  });
+
+  return {
+    basic, hra, da, special, gross: totalGross,
+    pf_employee: pfEmployee, pf_employer: pfEmployer, esi_employee: esiEmployee, esi_employer: esiEmployer,
+    pt, tds, other_deductions: otherDeductions, deductions, net_pay: totalGross - deductions,
+    pf_wages: pfWage, esi_wages: esiCovered ? esiWages : 0,
+    working_days: workingDays, paid_days: paidDays, lop_days: lopDays, lop_amount: lopAmount,
+    overtime_hours: overtimeHours, overtime_amount: overtimeAmount, arrears, bonus, other_earnings: otherEarnings,
+    lines
+  };
+}
+
+// Create payslips (and their lines) for every active employee; returns run totals
+function processRun(runId, period) {
+  const settings = payrollSettings();
+  const employees = query('SELECT e.*, s.basic_pct, s.hra_pct, s.da_pct, s.special_allowance FROM acc_employees e LEFT JOIN acc_salary_structures s ON e.salary_structure_id = s.id WHERE e.status = \'active\'', []);
+  const attendance = query('SELECT * FROM acc_payroll_attendance WHERE period_month = ? AND period_year = ?', [period.month, period.year]);
+  const adjustments = query('SELECT * FROM acc_payroll_adjustments WHERE period_month = ? AND period_year = ? ORDER BY created_at', [period.month, period.year]);
+
+  let totalGross = 0, totalDeductions = 0, totalNet = 0;
+  for (const emp of employees) {
+    const slip = computePayslip(emp, settings, attendance.find(a => a.employee_id === emp.id), adjustments.filter(a => a.employee_id === emp.id), period);
+    totalGross += slip.gross; totalDeductions += slip.deductions; totalNet += slip.net_pay;
+    const slipId = uuidv4();
+    run('INSERT INTO acc_payslips (id, run_id, employee_id, basic, hra, da, special, gross, pf_employee, pf_employer, esi_employee, esi_employer, pt, tds, other_deductions, net_pay, pf_wages, esi_wages, working_days, paid_days, lop_days, lop_amount, overtime_hours, overtime_amount, arrears, bonus, other_earnings) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [slipId, runId, emp.id, slip.basic, slip.hra, slip.da, slip.special, slip.gross, slip.pf_employee, slip.pf_employer, slip.esi_employee, slip.esi_employer, slip.pt, slip.tds, slip.other_deductions, slip.net_pay, slip.pf_wages, slip.esi_wages,
+       slip.working_days, slip.paid_days, slip.lop_days, slip.lop_amount, slip.overtime_hours, slip.overtime_amount, slip.arrears, slip.bonus, slip.other_earnings]);
+    slip.lines.forEach((line, idx) => {
+      run('INSERT INTO acc_payslip_lines (id, payslip_id, line_type, code, description, amount, sort_order) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [uuidv4(), slipId, line.line_type, line.code, line.description, line.amount, idx]);
+    });
+  }
+  return { employees_processed: employees.length, total_gross: totalGross, total_deductions: totalDeductions, total_net: totalNet };
+}
+
 app.post('/api/payroll/run', (req, res) => {
   try {
     const { period_month, period_year } = req.body;
@@ -144,59 +462,29 @@ app.post('/api/payroll/run', (req, res) => {
     const year = period_year || new Date().getFullYear();
     const existing = get('SELECT id FROM acc_payroll_runs WHERE period_month = ? AND period_year = ?', [month, year]);
     if (existing) return res.status(400).json({ success: false, error: `Payroll already exists for ${month}/${year}` });
-    const settings = get('SELECT * FROM acc_payroll_settings WHERE id = \'default\'') || {};
-    const pfRate = (settings.pf_rate_employee || 12) / 100;
-    const pfEmployerRate = (settings.pf_rate_employer || 12) / 100;
-    const pfCeiling = settings.pf_wage_ceiling || 15000;
-    const esiEmpRate = (settings.esi_rate_employee || 0.75) / 100;
-    const esiCorpRate = (settings.esi_rate_employer || 3.25) / 100;
-    const esiCeiling = settings.esi_wage_ceiling || 21000;
-    const ptSlabs = JSON.parse(settings.pt_slabs || '[]');
 
     const runId = uuidv4();
     const runNumber = `PAY-${year}-${String(month).padStart(2, '0')}`;
-    const employees = query('SELECT e.*, s.basic_pct, s.hra_pct, s.da_pct, s.special_allowance FROM acc_employees e LEFT JOIN acc_salary_structures s ON e.salary_structure_id = s.id WHERE e.status = \'active\'', []);
-
-    let totalGross = 0, totalDeductions = 0, totalNet = 0;
-    for (const emp of employees) {
-      const gross = emp.gross_salary || 0;
-      const basicPct = (emp.basic_pct || 50) / 100;
-      const hraPct = (emp.hra_pct || 20) / 100;
-      const daPct = (emp.da_pct || 10) / 100;
-      const basic = Math.round(gross * basicPct);
-      const hra = Math.round(gross * hraPct);
-      const da = Math.round(gross * daPct);
-      const special = gross - basic - hra - da;
-      const pfWage = Math.min(basic + da, pfCeiling);
-      const pfEmployee = Math.round(pfWage * pfRate);
-      const pfEmployer = Math.round(pfWage * pfEmployerRate);
-      const esiEmployee = gross <= esiCeiling ? Math.round(gross * esiEmpRate) : 0;
-      const esiEmployer = gross <= esiCeiling ? Math.round(gross * esiCorpRate) : 0;
-      let pt = 0;
-      for (const slab of ptSlabs) { if (gross >= slab.min && (!slab.max || gross <= slab.max)) { pt = slab.tax || 0; break; } }
-      const annualGross = gross * 12;
-      let tds = 0;
-      const tdsSlabs = JSON.parse(settings.tds_slabs || '[]');
-      let remaining = annualGross;
-      for (const slab of tdsSlabs) {
-        const slabWidth = slab.max ? slab.max - slab.min + 1 : remaining;
-        const taxable = Math.min(remaining, slabWidth);
-        tds += taxable * (slab.rate || 0) / 100;
-        remaining -= taxable;
-        if (remaining <= 0) break;
-      }
-      tds = Math.round(tds / 12);
-      const deductions = pfEmployee + esiEmployee + pt + tds;
-      const netPay = gross - deductions;
-      totalGross += gross; totalDeductions += deductions; totalNet += netPay;
-      const slipId = uuidv4();
-      run('INSERT INTO acc_payslips (id, run_id, employee_id, basic, hra, da, special, gross, pf_employee, pf_employer, esi_employee, esi_employer, pt, tds, net_pay) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [slipId, runId, emp.id, basic, hra, da, special, gross, pfEmployee, pfEmployer, esiEmployee, esiEmployer, pt, tds, netPay]);
-    }
+    const totals = processRun(runId, { month, year });
 
     run('INSERT INTO acc_payroll_runs (id, run_number, period_month, period_year, status, total_gross, total_deductions, total_net, processed_at) VALUES (?, ?, ?, ?, \'draft\', ?, ?, ?, datetime(\'now\'))',
-      [runId, runNumber, month, year, totalGross, totalDeductions, totalNet]);
-    res.status(201).json({ success: true, data: { run_id: runId, run_number: runNumber, employees_processed: employees.length, total_gross: totalGross, total_deductions: totalDeductions, total_net: totalNet } });
+      [runId, runNumber, month, year, totals.total_gross, totals.total_deductions, totals.total_net]);
+    res.status(201).json({ success: true, data: { run_id: runId, run_number: runNumber, ...totals } });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Re-run a draft after its attendance or adjustments were corrected
+app.post('/api/payroll/runs/:id/recalculate', (req, res) => {
+  try {
+    const payrollRun = get('SELECT * FROM acc_payroll_runs WHERE id = ?', [req.params.id]);
+    if (!payrollRun) return res.status(404).json({ success: false, error: 'Payroll run not found' });
+    if (payrollRun.status !== 'draft') return res.status(400).json({ success: false, error: 'Only draft payroll runs can be recalculated' });
+    run('DELETE FROM acc_payslip_lines WHERE payslip_id IN (SELECT id FROM acc_payslips WHERE run_id = ?)', [req.params.id]);
+    run('DELETE FROM acc_payslips WHERE run_id = ?', [req.params.id]);
+    const totals = processRun(req.params.id, { month: payrollRun.period_month, year: payrollRun.period_year });
+    run('UPDATE acc_payroll_runs SET total_gross = ?, total_deductions = ?, total_net = ?, processed_at = datetime(\'now\') WHERE id = ?',
+      [totals.total_gross, totals.total_deductions, totals.total_net, req.params.id]);
+    res.json({ success: true, data: { run_id: req.params.id, run_number: payrollRun.run_number, ...totals } });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
@@ -249,11 +537,269 @@ app.get('/api/payroll/runs/:id/bank-file', (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Itemised lines; payslips generated before lines were recorded fall back to the fixed columns
+function payslipLines(slip) {
+  const lines = query('SELECT line_type, code, description, amount FROM acc_payslip_lines WHERE payslip_id = ? ORDER BY sort_order', [slip.id]);
+  if (lines.length) return lines;
+  return [
+    { line_type: 'earning', code: 'BASIC', description: 'Basic', amount: slip.basic },
+    { line_type: 'earning', code: 'HRA', description: 'House rent allowance', amount: slip.hra },
+    { line_type: 'earning', code: 'DA', description: 'Dearness allowance', amount: slip.da },
+    { line_type: 'earning', code: 'SPECIAL', description: 'Special allowance', amount: slip.special },
+    { line_type: 'deduction', code: 'PF', description: 'Provident fund', amount: slip.pf_employee },
+    { line_type: 'deduction', code: 'ESI', description: 'Employee state insurance', amount: slip.esi_employee },
+    { line_type: 'deduction', code: 'PT', description: 'Professional tax', amount: slip.pt },
+    { line_type: 'deduction', code: 'TDS', description: 'Income tax (TDS)', amount: slip.tds },
+    { line_type: 'deduction', code: 'DEDUCTION', description: 'Other deductions', amount: slip.other_deductions || 0 }
+  ];
+}
+
 app.get('/api/payslips/:id/pdf', (req, res) => {
   try {
     const slip = get('SELECT p.*, e.emp_code, e.name as employee_name, e.department, e.designation, e.pan, e.uan, r.period_month, r.period_year FROM acc_payslips p JOIN acc_employees e ON p.employee_id = e.id JOIN acc_payroll_runs r ON p.run_id = r.id WHERE p.id = ?', [req.params.id]);
     if (!slip) return res.status(404).json({ success: false, error: 'Payslip not found' });
-    res.json({ success: true, data: { ...slip, earnings: { basic: slip.basic, hra: slip.hra, da: slip.da, special: slip.special, total: slip.gross }, deductions: { pf: slip.pf_employee, esi: slip.esi_employee, pt: slip.pt, tds: slip.tds, total: slip.pf_employee + slip.esi_employee + slip.pt + slip.tds + (slip.other_deductions || 0) }, net_pay: slip.net_pay, period: `${slip.period_month}/${slip.period_year}` } });
+    const lines = payslipLines(slip);
+    const earnings = lines.filter(l => l.line_type === 'earning' && l.amount);
+    const deductions = lines.filter(l => l.line_type === 'deduction' && l.amount);
+    const totalDeductions = deductions.reduce((s, l) => s + l.amount, 0);
+
+    if (req.query.format === 'json') {
+      return res.json({ success: true, data: { ...slip, earnings: { basic: slip.basic, hra: slip.hra, da: slip.da, special: slip.special, total: slip.gross }, deductions: { pf: slip.pf_employee, esi: slip.esi_employee, pt: slip.pt, tds: slip.tds, total: totalDeductions }, lines, net_pay: slip.net_pay, period: `${slip.period_month}/${slip.period_year}` } });
+    }
+
+    const amountCols = [
+      { key: 'description', label: 'Component', width: 3 },
+      { key: 'amount', label: 'Amount', width: 1.5, align: 'right', formatter: fmtCurrency }
+    ];
+    sendPDF(res, (doc) => {
+      addHeader(doc, 'Payslip', `${MONTH_NAMES[slip.period_month - 1]} ${slip.period_year}`);
+      doc.fontSize(10).fillColor('#1e293b').text(`${slip.employee_name} (${slip.emp_code})`);
+      doc.fontSize(9).fillColor('#64748b')
+        .text(`${slip.designation || ''}${slip.designation && slip.department ? ', ' : ''}${slip.department || ''}`)
+        .text(`PAN: ${slip.pan || '-'}    UAN: ${slip.uan || '-'}`);
+      doc.moveDown(0.5);
+
+      if (slip.working_days) {
+        doc.fontSize(11).fillColor('#1e293b').text('Attendance');
+        doc.moveDown(0.3);
+        addTable(doc, [{ key: 'label', label: 'Item', width: 3 }, { key: 'value', label: 'Value', width: 1.5, align: 'right' }], [
+          { label: 'Working days', value: slip.working_days },
+          { label: 'Paid days', value: slip.paid_days },
+          { label: 'Loss of pay days', value: slip.lop_days || 0 },
+          { label: 'Loss of pay (fixed pay withheld)', value: fmtCurrency(slip.lop_amount) },
+          { label: 'Overtime hours', value: slip.overtime_hours || 0 }
+        ]);
+      }
+
+      doc.fontSize(11).fillColor('#1e293b').text('Earnings');
+      doc.moveDown(0.3);
+      addTable(doc, amountCols, earnings);
+      doc.fontSize(10).text(`Gross Earnings: ${fmtCurrency(slip.gross)}`, { align: 'right' });
+      doc.moveDown(0.5);
+      doc.fontSize(11).text('Deductions');
+      doc.moveDown(0.3);
+      addTable(doc, amountCols, deductions);
+      doc.fontSize(10).text(`Total Deductions: ${fmtCurrency(totalDeductions)}`, { align: 'right' });
+      doc.moveDown(1);
+      doc.fontSize(13).text(`Net Pay: ${fmtCurrency(slip.net_pay)}`, { align: 'right' });
+    }, `payslip_${slip.emp_code}_${slip.period_year}_${String(slip.period_month).padStart(2, '0')}.pdf`);
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// =============================================================================
+// STATUTORY RETURNS (EPF ECR, ESIC, Form 24Q, Form 16 Part B)
+// =============================================================================
+
+const SLIP_WITH_EMPLOYEE = 'SELECT p.*, e.emp_code, e.name as employee_name, e.designation, e.pan, e.uan, e.esi_number, r.period_month, r.period_year FROM acc_payslips p JOIN acc_employees e ON p.employee_id = e.id JOIN acc_payroll_runs r ON p.run_id = r.id';
+
+function employerDetails(settings) {
+  const company = get('SELECT * FROM acc_company_settings WHERE id = \'default\'') || {};
+  return {
+    name: company.company_name || 'My Company',
+    pan: company.pan || null,
+    tan: settings.employer_tan || null,
+    address: [company.address_line1, company.address_line2, company.city, company.state, company.pincode].filter(Boolean).join(', '),
+    epf_establishment_code: settings.epf_establishment_code || null,
+    esic_employer_code: settings.esic_employer_code || null
+  };
+}
+
+// Slips from approved or paid runs in the given calendar periods
+function filedSlips(periods, employeeId) {
+  if (!periods.length) return [];
+  let sql = `${SLIP_WITH_EMPLOYEE} WHERE r.status IN ('approved', 'paid') AND (${periods.map(() => '(r.period_month = ? AND r.period_year = ?)').join(' OR ')})`;
+  const params = periods.flatMap(p => [p.month, p.year]);
+  if (employeeId) { sql += ' AND p.employee_id = ?'; params.push(employeeId); }
+  return query(sql + ' ORDER BY e.emp_code, r.period_year, r.period_month', params);
+}
+
+function fiscalQuery(req, res) {
+  const fy = statutory.parseFiscalYear(req.query.fy);
+  if (!fy) { res.status(400).json({ success: false, error: 'fy required (e.g. 2026-27)' }); return null; }
+  return fy;
+}
+
+// Export is refused while records have errors; skip_invalid=true leaves those employees out instead
+function blockedByIssues(req, res, issues, allowSkip = true) {
+  const skip = allowSkip && req.query.skip_invalid === 'true';
+  const blocking = issues.filter(i => i.severity === 'error' && (!i.employee_id || !skip));
+  if (!blocking.length) return false;
+  const hint = allowSkip && blocking.some(i => i.employee_id) ? '; fix them or pass skip_invalid=true' : '';
+  res.status(400).json({ success: false, error: `${blocking.length} validation error(s)${hint}`, issues });
+  return true;
+}
+
+function runReturns(runId) {
+  const payrollRun = get('SELECT * FROM acc_payroll_runs WHERE id = ?', [runId]);
+  if (!payrollRun) return null;
+  const settings = payrollSettings();
+  const slips = query(`${SLIP_WITH_EMPLOYEE} WHERE p.run_id = ? ORDER BY e.emp_code`, [runId]);
+  const period = { month: payrollRun.period_month, year: payrollRun.period_year };
+  return { payrollRun, settings, period, ecr: statutory.buildEcr(slips, settings), esic: statutory.buildEsic(slips, period) };
+}
+
+app.get('/api/payroll/runs/:id/statutory-check', (req, res) => {
+  try {
+    const r = runReturns(req.params.id);
+    if (!r) return res.status(404).json({ success: false, error: 'Payroll run not found' });
+    res.json({ success: true, data: {
+      run_number: r.payrollRun.run_number,
+      epf: { members: r.ecr.records.length, issues: r.ecr.issues },
+      esic: { members: r.esic.records.length, issues: r.esic.issues }
+    } });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/payroll/runs/:id/epf-ecr', (req, res) => {
+  try {
+    const r = runReturns(req.params.id);
+    if (!r) return res.status(404).json({ success: false, error: 'Payroll run not found' });
+    if (blockedByIssues(req, res, r.ecr.issues)) return;
+    const records = r.ecr.records.filter(rec => rec.valid);
+    if (!records.length) return res.status(400).json({ success: false, error: 'No PF members in this payroll run' });
+    const wageMonth = `${String(r.period.month).padStart(2, '0')}${r.period.year}`;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="ECR_${r.settings.epf_establishment_code || 'EST'}_${wageMonth}.txt"`);
+    res.send(statutory.ecrText(records));
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/payroll/runs/:id/esic-contribution', (req, res) => {
+  try {
+    const r = runReturns(req.params.id);
+    if (!r) return res.status(404).json({ success: false, error: 'Payroll run not found' });
+    if (blockedByIssues(req, res, r.esic.issues)) return;
+    const records = r.esic.records.filter(rec => rec.valid);
+    if (!records.length) return res.status(400).json({ success: false, error: 'No ESI-covered employees in this payroll run' });
+    sendCSV(res, records, [
+      { key: 'ip_number', label: 'IP Number' }, { key: 'ip_name', label: 'IP Name' },
+      { key: 'days_paid', label: 'No of Days for which wages paid/payable during the month' },
+      { key: 'total_wages', label: 'Total Monthly Wages' },
+      { key: 'reason_code', label: 'Reason Code for Zero workings days' },
+      { key: 'last_working_day', label: 'Last Working Day' }
+    ], `ESIC_${r.settings.esic_employer_code || 'EMP'}_${r.period.year}${String(r.period.month).padStart(2, '0')}.csv`);
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+function form24Q(req, res) {
+  const fy = fiscalQuery(req, res);
+  if (!fy) return null;
+  const quarter = String(req.query.quarter || '').toUpperCase();
+  if (!statutory.QUARTER_MONTHS[quarter]) { res.status(400).json({ success: false, error: 'quarter must be one of: Q1, Q2, Q3, Q4' }); return null; }
+  const settings = payrollSettings();
+  const slips = filedSlips(statutory.fiscalPeriods(fy, quarter));
+  // Annexure II covers the whole year, so Q4 reads every filed month
+  const annualSlips = quarter === 'Q4' ? filedSlips(statutory.fiscalPeriods(fy)) : slips;
+  return statutory.build24Q(slips, annualSlips, settings, employerDetails(settings), fy, quarter);
+}
+
+app.get('/api/payroll/form-24q', (req, res) => {
+  try {
+    const result = form24Q(req, res);
+    if (!result) return;
+    res.json({ success: true, data: { ...result.summary, issues: result.issues, annexure_i: result.records, annexure_ii: result.annexure_ii } });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/payroll/form-24q/csv', (req, res) => {
+  try {
+    const result = form24Q(req, res);
+    if (!result) return;
+    if (blockedByIssues(req, res, result.issues)) return;
+    const records = result.records.filter(rec => rec.valid);
+    if (!records.length) return res.status(400).json({ success: false, error: 'No TDS deducted in this quarter' });
+    sendCSV(res, records, [
+      { key: 'emp_code', label: 'Employee Reference No' }, { key: 'pan', label: 'PAN of Employee' }, { key: 'name', label: 'Name of Employee' },
+      { key: 'section', label: 'Section Code' }, { key: 'payment_date', label: 'Date of Payment/Credit' },
+      { key: 'amount_paid', label: 'Amount Paid/Credited' }, { key: 'tds', label: 'TDS' },
+      { key: 'tax_deposited', label: 'Total Tax Deposited' }, { key: 'deduction_date', label: 'Date of Deduction' }
+    ], `Form24Q_${result.summary.fiscal_year}_${result.summary.quarter}.csv`);
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Form 16 Part B readiness for every employee paid in the year
+app.get('/api/payroll/form-16', (req, res) => {
+  try {
+    const fy = fiscalQuery(req, res);
+    if (!fy) return;
+    const settings = payrollSettings();
+    const employer = employerDetails(settings);
+    const slips = filedSlips(statutory.fiscalPeriods(fy));
+    const byEmployee = {};
+    slips.forEach(s => { (byEmployee[s.employee_id] = byEmployee[s.employee_id] || []).push(s); });
+    const data = Object.values(byEmployee).map(list => {
+      const form = statutory.buildForm16(list, settings, employer, fy);
+      return { ...form.record.employee, computation: form.record.computation, issues: form.issues };
+    });
+    res.json({ success: true, data: { fiscal_year: fy.label, assessment_year: fy.assessmentYear, employees: data } });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/payroll/form-16/:employee_id/pdf', (req, res) => {
+  try {
+    const fy = fiscalQuery(req, res);
+    if (!fy) return;
+    const settings = payrollSettings();
+    const slips = filedSlips(statutory.fiscalPeriods(fy), req.params.employee_id);
+    if (!slips.length) return res.status(404).json({ success: false, error: `No approved payroll for this employee in ${fy.label}` });
+    const form = statutory.buildForm16(slips, settings, employerDetails(settings), fy);
+    if (blockedByIssues(req, res, form.issues, false)) return;
+
+    const { employer, employee, computation: c } = form.record;
+    const rows = [
+      { item: '1. Gross salary (section 17(1))', amount: c.gross_salary },
+      { item: '2. Less: Standard deduction (section 16(ia))', amount: c.standard_deduction },
+      { item: '3. Less: Tax on employment (section 16(iii))', amount: c.professional_tax },
+      { item: '4. Income chargeable under the head "Salaries"', amount: c.income_chargeable },
+      { item: '5. Total taxable income (rounded)', amount: c.taxable_income },
+      { item: '6. Tax on total income', amount: c.tax_on_income },
+      { item: '7. Health and education cess', amount: c.cess },
+      { item: '8. Tax payable', amount: c.total_tax_payable },
+      { item: '9. Less: Tax deducted at source', amount: c.tax_deducted },
+      { item: c.balance >= 0 ? '10. Tax payable / (refundable)' : '10. Tax refundable', amount: c.balance }
+    ];
+    sendPDF(res, (doc) => {
+      addHeader(doc, 'Form No. 16 - Part B', `Financial year ${fy.label}  |  Assessment year ${fy.assessmentYear}`);
+      doc.fontSize(10).fillColor('#1e293b').text(`Employer: ${employer.name}`);
+      doc.fontSize(9).fillColor('#64748b')
+        .text(employer.address || '')
+        .text(`PAN: ${employer.pan}    TAN: ${employer.tan}`);
+      doc.moveDown(0.5);
+      doc.fontSize(10).fillColor('#1e293b').text(`Employee: ${employee.name} (${employee.emp_code})`);
+      doc.fontSize(9).fillColor('#64748b')
+        .text(`PAN: ${employee.pan}${employee.designation ? `    Designation: ${employee.designation}` : ''}`)
+        .text(`Period with employer: ${fy.from} to ${fy.to}  (${c.months} month(s) paid)`);
+      doc.moveDown(0.5);
+      doc.fontSize(11).fillColor('#1e293b').text('Details of salary paid and tax deducted');
+      doc.moveDown(0.3);
+      addTable(doc, [
+        { key: 'item', label: 'Particulars', width: 4 },
+        { key: 'amount', label: 'Amount', width: 1.5, align: 'right', formatter: fmtCurrency }
+      ], rows);
+      doc.fontSize(9).fillColor('#64748b').text(`Employee PF contribution for the year: ${fmtCurrency(c.pf_employee)}`);
+    }, `Form16_PartB_${employee.emp_code}_${fy.label}.pdf`);
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
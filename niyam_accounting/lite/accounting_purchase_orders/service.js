@@ -9,7 +9,8 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const { nextNumber } = require('../shared/numbering');
 const { sendCSV } = require('../shared/csv-generator');
 
 const app = express();
@@ -17,6 +18,7 @@ const PORT = process.env.PORT || 8901;
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
@@ -71,7 +73,7 @@ app.post('/api/purchase-orders', (req, res) => {
     const { vendor_id, order_date, expected_date, items, notes } = req.body;
     if (!vendor_id || !items || !items.length) return res.status(400).json({ success: false, error: 'vendor_id and items required' });
     const id = uuidv4();
-    const poNumber = `PO-${Date.now().toString(36).toUpperCase()}`;
+    const poNumber = nextNumber('purchase_order', { date: order_date, branch_id: req.body.branch_id, document_id: id });
     const subtotal = items.reduce((s, i) => s + ((i.quantity || 1) * (i.unit_price || 0)), 0);
     const tax = items.reduce((s, i) => s + ((i.quantity || 1) * (i.unit_price || 0) * ((i.tax_rate || 0) / 100)), 0);
     const total = subtotal + tax;
@@ -149,7 +151,7 @@ app.post('/api/purchase-orders/:id/convert-to-bill', (req, res) => {
     const po = get('SELECT * FROM acc_purchase_orders WHERE id = ?', [req.params.id]);
     if (!po) return res.status(404).json({ success: false, error: 'PO not found' });
     const billId = uuidv4();
-    const billNumber = `BILL-${Date.now().toString(36).toUpperCase()}`;
+    const billNumber = nextNumber('bill', { document_id: billId });
     run('INSERT INTO acc_bills (id, bill_number, vendor_id, bill_date, due_date, items, subtotal, tax_amount, total_amount, status, reference_type, reference_id) VALUES (?, ?, ?, datetime(\'now\'), datetime(\'now\', \'+30 days\'), ?, ?, ?, ?, \'draft\', \'purchase_order\', ?)',
       [billId, billNumber, po.vendor_id, po.items, po.subtotal, po.tax, po.total, req.params.id]);
     run('UPDATE acc_purchase_orders SET status = \'billed\', updated_at = datetime(\'now\') WHERE id = ?', [req.params.id]);
@@ -6,6 +6,8 @@
  * - GST (CGST, SGST, IGST, Cess) calculations
  * - TDS (Tax Deducted at Source) management
  * - GST return data preparation (GSTR-1, GSTR-3B)
+ * - GSTR-1 JSON export for the GST offline tool, with amendments
+ * - GSTR-2B purchase reconciliation against AP bills
  * - Tax code management
  * - HSN/SAC code validation
  * - GSTIN validation
@@ -16,15 +18,18 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
 const { sendCSV } = require('../shared/csv-generator');
 const { sendPDF, addHeader, addTable, fmtCurrency, fmtDate } = require('../shared/pdf-generator');
+const gstr2b = require('../shared/gstr2b');
+const gstr1 = require('../shared/gstr1');
 
 const app = express();
 const PORT = process.env.PORT || 8855;
 
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
+app.use(writeLock);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
@@ -41,6 +46,22 @@ const TDS_SECTIONS = [
   { section: '194R', description: 'Benefits or perquisites', rate: 10 }
 ];
 
+// POS and hospitality sales are posted by the integration bridge without an invoice;
+// their rate-wise GST sits in acc_sales_tax_lines. Only live journal entries count.
+const SALES_TAX_SOURCE = `acc_sales_tax_lines st JOIN acc_journal_entries je ON st.journal_entry_id = je.id
+  WHERE je.status = 'posted'`;
+
+function salesTaxTotals(startDate, endDate) {
+  let sql = `SELECT COALESCE(SUM(st.taxable_amount),0) as taxable_value, COALESCE(SUM(st.cgst_amount),0) as cgst,
+    COALESCE(SUM(st.sgst_amount),0) as sgst, COALESCE(SUM(st.igst_amount),0) as igst, COALESCE(SUM(st.cess_amount),0) as cess,
+    COUNT(DISTINCT st.journal_entry_id) as transaction_count
+    FROM ${SALES_TAX_SOURCE}`;
+  const params = [];
+  if (startDate) { sql += ' AND st.transaction_date >= ?'; params.push(startDate); }
+  if (endDate) { sql += ' AND st.transaction_date <= ?'; params.push(endDate); }
+  return get(sql, params) || {};
+}
+
 // =============================================================================
 // HEALTH
 // =============================================================================
@@ -80,23 +101,26 @@ app.get('/api/tax-codes/:id', (req, res) => {
 
 app.post('/api/tax-codes', (req, res) => {
   try {
-    const { code, name, tax_type, rate, cgst_rate, sgst_rate, igst_rate, cess_rate, hsn_code, sac_code, description, effective_from, effective_to } = req.body;
+    const { code, name, tax_type, rate, cgst_rate, sgst_rate, igst_rate, cess_rate, hsn_code, sac_code, description, effective_from, effective_to, gst_treatment } = req.body;
     if (!code || !name || !tax_type) {
       return res.status(400).json({ success: false, error: 'code, name, tax_type required' });
     }
+    if (gst_treatment && !gstr1.GST_TREATMENTS.includes(gst_treatment)) {
+      return res.status(400).json({ success: false, error: `gst_treatment must be one of ${gstr1.GST_TREATMENTS.join(', ')}` });
+    }
     const existing = get('SELECT id FROM acc_tax_codes WHERE code = ?', [code]);
     if (existing) return res.status(400).json({ success: false, error: 'Tax code already exists' });
 
     const r = rate || 0;
     const id = uuidv4();
     run(
-      `INSERT INTO acc_tax_codes (id, code, name, tax_type, rate, cgst_rate, sgst_rate, igst_rate, cess_rate, hsn_code, sac_code, description, effective_from, effective_to)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO acc_tax_codes (id, code, name, tax_type, rate, cgst_rate, sgst_rate, igst_rate, cess_rate, hsn_code, sac_code, description, effective_from, effective_to, gst_treatment)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [id, code, name, tax_type, r,
         cgst_rate ?? (tax_type === 'gst' ? r / 2 : 0),
         sgst_rate ?? (tax_type === 'gst' ? r / 2 : 0),
         igst_rate ?? (tax_type === 'gst' ? r : 0),
-        cess_rate || 0, hsn_code || null, sac_code || null, description || null, effective_from || null, effective_to || null]
+        cess_rate || 0, hsn_code || null, sac_code || null, description || null, effective_from || null, effective_to || null, gst_treatment || 'taxable']
     );
     res.status(201).json({ success: true, data: get('SELECT * FROM acc_tax_codes WHERE id = ?', [id]) });
   } catch (err) {
@@ -109,7 +133,10 @@ app.put('/api/tax-codes/:id', (req, res) => {
     const taxCode = get('SELECT * FROM acc_tax_codes WHERE id = ?', [req.params.id]);
     if (!taxCode) return res.status(404).json({ success: false, error: 'Tax code not found' });
 
-    const fields = ['name', 'rate', 'cgst_rate', 'sgst_rate', 'igst_rate', 'cess_rate', 'is_active', 'hsn_code', 'sac_code', 'description', 'effective_from', 'effective_to'];
+    if (req.body.gst_treatment !== undefined && !gstr1.GST_TREATMENTS.includes(req.body.gst_treatment)) {
+      return res.status(400).json({ success: false, error: `gst_treatment must be one of ${gstr1.GST_TREATMENTS.join(', ')}` });
+    }
+    const fields = ['name', 'rate', 'cgst_rate', 'sgst_rate', 'igst_rate', 'cess_rate', 'is_active', 'hsn_code', 'sac_code', 'description', 'effective_from', 'effective_to', 'gst_treatment'];
     const updates = [];
     const params = [];
     for (const f of fields) {
@@ -496,6 +523,19 @@ app.get('/api/gst-returns/gstr1-data', (req, res) => {
       GROUP BY COALESCE(c.state_code, '00')
     `, [startDate, endDate]);
 
+    const posB2c = query(`
+      SELECT COALESCE(st.place_of_supply, '00') as place_of_supply,
+        SUM(st.taxable_amount) as taxable_value, SUM(st.cgst_amount) as cgst, SUM(st.sgst_amount) as sgst,
+        SUM(st.igst_amount) as igst, SUM(st.cess_amount) as cess, COUNT(DISTINCT st.journal_entry_id) as invoice_count
+      FROM ${SALES_TAX_SOURCE} AND st.transaction_date BETWEEN ? AND ?
+      GROUP BY COALESCE(st.place_of_supply, '00')
+    `, [startDate, endDate]);
+    posB2c.forEach(row => {
+      const existing = b2cSmall.find(r => r.place_of_supply === row.place_of_supply);
+      if (!existing) { b2cSmall.push({ ...row }); return; }
+      ['taxable_value', 'cgst', 'sgst', 'igst', 'cess', 'invoice_count'].forEach(k => { existing[k] = (existing[k] || 0) + (row[k] || 0); });
+    });
+
     const totals = { total_taxable_value: 0, total_cgst: 0, total_sgst: 0, total_igst: 0, total_cess: 0, total_invoices: b2b.length };
     b2b.forEach(inv => {
       totals.total_taxable_value += (inv.taxable_amount || inv.subtotal || 0);
@@ -513,7 +553,7 @@ app.get('/api/gst-returns/gstr1-data', (req, res) => {
       totals.total_invoices += (row.invoice_count || 0);
     });
 
-    res.json({ success: true, data: { return_period, b2b, b2c_small: b2cSmall, totals } });
+    res.json({ success: true, data: { return_period, b2b, b2c_small: b2cSmall, pos_b2c: posB2c, totals } });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -537,7 +577,12 @@ app.get('/api/gst-returns/gstr3b-data', (req, res) => {
       FROM acc_invoices WHERE invoice_date BETWEEN ? AND ? AND status IN ('posted','paid')
     `, [startDate, endDate]) || {};
 
-    const inward = get(`
+    const pos = salesTaxTotals(startDate, endDate);
+    ['taxable_value', 'cgst', 'sgst', 'igst', 'cess'].forEach(k => { outward[k] = (outward[k] || 0) + (pos[k] || 0); });
+
+    // A reconciled period claims ITC only on bills the suppliers reported in GSTR-2B
+    const reconciled = gstr2b.reconciledItc(return_period);
+    const inward = reconciled ? reconciled.eligible : get(`
       SELECT SUM(COALESCE(taxable_amount, subtotal)) as taxable_value,
         SUM(COALESCE(cgst_amount,0)) as cgst, SUM(COALESCE(sgst_amount,0)) as sgst,
         SUM(COALESCE(igst_amount,0)) as igst, SUM(COALESCE(cess_amount,0)) as cess
@@ -560,7 +605,9 @@ app.get('/api/gst-returns/gstr3b-data', (req, res) => {
         return_period,
         outward_supplies: { taxable_value: outward.taxable_value || 0, ...taxLiability },
         inward_supplies: { taxable_value: inward.taxable_value || 0, ...itcAvailable },
-        itc_available: itcAvailable, tax_liability: taxLiability, net_payable: netPayable
+        itc_available: itcAvailable, tax_liability: taxLiability, net_payable: netPayable,
+        gstr2b_reconciled: !!reconciled,
+        itc_held_back: reconciled ? reconciled.held_back : null
       }
     });
   } catch (err) {
@@ -568,18 +615,97 @@ app.get('/api/gst-returns/gstr3b-data', (req, res) => {
   }
 });
 
+app.get('/api/gst-returns/gstr1-json', (req, res) => {
+  try {
+    const { return_period } = req.query;
+    if (!return_period || !/^\d{2}-\d{4}$/.test(return_period)) {
+      return res.status(400).json({ success: false, error: 'return_period must be in MM-YYYY format' });
+    }
+    const built = gstr1.buildGstr1(return_period);
+    const errors = gstr1.validateGstr1(built.json);
+    res.json({ success: true, data: { return_period, valid: errors.length === 0, errors, issues: built.issues, summary: built.summary, json: built.json } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/gst-returns/gstr1-json/export', (req, res) => {
+  try {
+    const { return_period } = req.query;
+    if (!return_period || !/^\d{2}-\d{4}$/.test(return_period)) {
+      return res.status(400).json({ success: false, error: 'return_period must be in MM-YYYY format' });
+    }
+    const built = gstr1.buildGstr1(return_period);
+    const errors = gstr1.validateGstr1(built.json);
+    if (errors.length) return res.status(400).json({ success: false, error: 'GSTR-1 failed schema validation', errors });
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="GSTR1_${built.json.gstin}_${built.json.fp}.json"`);
+    res.send(JSON.stringify(built.json));
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Advances received without an invoice (GSTR-1 table 11A) and their later adjustment (11B)
+app.get('/api/gst-advances', (req, res) => {
+  try {
+    const { entry_type, customer_id, from_date, to_date } = req.query;
+    let sql = 'SELECT a.*, c.name as customer_name FROM acc_gst_advances a LEFT JOIN acc_customers c ON a.customer_id = c.id WHERE 1=1';
+    const params = [];
+    if (entry_type) { sql += ' AND a.entry_type = ?'; params.push(entry_type); }
+    if (customer_id) { sql += ' AND a.customer_id = ?'; params.push(customer_id); }
+    if (from_date) { sql += ' AND a.entry_date >= ?'; params.push(from_date); }
+    if (to_date) { sql += ' AND a.entry_date <= ?'; params.push(to_date); }
+    sql += ' ORDER BY a.entry_date DESC';
+    res.json({ success: true, data: query(sql, params) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/gst-advances', (req, res) => {
+  try {
+    const { entry_type, entry_date, customer_id, place_of_supply, gst_rate, amount, cess_amount, invoice_id, reference } = req.body;
+    if (!['received', 'adjusted'].includes(entry_type) || !entry_date || !place_of_supply || !(amount > 0)) {
+      return res.status(400).json({ success: false, error: 'entry_type (received|adjusted), entry_date, place_of_supply and a positive amount required' });
+    }
+    const rate = parseFloat(gst_rate) || 0;
+    if (!gstr1.GST_RATES.includes(rate)) return res.status(400).json({ success: false, error: `gst_rate must be one of ${gstr1.GST_RATES.join(', ')}` });
+
+    const company = get("SELECT state_code, gstin FROM acc_company_settings WHERE id = 'default'") || {};
+    const companyState = String(company.state_code || (company.gstin || '').substring(0, 2)).padStart(2, '0');
+    const posMatch = String(place_of_supply).match(/^\d{1,2}/);
+    if (!posMatch) return res.status(400).json({ success: false, error: 'place_of_supply must be a state code' });
+    const pos = posMatch[0].padStart(2, '0');
+    const isInterstate = req.body.is_interstate !== undefined ? !!req.body.is_interstate : pos !== companyState;
+    const tax = Math.round(amount * rate) / 100;
+    const half = Math.round(tax * 50) / 100;
+
+    const id = uuidv4();
+    run(`INSERT INTO acc_gst_advances (id, entry_type, entry_date, customer_id, place_of_supply, is_interstate, gst_rate, amount, igst_amount, cgst_amount, sgst_amount, cess_amount, invoice_id, reference)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, entry_type, entry_date, customer_id || null, pos, isInterstate ? 1 : 0, rate, amount,
+        isInterstate ? tax : 0, isInterstate ? 0 : half, isInterstate ? 0 : tax - half, cess_amount || 0, invoice_id || null, reference || null]);
+    res.status(201).json({ success: true, data: get('SELECT * FROM acc_gst_advances WHERE id = ?', [id]) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 app.put('/api/gst-returns/:id/status', (req, res) => {
   try {
     const { status, filing_date, arn_number, acknowledgement_number } = req.body;
     if (!['draft', 'filed', 'accepted', 'rejected'].includes(status)) {
       return res.status(400).json({ success: false, error: 'Invalid status value' });
     }
-    const existing = get('SELECT id FROM acc_gst_returns WHERE id = ?', [req.params.id]);
+    const existing = get('SELECT * FROM acc_gst_returns WHERE id = ?', [req.params.id]);
     if (!existing) return res.status(404).json({ success: false, error: 'GST return not found' });
 
     run(`UPDATE acc_gst_returns SET status = ?, filing_date = COALESCE(?, filing_date), arn_number = COALESCE(?, arn_number), acknowledgement_number = COALESCE(?, acknowledgement_number), updated_at = datetime('now') WHERE id = ?`,
       [status, filing_date || null, arn_number || null, acknowledgement_number || null, req.params.id]);
-    res.json({ success: true, data: get('SELECT * FROM acc_gst_returns WHERE id = ?', [req.params.id]) });
+    // Snapshot what was filed so later edits surface as GSTR-1 amendments
+    const filed = status === 'filed' && existing.return_type === 'GSTR1' ? gstr1.recordFiling(existing.return_period) : null;
+    res.json({ success: true, data: { ...get('SELECT * FROM acc_gst_returns WHERE id = ?', [req.params.id]), ...(filed ? { filed_documents: filed } : {}) } });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -639,12 +765,95 @@ app.get('/api/reports/gst-by-rate', (req, res) => {
       FROM acc_invoices WHERE status IN ('posted','paid') ${dateFilter}
       GROUP BY gst_rate ORDER BY gst_rate
     `, params);
+
+    const posRows = query(`
+      SELECT st.gst_rate, COUNT(DISTINCT st.journal_entry_id) as invoice_count, SUM(st.taxable_amount) as taxable_value,
+        SUM(st.cgst_amount) as total_cgst, SUM(st.sgst_amount) as total_sgst,
+        SUM(st.igst_amount) as total_igst, SUM(st.cess_amount) as total_cess
+      FROM ${SALES_TAX_SOURCE} ${dateFilter.replace(/invoice_date/g, 'st.transaction_date')}
+      GROUP BY st.gst_rate
+    `, params);
+    posRows.forEach(row => {
+      const existing = data.find(r => r.gst_rate === row.gst_rate);
+      if (!existing) { data.push(row); return; }
+      ['invoice_count', 'taxable_value', 'total_cgst', 'total_sgst', 'total_igst', 'total_cess'].forEach(k => { existing[k] = (existing[k] || 0) + (row[k] || 0); });
+    });
+    data.sort((a, b) => (a.gst_rate || 0) - (b.gst_rate || 0));
     res.json({ success: true, data });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
+// =============================================================================
+// GSTR-2B RECONCILIATION
+// =============================================================================
+
+// Body: { return_period (MM-YYYY, optional for portal JSON), content, format: 'json' | 'csv', file_name, amount_tolerance, date_tolerance_days }
+app.post('/api/gstr2b/import', (req, res) => {
+  try {
+    const { return_period, content, format, file_name, amount_tolerance, date_tolerance_days } = req.body;
+    if (!content) return res.status(400).json({ success: false, error: 'content required' });
+    if (format && !['json', 'csv'].includes(format)) return res.status(400).json({ success: false, error: 'format must be json or csv' });
+    const importId = gstr2b.importStatement({ return_period, content, format, file_name });
+    const summary = gstr2b.reconcile(importId, { amount_tolerance, date_tolerance_days });
+    res.status(201).json({ success: true, data: { ...get('SELECT * FROM acc_gstr2b_imports WHERE id = ?', [importId]), summary } });
+  } catch (err) {
+    if (err.code === 'INVALID') return res.status(400).json({ success: false, error: err.message });
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/gstr2b/imports', (req, res) => {
+  try {
+    const { return_period } = req.query;
+    let sql = 'SELECT * FROM acc_gstr2b_imports WHERE 1=1';
+    const params = [];
+    if (return_period) { sql += ' AND return_period = ?'; params.push(return_period); }
+    sql += ' ORDER BY created_at DESC';
+    res.json({ success: true, data: query(sql, params).map(i => ({ ...i, summary: i.summary ? JSON.parse(i.summary) : null })) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/gstr2b/imports/:id', (req, res) => {
+  try {
+    const imp = get('SELECT * FROM acc_gstr2b_imports WHERE id = ?', [req.params.id]);
+    if (!imp) return res.status(404).json({ success: false, error: 'GSTR-2B import not found' });
+    const lines = query('SELECT * FROM acc_gstr2b_lines WHERE import_id = ? ORDER BY supplier_gstin, invoice_date', [req.params.id]);
+    res.json({ success: true, data: { ...imp, summary: imp.summary ? JSON.parse(imp.summary) : null, lines } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Re-run matching, e.g. after correcting bills or with a different tolerance
+app.post('/api/gstr2b/imports/:id/reconcile', (req, res) => {
+  try {
+    const { amount_tolerance, date_tolerance_days } = req.body || {};
+    res.json({ success: true, data: gstr2b.reconcile(req.params.id, { amount_tolerance, date_tolerance_days }) });
+  } catch (err) {
+    if (err.code === 'NOT_FOUND') return res.status(404).json({ success: false, error: err.message });
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/gstr2b/reconciliation', (req, res) => {
+  try {
+    const { return_period, status } = req.query;
+    if (!return_period || !/^\d{2}-\d{4}$/.test(return_period)) {
+      return res.status(400).json({ success: false, error: 'return_period must be in MM-YYYY format' });
+    }
+    if (status && !gstr2b.MATCH_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${gstr2b.MATCH_STATUSES.join(', ')}` });
+    }
+    res.json({ success: true, data: { summary: gstr2b.reconciliationSummary(return_period), results: gstr2b.reconciliationDetail(return_period, status) } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 app.get('/api/reports/tax-liability', (req, res) => {
   try {
     const { start_date, end_date } = req.query;
@@ -663,6 +872,8 @@ app.get('/api/reports/tax-liability', (req, res) => {
     }
 
     const output = get(`SELECT COALESCE(SUM(cgst_amount),0) as cgst, COALESCE(SUM(sgst_amount),0) as sgst, COALESCE(SUM(igst_amount),0) as igst, COALESCE(SUM(cess_amount),0) as cess FROM acc_invoices WHERE status IN ('posted','paid') ${invoiceDateFilter}`, invoiceParams) || {};
+    const pos = salesTaxTotals(start_date, end_date);
+    ['cgst', 'sgst', 'igst', 'cess'].forEach(k => { output[k] = (output[k] || 0) + (pos[k] || 0); });
     const input = get(`SELECT COALESCE(SUM(cgst_amount),0) as cgst, COALESCE(SUM(sgst_amount),0) as sgst, COALESCE(SUM(igst_amount),0) as igst, COALESCE(SUM(cess_amount),0) as cess FROM acc_bills WHERE status IN ('posted','paid') AND itc_eligible = 1 ${billDateFilter}`, billParams) || {};
     const tds = get(`SELECT COALESCE(SUM(tds_amount),0) as total_tds, COALESCE(SUM(CASE WHEN is_deposited=1 THEN tds_amount ELSE 0 END),0) as deposited_tds, COALESCE(SUM(CASE WHEN is_deposited=0 THEN tds_amount ELSE 0 END),0) as pending_tds FROM acc_tds_transactions WHERE 1=1 ${tdsDateFilter}`, tdsParams) || {};
 
@@ -795,6 +1006,31 @@ app.get('/api/reports/tax-liability/export/pdf', (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+app.get('/api/gstr2b/reconciliation/export/csv', (req, res) => {
+  try {
+    const { return_period, status } = req.query;
+    if (!return_period || !/^\d{2}-\d{4}$/.test(return_period)) {
+      return res.status(400).json({ success: false, error: 'return_period must be in MM-YYYY format' });
+    }
+    const rows = gstr2b.reconciliationDetail(return_period, status).map(r => ({
+      ...r,
+      supplier_gstin: r.supplier_gstin || r.vendor_gstin,
+      differences: r.differences.map(d => d.field).join('; ')
+    }));
+    sendCSV(res, rows, [
+      { key: 'status', label: 'Status' }, { key: 'supplier_gstin', label: 'Supplier GSTIN' },
+      { key: 'supplier_name', label: 'Supplier (2B)' }, { key: 'invoice_number', label: 'Invoice # (2B)' },
+      { key: 'invoice_date', label: 'Invoice Date (2B)' }, { key: 'bill_number', label: 'Bill #' },
+      { key: 'reference_number', label: 'Vendor Ref' }, { key: 'bill_date', label: 'Bill Date' },
+      { key: 'taxable_value', label: 'Taxable (2B)' }, { key: 'books_taxable', label: 'Taxable (Books)' },
+      { key: 'gstr2b_igst', label: 'IGST (2B)' }, { key: 'books_igst', label: 'IGST (Books)' },
+      { key: 'gstr2b_cgst', label: 'CGST (2B)' }, { key: 'books_cgst', label: 'CGST (Books)' },
+      { key: 'gstr2b_sgst', label: 'SGST (2B)' }, { key: 'books_sgst', label: 'SGST (Books)' },
+      { key: 'differences', label: 'Differences' }
+    ], `gstr2b_reconciliation_${return_period}.csv`);
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
 app.get('/api/reports/tax-liability/export/csv', (req, res) => {
   try {
     const tds = query('SELECT section, COUNT(*) as count, SUM(amount) as total_amount, SUM(tds_amount) as total_tds, SUM(CASE WHEN is_deposited THEN tds_amount ELSE 0 END) as deposited, SUM(CASE WHEN NOT is_deposited THEN tds_amount ELSE 0 END) as pending FROM acc_tds_transactions GROUP BY section ORDER BY section');
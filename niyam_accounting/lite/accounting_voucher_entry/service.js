@@ -13,7 +13,10 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const { nextNumber, releaseNumber } = require('../shared/numbering');
+const { initAuth, authMiddleware } = require('../shared/auth');
+const { checkPosting, requestOptions, lockedResponse } = require('../shared/posting-guard');
 const { sendCSV } = require('../shared/csv-generator');
 const { sendPDF, sendLandscapePDF, addHeader, addTable, fmtCurrency, fmtDate } = require('../shared/pdf-generator');
 
@@ -22,6 +25,8 @@ const PORT = process.env.PORT || 8861;
 
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
+app.use(writeLock);
+app.use(authMiddleware);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
@@ -84,8 +89,9 @@ app.get('/api/vouchers/:id', (req, res) => {
 });
 
 app.post('/api/vouchers', (req, res) => {
+  let voucherNumber = null;
   try {
-    const { voucher_type, voucher_date, party_id, party_type, amount, narration, reference, lines } = req.body;
+    const { voucher_type, voucher_date, party_id, party_type, amount, narration, reference, lines, branch_id } = req.body;
     if (!voucher_type || !voucher_date || !lines?.length) {
       return res.status(400).json({ success: false, error: 'voucher_type, voucher_date, lines required' });
     }
@@ -104,9 +110,7 @@ app.post('/api/vouchers', (req, res) => {
     }
 
     const id = uuidv4();
-    const prefix = { sales: 'SV', purchase: 'PV', payment: 'PMT', receipt: 'RCT', contra: 'CTR', journal: 'JV' }[voucher_type] || 'VCH';
-    const count = get('SELECT COUNT(*) as cnt FROM acc_vouchers WHERE voucher_type = ?', [voucher_type]);
-    const voucherNumber = `${prefix}-${String((count?.cnt || 0) + 1).padStart(5, '0')}`;
+    voucherNumber = nextNumber(`voucher_${voucher_type}`, { date: voucher_date, branch_id, document_id: id });
 
     run(`INSERT INTO acc_vouchers (id, voucher_number, voucher_type, voucher_date, party_id, party_type, amount, narration, reference)
       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
@@ -123,6 +127,7 @@ app.post('/api/vouchers', (req, res) => {
     const createdLines = query('SELECT vl.*, a.account_code, a.account_name FROM acc_voucher_lines vl JOIN acc_accounts a ON vl.account_id = a.id WHERE vl.voucher_id = ? ORDER BY vl.line_number', [id]);
     res.status(201).json({ success: true, data: { ...created, lines: createdLines } });
   } catch (err) {
+    if (voucherNumber) releaseNumber(voucherNumber, err.message);
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -133,6 +138,8 @@ app.post('/api/vouchers/:id/post', (req, res) => {
     const voucher = get('SELECT * FROM acc_vouchers WHERE id = ?', [req.params.id]);
     if (!voucher) return res.status(404).json({ success: false, error: 'Not found' });
     if (voucher.status === 'posted') return res.status(400).json({ success: false, error: 'Already posted' });
+    const guard = checkPosting(voucher.voucher_date, requestOptions(req, 'voucher_entry', 'voucher', voucher.id));
+    if (!guard.allowed) return lockedResponse(res, guard);
 
     const lines = query('SELECT * FROM acc_voucher_lines WHERE voucher_id = ?', [req.params.id]);
 
@@ -278,9 +285,7 @@ app.post('/api/recurring/run', (req, res) => {
 
       // Create voucher
       const voucherId = uuidv4();
-      const prefix = { sales: 'SV', purchase: 'PV', payment: 'PMT', receipt: 'RCT', contra: 'CTR', journal: 'JV' }[tmpl.voucher_type] || 'VCH';
-      const count = get('SELECT COUNT(*) as cnt FROM acc_vouchers WHERE voucher_type = ?', [tmpl.voucher_type]);
-      const vNum = `${prefix}-${String((count?.cnt || 0) + 1).padStart(5, '0')}`;
+      const vNum = nextNumber(`voucher_${tmpl.voucher_type}`, { date: tmpl.next_run_date, document_id: voucherId });
 
       let totalAmt = 0;
       for (const l of lines) { if (l.dr_cr === 'dr') totalAmt += l.amount; }
@@ -407,6 +412,7 @@ app.get('*', (req, res) => {
 });
 
 initDb().then(() => {
+  initAuth({ query, run, get });
   app.listen(PORT, () => console.log(`Voucher Entry (lite) on port ${PORT}`));
 }).catch(err => { console.error('Failed to init DB:', err); process.exit(1); });
 
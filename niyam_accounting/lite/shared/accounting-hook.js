@@ -0,0 +1,30 @@
+/**
+ * Accounting Integration Hook
+ * Queues financial events for the accounting integration bridge.
+ *
+ * Accounting services share the bridge's database, so an event is written
+ * straight into acc_integration_events as pending, due now. Call it inside the
+ * transaction that records the source document: the document and its posting
+ * are saved together or not at all. The bridge's retry sweep posts it with the
+ * same idempotency, backoff and dead-letter queue as events it receives over
+ * HTTP.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { run } = require('./db');
+
+/**
+ * @param {string} source
+ * @param {string} eventType - one the bridge has a handler for
+ * @param {object} payload
+ * @param {string} idempotencyKey - source_system:reference_type:reference_id, as the bridge derives it
+ * @returns {string} the event id
+ */
+function queueAccountingEvent(source, eventType, payload, idempotencyKey) {
+  const id = uuidv4();
+  run(`INSERT INTO acc_integration_events (id, source, event_type, payload, idempotency_key, next_retry_at)
+    VALUES (?, ?, ?, ?, ?, datetime('now'))`, [id, source, eventType, JSON.stringify(payload), idempotencyKey]);
+  return id;
+}
+
+module.exports = { queueAccountingEvent };
@@ -0,0 +1,248 @@
+/**
+ * Bank Matching Engine
+ * Scores bank statement lines against posted ledger lines and proposes
+ * one-to-one, one-to-many and many-to-one matches, plus rule-based matches
+ */
+
+const DEFAULTS = {
+  date_window_days: 5,
+  amount_tolerance: 0.01,
+  min_confidence: 0.5,
+  max_group_size: 4,
+  max_group_candidates: 12
+};
+
+// Score weights (sum to 100)
+const WEIGHTS = { amount: 40, date: 25, reference: 20, description: 15 };
+
+// Split matches can never be as certain as a clean one-to-one hit
+const SPLIT_PENALTY = 0.9;
+
+const STOP_WORDS = new Set(['to', 'from', 'by', 'the', 'and', 'of', 'for', 'neft', 'imps', 'rtgs', 'upi', 'txn', 'ref', 'no', 'payment', 'transfer', 'trf']);
+
+function round2(n) {
+  return Math.round((n || 0) * 100) / 100;
+}
+
+function daysBetween(a, b) {
+  const da = new Date(a), dbt = new Date(b);
+  if (isNaN(da) || isNaN(dbt)) return Infinity;
+  return Math.abs(Math.round((da - dbt) / 86400000));
+}
+
+// Signed amount from the bank's point of view: deposits positive, withdrawals negative
+function bankAmount(txn) {
+  return round2((txn.credit_amount || 0) - (txn.debit_amount || 0));
+}
+
+// A deposit lands as a debit on the bank's ledger account, so the signs line up
+function ledgerAmount(entry) {
+  return round2((entry.debit_amount || 0) - (entry.credit_amount || 0));
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(t => t.length > 1 && !STOP_WORDS.has(t));
+}
+
+function bigrams(text) {
+  const s = String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const grams = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+  return grams;
+}
+
+// Sorensen-Dice on character bigrams blended with token overlap; 0..1
+function similarity(a, b) {
+  const ga = bigrams(a), gb = bigrams(b);
+  let sizeA = 0, sizeB = 0, overlap = 0;
+  ga.forEach(v => { sizeA += v; });
+  gb.forEach(v => { sizeB += v; });
+  ga.forEach((v, g) => { if (gb.has(g)) overlap += Math.min(v, gb.get(g)); });
+  const dice = sizeA + sizeB > 0 ? (2 * overlap) / (sizeA + sizeB) : 0;
+
+  const ta = new Set(tokenize(a)), tb = new Set(tokenize(b));
+  let common = 0;
+  ta.forEach(t => { if (tb.has(t)) common++; });
+  const union = ta.size + tb.size - common;
+  const jaccard = union > 0 ? common / union : 0;
+
+  return Math.max(dice, jaccard);
+}
+
+function referenceHit(txn, entry) {
+  const ref = String(txn.reference || '').trim().toLowerCase();
+  if (ref.length < 3) return false;
+  const haystack = [entry.reference, entry.entry_number, entry.source_document, entry.description, entry.je_description]
+    .filter(Boolean).join(' ').toLowerCase();
+  return haystack.includes(ref);
+}
+
+/**
+ * Score a group of bank lines against a group of ledger lines.
+ * Returns { confidence, breakdown } where confidence is 0..1.
+ */
+function scoreMatch(bankTxns, ledgerEntries, opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  const bankTotal = round2(bankTxns.reduce((s, t) => s + bankAmount(t), 0));
+  const ledgerTotal = round2(ledgerEntries.reduce((s, e) => s + ledgerAmount(e), 0));
+  const diff = Math.abs(bankTotal - ledgerTotal);
+  if (diff > o.amount_tolerance) return { confidence: 0, breakdown: { amount: 0, date: 0, reference: 0, description: 0 } };
+
+  let worstDays = 0;
+  bankTxns.forEach(t => ledgerEntries.forEach(e => {
+    worstDays = Math.max(worstDays, daysBetween(t.transaction_date, e.entry_date));
+  }));
+  const dateScore = worstDays > o.date_window_days ? 0 : 1 - worstDays / (o.date_window_days + 1);
+
+  const refScore = bankTxns.some(t => ledgerEntries.some(e => referenceHit(t, e))) ? 1 : 0;
+
+  const bankText = bankTxns.map(t => t.description || '').join(' ');
+  const ledgerText = ledgerEntries.map(e => [e.description, e.je_description].filter(Boolean).join(' ')).join(' ');
+  const descScore = similarity(bankText, ledgerText);
+
+  const breakdown = {
+    amount: round2(WEIGHTS.amount),
+    date: round2(WEIGHTS.date * dateScore),
+    reference: round2(WEIGHTS.reference * refScore),
+    description: round2(WEIGHTS.description * descScore)
+  };
+  let confidence = (breakdown.amount + breakdown.date + breakdown.reference + breakdown.description) / 100;
+  if (bankTxns.length > 1 || ledgerEntries.length > 1) confidence *= SPLIT_PENALTY;
+
+  return { confidence: round2(confidence), breakdown };
+}
+
+// Find subsets of candidates (2..maxSize items) whose amounts sum to target
+function findSubsets(target, candidates, amountOf, o) {
+  const results = [];
+  const pool = candidates
+    .filter(c => Math.sign(amountOf(c)) === Math.sign(target) && Math.abs(amountOf(c)) < Math.abs(target) + o.amount_tolerance)
+    .slice(0, o.max_group_candidates);
+
+  const walk = (start, picked, sum) => {
+    if (picked.length >= 2 && Math.abs(round2(sum) - target) <= o.amount_tolerance) {
+      results.push(picked.slice());
+      return;
+    }
+    if (picked.length >= o.max_group_size) return;
+    for (let i = start; i < pool.length; i++) {
+      const next = sum + amountOf(pool[i]);
+      if (Math.abs(next) > Math.abs(target) + o.amount_tolerance) continue;
+      picked.push(pool[i]);
+      walk(i + 1, picked, next);
+      picked.pop();
+    }
+  };
+  walk(0, [], 0);
+  return results;
+}
+
+function byDateProximity(date) {
+  return (a, b) => daysBetween(a.transaction_date || a.entry_date, date) - daysBetween(b.transaction_date || b.entry_date, date);
+}
+
+/**
+ * Propose matches between unreconciled bank lines and unmatched ledger lines.
+ * Each bank line and ledger line is used in at most one proposal; the best
+ * scoring candidate wins, one-to-one first, then splits.
+ */
+function proposeMatches(bankTxns, ledgerEntries, opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  const usedBank = new Set();
+  const usedLedger = new Set();
+  const proposals = [];
+
+  const withinWindow = (date, other) => daysBetween(date, other) <= o.date_window_days;
+
+  // One-to-one
+  const pairs = [];
+  bankTxns.forEach(t => {
+    ledgerEntries.forEach(e => {
+      if (!withinWindow(t.transaction_date, e.entry_date)) return;
+      const s = scoreMatch([t], [e], o);
+      if (s.confidence >= o.min_confidence) pairs.push({ t, e, ...s });
+    });
+  });
+  pairs.sort((a, b) => b.confidence - a.confidence);
+  pairs.forEach(p => {
+    if (usedBank.has(p.t.id) || usedLedger.has(p.e.id)) return;
+    usedBank.add(p.t.id);
+    usedLedger.add(p.e.id);
+    proposals.push({ match_type: 'one_to_one', bank: [p.t], ledger: [p.e], confidence: p.confidence, breakdown: p.breakdown });
+  });
+
+  if (o.include_splits === false) return proposals;
+
+  // One bank line settles several ledger lines (e.g. one deposit for many receipts)
+  bankTxns.forEach(t => {
+    if (usedBank.has(t.id)) return;
+    const candidates = ledgerEntries
+      .filter(e => !usedLedger.has(e.id) && withinWindow(t.transaction_date, e.entry_date))
+      .sort(byDateProximity(t.transaction_date));
+    const best = findSubsets(bankAmount(t), candidates, ledgerAmount, o)
+      .map(group => ({ group, ...scoreMatch([t], group, o) }))
+      .sort((a, b) => b.confidence - a.confidence)[0];
+    if (!best || best.confidence < o.min_confidence) return;
+    usedBank.add(t.id);
+    best.group.forEach(e => usedLedger.add(e.id));
+    proposals.push({ match_type: 'one_to_many', bank: [t], ledger: best.group, confidence: best.confidence, breakdown: best.breakdown });
+  });
+
+  // Several bank lines settle one ledger line (e.g. card settlements in batches)
+  ledgerEntries.forEach(e => {
+    if (usedLedger.has(e.id)) return;
+    const candidates = bankTxns
+      .filter(t => !usedBank.has(t.id) && withinWindow(t.transaction_date, e.entry_date))
+      .sort(byDateProximity(e.entry_date));
+    const best = findSubsets(ledgerAmount(e), candidates, bankAmount, o)
+      .map(group => ({ group, ...scoreMatch(group, [e], o) }))
+      .sort((a, b) => b.confidence - a.confidence)[0];
+    if (!best || best.confidence < o.min_confidence) return;
+    usedLedger.add(e.id);
+    best.group.forEach(t => usedBank.add(t.id));
+    proposals.push({ match_type: 'many_to_one', bank: best.group, ledger: [e], confidence: best.confidence, breakdown: best.breakdown });
+  });
+
+  return proposals;
+}
+
+/**
+ * Test a user-defined rule against a bank line.
+ * rule: { match_field, operator, pattern, direction, min_amount, max_amount }
+ */
+function ruleMatches(rule, txn) {
+  const amount = bankAmount(txn);
+  if (rule.direction === 'credit' && amount <= 0) return false;
+  if (rule.direction === 'debit' && amount >= 0) return false;
+  if (rule.min_amount != null && Math.abs(amount) < rule.min_amount) return false;
+  if (rule.max_amount != null && Math.abs(amount) > rule.max_amount) return false;
+
+  const value = String(txn[rule.match_field || 'description'] || '').toLowerCase();
+  const pattern = String(rule.pattern || '').toLowerCase();
+  if (!pattern) return false;
+
+  switch (rule.operator || 'contains') {
+    case 'equals': return value === pattern;
+    case 'starts_with': return value.startsWith(pattern);
+    case 'ends_with': return value.endsWith(pattern);
+    case 'regex':
+      try { return new RegExp(rule.pattern, 'i').test(txn[rule.match_field || 'description'] || ''); } catch (e) { return false; }
+    case 'contains':
+    default: return value.includes(pattern);
+  }
+}
+
+// First active rule by priority wins
+function applyRules(rules, txn) {
+  const sorted = rules.slice().sort((a, b) => (a.priority || 0) - (b.priority || 0));
+  return sorted.find(r => ruleMatches(r, txn)) || null;
+}
+
+module.exports = { DEFAULTS, scoreMatch, proposeMatches, ruleMatches, applyRules, similarity, bankAmount, ledgerAmount, round2 };
@@ -184,4 +184,4 @@ function parse(content, format, mapping) {
   }
 }
 
-module.exports = { parse, parseCSV, parseOFX, parseMT940, detectFormat };
+module.exports = { parse, parseCSV, parseCSVLine, parseOFX, parseMT940, detectFormat };
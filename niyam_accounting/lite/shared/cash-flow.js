@@ -0,0 +1,180 @@
+/**
+ * Cash Flow Statement
+ * Indirect and direct method statements from the ledger, driven by a
+ * per-account cash-flow classification (acc_accounts.cash_flow_category).
+ *
+ * Untagged accounts are classified automatically: bank-linked GL accounts are
+ * cash, fixed-asset accounts are investing, accumulated depreciation accounts
+ * configured in fixed assets are non-cash (so depreciation is added back),
+ * equity is financing and everything else is operating.
+ *
+ * Both methods are built from the same ledger, so each section total is
+ * identical across methods and the net change always ties to the movement in
+ * cash accounts.
+ */
+const { query } = require('./db');
+
+const SECTIONS = ['operating', 'investing', 'financing'];
+const CASH_FLOW_CATEGORIES = ['cash', 'operating', 'investing', 'financing', 'non_cash'];
+const PNL_CATEGORIES = ['revenue', 'expense'];
+
+// Direct-method line used when an account has no cash_flow_line of its own
+const DIRECT_LABELS = {
+  operating: { in: 'Receipts from customers', out: 'Payments to suppliers and employees' },
+  investing: { in: 'Proceeds from sale of assets and investments', out: 'Purchase of fixed assets and investments' },
+  financing: { in: 'Proceeds from borrowings and capital', out: 'Repayment of borrowings and distributions' }
+};
+
+function round2(n) {
+  return Math.round((n || 0) * 100) / 100;
+}
+
+function classifyAccounts() {
+  const accounts = query(`SELECT a.id, a.account_code, a.account_name, a.cash_flow_category as tagged_category, a.cash_flow_line, at.category
+    FROM acc_accounts a LEFT JOIN acc_account_types at ON a.account_type_id = at.id ORDER BY a.account_code`);
+  const bankAccountIds = new Set(query('SELECT account_id FROM acc_bank_accounts WHERE account_id IS NOT NULL').map(r => r.account_id));
+  // Fixed-asset GL settings may hold an account id or an account code
+  const assetRefs = new Set();
+  const depreciationRefs = new Set();
+  query(`SELECT gl_asset_account, gl_depreciation_account FROM acc_fixed_assets
+    UNION SELECT gl_asset_account, gl_depreciation_account FROM acc_asset_categories`).forEach(r => {
+    if (r.gl_asset_account) assetRefs.add(r.gl_asset_account);
+    if (r.gl_depreciation_account) depreciationRefs.add(r.gl_depreciation_account);
+  });
+  const refers = (refs, a) => refs.has(a.id) || refs.has(a.account_code);
+
+  return accounts.map(a => {
+    let category = 'operating', source = 'default', line = a.cash_flow_line;
+    if (a.tagged_category) { category = a.tagged_category; source = 'tagged'; }
+    else if (bankAccountIds.has(a.id)) { category = 'cash'; source = 'bank_account'; }
+    else if (refers(depreciationRefs, a)) { category = 'non_cash'; source = 'fixed_assets'; line = line || 'Depreciation and amortisation'; }
+    else if (refers(assetRefs, a)) { category = 'investing'; source = 'fixed_assets'; }
+    else if (a.category === 'equity') { category = 'financing'; }
+    return { ...a, cash_flow_category: category, cash_flow_line: line || null, source, is_pnl: PNL_CATEGORIES.includes(a.category) };
+  });
+}
+
+function cashBalance(cashIds, date, inclusive) {
+  if (!cashIds.length) return 0;
+  const marks = cashIds.map(() => '?').join(',');
+  const opening = query(`SELECT COALESCE(SUM(opening_balance), 0) as total FROM acc_accounts WHERE id IN (${marks})`, cashIds)[0].total;
+  const moved = query(`SELECT COALESCE(SUM(debit_amount), 0) - COALESCE(SUM(credit_amount), 0) as total FROM acc_ledger_entries
+    WHERE account_id IN (${marks}) AND entry_date ${inclusive ? '<=' : '<'} ?`, [...cashIds, date])[0].total;
+  return round2(opening + moved);
+}
+
+function addItem(section, description, amount, extra = {}) {
+  if (Math.abs(amount) < 0.005) return;
+  const existing = section.find(i => i.description === description);
+  if (existing) existing.amount = round2(existing.amount + amount);
+  else section.push({ description, amount: round2(amount), ...extra });
+}
+
+// Net income, non-cash adjustments and changes in balance-sheet accounts (debit-positive movement)
+function indirectSections(accounts, from, to) {
+  const movement = {};
+  query(`SELECT account_id, COALESCE(SUM(debit_amount), 0) - COALESCE(SUM(credit_amount), 0) as movement
+    FROM acc_ledger_entries WHERE entry_date BETWEEN ? AND ? GROUP BY account_id`, [from, to]).forEach(r => { movement[r.account_id] = r.movement; });
+
+  const sections = { operating: [], investing: [], financing: [] };
+  const netIncome = -accounts.filter(a => a.is_pnl).reduce((s, a) => s + (movement[a.id] || 0), 0);
+  sections.operating.push({ description: 'Net income', amount: round2(netIncome), type: 'net_income' });
+
+  accounts.filter(a => !a.is_pnl && a.cash_flow_category !== 'cash').forEach(a => {
+    const effect = -(movement[a.id] || 0);
+    if (a.cash_flow_category === 'non_cash') addItem(sections.operating, a.cash_flow_line || a.account_name, effect, { type: 'non_cash' });
+    else if (a.cash_flow_category === 'operating') addItem(sections.operating, a.cash_flow_line || `Change in ${a.account_name}`, effect, { type: 'working_capital' });
+    else addItem(sections[a.cash_flow_category], a.cash_flow_line || a.account_name, effect, { type: 'activity' });
+  });
+  return sections;
+}
+
+/**
+ * Cash receipts and payments: every journal that touches a cash account is
+ * split over its non-cash lines, and each line is classified by its account.
+ */
+function directSections(accounts, cashIds, from, to) {
+  const sections = { operating: [], investing: [], financing: [] };
+  if (!cashIds.length) return sections;
+  const byId = {};
+  accounts.forEach(a => { byId[a.id] = a; });
+  const marks = cashIds.map(() => '?').join(',');
+
+  const lines = query(`SELECT le.journal_entry_id, le.account_id, le.debit_amount - le.credit_amount as amount FROM acc_ledger_entries le
+    WHERE le.journal_entry_id IN (SELECT journal_entry_id FROM acc_ledger_entries WHERE account_id IN (${marks}) AND entry_date BETWEEN ? AND ? AND journal_entry_id IS NOT NULL)
+      AND le.account_id NOT IN (${marks}) AND le.entry_date BETWEEN ? AND ?`, [...cashIds, from, to, ...cashIds, from, to]);
+  lines.forEach(l => {
+    const account = byId[l.account_id] || {};
+    const effect = -l.amount;
+    const section = SECTIONS.includes(account.cash_flow_category) ? account.cash_flow_category : 'operating';
+    addItem(sections[section], account.cash_flow_line || DIRECT_LABELS[section][effect >= 0 ? 'in' : 'out'], effect, { type: 'activity' });
+  });
+
+  // Cash ledger rows with no journal behind them cannot be attributed
+  const untraced = query(`SELECT COALESCE(SUM(debit_amount), 0) - COALESCE(SUM(credit_amount), 0) as total FROM acc_ledger_entries
+    WHERE account_id IN (${marks}) AND entry_date BETWEEN ? AND ? AND journal_entry_id IS NULL`, [...cashIds, from, to])[0].total;
+  addItem(sections.operating, 'Unallocated cash movements', untraced, { type: 'activity' });
+  return sections;
+}
+
+function buildStatement(method, from, to, accounts) {
+  const cashIds = accounts.filter(a => a.cash_flow_category === 'cash').map(a => a.id);
+  const sections = method === 'direct' ? directSections(accounts, cashIds, from, to) : indirectSections(accounts, from, to);
+  const totals = {};
+  SECTIONS.forEach(s => { totals[s] = round2(sections[s].reduce((sum, i) => sum + i.amount, 0)); });
+  const netChange = round2(totals.operating + totals.investing + totals.financing);
+  const openingCash = cashBalance(cashIds, from, false);
+  const closingCash = cashBalance(cashIds, to, true);
+  return {
+    period: { start_date: from, end_date: to },
+    sections, totals,
+    net_cash_change: netChange,
+    opening_cash: openingCash,
+    closing_cash: closingCash,
+    is_reconciled: Math.abs(openingCash + netChange - closingCash) < 0.01
+  };
+}
+
+function shiftDate(date, { years = 0, days = 0 }) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCFullYear(d.getUTCFullYear() + years);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+// 'previous_period' is the same number of days immediately before; 'previous_year' is the same dates a year earlier
+function comparativePeriod(from, to, compare) {
+  if (compare === 'previous_year') return { from: shiftDate(from, { years: -1 }), to: shiftDate(to, { years: -1 }) };
+  if (compare === 'previous_period') {
+    const days = Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000) + 1;
+    return { from: shiftDate(from, { days: -days }), to: shiftDate(from, { days: -1 }) };
+  }
+  return null;
+}
+
+/**
+ * Cash flow statement for [from, to]. opts.method: 'indirect' (default) or
+ * 'direct'; opts.comparative: { from, to } adds comparative_amount to each item.
+ */
+function cashFlowStatement(from, to, opts = {}) {
+  const method = opts.method === 'direct' ? 'direct' : 'indirect';
+  const accounts = classifyAccounts();
+  const current = buildStatement(method, from, to, accounts);
+  const result = { method, ...current };
+  if (!opts.comparative) return result;
+
+  const prior = buildStatement(method, opts.comparative.from, opts.comparative.to, accounts);
+  SECTIONS.forEach(s => {
+    const merged = current.sections[s].map(i => ({ ...i, comparative_amount: 0 }));
+    prior.sections[s].forEach(p => {
+      const match = merged.find(i => i.description === p.description);
+      if (match) match.comparative_amount = p.amount;
+      else merged.push({ ...p, amount: 0, comparative_amount: p.amount });
+    });
+    result.sections[s] = merged;
+  });
+  result.comparative = { period: prior.period, totals: prior.totals, net_cash_change: prior.net_cash_change, opening_cash: prior.opening_cash, closing_cash: prior.closing_cash, is_reconciled: prior.is_reconciled };
+  return result;
+}
+
+module.exports = { cashFlowStatement, classifyAccounts, comparativePeriod, CASH_FLOW_CATEGORIES, SECTIONS };
@@ -0,0 +1,237 @@
+/**
+ * Group Consolidation
+ * Rolls the books of member companies up into a group chart of accounts,
+ * translates them into the group's reporting currency and eliminates
+ * inter-company receivables/payables and sales/purchases between members.
+ *
+ * Member accounts are rows in acc_accounts tagged with company_id; each one
+ * is mapped to a group account in acc_consolidation_account_map. Balances are
+ * debit-positive throughout; reports flip the sign for credit categories.
+ *
+ * Translation uses the closing rate for balance-sheet accounts and the
+ * average of month-end rates over the period for revenue/expense. Equity has
+ * no historical rates in the lite books, so it is translated at closing too.
+ */
+const { query, get } = require('./db');
+const { rateOn, baseCurrency, round2 } = require('./forex');
+
+const BALANCE_CATEGORIES = ['asset', 'liability', 'equity'];
+const CREDIT_CATEGORIES = ['liability', 'equity', 'revenue'];
+// Inter-company account types eliminated against each other
+const ELIMINATION_PAIRS = { receivable: 'payable', payable: 'receivable', revenue: 'expense', expense: 'revenue' };
+const DIFFERENCE_CODE = 'IC-DIFF';
+
+function consolidationError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function loadGroup(groupId) {
+  const group = get('SELECT * FROM acc_consolidation_groups WHERE id = ?', [groupId]);
+  if (!group) return null;
+  const members = query(`SELECT m.company_id, c.code, c.name, c.base_currency FROM acc_consolidation_members m
+    LEFT JOIN acc_companies c ON c.id = m.company_id WHERE m.group_id = ? ORDER BY c.code, m.company_id`, [groupId])
+    .map(m => ({ ...m, code: m.code || m.company_id, name: m.name || m.company_id, currency: m.base_currency || baseCurrency() }));
+  const accounts = query('SELECT * FROM acc_group_accounts WHERE group_id = ? ORDER BY account_code', [groupId]);
+  const mappings = query('SELECT * FROM acc_consolidation_account_map WHERE group_id = ?', [groupId]);
+  return { ...group, members, accounts, mappings };
+}
+
+// Month-end dates from `from` to `to`, always including `to`
+function monthEnds(from, to) {
+  const dates = [];
+  const d = new Date(`${from.slice(0, 7)}-01T00:00:00Z`);
+  while (true) {
+    const end = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).toISOString().split('T')[0];
+    if (end >= to) break;
+    if (end >= from) dates.push(end);
+    d.setUTCMonth(d.getUTCMonth() + 1);
+  }
+  dates.push(to);
+  return dates;
+}
+
+// Reporting-currency units per unit of `currency` on `date`
+function crossRate(currency, reporting, date) {
+  if (currency === reporting) return 1;
+  const from = rateOn(currency, date);
+  const to = rateOn(reporting, date);
+  if (!from || !to) throw consolidationError(`No exchange rate for ${!from ? currency : reporting} on ${date}`, 'MISSING_RATE');
+  return from / to;
+}
+
+function translationRates(currency, reporting, period) {
+  const closing = crossRate(currency, reporting, period.to);
+  if (!period.from) return { closing, average: closing };
+  const samples = monthEnds(period.from, period.to).map(date => crossRate(currency, reporting, date));
+  return { closing, average: samples.reduce((s, r) => s + r, 0) / samples.length };
+}
+
+/**
+ * Debit-positive balance per account of one company. With period.from the
+ * balance is the movement in [from, to]; without it, the cumulative balance
+ * including opening balances up to period.to.
+ */
+function companyBalances(companyId, period) {
+  const dateSql = period.from ? 'AND le.entry_date BETWEEN ? AND ?' : 'AND le.entry_date <= ?';
+  const params = period.from ? [period.from, period.to] : [period.to];
+  return query(`
+    SELECT a.id as account_id, a.account_code, a.account_name, at.category,
+      COALESCE(SUM(le.debit_amount), 0) - COALESCE(SUM(le.credit_amount), 0) ${period.from ? '' : '+ a.opening_balance'} as balance
+    FROM acc_accounts a
+    LEFT JOIN acc_account_types at ON a.account_type_id = at.id
+    LEFT JOIN acc_ledger_entries le ON le.account_id = a.id ${dateSql}
+    WHERE COALESCE(a.company_id, 'default') = ? AND a.is_active = 1
+    GROUP BY a.id
+  `, [...params, companyId]).filter(r => Math.abs(r.balance) >= 0.005);
+}
+
+/**
+ * Consolidated debit-positive balances per group account.
+ * period: { to } for cumulative balances, { from, to } for P&L movement.
+ * Returns { lines, members, eliminations, unmapped, rates }.
+ */
+function consolidate(groupId, period) {
+  const group = loadGroup(groupId);
+  if (!group) throw consolidationError('Consolidation group not found', 'NOT_FOUND');
+  if (!group.members.length) throw consolidationError('Consolidation group has no member companies', 'INVALID');
+
+  const reporting = group.reporting_currency || baseCurrency();
+  const memberIds = new Set(group.members.map(m => m.company_id));
+  const mapByAccount = {};
+  group.mappings.forEach(m => { mapByAccount[m.account_id] = m; });
+  const lines = {};
+  group.accounts.forEach(a => {
+    lines[a.id] = { group_account_id: a.id, account_code: a.account_code, account_name: a.account_name, category: a.category, by_company: {}, eliminations: 0 };
+  });
+
+  const rates = {};
+  const unmapped = [];
+  const icItems = [];
+  group.members.forEach(member => {
+    const memberRates = translationRates(member.currency, reporting, period);
+    rates[member.code] = { currency: member.currency, ...memberRates };
+    companyBalances(member.company_id, period).forEach(row => {
+      const map = mapByAccount[row.account_id];
+      if (!map || !lines[map.group_account_id]) {
+        unmapped.push({ company_id: member.company_id, company_code: member.code, account_id: row.account_id, account_code: row.account_code, account_name: row.account_name, balance: row.balance });
+        return;
+      }
+      const line = lines[map.group_account_id];
+      const rate = BALANCE_CATEGORIES.includes(line.category) ? memberRates.closing : memberRates.average;
+      const amount = round2(row.balance * rate);
+      line.by_company[member.code] = round2((line.by_company[member.code] || 0) + amount);
+      if (map.intercompany_type && memberIds.has(map.counterparty_company_id) && map.counterparty_company_id !== member.company_id) {
+        icItems.push({ company_id: member.company_id, counterparty_company_id: map.counterparty_company_id, type: map.intercompany_type, group_account_id: line.group_account_id, amount });
+      }
+    });
+  });
+
+  // Each inter-company balance is removed in full; whatever the two sides disagree by goes to the difference account
+  const codeOf = id => group.members.find(m => m.company_id === id).code;
+  const pairs = {};
+  icItems.forEach(item => {
+    const kind = ['receivable', 'payable'].includes(item.type) ? 'balances' : 'trading';
+    const [a, b] = [item.company_id, item.counterparty_company_id].sort();
+    const key = `${kind}:${a}:${b}`;
+    if (!pairs[key]) pairs[key] = { kind, companies: [codeOf(a), codeOf(b)], items: [], difference: 0 };
+    pairs[key].items.push(item);
+    lines[item.group_account_id].eliminations = round2(lines[item.group_account_id].eliminations - item.amount);
+  });
+  const eliminations = Object.values(pairs).map(pair => {
+    const difference = round2(pair.items.reduce((s, i) => s + i.amount, 0));
+    const unmatched = pair.items.filter(i => !pair.items.some(o => o.company_id === i.counterparty_company_id && o.type === ELIMINATION_PAIRS[i.type]));
+    if (Math.abs(difference) >= 0.01) {
+      let target = group.difference_account_id && lines[group.difference_account_id];
+      if (!target) {
+        const code = `${DIFFERENCE_CODE}-${pair.kind === 'balances' ? 'BS' : 'PL'}`;
+        target = lines[code] = lines[code] || { group_account_id: null, account_code: code, account_name: `Inter-company difference (${pair.kind})`, category: pair.kind === 'balances' ? 'asset' : 'expense', by_company: {}, eliminations: 0 };
+      }
+      target.eliminations = round2(target.eliminations + difference);
+    }
+    return {
+      kind: pair.kind,
+      companies: pair.companies,
+      eliminated: pair.items.map(i => ({ company: codeOf(i.company_id), counterparty: codeOf(i.counterparty_company_id), type: i.type, group_account_code: lines[i.group_account_id].account_code, amount: i.amount })),
+      difference,
+      unmatched: unmatched.length > 0
+    };
+  });
+
+  const result = Object.values(lines).map(line => {
+    const memberTotal = round2(Object.values(line.by_company).reduce((s, v) => s + v, 0));
+    return { ...line, member_total: memberTotal, balance: round2(memberTotal + line.eliminations) };
+  }).filter(l => Object.keys(l.by_company).length || l.eliminations);
+
+  return { group: { id: group.id, code: group.code, name: group.name, reporting_currency: reporting }, members: group.members, lines: result, eliminations, unmapped, rates };
+}
+
+// Flip debit-positive balances into the natural sign of each category
+function presentation(line) {
+  const sign = CREDIT_CATEGORIES.includes(line.category) ? -1 : 1;
+  const byCompany = {};
+  Object.entries(line.by_company).forEach(([k, v]) => { byCompany[k] = round2(v * sign); });
+  return {
+    account_code: line.account_code, account_name: line.account_name, category: line.category,
+    by_company: byCompany, eliminations: round2(line.eliminations * sign), amount: round2(line.balance * sign)
+  };
+}
+
+function profitLoss(groupId, from, to) {
+  const c = consolidate(groupId, { from, to });
+  const pick = cat => c.lines.filter(l => l.category === cat).map(presentation).sort((a, b) => a.account_code.localeCompare(b.account_code));
+  const revenue = pick('revenue');
+  const expenses = pick('expense');
+  const total = items => round2(items.reduce((s, i) => s + i.amount, 0));
+  return {
+    group: c.group, period: { start_date: from, end_date: to }, members: c.members, rates: c.rates,
+    revenue: { items: revenue, total: total(revenue) },
+    expenses: { items: expenses, total: total(expenses) },
+    net_income: round2(total(revenue) - total(expenses)),
+    eliminations: c.eliminations.filter(e => e.kind === 'trading'),
+    unmapped: c.unmapped
+  };
+}
+
+function balanceSheet(groupId, asOf) {
+  const c = consolidate(groupId, { to: asOf });
+  const pick = cat => c.lines.filter(l => l.category === cat).map(presentation).sort((a, b) => a.account_code.localeCompare(b.account_code));
+  const total = items => round2(items.reduce((s, i) => s + i.amount, 0));
+  const assets = pick('asset');
+  const liabilities = pick('liability');
+  const equity = pick('equity');
+  // Revenue and expense not yet closed to retained earnings
+  const unclosed = round2(-c.lines.filter(l => ['revenue', 'expense'].includes(l.category)).reduce((s, l) => s + l.balance, 0));
+  if (Math.abs(unclosed) >= 0.01) equity.push({ account_code: 'P&L', account_name: 'Unclosed profit / (loss)', category: 'equity', by_company: {}, eliminations: 0, amount: unclosed });
+  const totalAssets = total(assets);
+  const totalLiabilities = total(liabilities);
+  const totalEquity = total(equity);
+  return {
+    group: c.group, as_of_date: asOf, members: c.members, rates: c.rates,
+    assets: { items: assets, total: totalAssets },
+    liabilities: { items: liabilities, total: totalLiabilities },
+    equity: { items: equity, total: totalEquity },
+    total_liabilities_and_equity: round2(totalLiabilities + totalEquity),
+    is_balanced: Math.abs(totalAssets - (totalLiabilities + totalEquity)) < 0.01,
+    eliminations: c.eliminations.filter(e => e.kind === 'balances'),
+    unmapped: c.unmapped
+  };
+}
+
+function trialBalance(groupId, asOf) {
+  const c = consolidate(groupId, { to: asOf });
+  const balances = c.lines.sort((a, b) => a.account_code.localeCompare(b.account_code)).map(l => ({
+    account_code: l.account_code, account_name: l.account_name, category: l.category,
+    by_company: l.by_company, eliminations: l.eliminations,
+    debit: l.balance > 0 ? l.balance : 0, credit: l.balance < 0 ? -l.balance : 0
+  }));
+  const totals = { total_debit: round2(balances.reduce((s, b) => s + b.debit, 0)), total_credit: round2(balances.reduce((s, b) => s + b.credit, 0)) };
+  return {
+    group: c.group, as_of_date: asOf, members: c.members, rates: c.rates, balances, totals,
+    is_balanced: Math.abs(totals.total_debit - totals.total_credit) < 0.01,
+    eliminations: c.eliminations, unmapped: c.unmapped
+  };
+}
+
+module.exports = { loadGroup, consolidate, profitLoss, balanceSheet, trialBalance };
@@ -7,6 +7,7 @@ const initSqlJs = require('sql.js');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { createStore, isReadOnly } = require('./storage');
 
 const DATA_DIR = path.join(os.homedir(), '.niyam', 'data', 'accounting');
 const DB_PATH = path.join(DATA_DIR, 'accounting.db');
@@ -16,52 +17,26 @@ if (!fs.existsSync(DATA_DIR)) {
 }
 
 let db = null;
+let store = null;
+
+let loading = null;
 
 async function initDb() {
   if (db) return db;
+  // Services started in the same process share one load
+  if (!loading) loading = loadDb().finally(() => { loading = null; });
+  return loading;
+}
 
+async function loadDb() {
   const SQL = await initSqlJs();
 
-  // Backup last known good DB before loading
-  if (fs.existsSync(DB_PATH)) {
-    try { fs.copyFileSync(DB_PATH, DB_PATH + '.bak'); } catch (e) { /* ignore */ }
-  }
+  // Load existing database, replaying the journal (with backup recovery)
+  store = createStore(SQL, DB_PATH, { label: '[Accounting DB]' });
+  await store.open();
 
-  // Retry loading DB file in case another process is writing to it
-  for (let attempt = 0; attempt < 5; attempt++) {
-    try {
-      if (fs.existsSync(DB_PATH)) {
-        const buffer = fs.readFileSync(DB_PATH);
-        db = new SQL.Database(buffer);
-      } else if (fs.existsSync(DB_PATH + '.bak')) {
-        console.log('[Accounting DB] Main DB missing, restoring from backup...');
-        const buffer = fs.readFileSync(DB_PATH + '.bak');
-        db = new SQL.Database(buffer);
-      } else {
-        db = new SQL.Database();
-      }
-      break;
-    } catch (err) {
-      if (attempt < 4) {
-        console.log(`[Accounting DB] Retry ${attempt + 1}/5 loading DB...`);
-        await new Promise(r => setTimeout(r, 1000 * (attempt + 1)));
-      } else {
-        // Last resort: try .bak file
-        if (fs.existsSync(DB_PATH + '.bak')) {
-          console.log('[Accounting DB] Main DB corrupt, restoring from backup...');
-          try {
-            const buffer = fs.readFileSync(DB_PATH + '.bak');
-            db = new SQL.Database(buffer);
-          } catch (e2) {
-            console.error('[Accounting DB] Backup also corrupt, starting fresh');
-            db = new SQL.Database();
-          }
-        } else {
-          throw err;
-        }
-      }
-    }
-  }
+  // Hold the write lock while the schema is brought up to date
+  db = await store.acquireAsync();
 
   db.run('PRAGMA journal_mode = WAL');
   db.run('PRAGMA foreign_keys = ON');
@@ -1505,7 +1480,581 @@ async function initDb() {
     expires_at TEXT
   )`);
 
+  // ============================================
+  // BANK AUTO-MATCHING
+  // ============================================
+  db.run(`CREATE TABLE IF NOT EXISTS acc_bank_match_rules (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    bank_account_id TEXT REFERENCES acc_bank_accounts(id),
+    match_field TEXT DEFAULT 'description' CHECK(match_field IN ('description','reference')),
+    operator TEXT DEFAULT 'contains' CHECK(operator IN ('contains','equals','starts_with','ends_with','regex')),
+    pattern TEXT NOT NULL,
+    direction TEXT DEFAULT 'any' CHECK(direction IN ('any','credit','debit')),
+    min_amount REAL,
+    max_amount REAL,
+    account_id TEXT NOT NULL REFERENCES acc_accounts(id),
+    priority INTEGER DEFAULT 100,
+    is_active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_bank_match_proposals (
+    id TEXT PRIMARY KEY,
+    bank_account_id TEXT NOT NULL REFERENCES acc_bank_accounts(id),
+    match_type TEXT NOT NULL CHECK(match_type IN ('one_to_one','one_to_many','many_to_one','rule')),
+    confidence REAL DEFAULT 0,
+    score_breakdown TEXT,
+    rule_id TEXT REFERENCES acc_bank_match_rules(id),
+    bank_amount REAL DEFAULT 0,
+    ledger_amount REAL DEFAULT 0,
+    status TEXT DEFAULT 'proposed' CHECK(status IN ('proposed','accepted','rejected')),
+    journal_entry_id TEXT,
+    decided_by TEXT,
+    decided_at TEXT,
+    reject_reason TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_bank_match_items (
+    id TEXT PRIMARY KEY,
+    proposal_id TEXT NOT NULL REFERENCES acc_bank_match_proposals(id),
+    item_type TEXT NOT NULL CHECK(item_type IN ('bank','ledger')),
+    bank_transaction_id TEXT REFERENCES acc_bank_transactions(id),
+    ledger_entry_id TEXT REFERENCES acc_ledger_entries(id),
+    amount REAL DEFAULT 0
+  )`);
+
+  // Every journal entry an accepted match reconciles against (JSON array)
+  safeAlter('acc_bank_match_proposals', 'journal_entry_ids', 'TEXT');
+
+  // ============================================
+  // INTEGRATION BRIDGE: IDEMPOTENCY, RETRY & DEAD LETTERS
+  // ============================================
+  safeAlter('acc_integration_events', 'idempotency_key', 'TEXT');
+  safeAlter('acc_integration_events', 'attempts', 'INTEGER DEFAULT 0');
+  safeAlter('acc_integration_events', 'next_retry_at', 'TEXT');
+  safeAlter('acc_integration_events', 'last_attempt_at', 'TEXT');
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_integration_dead_letters (
+    id TEXT PRIMARY KEY,
+    event_id TEXT NOT NULL UNIQUE REFERENCES acc_integration_events(id),
+    reason TEXT NOT NULL CHECK(reason IN ('missing_mapping','max_retries','invalid_payload')),
+    error TEXT,
+    missing_mappings TEXT,
+    status TEXT DEFAULT 'open' CHECK(status IN ('open','replayed','discarded')),
+    replay_count INTEGER DEFAULT 0,
+    last_replayed_at TEXT,
+    resolved_at TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  // ============================================
+  // DOCUMENT NUMBERING SERIES
+  // ============================================
+  db.run(`CREATE TABLE IF NOT EXISTS acc_number_series (
+    id TEXT PRIMARY KEY,
+    document_type TEXT NOT NULL,
+    name TEXT,
+    branch_id TEXT REFERENCES acc_branches(id),
+    prefix TEXT NOT NULL,
+    separator TEXT DEFAULT '/',
+    padding INTEGER DEFAULT 5,
+    start_number INTEGER DEFAULT 1,
+    reset_policy TEXT DEFAULT 'fiscal_year' CHECK(reset_policy IN ('fiscal_year','never')),
+    fy_start_month INTEGER DEFAULT 4,
+    include_branch_code INTEGER DEFAULT 1,
+    is_active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_number_counters (
+    id TEXT PRIMARY KEY,
+    series_id TEXT NOT NULL REFERENCES acc_number_series(id),
+    period_key TEXT NOT NULL,
+    last_number INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(series_id, period_key)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_number_allocations (
+    id TEXT PRIMARY KEY,
+    series_id TEXT NOT NULL REFERENCES acc_number_series(id),
+    document_type TEXT NOT NULL,
+    period_key TEXT NOT NULL,
+    sequence INTEGER NOT NULL,
+    formatted_number TEXT NOT NULL,
+    document_id TEXT,
+    status TEXT DEFAULT 'issued' CHECK(status IN ('issued','void')),
+    void_reason TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(series_id, period_key, sequence)
+  )`);
+
+  // ============================================
+  // POS / HOSPITALITY SALES TAX (posted by the integration bridge)
+  // ============================================
+  db.run(`CREATE TABLE IF NOT EXISTS acc_sales_tax_lines (
+    id TEXT PRIMARY KEY,
+    journal_entry_id TEXT NOT NULL REFERENCES acc_journal_entries(id),
+    source_system TEXT NOT NULL,
+    reference_type TEXT,
+    reference_id TEXT,
+    transaction_date TEXT NOT NULL,
+    place_of_supply TEXT,
+    hsn_code TEXT,
+    gst_rate REAL,
+    taxable_amount REAL DEFAULT 0,
+    cgst_amount REAL DEFAULT 0,
+    sgst_amount REAL DEFAULT 0,
+    igst_amount REAL DEFAULT 0,
+    cess_amount REAL DEFAULT 0,
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  // ============================================
+  // INVENTORY COST LAYERS (perpetual FIFO / LIFO / weighted average)
+  // ============================================
+  safeAlter('acc_inventory_transactions', 'warehouse_id', 'TEXT');
+  safeAlter('acc_inventory_transactions', 'transaction_date', 'TEXT');
+  safeAlter('acc_inventory_transactions', 'cost_method', 'TEXT');
+  safeAlter('acc_inventory_transactions', 'layer_id', 'TEXT');
+  safeAlter('acc_inventory_transactions', 'qty_change', 'REAL DEFAULT 0');
+  safeAlter('acc_inventory_transactions', 'value_change', 'REAL DEFAULT 0');
+  // Bridge event (acc_integration_events) that posts the movement's journal
+  safeAlter('acc_inventory_transactions', 'posting_event_id', 'TEXT');
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_inventory_cost_layers (
+    id TEXT PRIMARY KEY,
+    product_id TEXT NOT NULL,
+    warehouse_id TEXT,
+    source_transaction_id TEXT REFERENCES acc_inventory_transactions(id),
+    layer_date TEXT NOT NULL,
+    original_qty REAL NOT NULL,
+    remaining_qty REAL NOT NULL,
+    unit_cost REAL NOT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_inventory_layer_consumptions (
+    id TEXT PRIMARY KEY,
+    layer_id TEXT NOT NULL REFERENCES acc_inventory_cost_layers(id),
+    transaction_id TEXT NOT NULL REFERENCES acc_inventory_transactions(id),
+    quantity REAL NOT NULL,
+    unit_cost REAL NOT NULL,
+    total_cost REAL NOT NULL,
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_inventory_revaluations (
+    id TEXT PRIMARY KEY,
+    product_id TEXT NOT NULL,
+    warehouse_id TEXT,
+    layer_id TEXT NOT NULL REFERENCES acc_inventory_cost_layers(id),
+    source_transaction_id TEXT NOT NULL REFERENCES acc_inventory_transactions(id),
+    adjustment_transaction_id TEXT REFERENCES acc_inventory_transactions(id),
+    revaluation_date TEXT NOT NULL,
+    old_unit_cost REAL NOT NULL,
+    new_unit_cost REAL NOT NULL,
+    quantity REAL NOT NULL,
+    inventory_adjustment REAL DEFAULT 0,
+    cogs_adjustment REAL DEFAULT 0,
+    reason TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+  safeAlter('acc_inventory_revaluations', 'posting_event_id', 'TEXT');
+
+  // ============================================
+  // PAYROLL VARIABLE INPUTS (attendance, leave, one-off pay items)
+  // ============================================
+  safeAlter('acc_employees', 'workforce_source', 'TEXT');
+  safeAlter('acc_employees', 'workforce_employee_id', 'TEXT');
+  safeAlter('acc_payslips', 'working_days', 'REAL');
+  safeAlter('acc_payslips', 'paid_days', 'REAL');
+  safeAlter('acc_payslips', 'lop_days', 'REAL DEFAULT 0');
+  safeAlter('acc_payslips', 'lop_amount', 'REAL DEFAULT 0');
+  safeAlter('acc_payslips', 'overtime_hours', 'REAL DEFAULT 0');
+  safeAlter('acc_payslips', 'overtime_amount', 'REAL DEFAULT 0');
+  safeAlter('acc_payslips', 'arrears', 'REAL DEFAULT 0');
+  safeAlter('acc_payslips', 'bonus', 'REAL DEFAULT 0');
+  safeAlter('acc_payslips', 'other_earnings', 'REAL DEFAULT 0');
+  safeAlter('acc_payroll_settings', 'standard_hours_per_day', 'REAL DEFAULT 8');
+  safeAlter('acc_payroll_settings', 'overtime_multiplier', 'REAL DEFAULT 2');
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_payroll_attendance (
+    id TEXT PRIMARY KEY,
+    employee_id TEXT NOT NULL REFERENCES acc_employees(id),
+    period_month INTEGER NOT NULL,
+    period_year INTEGER NOT NULL,
+    working_days REAL,
+    days_present REAL,
+    paid_leave_days REAL DEFAULT 0,
+    lop_days REAL DEFAULT 0,
+    overtime_hours REAL DEFAULT 0,
+    source TEXT DEFAULT 'manual' CHECK(source IN ('manual','csv','retail_workforce','hospitality_workforce')),
+    notes TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(employee_id, period_month, period_year)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_payroll_adjustments (
+    id TEXT PRIMARY KEY,
+    employee_id TEXT NOT NULL REFERENCES acc_employees(id),
+    period_month INTEGER NOT NULL,
+    period_year INTEGER NOT NULL,
+    component TEXT NOT NULL CHECK(component IN ('overtime','arrears','bonus','earning','deduction')),
+    description TEXT,
+    amount REAL NOT NULL,
+    source TEXT DEFAULT 'manual',
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_payslip_lines (
+    id TEXT PRIMARY KEY,
+    payslip_id TEXT NOT NULL REFERENCES acc_payslips(id),
+    line_type TEXT NOT NULL CHECK(line_type IN ('earning','deduction')),
+    code TEXT NOT NULL,
+    description TEXT,
+    amount REAL NOT NULL,
+    sort_order INTEGER DEFAULT 0
+  )`);
+
+  // ============================================
+  // PAYROLL STATUTORY RETURNS (ECR, ESIC, 24Q, Form 16)
+  // ============================================
+  safeAlter('acc_payslips', 'pf_wages', 'REAL');
+  safeAlter('acc_payslips', 'esi_wages', 'REAL');
+  safeAlter('acc_payroll_settings', 'employer_tan', 'TEXT');
+  safeAlter('acc_payroll_settings', 'epf_establishment_code', 'TEXT');
+  safeAlter('acc_payroll_settings', 'esic_employer_code', 'TEXT');
+  safeAlter('acc_payroll_settings', 'standard_deduction', 'REAL DEFAULT 50000');
+
+  // ============================================
+  // FOREX REVALUATION & REALIZED GAIN/LOSS
+  // ============================================
+  safeAlter('acc_forex_transactions', 'kind', "TEXT DEFAULT 'realized'");
+  safeAlter('acc_forex_transactions', 'reference_type', 'TEXT');
+  safeAlter('acc_forex_transactions', 'reference_id', 'TEXT');
+  safeAlter('acc_forex_transactions', 'revaluation_id', 'TEXT');
+  safeAlter('acc_invoice_payments', 'exchange_rate', 'REAL DEFAULT 1');
+  safeAlter('acc_invoice_payments', 'forex_gain_loss', 'REAL DEFAULT 0');
+  safeAlter('acc_bill_payments', 'exchange_rate', 'REAL DEFAULT 1');
+  safeAlter('acc_bill_payments', 'forex_gain_loss', 'REAL DEFAULT 0');
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_forex_revaluations (
+    id TEXT PRIMARY KEY,
+    revaluation_date TEXT NOT NULL UNIQUE,
+    reversal_date TEXT NOT NULL,
+    base_currency TEXT DEFAULT 'INR',
+    total_gain REAL DEFAULT 0,
+    total_loss REAL DEFAULT 0,
+    net_gain_loss REAL DEFAULT 0,
+    journal_entry_id TEXT REFERENCES acc_journal_entries(id),
+    reversal_journal_entry_id TEXT REFERENCES acc_journal_entries(id),
+    notes TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_forex_revaluation_lines (
+    id TEXT PRIMARY KEY,
+    revaluation_id TEXT NOT NULL REFERENCES acc_forex_revaluations(id),
+    source_type TEXT NOT NULL CHECK(source_type IN ('invoice','bill','bank_account')),
+    source_id TEXT NOT NULL,
+    document_number TEXT,
+    currency TEXT NOT NULL,
+    foreign_amount REAL NOT NULL,
+    booked_rate REAL,
+    closing_rate REAL NOT NULL,
+    booked_base REAL DEFAULT 0,
+    revalued_base REAL DEFAULT 0,
+    gain_loss REAL DEFAULT 0,
+    account_id TEXT REFERENCES acc_accounts(id)
+  )`);
+
+  // ============================================
+  // GROUP CONSOLIDATION
+  // ============================================
+  db.run(`CREATE TABLE IF NOT EXISTS acc_consolidation_groups (
+    id TEXT PRIMARY KEY,
+    code TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    reporting_currency TEXT DEFAULT 'INR',
+    difference_account_id TEXT,
+    is_active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_consolidation_members (
+    id TEXT PRIMARY KEY,
+    group_id TEXT NOT NULL REFERENCES acc_consolidation_groups(id),
+    company_id TEXT NOT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(group_id, company_id)
+  )`);
+
+  // Group chart of accounts that member accounts roll up into
+  db.run(`CREATE TABLE IF NOT EXISTS acc_group_accounts (
+    id TEXT PRIMARY KEY,
+    group_id TEXT NOT NULL REFERENCES acc_consolidation_groups(id),
+    account_code TEXT NOT NULL,
+    account_name TEXT NOT NULL,
+    category TEXT NOT NULL CHECK(category IN ('asset','liability','equity','revenue','expense')),
+    created_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(group_id, account_code)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_consolidation_account_map (
+    id TEXT PRIMARY KEY,
+    group_id TEXT NOT NULL REFERENCES acc_consolidation_groups(id),
+    account_id TEXT NOT NULL REFERENCES acc_accounts(id),
+    group_account_id TEXT NOT NULL REFERENCES acc_group_accounts(id),
+    intercompany_type TEXT CHECK(intercompany_type IN ('receivable','payable','revenue','expense')),
+    counterparty_company_id TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(group_id, account_id)
+  )`);
+
+  // ============================================
+  // CASH FLOW CLASSIFICATION
+  // ============================================
+  safeAlter('acc_accounts', 'cash_flow_category', 'TEXT');
+  safeAlter('acc_accounts', 'cash_flow_line', 'TEXT');
+
+  // ============================================
+  // FISCAL PERIOD POSTING GUARD
+  // ============================================
+  safeAlter('acc_fiscal_periods', 'soft_locked', 'INTEGER DEFAULT 0');
+  safeAlter('acc_fiscal_periods', 'soft_locked_at', 'TEXT');
+
+  // Postings let through a locked period by override, or moved out of it
+  db.run(`CREATE TABLE IF NOT EXISTS acc_period_lock_events (
+    id TEXT PRIMARY KEY,
+    period_id TEXT NOT NULL REFERENCES acc_fiscal_periods(id),
+    action TEXT NOT NULL CHECK(action IN ('override','redirect')),
+    lock_status TEXT NOT NULL CHECK(lock_status IN ('closed','soft_locked')),
+    source TEXT NOT NULL,
+    reference_type TEXT,
+    reference_id TEXT,
+    requested_date TEXT NOT NULL,
+    posted_date TEXT NOT NULL,
+    reason TEXT,
+    user_id TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  // ============================================
+  // GSTR-2B PURCHASE RECONCILIATION
+  // ============================================
+  safeAlter('acc_bills', 'gstr2b_status', 'TEXT');
+  safeAlter('acc_bills', 'gstr2b_period', 'TEXT');
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_gstr2b_imports (
+    id TEXT PRIMARY KEY,
+    return_period TEXT NOT NULL,
+    gstin TEXT,
+    source_format TEXT NOT NULL CHECK(source_format IN ('json','csv')),
+    file_name TEXT,
+    total_documents INTEGER DEFAULT 0,
+    status TEXT DEFAULT 'imported' CHECK(status IN ('imported','reconciled')),
+    summary TEXT,
+    reconciled_at TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  // One row per supplier invoice as reported in GSTR-2B (rate-wise rows summed)
+  db.run(`CREATE TABLE IF NOT EXISTS acc_gstr2b_lines (
+    id TEXT PRIMARY KEY,
+    import_id TEXT NOT NULL REFERENCES acc_gstr2b_imports(id),
+    supplier_gstin TEXT NOT NULL,
+    supplier_name TEXT,
+    invoice_number TEXT NOT NULL,
+    invoice_date TEXT,
+    invoice_value REAL DEFAULT 0,
+    taxable_value REAL DEFAULT 0,
+    cgst_amount REAL DEFAULT 0,
+    sgst_amount REAL DEFAULT 0,
+    igst_amount REAL DEFAULT 0,
+    cess_amount REAL DEFAULT 0,
+    place_of_supply TEXT,
+    reverse_charge INTEGER DEFAULT 0,
+    itc_available INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_gstr2b_results (
+    id TEXT PRIMARY KEY,
+    import_id TEXT NOT NULL REFERENCES acc_gstr2b_imports(id),
+    return_period TEXT NOT NULL,
+    line_id TEXT REFERENCES acc_gstr2b_lines(id),
+    bill_id TEXT REFERENCES acc_bills(id),
+    status TEXT NOT NULL CHECK(status IN ('matched','mismatched','missing_in_books','missing_in_2b')),
+    differences TEXT,
+    itc_available INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  // ============================================
+  // GSTR-1 RETURN
+  // ============================================
+  // taxable (default) | nil_rated | exempt | non_gst - drives the GSTR-1 nil/exempt table
+  safeAlter('acc_tax_codes', 'gst_treatment', 'TEXT');
+  safeAlter('acc_invoice_lines', 'uqc', 'TEXT');
+  safeAlter('acc_credit_note_lines', 'uqc', 'TEXT');
+  safeAlter('acc_invoices', 'shipping_bill_number', 'TEXT');
+  safeAlter('acc_invoices', 'shipping_bill_date', 'TEXT');
+  safeAlter('acc_invoices', 'port_code', 'TEXT');
+
+  // Advances received against future supplies, and their adjustment against invoices
+  db.run(`CREATE TABLE IF NOT EXISTS acc_gst_advances (
+    id TEXT PRIMARY KEY,
+    entry_type TEXT NOT NULL CHECK(entry_type IN ('received','adjusted')),
+    entry_date TEXT NOT NULL,
+    customer_id TEXT REFERENCES acc_customers(id),
+    place_of_supply TEXT NOT NULL,
+    is_interstate INTEGER DEFAULT 0,
+    gst_rate REAL NOT NULL,
+    amount REAL NOT NULL,
+    igst_amount REAL DEFAULT 0,
+    cgst_amount REAL DEFAULT 0,
+    sgst_amount REAL DEFAULT 0,
+    cess_amount REAL DEFAULT 0,
+    invoice_id TEXT REFERENCES acc_invoices(id),
+    reference TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  // What each document looked like in a filed GSTR-1, so later edits become amendments
+  db.run(`CREATE TABLE IF NOT EXISTS acc_gstr1_filed_documents (
+    id TEXT PRIMARY KEY,
+    return_period TEXT NOT NULL,
+    document_type TEXT NOT NULL CHECK(document_type IN ('invoice','credit_note')),
+    document_id TEXT NOT NULL,
+    section TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    is_amendment INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  // ============================================
+  // AR DUNNING
+  // ============================================
+  safeAlter('acc_customers', 'dunning_policy_id', 'TEXT');
+  safeAlter('acc_customers', 'dunning_paused', 'INTEGER DEFAULT 0');
+  // Highest reminder stage sent for the invoice; disputed invoices are left out of dunning
+  safeAlter('acc_invoices', 'dunning_stage', 'INTEGER DEFAULT 0');
+  safeAlter('acc_invoices', 'last_dunned_at', 'TEXT');
+  safeAlter('acc_invoices', 'disputed', 'INTEGER DEFAULT 0');
+  safeAlter('acc_invoices', 'dispute_reason', 'TEXT');
+  safeAlter('acc_invoices', 'interest_charged_through', 'TEXT');
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_dunning_policies (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    is_default INTEGER DEFAULT 0,
+    min_overdue_amount REAL DEFAULT 0,
+    interest_rate REAL DEFAULT 0,
+    interest_grace_days INTEGER DEFAULT 0,
+    interest_account_id TEXT REFERENCES acc_accounts(id),
+    is_active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS acc_dunning_stages (
+    id TEXT PRIMARY KEY,
+    policy_id TEXT NOT NULL REFERENCES acc_dunning_policies(id),
+    stage_number INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    days_overdue INTEGER NOT NULL,
+    channel TEXT NOT NULL DEFAULT 'email' CHECK(channel IN ('email','sms','whatsapp')),
+    subject TEXT,
+    body TEXT NOT NULL,
+    attach_statement INTEGER DEFAULT 1,
+    include_payment_link INTEGER DEFAULT 1,
+    charge_interest INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(policy_id, stage_number)
+  )`);
+
+  // Late-payment interest raised on customers
+  db.run(`CREATE TABLE IF NOT EXISTS acc_customer_debit_notes (
+    id TEXT PRIMARY KEY,
+    debit_note_number TEXT NOT NULL UNIQUE,
+    customer_id TEXT NOT NULL REFERENCES acc_customers(id),
+    invoice_id TEXT REFERENCES acc_invoices(id),
+    debit_note_date TEXT NOT NULL,
+    reason TEXT NOT NULL DEFAULT 'late_payment_interest',
+    amount REAL NOT NULL,
+    interest_rate REAL,
+    interest_from TEXT,
+    interest_to TEXT,
+    status TEXT DEFAULT 'posted' CHECK(status IN ('posted','paid','void')),
+    journal_entry_id TEXT,
+    notes TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  // Per-customer dunning history: reminders sent and dispute / pause changes
+  db.run(`CREATE TABLE IF NOT EXISTS acc_dunning_history (
+    id TEXT PRIMARY KEY,
+    customer_id TEXT NOT NULL REFERENCES acc_customers(id),
+    event_type TEXT NOT NULL CHECK(event_type IN ('reminder','dispute_opened','dispute_resolved','paused','resumed')),
+    invoice_id TEXT REFERENCES acc_invoices(id),
+    policy_id TEXT,
+    stage_id TEXT,
+    stage_number INTEGER,
+    channel TEXT,
+    recipient TEXT,
+    subject TEXT,
+    body TEXT,
+    invoice_ids TEXT,
+    overdue_amount REAL,
+    payment_link_ids TEXT,
+    statement_attached INTEGER DEFAULT 0,
+    debit_note_ids TEXT,
+    status TEXT DEFAULT 'sent' CHECK(status IN ('sent','failed','logged')),
+    error TEXT,
+    notes TEXT,
+    user_id TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+
   // Indexes for new tables
+  db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_number_series_scope ON acc_number_series(document_type, COALESCE(branch_id, \'\')) WHERE is_active = 1');
+  db.run('CREATE INDEX IF NOT EXISTS idx_number_allocations_formatted ON acc_number_allocations(formatted_number)');
+  db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_integration_idempotency ON acc_integration_events(idempotency_key) WHERE idempotency_key IS NOT NULL');
+  db.run('CREATE INDEX IF NOT EXISTS idx_integration_retry ON acc_integration_events(status, next_retry_at)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_dead_letters_status ON acc_integration_dead_letters(status)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_cost_layers_open ON acc_inventory_cost_layers(product_id, warehouse_id, remaining_qty)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_layer_consumptions_layer ON acc_inventory_layer_consumptions(layer_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_inventory_txn_product_date ON acc_inventory_transactions(product_id, transaction_date)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_payroll_adjustments_period ON acc_payroll_adjustments(period_year, period_month, employee_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_payslip_lines_slip ON acc_payslip_lines(payslip_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_forex_reval_lines_reval ON acc_forex_revaluation_lines(revaluation_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_forex_txn_reference ON acc_forex_transactions(reference_type, reference_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_consolidation_map_group ON acc_consolidation_account_map(group_id, group_account_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_accounts_company ON acc_accounts(company_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_fiscal_periods_dates ON acc_fiscal_periods(start_date, end_date)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_period_lock_events_period ON acc_period_lock_events(period_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_gstr2b_lines_import ON acc_gstr2b_lines(import_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_gstr2b_results_period ON acc_gstr2b_results(return_period, status)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_bills_gstr2b ON acc_bills(gstr2b_status, gstr2b_period)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_gst_advances_date ON acc_gst_advances(entry_date)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_gstr1_filed_document ON acc_gstr1_filed_documents(document_type, document_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_dunning_stages_policy ON acc_dunning_stages(policy_id, stage_number)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_dunning_history_customer ON acc_dunning_history(customer_id, created_at)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_customer_debit_notes_customer ON acc_customer_debit_notes(customer_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_sales_tax_lines_date ON acc_sales_tax_lines(transaction_date)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_journal_entries_reference ON acc_journal_entries(source_system, reference_type, reference_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_bank_match_proposal_status ON acc_bank_match_proposals(bank_account_id, status)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_bank_match_items_proposal ON acc_bank_match_items(proposal_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_bank_match_items_ledger ON acc_bank_match_items(ledger_entry_id)');
   db.run('CREATE INDEX IF NOT EXISTS idx_approval_entity ON acc_approval_history(entity_type, entity_id)');
   db.run('CREATE INDEX IF NOT EXISTS idx_po_vendor ON acc_purchase_orders(vendor_id)');
   db.run('CREATE INDEX IF NOT EXISTS idx_po_status ON acc_purchase_orders(status)');
@@ -1522,19 +2071,109 @@ async function initDb() {
   return db;
 }
 
-function saveDb() {
-  if (!db) return;
+// ============================================
+// Transactions & persistence
+// ============================================
+// Writes go to the in-memory database and are flushed to the journal shortly
+// after the last one (see storage.js). export() reopens the database, which
+// would end an open transaction, so flushes wait for COMMIT.
+
+/**
+ * Start a transaction (one at a time on the shared connection)
+ */
+function beginTransaction() {
+  store.begin();
+  db = store.acquire();
+}
+
+/**
+ * Commit the open transaction and save; a failed commit is rolled back
+ */
+function commitTransaction() {
+  store.commit();
+}
+
+/**
+ * Roll back the open transaction, if any
+ */
+function rollbackTransaction() {
+  store.rollback();
+}
+
+/**
+ * Whether a transaction is open on the shared connection
+ */
+function inTransaction() {
+  return !!store && store.inTransaction();
+}
+
+/**
+ * Run fn inside a transaction, e.g. for bulk imports: one flush at the end
+ * instead of one per row, and nothing saved if fn throws
+ */
+function transaction(fn) {
+  beginTransaction();
   try {
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    const tmpPath = DB_PATH + '.tmp';
-    fs.writeFileSync(tmpPath, buffer);
-    fs.renameSync(tmpPath, DB_PATH);
+    const result = fn();
+    commitTransaction();
+    return result;
   } catch (err) {
-    console.error('[Accounting DB] Save failed:', err.message);
+    rollbackTransaction();
+    throw err;
   }
 }
 
+/**
+ * Wait for the write lock without blocking the event loop, e.g. before a
+ * background job writes outside a request. The lock stays taken, through
+ * flushes, until releaseLock() is given the hold this returns.
+ * @returns {Promise<symbol>} - Hold to pass to releaseLock()
+ */
+async function lockDb() {
+  const hold = Symbol('lockDb');
+  db = await store.acquireAsync(hold);
+  return hold;
+}
+
+/**
+ * Give back a hold taken by lockDb(); the lock goes once no hold is left
+ * and nothing written is waiting to be flushed. Without a hold it only lets
+ * go of a lock nobody holds.
+ * @param {symbol} hold - As returned by lockDb()
+ */
+function releaseLock(hold) {
+  if (store) store.release(hold);
+}
+
+/**
+ * Express middleware: requests that may write wait here for the write lock
+ * (503 if another process holds it past the timeout), so their statements
+ * never have to wait for it synchronously. The request holds it until it ends.
+ */
+function writeLock(req, res, next) {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') return next();
+  lockDb().then(hold => {
+    res.on('close', () => releaseLock(hold));
+    next();
+  }, err => {
+    res.status(err.code === 'SQLITE_BUSY' ? 503 : 500).json({ success: false, error: err.message });
+  });
+}
+
+/**
+ * Save pending changes to the journal now
+ */
+function saveDb() {
+  if (store) store.flush();
+}
+
+/**
+ * Write the complete database file (folding in the journal), e.g. before copying it
+ */
+function checkpoint() {
+  if (store) store.checkpoint();
+}
+
 // Graceful shutdown
 let _isShuttingDown = false;
 function _shutdown(signal) {
@@ -1549,6 +2188,8 @@ process.on('SIGTERM', () => _shutdown('SIGTERM'));
 
 function query(sql, params = []) {
   if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  const write = !isReadOnly(sql);
+  db = write ? store.acquire() : store.current();
   try {
     const stmt = db.prepare(sql);
     if (params.length) stmt.bind(params);
@@ -1561,18 +2202,22 @@ function query(sql, params = []) {
   } catch (err) {
     console.error('[Accounting DB] Query error:', sql, err.message);
     throw err;
+  } finally {
+    if (write) store.changed();
   }
 }
 
 function run(sql, params = []) {
   if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  db = store.acquire();
   try {
     db.run(sql, params);
-    saveDb();
     return { changes: db.getRowsModified() };
   } catch (err) {
     console.error('[Accounting DB] Run error:', sql, err.message);
     throw err;
+  } finally {
+    store.changed();
   }
 }
 
@@ -1582,7 +2227,12 @@ function get(sql, params = []) {
 }
 
 function getDb() {
+  if (store) db = store.current();
   return db;
 }
 
-module.exports = { initDb, query, run, get, getDb, saveDb, DB_PATH, DATA_DIR };
+module.exports = {
+  initDb, query, run, get, getDb, saveDb, checkpoint, lockDb, releaseLock, writeLock,
+  beginTransaction, commitTransaction, rollbackTransaction, transaction, inTransaction,
+  DB_PATH, DATA_DIR
+};
@@ -0,0 +1,242 @@
+/**
+ * Customer Dunning
+ * Chases overdue invoices through the stages of a dunning policy. Each stage
+ * starts at a number of days overdue and sends an email / SMS / WhatsApp
+ * reminder from its template, with payment links for the overdue invoices and
+ * a link to the customer's statement PDF. A stage can also charge late-payment
+ * interest, raised as a customer debit note and posted to the ledger.
+ *
+ * An invoice moves up one stage per run once that stage's days overdue have
+ * passed; a customer gets one reminder per run, at the highest stage reached,
+ * covering every invoice that moved. Disputed invoices and paused customers
+ * are skipped. Reminders and dispute / pause changes are kept in
+ * acc_dunning_history. Like the rest of lite, messages are recorded as sent
+ * rather than handed to a provider.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { query, run, get } = require('./db');
+const { nextNumber } = require('./numbering');
+const { assertPostingAllowed } = require('./posting-guard');
+
+const CHANNELS = ['email', 'sms', 'whatsapp'];
+const AR_ACCOUNT_CODE = '1200';
+const INTEREST_INCOME_ACCOUNT_CODE = '4930';
+const PAYMENT_LINK_DAYS = 7;
+
+function round2(n) {
+  return Math.round((n || 0) * 100) / 100;
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+// Replace {{name}} placeholders; unknown names are left blank
+function renderTemplate(text, vars) {
+  if (!text) return text;
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (vars[key] === undefined || vars[key] === null ? '' : String(vars[key])));
+}
+
+function policyStages(policyId) {
+  return query('SELECT * FROM acc_dunning_stages WHERE policy_id = ? ORDER BY stage_number', [policyId]);
+}
+
+function policyFor(customer) {
+  if (customer.dunning_policy_id) {
+    const assigned = get('SELECT * FROM acc_dunning_policies WHERE id = ? AND is_active = 1', [customer.dunning_policy_id]);
+    if (assigned) return assigned;
+  }
+  return get('SELECT * FROM acc_dunning_policies WHERE is_default = 1 AND is_active = 1 ORDER BY created_at LIMIT 1');
+}
+
+function recipientFor(customer, channel) {
+  return channel === 'email' ? customer.email : (customer.mobile || customer.phone);
+}
+
+// Stage after the one the invoice last reached, once its threshold has passed
+function nextStage(stages, invoice) {
+  const next = stages.find(s => s.stage_number > (invoice.dunning_stage || 0));
+  return next && invoice.days_overdue >= next.days_overdue ? next : null;
+}
+
+function overdueInvoices(customerId, asOf) {
+  return query(`SELECT * FROM acc_invoices WHERE customer_id = ? AND status NOT IN ('draft','void') AND balance_due > 0.005 AND due_date < ?
+    ORDER BY due_date`, [customerId, asOf]).map(inv => ({ ...inv, days_overdue: daysBetween(inv.due_date, asOf) }));
+}
+
+// Reuse an open link for the same amount, otherwise create one
+function paymentLink(invoice, baseUrl, gateway) {
+  const amount = round2(invoice.balance_due);
+  const existing = get(`SELECT * FROM acc_payment_links WHERE invoice_id = ? AND status IN ('created','sent') AND amount = ?
+    AND (expires_at IS NULL OR expires_at > datetime('now')) ORDER BY created_at DESC LIMIT 1`, [invoice.id, amount]);
+  if (existing) return existing;
+  const id = uuidv4();
+  const shortCode = id.substring(0, 8);
+  run(`INSERT INTO acc_payment_links (id, invoice_id, gateway, amount, currency, payment_link_url, short_url, status, expires_at, metadata)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'created', datetime('now', ?), ?)`,
+    [id, invoice.id, gateway, amount, invoice.currency || 'INR', `${baseUrl}/pay/${shortCode}`, shortCode, `+${PAYMENT_LINK_DAYS} days`, JSON.stringify({ source: 'dunning' })]);
+  return get('SELECT * FROM acc_payment_links WHERE id = ?', [id]);
+}
+
+function interestAccount(policy) {
+  if (policy.interest_account_id) return get('SELECT id FROM acc_accounts WHERE id = ?', [policy.interest_account_id]);
+  return get('SELECT id FROM acc_accounts WHERE account_code = ?', [INTEREST_INCOME_ACCOUNT_CODE]);
+}
+
+/**
+ * Simple interest on the open balance from the later of (due date + grace)
+ * and the day after interest was last charged, up to `asOf`.
+ */
+function interestDue(invoice, policy, asOf) {
+  if (!(policy.interest_rate > 0)) return null;
+  const from = invoice.interest_charged_through ? addDays(invoice.interest_charged_through, 1) : addDays(invoice.due_date, policy.interest_grace_days || 0);
+  const days = daysBetween(from, asOf) + 1;
+  if (days <= 0) return null;
+  const rate = invoice.exchange_rate || 1;
+  const amount = round2(invoice.balance_due * rate * policy.interest_rate / 100 * days / 365);
+  return amount >= 0.01 ? { amount, from, to: asOf, days } : null;
+}
+
+// Raise and post a late-interest debit note (Dr receivable, Cr interest income)
+function raiseInterestDebitNote(invoice, customer, policy, interest, opts) {
+  const ar = get('SELECT id FROM acc_accounts WHERE account_code = ?', [AR_ACCOUNT_CODE]);
+  const income = interestAccount(policy);
+  if (!ar || !income) {
+    const err = new Error(`Accounts Receivable (${AR_ACCOUNT_CODE}) or interest income account (${INTEREST_INCOME_ACCOUNT_CODE}) not configured`);
+    err.code = 'INVALID';
+    throw err;
+  }
+  assertPostingAllowed(interest.to, { source: 'dunning', reference_type: 'invoice', reference_id: invoice.id, user: opts.user || null, override_reason: opts.override_reason || null });
+
+  const id = uuidv4();
+  const number = nextNumber('customer_debit_note', { date: interest.to, document_id: id });
+  const jeId = uuidv4();
+  const description = `Late payment interest on ${invoice.invoice_number} (${interest.from} to ${interest.to} at ${policy.interest_rate}% p.a.)`;
+  run(`INSERT INTO acc_journal_entries (id, entry_number, entry_date, entry_type, description, reference_type, reference_id, source_document, total_debit, total_credit, status, posted_at)
+    VALUES (?, ?, ?, 'AR', ?, 'customer_debit_note', ?, ?, ?, ?, 'posted', datetime('now'))`,
+    [jeId, `JE-CDN-${number}`, interest.to, description, id, number, interest.amount, interest.amount]);
+  [{ account_id: ar.id, debit: interest.amount, credit: 0, text: `Interest receivable from ${customer.name}` },
+    { account_id: income.id, debit: 0, credit: interest.amount, text: 'Late payment interest' }].forEach((l, idx) => {
+    run('INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [uuidv4(), jeId, idx + 1, l.account_id, l.text, l.debit, l.credit]);
+    const account = get('SELECT * FROM acc_accounts WHERE id = ?', [l.account_id]);
+    const newBal = account.current_balance + l.debit - l.credit;
+    run('INSERT INTO acc_ledger_entries (id, account_id, journal_entry_id, entry_date, description, debit_amount, credit_amount, running_balance) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [uuidv4(), l.account_id, jeId, interest.to, l.text, l.debit, l.credit, newBal]);
+    run("UPDATE acc_accounts SET current_balance = ?, updated_at = datetime('now') WHERE id = ?", [newBal, l.account_id]);
+  });
+
+  run(`INSERT INTO acc_customer_debit_notes (id, debit_note_number, customer_id, invoice_id, debit_note_date, amount, interest_rate, interest_from, interest_to, journal_entry_id, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, number, customer.id, invoice.id, interest.to, interest.amount, policy.interest_rate, interest.from, interest.to, jeId, description]);
+  run("UPDATE acc_invoices SET interest_charged_through = ?, updated_at = datetime('now') WHERE id = ?", [interest.to, invoice.id]);
+  return get('SELECT * FROM acc_customer_debit_notes WHERE id = ?', [id]);
+}
+
+/**
+ * Work out (and unless dry_run, send) the reminders due on `as_of_date`.
+ * opts: { as_of_date, customer_id, dry_run, base_url, gateway, user, override_reason }
+ * Returns { as_of_date, dry_run, notices: [...], skipped: [...] }.
+ */
+function runDunning(opts = {}) {
+  const asOf = opts.as_of_date || new Date().toISOString().split('T')[0];
+  const baseUrl = opts.base_url || '';
+  const gateway = opts.gateway || 'upi';
+  const company = get("SELECT * FROM acc_company_settings WHERE id = 'default'") || {};
+  const notices = [], skipped = [];
+
+  let sql = `SELECT DISTINCT c.* FROM acc_customers c JOIN acc_invoices i ON i.customer_id = c.id
+    WHERE c.is_active = 1 AND i.status NOT IN ('draft','void') AND i.balance_due > 0.005 AND i.due_date < ?`;
+  const params = [asOf];
+  if (opts.customer_id) { sql += ' AND c.id = ?'; params.push(opts.customer_id); }
+
+  query(`${sql} ORDER BY c.name`, params).forEach(customer => {
+    const skip = (reason) => skipped.push({ customer_id: customer.id, customer_name: customer.name, reason });
+    if (customer.dunning_paused) return skip('Dunning paused for customer');
+    const policy = policyFor(customer);
+    if (!policy) return skip('No active dunning policy');
+    const stages = policyStages(policy.id);
+    if (!stages.length) return skip(`Policy ${policy.name} has no stages`);
+
+    const overdue = overdueInvoices(customer.id, asOf);
+    const open = overdue.filter(inv => !inv.disputed);
+    const totalOverdue = round2(open.reduce((s, inv) => s + inv.balance_due, 0));
+    if (totalOverdue < (policy.min_overdue_amount || 0)) return skip(`Overdue ${totalOverdue} below policy minimum ${policy.min_overdue_amount}`);
+
+    const escalated = open.map(inv => ({ inv, stage: nextStage(stages, inv) })).filter(e => e.stage);
+    if (!escalated.length) return skip(overdue.length > open.length && !open.length ? 'All overdue invoices are disputed' : 'No invoice reached a new stage');
+
+    const stage = escalated.reduce((top, e) => (e.stage.stage_number > top.stage_number ? e.stage : top), escalated[0].stage);
+    const recipient = recipientFor(customer, stage.channel);
+    const notice = {
+      customer_id: customer.id, customer_name: customer.name, policy_id: policy.id, stage_id: stage.id, stage_number: stage.stage_number,
+      stage_name: stage.name, channel: stage.channel, recipient: recipient || null, overdue_amount: totalOverdue,
+      invoices: escalated.map(e => ({ id: e.inv.id, invoice_number: e.inv.invoice_number, due_date: e.inv.due_date, days_overdue: e.inv.days_overdue, balance_due: e.inv.balance_due, stage_number: e.stage.stage_number })),
+      payment_links: [], debit_notes: [], errors: []
+    };
+
+    if (!opts.dry_run && recipient && stage.include_payment_link) {
+      notice.payment_links = escalated.map(e => paymentLink(e.inv, baseUrl, gateway));
+    }
+    // Interest follows each invoice's own stage, and only with a reminder that actually goes out
+    if (recipient) {
+      escalated.filter(e => e.stage.charge_interest).forEach(e => {
+        const interest = interestDue(e.inv, policy, asOf);
+        if (!interest) return;
+        if (opts.dry_run) { notice.debit_notes.push({ invoice_id: e.inv.id, amount: interest.amount, interest_from: interest.from, interest_to: interest.to }); return; }
+        try {
+          notice.debit_notes.push(raiseInterestDebitNote(e.inv, customer, policy, interest, opts));
+        } catch (err) {
+          notice.errors.push(`${e.inv.invoice_number}: ${err.message}`);
+        }
+      });
+    }
+
+    const vars = {
+      customer_name: customer.name, contact_person: customer.contact_person || customer.name, company_name: company.company_name || '',
+      overdue_amount: totalOverdue.toFixed(2), invoice_count: notice.invoices.length,
+      invoice_list: notice.invoices.map(i => `${i.invoice_number} due ${i.due_date} (${i.days_overdue} days): ${round2(i.balance_due).toFixed(2)}`).join('\n'),
+      days_overdue: Math.max(...notice.invoices.map(i => i.days_overdue)),
+      payment_link: notice.payment_links[0] ? notice.payment_links[0].payment_link_url : '',
+      payment_links: notice.payment_links.map(l => l.payment_link_url).join('\n'),
+      statement_url: stage.attach_statement ? `${baseUrl}/api/customers/${customer.id}/statement/pdf?end_date=${asOf}` : '',
+      interest_amount: round2(notice.debit_notes.reduce((s, d) => s + d.amount, 0)).toFixed(2)
+    };
+    notice.subject = stage.channel === 'email' ? renderTemplate(stage.subject, vars) : null;
+    notice.body = renderTemplate(stage.body, vars);
+    notice.statement_url = vars.statement_url || null;
+    if (!recipient) notice.errors.push(`Customer has no ${stage.channel === 'email' ? 'email address' : 'mobile number'}`);
+    notice.status = recipient ? 'sent' : 'failed';
+
+    if (!opts.dry_run) {
+      notice.id = uuidv4();
+      run(`INSERT INTO acc_dunning_history (id, customer_id, event_type, policy_id, stage_id, stage_number, channel, recipient, subject, body, invoice_ids, overdue_amount, payment_link_ids, statement_attached, debit_note_ids, status, error, user_id)
+        VALUES (?, ?, 'reminder', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [notice.id, customer.id, policy.id, stage.id, stage.stage_number, stage.channel, recipient || null, notice.subject, notice.body,
+          JSON.stringify(notice.invoices.map(i => i.id)), totalOverdue, JSON.stringify(notice.payment_links.map(l => l.id)), stage.attach_statement ? 1 : 0,
+          JSON.stringify(notice.debit_notes.map(d => d.id)), notice.status, notice.errors.length ? notice.errors.join('; ') : null, opts.user ? opts.user.id : null]);
+      // A failed send is retried on the next run, so the stage only advances once the reminder went out
+      if (recipient) {
+        notice.payment_links.forEach(l => run("UPDATE acc_payment_links SET status = 'sent', updated_at = datetime('now') WHERE id = ? AND status = 'created'", [l.id]));
+        escalated.forEach(e => run("UPDATE acc_invoices SET dunning_stage = ?, last_dunned_at = ?, updated_at = datetime('now') WHERE id = ?", [e.stage.stage_number, asOf, e.inv.id]));
+      }
+    }
+    notices.push(notice);
+  });
+
+  return { as_of_date: asOf, dry_run: !!opts.dry_run, notices, skipped };
+}
+
+// Record a dispute / pause change in the customer's dunning history
+function logEvent(customerId, eventType, details = {}) {
+  run(`INSERT INTO acc_dunning_history (id, customer_id, event_type, invoice_id, notes, status, user_id) VALUES (?, ?, ?, ?, ?, 'logged', ?)`,
+    [uuidv4(), customerId, eventType, details.invoice_id || null, details.notes || null, details.user ? details.user.id : null]);
+}
+
+module.exports = { CHANNELS, INTEREST_INCOME_ACCOUNT_CODE, renderTemplate, policyStages, runDunning, interestDue, logEvent };
@@ -0,0 +1,241 @@
+/**
+ * Foreign Exchange
+ * Rate lookup, realized gain/loss on settlement of foreign-currency invoices
+ * and bills, and period-end revaluation of open foreign balances with an
+ * automatic reversal on the first day of the next period.
+ *
+ * Document exchange rates (acc_invoices / acc_bills / payments) are quoted as
+ * base-currency units per one unit of the document currency (e.g. 83.2 INR per USD).
+ */
+const { v4: uuidv4 } = require('uuid');
+const { nextNumber } = require('./numbering');
+const { query, run, get } = require('./db');
+const { assertPostingAllowed } = require('./posting-guard');
+
+const FOREX_ACCOUNT_CODES = { realized: '4910', unrealized: '4920' };
+const AR_ACCOUNT_CODE = '1200';
+const AP_ACCOUNT_CODE = '2100';
+
+function round2(n) {
+  return Math.round((n || 0) * 100) / 100;
+}
+
+function baseCurrency() {
+  const base = get('SELECT code FROM acc_currencies WHERE is_base = 1 LIMIT 1');
+  return base ? base.code : 'INR';
+}
+
+function isForeign(currency) {
+  return !!currency && currency !== baseCurrency();
+}
+
+// Base-currency units per one unit of `currency`, using the latest rate on or before `date`
+function rateOn(currency, date) {
+  const base = baseCurrency();
+  if (!currency || currency === base) return 1;
+  const asOf = date || new Date().toISOString().split('T')[0];
+  const direct = get('SELECT rate FROM acc_exchange_rates WHERE from_currency = ? AND to_currency = ? AND effective_date <= ? ORDER BY effective_date DESC, created_at DESC LIMIT 1', [currency, base, asOf]);
+  if (direct && direct.rate) return direct.rate;
+  const inverse = get('SELECT rate FROM acc_exchange_rates WHERE from_currency = ? AND to_currency = ? AND effective_date <= ? ORDER BY effective_date DESC, created_at DESC LIMIT 1', [base, currency, asOf]);
+  if (inverse && inverse.rate) return 1 / inverse.rate;
+  // Currency master quotes units of the currency per one unit of base (USD 0.012 against INR)
+  const cur = get('SELECT exchange_rate FROM acc_currencies WHERE code = ?', [currency]);
+  if (cur && cur.exchange_rate) return 1 / cur.exchange_rate;
+  return null;
+}
+
+function forexAccount(kind) {
+  return get('SELECT id FROM acc_accounts WHERE account_code = ?', [FOREX_ACCOUNT_CODES[kind]]);
+}
+
+/**
+ * Gain (+) or loss (-) in base currency when `amount` of a foreign document
+ * booked at `bookedRate` settles at `settledRate`. Receivables gain when the
+ * currency strengthens; payables gain when it weakens.
+ */
+function gainLoss(side, amount, bookedRate, settledRate) {
+  const diff = round2(amount * settledRate) - round2(amount * bookedRate);
+  return round2(side === 'receivable' ? diff : -diff);
+}
+
+function recordForexTransaction(t) {
+  run(`INSERT INTO acc_forex_transactions (id, journal_entry_id, original_amount, original_currency, converted_amount, base_currency, exchange_rate, gain_loss, kind, reference_type, reference_id, revaluation_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [uuidv4(), t.journal_entry_id || null, t.original_amount, t.original_currency, t.converted_amount, baseCurrency(), t.exchange_rate, t.gain_loss,
+     t.kind, t.reference_type || null, t.reference_id || null, t.revaluation_id || null]);
+}
+
+// Insert a balanced, posted journal entry and update the ledger
+function postJournal(entry) {
+  const jeId = uuidv4();
+  const entryNumber = nextNumber('journal_entry', { date: entry.date, document_id: jeId });
+  const total = round2(entry.lines.reduce((s, l) => s + (l.debit || 0), 0));
+  run(`INSERT INTO acc_journal_entries (id, entry_number, entry_date, entry_type, description, reference_type, reference_id, total_debit, total_credit, status, posted_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'posted', datetime('now'))`,
+    [jeId, entryNumber, entry.date, entry.entry_type || 'FX', entry.description, entry.reference_type, entry.reference_id, total, total]);
+  entry.lines.forEach((l, idx) => {
+    run('INSERT INTO acc_journal_lines (id, journal_entry_id, line_number, account_id, description, debit_amount, credit_amount) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [uuidv4(), jeId, idx + 1, l.account_id, l.description, l.debit || 0, l.credit || 0]);
+    const account = get('SELECT * FROM acc_accounts WHERE id = ?', [l.account_id]);
+    if (!account) return;
+    const newBal = account.current_balance + (l.debit || 0) - (l.credit || 0);
+    run('INSERT INTO acc_ledger_entries (id, account_id, journal_entry_id, entry_date, description, debit_amount, credit_amount, running_balance) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [uuidv4(), l.account_id, jeId, entry.date, l.description, l.debit || 0, l.credit || 0, newBal]);
+    run("UPDATE acc_accounts SET current_balance = ?, updated_at = datetime('now') WHERE id = ?", [newBal, l.account_id]);
+  });
+  return jeId;
+}
+
+function nextDay(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().split('T')[0];
+}
+
+function ledgerBalance(accountId, asOf) {
+  const row = get(`SELECT a.opening_balance + COALESCE(SUM(le.debit_amount), 0) - COALESCE(SUM(le.credit_amount), 0) as balance
+    FROM acc_accounts a LEFT JOIN acc_ledger_entries le ON le.account_id = a.id AND le.entry_date <= ? WHERE a.id = ? GROUP BY a.id`, [asOf, accountId]);
+  return row ? row.balance : 0;
+}
+
+/**
+ * Work out the restatement of every open foreign-currency invoice, bill and
+ * bank balance at the closing rate on `asOf`. Nothing is posted.
+ * opts.bank_balances: { bank_account_id: foreign balance } overrides the stored balance.
+ */
+function previewRevaluation(asOf, opts = {}) {
+  const lines = [];
+  const missingRates = new Set();
+  const rateCache = {};
+  const closing = (currency) => {
+    if (!(currency in rateCache)) rateCache[currency] = rateOn(currency, asOf);
+    if (!rateCache[currency]) missingRates.add(currency);
+    return rateCache[currency];
+  };
+  const base = baseCurrency();
+
+  const ar = get('SELECT id FROM acc_accounts WHERE account_code = ?', [AR_ACCOUNT_CODE]);
+  query(`SELECT id, invoice_number, currency, exchange_rate, balance_due FROM acc_invoices
+    WHERE currency IS NOT NULL AND currency != ? AND status IN ('sent','partial','overdue') AND balance_due > 0 AND invoice_date <= ?`, [base, asOf]).forEach(inv => {
+    const rate = closing(inv.currency);
+    if (!rate) return;
+    const booked = round2(inv.balance_due * (inv.exchange_rate || 1));
+    const revalued = round2(inv.balance_due * rate);
+    lines.push({ source_type: 'invoice', source_id: inv.id, document_number: inv.invoice_number, currency: inv.currency, account_id: ar ? ar.id : null,
+      foreign_amount: inv.balance_due, booked_rate: inv.exchange_rate || 1, closing_rate: rate, booked_base: booked, revalued_base: revalued, gain_loss: round2(revalued - booked) });
+  });
+
+  const ap = get('SELECT id FROM acc_accounts WHERE account_code = ?', [AP_ACCOUNT_CODE]);
+  query(`SELECT id, bill_number, currency, exchange_rate, balance_due FROM acc_bills
+    WHERE currency IS NOT NULL AND currency != ? AND status IN ('approved','partial','overdue') AND balance_due > 0 AND bill_date <= ?`, [base, asOf]).forEach(bill => {
+    const rate = closing(bill.currency);
+    if (!rate) return;
+    const booked = round2(bill.balance_due * (bill.exchange_rate || 1));
+    const revalued = round2(bill.balance_due * rate);
+    lines.push({ source_type: 'bill', source_id: bill.id, document_number: bill.bill_number, currency: bill.currency, account_id: ap ? ap.id : null,
+      foreign_amount: bill.balance_due, booked_rate: bill.exchange_rate || 1, closing_rate: rate, booked_base: booked, revalued_base: revalued, gain_loss: round2(booked - revalued) });
+  });
+
+  const overrides = opts.bank_balances || {};
+  query('SELECT id, account_id, bank_name, account_number, currency, current_balance FROM acc_bank_accounts WHERE currency IS NOT NULL AND currency != ? AND is_active = 1 AND account_id IS NOT NULL', [base]).forEach(bank => {
+    const rate = closing(bank.currency);
+    if (!rate) return;
+    const foreign = overrides[bank.id] !== undefined ? Number(overrides[bank.id]) : (bank.current_balance || 0);
+    // The bank's ledger account already carries earlier revaluations and their reversals
+    const booked = round2(ledgerBalance(bank.account_id, asOf));
+    const revalued = round2(foreign * rate);
+    lines.push({ source_type: 'bank_account', source_id: bank.id, document_number: `${bank.bank_name} ${bank.account_number}`, currency: bank.currency, account_id: bank.account_id,
+      foreign_amount: foreign, booked_rate: foreign ? round2(booked / foreign * 1e6) / 1e6 : 0, closing_rate: rate, booked_base: booked, revalued_base: revalued, gain_loss: round2(revalued - booked) });
+  });
+
+  const changed = lines.filter(l => Math.abs(l.gain_loss) >= 0.01);
+  return {
+    revaluation_date: asOf,
+    reversal_date: nextDay(asOf),
+    base_currency: base,
+    lines: changed,
+    missing_rates: [...missingRates],
+    total_gain: round2(changed.filter(l => l.gain_loss > 0).reduce((s, l) => s + l.gain_loss, 0)),
+    total_loss: round2(changed.filter(l => l.gain_loss < 0).reduce((s, l) => s - l.gain_loss, 0)),
+    net_gain_loss: round2(changed.reduce((s, l) => s + l.gain_loss, 0))
+  };
+}
+
+// A gain always debits the restated account: it raises an asset (AR, bank) or lowers a payable
+function revaluationJournalLine(line) {
+  const amount = Math.abs(line.gain_loss);
+  const description = `Revaluation ${line.document_number} (${line.currency} @ ${line.closing_rate})`;
+  return line.gain_loss > 0
+    ? { account_id: line.account_id, description, debit: amount, credit: 0 }
+    : { account_id: line.account_id, description, debit: 0, credit: amount };
+}
+
+/**
+ * Post the unrealized gain/loss journal on `asOf` and its reversal on the
+ * next day, so settlements in the new period realize against the booked rate.
+ */
+function postRevaluation(asOf, opts = {}) {
+  const preview = previewRevaluation(asOf, opts);
+  if (preview.missing_rates.length) {
+    const err = new Error(`No exchange rate on or before ${asOf} for: ${preview.missing_rates.join(', ')}`);
+    err.code = 'MISSING_RATE';
+    throw err;
+  }
+  if (!preview.lines.length) return { ...preview, id: null, journal_entry_id: null, reversal_journal_entry_id: null };
+
+  const fxAccount = forexAccount('unrealized');
+  if (!fxAccount) {
+    const err = new Error(`Unrealized forex gain/loss account (${FOREX_ACCOUNT_CODES.unrealized}) not configured`);
+    err.code = 'MISSING_ACCOUNT';
+    throw err;
+  }
+  const unmapped = preview.lines.find(l => !l.account_id);
+  if (unmapped) {
+    const err = new Error(`${unmapped.source_type === 'bill' ? `Accounts Payable account (${AP_ACCOUNT_CODE})` : `Accounts Receivable account (${AR_ACCOUNT_CODE})`} not configured`);
+    err.code = 'MISSING_ACCOUNT';
+    throw err;
+  }
+
+  const id = uuidv4();
+  // Both the revaluation and its reversal must land in periods open for posting
+  const guardOpts = { source: 'forex_revaluation', reference_type: 'forex_revaluation', reference_id: id, user: opts.user, override_reason: opts.override_reason };
+  assertPostingAllowed(asOf, guardOpts);
+  assertPostingAllowed(preview.reversal_date, guardOpts);
+
+  const jeLines = preview.lines.map(revaluationJournalLine);
+  const net = preview.net_gain_loss;
+  if (Math.abs(net) >= 0.01) {
+    jeLines.push(net > 0
+      ? { account_id: fxAccount.id, description: 'Unrealized exchange gain', debit: 0, credit: net }
+      : { account_id: fxAccount.id, description: 'Unrealized exchange loss', debit: -net, credit: 0 });
+  }
+  const journalId = postJournal({ date: asOf, description: `Forex revaluation as of ${asOf}`, reference_type: 'forex_revaluation', reference_id: id, lines: jeLines });
+  const reversalId = postJournal({
+    date: preview.reversal_date,
+    description: `Reversal of forex revaluation as of ${asOf}`,
+    reference_type: 'forex_revaluation_reversal',
+    reference_id: id,
+    lines: jeLines.map(l => ({ ...l, description: `Reversal: ${l.description}`, debit: l.credit, credit: l.debit }))
+  });
+
+  run(`INSERT INTO acc_forex_revaluations (id, revaluation_date, reversal_date, base_currency, total_gain, total_loss, net_gain_loss, journal_entry_id, reversal_journal_entry_id, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, asOf, preview.reversal_date, preview.base_currency, preview.total_gain, preview.total_loss, net, journalId, reversalId, opts.notes || null]);
+  preview.lines.forEach(l => {
+    run(`INSERT INTO acc_forex_revaluation_lines (id, revaluation_id, source_type, source_id, document_number, currency, foreign_amount, booked_rate, closing_rate, booked_base, revalued_base, gain_loss, account_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), id, l.source_type, l.source_id, l.document_number, l.currency, l.foreign_amount, l.booked_rate, l.closing_rate, l.booked_base, l.revalued_base, l.gain_loss, l.account_id]);
+    recordForexTransaction({
+      journal_entry_id: journalId, kind: 'unrealized', original_amount: l.foreign_amount, original_currency: l.currency,
+      converted_amount: l.revalued_base, exchange_rate: l.closing_rate, gain_loss: l.gain_loss,
+      reference_type: l.source_type, reference_id: l.source_id, revaluation_id: id
+    });
+  });
+
+  return { ...preview, id, journal_entry_id: journalId, reversal_journal_entry_id: reversalId };
+}
+
+module.exports = {
+  FOREX_ACCOUNT_CODES, round2, baseCurrency, isForeign, rateOn, forexAccount, gainLoss,
+  recordForexTransaction, previewRevaluation, postRevaluation
+};
@@ -0,0 +1,607 @@
+/**
+ * GSTR-1 Return
+ * Builds the GSTR-1 JSON accepted by the GST offline tool / portal upload
+ * from posted invoices, credit notes, POS sales and recorded advances:
+ * B2B, B2CL, B2CS, exports, CDNR, CDNUR, nil/exempt, advances (AT / TXPD),
+ * HSN summary (B2B and B2C tabs) and the document issue summary.
+ *
+ * When a GSTR-1 is marked filed, each reported document is snapshotted; a
+ * document from an earlier filed period that no longer matches its snapshot
+ * is reported again in the amendment table (B2BA, B2CLA, EXPA, CDNRA, CDNURA)
+ * of the next return generated.
+ *
+ * validateGstr1() checks the JSON against the GSTN schema rules (formats,
+ * allowed rates and codes, tax heads per supply type) before it is exported.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { query, run, get } = require('./db');
+
+const SCHEMA_VERSION = 'GST3.2.2';
+const GST_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28, 40];
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const DOCUMENT_NUMBER_PATTERN = /^[a-zA-Z0-9/-]{1,16}$/;
+const DATE_PATTERN = /^(0[1-9]|[12][0-9]|3[01])-(0[1-9]|1[0-2])-\d{4}$/;
+const HSN_PATTERN = /^\d{4,8}$/;
+// Foreign (96) and other territory (97) are valid places of supply alongside the 38 state codes
+const FOREIGN_POS = '96';
+const UQC_CODES = ['BAG', 'BAL', 'BDL', 'BKL', 'BOU', 'BOX', 'BTL', 'BUN', 'CAN', 'CBM', 'CCM', 'CMS', 'CTN', 'DOZ', 'DRM', 'GGK',
+  'GMS', 'GRS', 'GYD', 'KGS', 'KLR', 'KME', 'LTR', 'MLT', 'MTR', 'MTS', 'NOS', 'OTH', 'PAC', 'PCS', 'PRS', 'QTL', 'ROL', 'SET',
+  'SQF', 'SQM', 'SQY', 'TBS', 'TGM', 'THD', 'TON', 'TUB', 'UGS', 'UNT', 'YDS', 'NA'];
+const INVOICE_TYPES = ['R', 'SEWP', 'SEWOP', 'DE', 'CBW'];
+const NIL_SUPPLY_TYPES = ['INTRB2B', 'INTRAB2B', 'INTRB2C', 'INTRAB2C'];
+const GST_TREATMENTS = ['taxable', 'nil_rated', 'exempt', 'non_gst'];
+const DOC_ISSUE_TYPES = { invoice: { doc_num: 1, doc_typ: 'Invoices for outward supply' }, credit_note: { doc_num: 5, doc_typ: 'Credit Note' } };
+const AMENDMENT_SECTIONS = { b2b: 'b2ba', b2cl: 'b2cla', exp: 'expa', cdnr: 'cdnra', cdnur: 'cdnura' };
+
+function r2(n) {
+  return Math.round((n || 0) * 100) / 100;
+}
+
+function ddmmyyyy(date) {
+  if (!date) return '';
+  const [y, m, d] = String(date).substring(0, 10).split('-');
+  return `${d}-${m}-${y}`;
+}
+
+function periodRange(returnPeriod) {
+  const [month, year] = returnPeriod.split('-').map(Number);
+  const mm = String(month).padStart(2, '0');
+  return { from: `${year}-${mm}-01`, to: `${year}-${mm}-${String(new Date(year, month, 0).getDate()).padStart(2, '0')}` };
+}
+
+// 'MM-YYYY' -> 'YYYYMM' for ordering periods
+function periodKey(returnPeriod) {
+  const [month, year] = returnPeriod.split('-');
+  return `${year}${month}`;
+}
+
+// B2CL covers inter-state B2C invoices above Rs 1 lakh (Rs 2.5 lakh before August 2024)
+function b2clThreshold(date) {
+  return date < '2024-08-01' ? 250000 : 100000;
+}
+
+// '27', 27, '27-Maharashtra' -> '27'
+function stateCode(value) {
+  const m = String(value === undefined || value === null ? '' : value).trim().match(/^(\d{1,2})(?:\D|$)/);
+  return m ? m[1].padStart(2, '0') : null;
+}
+
+function isForeignCustomer(customer) {
+  const country = String(customer.country || 'IN').trim().toUpperCase();
+  return !!country && !['IN', 'IND', 'INDIA'].includes(country);
+}
+
+function supplierDetails() {
+  const settings = get("SELECT * FROM acc_company_settings WHERE id = 'default'") || get('SELECT * FROM acc_company_settings LIMIT 1') || {};
+  const gstin = (settings.gstin || '').toUpperCase();
+  return { gstin, state_code: stateCode(settings.state_code) || (gstin ? gstin.substring(0, 2) : null) };
+}
+
+function snapRate(rate) {
+  return GST_RATES.reduce((best, r) => (Math.abs(r - rate) < Math.abs(best - rate) ? r : best), GST_RATES[0]);
+}
+
+// Rate from the line's GST tax code, otherwise implied by its tax amounts
+function lineRate(line) {
+  if (line.tc_rate !== null && line.tc_rate !== undefined && ['gst', 'igst'].includes(line.tc_tax_type)) return line.tc_rate;
+  const tax = (line.cgst_amount || 0) + (line.sgst_amount || 0) + (line.igst_amount || 0);
+  return line.taxable ? snapRate(tax / line.taxable * 100) : 0;
+}
+
+function lineTreatment(line, rate) {
+  if (GST_TREATMENTS.includes(line.gst_treatment)) return line.gst_treatment;
+  return rate === 0 ? 'nil_rated' : 'taxable';
+}
+
+// Rate-wise items of a document's taxable lines
+function rateItems(lines) {
+  const byRate = new Map();
+  lines.filter(l => l.treatment === 'taxable').forEach(l => {
+    const item = byRate.get(l.rate) || { rt: l.rate, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+    item.txval += l.taxable; item.iamt += l.igst; item.camt += l.cgst; item.samt += l.sgst; item.csamt += l.cess;
+    byRate.set(l.rate, item);
+  });
+  return [...byRate.values()].map(i => ({ rt: i.rt, txval: r2(i.txval), iamt: r2(i.iamt), camt: r2(i.camt), samt: r2(i.samt), csamt: r2(i.csamt) }));
+}
+
+// Registered-recipient items carry all tax heads; B2CL / export items only IGST and cess
+function itemList(items, igstOnly) {
+  return items.map((i, idx) => {
+    const det = igstOnly ? { txval: i.txval, rt: i.rt, iamt: i.iamt, csamt: i.csamt } : { txval: i.txval, rt: i.rt, iamt: i.iamt, camt: i.camt, samt: i.samt, csamt: i.csamt };
+    return { num: idx + 1, itm_det: det };
+  });
+}
+
+const LINE_TAX_SELECT = `tc.rate as tc_rate, tc.tax_type as tc_tax_type, tc.gst_treatment`;
+
+function loadInvoiceLines(invoice) {
+  const fx = invoice.exchange_rate || 1;
+  return query(`SELECT l.*, ${LINE_TAX_SELECT} FROM acc_invoice_lines l LEFT JOIN acc_tax_codes tc ON l.tax_code_id = tc.id
+    WHERE l.invoice_id = ? ORDER BY l.line_number`, [invoice.id]).map(l => {
+    const line = {
+      hsn: l.hsn_sac_code || '', description: l.description || '', uqc: l.uqc || null, qty: l.quantity || 0,
+      taxable: r2((l.net_amount || l.amount || 0) * fx), cgst: r2((l.cgst_amount || 0) * fx), sgst: r2((l.sgst_amount || 0) * fx),
+      igst: r2((l.igst_amount || 0) * fx), cess: r2((l.cess_amount || 0) * fx)
+    };
+    line.rate = lineRate({ ...l, taxable: line.taxable, cgst_amount: line.cgst, sgst_amount: line.sgst, igst_amount: line.igst });
+    line.treatment = lineTreatment(l, line.rate);
+    return line;
+  });
+}
+
+function loadCreditNoteLines(note) {
+  return query(`SELECT l.*, ${LINE_TAX_SELECT} FROM acc_credit_note_lines l LEFT JOIN acc_tax_codes tc ON l.tax_code_id = tc.id
+    WHERE l.credit_note_id = ? ORDER BY l.line_number`, [note.id]).map(l => {
+    const line = {
+      hsn: l.hsn_code || '', description: l.description || '', uqc: l.uqc || null, qty: l.quantity || 0,
+      taxable: r2(l.amount || 0), cgst: r2(l.cgst_amount || 0), sgst: r2(l.sgst_amount || 0), igst: r2(l.igst_amount || 0), cess: 0
+    };
+    line.rate = lineRate({ ...l, taxable: line.taxable });
+    line.treatment = lineTreatment(l, line.rate);
+    return line;
+  });
+}
+
+/**
+ * Work out where an invoice is reported and its GSTR-1 entry.
+ * Returns { section, group, entry, pos, interstate, registered, lines }.
+ */
+function describeInvoice(invoice, supplier) {
+  const fx = invoice.exchange_rate || 1;
+  const lines = loadInvoiceLines(invoice);
+  const registered = !!(invoice.customer_gstin && invoice.customer_gstin.trim());
+  const exported = isForeignCustomer({ country: invoice.customer_country });
+  const pos = exported ? FOREIGN_POS
+    : stateCode(invoice.place_of_supply) || stateCode(invoice.customer_state_code) || (registered ? invoice.customer_gstin.substring(0, 2) : null) || supplier.state_code;
+  const interstate = exported || !!invoice.is_interstate || (!!pos && !!supplier.state_code && pos !== supplier.state_code);
+  const val = r2((invoice.total_amount || 0) * fx);
+  // Exports are zero-rated supplies, reported in full in the export table rather than as nil-rated
+  if (exported) lines.forEach(l => { l.treatment = 'taxable'; });
+  const items = rateItems(lines);
+  const base = { inum: invoice.invoice_number, idt: ddmmyyyy(invoice.invoice_date), val };
+
+  let section, group, entry;
+  if (exported) {
+    section = 'exp';
+    group = items.some(i => i.iamt > 0) ? 'WPAY' : 'WOPAY';
+    entry = { ...base, ...(invoice.port_code ? { sbpcode: invoice.port_code } : {}),
+      ...(invoice.shipping_bill_number ? { sbnum: invoice.shipping_bill_number, sbdt: ddmmyyyy(invoice.shipping_bill_date) } : {}),
+      itms: items.map(i => ({ txval: i.txval, rt: i.rt, iamt: i.iamt, csamt: i.csamt })) };
+  } else if (registered) {
+    section = 'b2b';
+    group = invoice.customer_gstin.trim().toUpperCase();
+    entry = { ...base, pos, rchrg: 'N', inv_typ: 'R', itms: itemList(items, false) };
+  } else if (interstate && val > b2clThreshold(invoice.invoice_date)) {
+    section = 'b2cl';
+    group = pos;
+    entry = { ...base, itms: itemList(items, true) };
+  } else {
+    section = 'b2cs';
+    group = pos;
+    entry = null;
+  }
+  return { section, group, entry, pos, interstate, registered, exported, items, lines };
+}
+
+function describeCreditNote(note, supplier) {
+  const lines = loadCreditNoteLines(note);
+  const registered = !!(note.customer_gstin && note.customer_gstin.trim());
+  const exported = isForeignCustomer({ country: note.customer_country });
+  const pos = exported ? FOREIGN_POS
+    : stateCode(note.original_place_of_supply) || stateCode(note.customer_state_code) || (registered ? note.customer_gstin.substring(0, 2) : null) || supplier.state_code;
+  const interstate = exported || (note.igst_amount || 0) > 0 || (!!pos && !!supplier.state_code && pos !== supplier.state_code);
+  const items = rateItems(lines);
+  const base = { ntty: 'C', nt_num: note.credit_note_number, nt_dt: ddmmyyyy(note.credit_note_date), val: r2(note.total_amount) };
+
+  let section, group = null, entry = null;
+  if (registered) {
+    section = 'cdnr';
+    group = note.customer_gstin.trim().toUpperCase();
+    entry = { ...base, pos, rchrg: 'N', inv_typ: 'R', itms: itemList(items, false) };
+  } else if (exported) {
+    section = 'cdnur';
+    entry = { typ: items.some(i => i.iamt > 0) ? 'EXPWP' : 'EXPWOP', ...base, itms: itemList(items, true) };
+  } else if (interstate && (note.original_invoice_value || 0) > b2clThreshold(note.original_invoice_date || note.credit_note_date)) {
+    section = 'cdnur';
+    entry = { typ: 'B2CL', ...base, pos, itms: itemList(items, true) };
+  } else {
+    // Credit notes to small consumers are netted off B2CS
+    section = 'b2cs';
+    group = pos;
+  }
+  return { section, group, entry, pos, interstate, registered, exported, items, lines };
+}
+
+const INVOICE_SELECT = `SELECT i.*, c.gstin as customer_gstin, c.state_code as customer_state_code, c.country as customer_country
+  FROM acc_invoices i JOIN acc_customers c ON i.customer_id = c.id`;
+const CREDIT_NOTE_SELECT = `SELECT cn.*, c.gstin as customer_gstin, c.state_code as customer_state_code, c.country as customer_country,
+    oi.place_of_supply as original_place_of_supply, oi.invoice_date as original_invoice_date, oi.total_amount * COALESCE(oi.exchange_rate, 1) as original_invoice_value
+  FROM acc_credit_notes cn JOIN acc_customers c ON cn.customer_id = c.id LEFT JOIN acc_invoices oi ON cn.original_invoice_id = oi.id`;
+
+function addB2cs(map, supplyType, pos, item, sign) {
+  const key = `${supplyType}|${pos}|${item.rt}`;
+  const row = map.get(key) || { sply_ty: supplyType, pos, typ: 'OE', rt: item.rt, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+  row.txval += sign * item.txval; row.iamt += sign * item.iamt; row.camt += sign * item.camt; row.samt += sign * item.samt; row.csamt += sign * item.csamt;
+  map.set(key, row);
+}
+
+function addNil(map, interstate, registered, line) {
+  const key = `${interstate ? 'INTR' : 'INTRA'}${registered ? 'B2B' : 'B2C'}`;
+  const row = map.get(key) || { sply_ty: key, nil_amt: 0, expt_amt: 0, ngsup_amt: 0 };
+  const field = { nil_rated: 'nil_amt', exempt: 'expt_amt', non_gst: 'ngsup_amt' }[line.treatment];
+  row[field] += line.taxable;
+  map.set(key, row);
+}
+
+function addHsn(map, line, sign) {
+  const hsn = String(line.hsn || '').trim();
+  const uqc = line.uqc || (hsn.startsWith('99') ? 'NA' : 'NOS');
+  const key = `${hsn}|${uqc}|${line.rate}`;
+  const row = map.get(key) || { hsn_sc: hsn, desc: (line.description || '').substring(0, 30), uqc, qty: 0, rt: line.rate, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+  row.qty += uqc === 'NA' ? 0 : sign * (line.qty || 0);
+  row.txval += sign * line.taxable; row.iamt += sign * line.igst; row.camt += sign * line.cgst; row.samt += sign * line.sgst; row.csamt += sign * line.cess;
+  map.set(key, row);
+}
+
+function roundRows(rows, fields) {
+  return rows.map(r => {
+    const out = { ...r };
+    fields.forEach(f => { out[f] = r2(out[f]); });
+    return out;
+  });
+}
+
+// Group entries under a key field: [{ ctin, inv: [...] }]
+function grouped(docs, keyField, listField) {
+  const groups = new Map();
+  docs.forEach(d => {
+    if (!groups.has(d.group)) groups.set(d.group, { [keyField]: d.group, [listField]: [] });
+    groups.get(d.group)[listField].push(d.entry);
+  });
+  return [...groups.values()];
+}
+
+function docIssueSeries(rows, numberField, cancelled) {
+  const series = new Map();
+  rows.forEach(r => {
+    const number = String(r[numberField]);
+    const prefix = number.replace(/\d+$/, '');
+    const s = series.get(prefix) || [];
+    s.push({ number, seq: parseInt((number.match(/(\d+)$/) || [0, 0])[1], 10), cancelled: cancelled(r) });
+    series.set(prefix, s);
+  });
+  return [...series.values()].map((docs, idx) => {
+    docs.sort((a, b) => a.seq - b.seq || a.number.localeCompare(b.number));
+    const cancel = docs.filter(d => d.cancelled).length;
+    return { num: idx + 1, from: docs[0].number, to: docs[docs.length - 1].number, totnum: docs.length, cancel, net_issue: docs.length - cancel };
+  });
+}
+
+function advanceTable(rows) {
+  const byPos = new Map();
+  rows.forEach(a => {
+    const pos = stateCode(a.place_of_supply);
+    const supplyType = a.is_interstate ? 'INTER' : 'INTRA';
+    const key = `${pos}|${supplyType}`;
+    const group = byPos.get(key) || { pos, sply_ty: supplyType, items: new Map() };
+    const item = group.items.get(a.gst_rate) || { rt: a.gst_rate, ad_amt: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+    item.ad_amt += a.amount; item.iamt += a.igst_amount || 0; item.camt += a.cgst_amount || 0; item.samt += a.sgst_amount || 0; item.csamt += a.cess_amount || 0;
+    group.items.set(a.gst_rate, item);
+    byPos.set(key, group);
+  });
+  return [...byPos.values()].map(g => ({
+    pos: g.pos, sply_ty: g.sply_ty,
+    itms: roundRows([...g.items.values()], ['ad_amt', 'iamt', 'camt', 'samt', 'csamt']).map(i => (g.sply_ty === 'INTER' ? { rt: i.rt, ad_amt: i.ad_amt, iamt: i.iamt, csamt: i.csamt } : { rt: i.rt, ad_amt: i.ad_amt, camt: i.camt, samt: i.samt, csamt: i.csamt }))
+  }));
+}
+
+/**
+ * Documents from earlier filed returns whose current GSTR-1 entry no longer
+ * matches what was filed. Returns { amendments: [...], issues: [...] }.
+ */
+function pendingAmendments(returnPeriod, supplier) {
+  const current = periodKey(returnPeriod);
+  const latest = new Map();
+  query('SELECT * FROM acc_gstr1_filed_documents').forEach(s => {
+    const key = `${s.document_type}:${s.document_id}`;
+    if (periodKey(s.return_period) >= current) return;
+    if (!latest.has(key) || periodKey(latest.get(key).return_period) < periodKey(s.return_period)) latest.set(key, s);
+  });
+
+  const amendments = [], issues = [];
+  latest.forEach(snapshot => {
+    const filed = JSON.parse(snapshot.payload);
+    const isInvoice = snapshot.document_type === 'invoice';
+    const row = isInvoice ? get(`${INVOICE_SELECT} WHERE i.id = ?`, [snapshot.document_id]) : get(`${CREDIT_NOTE_SELECT} WHERE cn.id = ?`, [snapshot.document_id]);
+    const number = filed.entry.inum || filed.entry.nt_num;
+    if (!row || row.status === 'void') {
+      issues.push({ document: number, message: `Filed in ${snapshot.return_period} but since voided or deleted; report it through a credit note or a nil-value amendment` });
+      return;
+    }
+    const now = isInvoice ? describeInvoice(row, supplier) : describeCreditNote(row, supplier);
+    if (JSON.stringify({ section: now.section, group: now.group, entry: now.entry }) === snapshot.payload) return;
+    if (!AMENDMENT_SECTIONS[now.section]) {
+      issues.push({ document: number, message: `Filed in ${snapshot.return_period} as ${filed.section.toUpperCase()} but now falls in B2CS; amend it manually in B2CSA` });
+      return;
+    }
+    const original = isInvoice ? { oinum: filed.entry.inum, oidt: filed.entry.idt } : { ont_num: filed.entry.nt_num, ont_dt: filed.entry.nt_dt };
+    amendments.push({
+      document_type: snapshot.document_type, document_id: snapshot.document_id, section: now.section, group: now.group,
+      entry: now.entry, amendment: { section: AMENDMENT_SECTIONS[now.section], entry: { ...original, ...now.entry } }
+    });
+  });
+  return { amendments, issues };
+}
+
+/**
+ * Build the GSTR-1 for 'MM-YYYY'. Returns { json, documents, issues, summary }.
+ * `documents` lists every invoice / credit note reported individually, for recordFiling().
+ */
+function buildGstr1(returnPeriod) {
+  const { from, to } = periodRange(returnPeriod);
+  const supplier = supplierDetails();
+  const issues = [];
+  if (!supplier.gstin) issues.push({ document: null, message: 'Company GSTIN is not set in company settings' });
+
+  const documents = [];
+  const b2cs = new Map(), nil = new Map(), hsnB2b = new Map(), hsnB2c = new Map();
+
+  const invoices = query(`${INVOICE_SELECT} WHERE i.invoice_date BETWEEN ? AND ? AND i.status NOT IN ('draft','void') ORDER BY i.invoice_date, i.invoice_number`, [from, to]);
+  invoices.forEach(inv => {
+    const d = describeInvoice(inv, supplier);
+    if (d.entry) documents.push({ document_type: 'invoice', document_id: inv.id, section: d.section, group: d.group, entry: d.entry });
+    else d.items.forEach(i => addB2cs(b2cs, d.interstate ? 'INTER' : 'INTRA', d.pos, i, 1));
+    d.lines.forEach(l => {
+      if (l.treatment !== 'taxable') addNil(nil, d.interstate, d.registered, l);
+      addHsn(d.registered ? hsnB2b : hsnB2c, l, 1);
+    });
+  });
+
+  const notes = query(`${CREDIT_NOTE_SELECT} WHERE cn.credit_note_date BETWEEN ? AND ? AND cn.status IN ('posted','applied') ORDER BY cn.credit_note_date, cn.credit_note_number`, [from, to]);
+  notes.forEach(note => {
+    const d = describeCreditNote(note, supplier);
+    if (d.entry) documents.push({ document_type: 'credit_note', document_id: note.id, section: d.section, group: d.group, entry: d.entry });
+    else d.items.forEach(i => addB2cs(b2cs, d.interstate ? 'INTER' : 'INTRA', d.pos, i, -1));
+    d.lines.forEach(l => addHsn(d.registered ? hsnB2b : hsnB2c, l, -1));
+  });
+
+  // POS and hospitality sales posted through the integration bridge
+  query(`SELECT st.* FROM acc_sales_tax_lines st JOIN acc_journal_entries je ON st.journal_entry_id = je.id
+    WHERE je.status = 'posted' AND st.transaction_date BETWEEN ? AND ?`, [from, to]).forEach(st => {
+    const pos = stateCode(st.place_of_supply) || supplier.state_code;
+    const rate = st.gst_rate !== null && st.gst_rate !== undefined ? st.gst_rate : 0;
+    const line = { hsn: st.hsn_code, description: '', uqc: null, qty: 0, rate, taxable: st.taxable_amount || 0, cgst: st.cgst_amount || 0, sgst: st.sgst_amount || 0, igst: st.igst_amount || 0, cess: st.cess_amount || 0 };
+    const interstate = line.igst > 0 || (!!supplier.state_code && pos !== supplier.state_code);
+    addB2cs(b2cs, interstate ? 'INTER' : 'INTRA', pos, { rt: rate, txval: line.taxable, iamt: line.igst, camt: line.cgst, samt: line.sgst, csamt: line.cess }, 1);
+    addHsn(hsnB2c, line, 1);
+  });
+
+  const advances = query('SELECT * FROM acc_gst_advances WHERE entry_date BETWEEN ? AND ? ORDER BY entry_date', [from, to]);
+  const { amendments, issues: amendmentIssues } = pendingAmendments(returnPeriod, supplier);
+  issues.push(...amendmentIssues);
+
+  const section = (name) => documents.filter(d => d.section === name);
+  const amended = (name) => amendments.filter(a => a.amendment.section === name).map(a => ({ group: a.group, entry: a.amendment.entry }));
+  const json = { gstin: supplier.gstin, fp: periodKey(returnPeriod).replace(/^(\d{4})(\d{2})$/, '$2$1'), version: SCHEMA_VERSION, hash: 'hash' };
+  const put = (key, value) => { if (Array.isArray(value) ? value.length : value) json[key] = value; };
+
+  put('b2b', grouped(section('b2b'), 'ctin', 'inv'));
+  put('b2ba', grouped(amended('b2ba'), 'ctin', 'inv'));
+  put('b2cl', grouped(section('b2cl'), 'pos', 'inv'));
+  put('b2cla', grouped(amended('b2cla'), 'pos', 'inv'));
+  put('b2cs', roundRows([...b2cs.values()], ['txval', 'iamt', 'camt', 'samt', 'csamt'])
+    .filter(r => Math.abs(r.txval) >= 0.01)
+    .map(r => (r.sply_ty === 'INTER' ? { sply_ty: r.sply_ty, pos: r.pos, typ: r.typ, rt: r.rt, txval: r.txval, iamt: r.iamt, csamt: r.csamt }
+      : { sply_ty: r.sply_ty, pos: r.pos, typ: r.typ, rt: r.rt, txval: r.txval, camt: r.camt, samt: r.samt, csamt: r.csamt })));
+  put('exp', grouped(section('exp'), 'exp_typ', 'inv'));
+  put('expa', grouped(amended('expa'), 'exp_typ', 'inv'));
+  put('cdnr', grouped(section('cdnr'), 'ctin', 'nt'));
+  put('cdnra', grouped(amended('cdnra'), 'ctin', 'nt'));
+  put('cdnur', section('cdnur').map(d => d.entry));
+  put('cdnura', amended('cdnura').map(d => d.entry));
+  if (nil.size) json.nil = { inv: roundRows([...nil.values()], ['nil_amt', 'expt_amt', 'ngsup_amt']) };
+  put('at', advanceTable(advances.filter(a => a.entry_type === 'received')));
+  put('txpd', advanceTable(advances.filter(a => a.entry_type === 'adjusted')));
+
+  const hsnRows = (map) => roundRows([...map.values()], ['qty', 'txval', 'iamt', 'camt', 'samt', 'csamt']).map((r, idx) => ({ num: idx + 1, ...r }));
+  if (hsnB2b.size || hsnB2c.size) json.hsn = { hsn_b2b: hsnRows(hsnB2b), hsn_b2c: hsnRows(hsnB2c) };
+
+  const issuedInvoices = query('SELECT invoice_number, status FROM acc_invoices WHERE invoice_date BETWEEN ? AND ? AND status != \'draft\'', [from, to]);
+  const issuedNotes = query('SELECT credit_note_number, status FROM acc_credit_notes WHERE credit_note_date BETWEEN ? AND ? AND status != \'draft\'', [from, to]);
+  const docDet = [];
+  if (issuedInvoices.length) docDet.push({ ...DOC_ISSUE_TYPES.invoice, docs: docIssueSeries(issuedInvoices, 'invoice_number', r => r.status === 'void') });
+  if (issuedNotes.length) docDet.push({ ...DOC_ISSUE_TYPES.credit_note, docs: docIssueSeries(issuedNotes, 'credit_note_number', r => r.status === 'void') });
+  if (docDet.length) json.doc_issue = { doc_det: docDet };
+
+  const summary = {
+    return_period: returnPeriod,
+    b2b_invoices: section('b2b').length, b2cl_invoices: section('b2cl').length, export_invoices: section('exp').length,
+    b2cs_rows: (json.b2cs || []).length, cdnr_notes: section('cdnr').length, cdnur_notes: section('cdnur').length,
+    amendments: amendments.length, advances: advances.length,
+    hsn_rows: json.hsn ? json.hsn.hsn_b2b.length + json.hsn.hsn_b2c.length : 0
+  };
+  return { json, documents, amendments, issues, summary };
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+function validStateCode(code) {
+  const n = parseInt(code, 10);
+  return /^\d{2}$/.test(String(code)) && ((n >= 1 && n <= 38) || code === FOREIGN_POS || code === '97');
+}
+
+function validDate(value) {
+  if (!DATE_PATTERN.test(value || '')) return false;
+  const [d, m, y] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCDate() === d && date.getUTCMonth() === m - 1;
+}
+
+function validAmount(value) {
+  return typeof value === 'number' && isFinite(value) && Math.abs(value * 100 - Math.round(value * 100)) < 1e-6;
+}
+
+/**
+ * Check a GSTR-1 JSON against the GSTN schema rules. Returns a list of
+ * { path, message }; an empty list means the file can be uploaded.
+ */
+function validateGstr1(json) {
+  const errors = [];
+  const err = (path, message) => errors.push({ path, message });
+  const supplierState = json.gstin ? json.gstin.substring(0, 2) : null;
+
+  if (!GSTIN_PATTERN.test(json.gstin || '')) err('gstin', 'Supplier GSTIN is missing or invalid');
+  if (!/^(0[1-9]|1[0-2])\d{4}$/.test(json.fp || '')) err('fp', 'Filing period must be MMYYYY');
+
+  const checkAmounts = (path, obj, fields) => fields.forEach(f => {
+    if (obj[f] !== undefined && !validAmount(obj[f])) err(`${path}.${f}`, 'Amount must be a number with at most 2 decimals');
+  });
+  const checkRate = (path, rt) => { if (!GST_RATES.includes(rt)) err(`${path}.rt`, `Rate ${rt} is not a valid GST rate`); };
+  const checkNumber = (path, value, label) => { if (!DOCUMENT_NUMBER_PATTERN.test(value || '')) err(path, `${label} "${value}" must be 1-16 characters of letters, digits, / or -`); };
+  const checkDate = (path, value, label) => { if (!validDate(value)) err(path, `${label} must be a valid DD-MM-YYYY date`); };
+
+  // itms with itm_det: intra-state supplies carry CGST = SGST, inter-state supplies IGST only
+  const checkItems = (path, itms, interstate, igstOnly) => {
+    if (!Array.isArray(itms) || !itms.length) return err(`${path}.itms`, 'At least one item required');
+    itms.forEach((it, i) => {
+      const det = it.itm_det || it;
+      const p = `${path}.itms[${i}]`;
+      checkRate(p, det.rt);
+      checkAmounts(p, det, ['txval', 'iamt', 'camt', 'samt', 'csamt']);
+      if (interstate || igstOnly) {
+        if ((det.camt || 0) !== 0 || (det.samt || 0) !== 0) err(p, 'Inter-state supply cannot carry CGST/SGST');
+      } else {
+        if ((det.iamt || 0) !== 0) err(p, 'Intra-state supply cannot carry IGST');
+        if (r2(det.camt || 0) !== r2(det.samt || 0)) err(p, 'CGST and SGST must be equal');
+      }
+    });
+  };
+
+  const registeredSection = (key, listKey, numberField, dateField, isNote) => (json[key] || []).forEach((g, gi) => {
+    const gp = `${key}[${gi}]`;
+    if (!GSTIN_PATTERN.test(g.ctin || '')) err(`${gp}.ctin`, `Recipient GSTIN "${g.ctin}" is invalid`);
+    else if (g.ctin === json.gstin) err(`${gp}.ctin`, 'Recipient GSTIN cannot be the supplier GSTIN');
+    (g[listKey] || []).forEach((d, i) => {
+      const p = `${gp}.${listKey}[${i}]`;
+      checkNumber(`${p}.${numberField}`, d[numberField], isNote ? 'Note number' : 'Invoice number');
+      checkDate(`${p}.${dateField}`, d[dateField], isNote ? 'Note date' : 'Invoice date');
+      if (d.oinum !== undefined) { checkNumber(`${p}.oinum`, d.oinum, 'Original invoice number'); checkDate(`${p}.oidt`, d.oidt, 'Original invoice date'); }
+      if (d.ont_num !== undefined) { checkNumber(`${p}.ont_num`, d.ont_num, 'Original note number'); checkDate(`${p}.ont_dt`, d.ont_dt, 'Original note date'); }
+      if (isNote && !['C', 'D'].includes(d.ntty)) err(`${p}.ntty`, 'Note type must be C or D');
+      if (!validStateCode(d.pos)) err(`${p}.pos`, `Place of supply "${d.pos}" is invalid`);
+      if (!['Y', 'N'].includes(d.rchrg)) err(`${p}.rchrg`, 'Reverse charge must be Y or N');
+      if (!INVOICE_TYPES.includes(d.inv_typ)) err(`${p}.inv_typ`, `Invoice type must be one of ${INVOICE_TYPES.join(', ')}`);
+      checkAmounts(p, d, ['val']);
+      checkItems(p, d.itms, d.pos !== supplierState, false);
+    });
+  });
+  registeredSection('b2b', 'inv', 'inum', 'idt', false);
+  registeredSection('b2ba', 'inv', 'inum', 'idt', false);
+  registeredSection('cdnr', 'nt', 'nt_num', 'nt_dt', true);
+  registeredSection('cdnra', 'nt', 'nt_num', 'nt_dt', true);
+
+  ['b2cl', 'b2cla'].forEach(key => (json[key] || []).forEach((g, gi) => {
+    const gp = `${key}[${gi}]`;
+    if (!validStateCode(g.pos) || g.pos === supplierState) err(`${gp}.pos`, 'B2CL place of supply must be another state');
+    (g.inv || []).forEach((d, i) => {
+      const p = `${gp}.inv[${i}]`;
+      checkNumber(`${p}.inum`, d.inum, 'Invoice number');
+      checkDate(`${p}.idt`, d.idt, 'Invoice date');
+      if (d.oinum !== undefined) { checkNumber(`${p}.oinum`, d.oinum, 'Original invoice number'); checkDate(`${p}.oidt`, d.oidt, 'Original invoice date'); }
+      checkAmounts(p, d, ['val']);
+      if (validDate(d.idt)) {
+        const [dd, mm, yyyy] = d.idt.split('-');
+        if (d.val <= b2clThreshold(`${yyyy}-${mm}-${dd}`)) err(`${p}.val`, 'B2CL invoice value must exceed the B2CL limit');
+      }
+      checkItems(p, d.itms, true, true);
+    });
+  }));
+
+  (json.b2cs || []).forEach((r, i) => {
+    const p = `b2cs[${i}]`;
+    if (!['INTER', 'INTRA'].includes(r.sply_ty)) err(`${p}.sply_ty`, 'Supply type must be INTER or INTRA');
+    if (!validStateCode(r.pos)) err(`${p}.pos`, `Place of supply "${r.pos}" is invalid`);
+    if (r.sply_ty === 'INTRA' && r.pos !== supplierState) err(`${p}.pos`, 'Intra-state B2CS must be in the supplier state');
+    if (r.typ !== 'OE' && r.typ !== 'E') err(`${p}.typ`, 'Type must be OE or E');
+    checkRate(p, r.rt);
+    checkAmounts(p, r, ['txval', 'iamt', 'camt', 'samt', 'csamt']);
+  });
+
+  ['exp', 'expa'].forEach(key => (json[key] || []).forEach((g, gi) => {
+    const gp = `${key}[${gi}]`;
+    if (!['WPAY', 'WOPAY'].includes(g.exp_typ)) err(`${gp}.exp_typ`, 'Export type must be WPAY or WOPAY');
+    (g.inv || []).forEach((d, i) => {
+      const p = `${gp}.inv[${i}]`;
+      checkNumber(`${p}.inum`, d.inum, 'Invoice number');
+      checkDate(`${p}.idt`, d.idt, 'Invoice date');
+      if (d.oinum !== undefined) { checkNumber(`${p}.oinum`, d.oinum, 'Original invoice number'); checkDate(`${p}.oidt`, d.oidt, 'Original invoice date'); }
+      if (d.sbpcode !== undefined && !/^[a-zA-Z0-9]{6}$/.test(d.sbpcode)) err(`${p}.sbpcode`, 'Port code must be 6 alphanumeric characters');
+      if (d.sbnum !== undefined && !/^\d{3,7}$/.test(d.sbnum)) err(`${p}.sbnum`, 'Shipping bill number must be 3-7 digits');
+      if (d.sbdt !== undefined) checkDate(`${p}.sbdt`, d.sbdt, 'Shipping bill date');
+      checkAmounts(p, d, ['val']);
+      (d.itms || []).forEach((it, ii) => {
+        checkRate(`${p}.itms[${ii}]`, it.rt);
+        checkAmounts(`${p}.itms[${ii}]`, it, ['txval', 'iamt', 'csamt']);
+        if (g.exp_typ === 'WOPAY' && (it.iamt || 0) !== 0) err(`${p}.itms[${ii}]`, 'Exports without payment cannot carry IGST');
+      });
+    });
+  }));
+
+  ['cdnur', 'cdnura'].forEach(key => (json[key] || []).forEach((d, i) => {
+    const p = `${key}[${i}]`;
+    if (!['B2CL', 'EXPWP', 'EXPWOP'].includes(d.typ)) err(`${p}.typ`, 'Type must be B2CL, EXPWP or EXPWOP');
+    if (!['C', 'D'].includes(d.ntty)) err(`${p}.ntty`, 'Note type must be C or D');
+    checkNumber(`${p}.nt_num`, d.nt_num, 'Note number');
+    checkDate(`${p}.nt_dt`, d.nt_dt, 'Note date');
+    if (d.ont_num !== undefined) { checkNumber(`${p}.ont_num`, d.ont_num, 'Original note number'); checkDate(`${p}.ont_dt`, d.ont_dt, 'Original note date'); }
+    if (d.typ === 'B2CL' && (!validStateCode(d.pos) || d.pos === supplierState)) err(`${p}.pos`, 'B2CL place of supply must be another state');
+    checkAmounts(p, d, ['val']);
+    checkItems(p, d.itms, true, true);
+  }));
+
+  if (json.nil) (json.nil.inv || []).forEach((r, i) => {
+    if (!NIL_SUPPLY_TYPES.includes(r.sply_ty)) err(`nil.inv[${i}].sply_ty`, `Supply type must be one of ${NIL_SUPPLY_TYPES.join(', ')}`);
+    checkAmounts(`nil.inv[${i}]`, r, ['nil_amt', 'expt_amt', 'ngsup_amt']);
+  });
+
+  ['at', 'txpd'].forEach(key => (json[key] || []).forEach((g, gi) => {
+    const p = `${key}[${gi}]`;
+    if (!validStateCode(g.pos)) err(`${p}.pos`, `Place of supply "${g.pos}" is invalid`);
+    if (!['INTER', 'INTRA'].includes(g.sply_ty)) err(`${p}.sply_ty`, 'Supply type must be INTER or INTRA');
+    (g.itms || []).forEach((it, i) => { checkRate(`${p}.itms[${i}]`, it.rt); checkAmounts(`${p}.itms[${i}]`, it, ['ad_amt', 'iamt', 'camt', 'samt', 'csamt']); });
+  }));
+
+  if (json.hsn) ['hsn_b2b', 'hsn_b2c'].forEach(key => (json.hsn[key] || []).forEach((r, i) => {
+    const p = `hsn.${key}[${i}]`;
+    if (!HSN_PATTERN.test(r.hsn_sc || '')) err(`${p}.hsn_sc`, `HSN/SAC "${r.hsn_sc}" must be 4 to 8 digits`);
+    if (!UQC_CODES.includes(r.uqc)) err(`${p}.uqc`, `UQC "${r.uqc}" is not a valid unit code`);
+    checkRate(p, r.rt);
+    checkAmounts(p, r, ['txval', 'iamt', 'camt', 'samt', 'csamt']);
+  }));
+
+  if (json.doc_issue) (json.doc_issue.doc_det || []).forEach((dd, i) => (dd.docs || []).forEach((d, j) => {
+    const p = `doc_issue.doc_det[${i}].docs[${j}]`;
+    if (d.cancel > d.totnum) err(p, 'Cancelled documents exceed total issued');
+    if (d.net_issue !== d.totnum - d.cancel) err(p, 'Net issued must equal total less cancelled');
+  }));
+
+  return errors;
+}
+
+/**
+ * Snapshot every document reported in the period's GSTR-1 once it is filed,
+ * replacing any earlier snapshot of the same period.
+ */
+function recordFiling(returnPeriod) {
+  const built = buildGstr1(returnPeriod);
+  run('DELETE FROM acc_gstr1_filed_documents WHERE return_period = ?', [returnPeriod]);
+  const save = (d, isAmendment) => run(`INSERT INTO acc_gstr1_filed_documents (id, return_period, document_type, document_id, section, payload, is_amendment) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [uuidv4(), returnPeriod, d.document_type, d.document_id, d.section, JSON.stringify({ section: d.section, group: d.group, entry: d.entry }), isAmendment ? 1 : 0]);
+  built.documents.forEach(d => save(d, false));
+  built.amendments.forEach(a => save(a, true));
+  return { documents: built.documents.length, amendments: built.amendments.length };
+}
+
+module.exports = { buildGstr1, validateGstr1, recordFiling, periodRange, GST_RATES, GST_TREATMENTS, UQC_CODES };
@@ -0,0 +1,326 @@
+/**
+ * GSTR-2B Purchase Reconciliation
+ * Imports the GSTR-2B statement (portal JSON, or the B2B sheet of the portal
+ * Excel saved as CSV) and matches each supplier invoice to an AP bill by
+ * supplier GSTIN and invoice number, then checks date and tax amounts within
+ * a tolerance. Every line ends up matched, mismatched or missing in books, and
+ * bills the statement does not report are missing in 2B.
+ *
+ * Once a period is reconciled, GSTR-3B claims ITC only on matched bills whose
+ * 2B line shows ITC as available; everything else is held back.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { query, run, get } = require('./db');
+const { parseCSVLine } = require('./bank-parser');
+
+const DEFAULT_AMOUNT_TOLERANCE = 1;
+const DEFAULT_DATE_TOLERANCE_DAYS = 0;
+const MATCH_STATUSES = ['matched', 'mismatched', 'missing_in_books', 'missing_in_2b'];
+const TAX_FIELDS = ['cgst_amount', 'sgst_amount', 'igst_amount', 'cess_amount'];
+
+function round2(n) {
+  return Math.round((n || 0) * 100) / 100;
+}
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID';
+  return err;
+}
+
+// 'MM-YYYY' -> first and last day of the month
+function periodRange(returnPeriod) {
+  const [month, year] = returnPeriod.split('-').map(Number);
+  const mm = String(month).padStart(2, '0');
+  return { from: `${year}-${mm}-01`, to: `${year}-${mm}-${String(new Date(year, month, 0).getDate()).padStart(2, '0')}` };
+}
+
+// Portal dates are DD-MM-YYYY; the Excel sheet may use DD/MM/YYYY
+function toIsoDate(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(str)) return str.substring(0, 10);
+  const m = str.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  return m ? `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}` : null;
+}
+
+// Suppliers and books rarely agree on separators, case or zero padding
+function normalizeInvoiceNumber(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/(^|[A-Z])0+(?=\d)/g, '$1');
+}
+
+function amount(value) {
+  if (typeof value === 'number') return value;
+  return parseFloat(String(value || '').replace(/[^0-9.-]/g, '')) || 0;
+}
+
+function daysApart(a, b) {
+  return Math.abs(new Date(`${a}T00:00:00Z`) - new Date(`${b}T00:00:00Z`)) / 86400000;
+}
+
+function parseJson(content) {
+  const doc = typeof content === 'string' ? JSON.parse(content) : content;
+  const data = doc.data || doc;
+  const b2b = (data.docdata && data.docdata.b2b) || data.b2b || [];
+  const documents = [];
+  b2b.forEach(supplier => {
+    (supplier.inv || []).forEach(inv => {
+      const items = inv.items && inv.items.length ? inv.items : [inv];
+      const sum = (k) => round2(items.reduce((s, i) => s + amount(i[k]), 0));
+      documents.push({
+        supplier_gstin: String(supplier.ctin || '').toUpperCase(),
+        supplier_name: supplier.trdnm || null,
+        invoice_number: String(inv.inum),
+        invoice_date: toIsoDate(inv.dt),
+        invoice_value: amount(inv.val),
+        taxable_value: sum('txval'),
+        cgst_amount: sum('cgst'),
+        sgst_amount: sum('sgst'),
+        igst_amount: sum('igst'),
+        cess_amount: sum('cess'),
+        place_of_supply: inv.pos || null,
+        reverse_charge: inv.rev === 'Y' ? 1 : 0,
+        itc_available: inv.itcavl === 'N' ? 0 : 1
+      });
+    });
+  });
+  const rtnprd = data.rtnprd ? `${String(data.rtnprd).substring(0, 2)}-${String(data.rtnprd).substring(2)}` : null;
+  return { gstin: data.gstin || null, return_period: rtnprd, documents };
+}
+
+const CSV_COLUMNS = {
+  supplier_gstin: ['gstin'],
+  supplier_name: ['trade', 'legal name', 'supplier name'],
+  invoice_number: ['invoice number', 'invoice no'],
+  invoice_date: ['invoice date'],
+  invoice_value: ['invoice value'],
+  place_of_supply: ['place of supply'],
+  reverse_charge: ['reverse charge'],
+  taxable_value: ['taxable'],
+  igst_amount: ['integrated', 'igst'],
+  cgst_amount: ['central', 'cgst'],
+  sgst_amount: ['state/ut', 'state tax', 'sgst'],
+  cess_amount: ['cess'],
+  itc_available: ['itc availab']
+};
+
+// The portal sheet has a two-row header whose first column spans both rows
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).filter(l => l.trim());
+  const headerIdx = lines.findIndex(l => /gstin/i.test(l));
+  if (headerIdx === -1) throw invalid('No "GSTIN of supplier" header found in GSTR-2B sheet');
+  const separator = lines[headerIdx].includes('\t') ? '\t' : ',';
+  let headers = parseCSVLine(lines[headerIdx], separator).map(h => h.trim());
+  let dataStart = headerIdx + 1;
+  const next = lines[dataStart] ? parseCSVLine(lines[dataStart], separator) : [];
+  if (next.length && !next[0].trim()) {
+    headers = headers.map((h, i) => (next[i] || '').trim() || h);
+    dataStart++;
+  }
+
+  const col = {};
+  Object.entries(CSV_COLUMNS).forEach(([field, candidates]) => {
+    const idx = headers.findIndex(h => candidates.some(c => h.toLowerCase().includes(c)));
+    if (idx !== -1) col[field] = idx;
+  });
+  ['supplier_gstin', 'invoice_number', 'taxable_value'].forEach(f => {
+    if (col[f] === undefined) throw invalid(`GSTR-2B sheet is missing the ${f.replace(/_/g, ' ')} column`);
+  });
+
+  // Rate-wise rows of the same invoice are summed
+  const byInvoice = new Map();
+  lines.slice(dataStart).forEach(line => {
+    const vals = parseCSVLine(line, separator).map(v => v.trim());
+    const cell = (f) => (col[f] === undefined ? '' : vals[col[f]] || '');
+    const gstin = cell('supplier_gstin').toUpperCase();
+    if (!/^[0-9]{2}[A-Z0-9]{13}$/.test(gstin) || !cell('invoice_number')) return;
+    const key = `${gstin}|${normalizeInvoiceNumber(cell('invoice_number'))}`;
+    let doc = byInvoice.get(key);
+    if (!doc) {
+      doc = {
+        supplier_gstin: gstin, supplier_name: cell('supplier_name') || null, invoice_number: cell('invoice_number'),
+        invoice_date: toIsoDate(cell('invoice_date')), invoice_value: amount(cell('invoice_value')),
+        taxable_value: 0, cgst_amount: 0, sgst_amount: 0, igst_amount: 0, cess_amount: 0,
+        place_of_supply: cell('place_of_supply') || null,
+        reverse_charge: /^y/i.test(cell('reverse_charge')) ? 1 : 0,
+        itc_available: /^n/i.test(cell('itc_available')) ? 0 : 1
+      };
+      byInvoice.set(key, doc);
+    }
+    ['taxable_value', ...TAX_FIELDS].forEach(f => { doc[f] = round2(doc[f] + amount(cell(f))); });
+  });
+  return { gstin: null, return_period: null, documents: [...byInvoice.values()] };
+}
+
+function parse(content, format) {
+  const detected = format || (String(content).trim().startsWith('{') ? 'json' : 'csv');
+  if (detected === 'json') {
+    try {
+      return { format: 'json', ...parseJson(content) };
+    } catch (err) {
+      if (err.code) throw err;
+      throw invalid(`Invalid GSTR-2B JSON: ${err.message}`);
+    }
+  }
+  return { format: 'csv', ...parseCsv(String(content)) };
+}
+
+/**
+ * Store a parsed GSTR-2B statement. Returns the import id; run reconcile() next.
+ */
+function importStatement({ return_period, content, format, file_name }) {
+  const parsed = parse(content, format);
+  const period = return_period || parsed.return_period;
+  if (!period || !/^\d{2}-\d{4}$/.test(period)) throw invalid('return_period (MM-YYYY) required');
+  if (!parsed.documents.length) throw invalid('No B2B invoices found in GSTR-2B');
+
+  const id = uuidv4();
+  run(`INSERT INTO acc_gstr2b_imports (id, return_period, gstin, source_format, file_name, total_documents) VALUES (?, ?, ?, ?, ?, ?)`,
+    [id, period, parsed.gstin, parsed.format, file_name || null, parsed.documents.length]);
+  parsed.documents.forEach(d => {
+    run(`INSERT INTO acc_gstr2b_lines (id, import_id, supplier_gstin, supplier_name, invoice_number, invoice_date, invoice_value, taxable_value, cgst_amount, sgst_amount, igst_amount, cess_amount, place_of_supply, reverse_charge, itc_available)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), id, d.supplier_gstin, d.supplier_name, d.invoice_number, d.invoice_date, d.invoice_value, d.taxable_value,
+        d.cgst_amount, d.sgst_amount, d.igst_amount, d.cess_amount, d.place_of_supply, d.reverse_charge, d.itc_available]);
+  });
+  return id;
+}
+
+function compareToBill(line, bill, amountTolerance, dateToleranceDays) {
+  const differences = [];
+  const books = { taxable_value: bill.taxable_amount || bill.subtotal || 0 };
+  TAX_FIELDS.forEach(f => { books[f] = bill[f] || 0; });
+  ['taxable_value', ...TAX_FIELDS].forEach(f => {
+    const diff = round2(line[f] - books[f]);
+    if (Math.abs(diff) > amountTolerance) differences.push({ field: f, books: books[f], gstr2b: line[f], difference: diff });
+  });
+  if (line.invoice_date && daysApart(line.invoice_date, bill.bill_date) > dateToleranceDays) {
+    differences.push({ field: 'invoice_date', books: bill.bill_date, gstr2b: line.invoice_date });
+  }
+  return differences;
+}
+
+function billTax(bill) {
+  return round2(TAX_FIELDS.reduce((s, f) => s + (bill[f] || 0), 0));
+}
+
+/**
+ * Match an import's lines to AP bills and record the outcome for its return
+ * period, replacing any earlier reconciliation of that period. Bills already
+ * matched in another period are left alone; bills dated in this period that
+ * no line matched are missing in 2B.
+ * opts: { amount_tolerance (per tax head, default 1), date_tolerance_days (default 0) }
+ */
+function reconcile(importId, opts = {}) {
+  const imp = get('SELECT * FROM acc_gstr2b_imports WHERE id = ?', [importId]);
+  if (!imp) {
+    const err = new Error('GSTR-2B import not found');
+    err.code = 'NOT_FOUND';
+    throw err;
+  }
+  const amountTolerance = opts.amount_tolerance !== undefined ? Math.abs(parseFloat(opts.amount_tolerance)) || 0 : DEFAULT_AMOUNT_TOLERANCE;
+  const dateTolerance = opts.date_tolerance_days !== undefined ? Math.abs(parseInt(opts.date_tolerance_days, 10)) || 0 : DEFAULT_DATE_TOLERANCE_DAYS;
+  const period = imp.return_period;
+  const { from, to } = periodRange(period);
+
+  run('DELETE FROM acc_gstr2b_results WHERE return_period = ?', [period]);
+  run('UPDATE acc_bills SET gstr2b_status = NULL, gstr2b_period = NULL WHERE gstr2b_period = ?', [period]);
+
+  const bills = query(`SELECT b.*, UPPER(COALESCE(v.gstin, '')) as supplier_gstin FROM acc_bills b JOIN acc_vendors v ON b.vendor_id = v.id
+    WHERE b.status NOT IN ('draft','void') AND b.bill_date <= ? AND (b.gstr2b_status IS NULL OR b.gstr2b_status != 'matched')
+      AND (COALESCE(v.gstin, '') != '' OR COALESCE(b.cgst_amount,0) + COALESCE(b.sgst_amount,0) + COALESCE(b.igst_amount,0) + COALESCE(b.cess_amount,0) > 0)
+    ORDER BY b.bill_date`, [to]);
+  const byGstin = {};
+  bills.forEach(b => { (byGstin[b.supplier_gstin] = byGstin[b.supplier_gstin] || []).push(b); });
+
+  const used = new Set();
+  const record = (status, line, bill, differences) => {
+    run(`INSERT INTO acc_gstr2b_results (id, import_id, return_period, line_id, bill_id, status, differences, itc_available) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), importId, period, line ? line.id : null, bill ? bill.id : null, status,
+        differences && differences.length ? JSON.stringify(differences) : null, line ? line.itc_available : 0]);
+    if (bill) run("UPDATE acc_bills SET gstr2b_status = ?, gstr2b_period = ?, updated_at = datetime('now') WHERE id = ?", [status, period, bill.id]);
+  };
+
+  const lines = query('SELECT * FROM acc_gstr2b_lines WHERE import_id = ? ORDER BY supplier_gstin, invoice_date', [importId]);
+  lines.forEach(line => {
+    const candidates = (byGstin[line.supplier_gstin] || []).filter(b => !used.has(b.id));
+    const number = normalizeInvoiceNumber(line.invoice_number);
+    let bill = candidates.find(b => normalizeInvoiceNumber(b.reference_number || b.bill_number) === number);
+    let differences = [];
+    if (bill) {
+      differences = compareToBill(line, bill, amountTolerance, dateTolerance);
+    } else {
+      // Same supplier, date and tax but a differently keyed invoice number
+      bill = candidates.find(b => line.invoice_date && daysApart(line.invoice_date, b.bill_date) <= dateTolerance
+        && Math.abs(billTax(b) - billTax(line)) <= amountTolerance);
+      if (bill) differences = [{ field: 'invoice_number', books: bill.reference_number || bill.bill_number, gstr2b: line.invoice_number }, ...compareToBill(line, bill, amountTolerance, dateTolerance)];
+    }
+    if (!bill) return record('missing_in_books', line, null);
+    used.add(bill.id);
+    record(differences.length ? 'mismatched' : 'matched', line, bill, differences);
+  });
+
+  bills.filter(b => !used.has(b.id) && b.bill_date >= from).forEach(b => record('missing_in_2b', null, b));
+
+  const summary = reconciliationSummary(period);
+  run("UPDATE acc_gstr2b_imports SET status = 'reconciled', summary = ?, reconciled_at = datetime('now') WHERE id = ?", [JSON.stringify(summary), importId]);
+  return summary;
+}
+
+// Reconciliation rows for a period with the 2B line and bill side by side
+function reconciliationDetail(returnPeriod, status) {
+  let sql = `SELECT r.*, l.supplier_gstin, l.supplier_name, l.invoice_number, l.invoice_date, l.taxable_value,
+      l.cgst_amount as gstr2b_cgst, l.sgst_amount as gstr2b_sgst, l.igst_amount as gstr2b_igst, l.cess_amount as gstr2b_cess,
+      b.bill_number, b.reference_number, b.bill_date, b.taxable_amount as books_taxable, b.cgst_amount as books_cgst,
+      b.sgst_amount as books_sgst, b.igst_amount as books_igst, b.cess_amount as books_cess, b.itc_eligible, v.name as vendor_name, v.gstin as vendor_gstin
+    FROM acc_gstr2b_results r LEFT JOIN acc_gstr2b_lines l ON r.line_id = l.id
+    LEFT JOIN acc_bills b ON r.bill_id = b.id LEFT JOIN acc_vendors v ON b.vendor_id = v.id
+    WHERE r.return_period = ?`;
+  const params = [returnPeriod];
+  if (status) { sql += ' AND r.status = ?'; params.push(status); }
+  sql += ' ORDER BY r.status, COALESCE(l.supplier_gstin, v.gstin), COALESCE(l.invoice_date, b.bill_date)';
+  return query(sql, params).map(r => ({ ...r, differences: r.differences ? JSON.parse(r.differences) : [] }));
+}
+
+function sumBills(returnPeriod, condition) {
+  const row = get(`SELECT COALESCE(SUM(COALESCE(b.taxable_amount, b.subtotal)), 0) as taxable_value,
+      COALESCE(SUM(b.cgst_amount), 0) as cgst, COALESCE(SUM(b.sgst_amount), 0) as sgst,
+      COALESCE(SUM(b.igst_amount), 0) as igst, COALESCE(SUM(b.cess_amount), 0) as cess, COUNT(*) as bill_count
+    FROM acc_gstr2b_results r JOIN acc_bills b ON r.bill_id = b.id
+    WHERE r.return_period = ? AND b.itc_eligible = 1 AND ${condition}`, [returnPeriod]) || {};
+  ['taxable_value', 'cgst', 'sgst', 'igst', 'cess'].forEach(k => { row[k] = round2(row[k]); });
+  return row;
+}
+
+/**
+ * ITC for GSTR-3B from a reconciled period: `eligible` is matched bills with
+ * ITC available in 2B, `held_back` is every other eligible bill in the
+ * reconciliation. Returns null when the period has not been reconciled.
+ */
+function reconciledItc(returnPeriod) {
+  if (!get('SELECT id FROM acc_gstr2b_results WHERE return_period = ? LIMIT 1', [returnPeriod])) return null;
+  return {
+    eligible: sumBills(returnPeriod, "r.status = 'matched' AND r.itc_available = 1"),
+    held_back: sumBills(returnPeriod, "(r.status != 'matched' OR r.itc_available = 0)")
+  };
+}
+
+function reconciliationSummary(returnPeriod) {
+  const counts = {};
+  MATCH_STATUSES.forEach(s => { counts[s] = 0; });
+  query('SELECT status, COUNT(*) as cnt FROM acc_gstr2b_results WHERE return_period = ? GROUP BY status', [returnPeriod])
+    .forEach(r => { counts[r.status] = r.cnt; });
+  const itc = reconciledItc(returnPeriod);
+  const total = (t) => (t ? round2(t.cgst + t.sgst + t.igst + t.cess) : 0);
+  return {
+    return_period: returnPeriod,
+    counts,
+    itc_claimable: itc ? total(itc.eligible) : 0,
+    itc_held_back: itc ? total(itc.held_back) : 0
+  };
+}
+
+module.exports = {
+  MATCH_STATUSES, parse, importStatement, reconcile, reconciliationDetail, reconciledItc, reconciliationSummary,
+  normalizeInvoiceNumber, periodRange
+};
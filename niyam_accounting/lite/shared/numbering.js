@@ -0,0 +1,173 @@
+/**
+ * Document Numbering Series
+ * Per-branch, fiscal-year aware document numbers (e.g. INV/2026-27/00001)
+ *
+ * Counters live in the shared database and are read and bumped in one
+ * transaction, under the write lock every service already takes before
+ * writing (see storage.js). Two services never get the same number, and there
+ * is no second lock that could be taken in the opposite order. When the
+ * caller has a transaction open the allocation joins it, so rolling the
+ * document back gives its number back too.
+ *
+ * Numbers are gap-free as long as a document that fails is rolled back, or
+ * released before a later number is issued. A released older number cannot
+ * be handed out again without breaking date order, so it stays behind as a
+ * void allocation with its reason: the gap is recorded, not filled.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { query, run, get, transaction, inTransaction } = require('./db');
+
+// Built-in series; table/column are checked so a new number never collides with an existing document
+const DEFAULT_SERIES = {
+  journal_entry: { prefix: 'JE', padding: 6, table: 'acc_journal_entries', column: 'entry_number' },
+  invoice: { prefix: 'INV', padding: 5, table: 'acc_invoices', column: 'invoice_number' },
+  credit_note: { prefix: 'CN', padding: 5, table: 'acc_credit_notes', column: 'credit_note_number' },
+  debit_note: { prefix: 'DN', padding: 5, table: 'acc_debit_notes', column: 'debit_note_number' },
+  customer_debit_note: { prefix: 'CDN', padding: 5, table: 'acc_customer_debit_notes', column: 'debit_note_number' },
+  bill: { prefix: 'BILL', padding: 5, table: 'acc_bills', column: 'bill_number' },
+  purchase_order: { prefix: 'PO', padding: 5, table: 'acc_purchase_orders', column: 'po_number' },
+  expense_claim: { prefix: 'EXP', padding: 5, table: 'acc_expense_claims', column: 'claim_number' },
+  voucher_sales: { prefix: 'SV', padding: 5, table: 'acc_vouchers', column: 'voucher_number' },
+  voucher_purchase: { prefix: 'PV', padding: 5, table: 'acc_vouchers', column: 'voucher_number' },
+  voucher_payment: { prefix: 'PMT', padding: 5, table: 'acc_vouchers', column: 'voucher_number' },
+  voucher_receipt: { prefix: 'RCT', padding: 5, table: 'acc_vouchers', column: 'voucher_number' },
+  voucher_contra: { prefix: 'CTR', padding: 5, table: 'acc_vouchers', column: 'voucher_number' },
+  voucher_journal: { prefix: 'JV', padding: 5, table: 'acc_vouchers', column: 'voucher_number' }
+};
+
+// Join the caller's transaction, or run in one of our own
+function atomically(fn) {
+  return inTransaction() ? fn() : transaction(fn);
+}
+
+// '2026-27' for any date from April 2026 to March 2027 (with the default April start)
+function fiscalYearLabel(date, startMonth = 4) {
+  const d = date ? new Date(date) : new Date();
+  const year = d.getFullYear();
+  const startYear = d.getMonth() + 1 >= startMonth ? year : year - 1;
+  if (startMonth === 1) return String(startYear);
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Find the series for a document type, preferring a branch-specific one.
+ * Creates the company-wide default series on first use.
+ */
+function resolveSeries(documentType, branchId) {
+  if (branchId) {
+    const branchSeries = get('SELECT * FROM acc_number_series WHERE document_type = ? AND branch_id = ? AND is_active = 1', [documentType, branchId]);
+    if (branchSeries) return branchSeries;
+  }
+  const series = get('SELECT * FROM acc_number_series WHERE document_type = ? AND branch_id IS NULL AND is_active = 1', [documentType]);
+  if (series) return series;
+
+  const defaults = DEFAULT_SERIES[documentType];
+  if (!defaults) throw new Error(`No numbering series configured for '${documentType}'`);
+  const id = uuidv4();
+  run(`INSERT INTO acc_number_series (id, document_type, name, prefix, padding) VALUES (?, ?, ?, ?, ?)`,
+    [id, documentType, documentType.replace(/_/g, ' '), defaults.prefix, defaults.padding]);
+  return get('SELECT * FROM acc_number_series WHERE id = ?', [id]);
+}
+
+function periodKeyFor(series, date) {
+  return series.reset_policy === 'fiscal_year' ? fiscalYearLabel(date, series.fy_start_month || 4) : 'all';
+}
+
+function formatNumber(series, periodKey, number) {
+  const parts = [series.prefix];
+  if (series.branch_id && series.include_branch_code) {
+    const branch = get('SELECT code FROM acc_branches WHERE id = ?', [series.branch_id]);
+    if (branch) parts.push(branch.code);
+  }
+  if (periodKey !== 'all') parts.push(periodKey);
+  parts.push(String(number).padStart(series.padding || 5, '0'));
+  return parts.filter(p => p !== null && p !== undefined && p !== '').join(series.separator ?? '/');
+}
+
+function numberTaken(documentType, formatted) {
+  const defaults = DEFAULT_SERIES[documentType];
+  if (!defaults) return false;
+  return !!get(`SELECT 1 as hit FROM ${defaults.table} WHERE ${defaults.column} = ?`, [formatted]);
+}
+
+/**
+ * Allocate the next number in a series.
+ * opts: { date, branch_id, document_id }
+ * Call releaseNumber() if the document is not saved after all (not needed
+ * when the caller's transaction is rolled back).
+ */
+function nextNumber(documentType, opts = {}) {
+  return atomically(() => {
+    const series = resolveSeries(documentType, opts.branch_id);
+    const periodKey = periodKeyFor(series, opts.date);
+    const counter = get('SELECT * FROM acc_number_counters WHERE series_id = ? AND period_key = ?', [series.id, periodKey]);
+    let number = Math.max(counter ? counter.last_number : 0, (series.start_number || 1) - 1) + 1;
+    let formatted = formatNumber(series, periodKey, number);
+    while (numberTaken(documentType, formatted)) {
+      number++;
+      formatted = formatNumber(series, periodKey, number);
+    }
+
+    if (counter) {
+      run("UPDATE acc_number_counters SET last_number = ?, updated_at = datetime('now') WHERE id = ?", [number, counter.id]);
+    } else {
+      run('INSERT INTO acc_number_counters (id, series_id, period_key, last_number) VALUES (?, ?, ?, ?)', [uuidv4(), series.id, periodKey, number]);
+    }
+    run(`INSERT INTO acc_number_allocations (id, series_id, document_type, period_key, sequence, formatted_number, document_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), series.id, documentType, periodKey, number, formatted, opts.document_id || null]);
+
+    return formatted;
+  });
+}
+
+/**
+ * Give back a number whose document was never saved. The newest number is
+ * returned to the pool. An older one is not reissued (later numbers are
+ * already out), so it is kept as a voided allocation: a gap in the series,
+ * explained in the audit trail.
+ * @returns {boolean} - Whether an issued number was found
+ */
+function releaseNumber(formatted, reason) {
+  return atomically(() => {
+    const alloc = get("SELECT * FROM acc_number_allocations WHERE formatted_number = ? AND status = 'issued'", [formatted]);
+    if (!alloc) return false;
+    const counter = get('SELECT * FROM acc_number_counters WHERE series_id = ? AND period_key = ?', [alloc.series_id, alloc.period_key]);
+    const isLatest = counter && counter.last_number === alloc.sequence;
+
+    if (isLatest) {
+      run("UPDATE acc_number_counters SET last_number = ?, updated_at = datetime('now') WHERE id = ?", [alloc.sequence - 1, counter.id]);
+      run('DELETE FROM acc_number_allocations WHERE id = ?', [alloc.id]);
+    } else {
+      run("UPDATE acc_number_allocations SET status = 'void', void_reason = ? WHERE id = ?", [reason || 'Document not saved', alloc.id]);
+    }
+    return true;
+  });
+}
+
+// Link an allocated number to the document that consumed it
+function attachDocument(formatted, documentId) {
+  run('UPDATE acc_number_allocations SET document_id = ? WHERE formatted_number = ? AND document_id IS NULL', [documentId, formatted]);
+}
+
+// What the next number would be, without consuming it
+function previewNumber(documentType, opts = {}) {
+  const series = resolveSeries(documentType, opts.branch_id);
+  const periodKey = periodKeyFor(series, opts.date);
+  const counter = get('SELECT last_number FROM acc_number_counters WHERE series_id = ? AND period_key = ?', [series.id, periodKey]);
+  const number = Math.max(counter ? counter.last_number : 0, (series.start_number || 1) - 1) + 1;
+  return { series_id: series.id, period_key: periodKey, next_number: formatNumber(series, periodKey, number) };
+}
+
+function listDocumentTypes() {
+  return Object.keys(DEFAULT_SERIES).map(type => ({ document_type: type, default_prefix: DEFAULT_SERIES[type].prefix }));
+}
+
+function getAllocations(seriesId, periodKey) {
+  let sql = 'SELECT * FROM acc_number_allocations WHERE series_id = ?';
+  const params = [seriesId];
+  if (periodKey) { sql += ' AND period_key = ?'; params.push(periodKey); }
+  return query(sql + ' ORDER BY period_key, sequence', params);
+}
+
+module.exports = { nextNumber, releaseNumber, attachDocument, previewNumber, fiscalYearLabel, listDocumentTypes, getAllocations, DEFAULT_SERIES };
@@ -0,0 +1,124 @@
+/**
+ * Fiscal Period Posting Guard
+ * Every path that writes ledger lines checks its posting date here first.
+ *
+ * A date inside a closed period is locked; a date inside a soft-locked period
+ * (or one held open for 'adjustment' entries) is soft-locked. Either can be
+ * overridden with a reason by a signed-in user whose role grants
+ * fiscal_periods 'update' (soft locks) or 'admin' (closed periods). Automated
+ * postings may instead be redirected to the first day of the next open period.
+ * Overrides and redirects are logged to acc_period_lock_events. Dates not
+ * covered by any period are always open.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { query, run } = require('./db');
+
+const PERMISSION_MODULE = 'fiscal_periods';
+const OVERRIDE_PERMISSION = { soft_locked: 'update', closed: 'admin' };
+const LOCK_LABELS = { soft_locked: 'soft-locked', closed: 'closed' };
+// Longest run of locked periods a redirect will walk past
+const MAX_REDIRECT_HOPS = 60;
+
+function nextDay(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().split('T')[0];
+}
+
+// Strictest lock over all periods (month, quarter, year) covering `date`
+function periodLock(date) {
+  const periods = query('SELECT * FROM acc_fiscal_periods WHERE start_date <= ? AND end_date >= ? ORDER BY start_date DESC', [date, date]);
+  const closed = periods.find(p => p.status === 'closed');
+  if (closed) return { period: closed, lock: 'closed' };
+  const soft = periods.find(p => p.soft_locked || p.status === 'adjustment');
+  if (soft) return { period: soft, lock: 'soft_locked' };
+  return { period: periods[0] || null, lock: null };
+}
+
+// First date on or after `date` that is not inside a locked period
+function nextOpenDate(date) {
+  let candidate = date;
+  for (let hop = 0; hop < MAX_REDIRECT_HOPS; hop++) {
+    const { period, lock } = periodLock(candidate);
+    if (!lock) return candidate;
+    candidate = nextDay(period.end_date);
+  }
+  return null;
+}
+
+function canOverride(user, lock) {
+  if (!user) return false;
+  const action = OVERRIDE_PERMISSION[lock];
+  return query('SELECT r.permissions FROM acc_roles r JOIN acc_user_roles ur ON r.id = ur.role_id WHERE ur.user_id = ?', [user.id]).some(r => {
+    let perms = {};
+    try { perms = JSON.parse(r.permissions || '{}'); } catch (e) { return false; }
+    return ['*', PERMISSION_MODULE].some(m => Array.isArray(perms[m]) && perms[m].includes(action));
+  });
+}
+
+function logEvent(action, period, lock, requestedDate, postedDate, opts) {
+  run(`INSERT INTO acc_period_lock_events (id, period_id, action, lock_status, source, reference_type, reference_id, requested_date, posted_date, reason, user_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [uuidv4(), period.id, action, lock, opts.source || 'unknown', opts.reference_type || null, opts.reference_id || null,
+      requestedDate, postedDate, opts.override_reason || null, opts.user ? opts.user.id : null]);
+}
+
+/**
+ * Decide whether a posting dated `date` may go ahead.
+ * opts: { source, reference_type, reference_id, user, override_reason, redirect }
+ * Returns { allowed: true, date, period, overridden, redirected_from } or
+ * { allowed: false, status, error, lock, period }.
+ */
+function checkPosting(date, opts = {}) {
+  const { period, lock } = periodLock(date);
+  const allowed = { allowed: true, date, period: period ? { id: period.id, name: period.name } : null, overridden: false, redirected_from: null };
+  if (!lock) return allowed;
+
+  const locked = { id: period.id, name: period.name, start_date: period.start_date, end_date: period.end_date };
+  if (opts.redirect) {
+    const target = nextOpenDate(date);
+    if (!target) return { allowed: false, status: 409, lock, period: locked, error: `No open period after ${period.name} to post ${date} into` };
+    logEvent('redirect', period, lock, date, target, opts);
+    const open = periodLock(target).period;
+    return { ...allowed, date: target, period: open ? { id: open.id, name: open.name } : null, redirected_from: date };
+  }
+
+  if (opts.override_reason) {
+    if (!opts.user) return { allowed: false, status: 401, lock, period: locked, error: `Sign in to override the ${LOCK_LABELS[lock]} period ${period.name}` };
+    if (!canOverride(opts.user, lock)) {
+      return { allowed: false, status: 403, lock, period: locked, error: `${opts.user.username} may not post into ${LOCK_LABELS[lock]} period ${period.name}` };
+    }
+    logEvent('override', period, lock, date, date, opts);
+    return { ...allowed, period: { id: period.id, name: period.name }, overridden: true };
+  }
+
+  return { allowed: false, status: 409, lock, period: locked, error: `Period ${period.name} is ${LOCK_LABELS[lock]}; cannot post on ${date}` };
+}
+
+// Posting options from an Express request (req.user comes from authMiddleware)
+function requestOptions(req, source, referenceType, referenceId) {
+  return {
+    source,
+    reference_type: referenceType,
+    reference_id: referenceId,
+    user: req.user || null,
+    override_reason: (req.body && req.body.override_reason) || null
+  };
+}
+
+// checkPosting for shared modules: throws PERIOD_LOCKED instead of returning a refusal
+function assertPostingAllowed(date, opts = {}) {
+  const result = checkPosting(date, opts);
+  if (result.allowed) return result;
+  const err = new Error(result.error);
+  err.code = 'PERIOD_LOCKED';
+  err.status = result.status;
+  err.period = result.period;
+  throw err;
+}
+
+function lockedResponse(res, result) {
+  return res.status(result.status).json({ success: false, error: result.error, code: 'PERIOD_LOCKED', period: result.period });
+}
+
+module.exports = { checkPosting, assertPostingAllowed, requestOptions, lockedResponse, periodLock, nextOpenDate };
@@ -0,0 +1,268 @@
+/**
+ * Statutory Payroll Returns
+ * Builds EPFO ECR, ESIC monthly contribution, Form 24Q and Form 16 Part B
+ * data from payslips. Every builder returns { records, issues } so callers
+ * can refuse to export until missing UAN / IP number / PAN are fixed.
+ */
+
+const UAN_PATTERN = /^\d{12}$/;
+const ESIC_IP_PATTERN = /^\d{10}$/;
+const PAN_PATTERN = /^[A-Z]{5}\d{4}[A-Z]$/;
+const TAN_PATTERN = /^[A-Z]{4}\d{5}[A-Z]$/;
+
+const ECR_SEPARATOR = '#~#';
+const EPS_RATE = 8.33;
+const HEALTH_EDU_CESS_RATE = 4;
+// Quoted in place of PAN when an employee has none (TDS then applies at the higher 206AA rate)
+const PAN_NOT_AVAILABLE = 'PANNOTAVBL';
+const SALARY_SECTION = '192';
+
+const QUARTER_MONTHS = { Q1: [4, 5, 6], Q2: [7, 8, 9], Q3: [10, 11, 12], Q4: [1, 2, 3] };
+
+function issue(slip, field, message, severity = 'error') {
+  return { employee_id: slip.employee_id, emp_code: slip.emp_code, name: slip.employee_name, field, message, severity };
+}
+
+function lastDayOfMonth(month, year) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(new Date(year, month, 0).getDate()).padStart(2, '0')}`;
+}
+
+// '2026-27' -> { startYear: 2026, label: '2026-27', from: '2026-04-01', to: '2027-03-31' }
+function parseFiscalYear(fy) {
+  const m = String(fy || '').match(/^(\d{4})(?:-(\d{2,4}))?$/);
+  if (!m) return null;
+  const startYear = parseInt(m[1], 10);
+  return {
+    startYear,
+    label: `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`,
+    assessmentYear: `${startYear + 1}-${String((startYear + 2) % 100).padStart(2, '0')}`,
+    from: `${startYear}-04-01`,
+    to: `${startYear + 1}-03-31`
+  };
+}
+
+// Calendar periods (month/year) that make up a fiscal quarter, or the whole fiscal year
+function fiscalPeriods(fiscalYear, quarter) {
+  const quarters = quarter ? [quarter] : ['Q1', 'Q2', 'Q3', 'Q4'];
+  const periods = [];
+  quarters.forEach(q => QUARTER_MONTHS[q].forEach(month => {
+    periods.push({ month, year: q === 'Q4' ? fiscalYear.startYear + 1 : fiscalYear.startYear });
+  }));
+  return periods;
+}
+
+function slabTax(annualIncome, slabs) {
+  let tax = 0;
+  let remaining = annualIncome;
+  for (const slab of slabs) {
+    const slabWidth = slab.max ? slab.max - slab.min + 1 : remaining;
+    const taxable = Math.min(remaining, slabWidth);
+    tax += taxable * (slab.rate || 0) / 100;
+    remaining -= taxable;
+    if (remaining <= 0) break;
+  }
+  return tax;
+}
+
+function pfWagesOf(slip, settings) {
+  if (slip.pf_wages !== null && slip.pf_wages !== undefined) return slip.pf_wages;
+  return Math.min((slip.basic || 0) + (slip.da || 0), settings.pf_wage_ceiling || 15000);
+}
+
+/**
+ * EPFO ECR 2.0 member lines:
+ * UAN#~#Name#~#Gross#~#EPF wages#~#EPS wages#~#EDLI wages#~#EE share#~#EPS#~#ER diff#~#NCP days#~#Refund
+ */
+function buildEcr(slips, settings) {
+  const issues = [];
+  const records = [];
+  const ceiling = settings.pf_wage_ceiling || 15000;
+  slips.filter(s => (s.pf_employee || 0) > 0).forEach(slip => {
+    const slipIssues = [];
+    if (!slip.uan) slipIssues.push(issue(slip, 'uan', 'UAN missing'));
+    else if (!UAN_PATTERN.test(String(slip.uan).trim())) slipIssues.push(issue(slip, 'uan', `UAN '${slip.uan}' must be 12 digits`));
+    if (!slip.employee_name) slipIssues.push(issue(slip, 'name', 'Member name missing'));
+    issues.push(...slipIssues);
+
+    const epfWages = Math.round(pfWagesOf(slip, settings));
+    const epsWages = Math.min(epfWages, ceiling);
+    const eps = Math.round(epsWages * EPS_RATE / 100);
+    records.push({
+      employee_id: slip.employee_id,
+      valid: slipIssues.length === 0,
+      uan: String(slip.uan || '').trim(),
+      name: String(slip.employee_name || '').toUpperCase(),
+      gross_wages: Math.round(slip.gross || 0),
+      epf_wages: epfWages,
+      eps_wages: epsWages,
+      edli_wages: epsWages,
+      ee_share: Math.round(slip.pf_employee || 0),
+      eps_contribution: eps,
+      er_diff: Math.max(0, Math.round(slip.pf_employer || 0) - eps),
+      ncp_days: Math.round(slip.lop_days || 0),
+      refund_of_advances: 0
+    });
+  });
+  return { records, issues };
+}
+
+function ecrText(records) {
+  return records.map(r => [r.uan, r.name, r.gross_wages, r.epf_wages, r.eps_wages, r.edli_wages, r.ee_share, r.eps_contribution, r.er_diff, r.ncp_days, r.refund_of_advances].join(ECR_SEPARATOR)).join('\n');
+}
+
+/**
+ * ESIC monthly contribution upload: IP number, name, days paid, wages,
+ * reason code (0 unless no days were paid) and last working day.
+ */
+function buildEsic(slips, period) {
+  const issues = [];
+  const records = [];
+  slips.filter(s => (s.esi_employee || 0) > 0 || (s.esi_employer || 0) > 0).forEach(slip => {
+    const slipIssues = [];
+    if (!slip.esi_number) slipIssues.push(issue(slip, 'esi_number', 'ESIC IP number missing'));
+    else if (!ESIC_IP_PATTERN.test(String(slip.esi_number).trim())) slipIssues.push(issue(slip, 'esi_number', `ESIC IP number '${slip.esi_number}' must be 10 digits`));
+    issues.push(...slipIssues);
+
+    const days = slip.paid_days ?? new Date(period.year, period.month, 0).getDate();
+    records.push({
+      employee_id: slip.employee_id,
+      valid: slipIssues.length === 0,
+      ip_number: String(slip.esi_number || '').trim(),
+      ip_name: slip.employee_name,
+      days_paid: Math.round(days),
+      total_wages: Math.round(slip.esi_wages ?? slip.gross ?? 0),
+      // 1 = on leave for the whole month
+      reason_code: days > 0 ? 0 : 1,
+      last_working_day: ''
+    });
+  });
+  return { records, issues };
+}
+
+function employerIssues(employer, fields) {
+  const issues = [];
+  if (fields.includes('tan')) {
+    if (!employer.tan) issues.push({ field: 'employer_tan', message: 'Employer TAN missing in payroll settings', severity: 'error' });
+    else if (!TAN_PATTERN.test(employer.tan)) issues.push({ field: 'employer_tan', message: `Employer TAN '${employer.tan}' is not valid`, severity: 'error' });
+  }
+  if (fields.includes('pan') && !employer.pan) issues.push({ field: 'employer_pan', message: 'Employer PAN missing in company settings', severity: 'error' });
+  return issues;
+}
+
+function panIssue(slip, severity) {
+  if (!slip.pan) return issue(slip, 'pan', 'PAN missing', severity);
+  if (!PAN_PATTERN.test(String(slip.pan).trim().toUpperCase())) return issue(slip, 'pan', `PAN '${slip.pan}' is not valid`, severity);
+  return null;
+}
+
+/**
+ * Annual salary and tax computation for one employee from their payslips,
+ * as reported in Form 16 Part B and 24Q Annexure II.
+ */
+function annualComputation(slips, settings) {
+  const sum = key => slips.reduce((s, p) => s + (p[key] || 0), 0);
+  const grossSalary = sum('gross');
+  const standardDeduction = Math.min(settings.standard_deduction ?? 50000, grossSalary);
+  const professionalTax = sum('pt');
+  const taxableIncome = Math.max(0, Math.round(grossSalary - standardDeduction - professionalTax));
+  const taxOnIncome = Math.round(slabTax(taxableIncome, JSON.parse(settings.tds_slabs || '[]')));
+  const cess = Math.round(taxOnIncome * HEALTH_EDU_CESS_RATE / 100);
+  const taxDeducted = sum('tds');
+  return {
+    months: slips.length,
+    gross_salary: grossSalary,
+    standard_deduction: standardDeduction,
+    professional_tax: professionalTax,
+    income_chargeable: grossSalary - standardDeduction - professionalTax,
+    pf_employee: sum('pf_employee'),
+    taxable_income: taxableIncome,
+    tax_on_income: taxOnIncome,
+    cess,
+    total_tax_payable: taxOnIncome + cess,
+    tax_deducted: taxDeducted,
+    balance: taxOnIncome + cess - taxDeducted
+  };
+}
+
+/**
+ * Form 24Q for a quarter: Annexure I (deductee-wise TDS per month) and,
+ * in Q4, Annexure II (annual salary details per employee) from annualSlips.
+ */
+function build24Q(slips, annualSlips, settings, employer, fiscalYear, quarter) {
+  const issues = employerIssues(employer, ['tan', 'pan']);
+  const annexureI = [];
+  // Missing PAN blocks the return only for employees with tax deducted
+  const byEmployee = {};
+  (quarter === 'Q4' ? annualSlips : slips).forEach(s => { (byEmployee[s.employee_id] = byEmployee[s.employee_id] || []).push(s); });
+  Object.values(byEmployee).forEach(list => {
+    const pan = panIssue(list[0], list.some(s => (s.tds || 0) > 0) ? 'error' : 'warning');
+    if (pan) issues.push(pan);
+  });
+  slips.forEach(slip => {
+    if (!(slip.tds > 0)) return;
+    const paidOn = lastDayOfMonth(slip.period_month, slip.period_year);
+    annexureI.push({
+      employee_id: slip.employee_id,
+      valid: !panIssue(slip, 'error'),
+      emp_code: slip.emp_code,
+      pan: slip.pan ? String(slip.pan).trim().toUpperCase() : PAN_NOT_AVAILABLE,
+      name: slip.employee_name,
+      section: SALARY_SECTION,
+      payment_date: paidOn,
+      amount_paid: slip.gross,
+      tds: slip.tds,
+      tax_deposited: slip.tds,
+      deduction_date: paidOn
+    });
+  });
+
+  let annexureII = null;
+  if (quarter === 'Q4') {
+    annexureII = Object.values(byEmployee).map(list => ({
+      employee_id: list[0].employee_id,
+      emp_code: list[0].emp_code,
+      pan: list[0].pan ? String(list[0].pan).trim().toUpperCase() : PAN_NOT_AVAILABLE,
+      name: list[0].employee_name,
+      ...annualComputation(list, settings)
+    }));
+  }
+
+  return {
+    records: annexureI,
+    issues,
+    summary: {
+      fiscal_year: fiscalYear.label,
+      quarter,
+      tan: employer.tan || null,
+      employer_name: employer.name,
+      deductees: new Set(annexureI.map(r => r.employee_id)).size,
+      total_amount_paid: annexureI.reduce((s, r) => s + r.amount_paid, 0),
+      total_tds: annexureI.reduce((s, r) => s + r.tds, 0)
+    },
+    annexure_ii: annexureII
+  };
+}
+
+function buildForm16(slips, settings, employer, fiscalYear) {
+  const issues = employerIssues(employer, ['tan', 'pan']);
+  const pan = slips.length ? panIssue(slips[0], 'error') : null;
+  if (pan) issues.push(pan);
+  const first = slips[0] || {};
+  return {
+    issues,
+    record: {
+      fiscal_year: fiscalYear.label,
+      assessment_year: fiscalYear.assessmentYear,
+      period_from: fiscalYear.from,
+      period_to: fiscalYear.to,
+      employer,
+      employee: { id: first.employee_id, emp_code: first.emp_code, name: first.employee_name, pan: first.pan || null, designation: first.designation || null },
+      computation: annualComputation(slips, settings)
+    }
+  };
+}
+
+module.exports = {
+  buildEcr, ecrText, buildEsic, build24Q, buildForm16, annualComputation, slabTax,
+  parseFiscalYear, fiscalPeriods, QUARTER_MONTHS, PAN_NOT_AVAILABLE
+};
@@ -0,0 +1,668 @@
+/**
+ * Niyam Lite - Incremental storage for sql.js databases
+ *
+ * sql.js keeps the whole database in memory and export() returns the full
+ * file image. Rather than rewriting the file after every statement:
+ *
+ * - Writes are batched and flushed shortly after the last one (or straight
+ *   away on COMMIT), comparing the new image page by page with the last one.
+ * - Changed pages are appended to a write-ahead journal (<db>-wal) as
+ *   checksummed frames and fsynced. The last frame of each flush marks the
+ *   commit; a torn or half-written tail is ignored on recovery.
+ * - Once the journal grows past a limit it is checkpointed: the full image is
+ *   written to a temp file, renamed over the database, and the journal reset.
+ * - Services sharing a data directory take a lock file before writing and
+ *   hold it until their changes are flushed, and for as long as any caller
+ *   that took it with acquireAsync(holder) keeps it (a whole request, say,
+ *   through the flushes in between). Before reading or writing they pick up
+ *   anything another process committed since they last looked, so nobody
+ *   saves over someone else's rows. Waiting for the lock is async
+ *   (acquireAsync), so a busy database never blocks the event loop; the
+ *   synchronous write path only tries it once and fails with SQLITE_BUSY.
+ * - A flush that fails keeps the lock and is retried: the unsaved pages stay
+ *   in memory and are not reloaded over until they reach the journal.
+ *
+ * Each vertical ships its own lite/shared directory and is installed on its
+ * own, so this file is copied into every niyam_<vertical>/lite/shared.
+ * Change all copies together; the retail storage test checks they match.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+
+const WAL_MAGIC = 'NIYAMWAL';
+const WAL_VERSION = 1;
+const WAL_HEADER_SIZE = 32;
+const FRAME_HEADER_SIZE = 24;
+
+const DEFAULTS = {
+  label: '[SQLite]',
+  flushDelayMs: 25,          // quiet time after the last write before flushing
+  maxFlushDelayMs: 250,      // ...but never hold unflushed writes longer than this
+  maxPendingWrites: 1000,    // flush mid-batch after this many statements
+  checkpointBytes: 8 * 1024 * 1024,
+  lockTimeoutMs: 10000,
+  flushRetryMs: 1000,        // retry a failed flush after this long
+};
+
+// Statements that never change the file; anything else takes the write lock
+const READ_STATEMENT = /^\s*(SELECT|EXPLAIN)\b|^\s*PRAGMA\s+[\w.]+\s*(\(\s*[\w.'"]+\s*\))?\s*;?\s*$|^\s*WITH\b(?![\s\S]*\b(INSERT|UPDATE|DELETE|REPLACE)\b)/i;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function digest(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return hash.digest().subarray(0, 8);
+}
+
+function statOrNull(file) {
+  try { return fs.statSync(file); } catch (e) { return null; }
+}
+
+function sameFile(a, b) {
+  if (!a || !b) return a === b;
+  return a.ino === b.ino && a.size === b.size && a.mtimeMs === b.mtimeMs;
+}
+
+function pageSizeOf(image) {
+  if (image.length < 100) return 0;
+  const size = image.readUInt16BE(16);
+  return size === 1 ? 65536 : size;
+}
+
+function writeAtomic(file, data) {
+  const tmpPath = file + '.tmp';
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, file);
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * Check whether a statement can run without the write lock
+ * @param {string} sql
+ * @returns {boolean}
+ */
+function isReadOnly(sql) {
+  return READ_STATEMENT.test(sql);
+}
+
+/**
+ * Create the storage layer for one database file
+ * @param {Object} SQL - Module returned by initSqlJs()
+ * @param {string} dbPath - Database file; the journal and lock live next to it
+ * @param {Object} options - Overrides for DEFAULTS
+ * @returns {Object} - {open, current, acquire, acquireAsync, release, changed, flush, checkpoint, replace, begin, commit, rollback, inTransaction, close}
+ */
+function createStore(SQL, dbPath, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const walPath = dbPath + '-wal';
+  const lockPath = dbPath + '.lock';
+
+  let db = null;
+  let image = Buffer.alloc(0);  // committed file image this process last saw
+  let seenBase = null;          // stat of the database file behind image
+  let seenWal = null;           // stat of the journal when it was last read
+  let walOffset = 0;            // end of the last commit frame applied to image
+  let walSalt = 0;
+
+  let locked = false;
+  const holders = new Set();    // callers of acquireAsync(holder) that have not released yet
+  let dirty = false;
+  let pending = 0;
+  let firstPendingAt = 0;
+  let timer = null;
+  let inTransaction = false;
+  let flushFailed = false;
+
+  // ============================================
+  // Journal
+  // ============================================
+
+  function walHeader(baseHash, pageSize) {
+    const header = Buffer.alloc(WAL_HEADER_SIZE);
+    header.write(WAL_MAGIC, 0, 'latin1');
+    header.writeUInt32BE(WAL_VERSION, 8);
+    header.writeUInt32BE(pageSize, 12);
+    baseHash.copy(header, 16);
+    header.writeUInt32BE(crypto.randomBytes(4).readUInt32BE(0), 24);
+    return header;
+  }
+
+  /**
+   * Apply committed frames from a journal chunk onto an image
+   * @returns {Object} - {image, consumed} where consumed ends at the last commit frame
+   */
+  function applyFrames(base, chunk, pageSize, salt) {
+    let current = base;
+    let consumed = 0;
+    let pos = 0;
+    let pages = new Map();
+    const frameSize = FRAME_HEADER_SIZE + pageSize;
+
+    while (pos + frameSize <= chunk.length) {
+      const header = chunk.subarray(pos, pos + FRAME_HEADER_SIZE);
+      const page = chunk.subarray(pos + FRAME_HEADER_SIZE, pos + frameSize);
+      if (header.readUInt32BE(8) !== salt) break;
+      if (!digest(header.subarray(0, 16), page).equals(header.subarray(16, 24))) break;
+
+      pages.set(header.readUInt32BE(0), page);
+      pos += frameSize;
+
+      const commitPages = header.readUInt32BE(4);
+      if (commitPages) {
+        const next = Buffer.alloc(commitPages * pageSize);
+        current.copy(next, 0, 0, Math.min(current.length, next.length));
+        for (const [pageNo, data] of pages) {
+          if (pageNo <= commitPages) data.copy(next, (pageNo - 1) * pageSize);
+        }
+        current = next;
+        pages = new Map();
+        consumed = pos;
+      }
+    }
+    return { image: current, consumed };
+  }
+
+  /**
+   * Read the database file and replay the journal on top of it
+   */
+  function readImage() {
+    const baseStat = statOrNull(dbPath);
+    let base = baseStat ? fs.readFileSync(dbPath) : Buffer.alloc(0);
+    let offset = 0;
+    let salt = 0;
+    const wal = fs.existsSync(walPath) ? fs.readFileSync(walPath) : null;
+    const walStat = wal ? statOrNull(walPath) : null;
+
+    if (wal && wal.length >= WAL_HEADER_SIZE && wal.toString('latin1', 0, 8) === WAL_MAGIC) {
+      // A journal written against another file (e.g. one restored from backup)
+      // or already folded in by a checkpoint that was cut short is left alone
+      if (digest(base).equals(wal.subarray(16, 24))) {
+        salt = wal.readUInt32BE(24);
+        const applied = applyFrames(base, wal.subarray(WAL_HEADER_SIZE), wal.readUInt32BE(12), salt);
+        base = applied.image;
+        offset = WAL_HEADER_SIZE + applied.consumed;
+      }
+    }
+    return { image: base, baseStat, walStat, offset, salt };
+  }
+
+  function adopt(loaded) {
+    image = loaded.image;
+    seenBase = loaded.baseStat;
+    seenWal = loaded.walStat;
+    walOffset = loaded.offset;
+    walSalt = loaded.salt;
+  }
+
+  function openDatabase(data) {
+    // Copy: sql.js would otherwise keep writing into the buffer we diff against
+    const next = data.length ? new SQL.Database(new Uint8Array(data)) : new SQL.Database();
+    next.exec('SELECT count(*) FROM sqlite_master');
+    return next;
+  }
+
+  function swapDatabase(data) {
+    const next = openDatabase(data);
+    if (db) {
+      try { db.close(); } catch (e) { /* already closed */ }
+    }
+    db = next;
+  }
+
+  /**
+   * Write the whole image to the database file and start an empty journal
+   */
+  function writeCheckpoint(data) {
+    writeAtomic(dbPath, data);
+    const header = walHeader(digest(data), pageSizeOf(data));
+    writeAtomic(walPath, header);
+    image = data;
+    seenBase = statOrNull(dbPath);
+    seenWal = statOrNull(walPath);
+    walOffset = WAL_HEADER_SIZE;
+    walSalt = header.readUInt32BE(24);
+  }
+
+  /**
+   * Append the pages that differ between the committed image and next
+   */
+  function appendFrames(next) {
+    const pageSize = pageSizeOf(next);
+    const walPageSize = seenWal ? pageSizeOf(image) : 0;
+    if (!image.length || !seenWal || !pageSize || pageSize !== walPageSize) {
+      writeCheckpoint(next);
+      return;
+    }
+
+    const pageCount = next.length / pageSize;
+    const changed = [];
+    for (let i = 0; i < pageCount; i++) {
+      const start = i * pageSize;
+      if (start + pageSize > image.length ||
+        !next.subarray(start, start + pageSize).equals(image.subarray(start, start + pageSize))) {
+        changed.push(i);
+      }
+    }
+    if (!changed.length && next.length === image.length) return;
+    if (!changed.length) changed.push(0);
+
+    const frameSize = FRAME_HEADER_SIZE + pageSize;
+    const frames = Buffer.alloc(changed.length * frameSize);
+    changed.forEach((i, n) => {
+      const header = frames.subarray(n * frameSize, n * frameSize + FRAME_HEADER_SIZE);
+      const page = next.subarray(i * pageSize, (i + 1) * pageSize);
+      header.writeUInt32BE(i + 1, 0);
+      header.writeUInt32BE(n === changed.length - 1 ? pageCount : 0, 4);
+      header.writeUInt32BE(walSalt, 8);
+      digest(header.subarray(0, 16), page).copy(header, 16);
+      page.copy(frames, n * frameSize + FRAME_HEADER_SIZE);
+    });
+
+    const fd = fs.openSync(walPath, 'a');
+    try {
+      fs.writeSync(fd, frames);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    image = next;
+    walOffset += frames.length;
+    seenWal = statOrNull(walPath);
+
+    if (walOffset > opts.checkpointBytes) writeCheckpoint(next);
+  }
+
+  // ============================================
+  // Cross-process coordination
+  // ============================================
+
+  /**
+   * Pick up commits made by other processes since this one last looked
+   * @returns {boolean} - Whether the database was reloaded
+   */
+  function refresh() {
+    // Never reload over pages that have not reached the journal yet
+    if (dirty) return false;
+    const baseStat = statOrNull(dbPath);
+    const walStat = statOrNull(walPath);
+    if (sameFile(baseStat, seenBase) && sameFile(walStat, seenWal)) return false;
+
+    // Same file and journal, just more frames: replay only the new ones
+    if (sameFile(baseStat, seenBase) && walStat && seenWal && walStat.ino === seenWal.ino && walStat.size >= walOffset) {
+      const fd = fs.openSync(walPath, 'r');
+      let chunk;
+      try {
+        chunk = Buffer.alloc(walStat.size - walOffset);
+        fs.readSync(fd, chunk, 0, chunk.length, walOffset);
+      } finally {
+        fs.closeSync(fd);
+      }
+      seenWal = walStat;
+      const applied = applyFrames(image, chunk, pageSizeOf(image), walSalt);
+      if (!applied.consumed) return false;
+      image = applied.image;
+      walOffset += applied.consumed;
+      swapDatabase(image);
+      return true;
+    }
+
+    const before = image;
+    adopt(readImage());
+    if (image.equals(before)) return false;
+    swapDatabase(image);
+    return true;
+  }
+
+  function tryLock() {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, `${process.pid}\n${os.hostname()}\n${new Date().toISOString()}\n`);
+      fs.closeSync(fd);
+      return true;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    // Clear a lock left by a process on this machine that has since died
+    let owner = null;
+    try { owner = fs.readFileSync(lockPath, 'utf8').split('\n'); } catch (e) { return false; }
+    const pid = parseInt(owner[0]);
+    if (owner[1] === os.hostname() && pid && pid !== process.pid && !processAlive(pid)) {
+      try { fs.unlinkSync(lockPath); } catch (e) { /* someone else cleared it */ }
+    }
+    return false;
+  }
+
+  function busyError() {
+    let owner = 'another process';
+    try { owner = `pid ${fs.readFileSync(lockPath, 'utf8').split('\n')[0]}`; } catch (e) { /* gone */ }
+    const err = new Error(`Database is locked by ${owner}`);
+    err.code = 'SQLITE_BUSY';
+    return err;
+  }
+
+  // Synchronous callers cannot wait without blocking the event loop: one try
+  function lock() {
+    if (locked) return;
+    if (!tryLock()) throw busyError();
+    locked = true;
+  }
+
+  async function lockAsync() {
+    const deadline = Date.now() + opts.lockTimeoutMs;
+    let wait = 2;
+    // Another caller in this process may get the lock while we wait
+    while (!locked) {
+      if (tryLock()) {
+        locked = true;
+        return;
+      }
+      if (Date.now() > deadline) throw busyError();
+      await sleep(wait);
+      wait = Math.min(wait * 2, 50);
+    }
+  }
+
+  function unlock() {
+    if (!locked || dirty || inTransaction || holders.size) return;
+    locked = false;
+    try { fs.unlinkSync(lockPath); } catch (e) { /* already gone */ }
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Load the database, recovering committed journal frames, and fold the
+   * journal into the file. Falls back to <db>.bak if the file is unreadable.
+   * @returns {Promise<Object>} - sql.js Database
+   */
+  async function open() {
+    const bakPath = dbPath + '.bak';
+    await lockAsync();
+    try {
+      let data = null;
+      try {
+        const loaded = readImage();
+        if (!loaded.image.length && fs.existsSync(bakPath)) {
+          console.log(`${opts.label} Main DB missing, restoring from backup...`);
+          data = fs.readFileSync(bakPath);
+          db = openDatabase(data);
+        } else {
+          db = openDatabase(loaded.image);
+          adopt(loaded);
+          data = loaded.image;
+        }
+      } catch (err) {
+        if (fs.existsSync(bakPath)) {
+          console.log(`${opts.label} Main DB corrupt, restoring from backup...`);
+          try {
+            data = fs.readFileSync(bakPath);
+            db = openDatabase(data);
+          } catch (e2) {
+            console.error(`${opts.label} Backup also corrupt, starting fresh`);
+            data = Buffer.alloc(0);
+            db = openDatabase(data);
+          }
+        } else {
+          console.error(`${opts.label} DB load failed, starting fresh`);
+          data = Buffer.alloc(0);
+          db = openDatabase(data);
+        }
+      }
+
+      if (data.length) {
+        writeCheckpoint(data);
+        // Keep the last known good database
+        try { fs.copyFileSync(dbPath, dbPath + '.bak'); } catch (e) { /* ignore */ }
+      } else {
+        image = Buffer.alloc(0);
+        seenWal = null;
+      }
+    } finally {
+      unlock();
+    }
+    return db;
+  }
+
+  /**
+   * Database to read from, reloaded first if another process has committed
+   */
+  function current() {
+    if (!locked) refresh();
+    return db;
+  }
+
+  /**
+   * Take the write lock and bring the database up to date. The lock is kept
+   * until the changes are flushed. Throws SQLITE_BUSY straight away if
+   * another process holds it; use acquireAsync() first to wait for it.
+   */
+  function acquire() {
+    if (!locked) {
+      lock();
+      try {
+        refresh();
+      } catch (err) {
+        unlock();
+        throw err;
+      }
+    }
+    return db;
+  }
+
+  /**
+   * Wait (without blocking) for the write lock, up to lockTimeoutMs, then
+   * bring the database up to date. Pair with release().
+   * @param {*} holder - Kept on the lock until release(holder), so flushes in
+   *   between (e.g. after maxPendingWrites) do not let it go
+   * @returns {Promise<Object>} - sql.js Database
+   */
+  async function acquireAsync(holder) {
+    if (!locked) {
+      await lockAsync();
+      try {
+        refresh();
+      } catch (err) {
+        unlock();
+        throw err;
+      }
+    }
+    if (holder !== undefined) holders.add(holder);
+    return db;
+  }
+
+  /**
+   * Give the lock back once no holder is left and nothing was written under
+   * it; pending writes keep it until their flush
+   * @param {*} holder - As passed to acquireAsync(); without one, only a lock nobody holds is let go
+   */
+  function release(holder) {
+    if (holder !== undefined) holders.delete(holder);
+    unlock();
+  }
+
+  /**
+   * Record that a write was made; schedules a flush
+   */
+  function changed() {
+    if (!dirty) firstPendingAt = Date.now();
+    dirty = true;
+    pending++;
+    if (inTransaction) return;
+    if (pending >= opts.maxPendingWrites) {
+      flush();
+      return;
+    }
+    if (timer) clearTimeout(timer);
+    const delay = Math.max(0, Math.min(opts.flushDelayMs, firstPendingAt + opts.maxFlushDelayMs - Date.now()));
+    timer = setTimeout(flush, delay);
+    timer.unref();
+  }
+
+  /**
+   * Append pending changes to the journal and release the write lock, unless
+   * a holder still has it. Held back while a transaction is open. If the write fails the lock is
+   * kept and the flush retried, so no other process writes in between.
+   */
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (!db || inTransaction) return;
+    try {
+      if (dirty) {
+        appendFrames(Buffer.from(db.export()));
+        dirty = false;
+        pending = 0;
+        if (flushFailed) console.log(`${opts.label} Save succeeded after retry`);
+        flushFailed = false;
+      }
+    } catch (err) {
+      console.error(`${opts.label} Save failed, keeping the lock and retrying:`, err.message);
+      flushFailed = true;
+      timer = setTimeout(flush, opts.flushRetryMs);
+      timer.unref();
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Flush, then write the full database file and reset the journal, so the
+   * file alone is complete (for copying or exporting it)
+   */
+  function checkpoint() {
+    if (!db || inTransaction) return;
+    acquire();
+    try {
+      if (dirty) {
+        writeCheckpoint(Buffer.from(db.export()));
+        dirty = false;
+        pending = 0;
+      } else if (walOffset > WAL_HEADER_SIZE || !seenBase) {
+        if (image.length) writeCheckpoint(image);
+      }
+    } catch (err) {
+      // Unsaved writes keep the lock; make sure a flush comes back for them
+      if (dirty) changed();
+      throw err;
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Replace the whole database with another image (e.g. an imported file)
+   * @param {Buffer} data - SQLite database file contents
+   */
+  function replace(data) {
+    if (inTransaction) throw new Error('Cannot replace the database inside a transaction');
+    const next = openDatabase(data);
+    acquire();
+    try {
+      writeCheckpoint(Buffer.from(data));
+      try { db.close(); } catch (e) { /* already closed */ }
+      db = next;
+      dirty = false;
+      pending = 0;
+    } finally {
+      unlock();
+    }
+    return db;
+  }
+
+  function begin() {
+    if (inTransaction) throw new Error('A transaction is already open');
+    acquire().run('BEGIN');
+    inTransaction = true;
+  }
+
+  function commit() {
+    if (!inTransaction) return;
+    try {
+      db.run('COMMIT');
+    } catch (err) {
+      try { db.run('ROLLBACK'); } catch (e) { /* already rolled back */ }
+      throw err;
+    } finally {
+      inTransaction = false;
+    }
+    dirty = true;
+    flush();
+  }
+
+  function rollback() {
+    if (!inTransaction) return;
+    inTransaction = false;
+    try {
+      db.run('ROLLBACK');
+    } finally {
+      // Writes made before BEGIN may still be waiting
+      if (dirty) changed();
+      else unlock();
+    }
+  }
+
+  /**
+   * Flush and let go of the lock, e.g. on shutdown
+   */
+  function close() {
+    holders.clear();
+    if (inTransaction) rollback();
+    flush();
+    if (dirty) {
+      // Exiting anyway: what could not be saved is lost, don't leave the lock behind
+      console.error(`${opts.label} Exiting with unsaved changes`);
+      dirty = false;
+      unlock();
+    }
+  }
+
+  process.on('exit', close);
+
+  return {
+    open,
+    current,
+    acquire,
+    acquireAsync,
+    release,
+    changed,
+    flush,
+    checkpoint,
+    replace,
+    begin,
+    commit,
+    rollback,
+    inTransaction: () => inTransaction,
+    close
+  };
+}
+
+module.exports = {
+  createStore,
+  isReadOnly,
+  // Constants
+  DEFAULTS
+};
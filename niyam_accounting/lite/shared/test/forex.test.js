@@ -0,0 +1,142 @@
+/**
+ * Forex tests - rate lookup, realized gain/loss on settlement, and the
+ * period-end revaluation of open foreign balances with its next-day reversal.
+ * Run: npm test (from lite/shared)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory, so the shared database starts out empty
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-forex-'));
+process.env.HOME = home;
+
+const { initDb, query, run, get, saveDb, releaseLock } = require('../db');
+const forex = require('../forex');
+
+function rate(currency, value, date) {
+  run("INSERT INTO acc_exchange_rates (id, from_currency, to_currency, rate, effective_date) VALUES (?, ?, 'INR', ?, ?)",
+    [`${currency}-${date}`, currency, value, date]);
+}
+
+function lines(journalEntryId) {
+  return query(`SELECT a.account_code, l.debit_amount, l.credit_amount FROM acc_journal_lines l
+    JOIN acc_accounts a ON a.id = l.account_id WHERE l.journal_entry_id = ? ORDER BY l.line_number`, [journalEntryId])
+    .map(l => [l.account_code, l.debit_amount, l.credit_amount]);
+}
+
+function balance(code) {
+  return get('SELECT current_balance FROM acc_accounts WHERE account_code = ?', [code]).current_balance;
+}
+
+test.before(async () => {
+  await initDb();
+  run(`INSERT INTO acc_currencies (id, code, name, is_base, exchange_rate) VALUES
+    ('inr', 'INR', 'Indian Rupee', 1, 1), ('usd', 'USD', 'US Dollar', 0, 0.0125), ('eur', 'EUR', 'Euro', 0, NULL)`);
+  for (const [code, name, opening] of [['1010', 'USD bank', 16000], ['1200', 'Accounts receivable', 0], ['2100', 'Accounts payable', 0],
+    ['4910', 'Realized exchange gain/loss', 0], ['4920', 'Unrealized exchange gain/loss', 0]]) {
+    run('INSERT INTO acc_accounts (id, account_code, account_name, opening_balance, current_balance) VALUES (?, ?, ?, ?, ?)', [code, code, name, opening, opening]);
+  }
+  rate('USD', 80, '2026-03-01');
+  rate('USD', 83, '2026-03-31');
+  rate('USD', 82, '2026-04-15');
+
+  run("INSERT INTO acc_customers (id, code, name, country) VALUES ('C-US', 'C-US', 'Acme Inc', 'US')");
+  run("INSERT INTO acc_vendors (id, code, name) VALUES ('V-US', 'V-US', 'Globex LLC')");
+  // USD 1,000 receivable and USD 500 payable, both booked at 80; USD 200 in the bank, carried at 16,000
+  run(`INSERT INTO acc_invoices (id, invoice_number, customer_id, invoice_date, due_date, status, total_amount, balance_due, currency, exchange_rate)
+    VALUES ('INV-USD', 'INV-USD', 'C-US', '2026-03-10', '2026-04-10', 'sent', 1000, 1000, 'USD', 80)`);
+  run(`INSERT INTO acc_bills (id, bill_number, vendor_id, bill_date, due_date, status, total_amount, balance_due, currency, exchange_rate)
+    VALUES ('BILL-USD', 'BILL-USD', 'V-US', '2026-03-12', '2026-04-12', 'approved', 500, 500, 'USD', 80)`);
+  run("INSERT INTO acc_bank_accounts (id, account_id, bank_name, account_number, currency, current_balance) VALUES ('bank-usd', '1010', 'HDFC', 'USD-001', 'USD', 200)");
+  saveDb();
+  releaseLock();
+});
+
+test.after(() => {
+  saveDb();
+  releaseLock();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+// ============================================
+// Rates & realized gain/loss
+// ============================================
+
+test('the rate in force on a date is the latest one on or before it', () => {
+  assert.equal(forex.baseCurrency(), 'INR');
+  assert.equal(forex.rateOn('USD', '2026-03-15'), 80);
+  assert.equal(forex.rateOn('USD', '2026-03-31'), 83);
+  // Before the first dated rate, the currency master's INR -> USD quote is inverted
+  assert.equal(forex.rateOn('USD', '2026-02-28'), 80);
+  assert.equal(forex.rateOn('INR', '2026-03-15'), 1);
+});
+
+test('a receivable gains and a payable loses when the currency strengthens', () => {
+  assert.equal(forex.gainLoss('receivable', 1000, 80, 82), 2000);
+  assert.equal(forex.gainLoss('payable', 500, 80, 82), -1000);
+  assert.equal(forex.gainLoss('receivable', 1000, 80, 79.5), -500);
+  assert.equal(forex.gainLoss('payable', 500, 80, 79.5), 250);
+});
+
+// ============================================
+// Period-end revaluation
+// ============================================
+
+test('a currency without a closing rate stops the revaluation', () => {
+  run(`INSERT INTO acc_invoices (id, invoice_number, customer_id, invoice_date, due_date, status, total_amount, balance_due, currency, exchange_rate)
+    VALUES ('INV-EUR', 'INV-EUR', 'C-US', '2026-03-10', '2026-04-10', 'sent', 100, 100, 'EUR', 90)`);
+  assert.deepEqual(forex.previewRevaluation('2026-03-31').missing_rates, ['EUR']);
+  assert.throws(() => forex.postRevaluation('2026-03-31'), { code: 'MISSING_RATE' });
+  assert.equal(get('SELECT COUNT(*) AS n FROM acc_journal_entries').n, 0);
+  run("UPDATE acc_invoices SET status = 'void' WHERE id = 'INV-EUR'");
+});
+
+test('open balances are restated at the closing rate', () => {
+  const preview = forex.previewRevaluation('2026-03-31');
+  const bySource = Object.fromEntries(preview.lines.map(l => [l.source_id, [l.booked_base, l.revalued_base, l.gain_loss]]));
+  assert.deepEqual(bySource, {
+    'INV-USD': [80000, 83000, 3000],
+    'BILL-USD': [40000, 41500, -1500],
+    'bank-usd': [16000, 16600, 600]
+  });
+  assert.equal(preview.total_gain, 3600);
+  assert.equal(preview.total_loss, 1500);
+  assert.equal(preview.net_gain_loss, 2100);
+  assert.equal(preview.reversal_date, '2026-04-01');
+});
+
+test('the revaluation posts on the closing date and reverses the next day', () => {
+  const result = forex.postRevaluation('2026-03-31', { notes: 'March close' });
+  assert.deepEqual(lines(result.journal_entry_id), [
+    ['1200', 3000, 0], ['2100', 0, 1500], ['1010', 600, 0], ['4920', 0, 2100]
+  ]);
+  assert.deepEqual(lines(result.reversal_journal_entry_id), [
+    ['1200', 0, 3000], ['2100', 1500, 0], ['1010', 0, 600], ['4920', 2100, 0]
+  ]);
+  const dates = query('SELECT entry_date FROM acc_journal_entries WHERE reference_id = ? ORDER BY entry_date', [result.id]).map(e => e.entry_date);
+  assert.deepEqual(dates, ['2026-03-31', '2026-04-01']);
+
+  // Nothing is left restated once the reversal has posted
+  for (const code of ['1200', '2100', '4920']) assert.equal(balance(code), 0, code);
+  assert.equal(balance('1010'), 16000);
+
+  const revaluation = get('SELECT * FROM acc_forex_revaluations WHERE id = ?', [result.id]);
+  assert.equal(revaluation.net_gain_loss, 2100);
+  assert.equal(get("SELECT COUNT(*) AS n FROM acc_forex_transactions WHERE kind = 'unrealized' AND revaluation_id = ?", [result.id]).n, 3);
+});
+
+test('after the reversal, settlement realizes against the booked rate', () => {
+  // The bank's ledger is back at its booked value, so April restates it from there
+  const april = forex.previewRevaluation('2026-04-15');
+  const bank = april.lines.find(l => l.source_id === 'bank-usd');
+  assert.equal(bank.booked_base, 16000);
+  assert.equal(bank.gain_loss, 400);
+
+  // Receiving the USD 1,000 at 82 realizes 2,000 over the booked 80, not -1,000 against March's 83
+  const invoice = get("SELECT exchange_rate FROM acc_invoices WHERE id = 'INV-USD'");
+  assert.equal(forex.gainLoss('receivable', 1000, invoice.exchange_rate, forex.rateOn('USD', '2026-04-15')), 2000);
+});
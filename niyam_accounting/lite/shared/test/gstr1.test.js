@@ -0,0 +1,168 @@
+/**
+ * GSTR-1 tests - each kind of document lands in its section with the shape
+ * the GSTN schema expects, the result validates, and a document edited after
+ * filing comes back as an amendment.
+ * Run: npm test (from lite/shared)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory, so the shared database starts out empty
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-gstr1-'));
+process.env.HOME = home;
+
+const { initDb, run, saveDb, releaseLock } = require('../db');
+const { buildGstr1, validateGstr1, recordFiling } = require('../gstr1');
+
+const SUPPLIER_GSTIN = '27AAAPL1234C1ZV';
+const CUSTOMER_GSTIN = '29AABCU9603R1ZM';
+
+function customer(id, fields = {}) {
+  run('INSERT INTO acc_customers (id, code, name, gstin, state_code, country) VALUES (?, ?, ?, ?, ?, ?)',
+    [id, id, id, fields.gstin || null, fields.state_code || null, fields.country || 'IN']);
+}
+
+// lines: [taxable, { cgst, sgst, igst, hsn }]
+function invoice(id, customerId, date, lines, status = 'sent') {
+  const total = lines.reduce((s, [taxable, t]) => s + taxable + (t.cgst || 0) + (t.sgst || 0) + (t.igst || 0), 0);
+  run('INSERT INTO acc_invoices (id, invoice_number, customer_id, invoice_date, due_date, status, total_amount) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [id, id, customerId, date, date, status, total]);
+  lines.forEach(([taxable, t], i) => {
+    run(`INSERT INTO acc_invoice_lines (id, invoice_id, line_number, account_id, description, quantity, amount, net_amount, hsn_sac_code, cgst_amount, sgst_amount, igst_amount)
+      VALUES (?, ?, ?, 'sales', 'Goods', 1, ?, ?, ?, ?, ?, ?)`, [`${id}-${i}`, id, i + 1, taxable, taxable, t.hsn || '8471', t.cgst || 0, t.sgst || 0, t.igst || 0]);
+  });
+}
+
+test.before(async () => {
+  await initDb();
+  run("INSERT INTO acc_company_settings (id, gstin, state_code) VALUES ('default', ?, '27')", [SUPPLIER_GSTIN]);
+  run("INSERT INTO acc_accounts (id, account_code, account_name) VALUES ('sales', '4000', 'Sales')");
+  customer('C-REG', { gstin: CUSTOMER_GSTIN });
+  customer('C-GUJ', { state_code: '24' });
+  customer('C-LOCAL', { state_code: '27' });
+  customer('C-US', { country: 'US' });
+
+  invoice('INV-001', 'C-REG', '2026-05-05', [[1000, { igst: 180 }]]);
+  invoice('INV-002', 'C-GUJ', '2026-05-06', [[200000, { igst: 36000 }]]);
+  invoice('INV-003', 'C-LOCAL', '2026-05-07', [[500, { cgst: 45, sgst: 45 }], [100, { hsn: '0401' }]]);
+  invoice('INV-004', 'C-US', '2026-05-08', [[5000, {}]]);
+  invoice('INV-005', 'C-LOCAL', '2026-05-09', [[300, { cgst: 27, sgst: 27 }]], 'void');
+
+  run(`INSERT INTO acc_credit_notes (id, credit_note_number, customer_id, original_invoice_id, credit_note_date, subtotal, igst_amount, total_amount, status)
+    VALUES ('CN-001', 'CN-001', 'C-REG', 'INV-001', '2026-05-20', 100, 18, 118, 'posted')`);
+  run(`INSERT INTO acc_credit_note_lines (id, credit_note_id, line_number, account_id, description, hsn_code, quantity, amount, igst_amount)
+    VALUES ('CN-001-0', 'CN-001', 1, 'sales', 'Returned', '8471', 1, 100, 18)`);
+
+  run(`INSERT INTO acc_gst_advances (id, entry_type, entry_date, place_of_supply, gst_rate, amount, cgst_amount, sgst_amount)
+    VALUES ('ADV-1', 'received', '2026-05-12', '27', 18, 1000, 90, 90)`);
+  saveDb();
+  releaseLock();
+});
+
+test.after(() => {
+  saveDb();
+  releaseLock();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+// ============================================
+// Sections
+// ============================================
+
+test('each document is reported in its own section', () => {
+  const { json, summary, issues } = buildGstr1('05-2026');
+  assert.deepEqual(issues, []);
+  assert.equal(json.gstin, SUPPLIER_GSTIN);
+  assert.equal(json.fp, '052026');
+
+  assert.deepEqual(json.b2b, [{ ctin: CUSTOMER_GSTIN, inv: [{
+    inum: 'INV-001', idt: '05-05-2026', val: 1180, pos: '29', rchrg: 'N', inv_typ: 'R',
+    itms: [{ num: 1, itm_det: { txval: 1000, rt: 18, iamt: 180, camt: 0, samt: 0, csamt: 0 } }]
+  }] }]);
+
+  // Inter-state to an unregistered buyer above Rs 1 lakh; IGST heads only
+  assert.deepEqual(json.b2cl, [{ pos: '24', inv: [{
+    inum: 'INV-002', idt: '06-05-2026', val: 236000,
+    itms: [{ num: 1, itm_det: { txval: 200000, rt: 18, iamt: 36000, csamt: 0 } }]
+  }] }]);
+
+  assert.deepEqual(json.b2cs, [{ sply_ty: 'INTRA', pos: '27', typ: 'OE', rt: 18, txval: 500, camt: 45, samt: 45, csamt: 0 }]);
+  assert.deepEqual(json.exp, [{ exp_typ: 'WOPAY', inv: [{ inum: 'INV-004', idt: '08-05-2026', val: 5000, itms: [{ txval: 5000, rt: 0, iamt: 0, csamt: 0 }] }] }]);
+
+  assert.deepEqual(json.cdnr, [{ ctin: CUSTOMER_GSTIN, nt: [{
+    ntty: 'C', nt_num: 'CN-001', nt_dt: '20-05-2026', val: 118, pos: '29', rchrg: 'N', inv_typ: 'R',
+    itms: [{ num: 1, itm_det: { txval: 100, rt: 18, iamt: 18, camt: 0, samt: 0, csamt: 0 } }]
+  }] }]);
+
+  assert.deepEqual(json.nil, { inv: [{ sply_ty: 'INTRAB2C', nil_amt: 100, expt_amt: 0, ngsup_amt: 0 }] });
+  assert.deepEqual(json.at, [{ pos: '27', sply_ty: 'INTRA', itms: [{ rt: 18, ad_amt: 1000, camt: 90, samt: 90, csamt: 0 }] }]);
+  assert.equal(json.txpd, undefined, 'empty sections are left out');
+
+  assert.equal(summary.b2b_invoices, 1);
+  assert.equal(summary.b2cl_invoices, 1);
+  assert.equal(summary.export_invoices, 1);
+  assert.equal(summary.cdnr_notes, 1);
+});
+
+test('the HSN summary nets credit notes and the document summary counts cancellations', () => {
+  const { json } = buildGstr1('05-2026');
+  const b2b = json.hsn.hsn_b2b.map(r => [r.hsn_sc, r.uqc, r.rt, r.qty, r.txval, r.iamt]);
+  assert.deepEqual(b2b, [['8471', 'NOS', 18, 0, 900, 162]]);
+  const b2c = json.hsn.hsn_b2c.map(r => [r.hsn_sc, r.rt, r.txval]).sort();
+  assert.deepEqual(b2c, [['0401', 0, 100], ['8471', 0, 5000], ['8471', 18, 200500]]);
+
+  const [invoices, notes] = json.doc_issue.doc_det;
+  assert.equal(invoices.doc_num, 1);
+  assert.deepEqual(invoices.docs, [{ num: 1, from: 'INV-001', to: 'INV-005', totnum: 5, cancel: 1, net_issue: 4 }]);
+  assert.equal(notes.doc_num, 5);
+  assert.equal(notes.docs[0].totnum, 1);
+});
+
+// ============================================
+// Schema
+// ============================================
+
+test('a built return passes schema validation', () => {
+  assert.deepEqual(validateGstr1(buildGstr1('05-2026').json), []);
+});
+
+test('schema validation names each field that would be rejected', () => {
+  const json = structuredClone(buildGstr1('05-2026').json);
+  json.b2b[0].inv[0].itms[0].itm_det.rt = 17;
+  json.b2b[0].inv[0].inum = 'INVOICE-NUMBER-TOO-LONG';
+  json.b2cl[0].pos = '27';
+  json.b2cs[0].camt = 45.001;
+  json.exp[0].inv[0].itms[0].iamt = 10;
+
+  const paths = validateGstr1(json).map(e => e.path);
+  assert.deepEqual(paths.sort(), [
+    'b2b[0].inv[0].inum', 'b2b[0].inv[0].itms[0].rt', 'b2cl[0].pos', 'b2cs[0].camt', 'exp[0].inv[0].itms[0]'
+  ]);
+  assert.ok(validateGstr1({ gstin: 'not-a-gstin', fp: '2026-05' }).some(e => e.path === 'fp'));
+});
+
+// ============================================
+// Amendments
+// ============================================
+
+test('an invoice changed after its return was filed is amended in the next one', () => {
+  assert.deepEqual(recordFiling('05-2026'), { documents: 4, amendments: 0 });
+  run("UPDATE acc_invoice_lines SET amount = 1100, net_amount = 1100, igst_amount = 198 WHERE id = 'INV-001-0'");
+  run("UPDATE acc_invoices SET total_amount = 1298 WHERE id = 'INV-001'");
+
+  const { json, summary } = buildGstr1('06-2026');
+  assert.equal(summary.amendments, 1);
+  assert.equal(json.b2b, undefined);
+  assert.deepEqual(json.b2ba, [{ ctin: CUSTOMER_GSTIN, inv: [{
+    oinum: 'INV-001', oidt: '05-05-2026', inum: 'INV-001', idt: '05-05-2026', val: 1298, pos: '29', rchrg: 'N', inv_typ: 'R',
+    itms: [{ num: 1, itm_det: { txval: 1100, rt: 18, iamt: 198, camt: 0, samt: 0, csamt: 0 } }]
+  }] }]);
+  assert.deepEqual(validateGstr1(json), []);
+
+  // The filed period itself still reports the invoice as it is now
+  assert.equal(buildGstr1('05-2026').summary.amendments, 0);
+});
@@ -0,0 +1,109 @@
+/**
+ * GSTR-2B tests - supplier invoices are matched to AP bills, every
+ * difference lands in its bucket, and only matched bills with ITC available
+ * are claimed in GSTR-3B.
+ * Run: npm test (from lite/shared)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory, so the shared database starts out empty
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-gstr2b-'));
+process.env.HOME = home;
+
+const { initDb, run, saveDb, releaseLock } = require('../db');
+const gstr2b = require('../gstr2b');
+
+const SUPPLIER_GSTIN = '29AAACB1234C1Z5';
+
+function bill(id, reference, igst, date = '2026-05-03') {
+  run(`INSERT INTO acc_bills (id, bill_number, reference_number, vendor_id, bill_date, due_date, status, subtotal, taxable_amount, igst_amount, total_amount)
+    VALUES (?, ?, ?, 'V-1', ?, ?, 'approved', 1000, 1000, ?, ?)`, [id, id, reference, date, date, igst, 1000 + igst]);
+}
+
+// The portal's JSON download for May 2026
+function statement(lines) {
+  return JSON.stringify({ data: { gstin: '27AAAPL1234C1ZV', rtnprd: '052026', docdata: { b2b: [{
+    ctin: SUPPLIER_GSTIN, trdnm: 'Bharat Supplies',
+    inv: lines.map(([inum, igst, itcavl = 'Y']) => ({ inum, dt: '03-05-2026', val: 1000 + igst, pos: '27', rev: 'N', itcavl, items: [{ txval: 1000, igst, cgst: 0, sgst: 0, cess: 0 }] }))
+  }] } } });
+}
+
+let importId;
+
+test.before(async () => {
+  await initDb();
+  run("INSERT INTO acc_vendors (id, code, name, gstin) VALUES ('V-1', 'V-1', 'Bharat Supplies', ?)", [SUPPLIER_GSTIN]);
+  bill('B-1', 'SUP/001', 180);
+  bill('B-2', 'SUP/002', 180);
+  bill('B-3', 'SUP/003', 90);
+  bill('B-4', 'SUP/004', 50);
+  // Dated after the period; reported in 2B early but not in the books yet
+  bill('B-5', 'SUP/005', 70, '2026-06-02');
+
+  importId = gstr2b.importStatement({
+    content: statement([['sup-0001', 180], ['SUP/002', 200], ['SUP/004', 50, 'N'], ['SUP/009', 40]]),
+    file_name: 'returns_052026.json'
+  });
+  saveDb();
+  releaseLock();
+});
+
+test.after(() => {
+  saveDb();
+  releaseLock();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('the portal JSON is read into one line per supplier invoice', () => {
+  const parsed = gstr2b.parse(statement([['SUP/001', 180]]));
+  assert.equal(parsed.format, 'json');
+  assert.equal(parsed.return_period, '05-2026');
+  assert.deepEqual(parsed.documents[0], {
+    supplier_gstin: SUPPLIER_GSTIN, supplier_name: 'Bharat Supplies', invoice_number: 'SUP/001', invoice_date: '2026-05-03',
+    invoice_value: 1180, taxable_value: 1000, cgst_amount: 0, sgst_amount: 0, igst_amount: 180, cess_amount: 0,
+    place_of_supply: '27', reverse_charge: 0, itc_available: 1
+  });
+  assert.equal(gstr2b.normalizeInvoiceNumber('sup-0001'), gstr2b.normalizeInvoiceNumber('SUP/001'));
+});
+
+test('each line and bill lands in its bucket', () => {
+  const summary = gstr2b.reconcile(importId);
+  assert.deepEqual(summary.counts, { matched: 2, mismatched: 1, missing_in_books: 1, missing_in_2b: 1 });
+
+  const status = Object.fromEntries(gstr2b.reconciliationDetail('05-2026').map(r => [r.bill_id || r.invoice_number, r]));
+  assert.equal(status['B-1'].status, 'matched');
+  assert.equal(status['B-2'].status, 'mismatched');
+  assert.deepEqual(status['B-2'].differences, [{ field: 'igst_amount', books: 180, gstr2b: 200, difference: 20 }]);
+  assert.equal(status['B-3'].status, 'missing_in_2b');
+  assert.equal(status['B-4'].status, 'matched');
+  assert.equal(status['B-4'].itc_available, 0);
+  assert.equal(status['SUP/009'].status, 'missing_in_books');
+  assert.equal(status['B-5'], undefined, 'a bill dated after the period is not missing yet');
+});
+
+test('GSTR-3B claims only matched bills with ITC available and holds back the rest', () => {
+  const itc = gstr2b.reconciledItc('05-2026');
+  assert.equal(itc.eligible.bill_count, 1);
+  assert.equal(itc.eligible.igst, 180);
+  assert.equal(itc.eligible.taxable_value, 1000);
+  // Mismatched B-2, missing B-3 and B-4 with ITC not available
+  assert.equal(itc.held_back.bill_count, 3);
+  assert.equal(itc.held_back.igst, 320);
+
+  const summary = gstr2b.reconciliationSummary('05-2026');
+  assert.equal(summary.itc_claimable, 180);
+  assert.equal(summary.itc_held_back, 320);
+  assert.equal(gstr2b.reconciledItc('04-2026'), null, 'an unreconciled period falls back to the books');
+});
+
+test('reconciling again with a wider tolerance replaces the earlier outcome', () => {
+  const summary = gstr2b.reconcile(importId, { amount_tolerance: 25 });
+  assert.deepEqual(summary.counts, { matched: 3, mismatched: 0, missing_in_books: 1, missing_in_2b: 1 });
+  assert.equal(summary.itc_claimable, 360);
+  assert.equal(summary.itc_held_back, 140);
+});
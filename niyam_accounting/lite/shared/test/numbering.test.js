@@ -0,0 +1,124 @@
+/**
+ * Numbering tests - allocation, release, rollback and a second process
+ * drawing from the same series.
+ * Run: npm test (from lite/shared)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory, so the shared database starts out empty
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-numbering-'));
+process.env.HOME = home;
+
+const { initDb, get, run, saveDb, lockDb, releaseLock, transaction, inTransaction } = require('../db');
+const { nextNumber, releaseNumber, previewNumber } = require('../numbering');
+
+const DATE = '2026-05-10';
+
+test.before(async () => {
+  await initDb();
+  saveDb();
+  releaseLock();
+});
+
+test.after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+// Each test holds the write lock the way a request does after writeLock
+async function locked(fn) {
+  const hold = await lockDb();
+  try {
+    return fn();
+  } finally {
+    saveDb();
+    releaseLock(hold);
+  }
+}
+
+function allocationStatus(formatted) {
+  const row = get('SELECT status, void_reason FROM acc_number_allocations WHERE formatted_number = ?', [formatted]);
+  return row ? row.status : null;
+}
+
+test('numbers are consecutive within a fiscal year and restart in the next', async () => {
+  await locked(() => {
+    assert.equal(previewNumber('invoice', { date: DATE }).next_number, 'INV/2026-27/00001');
+    assert.equal(nextNumber('invoice', { date: DATE }), 'INV/2026-27/00001');
+    assert.equal(nextNumber('invoice', { date: DATE }), 'INV/2026-27/00002');
+    assert.equal(nextNumber('invoice', { date: '2027-04-01' }), 'INV/2027-28/00001');
+    assert.equal(previewNumber('invoice', { date: DATE }).next_number, 'INV/2026-27/00003');
+  });
+});
+
+test('numbers already used by a document are skipped', async () => {
+  await locked(() => {
+    run("INSERT INTO acc_customers (id, code, name) VALUES ('c1', 'C1', 'Imported customer')");
+    run("INSERT INTO acc_credit_notes (id, credit_note_number, customer_id, credit_note_date) VALUES ('cn-import', 'CN/2026-27/00001', 'c1', ?)", [DATE]);
+    assert.equal(nextNumber('credit_note', { date: DATE }), 'CN/2026-27/00002');
+  });
+});
+
+test('releasing the latest number hands it out again', async () => {
+  await locked(() => {
+    const number = nextNumber('bill', { date: DATE });
+    assert.equal(releaseNumber(number, 'validation failed'), true);
+    assert.equal(allocationStatus(number), null);
+    assert.equal(nextNumber('bill', { date: DATE }), number);
+  });
+});
+
+test('releasing an older number leaves a recorded gap', async () => {
+  await locked(() => {
+    const first = nextNumber('purchase_order', { date: DATE });
+    const second = nextNumber('purchase_order', { date: DATE });
+    assert.equal(releaseNumber(first, 'vendor cancelled'), true);
+
+    assert.equal(allocationStatus(first), 'void');
+    assert.equal(get('SELECT void_reason FROM acc_number_allocations WHERE formatted_number = ?', [first]).void_reason, 'vendor cancelled');
+    const third = nextNumber('purchase_order', { date: DATE });
+    assert.notEqual(third, first, 'a voided number is not reissued');
+    assert.equal(third, 'PO/2026-27/00003');
+    assert.equal(allocationStatus(second), 'issued');
+    assert.equal(releaseNumber(first), false, 'already released');
+  });
+});
+
+test('inside an open transaction the allocation joins it', async () => {
+  await locked(() => {
+    assert.throws(() => transaction(() => {
+      assert.ok(inTransaction());
+      assert.equal(nextNumber('expense_claim', { date: DATE }), 'EXP/2026-27/00001');
+      throw new Error('claim rejected');
+    }), /claim rejected/);
+    // The rollback took the number back along with the document
+    assert.equal(get("SELECT COUNT(*) AS n FROM acc_number_allocations WHERE document_type = 'expense_claim'").n, 0);
+    assert.equal(transaction(() => nextNumber('expense_claim', { date: DATE })), 'EXP/2026-27/00001');
+  });
+});
+
+test('a second process continues the same series', async () => {
+  await locked(() => nextNumber('journal_entry', { date: DATE }));
+
+  const script = `
+    const { initDb, saveDb, releaseLock } = require(${JSON.stringify(path.join(__dirname, '..', 'db'))});
+    const { nextNumber } = require(${JSON.stringify(path.join(__dirname, '..', 'numbering'))});
+    initDb().then(() => {
+      const numbers = [1, 2, 3].map(() => nextNumber('journal_entry', { date: ${JSON.stringify(DATE)} }));
+      saveDb();
+      releaseLock();
+      console.log(JSON.stringify(numbers));
+    });`;
+  const output = execFileSync(process.execPath, ['-e', script], { env: { ...process.env, HOME: home }, encoding: 'utf8', timeout: 30000 });
+  assert.deepEqual(JSON.parse(output.trim().split('\n').pop()), ['JE/2026-27/000002', 'JE/2026-27/000003', 'JE/2026-27/000004']);
+
+  // Taking the lock again picks up what the other process wrote
+  await locked(() => {
+    assert.equal(nextNumber('journal_entry', { date: DATE }), 'JE/2026-27/000005');
+  });
+});
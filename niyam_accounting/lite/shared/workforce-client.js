@@ -0,0 +1,119 @@
+/**
+ * Workforce Timesheet Client
+ * Pulls attendance and approved leave from the retail workforce_management
+ * and hospitality workforce_scheduling services, and reduces them to the
+ * per-employee inputs a payroll run needs (days present, overtime, LOP days).
+ * Uses Node built-in http — no external dependencies.
+ */
+
+const http = require('http');
+
+const SOURCES = {
+  retail_workforce: {
+    host: process.env.RETAIL_WORKFORCE_HOST || 'localhost',
+    port: process.env.RETAIL_WORKFORCE_PORT || '8850'
+  },
+  hospitality_workforce: {
+    host: process.env.HOSPITALITY_WORKFORCE_HOST || 'localhost',
+    port: process.env.HOSPITALITY_WORKFORCE_PORT || '8936'
+  }
+};
+
+// Leave types that are not paid for; everything else approved counts as paid leave
+const UNPAID_LEAVE_TYPES = ['unpaid', 'lop', 'loss_of_pay', 'lwp', 'leave_without_pay'];
+
+function getJson(source, pathWithQuery) {
+  const target = SOURCES[source];
+  return new Promise((resolve, reject) => {
+    const req = http.get({ hostname: target.host, port: parseInt(target.port, 10), path: pathWithQuery, timeout: 5000 }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        try {
+          const json = JSON.parse(body);
+          if (res.statusCode >= 400 || json.success === false) return reject(new Error(json.error || `${source} responded ${res.statusCode}`));
+          resolve(json);
+        } catch (e) { reject(new Error(`Invalid response from ${source}`)); }
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error(`${source} timed out`)));
+    req.on('error', err => reject(new Error(`${source} unreachable: ${err.message}`)));
+  });
+}
+
+function qs(params) {
+  return Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`)
+    .join('&');
+}
+
+// Days of a leave request that fall inside the period (inclusive)
+function overlapDays(start, end, from, to) {
+  const s = new Date(Math.max(new Date(start), new Date(from)));
+  const e = new Date(Math.min(new Date(end || start), new Date(to)));
+  if (isNaN(s) || isNaN(e) || e < s) return 0;
+  return Math.round((e - s) / 86400000) + 1;
+}
+
+function summariseLeave(requests, typeField, from, to) {
+  let paid = 0, unpaid = 0;
+  requests.forEach(r => {
+    const days = overlapDays(r.start_date, r.end_date, from, to);
+    if (UNPAID_LEAVE_TYPES.includes(String(r[typeField] || '').toLowerCase())) unpaid += days;
+    else paid += days;
+  });
+  return { paid_leave_days: paid, lop_days: unpaid };
+}
+
+// Retail logs are raw clock events; pair each clock_in with the next clock_out and drop breaks
+function summariseTimeLogs(logs, standardHours) {
+  const byDay = {};
+  let openIn = null, openBreak = null;
+  logs.slice().sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp))).forEach(log => {
+    const ts = new Date(log.timestamp);
+    const day = String(log.timestamp).slice(0, 10);
+    if (log.action === 'clock_in') { openIn = ts; byDay[day] = byDay[day] || 0; }
+    else if (log.action === 'break_start' && openIn) openBreak = ts;
+    else if (log.action === 'break_end' && openBreak) {
+      const inDay = openIn.toISOString().slice(0, 10);
+      byDay[inDay] = (byDay[inDay] || 0) - (ts - openBreak) / 3600000;
+      openBreak = null;
+    } else if (log.action === 'clock_out' && openIn) {
+      const inDay = openIn.toISOString().slice(0, 10);
+      byDay[inDay] = (byDay[inDay] || 0) + (ts - openIn) / 3600000;
+      openIn = null;
+    }
+  });
+  const days = Object.keys(byDay);
+  const overtime = days.reduce((s, d) => s + Math.max(0, byDay[d] - standardHours), 0);
+  return { days_present: days.length, overtime_hours: Math.round(overtime * 100) / 100 };
+}
+
+/**
+ * Attendance for one employee over [from, to] (YYYY-MM-DD).
+ * Returns { days_present, paid_leave_days, lop_days, overtime_hours }.
+ */
+async function fetchAttendance(source, externalId, from, to, opts = {}) {
+  if (!SOURCES[source]) throw new Error(`Unknown workforce source '${source}'`);
+  const standardHours = opts.standard_hours || 8;
+
+  if (source === 'retail_workforce') {
+    const id = encodeURIComponent(externalId);
+    const clock = await getJson(source, `/time-clock/${id}?${qs({ from, to: `${to}T23:59:59` })}`);
+    const leave = await getJson(source, `/leave-requests?${qs({ employee_id: externalId, status: 'approved' })}`);
+    return { ...summariseTimeLogs(clock.time_logs || [], standardHours), ...summariseLeave(leave.leave_requests || [], 'type', from, to) };
+  }
+
+  const time = await getJson(source, `/time?${qs({ staff_id: externalId, from_date: from, to_date: to, status: 'approved' })}`);
+  const timeOff = await getJson(source, `/time-off?${qs({ staff_id: externalId, status: 'approved' })}`);
+  const entries = time.entries || [];
+  const overtime = entries.reduce((s, e) => s + (e.overtime_hours || 0), 0);
+  return {
+    days_present: new Set(entries.map(e => e.entry_date)).size,
+    overtime_hours: Math.round(overtime * 100) / 100,
+    ...summariseLeave(timeOff.requests || [], 'request_type', from, to)
+  };
+}
+
+module.exports = { fetchAttendance, SOURCES, UNPAID_LEAVE_TYPES };
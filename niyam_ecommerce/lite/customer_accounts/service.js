@@ -3,13 +3,14 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
 const { notifyAccounting } = require('../shared/accounting-hook');
 
 const app = express();
 const PORT = process.env.PORT || 9155;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
@@ -7,6 +7,7 @@ const initSqlJs = require('sql.js');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { createStore, isReadOnly } = require('./storage');
 
 // Database path
 const DATA_DIR = path.join(os.homedir(), '.niyam', 'data', 'ecommerce');
@@ -18,47 +19,29 @@ if (!fs.existsSync(DATA_DIR)) {
 }
 
 let db = null;
+let store = null;
+
+let loading = null;
 
 /**
  * Initialize database
  */
 async function initDb() {
   if (db) return db;
+  // Services started in the same process share one load
+  if (!loading) loading = loadDb().finally(() => { loading = null; });
+  return loading;
+}
 
+async function loadDb() {
   const SQL = await initSqlJs();
 
-  // Backup last known good DB before loading
-  if (fs.existsSync(DB_PATH)) {
-    try { fs.copyFileSync(DB_PATH, DB_PATH + '.bak'); } catch (e) { /* ignore */ }
-  }
+  // Load existing database, replaying the journal (with backup recovery)
+  store = createStore(SQL, DB_PATH, { label: '[Ecommerce DB]' });
+  await store.open();
 
-  // Load existing database or create new (with backup recovery)
-  try {
-    if (fs.existsSync(DB_PATH)) {
-      const buffer = fs.readFileSync(DB_PATH);
-      db = new SQL.Database(buffer);
-    } else if (fs.existsSync(DB_PATH + '.bak')) {
-      console.log('[Ecommerce DB] Main DB missing, restoring from backup...');
-      const buffer = fs.readFileSync(DB_PATH + '.bak');
-      db = new SQL.Database(buffer);
-    } else {
-      db = new SQL.Database();
-    }
-  } catch (err) {
-    if (fs.existsSync(DB_PATH + '.bak')) {
-      console.log('[Ecommerce DB] Main DB corrupt, restoring from backup...');
-      try {
-        const buffer = fs.readFileSync(DB_PATH + '.bak');
-        db = new SQL.Database(buffer);
-      } catch (e2) {
-        console.error('[Ecommerce DB] Backup also corrupt, starting fresh');
-        db = new SQL.Database();
-      }
-    } else {
-      console.error('[Ecommerce DB] DB load failed, starting fresh');
-      db = new SQL.Database();
-    }
-  }
+  // Hold the write lock while the schema is brought up to date
+  db = await store.acquireAsync();
 
   // ── Product Catalog ──────────────────────────────────────────────
   db.run(`
@@ -551,25 +534,109 @@ async function initDb() {
   return db;
 }
 
+// ============================================
+// Transactions & persistence
+// ============================================
+// Writes go to the in-memory database and are flushed to the journal shortly
+// after the last one (see storage.js). export() reopens the database, which
+// would end an open transaction, so flushes wait for COMMIT.
+
 /**
- * Save database to disk
+ * Start a transaction (one at a time on the shared connection)
  */
-function saveDb() {
-  if (!db) return;
+function beginTransaction() {
+  store.begin();
+  db = store.acquire();
+}
+
+/**
+ * Commit the open transaction and save; a failed commit is rolled back
+ */
+function commitTransaction() {
+  store.commit();
+}
+
+/**
+ * Roll back the open transaction, if any
+ */
+function rollbackTransaction() {
+  store.rollback();
+}
+
+/**
+ * Run fn inside a transaction, e.g. for bulk imports: one flush at the end
+ * instead of one per row, and nothing saved if fn throws
+ */
+function transaction(fn) {
+  beginTransaction();
   try {
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(DB_PATH, buffer);
+    const result = fn();
+    commitTransaction();
+    return result;
   } catch (err) {
-    console.error('[Ecommerce DB] Save error:', err.message);
+    rollbackTransaction();
+    throw err;
   }
 }
 
+/**
+ * Wait for the write lock without blocking the event loop, e.g. before a
+ * background job writes outside a request. The lock stays taken, through
+ * flushes, until releaseLock() is given the hold this returns.
+ * @returns {Promise<symbol>} - Hold to pass to releaseLock()
+ */
+async function lockDb() {
+  const hold = Symbol('lockDb');
+  db = await store.acquireAsync(hold);
+  return hold;
+}
+
+/**
+ * Give back a hold taken by lockDb(); the lock goes once no hold is left
+ * and nothing written is waiting to be flushed. Without a hold it only lets
+ * go of a lock nobody holds.
+ * @param {symbol} hold - As returned by lockDb()
+ */
+function releaseLock(hold) {
+  if (store) store.release(hold);
+}
+
+/**
+ * Express middleware: requests that may write wait here for the write lock
+ * (503 if another process holds it past the timeout), so their statements
+ * never have to wait for it synchronously. The request holds it until it ends.
+ */
+function writeLock(req, res, next) {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') return next();
+  lockDb().then(hold => {
+    res.on('close', () => releaseLock(hold));
+    next();
+  }, err => {
+    res.status(err.code === 'SQLITE_BUSY' ? 503 : 500).json({ success: false, error: err.message });
+  });
+}
+
+/**
+ * Save pending changes to the journal now
+ */
+function saveDb() {
+  if (store) store.flush();
+}
+
+/**
+ * Write the complete database file (folding in the journal), e.g. before copying it
+ */
+function checkpoint() {
+  if (store) store.checkpoint();
+}
+
 /**
  * Query (SELECT) - returns array of objects
  */
 function query(sql, params = []) {
   if (!db) throw new Error('Database not initialized');
+  const write = !isReadOnly(sql);
+  db = write ? store.acquire() : store.current();
   try {
     const stmt = db.prepare(sql);
     if (params.length) stmt.bind(params);
@@ -582,6 +649,8 @@ function query(sql, params = []) {
   } catch (err) {
     console.error('[Ecommerce DB] Query error:', err.message, sql);
     return [];
+  } finally {
+    if (write) store.changed();
   }
 }
 
@@ -590,12 +659,14 @@ function query(sql, params = []) {
  */
 function run(sql, params = []) {
   if (!db) throw new Error('Database not initialized');
+  db = store.acquire();
   try {
     db.run(sql, params);
-    saveDb();
   } catch (err) {
     console.error('[Ecommerce DB] Run error:', err.message, sql);
     throw err;
+  } finally {
+    store.changed();
   }
 }
 
@@ -611,4 +682,7 @@ function get(sql, params = []) {
 process.on('SIGINT', () => { saveDb(); process.exit(0); });
 process.on('SIGTERM', () => { saveDb(); process.exit(0); });
 
-module.exports = { initDb, query, run, get, saveDb };
+module.exports = {
+  initDb, query, run, get, saveDb, checkpoint, lockDb, releaseLock, writeLock,
+  beginTransaction, commitTransaction, rollbackTransaction, transaction
+};
@@ -8,7 +8,7 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const { initDb, query, run, get, generateId, timestamp } = require('./shared/db');
+const { initDb, query, run, get, generateId, timestamp, writeLock } = require('./shared/db');
 const { notifyAccounting } = require('../shared/accounting-hook');
 
 const app = express();
@@ -17,6 +17,7 @@ const SERVICE_NAME = 'billing_payments';
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 
 // Serve UI
 const uiPath = path.join(__dirname, 'ui', 'dist');
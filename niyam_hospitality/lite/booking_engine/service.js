@@ -8,7 +8,7 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const { initDb, query, run, get, generateId, timestamp } = require('./shared/db');
+const { initDb, query, run, get, generateId, timestamp, writeLock } = require('./shared/db');
 
 const app = express();
 const PORT = process.env.PORT || 8940;
@@ -16,6 +16,7 @@ const SERVICE_NAME = 'booking_engine';
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) { app.use(express.static(uiPath)); }
@@ -9,7 +9,7 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
-const { initDb, query, run, get, generateId, timestamp } = require('./shared/db');
+const { initDb, query, run, get, generateId, timestamp, writeLock } = require('./shared/db');
 
 const app = express();
 const PORT = process.env.PORT || 8941;
@@ -17,6 +17,7 @@ const SERVICE_NAME = 'channel_manager';
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) { app.use(express.static(uiPath)); }
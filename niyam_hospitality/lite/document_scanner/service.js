@@ -8,7 +8,7 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const { initDb, query, run, get, generateId, timestamp } = require('./shared/db');
+const { initDb, query, run, get, generateId, timestamp, writeLock } = require('./shared/db');
 
 const app = express();
 const PORT = process.env.PORT || 8922;
@@ -16,6 +16,7 @@ const SERVICE_NAME = 'document_scanner';
 
 app.use(cors());
 app.use(express.json({ limit: '20mb' })); // Large limit for images
+app.use(writeLock);
 
 // Serve UI
 const uiPath = path.join(__dirname, 'ui', 'dist');
@@ -8,7 +8,7 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const { initDb, query, run, get, generateId, timestamp } = require('./shared/db');
+const { initDb, query, run, get, generateId, timestamp, writeLock } = require('./shared/db');
 const { notifyAccounting } = require('../shared/accounting-hook');
 
 const app = express();
@@ -17,6 +17,7 @@ const SERVICE_NAME = 'restaurant_pos';
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 
 // Serve UI
 const uiPath = path.join(__dirname, 'ui', 'dist');
@@ -484,7 +485,10 @@ app.post('/api/orders/:id/payment', (req, res) => {
       `, [finalTotal, timestamp(), order.reservation_id]);
     }
     
-    notifyAccounting('hospitality', 'restaurant.order.paid', { order_id: req.params.id, total_amount: finalTotal, payment_method, tip: tip || 0, table_id: order.table_id });
+    notifyAccounting('hospitality', 'restaurant.order.paid', {
+      order_id: req.params.id, subtotal: order.subtotal, discount_amount: order.discount || 0, tax: order.tax || 0,
+      service_charge: order.service_charge || 0, tip: tip || 0, total_amount: finalTotal, payment_method, table_id: order.table_id
+    });
     res.json({ success: true, total: finalTotal });
   } catch (e) {
     res.status(500).json({ success: false, error: e.message });
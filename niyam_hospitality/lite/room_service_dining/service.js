@@ -8,7 +8,7 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const { initDb, query, run, get, generateId, timestamp } = require('./shared/db');
+const { initDb, query, run, get, generateId, timestamp, writeLock } = require('./shared/db');
 const { notifyAccounting } = require('../shared/accounting-hook');
 
 const app = express();
@@ -17,6 +17,7 @@ const SERVICE_NAME = 'room_service_dining';
 
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
@@ -143,7 +144,10 @@ app.post('/api/orders', (req, res) => {
       `, [generateId(), id, item.id, item.name, item.quantity || 1, JSON.stringify(item.modifiers || []), 'main', item.notes, timestamp()]);
     }
     
-    notifyAccounting('hospitality', 'hospitality.room_service.charge', { order_id: id, reservation_id, guest_id, room_number, total_amount: total, tax, items: parsedItems });
+    notifyAccounting('hospitality', 'hospitality.room_service.charge', {
+      order_id: id, reservation_id, guest_id, room_number, subtotal, tax, service_charge: service_charge + delivery_charge,
+      total_amount: total, items: parsedItems
+    });
     res.json({ success: true, order: { id, total, estimated_delivery: delivery_time || '30-45 mins' } });
   } catch (e) {
     res.status(500).json({ success: false, error: e.message });
@@ -7,6 +7,7 @@ const initSqlJs = require('sql.js');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { createStore, isReadOnly } = require('./storage');
 
 // Database path
 const DATA_DIR = path.join(os.homedir(), '.niyam', 'data', 'hospitality');
@@ -18,48 +19,30 @@ if (!fs.existsSync(DATA_DIR)) {
 }
 
 let db = null;
+let store = null;
+
+let loading = null;
 
 /**
  * Initialize database with hospitality tables
  */
 async function initDb() {
   if (db) return db;
-  
+  // Services started in the same process share one load
+  if (!loading) loading = loadDb().finally(() => { loading = null; });
+  return loading;
+}
+
+async function loadDb() {
   const SQL = await initSqlJs();
   
-  // Backup last known good DB before loading
-  if (fs.existsSync(DB_PATH)) {
-    try { fs.copyFileSync(DB_PATH, DB_PATH + '.bak'); } catch (e) { /* ignore */ }
-  }
+  // Load existing database, replaying the journal (with backup recovery)
+  store = createStore(SQL, DB_PATH, { label: '[Hospitality DB]' });
+  await store.open();
+
+  // Hold the write lock while the schema is brought up to date
+  db = await store.acquireAsync();
 
-  // Load existing database or create new (with backup recovery)
-  try {
-    if (fs.existsSync(DB_PATH)) {
-      const buffer = fs.readFileSync(DB_PATH);
-      db = new SQL.Database(buffer);
-    } else if (fs.existsSync(DB_PATH + '.bak')) {
-      console.log('[Hospitality DB] Main DB missing, restoring from backup...');
-      const buffer = fs.readFileSync(DB_PATH + '.bak');
-      db = new SQL.Database(buffer);
-    } else {
-      db = new SQL.Database();
-    }
-  } catch (err) {
-    if (fs.existsSync(DB_PATH + '.bak')) {
-      console.log('[Hospitality DB] Main DB corrupt, restoring from backup...');
-      try {
-        const buffer = fs.readFileSync(DB_PATH + '.bak');
-        db = new SQL.Database(buffer);
-      } catch (e2) {
-        console.error('[Hospitality DB] Backup also corrupt, starting fresh');
-        db = new SQL.Database();
-      }
-    } else {
-      console.error('[Hospitality DB] DB load failed, starting fresh');
-      db = new SQL.Database();
-    }
-  }
-  
   // ============================================
   // PROPERTY & ROOMS
   // ============================================
@@ -617,22 +600,102 @@ async function initDb() {
   return db;
 }
 
+// ============================================
+// Transactions & persistence
+// ============================================
+// Writes go to the in-memory database and are flushed to the journal shortly
+// after the last one (see storage.js). export() reopens the database, which
+// would end an open transaction, so flushes wait for COMMIT.
+
+/**
+ * Start a transaction (one at a time on the shared connection)
+ */
+function beginTransaction() {
+  store.begin();
+  db = store.acquire();
+}
+
 /**
- * Save database to file
+ * Commit the open transaction and save; a failed commit is rolled back
  */
-function saveDb() {
-  if (!db) return;
+function commitTransaction() {
+  store.commit();
+}
+
+/**
+ * Roll back the open transaction, if any
+ */
+function rollbackTransaction() {
+  store.rollback();
+}
+
+/**
+ * Run fn inside a transaction, e.g. for bulk imports: one flush at the end
+ * instead of one per row, and nothing saved if fn throws
+ */
+function transaction(fn) {
+  beginTransaction();
   try {
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    const tmpPath = DB_PATH + '.tmp';
-    fs.writeFileSync(tmpPath, buffer);
-    fs.renameSync(tmpPath, DB_PATH);
+    const result = fn();
+    commitTransaction();
+    return result;
   } catch (err) {
-    console.error('[Hospitality DB] Save failed:', err.message);
+    rollbackTransaction();
+    throw err;
   }
 }
 
+/**
+ * Wait for the write lock without blocking the event loop, e.g. before a
+ * background job writes outside a request. The lock stays taken, through
+ * flushes, until releaseLock() is given the hold this returns.
+ * @returns {Promise<symbol>} - Hold to pass to releaseLock()
+ */
+async function lockDb() {
+  const hold = Symbol('lockDb');
+  db = await store.acquireAsync(hold);
+  return hold;
+}
+
+/**
+ * Give back a hold taken by lockDb(); the lock goes once no hold is left
+ * and nothing written is waiting to be flushed. Without a hold it only lets
+ * go of a lock nobody holds.
+ * @param {symbol} hold - As returned by lockDb()
+ */
+function releaseLock(hold) {
+  if (store) store.release(hold);
+}
+
+/**
+ * Express middleware: requests that may write wait here for the write lock
+ * (503 if another process holds it past the timeout), so their statements
+ * never have to wait for it synchronously. The request holds it until it ends.
+ */
+function writeLock(req, res, next) {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') return next();
+  lockDb().then(hold => {
+    res.on('close', () => releaseLock(hold));
+    next();
+  }, err => {
+    res.status(err.code === 'SQLITE_BUSY' ? 503 : 500).json({ success: false, error: err.message });
+  });
+}
+
+/**
+ * Save pending changes to the journal now
+ */
+function saveDb() {
+  if (store) store.flush();
+}
+
+/**
+ * Write the complete database file (folding in the journal), e.g. before copying it
+ */
+function checkpoint() {
+  if (store) store.checkpoint();
+}
+
 // Graceful shutdown
 let _isShuttingDown = false;
 function _shutdown(signal) {
@@ -649,22 +712,32 @@ process.on('SIGTERM', () => _shutdown('SIGTERM'));
  * Query helper - returns array of objects
  */
 function query(sql, params = []) {
-  const stmt = db.prepare(sql);
-  stmt.bind(params);
-  const results = [];
-  while (stmt.step()) {
-    results.push(stmt.getAsObject());
+  const write = !isReadOnly(sql);
+  db = write ? store.acquire() : store.current();
+  try {
+    const stmt = db.prepare(sql);
+    stmt.bind(params);
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  } finally {
+    if (write) store.changed();
   }
-  stmt.free();
-  return results;
 }
 
 /**
  * Run helper - for INSERT/UPDATE/DELETE
  */
 function run(sql, params = []) {
-  db.run(sql, params);
-  saveDb();
+  db = store.acquire();
+  try {
+    db.run(sql, params);
+  } finally {
+    store.changed();
+  }
 }
 
 /**
@@ -695,6 +768,14 @@ module.exports = {
   run,
   get,
   saveDb,
+  checkpoint,
+  lockDb,
+  releaseLock,
+  writeLock,
+  beginTransaction,
+  commitTransaction,
+  rollbackTransaction,
+  transaction,
   generateId,
   timestamp,
   DB_PATH,
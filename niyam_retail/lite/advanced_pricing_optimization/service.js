@@ -2,17 +2,23 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8892;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'advanced_pricing_optimization', mode: 'lite' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+app.use('/pricing', permissions.requireResource('catalog'));
+
 // Price elasticity analysis (simplified)
 app.get('/pricing/elasticity/:product_id', (req, res) => {
   try {
@@ -2,17 +2,23 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const { initDb, query, get } = require('../shared/db');
+const { initDb, query, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8894;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'ai_behavior_engine', mode: 'lite' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+app.use('/behavior', permissions.requireResource('crm'));
+
 // Customer behavior analysis
 app.get('/behavior/customer/:customer_id', (req, res) => {
   try {
@@ -3,18 +3,24 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8865;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'asset_management', mode: 'lite' }));
 app.get('/healthz', (req, res) => res.json({ status: 'ok', service: 'asset_management' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+app.use(['/assets', '/maintenance'], permissions.requireResource('inventory'));
+
 // List assets
 app.get('/assets', (req, res) => {
   try {
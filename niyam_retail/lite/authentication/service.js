@@ -2,89 +2,149 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const auth = require('../shared/auth');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8882;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
-// Add users table
-const initAuth = async () => {
-  const db = await initDb();
-  run(`CREATE TABLE IF NOT EXISTS users (
-    id TEXT PRIMARY KEY,
-    username TEXT UNIQUE NOT NULL,
-    email TEXT UNIQUE,
-    password_hash TEXT NOT NULL,
-    role TEXT DEFAULT 'user',
-    active INTEGER DEFAULT 1,
-    last_login TEXT,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-  )`);
-  run(`CREATE TABLE IF NOT EXISTS sessions (
-    id TEXT PRIMARY KEY,
-    user_id TEXT NOT NULL,
-    token TEXT UNIQUE NOT NULL,
-    expires_at TEXT NOT NULL,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP
-  )`);
-  return db;
+// Users and sessions tables are created by shared/db.js
+const initAuth = async () => initDb();
+
+// Sets req.user / req.session when a Bearer token is sent
+app.use(auth.authenticate);
+
+const publicUser = (user) => ({ id: user.id, username: user.username, email: user.email, role: user.role });
+
+// Admins and owners manage accounts; checked even when SKIP_AUTH is set
+const canManageUsers = (user) => !!user && permissions.hasPermission(user.role, 'users:manage');
+const requireUserAdmin = (req, res, next) => {
+  if (!req.user) return res.status(401).json({ success: false, error: 'Authentication required' });
+  if (!canManageUsers(req.user)) return res.status(403).json({ success: false, error: 'Insufficient role' });
+  next();
 };
+const unknownRole = (role) => role !== undefined && role !== null && !permissions.ROLES[role];
+
+// Check the password, then the TOTP code if two-factor is on. Wrong answers count
+// towards the lockout; a missing code does not, since the password was right.
+// Returns null when the user may sign in, or the error response to send.
+const checkCredentials = (user, { secret, hashColumn, otp, requireMfa }) => {
+  const locked = auth.lockedUntil(user);
+  if (locked) return { status: 423, body: { success: false, error: 'Account locked after too many failed attempts', locked_until: locked } };
 
-const hashPassword = (password) => crypto.createHash('sha256').update(password).digest('hex');
-const generateToken = () => crypto.randomBytes(32).toString('hex');
+  const { valid, needsRehash } = auth.verifySecret(secret, user[hashColumn]);
+  if (!valid) {
+    const until = auth.recordFailedAttempt(user);
+    if (until) return { status: 423, body: { success: false, error: 'Account locked after too many failed attempts', locked_until: until } };
+    return { status: 401, body: { success: false, error: 'Invalid credentials' } };
+  }
+  if (needsRehash) run(`UPDATE users SET ${hashColumn} = ? WHERE id = ?`, [auth.hashSecret(secret), user.id]);
+
+  if (requireMfa && user.mfa_enabled) {
+    if (!otp) return { status: 401, body: { success: false, mfa_required: true, error: 'Two-factor code required' } };
+    const step = auth.verifyTotp(user.mfa_secret, otp, user.mfa_last_step);
+    if (step === null) {
+      const until = auth.recordFailedAttempt(user);
+      if (until) return { status: 423, body: { success: false, error: 'Account locked after too many failed attempts', locked_until: until } };
+      return { status: 401, body: { success: false, mfa_required: true, error: 'Invalid two-factor code' } };
+    }
+    run('UPDATE users SET mfa_last_step = ? WHERE id = ?', [step, user.id]);
+  }
+
+  auth.clearFailedAttempts(user.id);
+  return null;
+};
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'authentication', mode: 'lite' }));
 app.get('/healthz', (req, res) => res.json({ status: 'ok', service: 'authentication' }));
 
 // Register
+// Only an admin or owner may pick a role; everyone else gets the default.
+// The very first account on an install becomes the admin.
 app.post('/auth/register', (req, res) => {
   try {
-    const { username, email, password, role = 'user' } = req.body;
+    const { username, email, password } = req.body;
+    let { role } = req.body;
     if (!username || !password) return res.status(400).json({ success: false, error: 'Username and password required' });
-    
-    const existing = get('SELECT id FROM users WHERE username = ? OR email = ?', [username, email]);
+    const problem = auth.passwordProblem(password);
+    if (problem) return res.status(400).json({ success: false, error: problem });
+    if (unknownRole(role)) return res.status(400).json({ success: false, error: `Unknown role ${role}` });
+
+    const { n: userCount } = get('SELECT COUNT(*) AS n FROM users');
+    if (userCount === 0) {
+      role = auth.ADMIN_ROLE;
+    } else if (role && role !== auth.DEFAULT_ROLE) {
+      if (!canManageUsers(req.user)) return res.status(403).json({ success: false, error: 'Only an admin can assign roles' });
+    }
+    role = role || auth.DEFAULT_ROLE;
+
+    const existing = get('SELECT id FROM users WHERE username = ? OR email = ?', [username, email || null]);
     if (existing) return res.status(400).json({ success: false, error: 'Username or email already exists' });
-    
+
     const id = uuidv4();
-    const passwordHash = hashPassword(password);
-    run('INSERT INTO users (id, username, email, password_hash, role) VALUES (?, ?, ?, ?, ?)',
-      [id, username, email, passwordHash, role]);
-    
+    run('INSERT INTO users (id, username, email, password_hash, role, role_confirmed, password_changed_at) VALUES (?, ?, ?, ?, ?, 1, ?)',
+      [id, username, email || null, auth.hashSecret(password), role, new Date().toISOString()]);
+
     res.json({ success: true, user: { id, username, email, role } });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
 // Login
+// With two-factor on, send the TOTP code as otp (a first attempt without it answers mfa_required)
 app.post('/auth/login', (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, otp } = req.body;
     if (!username || !password) return res.status(400).json({ success: false, error: 'Username and password required' });
-    
+
     const user = get('SELECT * FROM users WHERE (username = ? OR email = ?) AND active = 1', [username, username]);
-    if (!user) return res.status(401).json({ success: false, error: 'Invalid credentials' });
-    
-    const passwordHash = hashPassword(password);
-    if (user.password_hash !== passwordHash) return res.status(401).json({ success: false, error: 'Invalid credentials' });
-    
-    const token = generateToken();
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(); // 24 hours
-    const sessionId = uuidv4();
-    
-    run('INSERT INTO sessions (id, user_id, token, expires_at) VALUES (?, ?, ?, ?)', [sessionId, user.id, token, expiresAt]);
-    run('UPDATE users SET last_login = ? WHERE id = ?', [new Date().toISOString(), user.id]);
-    
+    if (!user) {
+      auth.burnHashTime(password);
+      return res.status(401).json({ success: false, error: 'Invalid credentials' });
+    }
+
+    const failure = checkCredentials(user, { secret: password, hashColumn: 'password_hash', otp, requireMfa: true });
+    if (failure) return res.status(failure.status).json(failure.body);
+
+    const session = auth.createSession(user, { method: 'password', req });
+    res.json({
+      success: true,
+      token: session.token,
+      expires_at: session.expires_at,
+      session_id: session.id,
+      user: publicUser(user)
+    });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Cashier PIN login for POS terminals: shorter sessions, no second factor
+app.post('/auth/pin-login', (req, res) => {
+  try {
+    const { username, pin, terminal_id } = req.body;
+    if (!username || !pin) return res.status(400).json({ success: false, error: 'Username and PIN required' });
+
+    const user = get('SELECT * FROM users WHERE username = ? AND active = 1', [username]);
+    if (!user || !user.pin_hash) {
+      auth.burnHashTime(pin);
+      return res.status(401).json({ success: false, error: 'Invalid credentials' });
+    }
+
+    const failure = checkCredentials(user, { secret: String(pin), hashColumn: 'pin_hash', requireMfa: false });
+    if (failure) return res.status(failure.status).json(failure.body);
+
+    const session = auth.createSession(user, { method: 'pin', req, terminal_id: terminal_id || null });
     res.json({
       success: true,
-      token,
-      expires_at: expiresAt,
-      user: { id: user.id, username: user.username, email: user.email, role: user.role }
+      token: session.token,
+      expires_at: session.expires_at,
+      session_id: session.id,
+      user: publicUser(user)
     });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
@@ -94,65 +154,298 @@ app.post('/auth/validate', (req, res) => {
   try {
     const { token } = req.body;
     if (!token) return res.status(400).json({ success: false, error: 'Token required' });
-    
-    const session = get('SELECT s.*, u.username, u.email, u.role FROM sessions s JOIN users u ON s.user_id = u.id WHERE s.token = ? AND s.expires_at > ?',
-      [token, new Date().toISOString()]);
-    
-    if (!session) return res.status(401).json({ success: false, error: 'Invalid or expired token' });
-    
-    res.json({
-      success: true,
-      valid: true,
-      user: { id: session.user_id, username: session.username, email: session.email, role: session.role }
-    });
+
+    const found = auth.validateSession(token);
+    if (!found) return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+
+    res.json({ success: true, valid: true, session_id: found.session_id, method: found.method, user: found.user });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
 // Logout
 app.post('/auth/logout', (req, res) => {
   try {
-    const { token } = req.body;
+    const token = req.body.token || auth.bearerToken(req);
     if (token) run('DELETE FROM sessions WHERE token = ?', [token]);
     res.json({ success: true, message: 'Logged out' });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
-// Change password
-app.post('/auth/change-password', (req, res) => {
+// Change the signed-in user's password; with two-factor on, send the TOTP code as otp.
+// Every other session is signed out.
+app.post('/auth/change-password', auth.requireAuth, (req, res) => {
   try {
-    const { user_id, old_password, new_password } = req.body;
-    if (!user_id || !old_password || !new_password) return res.status(400).json({ success: false, error: 'user_id, old_password, new_password required' });
-    
-    const user = get('SELECT * FROM users WHERE id = ?', [user_id]);
+    const { old_password, new_password, otp } = req.body;
+    if (!old_password || !new_password) return res.status(400).json({ success: false, error: 'old_password and new_password required' });
+    if (req.body.user_id && req.body.user_id !== req.user.id) {
+      return res.status(403).json({ success: false, error: 'You can only change your own password' });
+    }
+    const problem = auth.passwordProblem(new_password);
+    if (problem) return res.status(400).json({ success: false, error: problem });
+
+    const user = get('SELECT * FROM users WHERE id = ?', [req.user.id]);
+    const failure = checkCredentials(user, { secret: old_password, hashColumn: 'password_hash', otp, requireMfa: true });
+    if (failure) {
+      if (failure.status === 401 && !failure.body.mfa_required) return res.status(401).json({ success: false, error: 'Invalid old password' });
+      return res.status(failure.status).json(failure.body);
+    }
+
+    const now = new Date().toISOString();
+    run('UPDATE users SET password_hash = ?, password_changed_at = ?, updated_at = ? WHERE id = ?', [auth.hashSecret(new_password), now, now, user.id]);
+    const revoked = auth.revokeSessions(user.id, req.session.id);
+
+    res.json({ success: true, message: 'Password changed', revoked });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// ============================================
+// PIN - set by the user (with their password) or by an admin
+// ============================================
+
+app.post('/auth/pin', auth.requireAuth, (req, res) => {
+  try {
+    const { pin, password, user_id } = req.body;
+    const problem = auth.pinProblem(pin);
+    if (problem) return res.status(400).json({ success: false, error: problem });
+
+    const targetId = user_id || req.user.id;
+    if (targetId !== req.user.id && !canManageUsers(req.user)) {
+      return res.status(403).json({ success: false, error: 'Only an admin can set another user\'s PIN' });
+    }
+    const user = get('SELECT * FROM users WHERE id = ?', [targetId]);
     if (!user) return res.status(404).json({ success: false, error: 'User not found' });
-    
-    if (user.password_hash !== hashPassword(old_password)) return res.status(401).json({ success: false, error: 'Invalid old password' });
-    
-    run('UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?', [hashPassword(new_password), new Date().toISOString(), user_id]);
-    run('DELETE FROM sessions WHERE user_id = ?', [user_id]); // Invalidate all sessions
-    
-    res.json({ success: true, message: 'Password changed' });
+
+    if (targetId === req.user.id) {
+      if (!password) return res.status(400).json({ success: false, error: 'password required' });
+      const failure = checkCredentials(user, { secret: password, hashColumn: 'password_hash', requireMfa: false });
+      if (failure) return res.status(failure.status).json(failure.body);
+    }
+
+    run('UPDATE users SET pin_hash = ?, updated_at = ? WHERE id = ?', [auth.hashSecret(String(pin)), new Date().toISOString(), targetId]);
+    res.json({ success: true, message: 'PIN set' });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.delete('/auth/pin', auth.requireAuth, (req, res) => {
+  try {
+    run('UPDATE users SET pin_hash = NULL, updated_at = ? WHERE id = ?', [new Date().toISOString(), req.user.id]);
+    run("DELETE FROM sessions WHERE user_id = ? AND method = 'pin'", [req.user.id]);
+    res.json({ success: true, message: 'PIN removed' });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
-// List users (admin)
-app.get('/users', (req, res) => {
+// ============================================
+// TWO-FACTOR (TOTP)
+// ============================================
+
+// Start setup: returns a secret / otpauth URI for the authenticator app.
+// Nothing changes at login until /auth/mfa/enable confirms a code.
+app.post('/auth/mfa/setup', auth.requireAuth, (req, res) => {
   try {
-    const users = query('SELECT id, username, email, role, active, last_login, created_at FROM users ORDER BY created_at DESC');
+    const user = get('SELECT * FROM users WHERE id = ?', [req.user.id]);
+    if (user.mfa_enabled) return res.status(400).json({ success: false, error: 'Two-factor is already enabled' });
+
+    const secret = auth.generateTotpSecret();
+    run('UPDATE users SET mfa_secret = ?, mfa_last_step = NULL, updated_at = ? WHERE id = ?', [secret, new Date().toISOString(), user.id]);
+    res.json({ success: true, secret, otpauth_uri: auth.totpUri(secret, user.email || user.username) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/auth/mfa/enable', auth.requireAuth, (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = get('SELECT * FROM users WHERE id = ?', [req.user.id]);
+    if (user.mfa_enabled) return res.status(400).json({ success: false, error: 'Two-factor is already enabled' });
+    if (!user.mfa_secret) return res.status(400).json({ success: false, error: 'Run /auth/mfa/setup first' });
+
+    const step = auth.verifyTotp(user.mfa_secret, code, null);
+    if (step === null) return res.status(400).json({ success: false, error: 'Invalid two-factor code' });
+
+    run('UPDATE users SET mfa_enabled = 1, mfa_last_step = ?, updated_at = ? WHERE id = ?', [step, new Date().toISOString(), user.id]);
+    res.json({ success: true, message: 'Two-factor enabled' });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Turning it off needs both the password and a current code
+app.post('/auth/mfa/disable', auth.requireAuth, (req, res) => {
+  try {
+    const { password, code } = req.body;
+    if (!password || !code) return res.status(400).json({ success: false, error: 'password and code required' });
+    const user = get('SELECT * FROM users WHERE id = ?', [req.user.id]);
+    if (!user.mfa_enabled) return res.status(400).json({ success: false, error: 'Two-factor is not enabled' });
+
+    const failure = checkCredentials(user, { secret: password, hashColumn: 'password_hash', otp: code, requireMfa: true });
+    if (failure) return res.status(failure.status).json(failure.body);
+
+    run('UPDATE users SET mfa_enabled = 0, mfa_secret = NULL, mfa_last_step = NULL, updated_at = ? WHERE id = ?', [new Date().toISOString(), user.id]);
+    res.json({ success: true, message: 'Two-factor disabled' });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// ============================================
+// SESSIONS - the caller's own
+// ============================================
+
+app.get('/auth/sessions', auth.requireAuth, (req, res) => {
+  try {
+    const sessions = auth.listSessions(req.user.id).map(s => ({ ...s, current: s.id === req.session.id }));
+    res.json({ success: true, sessions });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.delete('/auth/sessions/:id', auth.requireAuth, (req, res) => {
+  try {
+    if (!auth.revokeSession(req.user.id, req.params.id)) return res.status(404).json({ success: false, error: 'Session not found' });
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Sign out everywhere else
+app.post('/auth/sessions/revoke-others', auth.requireAuth, (req, res) => {
+  try {
+    const revoked = auth.revokeSessions(req.user.id, req.session.id);
+    res.json({ success: true, revoked });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// ============================================
+// PERMISSIONS & MANAGER APPROVALS
+// ============================================
+
+app.get('/auth/roles', auth.requireAuth, (req, res) => {
+  try {
+    const roles = Object.entries(permissions.ROLES).map(([id, role]) => ({
+      id, label: role.label, all_stores: role.allStores, permissions: permissions.permissionsFor(id)
+    }));
+    res.json({ success: true, roles, escalatable: permissions.ESCALATABLE });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// What the signed-in user may do, for UIs to hide what they can't
+app.get('/auth/me', auth.requireAuth, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      user: req.user,
+      permissions: permissions.permissionsFor(req.user.role),
+      stores: permissions.storesFor(req.user)
+    });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// A manager approves a refund (permissions.ESCALATABLE) on the signed-in user's
+// terminal with their PIN (or password). The token goes back with the request
+// as X-Approval-Token and works once, within APPROVAL_MINUTES, on a record in
+// store_id (required when the requester is limited to stores).
+app.post('/auth/approvals', auth.requireAuth, (req, res) => {
+  try {
+    const { username, pin, password, permission, store_id, reason } = req.body;
+    if (!username || !(pin || password) || !permission) {
+      return res.status(400).json({ success: false, error: 'username, pin or password, and permission required' });
+    }
+
+    const approver = get('SELECT * FROM users WHERE username = ? AND active = 1', [username]);
+    const hashColumn = pin ? 'pin_hash' : 'password_hash';
+    if (!approver || !approver[hashColumn]) {
+      auth.burnHashTime(pin || password);
+      return res.status(401).json({ success: false, error: 'Invalid credentials' });
+    }
+    const failure = checkCredentials(approver, { secret: String(pin || password), hashColumn, requireMfa: false });
+    if (failure) return res.status(failure.status).json(failure.body);
+
+    const approval = permissions.grantApproval(approver, req.user, { permission, store_id: store_id || null, reason: reason || null });
+    if (approval.error) return res.status(approval.status).json({ success: false, error: approval.error });
+    res.json({ success: true, approval_token: approval.token, expires_at: approval.expires_at, approved_by: publicUser(approver) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/auth/approvals', requireUserAdmin, (req, res) => {
+  try {
+    const { limit = 100 } = req.query;
+    const approvals = query(`SELECT a.id, a.permission, a.store_id, a.reason, a.expires_at, a.used_at, a.used_for, a.created_at,
+      r.username AS requested_by, m.username AS approved_by
+      FROM auth_approvals a LEFT JOIN users r ON a.requested_by = r.id LEFT JOIN users m ON a.approved_by = m.id
+      ORDER BY a.created_at DESC LIMIT ?`, [parseInt(limit) || 100]);
+    res.json({ success: true, approvals });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// ============================================
+// USERS (admin)
+// ============================================
+
+// List users
+app.get('/users', requireUserAdmin, (req, res) => {
+  try {
+    const users = query(`SELECT id, username, email, role, active, last_login, created_at,
+      mfa_enabled, locked_until, pin_hash IS NOT NULL AS has_pin FROM users ORDER BY created_at DESC`);
     res.json({ success: true, users });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
-// Update user
-app.put('/users/:id', (req, res) => {
+// Update user (role, active; unlock clears a lockout)
+app.put('/users/:id', requireUserAdmin, (req, res) => {
   try {
-    const { role, active } = req.body;
-    run('UPDATE users SET role = COALESCE(?, role), active = COALESCE(?, active), updated_at = ? WHERE id = ?',
-      [role, active, new Date().toISOString(), req.params.id]);
+    const { role, active, unlock } = req.body;
+    if (unknownRole(role)) return res.status(400).json({ success: false, error: `Unknown role ${role}` });
+    const user = get('SELECT id FROM users WHERE id = ?', [req.params.id]);
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+
+    run(`UPDATE users SET role = COALESCE(?, role), role_confirmed = CASE WHEN ? IS NULL THEN role_confirmed ELSE 1 END,
+      active = COALESCE(?, active), updated_at = ? WHERE id = ?`,
+      [role ?? null, role ?? null, active === undefined ? null : (active ? 1 : 0), new Date().toISOString(), req.params.id]);
+    if (unlock) auth.clearFailedAttempts(req.params.id);
+    if (active !== undefined && !active) auth.revokeSessions(req.params.id);
     res.json({ success: true, message: 'User updated' });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// Stores a cashier or store manager works in (none assigned: any store)
+app.get('/users/:id/stores', requireUserAdmin, (req, res) => {
+  try {
+    const stores = query('SELECT store_id FROM user_stores WHERE user_id = ? ORDER BY store_id', [req.params.id]).map(r => r.store_id);
+    res.json({ success: true, stores });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.put('/users/:id/stores', requireUserAdmin, (req, res) => {
+  try {
+    const { store_ids } = req.body;
+    if (!Array.isArray(store_ids)) return res.status(400).json({ success: false, error: 'store_ids array required' });
+    if (!get('SELECT id FROM users WHERE id = ?', [req.params.id])) return res.status(404).json({ success: false, error: 'User not found' });
+    permissions.setUserStores(req.params.id, store_ids.map(String));
+    res.json({ success: true, stores: Array.from(new Set(store_ids.map(String))) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/users/:id/sessions', requireUserAdmin, (req, res) => {
+  try {
+    res.json({ success: true, sessions: auth.listSessions(req.params.id) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.delete('/users/:id/sessions', requireUserAdmin, (req, res) => {
+  try {
+    const revoked = auth.revokeSessions(req.params.id);
+    res.json({ success: true, revoked });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.delete('/users/:id/sessions/:sessionId', requireUserAdmin, (req, res) => {
+  try {
+    if (!auth.revokeSession(req.params.id, req.params.sessionId)) return res.status(404).json({ success: false, error: 'Session not found' });
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Reset two-factor for a user who lost their authenticator
+app.delete('/users/:id/mfa', requireUserAdmin, (req, res) => {
+  try {
+    run('UPDATE users SET mfa_enabled = 0, mfa_secret = NULL, mfa_last_step = NULL, updated_at = ? WHERE id = ?', [new Date().toISOString(), req.params.id]);
+    res.json({ success: true, message: 'Two-factor reset' });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
 app.get('*', (req, res) => {
   const indexPath = path.join(uiPath, 'index.html');
   if (fs.existsSync(indexPath)) res.sendFile(indexPath);
@@ -0,0 +1,113 @@
+/**
+ * Change password tests - the service runs in its own process on a fresh
+ * database and is only talked to over HTTP.
+ * Run: npm test (from authentication)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-authn-'));
+
+let service;
+let base;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function call(method, url, body, token) {
+  const headers = { 'content-type': 'application/json' };
+  if (token) headers.authorization = `Bearer ${token}`;
+  const res = await fetch(base + url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  return { status: res.status, body: await res.json() };
+}
+
+// The authenticator app's side of RFC 6238; stepOffset picks a neighbouring code
+function totp(secret, stepOffset = 0) {
+  let bits = '';
+  for (const c of secret) bits += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'.indexOf(c).toString(2).padStart(5, '0');
+  const key = Buffer.from(bits.match(/.{8}/g).map(b => parseInt(b, 2)));
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + stepOffset));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  return String((digest.readUInt32BE(offset) & 0x7fffffff) % 1e6).padStart(6, '0');
+}
+
+async function login(username, password, otp) {
+  const r = await call('POST', '/auth/login', { username, password, otp });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  return r.body;
+}
+
+test.before(async () => {
+  const port = await freePort();
+  service = spawn(process.execPath, [path.join(__dirname, '..', 'service.js')], {
+    env: { ...process.env, HOME: home, PORT: String(port) },
+    stdio: 'ignore'
+  });
+  base = `http://127.0.0.1:${port}`;
+  for (let i = 0; ; i++) {
+    try {
+      if ((await fetch(base + '/health')).ok) break;
+    } catch (e) {
+      if (i > 150) throw new Error('authentication did not start');
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  assert.equal((await call('POST', '/auth/register', { username: 'owner', password: 'owner-pass-1' })).status, 200);
+  assert.equal((await call('POST', '/auth/register', { username: 'asha', password: 'asha-pass-1' })).status, 200);
+});
+
+test.after(() => {
+  if (service) service.kill();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('changing a password needs a signed-in user and only changes their own', async () => {
+  assert.equal((await call('POST', '/auth/change-password', { old_password: 'asha-pass-1', new_password: 'new-pass-1' })).status, 401);
+
+  const { token, user } = await login('asha', 'asha-pass-1');
+  const owner = await login('owner', 'owner-pass-1');
+  let r = await call('POST', '/auth/change-password', { user_id: owner.user.id, old_password: 'asha-pass-1', new_password: 'new-pass-1' }, token);
+  assert.equal(r.status, 403);
+
+  r = await call('POST', '/auth/change-password', { user_id: user.id, old_password: 'wrong-pass', new_password: 'new-pass-1' }, token);
+  assert.equal(r.status, 401);
+  assert.equal(r.body.error, 'Invalid old password');
+  assert.equal((await call('POST', '/auth/login', { username: 'owner', password: 'owner-pass-1' })).status, 200, 'owner untouched');
+});
+
+test('with two-factor on, a password change needs a current code and signs out other sessions', async () => {
+  const { token } = await login('owner', 'owner-pass-1');
+  const other = await login('owner', 'owner-pass-1');
+  const setup = await call('POST', '/auth/mfa/setup', {}, token);
+  assert.equal((await call('POST', '/auth/mfa/enable', { code: totp(setup.body.secret, 0) }, token)).status, 200);
+
+  let r = await call('POST', '/auth/change-password', { old_password: 'owner-pass-1', new_password: 'owner-pass-2' }, token);
+  assert.equal(r.status, 401);
+  assert.equal(r.body.mfa_required, true);
+  r = await call('POST', '/auth/change-password', { old_password: 'owner-pass-1', new_password: 'owner-pass-2', otp: '000000' }, token);
+  assert.equal(r.status, 401);
+  assert.equal(r.body.error, 'Invalid two-factor code');
+
+  r = await call('POST', '/auth/change-password', { old_password: 'owner-pass-1', new_password: 'owner-pass-2', otp: totp(setup.body.secret, 1) }, token);
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.ok(r.body.revoked >= 2, 'both earlier owner sessions besides this one');
+
+  assert.equal((await call('GET', '/auth/me', null, token)).status, 200, 'this session stays signed in');
+  assert.equal((await call('GET', '/auth/me', null, other.token)).status, 401, 'the other one is signed out');
+  assert.equal((await call('POST', '/auth/login', { username: 'owner', password: 'owner-pass-1' })).status, 401);
+});
@@ -3,17 +3,23 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run } = require('../shared/db');
+const { initDb, query, run, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8817;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'barcode_labels', mode: 'lite' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+app.use('/api', permissions.requireResource('catalog'));
+
 app.get('/api/products', (req, res) => {
   try { res.json({ success: true, data: query('SELECT id, sku, name, price, barcode FROM products WHERE active = 1') }); }
   catch (err) { res.status(500).json({ success: false, error: err.message }); }
@@ -3,19 +3,26 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
 const { notifyAccounting } = require('../shared/accounting-hook');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8812;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'billing_engine', mode: 'lite' }));
 app.get('/healthz', (req, res) => res.json({ status: 'ok', service: 'billing_engine' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+app.use('/invoices', permissions.requireResource('invoices'));
+app.use('/revenue', permissions.requireResource('reports'));
+
 // List invoices
 app.get('/invoices', (req, res) => {
   try {
@@ -117,7 +124,7 @@ app.get('/invoices/:id/payments', (req, res) => {
 });
 
 // Tax calculation
-app.post('/tax/calculate', (req, res) => {
+app.post('/tax/calculate', permissions.requirePermission('invoices:read'), (req, res) => {
   try {
     const { items, location } = req.body;
     const taxRates = { 'US-CA': 0.0725, 'US-NY': 0.08875, 'US-TX': 0.0625, 'IN-KA': 0.18, 'IN-MH': 0.18, 'default': 0.10 };
@@ -156,7 +163,7 @@ app.get('/revenue/summary', (req, res) => {
 });
 
 // Customer invoices
-app.get('/customers/:customer_id/invoices', (req, res) => {
+app.get('/customers/:customer_id/invoices', permissions.requirePermission('invoices:read'), (req, res) => {
   try {
     const invoices = query('SELECT * FROM invoices WHERE customer_id = ? ORDER BY created_at DESC', [req.params.customer_id]);
     res.json({ success: true, invoices, count: invoices.length });
@@ -3,18 +3,24 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8886;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'business_tools', mode: 'lite' }));
 app.get('/healthz', (req, res) => res.json({ status: 'ok', service: 'business_tools' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+app.use('/tools', permissions.requireResource('reports'));
+
 // Calculator endpoints
 app.post('/tools/margin-calculator', (req, res) => {
   const { cost, price, markup_percent, margin_percent } = req.body;
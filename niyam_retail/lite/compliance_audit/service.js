@@ -3,18 +3,26 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8873;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'compliance_audit', mode: 'lite' }));
 app.get('/healthz', (req, res) => res.json({ status: 'ok', service: 'compliance_audit' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+// Reading the trail is reporting; writing to it is for administrators
+app.use(['/audit-log', '/compliance'], permissions.requirePermission('reports:read', { when: req => req.method === 'GET' }));
+app.use('/audit-log', permissions.requirePermission('system:manage', { when: req => req.method !== 'GET' }));
+
 // Get audit log
 app.get('/audit-log', (req, res) => {
   try {
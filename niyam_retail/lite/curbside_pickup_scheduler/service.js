@@ -3,12 +3,14 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8887;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
@@ -24,6 +26,10 @@ const initPickup = async () => {
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'curbside_pickup_scheduler', mode: 'lite' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+app.use('/pickups', permissions.requireResource('sales'));
+
 app.get('/pickups', (req, res) => {
   try {
     const { date, status } = req.query;
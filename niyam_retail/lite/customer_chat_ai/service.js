@@ -3,12 +3,14 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8895;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
@@ -25,6 +27,10 @@ const initChat = async () => {
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'customer_chat_ai', mode: 'lite' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+app.use('/chat', permissions.requireResource('customers'));
+
 // Start chat session
 app.post('/chat/start', (req, res) => {
   try {
@@ -3,12 +3,14 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8877;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
@@ -36,6 +38,10 @@ const initFeedback = async () => {
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'customer_feedback_management', mode: 'lite' }));
 app.get('/healthz', (req, res) => res.json({ status: 'ok', service: 'customer_feedback_management' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+app.use('/feedback', permissions.requireResource('customers'));
+
 // List feedback
 app.get('/feedback', (req, res) => {
   try {
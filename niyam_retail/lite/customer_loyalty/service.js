@@ -3,12 +3,14 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8951;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
@@ -16,6 +18,12 @@ app.get('/health', (req, res) => res.json({ status: 'ok', service: 'customer_loy
 app.get('/healthz', (req, res) => res.json({ status: 'ok', service: 'customer_loyalty' }));
 app.get('/status', (req, res) => res.json({ success: true, service: 'customer_loyalty', ready: true }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+// Points are earned and redeemed at the till; the programme itself is loyalty:write
+app.use(['/loyalty/earn', '/loyalty/redeem'], permissions.requirePermission('sales:create'));
+app.use('/loyalty', permissions.requireResource('loyalty', { when: req => !['/earn', '/redeem'].includes(req.path) }));
+
 // Get loyalty summary for customer
 app.get('/loyalty/:customer_id/summary', (req, res) => {
   try {
@@ -8,7 +8,8 @@ const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get, saveDb } = require('../shared/db');
+const { initDb, query, run, get, saveDb, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8952;
@@ -27,6 +28,7 @@ app.use(cors({
 }));
 
 app.use(express.json());
+app.use(writeLock);
 
 // Serve embedded UI
 const uiPath = path.join(__dirname, 'ui', 'dist');
@@ -119,6 +121,16 @@ app.get('/readyz', (req, res) => res.json({ status: 'ready', service: 'customer_
 app.get('/status', (req, res) => res.json({ success: true, service: 'customer_relationship_management', mode: 'lite', ready: true, persistence: 'sqlite' }));
 app.get('/stats', (req, res) => res.json({ uptime: process.uptime(), service: 'crm-lite', version: '1.2.0', persistence: 'sqlite' }));
 
+// ============================================
+// PERMISSIONS (shared/permissions.js)
+// ============================================
+app.use(permissions.authenticate);
+app.use('/privacy/export', permissions.requirePermission('customers:export'));
+app.use(['/customers', '/privacy'], permissions.requireResource('customers'));
+app.use(['/deals', '/activities', '/ai', '/journey', '/campaigns', '/segments', '/tags'], permissions.requireResource('crm'));
+app.use('/loyalty', permissions.requireResource('loyalty'));
+app.use(['/analytics', '/api/analytics', '/audit'], permissions.requireResource('reports'));
+
 // ============================================
 // CUSTOMER ENDPOINTS
 // ============================================
@@ -15,8 +15,6 @@ const ALLOW_ALL_CORS = (process.env.ALLOW_ALL_CORS || 'true').toLowerCase() ===
 const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
 const ORIGIN_ALLOWLIST = ALLOWED_ORIGINS.length ? ALLOWED_ORIGINS : DEFAULT_ALLOWED_ORIGINS;
 
-const SKIP_AUTH = (process.env.SKIP_AUTH || 'true').toLowerCase() === 'true';
-const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret_change_me';
 const PORT = process.env.PORT || 8811;
 
 module.exports = {
@@ -26,7 +24,5 @@ module.exports = {
   DEFAULT_ALLOWED_ORIGINS,
   ALLOW_ALL_CORS,
   ORIGIN_ALLOWLIST,
-  SKIP_AUTH,
-  JWT_SECRET,
   PORT
 };
@@ -1,11 +1,17 @@
 // Database initialization for Inventory Management
 // Runs migrations on startup
 
-const { query } = require('@vruksha/platform/db/postgres');
+const { query, DIALECT } = require('../../shared/sqlDialect');
 const fs = require('fs');
 const path = require('path');
 
 async function runMigrations() {
+  // On SQLite the same tables are created by shared/db.js
+  if (DIALECT !== 'postgres') {
+    console.log('⏭️ Inventory management migrations skipped (schema managed by shared/db.js)');
+    return;
+  }
+
   console.log('🔄 Running inventory management migrations...');
   
   const migrationsDir = path.join(__dirname, 'migrations');
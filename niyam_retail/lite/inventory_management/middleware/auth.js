@@ -1,7 +1,9 @@
 // Authentication and authorization middleware
+// Lite uses the shared retail permission model (../../shared/permissions.js);
+// the role lists on routes ported from docker map onto its inventory permissions.
 
-const jwt = require('jsonwebtoken');
-const { SKIP_AUTH, JWT_SECRET, DEFAULT_TENANT_ID } = require('../config/constants');
+const { DEFAULT_TENANT_ID } = require('../config/constants');
+const permissions = require('../../shared/permissions');
 
 function getTenantId(req) {
   const t = req.headers['x-tenant-id'];
@@ -9,37 +11,12 @@ function getTenantId(req) {
   return DEFAULT_TENANT_ID;
 }
 
-function authenticate(req, _res, next) {
-  if (SKIP_AUTH) return next();
-  const hdr = req.headers.authorization || '';
-  const token = hdr.startsWith('Bearer ') ? hdr.slice(7) : null;
-  if (!token) return next();
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
-    req.user = decoded;
-  } catch (_) {
-    // ignore invalid token for non-protected routes
-  }
-  next();
-}
+const authenticate = permissions.authenticate;
 
+// ['admin', 'manager'] guards setup and approvals (inventory:manage); lists that
+// also take 'warehouse' guard day-to-day stock work (inventory:write)
 function requireAnyRole(roles) {
-  return (req, res, next) => {
-    if (SKIP_AUTH) return next();
-    if (!req.user || !Array.isArray(req.user.roles)) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-    const has = req.user.roles.some(r => roles.includes(r));
-    if (!has) return res.status(403).json({ error: 'Forbidden' });
-
-    // tenant consistency check
-    const tokenTenant = req.user.tenant_id;
-    const headerTenant = getTenantId(req);
-    if (tokenTenant && headerTenant && tokenTenant !== headerTenant) {
-      return res.status(403).json({ error: 'Tenant mismatch' });
-    }
-    next();
-  };
+  return permissions.requirePermission(roles.includes('warehouse') ? 'inventory:write' : 'inventory:manage');
 }
 
 module.exports = {
@@ -1,9 +1,11 @@
 // Low Stock Alerts & Analytics Routes
 
 const express = require('express');
-const { query } = require('@vruksha/platform/db/postgres');
-const { getTenantId, requireAnyRole } = require('../middleware');
+const { query } = require('../../shared/sqlDialect');
+const { getTenantId, requireAnyRole } = require('../middleware/auth');
 const { DEFAULT_STORE_ID } = require('../config/constants');
+const { forecastProduct, METHODS } = require('../../shared/demandForecast');
+const { calculateReorderPoint, suggestedOrderQty } = require('../../shared/reorderPrediction');
 
 const router = express.Router();
 
@@ -618,32 +620,32 @@ router.get('/reports/movement', async (req, res, next) => {
     const tenantId = getTenantId(req);
     const { store_id, product_id, from_date, to_date, movement_type } = req.query;
 
-    let conditions = ['tenant_id = $1'];
+    let conditions = ['al.tenant_id = $1'];
     const params = [tenantId];
     let idx = 2;
 
     if (store_id) {
-      conditions.push(`store_id = $${idx++}`);
+      conditions.push(`al.store_id = $${idx++}`);
       params.push(store_id);
     }
 
     if (product_id) {
-      conditions.push(`product_id = $${idx++}`);
+      conditions.push(`al.product_id = $${idx++}`);
       params.push(product_id);
     }
 
     if (from_date) {
-      conditions.push(`created_at >= $${idx++}`);
+      conditions.push(`al.created_at >= $${idx++}`);
       params.push(from_date);
     }
 
     if (to_date) {
-      conditions.push(`created_at <= $${idx++}`);
+      conditions.push(`al.created_at <= $${idx++}`);
       params.push(to_date);
     }
 
     if (movement_type) {
-      conditions.push(`action = $${idx++}`);
+      conditions.push(`al.action = $${idx++}`);
       params.push(movement_type);
     }
 
@@ -861,54 +863,94 @@ router.get('/valuation/by-location', async (req, res, next) => {
 // FORECASTING & REORDER
 // ============================================
 
+// Stock on hand for products in a store
+async function stockLevels(tenantId, storeId, productIds) {
+  if (!productIds.length) return new Map();
+  const result = await query(`
+    SELECT product_id, SUM(quantity) as quantity
+    FROM inventory
+    WHERE tenant_id = $1 AND store_id = $2 AND product_id = ANY($3)
+    GROUP BY product_id
+  `, [tenantId, storeId, productIds]);
+  return new Map(result.rows.map(r => [r.product_id, parseFloat(r.quantity || 0)]));
+}
+
+// Stockout risk: stock below expected lead-time demand is high, below the
+// service-level reorder point is medium
+function stockoutRisk(prediction) {
+  if (!prediction.reliable) return prediction.currentQty <= 0 ? 'high' : 'low';
+  if (prediction.currentQty <= prediction.leadTimeDemand) return 'high';
+  if (prediction.currentQty <= prediction.reorderPoint) return 'medium';
+  return 'low';
+}
+
 // Get demand forecast for a product
 router.get('/forecast/:product_id', async (req, res, next) => {
   try {
     const tenantId = getTenantId(req);
     const { product_id } = req.params;
-    const { periods, method } = req.query;
-    const horizonDays = parseInt(periods) || 30;
-
-    // Get historical sales data (using audit log as proxy)
-    const result = await query(`
-      SELECT 
-        DATE_TRUNC('day', created_at) as date,
-        SUM(ABS(quantity_change)) as daily_movement
-      FROM inventory_audit_log
-      WHERE tenant_id = $1 AND product_id = $2 AND action = 'sale'
-      AND created_at > NOW() - INTERVAL '90 days'
-      GROUP BY DATE_TRUNC('day', created_at)
-      ORDER BY date
-    `, [tenantId, product_id]);
-
-    // Simple moving average forecast
-    const movements = result.rows;
-    const avgDaily = movements.length > 0 
-      ? movements.reduce((sum, m) => sum + parseFloat(m.daily_movement || 0), 0) / movements.length
-      : 0;
-
-    // Generate forecast
-    const forecast = [];
-    const today = new Date();
-    for (let i = 1; i <= horizonDays; i++) {
-      const date = new Date(today);
-      date.setDate(date.getDate() + i);
-      forecast.push({
-        date: date.toISOString().split('T')[0],
-        predicted_demand: Math.round(avgDaily * (0.9 + Math.random() * 0.2)), // Add some variation
-        lower_bound: Math.round(avgDaily * 0.7),
-        upper_bound: Math.round(avgDaily * 1.3)
-      });
+    const { periods, days, method, level, store_id, lead_time_days, service_level } = req.query;
+    // periods = weekly buckets (what the UI asks for), days = explicit daily horizon
+    const horizonDays = parseInt(days) || (parseInt(periods) || 4) * 7;
+    if (method && method !== 'auto' && !METHODS.includes(method)) {
+      return res.status(400).json({ success: false, error: `method must be auto or one of ${METHODS.join(', ')}` });
     }
 
+    const productResult = await query(
+      'SELECT id, name, sku FROM products WHERE tenant_id = $1 AND id = $2',
+      [tenantId, product_id]
+    );
+    const product = productResult.rows[0];
+    if (!product) return res.status(404).json({ success: false, error: 'Product not found' });
+
+    const stock = await stockLevels(tenantId, store_id || DEFAULT_STORE_ID, [product_id]);
+    const forecast = forecastProduct(product_id, {
+      horizon: horizonDays,
+      method,
+      level: level ? parseFloat(level) : undefined,
+      bucket_days: 7
+    });
+    const prediction = calculateReorderPoint(product_id, {
+      currentQty: stock.get(product_id) || 0,
+      leadTimeDays: parseInt(lead_time_days) || undefined,
+      serviceLevel: service_level ? parseFloat(service_level) : undefined
+    });
+
     res.json({
       success: true,
       product_id,
+      product_name: product.name,
+      sku: product.sku,
+      current_stock: prediction.currentQty,
       horizon_days: horizonDays,
-      method: method || 'moving_average',
-      confidence: 0.85,
-      average_daily_demand: parseFloat(avgDaily.toFixed(2)),
-      forecast
+      method: forecast.method,
+      reliable: forecast.reliable,
+      message: forecast.message,
+      confidence: forecast.interval_level,
+      average_daily_demand: forecast.average_daily,
+      avg_daily_demand: forecast.average_daily,
+      backtest: forecast.backtest,
+      calendar: forecast.calendar,
+      forecast: forecast.points.map(p => ({
+        date: p.date,
+        predicted_demand: p.forecast,
+        lower_bound: p.lower,
+        upper_bound: p.upper,
+        event: p.event
+      })),
+      forecast_periods: forecast.buckets.map((b, i) => ({
+        period: `Week ${i + 1}`,
+        start_date: b.start_date,
+        end_date: b.end_date,
+        forecasted_demand: b.forecast,
+        confidence_low: b.lower,
+        confidence_high: b.upper
+      })),
+      total: forecast.total,
+      reorder_point: prediction.reorderPoint,
+      safety_stock: prediction.safetyStock,
+      recommended_order_quantity: suggestedOrderQty(prediction),
+      stockout_risk: stockoutRisk(prediction)
     });
   } catch (error) {
     next(error);
@@ -935,27 +977,28 @@ router.get('/forecast', async (req, res, next) => {
         p.id as product_id,
         p.name,
         p.sku,
-        p.category,
-        COALESCE(
-          (SELECT AVG(ABS(quantity_change)) 
-           FROM inventory_audit_log al 
-           WHERE al.product_id = p.id AND al.action = 'sale' 
-           AND al.created_at > NOW() - INTERVAL '30 days'), 0
-        ) as avg_daily_demand
+        p.category
       FROM products p
       WHERE ${conditions.join(' AND ')}
       ORDER BY p.name
       LIMIT 100
     `, params);
 
-    const forecasts = result.rows.map(r => ({
-      product_id: r.product_id,
-      name: r.name,
-      sku: r.sku,
-      category: r.category,
-      avg_daily_demand: parseFloat((parseFloat(r.avg_daily_demand || 0)).toFixed(2)),
-      predicted_30_day: Math.round(parseFloat(r.avg_daily_demand || 0) * 30)
-    }));
+    const forecasts = result.rows.map(r => {
+      const forecast = forecastProduct(r.product_id, { horizon: horizonDays });
+      return {
+        product_id: r.product_id,
+        name: r.name,
+        sku: r.sku,
+        category: r.category,
+        method: forecast.method,
+        reliable: forecast.reliable,
+        avg_daily_demand: forecast.average_daily,
+        predicted_demand: forecast.total.forecast,
+        lower_bound: forecast.total.lower,
+        upper_bound: forecast.total.upper
+      };
+    });
 
     res.json({
       success: true,
@@ -971,9 +1014,16 @@ router.get('/forecast', async (req, res, next) => {
 router.get('/reorder/suggestions', async (req, res, next) => {
   try {
     const tenantId = getTenantId(req);
-    const { store_id, category, urgency } = req.query;
+    const { store_id, category, urgency, lead_time_days, service_level } = req.query;
     const storeId = store_id || DEFAULT_STORE_ID;
 
+    let conditions = ['p.tenant_id = $1', 'i.store_id = $2', "p.status = 'active'"];
+    const params = [tenantId, storeId];
+    if (category) {
+      conditions.push('p.category = $3');
+      params.push(category);
+    }
+
     const result = await query(`
       SELECT 
         p.id as product_id,
@@ -982,29 +1032,45 @@ router.get('/reorder/suggestions', async (req, res, next) => {
         p.category,
         p.cost,
         i.quantity as current_stock,
-        COALESCE(i.reorder_point, p.min_stock_level, 10) as reorder_point,
-        COALESCE(i.reorder_quantity, 50) as suggested_quantity,
-        CASE 
-          WHEN i.quantity <= 0 THEN 'critical'
-          WHEN i.quantity <= COALESCE(i.reorder_point, p.min_stock_level, 10) * 0.25 THEN 'high'
-          WHEN i.quantity <= COALESCE(i.reorder_point, p.min_stock_level, 10) * 0.5 THEN 'medium'
-          ELSE 'low'
-        END as urgency
+        COALESCE(i.reorder_point, p.min_stock_level, 10) as manual_reorder_point
       FROM products p
       JOIN inventory i ON p.id = i.product_id
-      WHERE p.tenant_id = $1 AND i.store_id = $2 AND p.status = 'active'
-      AND i.quantity <= COALESCE(i.reorder_point, p.min_stock_level, 10)
-      ORDER BY 
-        CASE 
-          WHEN i.quantity <= 0 THEN 1
-          WHEN i.quantity <= COALESCE(i.reorder_point, p.min_stock_level, 10) * 0.25 THEN 2
-          WHEN i.quantity <= COALESCE(i.reorder_point, p.min_stock_level, 10) * 0.5 THEN 3
-          ELSE 4
-        END,
-        i.quantity ASC
-    `, [tenantId, storeId]);
+      WHERE ${conditions.join(' AND ')}
+    `, params);
 
-    let suggestions = result.rows;
+    // Reorder point and quantity come from each product's demand forecast;
+    // products without enough sales history keep their manual reorder point
+    const leadTimeDays = parseInt(lead_time_days) || undefined;
+    const serviceLevel = service_level ? parseFloat(service_level) : undefined;
+    const urgencyRank = { critical: 1, high: 2, medium: 3, low: 4, unknown: 5 };
+    let suggestions = result.rows.map(row => {
+      const currentQty = parseFloat(row.current_stock || 0);
+      const prediction = calculateReorderPoint(row.product_id, { currentQty, leadTimeDays, serviceLevel });
+      const manualPoint = parseFloat(row.manual_reorder_point);
+      const reorderPoint = prediction.reliable ? prediction.reorderPoint : manualPoint;
+      if (currentQty > reorderPoint) return null;
+      return {
+        product_id: row.product_id,
+        name: row.name,
+        sku: row.sku,
+        category: row.category,
+        cost: row.cost,
+        current_stock: currentQty,
+        reorder_point: reorderPoint,
+        safety_stock: prediction.safetyStock || 0,
+        suggested_quantity: prediction.reliable ? suggestedOrderQty(prediction) : 50,
+        avg_daily_sales: prediction.avgDailySales || 0,
+        days_of_stock: prediction.avgDailySales > 0 ? Math.floor(currentQty / prediction.avgDailySales) : null,
+        lead_time_days: prediction.leadTimeDays || leadTimeDays || null,
+        forecast_method: prediction.method || null,
+        urgency: prediction.reliable
+          ? prediction.urgency
+          : currentQty <= 0 ? 'critical'
+          : currentQty <= manualPoint * 0.25 ? 'high'
+          : currentQty <= manualPoint * 0.5 ? 'medium' : 'low'
+      };
+    }).filter(Boolean)
+      .sort((a, b) => (urgencyRank[a.urgency] - urgencyRank[b.urgency]) || (a.current_stock - b.current_stock));
     
     if (urgency) {
       suggestions = suggestions.filter(s => s.urgency === urgency);
@@ -2,10 +2,9 @@
 // Locations, Transfers, Stock Counts, GRN
 
 const express = require('express');
-const { z } = require('zod');
-const { query, getClient } = require('@vruksha/platform/db/postgres');
-const { getTenantId, requireAnyRole } = require('../middleware');
-const { publishEnvelope } = require('@vruksha/platform/sdk/node');
+const { query, getClient } = require('../../shared/sqlDialect');
+const { getTenantId, requireAnyRole } = require('../middleware/auth');
+const { getEventBus } = require('../../shared/eventBus');
 const { DEFAULT_STORE_ID } = require('../config/constants');
 
 const router = express.Router();
@@ -234,7 +233,7 @@ router.post('/transfers', requireAnyRole(['admin', 'manager', 'warehouse']), asy
 
     await client.query('COMMIT');
 
-    await publishEnvelope('retail.inventory.transfer.created.v1', 1, {
+    await getEventBus().publish('retail.inventory.transfer.created.v1', {
       transfer_id: transfer.id,
       transfer_number: transferNumber,
       tenant_id: tenantId,
@@ -499,7 +498,7 @@ router.post('/transfers/:transfer_id/receive', requireAnyRole(['admin', 'manager
 
     await client.query('COMMIT');
 
-    await publishEnvelope('retail.inventory.transfer.completed.v1', 1, {
+    await getEventBus().publish('retail.inventory.transfer.completed.v1', {
       transfer_id,
       transfer_number: transfer.transfer_number,
       tenant_id: tenantId,
@@ -572,12 +571,12 @@ router.post('/stock-counts', requireAnyRole(['admin', 'manager', 'warehouse']),
     // Insert items to count
     await client.query(`
       INSERT INTO stock_count_items (count_id, product_id, location_id, system_quantity)
-      SELECT $1, i.product_id, il.location_id, COALESCE(il.quantity, i.quantity)
+      SELECT $${idx}, i.product_id, il.location_id, COALESCE(il.quantity, i.quantity)
       FROM inventory i
       LEFT JOIN inventory_locations il ON i.product_id = il.product_id AND il.tenant_id = i.tenant_id
       JOIN products p ON i.product_id = p.id
       WHERE ${itemConditions.join(' AND ')} AND p.status = 'active'
-    `, [stockCount.id, ...itemParams.slice(1)]);
+    `, [...itemParams, stockCount.id]);
 
     const itemsCount = await client.query(`
       SELECT COUNT(*) FROM stock_count_items WHERE count_id = $1
@@ -1573,15 +1572,21 @@ router.post('/receiving/:receipt_id/complete', requireAnyRole(['admin', 'manager
     `, [receipt_id]);
 
     for (const item of itemsResult.rows) {
-      // Update inventory
-      await client.query(`
-        INSERT INTO inventory (tenant_id, product_id, store_id, quantity, available_quantity)
-        VALUES ($1, $2, $3, $4, $4)
-        ON CONFLICT (product_id, store_id) DO UPDATE SET
-          quantity = inventory.quantity + $4,
-          available_quantity = inventory.available_quantity + $4,
+      // Update inventory, creating the stock row on first receipt
+      const stockParams = [tenantId, item.product_id, receiptResult.rows[0].store_id || DEFAULT_STORE_ID, item.received_quantity];
+      const updated = await client.query(`
+        UPDATE inventory SET
+          quantity = quantity + $4,
+          available_quantity = available_quantity + $4,
           updated_at = NOW()
-      `, [tenantId, item.product_id, receiptResult.rows[0].store_id || DEFAULT_STORE_ID, item.received_quantity]);
+        WHERE tenant_id = $1 AND product_id = $2 AND store_id = $3
+      `, stockParams);
+      if (updated.rowCount === 0) {
+        await client.query(`
+          INSERT INTO inventory (id, tenant_id, product_id, store_id, quantity, available_quantity)
+          VALUES (gen_random_uuid(), $1, $2, $3, $4, $4)
+        `, stockParams);
+      }
 
       // Log audit
       await client.query(`
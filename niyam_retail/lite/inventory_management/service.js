@@ -8,15 +8,20 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
 const { notifyAccounting } = require('../shared/accounting-hook');
 const { extractInventoryData, getAIUsageStats } = require('./ai_extractor');
+const permissions = require('../shared/permissions');
+const { errorHandler } = require('./middleware/errorHandler');
+const warehouseRouter = require('./routes/warehouse');
+const alertsRouter = require('./routes/alerts');
 
 const app = express();
 const PORT = process.env.PORT || 8811;
 
 app.use(cors());
 app.use(express.json({ limit: '50mb' })); // Increase limit for image uploads
+app.use(writeLock);
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
 const uiPath = path.join(__dirname, 'ui', 'dist');
@@ -29,8 +34,16 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'inventory_management', mode: 'lite' });
 });
 
+// ============================================
+// PERMISSIONS (shared/permissions.js)
+// ============================================
+app.use(permissions.authenticate);
+app.use(['/api/products', '/products'], permissions.requireResource('catalog'));
+app.use(['/api/stock', '/api/inventory'], permissions.requireResource('inventory'));
+app.use(['/api/inventory/maintenance', '/api/inventory/stats', '/api/inventory/ai-usage'], permissions.requireResource('system'));
+
 // Debug endpoint - shows raw database state
-app.get('/debug/db', (req, res) => {
+app.get('/debug/db', permissions.requirePermission('system:manage'), (req, res) => {
   try {
     const products = query('SELECT * FROM products WHERE active = 1');
     const inventory = query('SELECT * FROM inventory');
@@ -1252,6 +1265,14 @@ app.get('/api/inventory/stats', (req, res) => {
   }
 });
 
+// ============================================
+// WAREHOUSE, ALERTS & FORECASTING
+// ============================================
+// Locations, transfers, counts, GRN, write-offs, batches, analysis and
+// forecasts; the docker route code, running here through shared/sqlDialect
+app.use('/api', permissions.requireResource('inventory'), warehouseRouter, alertsRouter);
+app.use('/api', errorHandler);
+
 // SPA fallback
 app.get('*', (req, res) => {
   const indexPath = path.join(uiPath, 'index.html');
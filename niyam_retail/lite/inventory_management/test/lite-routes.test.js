@@ -0,0 +1,238 @@
+/**
+ * Lite route tests - the warehouse and alerts routers, written against the
+ * PostgreSQL client, running on a fresh sql.js database through sqlDialect.
+ * Run: npm test (from inventory_management)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory, so the shared database starts out empty
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-inventory-'));
+process.env.HOME = home;
+delete process.env.NIYAM_DB_DIALECT;
+
+const express = require('express');
+const { initDb, query, run } = require('../../shared/db');
+const { translate, DIALECT } = require('../../shared/sqlDialect');
+const { runMigrations } = require('../db/init');
+const warehouseRouter = require('../routes/warehouse');
+const alertsRouter = require('../routes/alerts');
+const { errorHandler } = require('../middleware/errorHandler');
+
+let server;
+let base;
+
+async function call(method, url, body) {
+  const res = await fetch(base + url, {
+    method,
+    headers: { 'content-type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+function daysFromNow(days) {
+  return new Date(Date.now() + days * 864e5).toISOString().slice(0, 10);
+}
+
+test.before(async () => {
+  await initDb();
+  await runMigrations();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', warehouseRouter, alertsRouter);
+  app.use('/api', errorHandler);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}/api`;
+
+  run(`INSERT INTO products (id, sku, name, category, price, cost) VALUES
+    ('p1', 'SKU1', 'Rice', 'Grocery', 100, 60), ('p2', 'SKU2', 'Oil', 'Grocery', 200, 150), ('p3', 'SKU3', 'Soap', 'Care', 30, 10),
+    ('p4', 'SKU4', 'Lamp', 'Home', 500, 300)`);
+  run(`INSERT INTO inventory (id, product_id, quantity, min_quantity) VALUES
+    ('i1', 'p1', 40, 20), ('i2', 'p2', 3, 10), ('i3', 'p3', 0, 5), ('i4', 'p4', 8, 2)`);
+  // p4 was stocked 70 days ago and last moved 100 days ago (as far as its dates go)
+  run("UPDATE inventory SET updated_at = datetime('now', '-100 days'), created_at = datetime('now', '-70 days') WHERE id = 'i4'");
+
+  // 60 days of sales for p1, busier every seventh day
+  for (let d = 60; d >= 1; d--) {
+    run(`INSERT INTO sales (id, items, subtotal, total, created_at) VALUES (?, '[]', 100, 100, datetime('now', ?))`, [`s${d}`, `-${d} days`]);
+    run('INSERT INTO sale_items (id, sale_id, product_id, quantity, unit_price) VALUES (?, ?, ?, ?, 100)', [`si${d}`, `s${d}`, 'p1', d % 7 === 0 ? 7 : 3]);
+  }
+});
+
+test.after(() => {
+  if (server) server.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+// ============================================
+// Schema
+// ============================================
+
+test('the lite schema exists although migrations are skipped off PostgreSQL', () => {
+  assert.equal(DIALECT, 'sqlite');
+  const tables = new Set(query("SELECT name FROM sqlite_master WHERE type = 'table'").map(r => r.name));
+  for (const table of ['warehouse_locations', 'inventory_locations', 'stock_transfers', 'stock_transfer_items', 'stock_counts',
+    'stock_count_items', 'goods_receiving', 'stock_writeoffs', 'low_stock_alerts', 'product_batches', 'forecast_calendar_events']) {
+    assert.ok(tables.has(table), `${table} is created by shared/db.js`);
+  }
+});
+
+// ============================================
+// Dialect translation
+// ============================================
+
+test('placeholders and ANY() become positional parameters', () => {
+  const { sql, params } = translate('SELECT * FROM products WHERE tenant_id = $1 AND id = ANY($2) AND sku <> $1', ['t', ['a', 'b']]);
+  assert.equal(sql, 'SELECT * FROM products WHERE tenant_id = ? AND id IN (?, ?) AND sku <> ?');
+  assert.deepEqual(params, ['t', 'a', 'b', 't']);
+});
+
+test('date functions are rewritten for SQLite', () => {
+  const interval = translate("SELECT 1 WHERE x < NOW() + INTERVAL '30 days'", []).sql;
+  assert.match(interval, /datetime\(datetime\('now'\), '\+30 days'\)/);
+  const trunc = translate("SELECT DATE_TRUNC('month', created_at) FROM sales", []).sql;
+  assert.match(trunc, /datetime\(created_at, 'start of month'\)/);
+  const extract = translate('SELECT EXTRACT(DAY FROM NOW() - created_at) FROM sales', []).sql;
+  assert.match(extract, /julianday/);
+  assert.doesNotMatch(extract, /EXTRACT/);
+});
+
+test('translated date arithmetic runs on sql.js', () => {
+  const { sql, params } = translate(`SELECT
+      EXTRACT(DAY FROM NOW() - $1::timestamp) AS days_ago,
+      DATE_TRUNC('month', $1) AS month_start,
+      CASE WHEN $1 < NOW() - INTERVAL '1 day' * $2 THEN 'old' ELSE 'new' END AS age`,
+  [new Date(Date.now() - 10 * 864e5).toISOString().replace('T', ' ').slice(0, 19), 5]);
+  const [row] = query(sql, params);
+  assert.equal(Math.round(row.days_ago), 10);
+  assert.match(row.month_start, /^\d{4}-\d{2}-01 00:00:00$/);
+  assert.equal(row.age, 'old');
+});
+
+// ============================================
+// Warehouse
+// ============================================
+
+test('locations: create, reject duplicates, move stock between them', async () => {
+  let r = await call('POST', '/locations', { code: 'A-1', name: 'Aisle 1', zone: 'A', capacity: 100 });
+  assert.equal(r.status, 201);
+  const from = r.body.location.id;
+  r = await call('POST', '/locations', { code: 'A-1', name: 'Duplicate' });
+  assert.equal(r.status, 400, 'unique violation carries 23505 like PostgreSQL');
+  assert.equal(r.body.error, 'Location code already exists');
+  r = await call('POST', '/locations', { code: 'B-1', name: 'Bay 1', zone: 'B' });
+  const to = r.body.location.id;
+
+  run('INSERT INTO inventory_locations (product_id, location_id, quantity) VALUES (?, ?, 20)', ['p1', from]);
+  r = await call('POST', '/locations/move', { product_id: 'p1', from_location_id: from, to_location_id: to, quantity: 5 });
+  assert.equal(r.status, 200);
+  r = await call('POST', '/locations/move', { product_id: 'p1', from_location_id: from, to_location_id: to, quantity: 500 });
+  assert.equal(r.status, 400);
+
+  const placed = query('SELECT location_id, quantity FROM inventory_locations WHERE product_id = ? ORDER BY quantity', ['p1']);
+  assert.deepEqual(placed.map(p => [p.location_id, p.quantity]), [[to, 5], [from, 15]]);
+  r = await call('GET', '/locations?active_only=true');
+  assert.equal(r.body.locations.length, 2);
+});
+
+test('transfers: create, approve, ship and receive with a variance', async () => {
+  run("INSERT INTO inventory (id, product_id, quantity, store_id) VALUES ('i1b', 'p1', 0, 'store-2')");
+  let r = await call('POST', '/transfers', { to_store_id: 'store-2', items: [{ product_id: 'p1', quantity: 10 }] });
+  assert.equal(r.status, 201);
+  const id = r.body.transfer_id;
+
+  assert.equal((await call('POST', `/transfers/${id}/approve`, {})).status, 200);
+  assert.equal((await call('POST', `/transfers/${id}/approve`, {})).status, 400, 'cannot approve twice');
+  assert.equal((await call('POST', `/transfers/${id}/ship`, { tracking_number: 'TRK' })).body.status, 'in_transit');
+  r = await call('POST', `/transfers/${id}/receive`, { received_items: [{ product_id: 'p1', received_qty: 9, variance_reason: 'damaged' }] });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.variances.length, 1);
+
+  const byStore = Object.fromEntries(query("SELECT store_id, quantity FROM inventory WHERE product_id = 'p1'").map(i => [i.store_id, i.quantity]));
+  assert.equal(byStore['store-2'], 9);
+});
+
+test('batches: expiry status and days left come from translated date arithmetic', async () => {
+  assert.equal((await call('POST', '/products/p1/batches', { batch_number: 'SOON', quantity: 10, expiry_date: daysFromNow(10) })).status, 201);
+  await call('POST', '/products/p1/batches', { batch_number: 'LATER', quantity: 5, expiry_date: daysFromNow(90) });
+  await call('POST', '/products/p1/batches', { batch_number: 'GONE', quantity: 5, expiry_date: '2020-01-01' });
+  await call('POST', '/products/p1/batches', { batch_number: 'NONE', quantity: 5 });
+
+  let r = await call('GET', '/products/p1/batches');
+  const current = Object.fromEntries(r.body.batches.map(b => [b.batch_number, b]));
+  assert.deepEqual(Object.keys(current), ['SOON', 'LATER', 'NONE'], 'expired hidden, no-expiry last');
+  assert.equal(current.SOON.status, 'expiring_soon');
+  assert.equal(current.LATER.status, 'fresh');
+  assert.equal(current.NONE.status, 'no_expiry');
+  assert.ok(Math.abs(current.SOON.days_until_expiry - 10) <= 1);
+
+  r = await call('GET', '/products/p1/batches?include_expired=true');
+  assert.equal(r.body.batches.find(b => b.batch_number === 'GONE').status, 'expired');
+});
+
+// ============================================
+// Alerts & analysis
+// ============================================
+
+test('low stock alerts flag items under their minimum', async () => {
+  const r = await call('GET', '/alerts/low-stock');
+  assert.equal(r.status, 200);
+  const skus = r.body.alerts.map(a => a.sku).sort();
+  assert.deepEqual(skus, ['SKU2', 'SKU3']);
+});
+
+test('dead stock and aging use day differences from EXTRACT', async () => {
+  let r = await call('GET', '/analysis/dead-stock?days_threshold=90');
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.items.map(i => i.sku), ['SKU4'], 'only p4 has not moved for 90 days');
+  const dead = r.body.items[0];
+  assert.ok(Math.abs(dead.days_since_movement - 100) <= 1);
+
+  r = await call('GET', '/analysis/aging');
+  assert.equal(r.status, 200);
+  const aged = r.body.items.find(i => i.sku === 'SKU4');
+  assert.ok(Math.abs(aged.age_days - 70) <= 1);
+});
+
+test('valuation and stock summary aggregate on sql.js', async () => {
+  const r = await call('GET', '/valuation');
+  assert.equal(r.status, 200);
+  assert.equal((await call('GET', '/valuation/by-category')).status, 200);
+  assert.equal((await call('GET', '/reports/stock-summary')).status, 200);
+});
+
+// ============================================
+// Forecasting
+// ============================================
+
+test('a product forecast comes from its sales history', async () => {
+  const r = await call('GET', '/forecast/p1?periods=2');
+  assert.equal(r.status, 200);
+  assert.equal(r.body.reliable, true);
+  assert.equal(r.body.forecast.length, 14);
+  assert.equal(r.body.forecast_periods.length, 2);
+  // 3 a day with a 7 every seventh day averages about 3.6
+  assert.ok(r.body.average_daily_demand > 3 && r.body.average_daily_demand < 4.5, `average ${r.body.average_daily_demand}`);
+  for (const point of r.body.forecast) assert.ok(point.lower_bound <= point.predicted_demand && point.predicted_demand <= point.upper_bound);
+});
+
+test('products without history are not forecast', async () => {
+  const r = await call('GET', '/forecast/p3');
+  assert.equal(r.status, 200);
+  assert.equal(r.body.reliable, false);
+  assert.equal((await call('GET', '/forecast/nope')).status, 404);
+  assert.equal((await call('GET', '/forecast/p1?method=magic')).status, 400);
+});
+
+test('reorder suggestions cover products below their reorder point', async () => {
+  const r = await call('GET', '/reorder/suggestions');
+  assert.equal(r.status, 200);
+  assert.ok(Array.isArray(r.body.suggestions));
+  assert.ok(r.body.suggestions.some(s => s.sku === 'SKU2'));
+});
@@ -3,12 +3,14 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8891;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
@@ -23,6 +25,10 @@ const initLang = async () => {
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'language_support', mode: 'lite' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+app.use(['/locales', '/translate', '/translations'], permissions.requireResource('settings'));
+
 // Available locales
 app.get('/locales', (req, res) => {
   try {
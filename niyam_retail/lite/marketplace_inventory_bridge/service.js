@@ -3,12 +3,14 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8897;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
@@ -23,6 +25,10 @@ const initBridge = async () => {
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'marketplace_inventory_bridge', mode: 'lite' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+app.use(['/marketplaces', '/listings', '/sync'], permissions.requireResource('catalog'));
+
 // List marketplace connections
 app.get('/marketplaces', (req, res) => {
   res.json({ success: true, marketplaces: ['amazon', 'ebay', 'shopify', 'etsy', 'walmart'] });
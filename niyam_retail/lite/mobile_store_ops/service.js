@@ -3,18 +3,27 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8879;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'mobile_store_ops', mode: 'lite' }));
 app.get('/healthz', (req, res) => res.json({ status: 'ok', service: 'mobile_store_ops' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+app.use(['/mobile/sale', '/mobile/sales'], permissions.requireResource('sales'));
+app.use(['/mobile/inventory', '/mobile/alerts'], permissions.requireResource('inventory'));
+app.use(['/mobile/product', '/mobile/products'], permissions.requireResource('catalog'));
+app.use('/mobile/dashboard', permissions.requireResource('reports'));
+
 // Mobile-optimized dashboard
 app.get('/mobile/dashboard', (req, res) => {
   try {
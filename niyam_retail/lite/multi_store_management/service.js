@@ -3,18 +3,26 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8874;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'multi_store_management', mode: 'lite' }));
 app.get('/healthz', (req, res) => res.json({ status: 'ok', service: 'multi_store_management' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+// Stores are settings; moving stock between them is inventory work
+app.use('/stores/transfer', permissions.requirePermission('inventory:write'));
+app.use('/stores', permissions.requireResource('settings', { when: req => req.path !== '/transfer' }));
+
 // List stores
 app.get('/stores', (req, res) => {
   try {
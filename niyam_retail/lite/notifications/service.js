@@ -3,18 +3,26 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8872;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'notifications', mode: 'lite' }));
 app.get('/healthz', (req, res) => res.json({ status: 'ok', service: 'notifications' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+// Any member of staff reads their notifications; broadcasting and clean-up are for administrators
+app.use(['/notifications/broadcast', '/notifications/clear-old'], permissions.requirePermission('system:manage'));
+app.use('/notifications', permissions.requirePermission('system:read'));
+
 // Get notifications for user
 app.get('/notifications', (req, res) => {
   try {
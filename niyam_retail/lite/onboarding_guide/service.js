@@ -3,12 +3,14 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8884;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
@@ -30,6 +32,10 @@ const initOnboarding = async () => {
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'onboarding_guide', mode: 'lite' }));
 app.get('/healthz', (req, res) => res.json({ status: 'ok', service: 'onboarding_guide' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+app.use('/onboarding', permissions.requireResource('settings'));
+
 // Define onboarding steps
 const ONBOARDING_STEPS = [
   { id: 'welcome', name: 'Welcome', description: 'Introduction to the system' },
@@ -3,25 +3,67 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
-const { notifyAccounting } = require('../shared/accounting-hook');
+const { initDb, query, run, get, transaction, writeLock } = require('../shared/db');
+const { deliverAccountingEvent } = require('../shared/accounting-hook');
+const { priceCart, comparePricing, DEFAULT_TOLERANCE } = require('../shared/cartPricing');
+const outbox = require('../shared/outbox');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8819;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'point_of_sale', mode: 'lite' }));
 
+// ============================================
+// PERMISSIONS (shared/permissions.js)
+// ============================================
+// Reads need resource:read and writes resource:write (or its main action);
+// refunds are checked on the returns route
+
+app.use(permissions.authenticate);
+app.use('/sessions', permissions.requireResource('register'));
+app.use(['/api/products', '/products'], permissions.requireResource('catalog'));
+app.use('/api/customers', permissions.requireResource('customers'));
+app.use('/api/gift-cards', permissions.requireResource('gift_cards'));
+app.use(['/api/sales', '/api/cart'], permissions.requireResource('sales'));
+app.use(['/api/settings', '/api/categories'], permissions.requireResource('settings'));
+app.use('/api/outbox', permissions.requireResource('system'));
+
+// Sessions and sales belong to the store their register session was opened in
+function inStore(req, res, storeId) {
+  if (!permissions.enforced() || !req.user || permissions.canAccessStore(req.user, storeId)) return true;
+  res.status(403).json({ success: false, error: `No access to store ${storeId}` });
+  return false;
+}
+
+function sessionStoreId(sessionId) {
+  const session = sessionId ? get('SELECT store_id FROM pos_sessions WHERE id = ?', [sessionId]) : null;
+  return session ? session.store_id : null;
+}
+
+function saleStoreId(sale) {
+  return sessionStoreId(sale.session_id);
+}
+
+// Store of the sale a /api/sales/:id route acts on, for requirePermission's store check
+function saleStore(req) {
+  const sale = get('SELECT session_id FROM sales WHERE id = ?', [req.params.id]);
+  return sale ? saleStoreId(sale) : null;
+}
+
 // ============================================
 // SESSION MANAGEMENT (POS Register)
 // ============================================
 
 app.post('/sessions/open', (req, res) => {
   try {
-    const { store_id, register_id, cashier_id, opening_balance } = req.body;
+    const { store_id, register_id, opening_balance } = req.body;
+    const cashier_id = req.body.cashier_id || (req.user && req.user.id); // Signed-in cashier by default
 
     // Check if there's already an active session for this cashier
     const existing = get('SELECT * FROM pos_sessions WHERE cashier_id = ? AND status = ?', [cashier_id, 'active']);
@@ -87,27 +129,60 @@ app.get('/sessions/active/:cashierId', (req, res) => {
   }
 });
 
+// Expected takings per tender for a session, with counted amounts and variance where given
+function sessionTenders(session, counted = {}) {
+  const breakdown = tenderBreakdown('session_id = ?', [session.id]);
+  const drawer = get(`SELECT COALESCE(SUM(CASE WHEN type = 'cash_in' THEN amount ELSE -amount END), 0) as net
+                      FROM pos_cash_movements WHERE session_id = ?`, [session.id]);
+  const drawerNet = round2(drawer.net);
+  const methods = new Set([...breakdown.map(b => b.method), ...Object.keys(counted), 'cash']);
+  return Array.from(methods).sort().map(method => {
+    const row = breakdown.find(b => b.method === method);
+    const taken = row ? row.amount : 0;
+    const expected = method === 'cash' ? round2((session.opening_balance || 0) + taken + drawerNet) : taken;
+    const hasCount = counted[method] !== undefined && counted[method] !== null;
+    return {
+      method,
+      count: row ? row.count : 0,
+      amount: taken,
+      expected,
+      counted: hasCount ? round2(counted[method]) : null,
+      variance: hasCount ? round2(counted[method] - expected) : null
+    };
+  });
+}
+
 app.post('/sessions/:id/close', (req, res) => {
   try {
     const { closing_balance, actual_cash, notes } = req.body;
     const now = new Date().toISOString();
+    const session = get('SELECT * FROM pos_sessions WHERE id = ?', [req.params.id]);
+    if (!session) return res.status(404).json({ success: false, error: 'Session not found' });
+    if (!inStore(req, res, session.store_id)) return;
+
+    // counted: { cash, card, upi, ... } as tallied at close; actual_cash alone still works
+    const counted = { ...(req.body.counted || {}) };
+    if (counted.cash === undefined && actual_cash !== undefined) counted.cash = actual_cash;
+    const tenders = sessionTenders(session, counted);
 
-    run(`UPDATE pos_sessions SET status = 'closed', closing_balance = ?, actual_cash = ?, notes = ?, ended_at = ? WHERE id = ?`,
-      [closing_balance || 0, actual_cash || 0, notes || '', now, req.params.id]);
+    run(`UPDATE pos_sessions SET status = 'closed', closing_balance = ?, actual_cash = ?, notes = ?, ended_at = ?, tender_summary = ? WHERE id = ?`,
+      [closing_balance || 0, counted.cash || 0, notes || '', now, JSON.stringify(tenders), req.params.id]);
 
     // Get session summary
-    const session = get('SELECT * FROM pos_sessions WHERE id = ?', [req.params.id]);
     const sales = query("SELECT * FROM sales WHERE session_id = ?", [req.params.id]);
     const total = sales.reduce((sum, s) => sum + (s.total || 0), 0);
+    const cash = tenders.find(t => t.method === 'cash');
 
     res.json({
       success: true,
       summary: {
         salesCount: sales.length,
         totalSales: total,
-        openingBalance: session?.opening_balance || 0,
+        openingBalance: session.opening_balance || 0,
         closingBalance: closing_balance || 0,
-        difference: (actual_cash || 0) - ((session?.opening_balance || 0) + total)
+        expectedCash: cash ? cash.expected : (session.opening_balance || 0),
+        difference: round2((counted.cash || 0) - (cash ? cash.expected : (session.opening_balance || 0))),
+        tenders
       }
     });
   } catch (err) {
@@ -121,21 +196,119 @@ app.get('/sessions/:id/summary', (req, res) => {
     if (!session) {
       return res.status(404).json({ success: false, error: 'Session not found' });
     }
+    if (!inStore(req, res, session.store_id)) return;
 
     const sales = query("SELECT * FROM sales WHERE session_id = ?", [req.params.id]);
     const totalSales = sales.reduce((sum, s) => sum + (s.total || 0), 0);
-    const cashSales = sales.filter(s => s.payment_method === 'cash').reduce((sum, s) => sum + (s.total || 0), 0);
+    const tenders = session.tender_summary ? JSON.parse(session.tender_summary) : sessionTenders(session);
+    const cash = tenders.find(t => t.method === 'cash');
 
     res.json({
       salesCount: sales.length,
       totalSales,
       totalRefunds: 0,
       netSales: totalSales,
-      paymentBreakdown: [
-        { method: 'cash', amount: cashSales, count: sales.filter(s => s.payment_method === 'cash').length },
-        { method: 'card', amount: totalSales - cashSales, count: sales.filter(s => s.payment_method !== 'cash').length }
-      ],
-      expectedCash: (session.opening_balance || 0) + cashSales
+      paymentBreakdown: tenders.map(t => ({ method: t.method, amount: t.amount, count: t.count })),
+      expectedCash: cash ? cash.expected : (session.opening_balance || 0),
+      tenders
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================
+// CASH DRAWER - pay-ins and pay-outs during a session
+// ============================================
+
+function recordCashMovement(req, res, type) {
+  try {
+    const { amount, reason, purpose, performed_by } = req.body;
+    const session = get('SELECT * FROM pos_sessions WHERE id = ?', [req.params.id]);
+    if (!session) return res.status(404).json({ success: false, error: 'Session not found' });
+    if (!inStore(req, res, session.store_id)) return;
+    if (session.status !== 'active') return res.status(400).json({ success: false, error: 'Session is closed' });
+    if (!(amount > 0)) return res.status(400).json({ success: false, error: 'Positive amount required' });
+
+    // purpose 'expense' is petty cash spent from the drawer; otherwise cash moves to or from the safe
+    const movementPurpose = type === 'cash_out' && purpose === 'expense' ? 'expense' : 'float';
+    const id = uuidv4();
+    const performedBy = performed_by || session.cashier_id;
+    run('INSERT INTO pos_cash_movements (id, session_id, type, amount, purpose, reason, performed_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [id, session.id, type, round2(amount), movementPurpose, reason || null, performedBy]);
+    outbox.enqueue({
+      event_type: 'retail.pos.cash.movement', aggregate_type: 'pos_cash_movement', aggregate_id: id,
+      deliveries: {
+        accounting: {
+          event_type: 'retail.pos.cash.movement',
+          payload: {
+            movement_id: id, session_id: session.id, movement_type: type, purpose: movementPurpose,
+            amount: round2(amount), reason: reason || null, movement_date: new Date().toISOString().split('T')[0]
+          }
+        }
+      }
+    });
+    res.json({ success: true, movement: { id, type, amount: round2(amount), purpose: movementPurpose, reason: reason || null, performedBy } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+app.post('/sessions/:id/drawer/cash-in', (req, res) => recordCashMovement(req, res, 'cash_in'));
+app.post('/sessions/:id/drawer/cash-out', (req, res) => recordCashMovement(req, res, 'cash_out'));
+
+app.get('/sessions/:id/drawer/movements', (req, res) => {
+  try {
+    if (!inStore(req, res, sessionStoreId(req.params.id))) return;
+    const movements = query('SELECT * FROM pos_cash_movements WHERE session_id = ? ORDER BY created_at', [req.params.id])
+      .map(m => ({ id: m.id, type: m.type, amount: m.amount, purpose: m.purpose, reason: m.reason, performedBy: m.performed_by, createdAt: m.created_at }));
+    res.json({ success: true, movements });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Day's takings for a store by tender, across its register sessions
+app.get('/reconciliation/:store_id/:date', permissions.requirePermission('register:reconcile'), (req, res) => {
+  try {
+    const { store_id, date } = req.params;
+    const sessions = query('SELECT * FROM pos_sessions WHERE store_id = ? AND date(started_at) = date(?) ORDER BY started_at', [store_id, date]);
+
+    const totals = {};
+    const sessionRows = sessions.map(session => {
+      const tenders = session.status === 'closed' && session.tender_summary ? JSON.parse(session.tender_summary) : sessionTenders(session);
+      for (const t of tenders) {
+        const agg = totals[t.method] || (totals[t.method] = { method: t.method, count: 0, amount: 0, expected: 0, counted: null, variance: null });
+        agg.count += t.count;
+        agg.amount = round2(agg.amount + t.amount);
+        agg.expected = round2(agg.expected + t.expected);
+        if (t.counted !== null) {
+          agg.counted = round2((agg.counted || 0) + t.counted);
+          agg.variance = round2((agg.variance || 0) + t.variance);
+        }
+      }
+      return {
+        id: session.id, register_id: session.register_id, cashier_id: session.cashier_id, status: session.status,
+        started_at: session.started_at, ended_at: session.ended_at, tenders
+      };
+    });
+
+    const sales = sessions.length
+      ? query(`SELECT COUNT(*) as count, COALESCE(SUM(total), 0) as total, COALESCE(SUM(balance_due), 0) as balance_due
+               FROM sales WHERE session_id IN (${sessions.map(() => '?').join(',')})`, sessions.map(s => s.id))[0]
+      : { count: 0, total: 0, balance_due: 0 };
+
+    res.json({
+      success: true,
+      reconciliation: {
+        date,
+        store_id,
+        sessions: sessionRows,
+        total_transactions: sales.count,
+        total_sales: round2(sales.total),
+        outstanding_balance: round2(sales.balance_due),
+        payment_breakdown: Object.values(totals).sort((a, b) => a.method.localeCompare(b.method))
+      }
     });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -303,13 +476,294 @@ app.post('/api/customers', (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// ============================================
+// TENDERS - split payments, gift cards, loyalty points
+// ============================================
+
+// 'credit' leaves the amount on the customer's account
+const TENDER_METHODS = ['cash', 'card', 'upi', 'wallet', 'credit', 'gift_card', 'loyalty_points'];
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+// Same format as routes/gift-cards.js
+function generateCardNumber() {
+  const segments = [];
+  for (let i = 0; i < 4; i++) {
+    segments.push(Math.random().toString().substr(2, 4).padEnd(4, '0'));
+  }
+  return segments.join('-');
+}
+
+function generatePIN() {
+  return Math.random().toString().substr(2, 4).padEnd(4, '0');
+}
+
+// Why a gift card cannot pay this amount, or null when it can
+function giftCardProblem(card, pin, amount) {
+  if (!card) return 'Gift card not found';
+  if (card.pin && pin !== card.pin) return 'Invalid PIN';
+  if (card.status !== 'active') return `Gift card is ${card.status}`;
+  if (card.expires_at && new Date(card.expires_at) < new Date()) return 'Gift card has expired';
+  if (card.current_balance < amount) return `Insufficient gift card balance (available ${card.current_balance})`;
+  return null;
+}
+
+function tenderMethod(p) {
+  return String(p.method || p.payment_method || '').toLowerCase();
+}
+
+/**
+ * Validate tenders against the amount due without writing anything.
+ * Only cash may exceed what is still due; the excess is change. Cash is
+ * applied after every other tender, whatever order they were keyed in, so
+ * card or gift card amounts are never turned into cash change.
+ * Returns { error } or { tenders, paid, remaining, change }.
+ */
+function prepareTenders(payments, amountDue, { customerId, settings }) {
+  let remaining = round2(amountDue);
+  let change = 0;
+  const tenders = [];
+  const cardUse = {};
+  let pointsUsed = 0;
+  const ordered = payments.filter(p => tenderMethod(p) !== 'cash').concat(payments.filter(p => tenderMethod(p) === 'cash'));
+
+  for (const p of ordered) {
+    const method = tenderMethod(p);
+    if (!TENDER_METHODS.includes(method)) return { error: `Unsupported tender '${method}'` };
+    let amount = round2(p.amount);
+    let points = null;
+    let card = null;
+
+    if (method === 'loyalty_points') {
+      if (!customerId) return { error: 'Loyalty points can only be redeemed on a customer sale' };
+      const pointValue = Number(settings.loyalty.pointValue) || 0;
+      if (pointValue <= 0) return { error: 'Loyalty redemption is not configured' };
+      if (p.points) {
+        points = Math.floor(p.points);
+        amount = round2(points * pointValue);
+      } else {
+        points = Math.ceil(amount / pointValue - 1e-9);
+      }
+      const customer = get('SELECT loyalty_points FROM customers WHERE id = ?', [customerId]);
+      const available = (customer?.loyalty_points || 0) - pointsUsed;
+      if (points > available) return { error: `Insufficient loyalty points (available ${available})` };
+      pointsUsed += points;
+    }
+    if (method === 'credit' && !customerId) return { error: 'Credit tender needs a customer account' };
+    if (amount <= 0) return { error: `Tender ${method} needs a positive amount` };
+
+    if (method === 'gift_card') {
+      card = get('SELECT * FROM gift_cards WHERE card_number = ?', [p.card_number]);
+      const problem = giftCardProblem(card, p.pin, amount + (card ? cardUse[card.id] || 0 : 0));
+      if (problem) return { error: problem };
+      cardUse[card.id] = round2((cardUse[card.id] || 0) + amount);
+    }
+
+    let applied = amount;
+    if (amount > remaining + 0.005) {
+      if (method !== 'cash') return { error: `${method} tender of ${amount} exceeds the ${remaining} still due` };
+      applied = remaining;
+      change = round2(change + amount - remaining);
+    }
+    remaining = round2(remaining - applied);
+    tenders.push({
+      method, amount: applied, tendered: amount, change_amount: round2(amount - applied),
+      reference: p.reference || null, gift_card: card, loyalty_points: points
+    });
+  }
+
+  return { tenders, paid: round2(amountDue - remaining), remaining, change };
+}
+
+// Record prepared tenders against a sale, drawing down gift cards and loyalty points
+function applyTenders(saleId, sessionId, customerId, tenders, kind) {
+  const now = new Date().toISOString();
+  for (const t of tenders) {
+    const paymentId = uuidv4();
+    run(`INSERT INTO sale_payments (id, sale_id, session_id, method, amount, tendered, change_amount, reference, gift_card_id, loyalty_points, kind)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [paymentId, saleId, sessionId || null, t.method, t.amount, t.tendered, t.change_amount, t.reference,
+        t.gift_card?.id || null, t.loyalty_points, kind]);
+    t.id = paymentId;
+
+    if (t.gift_card && t.amount > 0) {
+      const card = get('SELECT current_balance FROM gift_cards WHERE id = ?', [t.gift_card.id]);
+      const after = round2(card.current_balance - t.amount);
+      run('UPDATE gift_cards SET current_balance = ?, status = ?, last_used_at = ?, updated_at = ? WHERE id = ?',
+        [after, after === 0 ? 'used' : 'active', now, now, t.gift_card.id]);
+      run(`INSERT INTO gift_card_transactions (id, gift_card_id, transaction_type, amount, balance_before, balance_after, reference_id, reference_type)
+           VALUES (?, ?, 'redemption', ?, ?, ?, ?, 'pos_transaction')`,
+        [uuidv4(), t.gift_card.id, t.amount, card.current_balance, after, saleId]);
+    }
+    if (t.loyalty_points) {
+      const customer = get('SELECT loyalty_points FROM customers WHERE id = ?', [customerId]);
+      const before = customer?.loyalty_points || 0;
+      run('UPDATE customers SET loyalty_points = ? WHERE id = ?', [before - t.loyalty_points, customerId]);
+      run('INSERT INTO loyalty_transactions (id, customer_id, transaction_type, points, balance_before, balance_after, reason) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [uuidv4(), customerId, 'redeemed', t.loyalty_points, before, before - t.loyalty_points, `POS sale ${saleId}`]);
+    }
+  }
+}
+
+// Tenders net of change, grouped by method, for sessions and reconciliation
+function tenderBreakdown(where, params) {
+  return query(`SELECT method, COUNT(*) as count, ROUND(SUM(amount), 2) as amount
+                FROM sale_payments WHERE ${where} GROUP BY method ORDER BY method`, params);
+}
+
+// ============================================
+// OUTBOX - accounting, loyalty and inventory deliveries
+// ============================================
+
+outbox.registerConsumer('accounting', ({ payload, idempotency_key }) =>
+  deliverAccountingEvent('retail', payload.event_type, payload.payload, idempotency_key));
+
+// Stock changes for one event, one movement per product; products already booked for the event are skipped
+outbox.registerConsumer('inventory', ({ event_id, payload }) => {
+  for (const m of payload.movements) {
+    if (get("SELECT id FROM inventory_movements WHERE reference_type = 'pos_outbox' AND reference_id = ? AND product_id = ?", [event_id, m.product_id])) continue;
+    const curr = get('SELECT quantity FROM inventory WHERE product_id = ?', [m.product_id]);
+    run('UPDATE inventory SET quantity = ? WHERE product_id = ?', [(curr?.quantity || 0) + m.quantity, m.product_id]);
+    run(`INSERT INTO inventory_movements (id, product_id, quantity, movement_type, reference_type, reference_id, notes)
+         VALUES (?, ?, ?, ?, 'pos_outbox', ?, ?)`,
+      [uuidv4(), m.product_id, m.quantity, payload.movement_type, event_id, payload.reference]);
+  }
+});
+
+outbox.registerConsumer('loyalty', ({ event_id, payload }) => {
+  if (get('SELECT id FROM loyalty_transactions WHERE reference_id = ?', [event_id])) return;
+  const customer = get('SELECT loyalty_points FROM customers WHERE id = ?', [payload.customer_id]);
+  if (!customer) {
+    const err = new Error(`Customer ${payload.customer_id} not found`);
+    err.permanent = true;
+    throw err;
+  }
+  const before = customer.loyalty_points || 0;
+  const after = Math.max(0, before + payload.points);
+  run('UPDATE customers SET loyalty_points = ? WHERE id = ?', [after, payload.customer_id]);
+  run(`INSERT INTO loyalty_transactions (id, customer_id, transaction_type, points, balance_before, balance_after, reason, reference_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [uuidv4(), payload.customer_id, payload.points >= 0 ? 'earned' : 'reversed', Math.abs(payload.points), before, after, payload.reason, event_id]);
+});
+
+// One movement per product, signed: negative takes stock out
+function stockMovements(lines, sign) {
+  const byProduct = new Map();
+  for (const l of lines) byProduct.set(l.product_id, (byProduct.get(l.product_id) || 0) + sign * l.quantity);
+  return Array.from(byProduct, ([product_id, quantity]) => ({ product_id, quantity }));
+}
+
+function loyaltyDelivery(customerId, points, reason) {
+  return customerId && points ? { customer_id: customerId, points, reason } : null;
+}
+
+// What accounting needs for a final sale: every tender, plus any balance left on account
+function saleAccountingPayload(sale, lines) {
+  const payments = query('SELECT method, ROUND(SUM(amount), 2) as amount FROM sale_payments WHERE sale_id = ? GROUP BY method', [sale.id])
+    .filter(p => p.amount > 0);
+  if (sale.balance_due > 0) payments.push({ method: 'credit', amount: sale.balance_due });
+  return {
+    event_type: 'retail.pos.sale.completed',
+    payload: {
+      transaction_id: sale.id, subtotal: sale.subtotal, discount_amount: sale.discount, tax: sale.tax, total_amount: sale.total,
+      taxes: taxSlabs(lines), payment_method: sale.payment_method, payments, items: lines
+    }
+  };
+}
+
+function taxSlabs(lines) {
+  const slabs = new Map();
+  for (const l of lines) {
+    const slab = slabs.get(l.tax_rate) || { rate: l.tax_rate, taxable_amount: 0, tax_amount: 0 };
+    slab.taxable_amount = round2(slab.taxable_amount + l.taxable_amount);
+    slab.tax_amount = round2(slab.tax_amount + l.tax_amount);
+    slabs.set(l.tax_rate, slab);
+  }
+  return Array.from(slabs.values());
+}
+
+// ============================================
+// GIFT CARDS API (lite port of routes/gift-cards.js)
+// ============================================
+
+app.post('/api/gift-cards', (req, res) => {
+  try {
+    const { amount, customer_id, expires_days, transaction_id } = req.body;
+    if (!(amount > 0) || amount > 50000) return res.status(400).json({ success: false, error: 'amount must be between 0 and 50000' });
+
+    const id = uuidv4();
+    let cardNumber = generateCardNumber();
+    while (get('SELECT id FROM gift_cards WHERE card_number = ?', [cardNumber])) cardNumber = generateCardNumber();
+    const pin = generatePIN();
+    const expiresAt = new Date(Date.now() + (expires_days || 365) * 24 * 60 * 60 * 1000).toISOString();
+    run(`INSERT INTO gift_cards (id, card_number, pin, initial_balance, current_balance, purchased_by, issued_transaction_id, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, cardNumber, pin, amount, amount, customer_id || null, transaction_id || null, expiresAt]);
+    run(`INSERT INTO gift_card_transactions (id, gift_card_id, transaction_type, amount, balance_before, balance_after, reference_id, reference_type, notes)
+         VALUES (?, ?, 'purchase', ?, 0, ?, ?, 'pos_transaction', 'Gift card issued')`,
+      [uuidv4(), id, amount, amount, transaction_id || null]);
+
+    res.json({ success: true, gift_card: { id, card_number: cardNumber, pin, balance: amount, expires_at: expiresAt } });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/gift-cards/balance/:card_number', (req, res) => {
+  try {
+    const card = get('SELECT * FROM gift_cards WHERE card_number = ?', [req.params.card_number]);
+    if (!card) return res.status(404).json({ success: false, error: 'Gift card not found' });
+    const expired = card.expires_at && new Date(card.expires_at) < new Date();
+    res.json({
+      success: true,
+      card_number: card.card_number,
+      balance: expired ? 0 : card.current_balance,
+      status: expired ? 'expired' : card.status,
+      expires_at: card.expires_at,
+      last_used_at: card.last_used_at
+    });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/api/gift-cards/reload', (req, res) => {
+  try {
+    const { card_number, amount, transaction_id } = req.body;
+    if (!(amount > 0) || amount > 50000) return res.status(400).json({ success: false, error: 'amount must be between 0 and 50000' });
+    const card = get('SELECT * FROM gift_cards WHERE card_number = ?', [card_number]);
+    if (!card) return res.status(404).json({ success: false, error: 'Gift card not found' });
+    if (card.status === 'cancelled') return res.status(400).json({ success: false, error: 'Gift card is cancelled' });
+
+    const after = round2(card.current_balance + amount);
+    const now = new Date().toISOString();
+    run('UPDATE gift_cards SET current_balance = ?, status = ?, updated_at = ? WHERE id = ?', [after, 'active', now, card.id]);
+    run(`INSERT INTO gift_card_transactions (id, gift_card_id, transaction_type, amount, balance_before, balance_after, reference_id, reference_type)
+         VALUES (?, ?, 'reload', ?, ?, ?, ?, 'pos_transaction')`,
+      [uuidv4(), card.id, amount, card.current_balance, after, transaction_id || null]);
+    res.json({ success: true, balance: after });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/gift-cards/:card_number/transactions', (req, res) => {
+  try {
+    const card = get('SELECT id FROM gift_cards WHERE card_number = ?', [req.params.card_number]);
+    if (!card) return res.status(404).json({ success: false, error: 'Gift card not found' });
+    res.json({ success: true, transactions: query('SELECT * FROM gift_card_transactions WHERE gift_card_id = ? ORDER BY created_at DESC', [card.id]) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
 // ============================================
 // SALES API
 // ============================================
 
 app.get('/api/sales', (req, res) => {
-  try { res.json({ success: true, data: query('SELECT s.*, c.name as customer_name FROM sales s LEFT JOIN customers c ON s.customer_id = c.id ORDER BY s.created_at DESC') }); }
-  catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  try {
+    const { pricing_status } = req.query;
+    let sql = 'SELECT s.*, c.name as customer_name FROM sales s LEFT JOIN customers c ON s.customer_id = c.id';
+    const params = [];
+    if (pricing_status) { sql += ' WHERE s.pricing_status = ?'; params.push(pricing_status); }
+    sql += ' ORDER BY s.created_at DESC';
+    res.json({ success: true, data: query(sql, params) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
 app.get('/api/sales/today', (req, res) => {
@@ -321,24 +775,283 @@ app.get('/api/sales/today', (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+app.get('/api/sales/:id', (req, res) => {
+  try {
+    const sale = get('SELECT s.*, c.name as customer_name FROM sales s LEFT JOIN customers c ON s.customer_id = c.id WHERE s.id = ?', [req.params.id]);
+    if (!sale) return res.status(404).json({ success: false, error: 'Sale not found' });
+    if (!inStore(req, res, saleStoreId(sale))) return;
+    const lines = query('SELECT * FROM sale_items WHERE sale_id = ? ORDER BY line_number', [req.params.id])
+      .map(l => ({ ...l, applied_rules: JSON.parse(l.applied_rules || '[]'), applied_promotions: JSON.parse(l.applied_promotions || '[]') }));
+    res.json({
+      success: true,
+      data: {
+        ...sale,
+        client_totals: sale.client_totals ? JSON.parse(sale.client_totals) : null,
+        pricing_mismatches: sale.pricing_mismatches ? JSON.parse(sale.pricing_mismatches) : [],
+        lines,
+        payments: query('SELECT * FROM sale_payments WHERE sale_id = ? ORDER BY created_at', [req.params.id]),
+        returns: query('SELECT * FROM pos_returns WHERE sale_id = ? ORDER BY created_at', [req.params.id])
+          .map(r => ({ ...r, items: JSON.parse(r.items || '[]') }))
+      }
+    });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Price a cart without recording a sale, so terminals can show the server's figures
+app.post('/api/cart/price', (req, res) => {
+  try {
+    const { customer_id, items, promo_code, promo_codes } = req.body;
+    const parsedItems = typeof items === 'string' ? JSON.parse(items) : items;
+    let priced;
+    try {
+      priced = priceCart(parsedItems, { customer_id, promo_code, promo_codes, taxSettings: loadSettings().tax });
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+    res.json({ success: true, data: priced });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
 app.post('/api/sales', (req, res) => {
   try {
-    const { customer_id, items, subtotal, tax, discount, total, payment_method, session_id } = req.body;
-    const id = uuidv4();
-    run('INSERT INTO sales (id, customer_id, session_id, items, subtotal, tax, discount, total, payment_method) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [id, customer_id, session_id, JSON.stringify(items), subtotal, tax || 0, discount || 0, total, payment_method]);
+    const { customer_id, items, subtotal, tax, discount, total, payment_method, session_id, promo_code,
+      payments, amount_tendered, layaway, allow_partial } = req.body;
+    if (!inStore(req, res, sessionStoreId(session_id))) return;
     const parsedItems = typeof items === 'string' ? JSON.parse(items) : items;
-    for (const item of parsedItems) {
-      const curr = get('SELECT quantity FROM inventory WHERE product_id = ?', [item.product_id]);
-      run('UPDATE inventory SET quantity = ? WHERE product_id = ?', [(curr?.quantity || 0) - item.quantity, item.product_id]);
+    const settings = loadSettings();
+
+    // The server prices the cart; client amounts are only checked against it
+    let priced;
+    try {
+      priced = priceCart(parsedItems, { customer_id, promo_code, promo_codes: req.body.promo_codes, taxSettings: settings.tax });
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+    const clientTotals = { subtotal, tax, discount, total };
+    const mismatches = comparePricing(priced, clientTotals, settings.pricing.tolerance);
+    if (mismatches.length && (settings.pricing.mismatchPolicy === 'reject' || req.body.strict_pricing)) {
+      return res.status(409).json({
+        success: false, error: 'Cart amounts do not match server pricing', mismatches, pricing: priced
+      });
     }
-    if (customer_id) {
-      const points = Math.floor(total / 10);
-      const curr = get('SELECT loyalty_points FROM customers WHERE id = ?', [customer_id]);
-      run('UPDATE customers SET loyalty_points = ? WHERE id = ?', [(curr?.loyalty_points || 0) + points, customer_id]);
+
+    // A single payment_method is one tender for the whole total, as before split tender
+    const tenderInput = Array.isArray(payments) && payments.length
+      ? payments
+      : [{ method: payment_method || 'cash', amount: amount_tendered ?? priced.total }];
+    const prepared = prepareTenders(tenderInput, priced.total, { customerId: customer_id, settings });
+    if (prepared.error) return res.status(400).json({ success: false, error: prepared.error });
+    if (prepared.remaining > 0) {
+      if (layaway) {
+        if (!customer_id) return res.status(400).json({ success: false, error: 'Layaway needs a customer' });
+        const minDeposit = round2(priced.total * settings.layaway.minDepositPercent / 100);
+        if (prepared.paid < minDeposit) {
+          return res.status(400).json({ success: false, error: `Layaway deposit of at least ${minDeposit} required` });
+        }
+      } else if (!(allow_partial && customer_id)) {
+        return res.status(400).json({ success: false, error: `Payments leave ${prepared.remaining} unpaid`, balance_due: prepared.remaining });
+      }
     }
-    notifyAccounting('retail', 'retail.pos.sale.completed', { transaction_id: id, total_amount: total, payment_method, items: parsedItems, tax: tax || 0 });
-    res.json({ success: true, data: { id, total } });
+
+    const pricingStatus = mismatches.length ? 'flagged' : 'verified';
+    if (mismatches.length) console.warn(`[POS] Sale priced differently by client: ${JSON.stringify(mismatches)}`);
+    const isLayaway = !!layaway && prepared.remaining > 0;
+    const paymentStatus = prepared.remaining > 0 ? 'partial' : 'paid';
+    const primaryMethod = prepared.tenders.length === 1 ? prepared.tenders[0].method : 'split';
+
+    const id = uuidv4();
+    // The sale, its tenders and its outbox events are saved together or not at all
+    transaction(() => {
+      run(`INSERT INTO sales (id, customer_id, session_id, items, subtotal, tax, discount, total, payment_method, status,
+           promotion_id, promo_code, pricing_status, client_totals, pricing_mismatches, amount_paid, balance_due, change_amount, payment_status,
+           created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, customer_id || null, session_id || null, JSON.stringify(parsedItems), priced.subtotal, priced.tax, priced.discount, priced.total,
+          primaryMethod, isLayaway ? 'layaway' : 'completed',
+          priced.promotion?.id || null, priced.promotion?.code || null, pricingStatus, JSON.stringify(clientTotals),
+          mismatches.length ? JSON.stringify(mismatches) : null, prepared.paid, prepared.remaining, prepared.change, paymentStatus,
+          req.user?.id || null]);
+      priced.lines.forEach((line, i) => {
+        const clientItem = parsedItems[i] || {};
+        const clientPrice = clientItem.price ?? clientItem.unit_price ?? clientItem.unitPrice;
+        run(`INSERT INTO sale_items (id, sale_id, line_number, product_id, sku, name, quantity, list_price, unit_price,
+             rule_discount, promo_discount, discount, taxable_amount, tax_rate, tax_amount, line_total, client_unit_price, applied_rules, applied_promotions)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [uuidv4(), id, i + 1, line.product_id, line.sku, line.name, line.quantity, line.list_price, line.unit_price,
+            line.rule_discount, line.promo_discount, line.discount, line.taxable_amount, line.tax_rate, line.tax_amount, line.line_total,
+            clientPrice !== undefined ? Number(clientPrice) : null, JSON.stringify(line.applied_rules), JSON.stringify(line.promotions)]);
+      });
+      applyTenders(id, session_id, customer_id, prepared.tenders, isLayaway ? 'deposit' : 'sale');
+      // Every promotion used counts against its overall and per-customer limits
+      for (const promo of priced.promotions) {
+        run('UPDATE promotions SET uses_count = uses_count + 1 WHERE id = ?', [promo.id]);
+        run(`INSERT INTO promotion_redemptions (id, promotion_id, customer_id, sale_id, code, discount, allocations) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [uuidv4(), promo.id, customer_id || null, id, promo.code || null, promo.discount, JSON.stringify(promo.allocations)]);
+      }
+
+      // Layaway stock is set aside now, but points and revenue wait until it is paid off
+      const inventoryDelivery = { movements: stockMovements(priced.lines, -1), movement_type: isLayaway ? 'layaway' : 'sale', reference: `POS sale ${id}` };
+      if (isLayaway) {
+        outbox.enqueue({ event_type: 'retail.pos.layaway.created', aggregate_type: 'sale', aggregate_id: id, deliveries: { inventory: inventoryDelivery } });
+      } else {
+        outbox.enqueue({
+          event_type: 'retail.pos.sale.completed', aggregate_type: 'sale', aggregate_id: id,
+          deliveries: {
+            accounting: saleAccountingPayload(get('SELECT * FROM sales WHERE id = ?', [id]), priced.lines),
+            inventory: inventoryDelivery,
+            loyalty: loyaltyDelivery(customer_id, Math.floor(priced.total / 10), `POS sale ${id}`)
+          }
+        });
+      }
+    });
+    res.json({
+      success: true,
+      data: {
+        id, subtotal: priced.subtotal, discount: priced.discount, tax: priced.tax, total: priced.total,
+        status: isLayaway ? 'layaway' : 'completed', payment_status: paymentStatus,
+        amount_paid: prepared.paid, balance_due: prepared.remaining, change: prepared.change,
+        payments: prepared.tenders.map(t => ({ id: t.id, method: t.method, amount: t.amount, tendered: t.tendered, change_amount: t.change_amount })),
+        pricing_status: pricingStatus, mismatches, promotion: priced.promotion, warnings: priced.warnings, lines: priced.lines
+      }
+    });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Pay down a layaway or a sale left partly on account
+app.post('/api/sales/:id/payments', (req, res) => {
+  try {
+    const { payments, session_id } = req.body;
+    const sale = get('SELECT * FROM sales WHERE id = ?', [req.params.id]);
+    if (!sale) return res.status(404).json({ success: false, error: 'Sale not found' });
+    if (!inStore(req, res, saleStoreId(sale)) || !inStore(req, res, sessionStoreId(session_id))) return;
+    if (!(sale.balance_due > 0)) return res.status(400).json({ success: false, error: 'Sale has no balance due' });
+    if (!Array.isArray(payments) || !payments.length) return res.status(400).json({ success: false, error: 'payments array required' });
+
+    const prepared = prepareTenders(payments, sale.balance_due, { customerId: sale.customer_id, settings: loadSettings() });
+    if (prepared.error) return res.status(400).json({ success: false, error: prepared.error });
+    if (prepared.tenders.some(t => t.method === 'credit')) {
+      return res.status(400).json({ success: false, error: 'A balance cannot be settled on credit' });
+    }
+
+    const isLayaway = sale.status === 'layaway';
+    const amountPaid = round2((sale.amount_paid || 0) + prepared.paid);
+    const balanceDue = prepared.remaining;
+    const completed = isLayaway && balanceDue === 0;
+    transaction(() => {
+      applyTenders(sale.id, session_id, sale.customer_id, prepared.tenders, isLayaway ? 'deposit' : 'settlement');
+      run('UPDATE sales SET amount_paid = ?, balance_due = ?, change_amount = ?, payment_status = ?, status = ? WHERE id = ?',
+        [amountPaid, balanceDue, round2((sale.change_amount || 0) + prepared.change), balanceDue > 0 ? 'partial' : 'paid',
+          completed ? 'completed' : sale.status, sale.id]);
+
+      if (completed) {
+        outbox.enqueue({
+          event_type: 'retail.pos.sale.completed', aggregate_type: 'sale', aggregate_id: sale.id,
+          deliveries: {
+            accounting: saleAccountingPayload(get('SELECT * FROM sales WHERE id = ?', [sale.id]), query('SELECT * FROM sale_items WHERE sale_id = ? ORDER BY line_number', [sale.id])),
+            loyalty: loyaltyDelivery(sale.customer_id, Math.floor(sale.total / 10), `POS sale ${sale.id}`)
+          }
+        });
+      } else if (!isLayaway) {
+        // The sale was booked with its balance on account; each settlement clears receivable
+        for (const t of prepared.tenders) {
+          outbox.enqueue({
+            event_type: 'retail.pos.payment.received', aggregate_type: 'sale', aggregate_id: sale.id,
+            deliveries: {
+              accounting: {
+                event_type: 'retail.billing.payment.received',
+                payload: {
+                  payment_id: t.id, invoice_id: sale.id, invoice_number: sale.id, amount: t.amount, payment_method: t.method,
+                  payment_date: new Date().toISOString().split('T')[0]
+                }
+              }
+            }
+          });
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        id: sale.id, status: completed ? 'completed' : sale.status, payment_status: balanceDue > 0 ? 'partial' : 'paid',
+        amount_paid: amountPaid, balance_due: balanceDue, change: prepared.change,
+        payments: prepared.tenders.map(t => ({ id: t.id, method: t.method, amount: t.amount, tendered: t.tendered, change_amount: t.change_amount }))
+      }
+    });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Return items from a completed sale; the refund is a negative tender in the current session
+app.post('/api/sales/:id/returns', permissions.requirePermission('sales:refund', { store: saleStore }), (req, res) => {
+  try {
+    const { items, refund_method, session_id, reason, restock = true } = req.body;
+    const sale = get('SELECT * FROM sales WHERE id = ?', [req.params.id]);
+    if (!sale) return res.status(404).json({ success: false, error: 'Sale not found' });
+    if (!inStore(req, res, sessionStoreId(session_id))) return;
+    if (sale.status !== 'completed') return res.status(400).json({ success: false, error: `Cannot return items from a ${sale.status} sale` });
+    if (!Array.isArray(items) || !items.length) return res.status(400).json({ success: false, error: 'items array required' });
+
+    const method = String(refund_method || (['cash', 'card', 'upi', 'wallet'].includes(sale.payment_method) ? sale.payment_method : 'cash')).toLowerCase();
+    if (!['cash', 'card', 'upi', 'wallet', 'credit'].includes(method)) return res.status(400).json({ success: false, error: `Cannot refund to ${method}` });
+    if (method === 'credit' && !sale.customer_id) return res.status(400).json({ success: false, error: 'Credit refund needs a customer account' });
+
+    const saleLines = query('SELECT * FROM sale_items WHERE sale_id = ? ORDER BY line_number', [sale.id]);
+    const returned = {};
+    for (const r of query('SELECT items FROM pos_returns WHERE sale_id = ?', [sale.id])) {
+      for (const l of JSON.parse(r.items)) returned[l.product_id] = (returned[l.product_id] || 0) + l.quantity;
+    }
+
+    // Refund each unit at what the customer actually paid for it, discount and tax included
+    const lines = [];
+    for (const item of items) {
+      const line = saleLines.find(l => l.product_id === item.product_id);
+      const quantity = Number(item.quantity) || 0;
+      if (!line) return res.status(400).json({ success: false, error: `Product ${item.product_id} is not on this sale` });
+      const sold = saleLines.filter(l => l.product_id === item.product_id).reduce((q, l) => q + l.quantity, 0);
+      if (quantity <= 0 || quantity + (returned[item.product_id] || 0) > sold) {
+        return res.status(400).json({ success: false, error: `Can return at most ${sold - (returned[item.product_id] || 0)} of ${line.name || item.product_id}` });
+      }
+      const ratio = quantity / line.quantity;
+      const taxable = round2(line.taxable_amount * ratio);
+      const taxAmount = round2(line.tax_amount * ratio);
+      const discountAmount = round2(line.discount * ratio);
+      lines.push({
+        product_id: line.product_id, name: line.name, quantity, tax_rate: line.tax_rate,
+        taxable_amount: taxable, tax_amount: taxAmount, discount: discountAmount,
+        subtotal: round2(taxable + discountAmount), line_total: round2(taxable + taxAmount)
+      });
+    }
+    const sum = field => round2(lines.reduce((t, l) => t + l[field], 0));
+    const totals = { subtotal: sum('subtotal'), discount: sum('discount'), tax: sum('tax_amount'), total: sum('line_total') };
+
+    const id = uuidv4();
+    transaction(() => {
+      run(`INSERT INTO pos_returns (id, sale_id, session_id, customer_id, items, subtotal, discount, tax, total, refund_method, reason, restocked,
+           processed_by, approved_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, sale.id, session_id || null, sale.customer_id || null, JSON.stringify(lines), totals.subtotal, totals.discount, totals.tax, totals.total,
+          method, reason || null, restock ? 1 : 0, req.user?.id || null, req.approval?.approved_by || null]);
+      run(`INSERT INTO sale_payments (id, sale_id, session_id, method, amount, tendered, reference, kind) VALUES (?, ?, ?, ?, ?, ?, ?, 'refund')`,
+        [uuidv4(), sale.id, session_id || null, method, -totals.total, -totals.total, id]);
+
+      outbox.enqueue({
+        event_type: 'retail.pos.return.completed', aggregate_type: 'pos_return', aggregate_id: id,
+        deliveries: {
+          accounting: {
+            event_type: 'retail.pos.return.completed',
+            payload: {
+              return_id: id, sale_id: sale.id, subtotal: totals.subtotal, discount_amount: totals.discount, tax: totals.tax,
+              total_amount: totals.total, taxes: taxSlabs(lines), payment_method: method,
+              payments: [{ method, amount: totals.total }], items: lines
+            }
+          },
+          inventory: restock ? { movements: stockMovements(lines, 1), movement_type: 'return', reference: `POS return ${id}` } : null,
+          loyalty: loyaltyDelivery(sale.customer_id, -Math.floor(totals.total / 10), `POS return ${id}`)
+        }
+      });
+    });
+
+    res.json({ success: true, data: { id, sale_id: sale.id, refund_method: method, ...totals, lines } });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
@@ -365,8 +1078,31 @@ const DEFAULT_SETTINGS = {
     defaultRate: 0,
     inclusive: false,
   },
+  // How POST /api/sales treats client totals that differ from server pricing: 'flag' or 'reject'
+  pricing: {
+    mismatchPolicy: 'flag',
+    tolerance: DEFAULT_TOLERANCE,
+  },
+  // Value of one loyalty point when redeemed as a tender
+  loyalty: {
+    pointValue: 0.25,
+  },
+  layaway: {
+    minDepositPercent: 20,
+  },
 };
 
+// Saved settings over defaults; installs saved before a section existed get its defaults
+function loadSettings() {
+  const row = get('SELECT settings FROM pos_settings WHERE id = ?', ['default']);
+  const saved = row && row.settings ? JSON.parse(row.settings) : {};
+  const settings = { ...DEFAULT_SETTINGS, ...saved };
+  for (const section of ['tax', 'pricing', 'loyalty', 'layaway']) {
+    settings[section] = { ...DEFAULT_SETTINGS[section], ...(saved[section] || {}) };
+  }
+  return settings;
+}
+
 app.get('/api/settings', (req, res) => {
   try {
     const row = get('SELECT settings FROM pos_settings WHERE id = ?', ['default']);
@@ -475,6 +1211,40 @@ app.get('/categories', (req, res) => {
   app._router.handle(req, res, () => res.status(404).json({ error: 'Not found' }));
 });
 
+// ============================================
+// OUTBOX API - undelivered events for the status indicator
+// ============================================
+
+app.get('/api/outbox/status', (req, res) => {
+  try { res.json({ success: true, status: outbox.getStatus() }); }
+  catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.get('/api/outbox', (req, res) => {
+  try {
+    const { status, consumer, limit } = req.query;
+    res.json({ success: true, deliveries: outbox.listDeliveries({ status, consumer, limit }) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Retry now instead of waiting for the backoff; dead deliveries are given another go
+app.post('/api/outbox/retry', async (req, res) => {
+  try {
+    const rescheduled = outbox.retryNow();
+    const result = await outbox.dispatchDue();
+    res.json({ success: true, rescheduled, ...result, status: outbox.getStatus() });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/api/outbox/:id/retry', async (req, res) => {
+  try {
+    const rescheduled = outbox.retryNow(req.params.id);
+    if (!rescheduled) return res.status(404).json({ success: false, error: 'No undelivered delivery with that id' });
+    const result = await outbox.dispatchDue();
+    res.json({ success: true, rescheduled, ...result, status: outbox.getStatus() });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
 // ============================================
 // SERVE UI
 // ============================================
@@ -515,6 +1285,24 @@ async function init() {
     // Column might already exist
   }
 
+  // Per-tender expected/counted amounts captured at session close
+  try {
+    run('ALTER TABLE pos_sessions ADD COLUMN tender_summary TEXT');
+  } catch (e) {
+    // Column might already exist
+  }
+
+  // Sales recorded before split tender get their single payment as a tender row
+  const unpaid = query('SELECT id, session_id, payment_method, total FROM sales WHERE id NOT IN (SELECT DISTINCT sale_id FROM sale_payments)');
+  for (const sale of unpaid) {
+    run(`INSERT INTO sale_payments (id, sale_id, session_id, method, amount, tendered, kind) VALUES (?, ?, ?, ?, ?, ?, 'sale')`,
+      [uuidv4(), sale.id, sale.session_id, sale.payment_method || 'cash', sale.total || 0, sale.total || 0]);
+  }
+  if (unpaid.length) {
+    run('UPDATE sales SET amount_paid = total WHERE amount_paid IS NULL');
+    console.log(`[POS] Backfilled tenders for ${unpaid.length} earlier sales`);
+  }
+
   // Create pos_settings table for configurable categories, display options, etc.
   run(`CREATE TABLE IF NOT EXISTS pos_settings (
     id TEXT PRIMARY KEY,
@@ -535,12 +1323,16 @@ async function init() {
       currency: { symbol: '₹', code: 'INR', position: 'before' },
       display: { showStock: true, showSKU: true, showCategory: true, showImages: true, gridColumns: 4 },
       tax: { defaultRate: 0, inclusive: false },
+      pricing: { mismatchPolicy: 'flag', tolerance: DEFAULT_TOLERANCE },
+      loyalty: { pointValue: 0.25 },
+      layaway: { minDepositPercent: 20 },
     });
     run('INSERT INTO pos_settings (id, settings, created_at, updated_at) VALUES (?, ?, ?, ?)',
       ['default', defaultSettings, new Date().toISOString(), new Date().toISOString()]);
     console.log('[POS] Default settings initialized');
   }
 
+  outbox.startDispatcher();
   app.listen(PORT, () => console.log(`[POS] Running on http://localhost:${PORT}`));
 }
 
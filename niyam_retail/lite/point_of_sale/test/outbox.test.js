@@ -0,0 +1,192 @@
+/**
+ * Outbox tests - a sale's deliveries to accounting, inventory and loyalty are
+ * retried until accepted, and each is applied exactly once. The service runs
+ * in its own process on a fresh database; this process stands in for the
+ * accounting bridge and checks what was saved.
+ * Run: npm test (from point_of_sale)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory, so the shared database starts out empty
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-pos-outbox-'));
+process.env.HOME = home;
+
+const { initDb, run, get, saveDb, lockDb, releaseLock } = require('../../shared/db');
+
+let service;
+let base;
+
+// The bridge answers with the queued status codes in turn, then 201; every request is kept
+let bridge;
+const bridgeReplies = [];
+const received = [];
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function call(method, url, body) {
+  const res = await fetch(base + url, {
+    method,
+    headers: { 'content-type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// The service saves shortly after it answers; its lock is free once it has
+async function settled() {
+  releaseLock(await lockDb());
+}
+
+function delivery(saleId, consumer) {
+  return get("SELECT * FROM pos_outbox WHERE aggregate_id = ? AND consumer = ?", [saleId, consumer]);
+}
+
+async function delivered(saleId, consumer) {
+  for (let i = 0; i < 100; i++) {
+    await settled();
+    const row = delivery(saleId, consumer);
+    if (row.status !== 'pending') return row;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`${consumer} delivery for ${saleId} is still pending`);
+}
+
+function sell() {
+  return call('POST', '/api/sales', {
+    customer_id: 'c1',
+    items: [{ product_id: 'p1', quantity: 1 }],
+    payments: [{ method: 'cash', amount: 500 }]
+  });
+}
+
+test.before(async () => {
+  await initDb();
+  run("INSERT INTO products (id, sku, name, price) VALUES ('p1', 'SKU1', 'Kettle', 150)");
+  run("INSERT INTO inventory (id, product_id, quantity) VALUES ('i1', 'p1', 20)");
+  run("INSERT INTO customers (id, name, loyalty_points) VALUES ('c1', 'Asha', 0)");
+  saveDb();
+  releaseLock();
+
+  const bridgePort = await freePort();
+  bridge = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ key: req.headers['idempotency-key'], body: JSON.parse(body) });
+      res.writeHead(bridgeReplies.shift() || 201, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ success: true }));
+    });
+  }).listen(bridgePort, '127.0.0.1');
+
+  const port = await freePort();
+  service = spawn(process.execPath, [path.join(__dirname, '..', 'service.js')], {
+    env: {
+      ...process.env, HOME: home, PORT: String(port), SKIP_AUTH: 'true',
+      ACCOUNTING_BRIDGE_HOST: '127.0.0.1', ACCOUNTING_BRIDGE_PORT: String(bridgePort),
+      POS_OUTBOX_RETRY_BASE_SECONDS: '1', POS_OUTBOX_POLL_MS: '100'
+    },
+    stdio: 'ignore'
+  });
+  base = `http://127.0.0.1:${port}`;
+  for (let i = 0; ; i++) {
+    try {
+      if ((await fetch(base + '/health')).ok) break;
+    } catch (e) {
+      if (i > 150) throw new Error('point_of_sale did not start');
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+});
+
+test.after(() => {
+  if (service) service.kill();
+  if (bridge) bridge.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('a delivery the bridge turns away is sent again after the backoff, with the same key', async () => {
+  bridgeReplies.push(503);
+  received.length = 0;
+  const r = await sell();
+  assert.equal(r.status, 200);
+  const sale = r.body.data;
+
+  const accounting = await delivered(sale.id, 'accounting');
+  assert.equal(accounting.status, 'delivered');
+  assert.equal(accounting.attempts, 2);
+  assert.equal(accounting.last_error, null);
+  assert.equal(accounting.idempotency_key, `pos-outbox:${accounting.event_id}:accounting`);
+
+  assert.equal(received.length, 2);
+  assert.deepEqual(received.map(e => e.key), [accounting.idempotency_key, accounting.idempotency_key]);
+  assert.deepEqual(received.map(e => e.body.idempotency_key), [accounting.idempotency_key, accounting.idempotency_key]);
+  assert.equal(received[1].body.event_type, 'retail.pos.sale.completed');
+
+  // The other consumers are not held up by accounting, and each applied the sale once
+  for (const consumer of ['inventory', 'loyalty']) {
+    assert.equal((await delivered(sale.id, consumer)).status, 'delivered', consumer);
+  }
+  assert.equal(get("SELECT quantity FROM inventory WHERE product_id = 'p1'").quantity, 19);
+  assert.equal(get("SELECT loyalty_points FROM customers WHERE id = 'c1'").loyalty_points, Math.floor(sale.total / 10));
+});
+
+test('retrying once everything is delivered sends and applies nothing again', async () => {
+  const sent = received.length;
+  const r = await call('POST', '/api/outbox/retry');
+  assert.equal(r.status, 200);
+  assert.equal(r.body.rescheduled, 0);
+  assert.equal(r.body.delivered, 0);
+  assert.equal(r.body.status.undelivered, 0);
+
+  await new Promise(resolve => setTimeout(resolve, 300));
+  await settled();
+  assert.equal(received.length, sent);
+  assert.equal(get("SELECT COUNT(*) AS n FROM inventory_movements WHERE reference_type = 'pos_outbox'").n, 1);
+  assert.equal(get("SELECT COUNT(*) AS n FROM loyalty_transactions WHERE customer_id = 'c1'").n, 1);
+});
+
+test('a delivery the bridge rejects is dead until retried by hand, then sent once', async () => {
+  bridgeReplies.push(422);
+  received.length = 0;
+  const r = await sell();
+  const sale = r.body.data;
+
+  const dead = await delivered(sale.id, 'accounting');
+  assert.equal(dead.status, 'dead');
+  for (const consumer of ['inventory', 'loyalty']) await delivered(sale.id, consumer);
+  assert.match(dead.last_error, /responded 422/);
+  let status = await call('GET', '/api/outbox/status');
+  assert.equal(status.body.status.dead, 1);
+
+  // The poller leaves dead deliveries alone
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.equal(received.length, 1);
+
+  const retried = await call('POST', `/api/outbox/${dead.id}/retry`);
+  assert.equal(retried.status, 200);
+  assert.equal(retried.body.rescheduled, 1);
+  assert.equal(retried.body.delivered, 1);
+  await settled();
+  assert.equal(delivery(sale.id, 'accounting').status, 'delivered');
+  assert.deepEqual(received.map(e => e.key), [dead.idempotency_key, dead.idempotency_key]);
+
+  status = await call('GET', '/api/outbox/status');
+  assert.equal(status.body.status.undelivered, 0);
+  assert.equal((await call('POST', `/api/outbox/${dead.id}/retry`)).status, 404);
+  assert.equal(received.length, 2);
+});
@@ -0,0 +1,208 @@
+/**
+ * Promotion tests - stacking and priority between offers, the per-customer
+ * limit, and the BOGO, bundle and tiered calculators, as the server prices a
+ * cart. The service runs in its own process on a fresh database; this
+ * process seeds it and checks what was saved.
+ * Run: npm test (from point_of_sale)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory, so the shared database starts out empty
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-pos-promo-'));
+process.env.HOME = home;
+
+const { initDb, run, get, saveDb, lockDb, releaseLock } = require('../../shared/db');
+
+let service;
+let base;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function call(method, url, body) {
+  const res = await fetch(base + url, {
+    method,
+    headers: { 'content-type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// The service saves shortly after it answers; its lock is free once it has
+async function settled() {
+  releaseLock(await lockDb());
+}
+
+// Every promotion here needs its code, so each test only sees the ones it enters
+function promotion(code, discountType, discountValue, conditions = {}, fields = {}) {
+  run(`INSERT INTO promotions (id, name, code, type, discount_type, discount_value, conditions, priority, stackable, per_customer_limit)
+       VALUES (?, ?, ?, 'code', ?, ?, ?, ?, ?, ?)`,
+    [code.toLowerCase(), code, code, discountType, discountValue, JSON.stringify(conditions),
+      fields.priority || 0, fields.stackable ? 1 : 0, fields.per_customer_limit || null]);
+}
+
+async function price(items, promoCodes, customerId) {
+  const r = await call('POST', '/api/cart/price', {
+    customer_id: customerId,
+    items: Object.entries(items).map(([product_id, quantity]) => ({ product_id, quantity })),
+    promo_codes: promoCodes
+  });
+  assert.equal(r.status, 200, r.body.error);
+  return r.body.data;
+}
+
+// [code, discount] for each promotion applied, in the order it was applied
+function applied(priced) {
+  return priced.promotions.map(p => [p.code, p.discount]);
+}
+
+// Promotion discount per product
+function byProduct(priced) {
+  return Object.fromEntries(priced.lines.filter(l => l.promo_discount > 0).map(l => [l.product_id, l.promo_discount]));
+}
+
+test.before(async () => {
+  await initDb();
+  run(`INSERT INTO products (id, sku, name, price, category) VALUES
+    ('shirt', 'SKU-SHIRT', 'Shirt', 500, 'apparel'), ('cap', 'SKU-CAP', 'Cap', 200, 'apparel'),
+    ('sock', 'SKU-SOCK', 'Socks', 100, 'apparel'), ('pen', 'SKU-PEN', 'Pen', 10, 'stationery')`);
+  run("INSERT INTO customers (id, name, loyalty_points) VALUES ('c1', 'Asha', 0), ('c2', 'Ravi', 0)");
+
+  promotion('FLAT100', 'fixed', 100, {}, { stackable: true });
+  promotion('TEN', 'percentage', 10, {}, { stackable: true });
+  promotion('BOOST', 'fixed', 25, {}, { stackable: true, priority: 9 });
+  promotion('SOLO20', 'percentage', 20, {}, { priority: 5 });
+  promotion('ONCE', 'percentage', 10, {}, { per_customer_limit: 1 });
+  promotion('B1G1', 'bogo', 0, { categories: ['apparel'], buy_quantity: 1, get_quantity: 1 });
+  promotion('KIT', 'bundle', 0, { components: [{ quantity: 1, product_ids: ['shirt'] }, { quantity: 1, product_ids: ['cap'] }], bundle_price: 600 });
+  promotion('BULK', 'tiered', 0, { product_ids: ['pen'], tiers: [{ min_quantity: 10, percent: 10 }, { min_quantity: 20, unit_price: 7 }] });
+  saveDb();
+  releaseLock();
+
+  const port = await freePort();
+  service = spawn(process.execPath, [path.join(__dirname, '..', 'service.js')], {
+    env: { ...process.env, HOME: home, PORT: String(port), SKIP_AUTH: 'true', DISABLE_ACCOUNTING_HOOK: 'true' },
+    stdio: 'ignore'
+  });
+  base = `http://127.0.0.1:${port}`;
+  for (let i = 0; ; i++) {
+    try {
+      if ((await fetch(base + '/health')).ok) break;
+    } catch (e) {
+      if (i > 150) throw new Error('point_of_sale did not start');
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+});
+
+test.after(() => {
+  if (service) service.kill();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+// ============================================
+// Stacking & priority
+// ============================================
+
+test('stackable promotions apply in turn, the bigger one first, each to what is left', async () => {
+  const priced = await price({ shirt: 1 }, ['TEN', 'FLAT100']);
+  assert.deepEqual(applied(priced), [['FLAT100', 100], ['TEN', 40]]);
+  assert.equal(priced.discount, 140);
+  assert.deepEqual(priced.warnings, []);
+});
+
+test('a non-stackable promotion with a higher priority applies alone', async () => {
+  const priced = await price({ shirt: 1 }, ['FLAT100', 'SOLO20']);
+  assert.deepEqual(applied(priced), [['SOLO20', 100]]);
+  assert.deepEqual(priced.warnings, ['FLAT100: Cannot be combined with SOLO20']);
+});
+
+test('a non-stackable promotion is turned away once a higher priority one has applied', async () => {
+  const priced = await price({ shirt: 1 }, ['SOLO20', 'BOOST']);
+  assert.deepEqual(applied(priced), [['BOOST', 25]]);
+  assert.deepEqual(priced.warnings, ['SOLO20: Cannot be combined with other promotions']);
+});
+
+// ============================================
+// Per-customer limit
+// ============================================
+
+test('a per-customer limit needs a customer and stops at the limit for that customer only', async () => {
+  let priced = await price({ shirt: 1 }, ['ONCE']);
+  assert.deepEqual(applied(priced), []);
+  assert.deepEqual(priced.warnings, ['ONCE: Customer required']);
+
+  const r = await call('POST', '/api/sales', {
+    customer_id: 'c1', promo_code: 'ONCE',
+    items: [{ product_id: 'shirt', quantity: 1 }],
+    payments: [{ method: 'cash', amount: 1000 }]
+  });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.data.promotion.code, 'ONCE');
+  assert.equal(r.body.data.promotion.discount, 50);
+  await settled();
+  assert.equal(get("SELECT COUNT(*) AS n FROM promotion_redemptions WHERE promotion_id = 'once' AND customer_id = 'c1'").n, 1);
+
+  priced = await price({ shirt: 1 }, ['ONCE'], 'c1');
+  assert.deepEqual(applied(priced), []);
+  assert.deepEqual(priced.warnings, ['ONCE: Customer has already used this promotion']);
+
+  priced = await price({ shirt: 1 }, ['ONCE'], 'c2');
+  assert.deepEqual(applied(priced), [['ONCE', 50]]);
+});
+
+// ============================================
+// Offer types
+// ============================================
+
+test('buy one get one gives away the cheapest qualifying units', async () => {
+  let priced = await price({ shirt: 1, cap: 1, sock: 1 }, ['B1G1']);
+  assert.deepEqual(byProduct(priced), { sock: 100 });
+
+  // Each free unit needs a bought one; the socks are free against the shirt and the cap
+  priced = await price({ shirt: 1, cap: 1, sock: 2 }, ['B1G1']);
+  assert.deepEqual(byProduct(priced), { sock: 200 });
+  assert.deepEqual(priced.promotions[0].allocations.map(a => [a.product_id, a.quantity, a.amount]), [['sock', 2, 200]]);
+
+  priced = await price({ cap: 1 }, ['B1G1']);
+  assert.deepEqual(applied(priced), []);
+  assert.deepEqual(priced.warnings, ['B1G1: Cart does not meet the offer conditions']);
+});
+
+test('a bundle is priced as a set and its discount is shared by value', async () => {
+  let priced = await price({ shirt: 1, cap: 1 }, ['KIT']);
+  assert.deepEqual(applied(priced), [['KIT', 100]]);
+  assert.deepEqual(byProduct(priced), { shirt: 71.43, cap: 28.57 });
+
+  // A second shirt without a cap does not make another set
+  priced = await price({ shirt: 2, cap: 1 }, ['KIT']);
+  assert.deepEqual(applied(priced), [['KIT', 100]]);
+
+  priced = await price({ shirt: 1 }, ['KIT']);
+  assert.deepEqual(applied(priced), []);
+});
+
+test('quantity breaks price every targeted unit at the best tier reached', async () => {
+  let priced = await price({ pen: 9 }, ['BULK']);
+  assert.deepEqual(applied(priced), []);
+
+  priced = await price({ pen: 10, shirt: 1 }, ['BULK']);
+  assert.deepEqual(byProduct(priced), { pen: 10 });
+
+  // 25 pens at the 7 each of the 20+ tier, not 10% off
+  priced = await price({ pen: 25 }, ['BULK']);
+  assert.deepEqual(applied(priced), [['BULK', 75]]);
+});
@@ -0,0 +1,171 @@
+/**
+ * Split tender tests - the service runs in its own process on a fresh
+ * database; this process seeds it and checks what was saved.
+ * Run: npm test (from point_of_sale)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory, so the shared database starts out empty
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-pos-'));
+process.env.HOME = home;
+
+const { initDb, query, run, get, saveDb, lockDb, releaseLock } = require('../../shared/db');
+
+let service;
+let base;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function call(method, url, body) {
+  const res = await fetch(base + url, {
+    method,
+    headers: { 'content-type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// Writes from this process wait for the lock like a request does
+async function write(fn) {
+  const hold = await lockDb();
+  try {
+    fn();
+  } finally {
+    saveDb();
+    releaseLock(hold);
+  }
+}
+
+// The service saves shortly after it answers; its lock is free once it has
+async function settled() {
+  releaseLock(await lockDb());
+}
+
+test.before(async () => {
+  await initDb();
+  run("INSERT INTO products (id, sku, name, price) VALUES ('p1', 'SKU1', 'Kettle', 150), ('p2', 'SKU2', 'Mug', 50)");
+  run("INSERT INTO customers (id, name, loyalty_points) VALUES ('c1', 'Asha', 0)");
+  saveDb();
+  releaseLock();
+
+  const port = await freePort();
+  service = spawn(process.execPath, [path.join(__dirname, '..', 'service.js')], {
+    env: { ...process.env, HOME: home, PORT: String(port), SKIP_AUTH: 'true' },
+    stdio: 'ignore'
+  });
+  base = `http://127.0.0.1:${port}`;
+  for (let i = 0; ; i++) {
+    try {
+      if ((await fetch(base + '/health')).ok) break;
+    } catch (e) {
+      if (i > 150) throw new Error('point_of_sale did not start');
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+});
+
+test.after(() => {
+  if (service) service.kill();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+async function giftCard(amount) {
+  const r = await call('POST', '/api/gift-cards', { amount });
+  assert.equal(r.status, 200);
+  return r.body.gift_card;
+}
+
+test('cash keyed in first is still applied last, so change comes from cash', async () => {
+  const card = await giftCard(60);
+  const r = await call('POST', '/api/sales', {
+    items: [{ product_id: 'p1', quantity: 1 }],
+    payments: [{ method: 'cash', amount: 100 }, { method: 'gift_card', amount: 60, card_number: card.card_number, pin: card.pin }]
+  });
+  assert.equal(r.status, 200);
+  const sale = r.body.data;
+  assert.equal(sale.total, 150);
+  assert.equal(sale.change, 10);
+  assert.deepEqual(sale.payments.map(p => [p.method, p.amount, p.tendered, p.change_amount]),
+    [['gift_card', 60, 60, 0], ['cash', 90, 100, 10]]);
+
+  await settled();
+  assert.equal(get('SELECT current_balance FROM gift_cards WHERE id = ?', [card.id]).current_balance, 0);
+  const saved = query('SELECT method, amount FROM sale_payments WHERE sale_id = ? ORDER BY method', [sale.id]);
+  assert.deepEqual(saved.map(p => [p.method, p.amount]), [['cash', 90], ['gift_card', 60]]);
+});
+
+test('card and cash in either order give the same split', async () => {
+  const orders = [
+    [{ method: 'card', amount: 120 }, { method: 'cash', amount: 50 }],
+    [{ method: 'cash', amount: 50 }, { method: 'card', amount: 120 }]
+  ];
+  for (const payments of orders) {
+    const r = await call('POST', '/api/sales', { items: [{ product_id: 'p1', quantity: 1 }], payments });
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body.data.payments.map(p => [p.method, p.amount]), [['card', 120], ['cash', 30]]);
+    assert.equal(r.body.data.change, 20);
+  }
+});
+
+test('non-cash tenders may not exceed the amount due', async () => {
+  const r = await call('POST', '/api/sales', {
+    items: [{ product_id: 'p2', quantity: 1 }],
+    payments: [{ method: 'cash', amount: 20 }, { method: 'card', amount: 60 }]
+  });
+  assert.equal(r.status, 400);
+  assert.match(r.body.error, /card tender of 60 exceeds the 50 still due/);
+});
+
+test('a balance on account is settled in the same tender order', async () => {
+  let r = await call('POST', '/api/sales', {
+    customer_id: 'c1', allow_partial: true,
+    items: [{ product_id: 'p1', quantity: 1 }],
+    payments: [{ method: 'card', amount: 50 }]
+  });
+  assert.equal(r.status, 200);
+  const saleId = r.body.data.id;
+  assert.equal(r.body.data.balance_due, 100);
+
+  r = await call('POST', `/api/sales/${saleId}/payments`, {
+    payments: [{ method: 'cash', amount: 100 }, { method: 'upi', amount: 30 }]
+  });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.data.payments.map(p => [p.method, p.amount, p.change_amount]), [['upi', 30, 0], ['cash', 70, 30]]);
+  assert.equal(r.body.data.balance_due, 0);
+  assert.equal(r.body.data.payment_status, 'paid');
+});
+
+test('a sale that fails part way leaves nothing behind', async () => {
+  const card = await giftCard(40);
+  await write(() => run(`CREATE TRIGGER fail_sale_outbox BEFORE INSERT ON pos_outbox
+    WHEN NEW.event_type = 'retail.pos.sale.completed' BEGIN SELECT RAISE(ABORT, 'outbox unavailable'); END`));
+  await settled();
+  const before = get('SELECT COUNT(*) AS n FROM sales').n;
+  try {
+    const r = await call('POST', '/api/sales', {
+      items: [{ product_id: 'p2', quantity: 1 }],
+      payments: [{ method: 'gift_card', amount: 40, card_number: card.card_number, pin: card.pin }, { method: 'cash', amount: 10 }]
+    });
+    assert.equal(r.status, 500);
+  } finally {
+    await write(() => run('DROP TRIGGER fail_sale_outbox'));
+  }
+
+  assert.equal(get('SELECT COUNT(*) AS n FROM sales').n, before, 'no sale row');
+  assert.equal(get('SELECT current_balance FROM gift_cards WHERE id = ?', [card.id]).current_balance, 40, 'gift card not drawn down');
+  assert.equal(get("SELECT COUNT(*) AS n FROM gift_card_transactions WHERE gift_card_id = ? AND transaction_type = 'redemption'", [card.id]).n, 0);
+});
@@ -354,6 +354,31 @@ export interface CashMovement {
   createdAt: string;
 }
 
+// ============================================================================
+// OUTBOX (deliveries to accounting, inventory and loyalty)
+// ============================================================================
+
+export interface OutboxStatus {
+  pending: number;
+  dead: number;
+  undelivered: number;
+  oldestUndeliveredAt?: string;
+  lastError?: { consumer: string; error: string; nextAttemptAt?: string };
+  consumers: Record<string, { pending: number; dead: number }>;
+}
+
+export const outboxApi = {
+  status: async (): Promise<OutboxStatus> => {
+    const response = await posAPI.get('/api/outbox/status');
+    return mapOutboxStatus(response.data.status);
+  },
+
+  retryAll: async (): Promise<OutboxStatus> => {
+    const response = await posAPI.post('/api/outbox/retry');
+    return mapOutboxStatus(response.data.status);
+  },
+};
+
 // ============================================================================
 // MAPPERS
 // ============================================================================
@@ -504,3 +529,16 @@ function mapCustomer(c: any): Customer {
     updatedAt: c.updated_at,
   };
 }
+
+function mapOutboxStatus(s: any): OutboxStatus {
+  return {
+    pending: parseInt(s?.pending) || 0,
+    dead: parseInt(s?.dead) || 0,
+    undelivered: parseInt(s?.undelivered) || 0,
+    oldestUndeliveredAt: s?.oldest_undelivered_at || undefined,
+    lastError: s?.last_error
+      ? { consumer: s.last_error.consumer, error: s.last_error.error, nextAttemptAt: s.last_error.next_attempt_at || undefined }
+      : undefined,
+    consumers: s?.consumers || {},
+  };
+}
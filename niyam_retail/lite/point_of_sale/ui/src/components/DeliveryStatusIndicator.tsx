@@ -0,0 +1,143 @@
+/**
+ * DeliveryStatusIndicator - Undelivered POS events
+ *
+ * Sales, returns and cash movements reach accounting, inventory and loyalty
+ * through the server outbox. Shows how many are still waiting and lets the
+ * cashier retry instead of waiting for the next backoff.
+ */
+
+import { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Send, AlertCircle, CheckCircle2, RefreshCw, Loader2 } from 'lucide-react';
+import { outboxApi } from '../api/posApi';
+
+const POLL_MS = 30000;
+
+const CONSUMER_LABELS: Record<string, string> = {
+  accounting: 'Accounting',
+  inventory: 'Inventory',
+  loyalty: 'Loyalty',
+};
+
+export function DeliveryStatusIndicator() {
+  const queryClient = useQueryClient();
+  const [showPopover, setShowPopover] = useState(false);
+
+  const { data: status } = useQuery({
+    queryKey: ['pos-outbox-status'],
+    queryFn: outboxApi.status,
+    refetchInterval: POLL_MS,
+  });
+
+  const retry = useMutation({
+    mutationFn: outboxApi.retryAll,
+    onSuccess: (next) => queryClient.setQueryData(['pos-outbox-status'], next),
+  });
+
+  // Nothing left to look at once everything is through
+  useEffect(() => {
+    if (status && status.undelivered === 0) setShowPopover(false);
+  }, [status]);
+
+  if (!status) return null;
+
+  const undelivered = status.undelivered;
+  const hasDead = status.dead > 0;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setShowPopover(!showPopover)}
+        className={`p-2 rounded-full transition-colors ${
+          undelivered === 0
+            ? 'bg-green-100 text-green-600 hover:bg-green-200'
+            : hasDead
+            ? 'bg-red-100 text-red-600 hover:bg-red-200'
+            : 'bg-yellow-100 text-yellow-600 hover:bg-yellow-200'
+        }`}
+        title={undelivered === 0 ? 'All events delivered' : `${undelivered} undelivered event${undelivered !== 1 ? 's' : ''}`}
+      >
+        {retry.isPending ? (
+          <Loader2 className="h-4 w-4 animate-spin" />
+        ) : hasDead ? (
+          <AlertCircle className="h-4 w-4" />
+        ) : (
+          <Send className="h-4 w-4" />
+        )}
+      </button>
+
+      {/* Undelivered count badge */}
+      {undelivered > 0 && (
+        <span
+          className={`absolute -top-1 -right-1 text-white text-xs rounded-full h-4 min-w-4 px-1 flex items-center justify-center ${
+            hasDead ? 'bg-red-500' : 'bg-yellow-500'
+          }`}
+        >
+          {undelivered}
+        </span>
+      )}
+
+      {/* Popover */}
+      {showPopover && (
+        <div className="absolute right-0 top-full mt-2 w-72 bg-white dark:bg-gray-800 rounded-lg shadow-lg border z-50 p-4 space-y-3">
+          <div className="flex items-center gap-2">
+            {undelivered === 0 ? (
+              <>
+                <CheckCircle2 className="h-4 w-4 text-green-500" />
+                <span className="text-sm text-green-700">All events delivered</span>
+              </>
+            ) : (
+              <>
+                <Send className="h-4 w-4 text-yellow-600" />
+                <span className="text-sm text-gray-700 dark:text-gray-200">
+                  {undelivered} event{undelivered !== 1 ? 's' : ''} waiting
+                </span>
+              </>
+            )}
+          </div>
+
+          {/* Per consumer */}
+          <div className="grid grid-cols-3 gap-2 text-xs">
+            {Object.entries(status.consumers).map(([name, counts]) => (
+              <div key={name} className="bg-gray-50 dark:bg-gray-700 rounded p-2">
+                <div className="text-gray-500">{CONSUMER_LABELS[name] || name}</div>
+                <div className="font-semibold">{counts.pending + counts.dead}</div>
+                {counts.dead > 0 && <div className="text-red-600">{counts.dead} failed</div>}
+              </div>
+            ))}
+          </div>
+
+          {status.oldestUndeliveredAt && (
+            <div className="text-xs text-gray-500">
+              Oldest: {new Date(status.oldestUndeliveredAt).toLocaleString()}
+            </div>
+          )}
+
+          {status.lastError && (
+            <div className="text-xs text-red-600 bg-red-50 p-2 rounded">
+              {CONSUMER_LABELS[status.lastError.consumer] || status.lastError.consumer}: {status.lastError.error}
+              {status.lastError.nextAttemptAt && (
+                <div className="text-gray-500 mt-1">
+                  Next try: {new Date(status.lastError.nextAttemptAt).toLocaleTimeString()}
+                </div>
+              )}
+            </div>
+          )}
+
+          {undelivered > 0 && (
+            <button
+              onClick={() => retry.mutate()}
+              disabled={retry.isPending}
+              className="w-full flex items-center justify-center gap-2 text-xs font-medium py-2 rounded bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 disabled:opacity-50"
+            >
+              <RefreshCw className="h-3 w-3" />
+              Retry now
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DeliveryStatusIndicator;
@@ -30,6 +30,7 @@ import {
   Card,
 } from '@shared/components/ui';
 import { ThemeToggle, DialogButtons } from '@shared/components/blocks';
+import { DeliveryStatusIndicator } from '../components/DeliveryStatusIndicator';
 import {
   ShoppingCart,
   Search,
@@ -471,6 +472,7 @@ export default function POSMainPage() {
             <span className="text-gray-900 dark:text-white font-medium capitalize">{activeNav}</span>
           </div>
           <div className="flex items-center gap-3">
+            <DeliveryStatusIndicator />
             <ThemeToggle />
             <Button variant="outline" size="sm" onClick={() => setSettingsOpen(true)}>
               <Settings className="h-4 w-4" />
@@ -3,18 +3,27 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const { evaluatePromotions, validatePromotionConfig } = require('../shared/promotionRules');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8863;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'promotions_engine', mode: 'lite' }));
 app.get('/healthz', (req, res) => res.json({ status: 'ok', service: 'promotions_engine' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+// Checking a promotion at the till needs no marketing rights
+app.use(['/promotions/evaluate', '/promotions/validate'], permissions.requirePermission('sales:create'));
+app.use('/promotions', permissions.requireResource('marketing', { when: req => !['/evaluate', '/validate'].includes(req.path) }));
+
 // List promotions
 app.get('/promotions', (req, res) => {
   try {
@@ -30,6 +39,15 @@ app.get('/promotions', (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// Get active promotions
+app.get('/promotions/active', (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    const promos = query(`SELECT * FROM promotions WHERE active = 1 AND (start_date IS NULL OR start_date <= ?) AND (end_date IS NULL OR end_date >= ?)`, [now, now]);
+    res.json({ success: true, promotions: promos });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
 app.get('/promotions/:id', (req, res) => {
   try {
     const promo = get('SELECT * FROM promotions WHERE id = ?', [req.params.id]);
@@ -40,66 +58,125 @@ app.get('/promotions/:id', (req, res) => {
 
 app.post('/promotions', (req, res) => {
   try {
-    const { name, code, type, discount_type, discount_value, min_purchase, max_uses, start_date, end_date, conditions } = req.body;
+    const { name, code, type, discount_type, discount_value, min_purchase, max_uses, start_date, end_date, conditions,
+      priority, stackable, per_customer_limit } = req.body;
     if (!name) return res.status(400).json({ success: false, error: 'Name required' });
+    const errors = validatePromotionConfig({ discount_type, discount_value, conditions });
+    if (errors.length) return res.status(400).json({ success: false, error: errors.join('; '), errors });
     const id = uuidv4();
     const promoCode = code || `PROMO-${Math.random().toString(36).substr(2, 8).toUpperCase()}`;
-    run(`INSERT INTO promotions (id, name, code, type, discount_type, discount_value, min_purchase, max_uses, start_date, end_date, conditions) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [id, name, promoCode, type || 'coupon', discount_type || 'percentage', discount_value || 0, min_purchase || 0, max_uses, start_date, end_date, JSON.stringify(conditions || {})]);
+    run(`INSERT INTO promotions (id, name, code, type, discount_type, discount_value, min_purchase, max_uses, start_date, end_date, conditions,
+         priority, stackable, per_customer_limit) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, name, promoCode, type || 'coupon', discount_type || 'percentage', discount_value || 0, min_purchase || 0, max_uses || null,
+        start_date || null, end_date || null, JSON.stringify(conditions || {}), parseInt(priority) || 0, stackable ? 1 : 0, per_customer_limit || null]);
     res.json({ success: true, promotion: { id, name, code: promoCode } });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
 app.put('/promotions/:id', (req, res) => {
   try {
-    const { name, discount_type, discount_value, min_purchase, max_uses, start_date, end_date, active, conditions } = req.body;
+    const existing = get('SELECT * FROM promotions WHERE id = ?', [req.params.id]);
+    if (!existing) return res.status(404).json({ success: false, error: 'Promotion not found' });
+    const { name, discount_type, discount_value, min_purchase, max_uses, start_date, end_date, active, conditions,
+      priority, stackable, per_customer_limit } = req.body;
+    // Check the offer as it will be after the update
+    const errors = validatePromotionConfig({
+      discount_type: discount_type ?? existing.discount_type,
+      discount_value: discount_value ?? existing.discount_value,
+      conditions: conditions ?? JSON.parse(existing.conditions || '{}')
+    });
+    if (errors.length) return res.status(400).json({ success: false, error: errors.join('; '), errors });
     run(`UPDATE promotions SET name = COALESCE(?, name), discount_type = COALESCE(?, discount_type), 
          discount_value = COALESCE(?, discount_value), min_purchase = COALESCE(?, min_purchase), max_uses = COALESCE(?, max_uses),
          start_date = COALESCE(?, start_date), end_date = COALESCE(?, end_date), active = COALESCE(?, active),
-         conditions = COALESCE(?, conditions) WHERE id = ?`,
-      [name, discount_type, discount_value, min_purchase, max_uses, start_date, end_date, active, conditions ? JSON.stringify(conditions) : null, req.params.id]);
+         conditions = COALESCE(?, conditions), priority = COALESCE(?, priority), stackable = COALESCE(?, stackable),
+         per_customer_limit = COALESCE(?, per_customer_limit) WHERE id = ?`,
+      [name ?? null, discount_type ?? null, discount_value ?? null, min_purchase ?? null, max_uses ?? null, start_date ?? null, end_date ?? null,
+        active ?? null, conditions ? JSON.stringify(conditions) : null, priority ?? null,
+        stackable === undefined ? null : (stackable ? 1 : 0), per_customer_limit ?? null, req.params.id]);
     res.json({ success: true, message: 'Promotion updated' });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// Cart lines with the catalogue details promotions target on
+function cartLines(items) {
+  return (items || []).map(item => {
+    const product = get('SELECT id, price, category, brand FROM products WHERE id = ?', [item.product_id]) || {};
+    return {
+      product_id: item.product_id,
+      quantity: Number(item.quantity) || 1,
+      unit_price: item.unit_price !== undefined ? Number(item.unit_price) : (product.price || 0),
+      category: item.category || product.category || null,
+      brand: item.brand || product.brand || null
+    };
+  });
+}
+
+// Evaluate every applicable promotion against a cart
+app.post('/promotions/evaluate', (req, res) => {
+  try {
+    const { items, customer_id, promo_codes, promo_code, at } = req.body;
+    if (!Array.isArray(items) || !items.length) return res.status(400).json({ success: false, error: 'items required' });
+    const lines = cartLines(items);
+    const evaluation = evaluatePromotions(lines, { customer_id, promo_codes: [].concat(promo_codes || [], promo_code || []), at });
+    const subtotal = Math.round(lines.reduce((s, l) => s + l.unit_price * l.quantity, 0) * 100) / 100;
+    res.json({ success: true, subtotal, ...evaluation, new_total: Math.round((subtotal - evaluation.discount) * 100) / 100 });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
 // Validate promo code
 app.post('/promotions/validate', (req, res) => {
   try {
-    const { code, cart_total, customer_id } = req.body;
+    const { code, cart_total, customer_id, items } = req.body;
     if (!code) return res.status(400).json({ success: false, error: 'Code required' });
     
-    const promo = get('SELECT * FROM promotions WHERE code = ? AND active = 1', [code]);
+    const promo = get('SELECT * FROM promotions WHERE LOWER(code) = LOWER(?) AND active = 1', [code]);
     if (!promo) return res.status(404).json({ success: false, error: 'Invalid promo code' });
-    
-    const now = new Date().toISOString();
-    if (promo.start_date && now < promo.start_date) return res.status(400).json({ success: false, error: 'Promotion not yet active' });
-    if (promo.end_date && now > promo.end_date) return res.status(400).json({ success: false, error: 'Promotion expired' });
-    if (promo.max_uses && promo.uses_count >= promo.max_uses) return res.status(400).json({ success: false, error: 'Promotion limit reached' });
-    if (promo.min_purchase && cart_total < promo.min_purchase) return res.status(400).json({ success: false, error: `Minimum purchase of ${promo.min_purchase} required` });
-    
-    let discount = 0;
-    if (promo.discount_type === 'percentage') discount = (cart_total * promo.discount_value) / 100;
-    else if (promo.discount_type === 'fixed') discount = promo.discount_value;
-    
-    res.json({ success: true, valid: true, promotion: promo, discount, new_total: cart_total - discount });
+
+    // Without items only basket offers can be priced, as one line worth the cart total
+    let lines;
+    if (Array.isArray(items) && items.length) lines = cartLines(items);
+    else if (['bogo', 'bundle', 'tiered'].includes(promo.discount_type)) {
+      return res.status(400).json({ success: false, error: `${promo.discount_type} promotions need cart items to validate` });
+    } else lines = [{ product_id: null, quantity: 1, unit_price: Number(cart_total) || 0 }];
+
+    const evaluation = evaluatePromotions(lines, { customer_id, promo_codes: [code], only_codes: true });
+    const applied = evaluation.applied.find(p => p.id === promo.id);
+    if (!applied) {
+      const rejection = evaluation.rejected.find(r => r.promotion_id === promo.id);
+      return res.status(400).json({ success: false, error: rejection ? rejection.reason : 'Promotion does not apply' });
+    }
+    const total = Math.round(lines.reduce((s, l) => s + l.unit_price * l.quantity, 0) * 100) / 100;
+    res.json({ success: true, valid: true, promotion: promo, discount: applied.discount, allocations: applied.allocations,
+      new_total: Math.round((total - applied.discount) * 100) / 100 });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
-// Apply promo (increment usage)
+// Apply promo (increment usage, record the redemption)
 app.post('/promotions/:id/apply', (req, res) => {
   try {
+    const promo = get('SELECT id, code FROM promotions WHERE id = ?', [req.params.id]);
+    if (!promo) return res.status(404).json({ success: false, error: 'Promotion not found' });
+    const { customer_id, sale_id, discount, allocations } = req.body || {};
     run('UPDATE promotions SET uses_count = uses_count + 1 WHERE id = ?', [req.params.id]);
+    run(`INSERT INTO promotion_redemptions (id, promotion_id, customer_id, sale_id, code, discount, allocations) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), promo.id, customer_id || null, sale_id || null, promo.code || null, Number(discount) || 0, JSON.stringify(allocations || [])]);
     res.json({ success: true, message: 'Promotion applied' });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
-// Get active promotions
-app.get('/promotions/active', (req, res) => {
+// Redemption history
+app.get('/promotions/:id/redemptions', (req, res) => {
   try {
-    const now = new Date().toISOString();
-    const promos = query(`SELECT * FROM promotions WHERE active = 1 AND (start_date IS NULL OR start_date <= ?) AND (end_date IS NULL OR end_date >= ?)`, [now, now]);
-    res.json({ success: true, promotions: promos });
+    const { customer_id, limit = 100 } = req.query;
+    let sql = 'SELECT * FROM promotion_redemptions WHERE promotion_id = ?';
+    const params = [req.params.id];
+    if (customer_id) { sql += ' AND customer_id = ?'; params.push(customer_id); }
+    sql += ' ORDER BY created_at DESC LIMIT ?';
+    params.push(parseInt(limit));
+    const redemptions = query(sql, params).map(r => ({ ...r, allocations: JSON.parse(r.allocations || '[]') }));
+    res.json({ success: true, redemptions });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
@@ -11,7 +11,8 @@ const { v4: uuidv4 } = require('uuid');
 const QRCode = require('qrcode');
 const PDFDocument = require('pdfkit');
 const archiver = require('archiver');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8898;
@@ -19,6 +20,7 @@ const PORT = process.env.PORT || 8898;
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
+app.use(writeLock);
 
 // Static files for UI
 const uiPath = path.join(__dirname, 'ui', 'dist');
@@ -44,6 +46,11 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'qr_code_generator', mode: 'lite', port: PORT });
 });
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+// /qr/r/* redirects scanned codes and stays public
+app.use('/api', permissions.requireResource('catalog'));
+
 // ============================================
 // Settings Endpoints
 // ============================================
@@ -1,8 +1,9 @@
 /**
- * Accounting Integration Hook (Fire-and-forget)
+ * Accounting Integration Hook
  * Sends financial events to the accounting integration bridge.
  * Uses Node built-in http — no external dependencies.
- * Never throws or blocks the caller.
+ * notifyAccounting is fire-and-forget and never throws or blocks the caller;
+ * deliverAccountingEvent reports the outcome so an outbox can retry.
  */
 
 const http = require('http');
@@ -29,4 +30,39 @@ function notifyAccounting(source, eventType, payload) {
   } catch (e) { /* silent — never break the caller */ }
 }
 
-module.exports = { notifyAccounting };
+/**
+ * Send one event and wait for the bridge to accept it.
+ * Resolves on a 2xx (including a duplicate of an earlier delivery), rejects otherwise;
+ * a 4xx other than 408/429 rejects with err.permanent set because resending won't help.
+ */
+function deliverAccountingEvent(source, eventType, payload, idempotencyKey) {
+  return new Promise((resolve, reject) => {
+    if (process.env.DISABLE_ACCOUNTING_HOOK === 'true') return resolve({ skipped: true });
+    const data = JSON.stringify({ source, event_type: eventType, payload, idempotency_key: idempotencyKey, timestamp: new Date().toISOString() });
+    const req = http.request({
+      hostname: BRIDGE_HOST,
+      port: parseInt(BRIDGE_PORT, 10),
+      path: '/api/events',
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data), 'Idempotency-Key': idempotencyKey || '' },
+      timeout: 10000
+    }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          try { return resolve(JSON.parse(body)); } catch (e) { return resolve({}); }
+        }
+        const err = new Error(`Accounting bridge responded ${res.statusCode}: ${body.slice(0, 200)}`);
+        err.permanent = res.statusCode >= 400 && res.statusCode < 500 && ![408, 429].includes(res.statusCode);
+        reject(err);
+      });
+    });
+    req.on('error', err => reject(new Error(`Accounting bridge unreachable: ${err.message}`)));
+    req.on('timeout', () => req.destroy(new Error('timed out')));
+    req.write(data);
+    req.end();
+  });
+}
+
+module.exports = { notifyAccounting, deliverAccountingEvent };
@@ -0,0 +1,357 @@
+/**
+ * Authentication - Lite Version
+ * Password / PIN hashing, failed-attempt lockout, TOTP two-factor and
+ * session tokens for retail lite. Users and sessions live in the shared
+ * database, so any module can check a Bearer token with authenticate().
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { query, run, get, lockDb, releaseLock } = require('./db');
+
+// ============================================
+// Constants
+// ============================================
+
+// scrypt cost; hashes made with other parameters are upgraded on the next login
+const SCRYPT = { N: 32768, r: 8, p: 1, keyLength: 32 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.AUTH_MAX_FAILED_ATTEMPTS, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.AUTH_LOCKOUT_MINUTES, 10) || 15;
+
+const SESSION_HOURS = 24;
+const PIN_SESSION_HOURS = 12; // One shift on a POS terminal
+const SEEN_INTERVAL_MS = 60 * 1000; // last_seen_at is refreshed at most once a minute
+const MIN_PASSWORD_LENGTH = 8;
+const PIN_PATTERN = /^\d{4,6}$/;
+
+const TOTP_ISSUER = 'Niyam Retail';
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Accept the previous and next code too, for clock drift
+
+const ADMIN_ROLE = 'admin';
+const DEFAULT_ROLE = 'user';
+
+// ============================================
+// Password & PIN hashing
+// ============================================
+
+const LEGACY_SHA256 = /^[0-9a-f]{64}$/;
+
+function scrypt(secret, salt, { N, r, p, keyLength }) {
+  return crypto.scryptSync(secret, salt, keyLength, { N, r, p, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Hash a password or PIN with a random salt
+ * @returns {string} - scrypt$N$r$p$salt$hash (base64 salt and hash)
+ */
+function hashSecret(secret) {
+  const salt = crypto.randomBytes(16);
+  const hash = scrypt(String(secret), salt, SCRYPT);
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password or PIN against a stored hash (scrypt, or an unsalted SHA-256 from before)
+ * @returns {Object} - {valid, needsRehash}
+ */
+function verifySecret(secret, stored) {
+  if (!stored) return { valid: false, needsRehash: false };
+
+  if (LEGACY_SHA256.test(stored)) {
+    const hash = crypto.createHash('sha256').update(String(secret)).digest();
+    return { valid: crypto.timingSafeEqual(hash, Buffer.from(stored, 'hex')), needsRehash: true };
+  }
+
+  const [scheme, N, r, p, salt, expected] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return { valid: false, needsRehash: false };
+  const params = { N: parseInt(N), r: parseInt(r), p: parseInt(p), keyLength: Buffer.from(expected, 'base64').length };
+  const hash = scrypt(String(secret), Buffer.from(salt, 'base64'), params);
+  const valid = crypto.timingSafeEqual(hash, Buffer.from(expected, 'base64'));
+  const needsRehash = params.N !== SCRYPT.N || params.r !== SCRYPT.r || params.p !== SCRYPT.p || params.keyLength !== SCRYPT.keyLength;
+  return { valid, needsRehash };
+}
+
+// Spends the same time on unknown usernames as on wrong passwords
+let dummyHash = null;
+function burnHashTime(secret) {
+  if (!dummyHash) dummyHash = hashSecret(crypto.randomBytes(16).toString('hex'));
+  verifySecret(secret, dummyHash);
+}
+
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function pinProblem(pin) {
+  return PIN_PATTERN.test(String(pin || '')) ? null : 'PIN must be 4 to 6 digits';
+}
+
+// ============================================
+// Lockout
+// ============================================
+
+function lockedUntil(user) {
+  return user.locked_until && user.locked_until > new Date().toISOString() ? user.locked_until : null;
+}
+
+/**
+ * Count a failed login; locks the account once MAX_FAILED_ATTEMPTS is reached
+ * @returns {string|null} - ISO time the lock ends, if it is now locked
+ */
+function recordFailedAttempt(user) {
+  const attempts = (user.failed_attempts || 0) + 1;
+  if (attempts >= MAX_FAILED_ATTEMPTS) {
+    const until = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString();
+    run('UPDATE users SET failed_attempts = 0, locked_until = ? WHERE id = ?', [until, user.id]);
+    return until;
+  }
+  run('UPDATE users SET failed_attempts = ? WHERE id = ?', [attempts, user.id]);
+  return null;
+}
+
+function clearFailedAttempts(userId) {
+  run('UPDATE users SET failed_attempts = 0, locked_until = NULL WHERE id = ?', [userId]);
+}
+
+// ============================================
+// TOTP two-factor (RFC 6238)
+// ============================================
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  let bits = 0, value = 0;
+  const out = [];
+  for (const char of String(text).toUpperCase().replace(/[\s=]/g, '')) {
+    const index = BASE32.indexOf(char);
+    if (index < 0) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(code).padStart(TOTP_DIGITS, '0');
+}
+
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function totpUri(secret, account) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
+}
+
+/**
+ * Check a TOTP code. A code is only good once: pass the last step used and
+ * store the returned one.
+ * @returns {number|null} - Time step the code belongs to, or null if it doesn't match
+ */
+function verifyTotp(secret, code, lastStep = null, at = Date.now()) {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!secret || given.length !== TOTP_DIGITS) return null;
+  const key = base32Decode(secret);
+  const now = Math.floor(at / 1000 / TOTP_PERIOD);
+  for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+    if (lastStep !== null && step <= lastStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(given))) return step;
+  }
+  return null;
+}
+
+// ============================================
+// Sessions
+// ============================================
+
+function clientIp(req) {
+  return (req && (req.headers['x-forwarded-for'] || '').split(',')[0].trim()) || (req && req.ip) || null;
+}
+
+/**
+ * Start a session for a user
+ * @param {Object} user - users row
+ * @param {Object} options - {method: 'password'|'pin', req, terminal_id}
+ * @returns {Object} - {id, token, expires_at}
+ */
+function createSession(user, { method = 'password', req = null, terminal_id = null } = {}) {
+  const hours = method === 'pin' ? PIN_SESSION_HOURS : SESSION_HOURS;
+  const id = uuidv4();
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date().toISOString();
+  const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+  run('DELETE FROM sessions WHERE user_id = ? AND expires_at <= ?', [user.id, now]);
+  run(`INSERT INTO sessions (id, user_id, token, expires_at, method, ip_address, user_agent, terminal_id, last_seen_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, user.id, token, expiresAt, method, clientIp(req), req ? req.headers['user-agent'] || null : null, terminal_id, now]);
+  run('UPDATE users SET last_login = ? WHERE id = ?', [now, user.id]);
+  return { id, token, expires_at: expiresAt };
+}
+
+const touching = new Set();
+
+// Reads must not need the write lock, so last_seen_at is written in the
+// background once it is stale; if the database stays busy it waits for the next request
+function touchSession(sessionId, lastSeenAt) {
+  if (touching.has(sessionId) || Date.now() - new Date(lastSeenAt || 0) < SEEN_INTERVAL_MS) return;
+  touching.add(sessionId);
+  lockDb()
+    .then(hold => {
+      try {
+        run('UPDATE sessions SET last_seen_at = ? WHERE id = ?', [new Date().toISOString(), sessionId]);
+      } finally {
+        releaseLock(hold);
+      }
+    })
+    .catch(err => console.error('[Auth] last_seen_at not updated:', err.message))
+    .finally(() => touching.delete(sessionId));
+}
+
+/**
+ * Look up a live session by token
+ * @returns {Object|null} - {session_id, user: {id, username, email, role}}
+ */
+function validateSession(token) {
+  if (!token) return null;
+  const now = new Date().toISOString();
+  const session = get(`SELECT s.id AS session_id, s.method, s.terminal_id, s.last_seen_at, u.id, u.username, u.email, u.role
+    FROM sessions s JOIN users u ON s.user_id = u.id
+    WHERE s.token = ? AND s.expires_at > ? AND u.active = 1`, [token, now]);
+  if (!session) return null;
+  touchSession(session.session_id, session.last_seen_at);
+  return {
+    session_id: session.session_id,
+    method: session.method,
+    terminal_id: session.terminal_id,
+    user: { id: session.id, username: session.username, email: session.email, role: session.role }
+  };
+}
+
+/**
+ * Live sessions for a user, newest first (tokens are never returned)
+ */
+function listSessions(userId) {
+  return query(`SELECT id, method, ip_address, user_agent, terminal_id, created_at, last_seen_at, expires_at
+    FROM sessions WHERE user_id = ? AND expires_at > ? ORDER BY created_at DESC`, [userId, new Date().toISOString()]);
+}
+
+/**
+ * End one of a user's sessions
+ * @returns {boolean} - Whether it existed
+ */
+function revokeSession(userId, sessionId) {
+  const session = get('SELECT id FROM sessions WHERE id = ? AND user_id = ?', [sessionId, userId]);
+  if (!session) return false;
+  run('DELETE FROM sessions WHERE id = ?', [sessionId]);
+  return true;
+}
+
+/**
+ * End all of a user's sessions, optionally keeping one (the caller's own)
+ * @returns {number} - Sessions ended
+ */
+function revokeSessions(userId, exceptSessionId = null) {
+  const { n } = get('SELECT COUNT(*) AS n FROM sessions WHERE user_id = ? AND id IS NOT ?', [userId, exceptSessionId]);
+  run('DELETE FROM sessions WHERE user_id = ? AND id IS NOT ?', [userId, exceptSessionId]);
+  return n;
+}
+
+// ============================================
+// Middleware
+// ============================================
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+/**
+ * Optional auth: sets req.user and req.session when a valid Bearer token is sent
+ */
+function authenticate(req, res, next) {
+  const found = validateSession(bearerToken(req));
+  if (found) {
+    req.user = found.user;
+    req.session = { id: found.session_id, method: found.method, terminal_id: found.terminal_id };
+  }
+  next();
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) return res.status(401).json({ success: false, error: 'Authentication required' });
+  next();
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ success: false, error: 'Authentication required' });
+    if (!roles.includes(req.user.role)) return res.status(403).json({ success: false, error: 'Insufficient role' });
+    next();
+  };
+}
+
+const requireAdmin = requireRole(ADMIN_ROLE);
+
+module.exports = {
+  hashSecret,
+  verifySecret,
+  burnHashTime,
+  passwordProblem,
+  pinProblem,
+  lockedUntil,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  generateTotpSecret,
+  totpUri,
+  verifyTotp,
+  createSession,
+  validateSession,
+  listSessions,
+  revokeSession,
+  revokeSessions,
+  bearerToken,
+  authenticate,
+  requireAuth,
+  requireRole,
+  requireAdmin,
+  // Constants
+  MAX_FAILED_ATTEMPTS,
+  LOCKOUT_MINUTES,
+  SESSION_HOURS,
+  PIN_SESSION_HOURS,
+  SEEN_INTERVAL_MS,
+  ADMIN_ROLE,
+  DEFAULT_ROLE
+};
@@ -0,0 +1,203 @@
+/**
+ * Cart Pricing Service - Lite Version
+ * Prices a POS cart on the server from the catalogue, price rules,
+ * active promotions and the tax configuration
+ */
+
+const { query, get } = require('./db');
+const { evaluatePromotions, AUTOMATIC_PROMOTION_TYPE } = require('./promotionRules');
+
+// ============================================
+// Constants
+// ============================================
+
+const DEFAULT_TOLERANCE = 0.01; // Largest client/server difference treated as rounding
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+// ============================================
+// Unit Price (pricing_engine rules)
+// ============================================
+
+/**
+ * Apply active price rules to a product, same semantics as /pricing/calculate
+ * @param {Object} product - Product row
+ * @param {number} quantity - Quantity on the line
+ * @param {string|null} customerGroup - Customer group (loyalty tier)
+ * @returns {Object} - { unitPrice, appliedRules }
+ */
+function applyPriceRules(product, quantity, customerGroup) {
+  const now = new Date().toISOString();
+  const rules = query(`SELECT * FROM price_rules WHERE active = 1
+    AND (product_id = ? OR product_id IS NULL)
+    AND (category = ? OR category IS NULL)
+    AND (min_quantity IS NULL OR min_quantity <= ?)
+    AND (customer_group = ? OR customer_group IS NULL)
+    AND (start_date IS NULL OR start_date <= ?)
+    AND (end_date IS NULL OR end_date >= ?)
+    ORDER BY priority DESC`,
+    [product.id, product.category, quantity, customerGroup, now, now]);
+
+  let unitPrice = product.price || 0;
+  const appliedRules = [];
+  for (const rule of rules) {
+    let discount = 0;
+    if (rule.rule_type === 'percentage') {
+      discount = unitPrice * (rule.value / 100);
+    } else if (rule.rule_type === 'fixed') {
+      discount = rule.value;
+    } else if (rule.rule_type === 'fixed_price') {
+      unitPrice = rule.value;
+      appliedRules.push({ id: rule.id, rule: rule.name, type: 'fixed_price', new_price: rule.value });
+      break;
+    }
+    if (discount > 0) {
+      unitPrice -= discount;
+      appliedRules.push({ id: rule.id, rule: rule.name, type: rule.rule_type, discount: round2(discount) });
+    }
+  }
+
+  return { unitPrice: round2(Math.max(0, unitPrice)), appliedRules };
+}
+
+// ============================================
+// Tax
+// ============================================
+
+/**
+ * Tax rate for a product: its own rate, else an active category rate,
+ * else the POS default rate
+ */
+function resolveTaxRate(product, taxSettings) {
+  if (product.tax_rate > 0) return product.tax_rate;
+  if (product.category) {
+    const categoryRate = get('SELECT rate FROM tax_rates WHERE active = 1 AND LOWER(category) = LOWER(?) ORDER BY created_at DESC', [product.category]);
+    if (categoryRate) return categoryRate.rate;
+  }
+  return Number(taxSettings?.defaultRate) || 0;
+}
+
+// ============================================
+// Cart Pricing
+// ============================================
+
+/**
+ * Price a cart. Amounts on each line and in totals satisfy
+ * subtotal - discount + tax = total, in both tax-exclusive and tax-inclusive mode.
+ * @param {Array} items - [{ product_id, quantity }]
+ * @param {Object} options - { customer_id, promo_code, promo_codes, taxSettings, at }
+ * @returns {Object} - { lines, subtotal, discount, tax, total, taxes, promotion, promotions, warnings }
+ */
+function priceCart(items, options = {}) {
+  const { customer_id, promo_code, promo_codes, taxSettings = {}, at } = options;
+  if (!Array.isArray(items) || items.length === 0) throw new Error('Cart has no items');
+
+  const customer = customer_id ? get('SELECT loyalty_tier FROM customers WHERE id = ?', [customer_id]) : null;
+  const customerGroup = customer?.loyalty_tier || null;
+  const inclusive = !!taxSettings.inclusive;
+
+  const lines = items.map(item => {
+    const quantity = Number(item.quantity) || 0;
+    if (quantity <= 0) throw new Error(`Invalid quantity for product ${item.product_id}`);
+    const product = get('SELECT * FROM products WHERE id = ?', [item.product_id]);
+    if (!product) throw new Error(`Product ${item.product_id} not found`);
+
+    const { unitPrice, appliedRules } = applyPriceRules(product, quantity, customerGroup);
+    const listPrice = product.price || 0;
+    return {
+      product_id: product.id,
+      sku: product.sku,
+      name: product.name,
+      category: product.category,
+      brand: product.brand,
+      quantity,
+      list_price: listPrice,
+      unit_price: unitPrice,
+      rule_discount: round2(Math.max(0, listPrice - unitPrice) * quantity),
+      net_before_promo: round2(unitPrice * quantity),
+      promo_discount: 0,
+      promotions: [],
+      tax_rate: resolveTaxRate(product, taxSettings),
+      applied_rules: appliedRules
+    };
+  });
+
+  // Promotions are judged on the cart after price rules, and allocated line by line
+  const evaluation = evaluatePromotions(
+    lines.map(l => ({ product_id: l.product_id, quantity: l.quantity, unit_price: l.unit_price, category: l.category, brand: l.brand })),
+    { customer_id, promo_codes: [].concat(promo_codes || [], promo_code || []), at }
+  );
+  evaluation.applied.forEach(promo => promo.allocations.forEach(a => {
+    const line = lines[a.line_index];
+    line.promo_discount = round2(line.promo_discount + a.amount);
+    line.promotions.push({ id: promo.id, name: promo.name, code: promo.code, quantity: a.quantity, amount: a.amount });
+  }));
+
+  const taxMap = new Map();
+  for (const line of lines) {
+    const net = round2(line.net_before_promo - line.promo_discount);
+    line.discount = round2(line.rule_discount + line.promo_discount);
+    line.tax_amount = inclusive
+      ? round2(net * line.tax_rate / (100 + line.tax_rate))
+      : round2(net * line.tax_rate / 100);
+    line.taxable_amount = inclusive ? round2(net - line.tax_amount) : net;
+    line.line_total = round2(line.taxable_amount + line.tax_amount);
+    // Inclusive prices carry tax inside the list price, so the subtotal is the tax-free equivalent
+    line.subtotal = round2(line.taxable_amount + line.discount);
+    delete line.net_before_promo;
+
+    const slab = taxMap.get(line.tax_rate) || { rate: line.tax_rate, taxable_amount: 0, tax_amount: 0 };
+    slab.taxable_amount = round2(slab.taxable_amount + line.taxable_amount);
+    slab.tax_amount = round2(slab.tax_amount + line.tax_amount);
+    taxMap.set(line.tax_rate, slab);
+  }
+
+  const sum = field => round2(lines.reduce((s, l) => s + l[field], 0));
+  return {
+    lines,
+    subtotal: sum('subtotal'),
+    discount: sum('discount'),
+    tax: sum('tax_amount'),
+    total: sum('line_total'),
+    taxes: Array.from(taxMap.values()),
+    tax_inclusive: inclusive,
+    customer_group: customerGroup,
+    promotion: evaluation.applied[0] ? promotionSummary(evaluation.applied[0]) : null,
+    promotions: evaluation.applied.map(promotionSummary),
+    warnings: evaluation.warnings
+  };
+}
+
+function promotionSummary(promo) {
+  return { id: promo.id, name: promo.name, code: promo.code, offer_type: promo.offer_type, discount: promo.discount, allocations: promo.allocations };
+}
+
+/**
+ * Compare client-sent amounts with server pricing.
+ * Amounts the client did not send are not checked.
+ * @returns {Array} - [{ field, client, server, difference }]
+ */
+function comparePricing(priced, client, tolerance = DEFAULT_TOLERANCE) {
+  const mismatches = [];
+  for (const field of ['subtotal', 'discount', 'tax', 'total']) {
+    const value = client[field];
+    if (value === undefined || value === null || value === '') continue;
+    const difference = round2(Number(value) - priced[field]);
+    if (Math.abs(difference) > tolerance) {
+      mismatches.push({ field, client: round2(value), server: priced[field], difference });
+    }
+  }
+  return mismatches;
+}
+
+module.exports = {
+  priceCart,
+  comparePricing,
+  applyPriceRules,
+  resolveTaxRate,
+  // Constants
+  DEFAULT_TOLERANCE,
+  AUTOMATIC_PROMOTION_TYPE
+};
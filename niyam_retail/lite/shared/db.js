@@ -7,6 +7,7 @@ const initSqlJs = require('sql.js');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { createStore, isReadOnly } = require('./storage');
 
 // Database path
 const DATA_DIR = path.join(os.homedir(), '.niyam', 'data', 'retail');
@@ -18,47 +19,58 @@ if (!fs.existsSync(DATA_DIR)) {
 }
 
 let db = null;
+let store = null;
+
+// The one tenant / store a lite install runs as (same ids as the docker defaults)
+const DEFAULT_TENANT_ID = 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa';
+const DEFAULT_STORE_ID = '00000000-0000-0000-0000-000000000001';
+
+// Random v4 UUID built in SQL, for rows created by INSERT ... SELECT or upserts
+const SQL_UUID = "lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || " +
+  "substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))";
+
+// Tables replicated between installations until changed in sync_policies.
+// Catalogue data is last-writer-wins, stock and balances merge as deltas,
+// customer records ask a person. Documents are append-only so never collide.
+const SYNC_DEFAULT_POLICIES = {
+  products: { policy: 'lww' },
+  price_rules: { policy: 'lww' },
+  promotions: { policy: 'lww' },
+  tax_rates: { policy: 'lww' },
+  suppliers: { policy: 'lww' },
+  stores: { policy: 'lww' },
+  inventory: { policy: 'additive', additive_columns: ['quantity'] },
+  gift_cards: { policy: 'additive', additive_columns: ['balance'] },
+  customers: { policy: 'review', additive_columns: ['loyalty_points'] },
+  sales: { policy: 'lww' },
+  sale_items: { policy: 'lww' },
+  sale_payments: { policy: 'lww' },
+  inventory_movements: { policy: 'lww' },
+  loyalty_transactions: { policy: 'lww' },
+  gift_card_transactions: { policy: 'lww' },
+};
+
+let loading = null;
 
 /**
  * Initialize database
  */
 async function initDb() {
   if (db) return db;
-  
+  // Services started in the same process share one load
+  if (!loading) loading = loadDb().finally(() => { loading = null; });
+  return loading;
+}
+
+async function loadDb() {
   const SQL = await initSqlJs();
   
-  // Backup last known good DB before loading
-  if (fs.existsSync(DB_PATH)) {
-    try { fs.copyFileSync(DB_PATH, DB_PATH + '.bak'); } catch (e) { /* ignore */ }
-  }
+  // Load existing database, replaying the journal (with backup recovery)
+  store = createStore(SQL, DB_PATH, { label: '[Retail DB]' });
+  await store.open();
 
-  // Load existing database or create new (with backup recovery)
-  try {
-    if (fs.existsSync(DB_PATH)) {
-      const buffer = fs.readFileSync(DB_PATH);
-      db = new SQL.Database(buffer);
-    } else if (fs.existsSync(DB_PATH + '.bak')) {
-      console.log('[Retail DB] Main DB missing, restoring from backup...');
-      const buffer = fs.readFileSync(DB_PATH + '.bak');
-      db = new SQL.Database(buffer);
-    } else {
-      db = new SQL.Database();
-    }
-  } catch (err) {
-    if (fs.existsSync(DB_PATH + '.bak')) {
-      console.log('[Retail DB] Main DB corrupt, restoring from backup...');
-      try {
-        const buffer = fs.readFileSync(DB_PATH + '.bak');
-        db = new SQL.Database(buffer);
-      } catch (e2) {
-        console.error('[Retail DB] Backup also corrupt, starting fresh');
-        db = new SQL.Database();
-      }
-    } else {
-      console.error('[Retail DB] DB load failed, starting fresh');
-      db = new SQL.Database();
-    }
-  }
+  // Hold the write lock while the schema is brought up to date
+  db = await store.acquireAsync();
   
   // Create tables
   db.run(`
@@ -972,27 +984,1050 @@ async function initDb() {
     console.log('[SQLite] Customer columns may already exist:', e.message);
   }
 
+  // ============================================
+  // POS - Server-side pricing (PERSISTENT)
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sale_items (
+      id TEXT PRIMARY KEY,
+      sale_id TEXT NOT NULL,
+      line_number INTEGER,
+      product_id TEXT NOT NULL,
+      sku TEXT,
+      name TEXT,
+      quantity REAL NOT NULL,
+      list_price REAL DEFAULT 0,
+      unit_price REAL DEFAULT 0,
+      rule_discount REAL DEFAULT 0,
+      promo_discount REAL DEFAULT 0,
+      discount REAL DEFAULT 0,
+      taxable_amount REAL DEFAULT 0,
+      tax_rate REAL DEFAULT 0,
+      tax_amount REAL DEFAULT 0,
+      line_total REAL DEFAULT 0,
+      client_unit_price REAL,
+      applied_rules TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_sale_items_sale ON sale_items(sale_id)`);
+
+  // Server pricing outcome on sales: what the client claimed and whether it matched
+  try {
+    const saleCols = query("PRAGMA table_info(sales)");
+    const saleColNames = saleCols.map(c => c.name);
+
+    if (!saleColNames.includes('promotion_id')) {
+      db.run(`ALTER TABLE sales ADD COLUMN promotion_id TEXT`);
+    }
+    if (!saleColNames.includes('promo_code')) {
+      db.run(`ALTER TABLE sales ADD COLUMN promo_code TEXT`);
+    }
+    if (!saleColNames.includes('pricing_status')) {
+      db.run(`ALTER TABLE sales ADD COLUMN pricing_status TEXT DEFAULT 'verified'`);
+    }
+    if (!saleColNames.includes('client_totals')) {
+      db.run(`ALTER TABLE sales ADD COLUMN client_totals TEXT`);
+    }
+    if (!saleColNames.includes('pricing_mismatches')) {
+      db.run(`ALTER TABLE sales ADD COLUMN pricing_mismatches TEXT`);
+    }
+  } catch (e) {
+    console.log('[SQLite] Sales pricing columns may already exist:', e.message);
+  }
+
+  // ============================================
+  // POS - Split tender (PERSISTENT)
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sale_payments (
+      id TEXT PRIMARY KEY,
+      sale_id TEXT NOT NULL,
+      session_id TEXT,
+      method TEXT NOT NULL,
+      amount REAL NOT NULL,
+      tendered REAL,
+      change_amount REAL DEFAULT 0,
+      reference TEXT,
+      gift_card_id TEXT,
+      loyalty_points INTEGER,
+      kind TEXT DEFAULT 'sale',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_sale_payments_sale ON sale_payments(sale_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_sale_payments_session ON sale_payments(session_id)`);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS gift_cards (
+      id TEXT PRIMARY KEY,
+      card_number TEXT NOT NULL UNIQUE,
+      pin TEXT,
+      initial_balance REAL NOT NULL,
+      current_balance REAL NOT NULL,
+      status TEXT DEFAULT 'active',
+      purchased_by TEXT,
+      issued_transaction_id TEXT,
+      expires_at TEXT,
+      last_used_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS gift_card_transactions (
+      id TEXT PRIMARY KEY,
+      gift_card_id TEXT NOT NULL,
+      transaction_type TEXT NOT NULL,
+      amount REAL NOT NULL,
+      balance_before REAL NOT NULL,
+      balance_after REAL NOT NULL,
+      reference_id TEXT,
+      reference_type TEXT,
+      notes TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_gc_transactions_card ON gift_card_transactions(gift_card_id)`);
+
+  // How much of each sale has been paid; layaways stay open until the balance is cleared
+  try {
+    const payCols = query("PRAGMA table_info(sales)");
+    const payColNames = payCols.map(c => c.name);
+
+    if (!payColNames.includes('amount_paid')) {
+      db.run(`ALTER TABLE sales ADD COLUMN amount_paid REAL`);
+    }
+    if (!payColNames.includes('balance_due')) {
+      db.run(`ALTER TABLE sales ADD COLUMN balance_due REAL DEFAULT 0`);
+    }
+    if (!payColNames.includes('change_amount')) {
+      db.run(`ALTER TABLE sales ADD COLUMN change_amount REAL DEFAULT 0`);
+    }
+    if (!payColNames.includes('payment_status')) {
+      db.run(`ALTER TABLE sales ADD COLUMN payment_status TEXT DEFAULT 'paid'`);
+    }
+  } catch (e) {
+    console.log('[SQLite] Sales payment columns may already exist:', e.message);
+  }
+
+  // ============================================
+  // POS - Outbox, returns, cash movements (PERSISTENT)
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS pos_outbox (
+      id TEXT PRIMARY KEY,
+      event_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      aggregate_type TEXT,
+      aggregate_id TEXT,
+      consumer TEXT NOT NULL,
+      payload TEXT,
+      idempotency_key TEXT UNIQUE,
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at TEXT,
+      delivered_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_pos_outbox_due ON pos_outbox(status, next_attempt_at)`);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS inventory_movements (
+      id TEXT PRIMARY KEY,
+      product_id TEXT NOT NULL,
+      quantity REAL NOT NULL,
+      movement_type TEXT,
+      reference_type TEXT,
+      reference_id TEXT,
+      notes TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_inventory_movements_product ON inventory_movements(product_id, created_at)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_inventory_movements_ref ON inventory_movements(reference_type, reference_id)`);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS pos_returns (
+      id TEXT PRIMARY KEY,
+      sale_id TEXT NOT NULL,
+      session_id TEXT,
+      customer_id TEXT,
+      items TEXT NOT NULL,
+      subtotal REAL DEFAULT 0,
+      discount REAL DEFAULT 0,
+      tax REAL DEFAULT 0,
+      total REAL DEFAULT 0,
+      refund_method TEXT,
+      reason TEXT,
+      restocked INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Who rang up or returned a sale, and which manager approved a refund (shared/permissions.js)
+  try {
+    const saleCols = query("PRAGMA table_info(sales)").map(c => c.name);
+    if (!saleCols.includes('created_by')) db.run(`ALTER TABLE sales ADD COLUMN created_by TEXT`);
+    const returnCols = query("PRAGMA table_info(pos_returns)").map(c => c.name);
+    if (!returnCols.includes('processed_by')) db.run(`ALTER TABLE pos_returns ADD COLUMN processed_by TEXT`);
+    if (!returnCols.includes('approved_by')) db.run(`ALTER TABLE pos_returns ADD COLUMN approved_by TEXT`);
+  } catch (e) {
+    console.log('[SQLite] Approval columns may already exist:', e.message);
+  }
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS pos_cash_movements (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      amount REAL NOT NULL,
+      purpose TEXT,
+      reason TEXT,
+      performed_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Outbox consumers record the event they applied, so a redelivery is a no-op
+  try {
+    const loyaltyCols = query("PRAGMA table_info(loyalty_transactions)");
+    if (!loyaltyCols.map(c => c.name).includes('reference_id')) {
+      db.run(`ALTER TABLE loyalty_transactions ADD COLUMN reference_id TEXT`);
+    }
+  } catch (e) {
+    console.log('[SQLite] Loyalty reference column may already exist:', e.message);
+  }
+
+  // ============================================
+  // Promotions - Rules engine (PERSISTENT)
+  // ============================================
+  try {
+    const promoCols = query("PRAGMA table_info(promotions)").map(c => c.name);
+    if (!promoCols.includes('priority')) db.run(`ALTER TABLE promotions ADD COLUMN priority INTEGER DEFAULT 0`);
+    if (!promoCols.includes('stackable')) db.run(`ALTER TABLE promotions ADD COLUMN stackable INTEGER DEFAULT 0`);
+    if (!promoCols.includes('per_customer_limit')) db.run(`ALTER TABLE promotions ADD COLUMN per_customer_limit INTEGER`);
+    const productCols = query("PRAGMA table_info(products)").map(c => c.name);
+    if (!productCols.includes('brand')) db.run(`ALTER TABLE products ADD COLUMN brand TEXT`);
+    const saleItemCols = query("PRAGMA table_info(sale_items)").map(c => c.name);
+    if (!saleItemCols.includes('applied_promotions')) db.run(`ALTER TABLE sale_items ADD COLUMN applied_promotions TEXT`);
+  } catch (e) {
+    console.log('[SQLite] Promotion rule columns may already exist:', e.message);
+  }
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS promotion_redemptions (
+      id TEXT PRIMARY KEY,
+      promotion_id TEXT NOT NULL,
+      customer_id TEXT,
+      sale_id TEXT,
+      code TEXT,
+      discount REAL DEFAULT 0,
+      allocations TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_promo ON promotion_redemptions(promotion_id, customer_id)`);
+
+  // ============================================
+  // Demand Forecasting - Festival / holiday calendar (PERSISTENT)
+  // ============================================
+  // uplift NULL = learned from past occurrences; recurring = same dates every year
+  db.run(`
+    CREATE TABLE IF NOT EXISTS forecast_calendar_events (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      recurring INTEGER DEFAULT 0,
+      uplift REAL,
+      category TEXT,
+      product_id TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // ============================================
+  // Warehouse - Locations, transfers, counts, GRN, write-offs (PERSISTENT)
+  // ============================================
+  // Used by the inventory routes ported from docker (through sqlDialect), so
+  // ids default in SQL and tenant / store columns default to the lite ones.
+  // products.status and inventory.reorder_point are derived from the lite
+  // columns; available_quantity is kept at quantity - reserved by triggers.
+  try {
+    const productCols = query("PRAGMA table_xinfo(products)").map(c => c.name);
+    if (!productCols.includes('tenant_id')) db.run(`ALTER TABLE products ADD COLUMN tenant_id TEXT DEFAULT '${DEFAULT_TENANT_ID}'`);
+    if (!productCols.includes('min_stock_level')) db.run(`ALTER TABLE products ADD COLUMN min_stock_level INTEGER`);
+    if (!productCols.includes('status')) {
+      db.run(`ALTER TABLE products ADD COLUMN status TEXT GENERATED ALWAYS AS (CASE WHEN active = 0 THEN 'inactive' ELSE 'active' END) VIRTUAL`);
+    }
+    const inventoryCols = query("PRAGMA table_xinfo(inventory)").map(c => c.name);
+    if (!inventoryCols.includes('tenant_id')) db.run(`ALTER TABLE inventory ADD COLUMN tenant_id TEXT DEFAULT '${DEFAULT_TENANT_ID}'`);
+    if (!inventoryCols.includes('store_id')) db.run(`ALTER TABLE inventory ADD COLUMN store_id TEXT DEFAULT '${DEFAULT_STORE_ID}'`);
+    if (!inventoryCols.includes('variant_id')) db.run(`ALTER TABLE inventory ADD COLUMN variant_id TEXT`);
+    if (!inventoryCols.includes('reserved_quantity')) db.run(`ALTER TABLE inventory ADD COLUMN reserved_quantity INTEGER DEFAULT 0`);
+    if (!inventoryCols.includes('reorder_quantity')) db.run(`ALTER TABLE inventory ADD COLUMN reorder_quantity INTEGER`);
+    if (!inventoryCols.includes('reorder_point')) {
+      db.run(`ALTER TABLE inventory ADD COLUMN reorder_point INTEGER GENERATED ALWAYS AS (NULLIF(min_quantity, 0)) VIRTUAL`);
+    }
+    if (!inventoryCols.includes('available_quantity')) {
+      db.run(`ALTER TABLE inventory ADD COLUMN available_quantity INTEGER`);
+      db.run(`UPDATE inventory SET available_quantity = quantity - COALESCE(reserved_quantity, 0)`);
+    }
+  } catch (e) {
+    console.log('[SQLite] Warehouse columns may already exist:', e.message);
+  }
+  db.run(`CREATE INDEX IF NOT EXISTS idx_inventory_store ON inventory(tenant_id, store_id, product_id)`);
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS inventory_available_on_insert AFTER INSERT ON inventory
+    WHEN NEW.available_quantity IS NULL
+    BEGIN
+      UPDATE inventory SET available_quantity = NEW.quantity - COALESCE(NEW.reserved_quantity, 0) WHERE rowid = NEW.rowid;
+    END
+  `);
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS inventory_available_on_update AFTER UPDATE OF quantity, reserved_quantity ON inventory
+    WHEN NEW.available_quantity IS NOT NEW.quantity - COALESCE(NEW.reserved_quantity, 0)
+    BEGIN
+      UPDATE inventory SET available_quantity = NEW.quantity - COALESCE(NEW.reserved_quantity, 0) WHERE rowid = NEW.rowid;
+    END
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS warehouse_locations (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT_ID}',
+      store_id TEXT NOT NULL DEFAULT '${DEFAULT_STORE_ID}',
+      code TEXT NOT NULL,
+      name TEXT NOT NULL,
+      zone TEXT,
+      aisle TEXT,
+      shelf TEXT,
+      bin TEXT,
+      type TEXT DEFAULT 'shelf',
+      parent_id TEXT,
+      capacity INTEGER DEFAULT 0,
+      current_utilization INTEGER DEFAULT 0,
+      is_pickable INTEGER DEFAULT 1,
+      is_receivable INTEGER DEFAULT 1,
+      is_active INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(tenant_id, store_id, code)
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS inventory_locations (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT_ID}',
+      product_id TEXT NOT NULL,
+      location_id TEXT NOT NULL,
+      quantity INTEGER DEFAULT 0,
+      reserved_quantity INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(product_id, location_id)
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_inventory_locations_location ON inventory_locations(location_id)`);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS stock_transfers (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT_ID}',
+      transfer_number TEXT NOT NULL,
+      from_store_id TEXT,
+      from_location_id TEXT,
+      to_store_id TEXT,
+      to_location_id TEXT,
+      status TEXT DEFAULT 'pending',
+      priority TEXT DEFAULT 'normal',
+      reason TEXT,
+      requested_by TEXT,
+      approved_by TEXT,
+      shipped_by TEXT,
+      received_by TEXT,
+      tracking_number TEXT,
+      requested_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      approved_at TEXT,
+      shipped_at TEXT,
+      received_at TEXT,
+      completed_at TEXT,
+      notes TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(tenant_id, transfer_number)
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS stock_transfer_items (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      transfer_id TEXT NOT NULL,
+      product_id TEXT NOT NULL,
+      requested_quantity INTEGER NOT NULL,
+      shipped_quantity INTEGER DEFAULT 0,
+      received_quantity INTEGER DEFAULT 0,
+      batch_id TEXT,
+      serial_numbers TEXT,
+      variance_reason TEXT,
+      notes TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_transfer ON stock_transfer_items(transfer_id)`);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS stock_counts (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT_ID}',
+      count_number TEXT NOT NULL,
+      type TEXT DEFAULT 'cycle',
+      store_id TEXT,
+      status TEXT DEFAULT 'draft',
+      assigned_to TEXT,
+      scheduled_date TEXT,
+      started_at TEXT,
+      completed_at TEXT,
+      approved_by TEXT,
+      approved_at TEXT,
+      notes TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(tenant_id, count_number)
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS stock_count_items (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      count_id TEXT NOT NULL,
+      product_id TEXT NOT NULL,
+      location_id TEXT,
+      system_quantity INTEGER NOT NULL DEFAULT 0,
+      counted_quantity INTEGER,
+      variance INTEGER GENERATED ALWAYS AS (counted_quantity - system_quantity) STORED,
+      variance_value REAL,
+      counted_by TEXT,
+      counted_at TEXT,
+      notes TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_stock_count_items_count ON stock_count_items(count_id)`);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS goods_receiving (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT_ID}',
+      grn_number TEXT NOT NULL,
+      purchase_order_id TEXT,
+      supplier_id TEXT,
+      store_id TEXT,
+      status TEXT DEFAULT 'draft',
+      delivery_note_number TEXT,
+      received_by TEXT,
+      inspected_by TEXT,
+      completed_at TEXT,
+      notes TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(tenant_id, grn_number)
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS goods_receiving_items (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      grn_id TEXT NOT NULL,
+      product_id TEXT NOT NULL,
+      expected_quantity INTEGER NOT NULL,
+      received_quantity INTEGER DEFAULT 0,
+      rejected_quantity INTEGER DEFAULT 0,
+      batch_number TEXT,
+      expiry_date TEXT,
+      serial_numbers TEXT,
+      condition TEXT DEFAULT 'good',
+      rejection_reason TEXT,
+      put_away_location_id TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_goods_receiving_items_grn ON goods_receiving_items(grn_id)`);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS stock_writeoffs (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT_ID}',
+      writeoff_number TEXT NOT NULL,
+      store_id TEXT,
+      reason_category TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      total_value REAL DEFAULT 0,
+      requested_by TEXT,
+      approved_by TEXT,
+      approved_at TEXT,
+      notes TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(tenant_id, writeoff_number)
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS stock_writeoff_items (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      writeoff_id TEXT NOT NULL,
+      product_id TEXT NOT NULL,
+      quantity INTEGER NOT NULL,
+      unit_cost REAL,
+      total_cost REAL,
+      batch_id TEXT,
+      serial_numbers TEXT,
+      reason TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_stock_writeoff_items_writeoff ON stock_writeoff_items(writeoff_id)`);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS inventory_audit_log (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT_ID}',
+      product_id TEXT NOT NULL,
+      store_id TEXT,
+      location_id TEXT,
+      action TEXT NOT NULL,
+      quantity_change INTEGER NOT NULL,
+      quantity_before INTEGER,
+      quantity_after INTEGER,
+      reference_type TEXT,
+      reference_id TEXT,
+      batch_id TEXT,
+      serial_number TEXT,
+      performed_by TEXT,
+      reason TEXT,
+      metadata TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_inventory_audit_log_product ON inventory_audit_log(product_id, created_at)`);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS low_stock_alerts (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT_ID}',
+      product_id TEXT NOT NULL,
+      store_id TEXT,
+      current_stock INTEGER NOT NULL,
+      reorder_level INTEGER NOT NULL,
+      velocity REAL,
+      days_until_stockout INTEGER,
+      severity TEXT DEFAULT 'normal',
+      status TEXT DEFAULT 'active',
+      snoozed_until TEXT,
+      dismissed_by TEXT,
+      dismissed_at TEXT,
+      dismissed_reason TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_low_stock_alerts_active ON low_stock_alerts(tenant_id, product_id, store_id) WHERE status = 'active'`);
+
+  // Serial numbers and batches / lots per product
+  db.run(`
+    CREATE TABLE IF NOT EXISTS product_serials (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT_ID}',
+      product_id TEXT NOT NULL,
+      serial_number TEXT NOT NULL,
+      batch_id TEXT,
+      store_id TEXT,
+      status TEXT DEFAULT 'available',
+      notes TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(tenant_id, serial_number)
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS product_batches (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT_ID}',
+      product_id TEXT NOT NULL,
+      batch_number TEXT NOT NULL,
+      lot_number TEXT,
+      quantity INTEGER DEFAULT 0,
+      manufacture_date TEXT,
+      expiry_date TEXT,
+      store_id TEXT,
+      notes TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_product_batches_product ON product_batches(product_id, expiry_date)`);
+
+  // Bundles / combo products
+  db.run(`
+    CREATE TABLE IF NOT EXISTS product_bundles (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT_ID}',
+      name TEXT NOT NULL,
+      description TEXT,
+      sku TEXT,
+      price REAL,
+      category TEXT,
+      is_active INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS bundle_items (
+      id TEXT PRIMARY KEY DEFAULT (${SQL_UUID}),
+      bundle_id TEXT NOT NULL,
+      product_id TEXT NOT NULL,
+      quantity INTEGER NOT NULL DEFAULT 1,
+      is_optional INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_bundle_items_bundle ON bundle_items(bundle_id)`);
+
+  // ============================================
+  // Authentication - Users & sessions (PERSISTENT)
+  // ============================================
+  // Created here rather than by the authentication service so every module can
+  // check a session token. password_hash / pin_hash are scrypt strings (older
+  // rows may still hold a bare SHA-256, upgraded on the next login).
+  db.run(`
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT DEFAULT 'user',
+      active INTEGER DEFAULT 1,
+      last_login TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  try {
+    const userCols = query("PRAGMA table_info(users)").map(c => c.name);
+    if (!userCols.includes('failed_attempts')) db.run(`ALTER TABLE users ADD COLUMN failed_attempts INTEGER DEFAULT 0`);
+    if (!userCols.includes('locked_until')) db.run(`ALTER TABLE users ADD COLUMN locked_until TEXT`);
+    if (!userCols.includes('password_changed_at')) db.run(`ALTER TABLE users ADD COLUMN password_changed_at TEXT`);
+    if (!userCols.includes('pin_hash')) db.run(`ALTER TABLE users ADD COLUMN pin_hash TEXT`);
+    // mfa_secret is set by setup and only counts once mfa_enabled is switched on
+    if (!userCols.includes('mfa_secret')) db.run(`ALTER TABLE users ADD COLUMN mfa_secret TEXT`);
+    if (!userCols.includes('mfa_enabled')) db.run(`ALTER TABLE users ADD COLUMN mfa_enabled INTEGER DEFAULT 0`);
+    if (!userCols.includes('mfa_last_step')) db.run(`ALTER TABLE users ADD COLUMN mfa_last_step INTEGER`);
+    // Roles given by registration's first-run setup or by an admin; see demoteLegacyAdmins
+    if (!userCols.includes('role_confirmed')) {
+      db.run(`ALTER TABLE users ADD COLUMN role_confirmed INTEGER DEFAULT 0`);
+      demoteLegacyAdmins();
+    }
+  } catch (e) {
+    console.log('[SQLite] User security columns may already exist:', e.message);
+  }
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      token TEXT UNIQUE NOT NULL,
+      expires_at TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  try {
+    const sessionCols = query("PRAGMA table_info(sessions)").map(c => c.name);
+    if (!sessionCols.includes('method')) db.run(`ALTER TABLE sessions ADD COLUMN method TEXT DEFAULT 'password'`);
+    if (!sessionCols.includes('ip_address')) db.run(`ALTER TABLE sessions ADD COLUMN ip_address TEXT`);
+    if (!sessionCols.includes('user_agent')) db.run(`ALTER TABLE sessions ADD COLUMN user_agent TEXT`);
+    if (!sessionCols.includes('terminal_id')) db.run(`ALTER TABLE sessions ADD COLUMN terminal_id TEXT`);
+    if (!sessionCols.includes('last_seen_at')) db.run(`ALTER TABLE sessions ADD COLUMN last_seen_at TEXT`);
+  } catch (e) {
+    console.log('[SQLite] Session columns may already exist:', e.message);
+  }
+  db.run(`CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id, expires_at)`);
+
+  // Stores a user may work in; see shared/permissions.js for who is scoped
+  db.run(`
+    CREATE TABLE IF NOT EXISTS user_stores (
+      user_id TEXT NOT NULL,
+      store_id TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, store_id)
+    )
+  `);
+
+  // Manager approvals for refunds (permissions.ESCALATABLE): single use,
+  // short-lived, and kept afterwards as the record of who approved what
+  db.run(`
+    CREATE TABLE IF NOT EXISTS auth_approvals (
+      id TEXT PRIMARY KEY,
+      token TEXT UNIQUE NOT NULL,
+      permission TEXT NOT NULL,
+      requested_by TEXT NOT NULL,
+      approved_by TEXT NOT NULL,
+      store_id TEXT,
+      reason TEXT,
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      used_for TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_auth_approvals_created ON auth_approvals(created_at)`);
+
+  // ============================================
+  // Sync - Multi-node replication (PERSISTENT)
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sync_log (
+      id TEXT PRIMARY KEY,
+      table_name TEXT NOT NULL,
+      record_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      data TEXT,
+      synced INTEGER DEFAULT 0,
+      synced_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  try {
+    const syncLogCols = query("PRAGMA table_info(sync_log)").map(c => c.name);
+    if (!syncLogCols.includes('hlc')) db.run(`ALTER TABLE sync_log ADD COLUMN hlc TEXT`);
+    if (!syncLogCols.includes('node_id')) db.run(`ALTER TABLE sync_log ADD COLUMN node_id TEXT`);
+    if (!syncLogCols.includes('version_vector')) db.run(`ALTER TABLE sync_log ADD COLUMN version_vector TEXT`);
+    if (!syncLogCols.includes('deltas')) db.run(`ALTER TABLE sync_log ADD COLUMN deltas TEXT`);
+    if (!syncLogCols.includes('seq')) db.run(`ALTER TABLE sync_log ADD COLUMN seq INTEGER`);
+    if (!syncLogCols.includes('before_data')) db.run(`ALTER TABLE sync_log ADD COLUMN before_data TEXT`);
+    if (!syncLogCols.includes('captured_at')) db.run(`ALTER TABLE sync_log ADD COLUMN captured_at TEXT`);
+  } catch (e) {
+    console.log('[SQLite] Sync log columns may already exist:', e.message);
+  }
+  db.run(`CREATE INDEX IF NOT EXISTS idx_sync_log_hlc ON sync_log(node_id, hlc)`);
+  db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_log_seq ON sync_log(seq)`);
+
+  // Node identity and the hybrid logical clock
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sync_state (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  // Change capture sequence; carries on from any rows already logged
+  db.run(`INSERT OR IGNORE INTO sync_state (key, value) SELECT 'capture_seq', COALESCE(MAX(seq), 0) FROM sync_log`);
+
+  // Last known version of every replicated row
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sync_row_versions (
+      table_name TEXT NOT NULL,
+      record_id TEXT NOT NULL,
+      version_vector TEXT NOT NULL DEFAULT '{}',
+      hlc TEXT,
+      node_id TEXT,
+      deleted INTEGER DEFAULT 0,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (table_name, record_id)
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sync_applied_changes (
+      change_id TEXT PRIMARY KEY,
+      node_id TEXT,
+      table_name TEXT,
+      record_id TEXT,
+      outcome TEXT,
+      applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sync_policies (
+      table_name TEXT PRIMARY KEY,
+      policy TEXT NOT NULL DEFAULT 'lww',
+      additive_columns TEXT DEFAULT '[]',
+      enabled INTEGER DEFAULT 1,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  for (const [table, config] of Object.entries(SYNC_DEFAULT_POLICIES)) {
+    db.run('INSERT OR IGNORE INTO sync_policies (table_name, policy, additive_columns) VALUES (?, ?, ?)',
+      [table, config.policy, JSON.stringify(config.additive_columns || [])]);
+  }
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sync_conflicts (
+      id TEXT PRIMARY KEY,
+      table_name TEXT NOT NULL,
+      record_id TEXT NOT NULL,
+      change_id TEXT,
+      remote_node_id TEXT,
+      remote_action TEXT,
+      remote_data TEXT,
+      remote_hlc TEXT,
+      local_data TEXT,
+      local_hlc TEXT,
+      status TEXT DEFAULT 'open',
+      resolution TEXT,
+      resolved_by TEXT,
+      resolved_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_sync_conflicts_status ON sync_conflicts(status)`);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sync_peers (
+      id TEXT PRIMARY KEY,
+      name TEXT,
+      url TEXT UNIQUE NOT NULL,
+      node_id TEXT,
+      last_pulled_hlc TEXT,
+      last_pushed_hlc TEXT,
+      last_sync_at TEXT,
+      last_error TEXT,
+      enabled INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Capture used to be paused with a row here; one left behind by a crash would stop it
+  db.run("DELETE FROM sync_state WHERE key = 'capture_paused'");
+  installChangeCapture();
+
   console.log('[SQLite] Database initialized at', DB_PATH);
   saveDb();
   return db;
 }
 
+// ============================================
+// Legacy roles
+// ============================================
+// Registration used to accept any role, so an admin or owner may be self-assigned.
+// When role_confirmed is added, the first account on the install (which
+// registration makes admin today) and the usernames in AUTH_CONFIRMED_ADMINS
+// (comma-separated) keep their role; every other admin or owner becomes 'user'
+// until an admin gives the role back with PUT /users/:id.
+
+function demoteLegacyAdmins() {
+  const confirmed = (process.env.AUTH_CONFIRMED_ADMINS || '').split(',').map(u => u.trim()).filter(Boolean);
+  const first = query('SELECT id FROM users ORDER BY created_at, rowid LIMIT 1')[0];
+  for (const user of query("SELECT id, username, role FROM users WHERE role IN ('admin', 'owner')")) {
+    if ((first && user.id === first.id) || confirmed.includes(user.username)) {
+      db.run('UPDATE users SET role_confirmed = 1 WHERE id = ?', [user.id]);
+    } else {
+      db.run("UPDATE users SET role = 'user' WHERE id = ?", [user.id]);
+      console.log(`[SQLite] ${user.username} had an unconfirmed ${user.role} role and is now a user until an admin gives it back`);
+    }
+  }
+}
+
+// ============================================
+// Change capture for sync
+// ============================================
+// Every insert, update and delete on a replicated table lands in sync_log with
+// before/after images and the next capture sequence number. The triggers are
+// rebuilt from sync_policies on every start, so new columns are picked up.
+// They are plain SQLite so other processes sharing the file capture too.
+
+let capturePaused = false; // set while withoutCapture() runs, in this process only
+
+const CAPTURE_TIMESTAMP = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+const NEXT_SEQ = "UPDATE sync_state SET value = CAST(value AS INTEGER) + 1 WHERE key = 'capture_seq'";
+const CURRENT_SEQ = "(SELECT CAST(value AS INTEGER) FROM sync_state WHERE key = 'capture_seq')";
+
+function rowImage(alias, columns) {
+  return `json_object(${columns.map(c => `'${c}', ${alias}.${c}`).join(', ')})`;
+}
+
 /**
- * Save database to file
+ * (Re)install capture triggers for every enabled table in sync_policies
+ * @returns {Array} - Tables being captured
  */
-function saveDb() {
-  if (!db) return;
+function installChangeCapture() {
+  const existing = query("SELECT name FROM sqlite_master WHERE type = 'trigger' AND name LIKE 'sync_capture_%'");
+  for (const t of existing) run(`DROP TRIGGER IF EXISTS ${t.name}`);
+
+  const tables = query(`SELECT p.table_name FROM sync_policies p
+    JOIN sqlite_master m ON m.type = 'table' AND m.name = p.table_name WHERE p.enabled = 1`).map(r => r.table_name);
+  const captured = [];
+  for (const table of tables) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) continue;
+    const columns = query(`PRAGMA table_info(${table})`).map(c => c.name);
+    if (!columns.includes('id')) continue;
+    const changed = columns.map(c => `OLD.${c} IS NOT NEW.${c}`).join(' OR ');
+    const insertLog = (action, recordId, data, before) => `
+        ${NEXT_SEQ};
+        INSERT INTO sync_log (id, seq, table_name, record_id, action, data, before_data, captured_at)
+        VALUES (lower(hex(randomblob(16))), ${CURRENT_SEQ}, '${table}', ${recordId}, '${action}', ${data}, ${before}, ${CAPTURE_TIMESTAMP});`;
+
+    run(`CREATE TRIGGER sync_capture_${table}_insert AFTER INSERT ON ${table}
+      BEGIN${insertLog('insert', 'NEW.id', rowImage('NEW', columns), 'NULL')}
+      END`);
+    run(`CREATE TRIGGER sync_capture_${table}_update AFTER UPDATE ON ${table}
+      WHEN ${changed} BEGIN${insertLog('update', 'NEW.id', rowImage('NEW', columns), rowImage('OLD', columns))}
+      END`);
+    run(`CREATE TRIGGER sync_capture_${table}_delete AFTER DELETE ON ${table}
+      BEGIN${insertLog('delete', 'OLD.id', 'NULL', rowImage('OLD', columns))}
+      END`);
+    captured.push(table);
+  }
+  return captured;
+}
+
+/**
+ * Run writes that must not be captured, e.g. changes arriving from another node.
+ * The pause is kept in this process: what the triggers capture meanwhile is
+ * dropped again inside the same transaction, so no other process ever sees it.
+ */
+function withoutCapture(fn) {
+  if (capturePaused) return fn();
+  if (!store.inTransaction()) return transaction(() => withoutCapture(fn));
+  const seq = get("SELECT CAST(value AS INTEGER) AS seq FROM sync_state WHERE key = 'capture_seq'").seq;
+  capturePaused = true;
   try {
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    const tmpPath = DB_PATH + '.tmp';
-    fs.writeFileSync(tmpPath, buffer);
-    fs.renameSync(tmpPath, DB_PATH);
+    return fn();
+  } finally {
+    capturePaused = false;
+    run('DELETE FROM sync_log WHERE seq > ?', [seq]);
+    run("UPDATE sync_state SET value = ? WHERE key = 'capture_seq'", [String(seq)]);
+  }
+}
+
+/**
+ * Log a change by hand, for writes that leave the row as it was but still need to replicate
+ */
+function logChange({ table_name, record_id, action, data, before }) {
+  run(NEXT_SEQ);
+  run(`INSERT INTO sync_log (id, seq, table_name, record_id, action, data, before_data, captured_at)
+    VALUES (lower(hex(randomblob(16))), ${CURRENT_SEQ}, ?, ?, ?, ?, ?, ${CAPTURE_TIMESTAMP})`,
+    [table_name, record_id, action, data ? JSON.stringify(data) : null, before ? JSON.stringify(before) : null]);
+}
+
+// ============================================
+// Transactions & persistence
+// ============================================
+// Writes go to the in-memory database and are flushed to the journal shortly
+// after the last one (see storage.js). export() reopens the database, which
+// would end an open transaction, so flushes wait for COMMIT.
+
+/**
+ * Start a transaction (one at a time on the shared connection)
+ */
+function beginTransaction() {
+  store.begin();
+  db = store.acquire();
+}
+
+/**
+ * Commit the open transaction and save; a failed commit is rolled back
+ */
+function commitTransaction() {
+  store.commit();
+}
+
+/**
+ * Roll back the open transaction, if any
+ */
+function rollbackTransaction() {
+  store.rollback();
+}
+
+/**
+ * Run fn inside a transaction, e.g. for bulk imports: one flush at the end
+ * instead of one per row, and nothing saved if fn throws
+ */
+function transaction(fn) {
+  beginTransaction();
+  try {
+    const result = fn();
+    commitTransaction();
+    return result;
   } catch (err) {
-    console.error('[Retail DB] Save failed:', err.message);
+    rollbackTransaction();
+    throw err;
   }
 }
 
+/**
+ * Wait for the write lock without blocking the event loop, e.g. before a
+ * background job writes outside a request. The lock stays taken, through
+ * flushes, until releaseLock() is given the hold this returns.
+ * @returns {Promise<symbol>} - Hold to pass to releaseLock()
+ */
+async function lockDb() {
+  const hold = Symbol('lockDb');
+  db = await store.acquireAsync(hold);
+  return hold;
+}
+
+/**
+ * Give back a hold taken by lockDb(); the lock goes once no hold is left
+ * and nothing written is waiting to be flushed. Without a hold it only lets
+ * go of a lock nobody holds.
+ * @param {symbol} hold - As returned by lockDb()
+ */
+function releaseLock(hold) {
+  if (store) store.release(hold);
+}
+
+/**
+ * Express middleware: requests that may write wait here for the write lock
+ * (503 if another process holds it past the timeout), so their statements
+ * never have to wait for it synchronously. The request holds it until it ends.
+ */
+function writeLock(req, res, next) {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') return next();
+  lockDb().then(hold => {
+    res.on('close', () => releaseLock(hold));
+    next();
+  }, err => {
+    res.status(err.code === 'SQLITE_BUSY' ? 503 : 500).json({ success: false, error: err.message });
+  });
+}
+
+/**
+ * Save pending changes to the journal now
+ */
+function saveDb() {
+  if (store) store.flush();
+}
+
+/**
+ * Write the complete database file (folding in the journal), e.g. before copying it
+ */
+function checkpoint() {
+  if (store) store.checkpoint();
+}
+
+/**
+ * Replace the database with an imported file; other processes pick it up on their next query
+ * @param {Buffer} buffer - SQLite database file contents
+ */
+function replaceDb(buffer) {
+  checkpoint();
+  try { fs.copyFileSync(DB_PATH, DB_PATH + '.backup'); } catch (e) { /* nothing to back up */ }
+  db = store.replace(buffer);
+}
+
 // Graceful shutdown
 let _isShuttingDown = false;
 function _shutdown(signal) {
@@ -1009,22 +2044,32 @@ process.on('SIGTERM', () => _shutdown('SIGTERM'));
  * Query helper - returns array of objects
  */
 function query(sql, params = []) {
-  const stmt = db.prepare(sql);
-  stmt.bind(params);
-  const results = [];
-  while (stmt.step()) {
-    results.push(stmt.getAsObject());
+  const write = !isReadOnly(sql);
+  db = write ? store.acquire() : store.current();
+  try {
+    const stmt = db.prepare(sql);
+    stmt.bind(params);
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  } finally {
+    if (write) store.changed();
   }
-  stmt.free();
-  return results;
 }
 
 /**
  * Run helper - for INSERT/UPDATE/DELETE
  */
 function run(sql, params = []) {
-  db.run(sql, params);
-  saveDb();
+  db = store.acquire();
+  try {
+    db.run(sql, params);
+  } finally {
+    store.changed();
+  }
 }
 
 /**
@@ -1041,6 +2086,23 @@ module.exports = {
   run,
   get,
   saveDb,
+  installChangeCapture,
+  withoutCapture,
+  logChange,
+  beginTransaction,
+  commitTransaction,
+  rollbackTransaction,
+  transaction,
+  checkpoint,
+  replaceDb,
+  lockDb,
+  releaseLock,
+  writeLock,
   DB_PATH,
-  DATA_DIR
+  DATA_DIR,
+  // Constants
+  SYNC_DEFAULT_POLICIES,
+  DEFAULT_TENANT_ID,
+  DEFAULT_STORE_ID,
+  SQL_UUID
 };
@@ -0,0 +1,463 @@
+/**
+ * Demand Forecasting Engine - Lite Version
+ * Forecasts daily unit demand per product from sales line history.
+ *
+ * Methods:
+ *   ses           - simple exponential smoothing (steady demand)
+ *   holt_winters  - damped additive Holt-Winters with a weekly season
+ *   croston       - Croston with the SBA correction (intermittent demand)
+ *
+ * Each product's history is backtested on a holdout and the method with the
+ * lowest scaled error wins. Festival / holiday effects come from
+ * forecast_calendar_events: their uplift is taken out of the history before
+ * fitting and put back on the forecast days they cover. Prediction intervals
+ * use the error variance of the fitted model over the horizon, not a fixed band.
+ */
+
+const { query, get } = require('./db');
+
+// ============================================
+// Constants
+// ============================================
+
+const METHODS = ['ses', 'croston', 'holt_winters']; // Simplest first, kept on near-ties
+const SEASON_LENGTH = 7; // Weekly pattern in daily data
+const DAMPING = 0.95; // Keeps Holt-Winters trends from running away over long horizons
+const DEFAULT_HISTORY_DAYS = 365;
+const DEFAULT_HORIZON_DAYS = 30;
+const DEFAULT_INTERVAL_LEVEL = 0.95;
+const MIN_HISTORY_DAYS = 14; // Less than two weeks of history is not forecast
+const EVENT_BASELINE_WINDOW = 28; // Days either side used as the "normal" level around an event
+const BACKTEST_TOLERANCE = 0.02; // A more complex method must beat a simpler one by this much
+
+const PARAMETER_GRIDS = {
+  ses: { alpha: [0.05, 0.1, 0.2, 0.3, 0.5, 0.7] },
+  holt_winters: { alpha: [0.05, 0.1, 0.2, 0.4], beta: [0.01, 0.05, 0.15], gamma: [0.05, 0.15, 0.3] },
+  croston: { alpha: [0.05, 0.1, 0.2, 0.3] }
+};
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : 0;
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation)
+ * @param {number} p - Probability between 0 and 1
+ * @returns {number} - z such that P(Z <= z) = p
+ */
+function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+  if (p < low || p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(p < low ? p : 1 - p));
+    const z = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    return p < low ? z : -z;
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+    / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// ============================================
+// Models
+// ============================================
+// Each model returns its one-step fitted values, a forecast(h) function and
+// psi(j), the weight of a past error on the j-step-ahead error. For these
+// linear innovations models the h-step error variance is
+// sigma^2 * (1 + psi(1)^2 + ... + psi(h-1)^2).
+
+function sesModel(y, { alpha }) {
+  let level = mean(y.slice(0, Math.min(SEASON_LENGTH, y.length)));
+  const fitted = [];
+  for (const v of y) {
+    fitted.push(level);
+    level = alpha * v + (1 - alpha) * level;
+  }
+  return { fitted, warmup: 1, forecast: h => Array(h).fill(level), psi: () => alpha };
+}
+
+function holtWintersModel(y, { alpha, beta, gamma }) {
+  const m = SEASON_LENGTH;
+  const first = mean(y.slice(0, m));
+  let level = first;
+  let trend = (mean(y.slice(m, 2 * m)) - first) / m;
+  const season = y.slice(0, m).map(v => v - first);
+  const fitted = [];
+  for (let t = 0; t < y.length; t++) {
+    const s = season[t % m];
+    fitted.push(level + DAMPING * trend + s);
+    const prevLevel = level;
+    const prevTrend = trend;
+    level = alpha * (y[t] - s) + (1 - alpha) * (prevLevel + DAMPING * prevTrend);
+    trend = beta * (level - prevLevel) + (1 - beta) * DAMPING * prevTrend;
+    season[t % m] = gamma * (y[t] - prevLevel - DAMPING * prevTrend) + (1 - gamma) * s;
+  }
+  const dampedSum = h => {
+    let sum = 0;
+    for (let i = 1; i <= h; i++) sum += Math.pow(DAMPING, i);
+    return sum;
+  };
+  return {
+    fitted,
+    warmup: m,
+    forecast: h => Array.from({ length: h }, (_, i) => level + dampedSum(i + 1) * trend + season[(y.length + i) % m]),
+    psi: j => alpha * (1 + beta * dampedSum(j)) + (j % m === 0 ? gamma : 0)
+  };
+}
+
+function crostonModel(y, { alpha }) {
+  const first = y.findIndex(v => v > 0);
+  let size = first >= 0 ? y[first] : 0;
+  let interval = first >= 0 ? first + 1 : 1;
+  let since = 0;
+  const rate = () => (1 - alpha / 2) * size / interval;
+  const fitted = [];
+  for (const v of y) {
+    fitted.push(rate());
+    since++;
+    if (v > 0) {
+      size = alpha * v + (1 - alpha) * size;
+      interval = alpha * since + (1 - alpha) * interval;
+      since = 0;
+    }
+  }
+  return { fitted, warmup: Math.max(first + 1, 1), forecast: h => Array(h).fill(rate()), psi: () => alpha };
+}
+
+const MODELS = { ses: sesModel, holt_winters: holtWintersModel, croston: crostonModel };
+
+// Enough history for a method to be fitted at all
+function canFit(method, y) {
+  if (method === 'holt_winters') return y.length >= 3 * SEASON_LENGTH;
+  if (method === 'croston') return y.filter(v => v > 0).length >= 2;
+  return y.length >= 2;
+}
+
+function parameterSets(grid) {
+  return Object.entries(grid).reduce((sets, [name, values]) =>
+    sets.flatMap(set => values.map(v => ({ ...set, [name]: v }))), [{}]);
+}
+
+/**
+ * Fit a method by grid search on in-sample one-step squared error
+ * @param {string} method - One of METHODS
+ * @param {Array} y - Daily demand
+ * @returns {Object} - { method, params, sigma, forecast, psi }
+ */
+function fitModel(method, y) {
+  let best = null;
+  for (const params of parameterSets(PARAMETER_GRIDS[method])) {
+    const model = MODELS[method](y, params);
+    let sse = 0;
+    let count = 0;
+    for (let t = model.warmup; t < y.length; t++) {
+      sse += Math.pow(y[t] - model.fitted[t], 2);
+      count++;
+    }
+    if (!best || sse < best.sse) best = { ...model, method, params, sse, count };
+  }
+  best.sigma = best.count ? Math.sqrt(best.sse / best.count) : 0;
+  return best;
+}
+
+// ============================================
+// Backtest
+// ============================================
+
+/**
+ * Rolling-origin backtest: refit every method at weekly origins across the
+ * most recent days and score the week after each. RMSSE scales the error by
+ * the in-sample naive error (as in the M5 retail competition), so it works
+ * for intermittent products and products of different volumes alike.
+ * @param {Array} y - Daily demand
+ * @returns {Object|null} - { holdout_days, best, results: [{ method, mae, rmse, rmsse, bias }] }
+ */
+function backtest(y) {
+  const holdout = Math.min(4 * SEASON_LENGTH, Math.max(SEASON_LENGTH, Math.floor(y.length / 4)));
+  const firstOrigin = y.length - holdout;
+  if (firstOrigin < MIN_HISTORY_DAYS) return null;
+
+  const train = y.slice(0, firstOrigin);
+  const naive = mean(train.slice(1).map((v, i) => Math.pow(v - train[i], 2))) || mean(train.map(v => v * v)) || 1;
+  const results = METHODS.filter(method => canFit(method, train)).map(method => {
+    const errors = [];
+    let params;
+    for (let origin = firstOrigin; origin < y.length; origin += SEASON_LENGTH) {
+      const model = fitModel(method, y.slice(0, origin));
+      const actual = y.slice(origin, origin + SEASON_LENGTH);
+      const predicted = model.forecast(actual.length).map(v => Math.max(0, v));
+      actual.forEach((v, i) => errors.push(predicted[i] - v));
+      params = model.params;
+    }
+    const mse = mean(errors.map(e => e * e));
+    return {
+      method,
+      params,
+      mae: round2(mean(errors.map(Math.abs))),
+      rmse: round2(Math.sqrt(mse)),
+      rmsse: round2(Math.sqrt(mse / naive)),
+      bias: round2(mean(errors))
+    };
+  });
+  if (!results.length) return null;
+  const best = results.reduce((a, b) => (b.rmsse < a.rmsse * (1 - BACKTEST_TOLERANCE) ? b : a));
+  return { holdout_days: holdout, best: best.method, results };
+}
+
+// ============================================
+// Calendar effects
+// ============================================
+
+function eventCovers(event, date) {
+  if (!event.recurring) return date >= event.start_date.slice(0, 10) && date <= event.end_date.slice(0, 10);
+  // Recurring events match on month-day, including ranges across new year
+  const md = date.slice(5, 10);
+  const start = event.start_date.slice(5, 10);
+  const end = event.end_date.slice(5, 10);
+  return start <= end ? (md >= start && md <= end) : (md >= start || md <= end);
+}
+
+/**
+ * Uplift of each calendar event: configured, or learned as demand on past
+ * event days over the normal level in the weeks around them
+ * @param {Array} history - [{ date, qty }]
+ * @param {Array} events - forecast_calendar_events rows
+ * @returns {Array} - [{ id, name, uplift, source, occurrences, event }]
+ */
+function calendarEffects(history, events) {
+  const covered = history.map(d => events.some(e => eventCovers(e, d.date)));
+  return events.map(event => {
+    const days = history.map((d, i) => (eventCovers(event, d.date) ? i : -1)).filter(i => i >= 0);
+    let uplift = event.uplift;
+    let source = 'configured';
+    if (!(uplift > 0)) {
+      let actual = 0;
+      let baseline = 0;
+      for (const i of days) {
+        const around = [];
+        for (let k = Math.max(0, i - EVENT_BASELINE_WINDOW); k <= Math.min(history.length - 1, i + EVENT_BASELINE_WINDOW); k++) {
+          if (!covered[k]) around.push(history[k].qty);
+        }
+        if (!around.length) continue;
+        actual += history[i].qty;
+        baseline += mean(around);
+      }
+      uplift = baseline > 0 ? actual / baseline : 1;
+      source = baseline > 0 ? 'learned' : 'no_history';
+    }
+    return { id: event.id, name: event.name, uplift: round2(uplift) || 1, source, occurrences: days.length, event };
+  });
+}
+
+// Strongest event on a date, if any
+function effectOn(date, effects) {
+  let found = null;
+  for (const effect of effects) {
+    if (eventCovers(effect.event, date) && (!found || effect.uplift > found.uplift)) found = effect;
+  }
+  return found;
+}
+
+// ============================================
+// Forecast
+// ============================================
+
+// Standard deviation of demand summed over forecast days [from, to) (0-based),
+// with each day's error scaled by its calendar uplift
+function rangeSd(model, uplifts, from, to) {
+  let variance = 0;
+  for (let i = 0; i < to; i++) {
+    let weight = i >= from ? uplifts[i] : 0;
+    for (let h = Math.max(from, i + 1); h < to; h++) weight += uplifts[h] * model.psi(h - i);
+    variance += weight * weight;
+  }
+  return model.sigma * Math.sqrt(variance);
+}
+
+/**
+ * Forecast daily demand from a history series
+ * @param {Array} history - [{ date, qty }] consecutive days, oldest first
+ * @param {Object} options - { horizon, level, method, events, start, periods, bucket_days }
+ *   periods: day counts from the start to total demand over (defaults to the horizon)
+ *   bucket_days: also total demand in consecutive buckets of this many days
+ * @returns {Object} - { method, reliable, backtest, calendar, points, totals, total, buckets }
+ */
+function forecastSeries(history, options = {}) {
+  const horizon = Math.max(1, parseInt(options.horizon) || DEFAULT_HORIZON_DAYS);
+  const level = options.level > 0 && options.level < 1 ? Number(options.level) : DEFAULT_INTERVAL_LEVEL;
+  const start = options.start || (history.length ? addDays(history[history.length - 1].date, 1) : today());
+  const dates = Array.from({ length: horizon }, (_, i) => addDays(start, i));
+  const periods = [...new Set([].concat(options.periods || [], horizon).map(p => Math.min(horizon, parseInt(p) || horizon)))];
+  const bucketDays = parseInt(options.bucket_days) || horizon;
+  const buckets = [];
+  for (let from = 0; from < horizon; from += bucketDays) buckets.push([from, Math.min(horizon, from + bucketDays)]);
+  const z = normalQuantile(0.5 + level / 2);
+  const totalDemand = history.reduce((s, d) => s + d.qty, 0);
+
+  if (history.length < MIN_HISTORY_DAYS || totalDemand <= 0) {
+    return {
+      method: 'none',
+      reliable: false,
+      message: totalDemand <= 0 ? 'No sales history' : `Insufficient data: ${history.length} days (need ${MIN_HISTORY_DAYS})`,
+      history_days: history.length,
+      interval_level: level,
+      points: dates.map(date => ({ date, forecast: 0, lower: 0, upper: 0 })),
+      totals: periods.map(days => ({ days, forecast: 0, sd: 0, lower: 0, upper: 0 })),
+      total: { days: horizon, forecast: 0, sd: 0, lower: 0, upper: 0 },
+      buckets: buckets.map(([from, to]) => ({ start_date: dates[from], end_date: dates[to - 1], forecast: 0, lower: 0, upper: 0 })),
+      average_daily: 0
+    };
+  }
+
+  // Take calendar uplift out of the history so it does not skew the baseline
+  const effects = calendarEffects(history, options.events || []);
+  const adjusted = history.map(d => d.qty / (effectOn(d.date, effects)?.uplift || 1));
+  const evaluation = backtest(adjusted);
+  let method = METHODS.includes(options.method) && canFit(options.method, adjusted) ? options.method : null;
+  if (!method) {
+    const zeroShare = adjusted.filter(v => v === 0).length / adjusted.length;
+    method = evaluation ? evaluation.best : (zeroShare > 0.5 && canFit('croston', adjusted) ? 'croston' : 'ses');
+  }
+  const model = fitModel(method, adjusted);
+
+  const base = model.forecast(horizon);
+  const dayEffects = dates.map(date => effectOn(date, effects));
+  const uplifts = dayEffects.map(e => e?.uplift || 1);
+  let psiSquares = 0;
+  const points = dates.map((date, i) => {
+    if (i > 0) psiSquares += Math.pow(model.psi(i), 2);
+    const forecast = Math.max(0, base[i] * uplifts[i]);
+    const sd = model.sigma * Math.sqrt(1 + psiSquares) * uplifts[i];
+    const point = { date, forecast: round2(forecast), lower: round2(Math.max(0, forecast - z * sd)), upper: round2(forecast + z * sd) };
+    if (dayEffects[i]) point.event = dayEffects[i].name;
+    return point;
+  });
+
+  const summed = (from, to) => {
+    const forecast = uplifts.slice(from, to).reduce((sum, u, i) => sum + Math.max(0, base[from + i] * u), 0);
+    const sd = rangeSd(model, uplifts, from, to);
+    return { forecast: round2(forecast), sd: round2(sd), lower: round2(Math.max(0, forecast - z * sd)), upper: round2(forecast + z * sd) };
+  };
+  const totals = periods.map(days => ({ days, ...summed(0, days) }));
+  const total = totals.find(t => t.days === horizon);
+
+  return {
+    method,
+    params: model.params,
+    reliable: true,
+    history_days: history.length,
+    interval_level: level,
+    sigma: round2(model.sigma),
+    backtest: evaluation,
+    calendar: effects
+      .filter(e => e.occurrences > 0 || dayEffects.includes(e))
+      .map(({ event, ...effect }) => effect),
+    points,
+    totals,
+    total,
+    buckets: buckets.map(([from, to]) => ({ start_date: dates[from], end_date: dates[to - 1], ...summed(from, to) })),
+    average_daily: round2(total.forecast / horizon)
+  };
+}
+
+// ============================================
+// Sales history
+// ============================================
+
+/**
+ * Daily units sold for a product, zero-filled from its first sale up to yesterday
+ * @param {string} productId - Product ID
+ * @param {Object} options - { days, until }
+ * @returns {Array} - [{ date, qty }]
+ */
+function loadDailyDemand(productId, options = {}) {
+  const until = options.until || today();
+  const since = addDays(until, -(parseInt(options.days) || DEFAULT_HISTORY_DAYS));
+  const rows = query(`
+    SELECT DATE(s.created_at) as day, SUM(si.quantity) as qty
+    FROM sale_items si
+    JOIN sales s ON s.id = si.sale_id
+    WHERE si.product_id = ?
+      AND COALESCE(s.status, 'completed') NOT IN ('voided', 'cancelled')
+      AND DATE(s.created_at) >= ? AND DATE(s.created_at) < ?
+    GROUP BY DATE(s.created_at)
+    ORDER BY day
+  `, [productId, since, until]);
+  if (!rows.length) return [];
+
+  const byDay = new Map(rows.map(r => [r.day, Number(r.qty) || 0]));
+  const series = [];
+  for (let date = rows[0].day; date < until; date = addDays(date, 1)) {
+    series.push({ date, qty: byDay.get(date) || 0 });
+  }
+  return series;
+}
+
+/**
+ * Calendar events that apply to a product: store-wide, its category, or itself
+ */
+function loadCalendarEvents(productId) {
+  const product = get('SELECT category FROM products WHERE id = ?', [productId]);
+  return query(`
+    SELECT * FROM forecast_calendar_events
+    WHERE (product_id IS NULL OR product_id = ?)
+      AND (category IS NULL OR LOWER(category) = LOWER(?))
+    ORDER BY start_date
+  `, [productId, product?.category || '']);
+}
+
+/**
+ * Forecast a product's demand from its own sales history
+ * @param {string} productId - Product ID
+ * @param {Object} options - forecastSeries options plus history_days
+ * @returns {Object} - See forecastSeries
+ */
+function forecastProduct(productId, options = {}) {
+  const history = loadDailyDemand(productId, { days: options.history_days });
+  return {
+    product_id: productId,
+    ...forecastSeries(history, { ...options, start: today(), events: loadCalendarEvents(productId) })
+  };
+}
+
+// ============================================
+// Exports
+// ============================================
+
+module.exports = {
+  forecastProduct,
+  forecastSeries,
+  loadDailyDemand,
+  loadCalendarEvents,
+  calendarEffects,
+  backtest,
+  fitModel,
+  normalQuantile,
+  // Constants
+  METHODS,
+  SEASON_LENGTH,
+  DEFAULT_HISTORY_DAYS,
+  DEFAULT_HORIZON_DAYS,
+  DEFAULT_INTERVAL_LEVEL,
+  MIN_HISTORY_DAYS,
+};
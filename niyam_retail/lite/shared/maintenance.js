@@ -3,7 +3,7 @@
  * Handles database cleanup, vacuum, and scheduled maintenance tasks
  */
 
-const { query, run, saveDb, DB_PATH } = require('./db');
+const { query, run, checkpoint, lockDb, releaseLock, DB_PATH } = require('./db');
 
 // Configuration
 const DEFAULT_SESSION_RETENTION_DAYS = 7;
@@ -158,7 +158,7 @@ function vacuumDatabase() {
   try {
     console.log('[Maintenance] Running VACUUM on database...');
     run('VACUUM');
-    saveDb();
+    checkpoint();
     console.log('[Maintenance] VACUUM completed successfully');
     return true;
   } catch (err) {
@@ -233,6 +233,19 @@ function runFullMaintenance() {
   return summary;
 }
 
+// Scheduled runs happen outside a request, so wait for the write lock here
+function runLocked() {
+  lockDb()
+    .then(hold => {
+      try {
+        runFullMaintenance();
+      } finally {
+        releaseLock(hold);
+      }
+    })
+    .catch(err => console.error('[Maintenance] Skipped, database busy:', err.message));
+}
+
 /**
  * Start scheduled maintenance (runs every MAINTENANCE_INTERVAL_HOURS)
  */
@@ -247,13 +260,13 @@ function startScheduledMaintenance() {
   // Run initial maintenance after a short delay (don't block startup)
   setTimeout(() => {
     console.log('[Maintenance] Running initial maintenance check...');
-    runFullMaintenance();
+    runLocked();
   }, 10000); // 10 seconds after startup
 
   // Schedule regular maintenance
   maintenanceInterval = setInterval(() => {
     console.log('[Maintenance] Running scheduled maintenance...');
-    runFullMaintenance();
+    runLocked();
   }, intervalMs);
 
   console.log(`[Maintenance] Scheduled maintenance enabled (every ${MAINTENANCE_INTERVAL_HOURS} hours)`);
@@ -0,0 +1,213 @@
+/**
+ * Transactional Outbox - Lite Version
+ * Durable, retried delivery of POS events to accounting, loyalty and inventory.
+ * Events are written to SQLite alongside the sale, then each consumer gets its
+ * own delivery row that is retried with backoff until the consumer accepts it.
+ */
+
+const { query, run, get, lockDb, releaseLock } = require('./db');
+const { v4: uuidv4 } = require('uuid');
+
+// ============================================
+// Constants
+// ============================================
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  DEAD: 'dead', // Consumer rejected it outright; needs a person to look at it
+};
+
+const RETRY_BASE_SECONDS = parseInt(process.env.POS_OUTBOX_RETRY_BASE_SECONDS, 10) || 15;
+const RETRY_MAX_SECONDS = 3600; // Keep trying hourly however long a consumer is away
+const POLL_MS = parseInt(process.env.POS_OUTBOX_POLL_MS, 10) || 10000;
+const BATCH_SIZE = 50;
+
+// ============================================
+// Consumers
+// ============================================
+
+const consumers = new Map(); // name -> handler(delivery)
+
+/**
+ * Register a consumer. The handler receives { id, event_id, event_type, payload, idempotency_key }
+ * and must throw (or reject) when delivery fails. Set err.permanent to stop retrying.
+ */
+function registerConsumer(name, handler) {
+  consumers.set(name, handler);
+}
+
+// 15s, 30s, 60s, ... capped at one hour
+function backoffSeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_SECONDS);
+}
+
+// ============================================
+// Enqueue
+// ============================================
+
+/**
+ * Record an event with one delivery per consumer, then try delivering straight away
+ * @param {Object} event - { event_type, aggregate_type, aggregate_id, deliveries: { consumer: payload } }
+ * @returns {string} - Event ID
+ */
+function enqueue({ event_type, aggregate_type, aggregate_id, deliveries }) {
+  const eventId = uuidv4();
+  const now = new Date().toISOString();
+  for (const [consumer, payload] of Object.entries(deliveries)) {
+    if (payload === null || payload === undefined) continue;
+    run(`INSERT INTO pos_outbox (id, event_id, event_type, aggregate_type, aggregate_id, consumer, payload, idempotency_key, status, next_attempt_at, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), eventId, event_type, aggregate_type || null, aggregate_id || null, consumer, JSON.stringify(payload),
+        `pos-outbox:${eventId}:${consumer}`, DELIVERY_STATUS.PENDING, now, now]);
+  }
+  setImmediate(() => dispatchDue().catch(err => console.error('[Outbox] Dispatch failed:', err.message)));
+  return eventId;
+}
+
+// ============================================
+// Dispatch
+// ============================================
+
+let dispatching = false;
+let rerun = false; // Something was enqueued while a round was running
+
+async function deliver(row) {
+  const handler = consumers.get(row.consumer);
+  const attempts = (row.attempts || 0) + 1;
+  const now = new Date().toISOString();
+  let hold;
+  try {
+    if (!handler) throw new Error(`No consumer registered for ${row.consumer}`);
+    await handler({
+      id: row.id, event_id: row.event_id, event_type: row.event_type,
+      payload: JSON.parse(row.payload || '{}'), idempotency_key: row.idempotency_key
+    });
+    hold = await lockDb();
+    run('UPDATE pos_outbox SET status = ?, attempts = ?, last_error = NULL, delivered_at = ?, next_attempt_at = NULL WHERE id = ?',
+      [DELIVERY_STATUS.DELIVERED, attempts, now, row.id]);
+    return true;
+  } catch (err) {
+    if (!hold) hold = await lockDb();
+    if (err.permanent) {
+      run('UPDATE pos_outbox SET status = ?, attempts = ?, last_error = ?, next_attempt_at = NULL WHERE id = ?',
+        [DELIVERY_STATUS.DEAD, attempts, err.message, row.id]);
+      console.error(`[Outbox] ${row.consumer} rejected ${row.event_type} ${row.event_id}: ${err.message}`);
+    } else {
+      const nextAt = new Date(Date.now() + backoffSeconds(attempts) * 1000).toISOString();
+      run('UPDATE pos_outbox SET attempts = ?, last_error = ?, next_attempt_at = ? WHERE id = ?',
+        [attempts, err.message, nextAt, row.id]);
+    }
+    return false;
+  } finally {
+    if (hold) releaseLock(hold);
+  }
+}
+
+/**
+ * Deliver everything that is due, oldest first. Deliveries for one consumer stay in
+ * order: once one fails, later ones for that consumer wait for the next round.
+ * @returns {Object} - { delivered, failed }
+ */
+async function dispatchDue() {
+  if (dispatching) {
+    rerun = true;
+    return { delivered: 0, failed: 0, skipped: true };
+  }
+  dispatching = true;
+  rerun = false;
+  let delivered = 0, failed = 0;
+  try {
+    const due = query(`SELECT * FROM pos_outbox WHERE status = ? AND next_attempt_at <= ?
+                       ORDER BY created_at, id LIMIT ?`, [DELIVERY_STATUS.PENDING, new Date().toISOString(), BATCH_SIZE]);
+    const blocked = new Set();
+    for (const row of due) {
+      if (blocked.has(row.consumer)) continue;
+      if (await deliver(row)) delivered++;
+      else { failed++; blocked.add(row.consumer); }
+    }
+  } finally {
+    dispatching = false;
+  }
+  if (rerun) setImmediate(() => dispatchDue().catch(err => console.error('[Outbox] Dispatch failed:', err.message)));
+  return { delivered, failed };
+}
+
+let timer = null;
+
+function startDispatcher(intervalMs = POLL_MS) {
+  if (timer) return;
+  timer = setInterval(() => dispatchDue().catch(err => console.error('[Outbox] Dispatch failed:', err.message)), intervalMs);
+  if (timer.unref) timer.unref();
+  setImmediate(() => dispatchDue().catch(err => console.error('[Outbox] Dispatch failed:', err.message)));
+}
+
+// ============================================
+// Monitoring
+// ============================================
+
+/**
+ * Undelivered counts for status indicators
+ * @returns {Object} - { pending, dead, undelivered, oldest_undelivered_at, last_error, consumers }
+ */
+function getStatus() {
+  const byConsumer = query(`SELECT consumer, status, COUNT(*) as count, MIN(created_at) as oldest
+                            FROM pos_outbox WHERE status != ? GROUP BY consumer, status`, [DELIVERY_STATUS.DELIVERED]);
+  const lastFailure = get(`SELECT consumer, last_error, next_attempt_at FROM pos_outbox
+                           WHERE status != ? AND last_error IS NOT NULL ORDER BY created_at DESC LIMIT 1`, [DELIVERY_STATUS.DELIVERED]);
+  const consumerStats = {};
+  for (const name of consumers.keys()) consumerStats[name] = { pending: 0, dead: 0 };
+  let pending = 0, dead = 0, oldest = null;
+  for (const row of byConsumer) {
+    const stats = consumerStats[row.consumer] || (consumerStats[row.consumer] = { pending: 0, dead: 0 });
+    stats[row.status] = row.count;
+    if (row.status === DELIVERY_STATUS.PENDING) pending += row.count;
+    else dead += row.count;
+    if (!oldest || row.oldest < oldest) oldest = row.oldest;
+  }
+  return {
+    pending,
+    dead,
+    undelivered: pending + dead,
+    oldest_undelivered_at: oldest,
+    last_error: lastFailure ? { consumer: lastFailure.consumer, error: lastFailure.last_error, next_attempt_at: lastFailure.next_attempt_at } : null,
+    consumers: consumerStats
+  };
+}
+
+function listDeliveries({ status, consumer, limit = 100 } = {}) {
+  let sql = 'SELECT * FROM pos_outbox WHERE 1=1';
+  const params = [];
+  if (status) { sql += ' AND status = ?'; params.push(status); }
+  if (consumer) { sql += ' AND consumer = ?'; params.push(consumer); }
+  sql += ' ORDER BY created_at DESC LIMIT ?';
+  params.push(parseInt(limit) || 100);
+  return query(sql, params).map(r => ({ ...r, payload: JSON.parse(r.payload || '{}') }));
+}
+
+/**
+ * Make undelivered rows due now; dead rows go back to pending
+ * @param {string} [id] - One delivery, or every undelivered one when omitted
+ * @returns {number} - Rows rescheduled
+ */
+function retryNow(id) {
+  const now = new Date().toISOString();
+  const where = id ? 'id = ? AND status != ?' : 'status != ?';
+  const params = id ? [id, DELIVERY_STATUS.DELIVERED] : [DELIVERY_STATUS.DELIVERED];
+  const count = get(`SELECT COUNT(*) as c FROM pos_outbox WHERE ${where}`, params).c;
+  if (count) run(`UPDATE pos_outbox SET status = ?, next_attempt_at = ? WHERE ${where}`, [DELIVERY_STATUS.PENDING, now, ...params]);
+  return count;
+}
+
+module.exports = {
+  registerConsumer,
+  enqueue,
+  dispatchDue,
+  startDispatcher,
+  getStatus,
+  listDeliveries,
+  retryNow,
+  backoffSeconds,
+  // Constants
+  DELIVERY_STATUS,
+};
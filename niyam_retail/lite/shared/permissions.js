@@ -0,0 +1,284 @@
+/**
+ * Permissions - Lite Version
+ * One role/permission model for every retail lite service: roles grant
+ * resource:action permissions, store-bound roles are limited to their
+ * stores, and refunds can be done by staff without the permission when a
+ * manager approves them.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { query, run, get } = require('./db');
+const { authenticate } = require('./auth');
+
+// ============================================
+// Constants
+// ============================================
+
+// Every permission a service may check, by resource
+const PERMISSIONS = {
+  register: ['read', 'operate', 'reconcile'],
+  sales: ['read', 'create', 'refund'],
+  catalog: ['read', 'write'],
+  inventory: ['read', 'write', 'manage'],
+  customers: ['read', 'write', 'delete', 'export'],
+  crm: ['read', 'write'],
+  marketing: ['read', 'write'],
+  loyalty: ['read', 'write'],
+  gift_cards: ['read', 'issue'],
+  invoices: ['read', 'write'],
+  purchasing: ['read', 'write'],
+  staff: ['read', 'write'],
+  reports: ['read'],
+  settings: ['read', 'write'],
+  system: ['read', 'manage'],
+  users: ['manage']
+};
+
+// 'resource:*' grants every action on a resource, '*' grants everything
+const ROLES = {
+  owner: { label: 'Owner', allStores: true, permissions: ['*'] },
+  // The install admin created by the authentication service
+  admin: { label: 'Administrator', allStores: true, permissions: ['*'] },
+  store_manager: {
+    label: 'Store manager',
+    allStores: false,
+    permissions: [
+      'register:*', 'sales:*', 'catalog:*', 'inventory:*', 'customers:read', 'customers:write', 'customers:export',
+      'crm:*', 'marketing:*', 'loyalty:*', 'gift_cards:*', 'invoices:read', 'purchasing:*', 'staff:*', 'reports:read',
+      'settings:read', 'system:read'
+    ]
+  },
+  accountant: {
+    label: 'Accountant',
+    allStores: true,
+    permissions: [
+      'register:read', 'register:reconcile', 'sales:read', 'catalog:read', 'inventory:read', 'customers:read',
+      'loyalty:read', 'gift_cards:read', 'invoices:*', 'purchasing:read', 'staff:read', 'reports:read', 'settings:read', 'system:read'
+    ]
+  },
+  cashier: {
+    label: 'Cashier',
+    allStores: false,
+    permissions: [
+      'register:read', 'register:operate', 'sales:read', 'sales:create', 'catalog:read', 'inventory:read',
+      'customers:read', 'customers:write', 'loyalty:read', 'gift_cards:read', 'gift_cards:issue', 'settings:read', 'system:read'
+    ]
+  },
+  // Self-registered accounts start here until an admin assigns a role
+  user: { label: 'User (no access)', allStores: false, permissions: [] }
+};
+
+// Permissions staff without them can still use, with a manager's approval.
+// Only actions a route checks belong here: the POS has no void or price override.
+const ESCALATABLE = ['sales:refund'];
+
+const APPROVAL_MINUTES = 5;
+
+// SKIP_AUTH=true turns checks off, SKIP_AUTH=false always enforces them; unset,
+// they start once the first user account exists (a fresh install stays open)
+const SKIP_AUTH = process.env.SKIP_AUTH;
+
+// ============================================
+// Roles & permissions
+// ============================================
+
+function isKnownPermission(permission) {
+  const [resource, action] = String(permission).split(':');
+  return !!(PERMISSIONS[resource] && PERMISSIONS[resource].includes(action));
+}
+
+function permissionsFor(role) {
+  const grants = ROLES[role] ? ROLES[role].permissions : [];
+  const all = [];
+  for (const [resource, actions] of Object.entries(PERMISSIONS)) {
+    for (const action of actions) {
+      const permission = `${resource}:${action}`;
+      if (grants.some(g => g === '*' || g === permission || g === `${resource}:*`)) all.push(permission);
+    }
+  }
+  return all;
+}
+
+function hasPermission(role, permission) {
+  if (!isKnownPermission(permission)) throw new Error(`Unknown permission ${permission}`);
+  return permissionsFor(role).includes(permission);
+}
+
+// ============================================
+// Store scoping
+// ============================================
+
+/**
+ * Stores a user is limited to, or null when they may work in any store.
+ * Store-bound roles with no stores assigned are not limited, so a
+ * single-store install needs no assignments.
+ * @returns {Array|null}
+ */
+function storesFor(user) {
+  if (!user || (ROLES[user.role] && ROLES[user.role].allStores)) return null;
+  const stores = query('SELECT store_id FROM user_stores WHERE user_id = ? ORDER BY store_id', [user.id]).map(r => r.store_id);
+  return stores.length ? stores : null;
+}
+
+// Records that belong to no store (e.g. a sale rung up without a register session) are not store-scoped
+function canAccessStore(user, storeId) {
+  if (!storeId) return true;
+  const stores = storesFor(user);
+  return !stores || stores.includes(storeId);
+}
+
+function setUserStores(userId, storeIds) {
+  run('DELETE FROM user_stores WHERE user_id = ?', [userId]);
+  for (const storeId of new Set(storeIds)) run('INSERT INTO user_stores (user_id, store_id) VALUES (?, ?)', [userId, storeId]);
+}
+
+// The store a request names: route parameter, body, query or X-Store-Id header.
+// Routes acting on a stored record pass its store to requirePermission instead
+// (the `store` option), so leaving the header out does not skip the check.
+function requestStoreId(req) {
+  return (req.params && req.params.store_id) || (req.body && req.body.store_id) || req.query.store_id || req.headers['x-store-id'] || null;
+}
+
+// ============================================
+// Manager approvals
+// ============================================
+
+/**
+ * Record a manager's approval for someone else to use a permission once.
+ * The approver's credentials must already have been checked.
+ * @param {Object} approver - users row of the approving manager
+ * @param {Object} requester - {id} of the user who will use it
+ * @param {Object} options - {permission, store_id, reason}
+ * @returns {Object} - {token, expires_at} or {error, status}
+ */
+function grantApproval(approver, requester, { permission, store_id = null, reason = null }) {
+  if (!ESCALATABLE.includes(permission)) return { error: `${permission} cannot be approved`, status: 400 };
+  if (approver.id === requester.id) return { error: 'Approval must come from another user', status: 400 };
+  if (!hasPermission(approver.role, permission)) return { error: 'Approver does not have this permission', status: 403 };
+  if (!canAccessStore(approver, store_id)) return { error: 'Approver has no access to this store', status: 403 };
+  if (!store_id && storesFor(requester)) return { error: 'store_id required: the requester is limited to stores', status: 400 };
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const expiresAt = new Date(Date.now() + APPROVAL_MINUTES * 60 * 1000).toISOString();
+  run(`INSERT INTO auth_approvals (id, token, permission, requested_by, approved_by, store_id, reason, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [uuidv4(), token, permission, requester.id, approver.id, store_id, reason, expiresAt]);
+  return { token, expires_at: expiresAt };
+}
+
+// Claim an approval token for this request; it is handed back if the request fails.
+// An approval granted for a store is only good for that store's records; one
+// granted for no store only for staff who are not limited to stores.
+function claimApproval(req, res, permission, storeId) {
+  const token = req.headers['x-approval-token'] || (req.body && req.body.approval_token);
+  if (!token) return null;
+  const now = new Date().toISOString();
+  const approval = get(`SELECT * FROM auth_approvals WHERE token = ? AND permission = ? AND requested_by = ?
+    AND used_at IS NULL AND expires_at > ?`, [token, permission, req.user.id, now]);
+  if (!approval) return null;
+  if (approval.store_id ? approval.store_id !== storeId : storesFor(req.user)) return null;
+
+  run('UPDATE auth_approvals SET used_at = ?, used_for = ? WHERE id = ?', [now, `${req.method} ${req.originalUrl}`, approval.id]);
+  res.on('finish', () => {
+    if (res.statusCode >= 400) run('UPDATE auth_approvals SET used_at = NULL, used_for = NULL WHERE id = ?', [approval.id]);
+  });
+  return { id: approval.id, approved_by: approval.approved_by, permission };
+}
+
+// ============================================
+// Middleware
+// ============================================
+
+function enforced() {
+  if (SKIP_AUTH === 'true') return false;
+  if (SKIP_AUTH === 'false') return true;
+  return !!get('SELECT 1 AS found FROM users LIMIT 1');
+}
+
+/**
+ * Check one permission for the request (and its store). Sends the error
+ * response and returns false when it is refused.
+ * Sets req.approval when a manager approval stood in for the permission.
+ * @param {string|null} storeId - Store the request acts in; defaults to the one it names
+ */
+function authorize(req, res, permission, storeId = requestStoreId(req)) {
+  if (!enforced()) return true;
+  if (!req.user) {
+    res.status(401).json({ success: false, error: 'Authentication required' });
+    return false;
+  }
+
+  if (!hasPermission(req.user.role, permission)) {
+    if (!ESCALATABLE.includes(permission)) {
+      res.status(403).json({ success: false, error: `Permission ${permission} required`, permission });
+      return false;
+    }
+    const approval = claimApproval(req, res, permission, storeId);
+    if (!approval) {
+      res.status(403).json({ success: false, error: 'Manager approval required', approval_required: true, permission });
+      return false;
+    }
+    req.approval = approval;
+  }
+
+  if (!canAccessStore(req.user, storeId)) {
+    res.status(403).json({ success: false, error: `No access to store ${storeId}` });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Route middleware for one permission
+ * @param {string} permission - resource:action
+ * @param {Object} options - {when: req => boolean} to only check some requests,
+ *   {store: req => storeId} for the store of the record the request acts on
+ */
+function requirePermission(permission, { when, store } = {}) {
+  if (!isKnownPermission(permission)) throw new Error(`Unknown permission ${permission}`);
+  return (req, res, next) => {
+    if (when && !when(req)) return next();
+    if (authorize(req, res, permission, store ? store(req) : requestStoreId(req))) next();
+  };
+}
+
+/**
+ * Mount-level middleware for a resource: GET/HEAD need read, DELETE needs
+ * delete where the resource has it, everything else needs write
+ * @param {string} resource - Key of PERMISSIONS
+ * @param {Object} options - {when: req => boolean} to only check some requests
+ */
+function requireResource(resource, { when } = {}) {
+  const actions = PERMISSIONS[resource];
+  if (!actions) throw new Error(`Unknown resource ${resource}`);
+  const writeAction = actions.includes('write') ? 'write' : actions[1] || 'read';
+  return (req, res, next) => {
+    if (when && !when(req)) return next();
+    let action = writeAction;
+    if (req.method === 'GET' || req.method === 'HEAD') action = 'read';
+    else if (req.method === 'DELETE' && actions.includes('delete')) action = 'delete';
+    if (authorize(req, res, `${resource}:${action}`)) next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  authorize,
+  requirePermission,
+  requireResource,
+  enforced,
+  hasPermission,
+  permissionsFor,
+  isKnownPermission,
+  storesFor,
+  canAccessStore,
+  setUserStores,
+  requestStoreId,
+  grantApproval,
+  // Constants
+  PERMISSIONS,
+  ROLES,
+  ESCALATABLE,
+  APPROVAL_MINUTES
+};
@@ -0,0 +1,404 @@
+/**
+ * Promotion Rules Engine - Lite Version
+ * Evaluates every active promotion against a whole cart and allocates each
+ * discount to the lines it came from, for receipts and accounting.
+ *
+ * Offer types (promotions.discount_type):
+ *   percentage / fixed - basket offer on the targeted lines
+ *   bogo               - buy X get Y at a discount (free by default)
+ *   bundle             - mix-and-match sets for a fixed price or % off
+ *   tiered             - quantity (or spend) breaks on the targeted lines
+ *
+ * Everything else lives in promotions.conditions, see validatePromotionConfig.
+ */
+
+const { query, get } = require('./db');
+
+// ============================================
+// Constants
+// ============================================
+
+const OFFER_TYPES = ['percentage', 'fixed', 'bogo', 'bundle', 'tiered'];
+const AUTOMATIC_PROMOTION_TYPE = 'automatic'; // Applied without a code
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function parseConditions(promo) {
+  if (!promo.conditions) return {};
+  if (typeof promo.conditions === 'object') return promo.conditions;
+  try { return JSON.parse(promo.conditions) || {}; } catch (e) { return {}; }
+}
+
+function lower(list) {
+  return (list || []).map(v => String(v).toLowerCase());
+}
+
+// ============================================
+// Configuration checks
+// ============================================
+
+/**
+ * Problems with a promotion's offer type and conditions, before it is saved
+ * @param {Object} promo - { discount_type, discount_value, conditions }
+ * @returns {Array} - Error messages, empty when valid
+ */
+function validatePromotionConfig(promo) {
+  const errors = [];
+  const type = promo.discount_type || 'percentage';
+  const c = promo.conditions || {};
+  if (!OFFER_TYPES.includes(type)) errors.push(`discount_type must be one of ${OFFER_TYPES.join(', ')}`);
+  if (type === 'percentage' && !(promo.discount_value > 0 && promo.discount_value <= 100)) errors.push('percentage discount_value must be between 0 and 100');
+  if (type === 'fixed' && !(promo.discount_value > 0)) errors.push('fixed discount_value must be positive');
+  if (type === 'bogo') {
+    if (!(c.buy_quantity >= 1)) errors.push('bogo needs conditions.buy_quantity');
+    if (!(c.get_quantity >= 1)) errors.push('bogo needs conditions.get_quantity');
+    if (c.get_discount_percent !== undefined && !(c.get_discount_percent > 0 && c.get_discount_percent <= 100)) errors.push('get_discount_percent must be between 0 and 100');
+  }
+  if (type === 'bundle') {
+    const components = c.components || (c.bundle_quantity ? [{ quantity: c.bundle_quantity }] : []);
+    if (!components.length || components.some(k => !(k.quantity >= 1))) errors.push('bundle needs conditions.components[] with quantities, or conditions.bundle_quantity');
+    if (c.bundle_price === undefined && !(promo.discount_value > 0 && promo.discount_value <= 100)) errors.push('bundle needs conditions.bundle_price or a percentage discount_value');
+  }
+  if (type === 'tiered') {
+    const tiers = c.tiers || [];
+    if (!tiers.length) errors.push('tiered needs conditions.tiers[]');
+    tiers.forEach((t, i) => {
+      if (!(t.min_quantity > 0 || t.min_amount > 0)) errors.push(`tier ${i + 1} needs min_quantity or min_amount`);
+      if (t.percent === undefined && t.amount_off === undefined && t.unit_price === undefined) errors.push(`tier ${i + 1} needs percent, amount_off or unit_price`);
+    });
+  }
+  for (const w of c.time_windows || []) {
+    if (!/^\d{2}:\d{2}$/.test(w.start || '') || !/^\d{2}:\d{2}$/.test(w.end || '')) errors.push('time_windows need HH:MM start and end');
+  }
+  if (c.days_of_week && (!Array.isArray(c.days_of_week) || c.days_of_week.some(d => d < 0 || d > 6))) errors.push('days_of_week are 0 (Sunday) to 6');
+  return errors;
+}
+
+// ============================================
+// Eligibility
+// ============================================
+
+// Does a line match a target: { product_ids, categories, brands } and the promotion's exclusions
+function lineMatches(line, target, conditions) {
+  if (lower(conditions.exclude_product_ids).includes(String(line.product_id).toLowerCase())) return false;
+  if (line.category && lower(conditions.exclude_categories).includes(String(line.category).toLowerCase())) return false;
+  const { product_ids, categories, brands } = target || {};
+  if (!product_ids?.length && !categories?.length && !brands?.length) return true;
+  if (product_ids?.length && lower(product_ids).includes(String(line.product_id).toLowerCase())) return true;
+  if (categories?.length && line.category && lower(categories).includes(String(line.category).toLowerCase())) return true;
+  if (brands?.length && line.brand && lower(brands).includes(String(line.brand).toLowerCase())) return true;
+  return false;
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Happy hours: a window ending before it starts runs past midnight
+function inTimeWindow(conditions, at) {
+  if (conditions.days_of_week?.length && !conditions.days_of_week.includes(at.getDay())) return false;
+  if (!conditions.time_windows?.length) return true;
+  const now = at.getHours() * 60 + at.getMinutes();
+  return conditions.time_windows.some(w => {
+    const start = minutesOf(w.start), end = minutesOf(w.end);
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+  });
+}
+
+/**
+ * Customer segments a promotion can target: loyalty tier and CRM tags
+ */
+function customerSegments(customerId) {
+  if (!customerId) return [];
+  const customer = get('SELECT loyalty_tier FROM customers WHERE id = ?', [customerId]);
+  const tags = query(`SELECT t.name FROM crm_customer_tags ct JOIN crm_tags t ON t.id = ct.tag_id WHERE ct.customer_id = ?`, [customerId]);
+  return lower([customer?.loyalty_tier, ...tags.map(t => t.name)].filter(Boolean));
+}
+
+/**
+ * Reason a promotion cannot apply to this cart and customer at all
+ * @returns {string|null}
+ */
+function promotionIneligibility(promo, { cartTotal, customerId, segments, at }) {
+  const conditions = parseConditions(promo);
+  const now = at.toISOString();
+  if (promo.start_date && now < promo.start_date) return 'Promotion not yet active';
+  if (promo.end_date && now > promo.end_date) return 'Promotion expired';
+  if (promo.max_uses && promo.uses_count >= promo.max_uses) return 'Promotion limit reached';
+  if (promo.min_purchase && cartTotal < promo.min_purchase) return `Minimum purchase of ${promo.min_purchase} required`;
+  if (!inTimeWindow(conditions, at)) return 'Not available at this time';
+  if (conditions.customer_segments?.length) {
+    if (!customerId) return 'Customer required';
+    if (!lower(conditions.customer_segments).some(s => segments.includes(s))) return 'Not available for this customer';
+  }
+  if (promo.per_customer_limit) {
+    if (!customerId) return 'Customer required';
+    const used = get('SELECT COUNT(*) as count FROM promotion_redemptions WHERE promotion_id = ? AND customer_id = ?', [promo.id, customerId]);
+    if (used.count >= promo.per_customer_limit) return 'Customer has already used this promotion';
+  }
+  return null;
+}
+
+// ============================================
+// Offer calculators
+// ============================================
+// Each returns allocations [{ line, quantity, amount }] against the lines'
+// remaining value, so stacked offers never discount more than is left.
+
+// One entry per whole unit, valued at what is left of its line
+function expandUnits(lines, remaining, filter) {
+  const units = [];
+  lines.forEach((line, i) => {
+    if (!filter(line)) return;
+    const whole = Math.floor(line.quantity);
+    const unitValue = line.quantity > 0 ? remaining[i] / line.quantity : 0;
+    for (let k = 0; k < whole; k++) units.push({ line: i, value: unitValue });
+  });
+  return units;
+}
+
+// Units of one line are interchangeable; numbering them the same way in every
+// pool lets a unit picked from one pool be recognised as used in another
+function numberUnits(units) {
+  const seen = {};
+  units.forEach(u => { u.key = `${u.line}:${(seen[u.line] = (seen[u.line] ?? -1) + 1)}`; });
+  return units;
+}
+
+function groupUnits(units, amountFor) {
+  const byLine = new Map();
+  for (const u of units) {
+    const amount = amountFor(u);
+    if (amount <= 0) continue;
+    const entry = byLine.get(u.line) || { line: u.line, quantity: 0, amount: 0 };
+    entry.quantity += 1;
+    entry.amount += amount;
+    byLine.set(u.line, entry);
+  }
+  return Array.from(byLine.values());
+}
+
+// Spread an amount over lines by their remaining value; the last line takes the rounding
+function prorate(amount, lineIndexes, remaining) {
+  const base = lineIndexes.reduce((s, i) => s + remaining[i], 0);
+  if (amount <= 0 || base <= 0) return [];
+  let allocated = 0;
+  return lineIndexes.map((i, k) => {
+    const share = k === lineIndexes.length - 1 ? round2(amount - allocated) : round2(amount * remaining[i] / base);
+    allocated = round2(allocated + share);
+    return { line: i, amount: share };
+  });
+}
+
+function basketOffer(promo, conditions, lines, remaining) {
+  const targeted = lines.map((l, i) => i).filter(i => lineMatches(lines[i], conditions, conditions));
+  const eligibleValue = targeted.reduce((s, i) => s + remaining[i], 0);
+  const eligibleQty = targeted.reduce((s, i) => s + lines[i].quantity, 0);
+  if (conditions.min_quantity && eligibleQty < conditions.min_quantity) return [];
+  const discount = promo.discount_type === 'percentage'
+    ? eligibleValue * promo.discount_value / 100
+    : Math.min(promo.discount_value, eligibleValue);
+  return prorate(round2(discount), targeted, remaining);
+}
+
+// Buy X get Y: the cheapest qualifying units are the ones given away
+function bogoOffer(promo, conditions, lines, remaining) {
+  const buyQty = conditions.buy_quantity, getQty = conditions.get_quantity;
+  const percent = conditions.get_discount_percent ?? 100;
+  const getTarget = conditions.get_product_ids || conditions.get_categories || conditions.get_brands
+    ? { product_ids: conditions.get_product_ids, categories: conditions.get_categories, brands: conditions.get_brands }
+    : conditions;
+  const buyUnits = numberUnits(expandUnits(lines, remaining, l => lineMatches(l, conditions, conditions))).sort((a, b) => b.value - a.value);
+  const getUnits = numberUnits(expandUnits(lines, remaining, l => lineMatches(l, getTarget, conditions))).sort((a, b) => a.value - b.value);
+
+  // The pools overlap when the targets do; each unit is used once
+  const used = new Set();
+  const free = [];
+  const maxApplications = conditions.max_applications || Infinity;
+  for (let applied = 0; applied < maxApplications; applied++) {
+    const gets = [];
+    for (const u of getUnits) {
+      if (gets.length === getQty) break;
+      if (!used.has(u.key)) gets.push(u);
+    }
+    if (gets.length < getQty) break;
+    gets.forEach(u => used.add(u.key));
+    const buys = [];
+    for (const u of buyUnits) {
+      if (buys.length === buyQty) break;
+      if (!used.has(u.key)) buys.push(u);
+    }
+    if (buys.length < buyQty) break;
+    buys.forEach(u => used.add(u.key));
+    free.push(...gets);
+  }
+  return groupUnits(free, u => u.value * percent / 100);
+}
+
+// Mix-and-match: fill each set with the dearest qualifying units, sets repeat while units last
+function bundleOffer(promo, conditions, lines, remaining) {
+  const components = conditions.components || [{ quantity: conditions.bundle_quantity, product_ids: conditions.product_ids, categories: conditions.categories, brands: conditions.brands }];
+  const pools = components.map(component => numberUnits(expandUnits(lines, remaining, l => lineMatches(l, component, conditions))).sort((a, b) => b.value - a.value));
+  const used = new Set();
+  const discounted = [];
+  const maxApplications = conditions.max_applications || Infinity;
+
+  for (let applied = 0; applied < maxApplications; applied++) {
+    const set = [];
+    let complete = true;
+    for (let c = 0; c < components.length && complete; c++) {
+      const picked = [];
+      for (const u of pools[c]) {
+        if (picked.length === components[c].quantity) break;
+        if (!used.has(u.key)) picked.push(u);
+      }
+      if (picked.length < components[c].quantity) complete = false;
+      picked.forEach(u => used.add(u.key));
+      set.push(...picked);
+    }
+    if (!complete) break;
+    const value = set.reduce((s, u) => s + u.value, 0);
+    const discount = conditions.bundle_price !== undefined
+      ? Math.max(0, value - conditions.bundle_price)
+      : value * promo.discount_value / 100;
+    if (discount <= 0) break;
+    set.forEach(u => discounted.push({ ...u, share: value > 0 ? discount * u.value / value : 0 }));
+  }
+  return groupUnits(discounted, u => u.share);
+}
+
+// Quantity breaks: the best tier reached prices every targeted unit
+function tieredOffer(promo, conditions, lines, remaining) {
+  const targeted = lines.map((l, i) => i).filter(i => lineMatches(lines[i], conditions, conditions));
+  const quantity = targeted.reduce((s, i) => s + lines[i].quantity, 0);
+  const amount = targeted.reduce((s, i) => s + remaining[i], 0);
+  const reached = (conditions.tiers || [])
+    .filter(t => (!t.min_quantity || quantity >= t.min_quantity) && (!t.min_amount || amount >= t.min_amount))
+    .sort((a, b) => (b.min_quantity || 0) - (a.min_quantity || 0) || (b.min_amount || 0) - (a.min_amount || 0));
+  const tier = reached[0];
+  if (!tier) return [];
+  return targeted.map(i => {
+    const line = lines[i];
+    let discount;
+    if (tier.percent !== undefined) discount = remaining[i] * tier.percent / 100;
+    else if (tier.amount_off !== undefined) discount = tier.amount_off * line.quantity;
+    else discount = remaining[i] - tier.unit_price * line.quantity;
+    return { line: i, quantity: line.quantity, amount: Math.max(0, discount) };
+  });
+}
+
+const CALCULATORS = {
+  percentage: basketOffer,
+  fixed: basketOffer,
+  bogo: bogoOffer,
+  bundle: bundleOffer,
+  tiered: tieredOffer,
+};
+
+// Round, keep within what is left of each line, and apply the promotion's cap
+function settleAllocations(allocations, remaining, cap) {
+  let result = allocations
+    .map(a => ({ ...a, amount: round2(Math.min(a.amount, remaining[a.line])) }))
+    .filter(a => a.amount > 0);
+  const total = round2(result.reduce((s, a) => s + a.amount, 0));
+  if (cap && total > cap) {
+    const scaled = prorate(round2(cap), result.map(a => a.line), Object.fromEntries(result.map(a => [a.line, a.amount])));
+    result = result.map((a, k) => ({ ...a, amount: scaled[k].amount }));
+  }
+  return result;
+}
+
+// ============================================
+// Cart evaluation
+// ============================================
+
+/**
+ * Evaluate promotions against a cart. Candidates go in priority order (entered
+ * codes, then the bigger discount, break ties). A non-stackable promotion only
+ * applies on its own; stackable ones apply in turn to what is left.
+ * @param {Array} lines - [{ product_id, quantity, unit_price, category, brand }]
+ * @param {Object} options - { customer_id, promo_codes, only_codes, at }
+ * @returns {Object} - { applied, discount, line_discounts, rejected, warnings }
+ */
+function evaluatePromotions(lines, options = {}) {
+  const { customer_id, only_codes = false } = options;
+  const at = options.at ? new Date(options.at) : new Date();
+  const codes = lower([].concat(options.promo_codes || []).filter(Boolean));
+  const remaining = lines.map(l => round2((l.unit_price || 0) * l.quantity));
+  const cartTotal = round2(remaining.reduce((s, v) => s + v, 0));
+  const segments = customerSegments(customer_id);
+  const warnings = [];
+  const rejected = [];
+
+  const coded = codes.length
+    ? query(`SELECT * FROM promotions WHERE active = 1 AND LOWER(code) IN (${codes.map(() => '?').join(', ')})`, codes)
+    : [];
+  for (const code of codes) {
+    if (!coded.some(p => String(p.code).toLowerCase() === code)) warnings.push(`${code.toUpperCase()}: Invalid promo code`);
+  }
+  const automatic = only_codes ? [] : query('SELECT * FROM promotions WHERE active = 1 AND type = ?', [AUTOMATIC_PROMOTION_TYPE]);
+
+  const candidates = [];
+  for (const promo of [...coded, ...automatic.filter(a => !coded.some(c => c.id === a.id))]) {
+    const entered = coded.includes(promo);
+    const reason = promotionIneligibility(promo, { cartTotal, customerId: customer_id, segments, at });
+    if (reason) {
+      rejected.push({ promotion_id: promo.id, name: promo.name, code: promo.code, reason });
+      if (entered) warnings.push(`${promo.code}: ${reason}`);
+      continue;
+    }
+    const conditions = parseConditions(promo);
+    const calculate = CALCULATORS[promo.discount_type || 'percentage'];
+    if (!calculate) {
+      rejected.push({ promotion_id: promo.id, name: promo.name, code: promo.code, reason: `Unknown offer type ${promo.discount_type}` });
+      continue;
+    }
+    const standalone = settleAllocations(calculate(promo, conditions, lines, remaining), remaining, conditions.max_discount);
+    candidates.push({ promo, conditions, calculate, entered, standalone: standalone.reduce((s, a) => s + a.amount, 0) });
+  }
+  candidates.sort((a, b) => (b.promo.priority || 0) - (a.promo.priority || 0)
+    || (b.entered - a.entered) || (b.standalone - a.standalone));
+
+  const applied = [];
+  for (const candidate of candidates) {
+    const { promo, conditions, calculate, entered } = candidate;
+    const reject = reason => {
+      rejected.push({ promotion_id: promo.id, name: promo.name, code: promo.code, reason });
+      if (entered) warnings.push(`${promo.code}: ${reason}`);
+    };
+    if (applied.some(a => !a.stackable)) { reject(`Cannot be combined with ${applied.find(a => !a.stackable).name}`); continue; }
+    if (!promo.stackable && applied.length) { reject('Cannot be combined with other promotions'); continue; }
+
+    const allocations = settleAllocations(calculate(promo, conditions, lines, remaining), remaining, conditions.max_discount);
+    const discount = round2(allocations.reduce((s, a) => s + a.amount, 0));
+    if (discount <= 0) { reject('Cart does not meet the offer conditions'); continue; }
+    allocations.forEach(a => { remaining[a.line] = round2(remaining[a.line] - a.amount); });
+    applied.push({
+      id: promo.id, name: promo.name, code: promo.code, type: promo.type, offer_type: promo.discount_type || 'percentage',
+      priority: promo.priority || 0, stackable: !!promo.stackable, discount,
+      allocations: allocations.map(a => ({ line_index: a.line, product_id: lines[a.line].product_id, quantity: a.quantity ?? null, amount: a.amount }))
+    });
+  }
+
+  const lineDiscounts = lines.map(() => 0);
+  applied.forEach(p => p.allocations.forEach(a => { lineDiscounts[a.line_index] = round2(lineDiscounts[a.line_index] + a.amount); }));
+  return {
+    applied,
+    discount: round2(applied.reduce((s, p) => s + p.discount, 0)),
+    line_discounts: lineDiscounts,
+    rejected,
+    warnings
+  };
+}
+
+module.exports = {
+  evaluatePromotions,
+  validatePromotionConfig,
+  customerSegments,
+  // Constants
+  OFFER_TYPES,
+  AUTOMATIC_PROMOTION_TYPE
+};
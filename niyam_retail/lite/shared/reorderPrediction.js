@@ -1,9 +1,11 @@
 /**
  * Reorder Prediction Service - Lite Version
- * Calculates optimal reorder points based on sales velocity
+ * Calculates optimal reorder points from demand forecasts: the reorder point
+ * covers forecast lead-time demand at the target service level
  */
 
 const { query, get } = require('./db');
+const { forecastProduct, normalQuantile } = require('./demandForecast');
 
 // ============================================
 // Constants
@@ -12,6 +14,8 @@ const { query, get } = require('./db');
 const DEFAULT_LEAD_TIME_DAYS = 7; // Days from order to delivery
 const DEFAULT_SAFETY_STOCK_DAYS = 3; // Buffer days
 const MIN_DATA_POINTS = 7; // Minimum days of data for prediction
+const DEFAULT_SERVICE_LEVEL = 0.95; // Chance of not stocking out before a reorder arrives
+const DEFAULT_REVIEW_DAYS = 30; // Days of demand an order should cover after it arrives
 
 // ============================================
 // Sales Velocity Calculation
@@ -66,65 +70,86 @@ function calculateSalesVelocity(productId, days = 30) {
 /**
  * Calculate optimal reorder point for a product
  * @param {string} productId - Product ID
- * @param {Object} options - { leadTimeDays, safetyStockDays }
- * @returns {Object} - { reorderPoint, safetyStock, currentQty, daysUntilReorder }
+ * @param {Object} options - { leadTimeDays, reviewDays, serviceLevel, currentQty }
+ * @returns {Object} - { reorderPoint, safetyStock, currentQty, daysUntilReorder, forecast }
  */
 function calculateReorderPoint(productId, options = {}) {
   const leadTimeDays = options.leadTimeDays || DEFAULT_LEAD_TIME_DAYS;
-  const safetyStockDays = options.safetyStockDays || DEFAULT_SAFETY_STOCK_DAYS;
+  const reviewDays = options.reviewDays || DEFAULT_REVIEW_DAYS;
+  const serviceLevel = options.serviceLevel || DEFAULT_SERVICE_LEVEL;
 
   // Get current inventory
   const inventory = get(`
-    SELECT i.quantity, i.min_quantity, p.name, p.sku
+    SELECT i.quantity, i.min_quantity, p.name, p.sku, p.category
     FROM inventory i
     JOIN products p ON i.product_id = p.id
     WHERE i.product_id = ?
   `, [productId]);
 
-  if (!inventory) {
+  if (!inventory && options.currentQty === undefined) {
     return { error: 'Product not found' };
   }
+  const currentQty = options.currentQty !== undefined ? Number(options.currentQty) : inventory.quantity;
 
-  // Calculate velocity
-  const velocity = calculateSalesVelocity(productId, 30);
+  // Forecast demand over the lead time and the period the order has to cover
+  const forecast = forecastProduct(productId, { horizon: leadTimeDays + reviewDays, periods: [leadTimeDays] });
 
-  if (!velocity.reliable) {
+  if (!forecast.reliable) {
     // Fall back to manual min_quantity if insufficient data
     return {
       productId,
-      productName: inventory.name,
-      sku: inventory.sku,
-      currentQty: inventory.quantity,
-      reorderPoint: inventory.min_quantity || 10,
+      productName: inventory?.name,
+      sku: inventory?.sku,
+      category: inventory?.category,
+      currentQty,
+      reorderPoint: inventory?.min_quantity || 10,
+      minQuantity: inventory?.min_quantity || 0,
       safetyStock: 0,
       avgDailySales: 0,
       daysUntilReorder: null,
       reliable: false,
-      message: velocity.message || 'Using manual reorder point'
+      message: forecast.message || 'Using manual reorder point'
     };
   }
 
-  // Calculate reorder point: (Lead Time × Avg Daily) + Safety Stock
-  const safetyStock = Math.ceil(velocity.avgDaily * safetyStockDays);
-  const leadTimeDemand = Math.ceil(velocity.avgDaily * leadTimeDays);
-  const reorderPoint = leadTimeDemand + safetyStock;
-
-  // Calculate days until we hit reorder point
-  const daysUntilReorder = velocity.avgDaily > 0
-    ? Math.floor((inventory.quantity - reorderPoint) / velocity.avgDaily)
-    : null;
+  // Reorder point: lead-time demand at the service level = forecast + z × sd
+  const z = normalQuantile(serviceLevel);
+  const leadTime = forecast.totals.find(t => t.days === leadTimeDays);
+  const reorderPoint = Math.ceil(leadTime.forecast + z * leadTime.sd);
+  const safetyStock = Math.max(0, reorderPoint - Math.ceil(leadTime.forecast));
+
+  // Walk the daily forecast to the day stock falls to the reorder point
+  let daysUntilReorder = null;
+  if (currentQty <= reorderPoint) daysUntilReorder = 0;
+  else {
+    let stock = currentQty;
+    for (let day = 0; day < forecast.points.length; day++) {
+      stock -= forecast.points[day].forecast;
+      if (stock <= reorderPoint) { daysUntilReorder = day + 1; break; }
+    }
+    if (daysUntilReorder === null && forecast.average_daily > 0) {
+      daysUntilReorder = forecast.points.length + Math.floor((stock - reorderPoint) / forecast.average_daily);
+    }
+  }
 
   return {
     productId,
-    productName: inventory.name,
-    sku: inventory.sku,
-    currentQty: inventory.quantity,
+    productName: inventory?.name,
+    sku: inventory?.sku,
+    category: inventory?.category,
+    currentQty,
     reorderPoint,
     safetyStock,
-    avgDailySales: velocity.avgDaily,
+    avgDailySales: forecast.average_daily,
+    leadTimeDays,
+    reviewDays,
+    serviceLevel,
+    leadTimeDemand: leadTime.forecast,
+    coverDemand: forecast.total.forecast,
     daysUntilReorder,
     reliable: true,
-    shouldReorder: inventory.quantity <= reorderPoint,
+    method: forecast.method,
+    shouldReorder: currentQty <= reorderPoint,
     urgency: calculateUrgency(daysUntilReorder)
   };
 }
@@ -146,25 +171,19 @@ function calculateUrgency(daysUntilReorder) {
  */
 function generateReorderList() {
   try {
-    // Get all products with low stock
-    const lowStock = query(`
-      SELECT 
-        p.id, p.sku, p.name, p.category,
-        i.quantity, i.min_quantity,
-        st.id as supplier_id, st.supplier_name
+    // Products whose stock is at or below their forecast reorder point
+    const products = query(`
+      SELECT p.id
       FROM products p
       JOIN inventory i ON p.id = i.product_id
-      LEFT JOIN supplier_templates st ON p.category = st.supplier_name OR 1=1
       WHERE p.active = 1
-        AND i.quantity <= i.min_quantity
       ORDER BY i.quantity ASC
     `);
 
-    // Calculate predictions for each
-    const predictions = lowStock.map(product => ({
-      ...calculateReorderPoint(product.id),
-      suggestedQty: calculateSuggestedOrderQty(product.id)
-    }));
+    const predictions = products
+      .map(product => calculateReorderPoint(product.id))
+      .filter(pred => !pred.error && (pred.reliable ? pred.shouldReorder : pred.currentQty <= pred.minQuantity))
+      .map(pred => ({ ...pred, suggestedQty: suggestedOrderQty(pred) }));
 
     // Group by supplier (or category if no supplier)
     const grouped = {};
@@ -194,20 +213,24 @@ function generateReorderList() {
 
 /**
  * Calculate suggested order quantity
- * Based on lead time demand + safety stock + some buffer
+ * Orders up to forecast demand over lead time + review period plus safety stock
  * @param {string} productId - Product ID
+ * @param {Object} options - See calculateReorderPoint
  * @returns {number} - Suggested quantity to order
  */
-function calculateSuggestedOrderQty(productId) {
-  const prediction = calculateReorderPoint(productId);
-  
+function calculateSuggestedOrderQty(productId, options = {}) {
+  return suggestedOrderQty(calculateReorderPoint(productId, options));
+}
+
+/**
+ * Suggested order quantity for a prediction from calculateReorderPoint
+ */
+function suggestedOrderQty(prediction) {
   if (!prediction.reliable || prediction.avgDailySales === 0) {
-    return prediction.min_quantity || 10; // Default order qty
+    return prediction.reorderPoint || 10; // Default order qty
   }
-
-  // Order enough for 30 days + safety stock
-  const thirtyDayDemand = Math.ceil(prediction.avgDailySales * 30);
-  return thirtyDayDemand + prediction.safetyStock;
+  const orderUpTo = Math.ceil(prediction.coverDemand) + prediction.safetyStock;
+  return Math.max(0, orderUpTo - Math.max(0, prediction.currentQty));
 }
 
 /**
@@ -296,10 +319,13 @@ module.exports = {
   calculateReorderPoint,
   generateReorderList,
   calculateSuggestedOrderQty,
+  suggestedOrderQty,
   getUpcomingReorders,
   analyzeTrends,
   // Constants
   DEFAULT_LEAD_TIME_DAYS,
   DEFAULT_SAFETY_STOCK_DAYS,
   MIN_DATA_POINTS,
+  DEFAULT_SERVICE_LEVEL,
+  DEFAULT_REVIEW_DAYS,
 };
@@ -0,0 +1,476 @@
+/**
+ * SQL Dialect Layer - Lite Version
+ * Runs route code written against the platform PostgreSQL client
+ * (query / getClient, $1 placeholders, { rows, rowCount } results) on the
+ * shared sql.js database.
+ *
+ * Statements are rewritten before they reach SQLite:
+ *   $1, = ANY($2)                  -> ?, IN (?, ?, ...)
+ *   NOW(), x +/- INTERVAL '30 days' -> datetime('now'), datetime(x, '+30 days')
+ *   EXTRACT(DAY FROM a - b)        -> julianday arithmetic / strftime
+ *   DATE_TRUNC('month', x)         -> datetime(x, 'start of month')
+ *   x::numeric, x::text, ...       -> CAST(x AS ...) or dropped
+ *   ILIKE, GREATEST / LEAST, STRING_AGG, gen_random_uuid(), E'\n', FOR UPDATE
+ *
+ * Results keep PostgreSQL's shape: unaliased aggregates are named count,
+ * sum, ... and constraint errors carry PostgreSQL error codes (23505 etc.).
+ * With NIYAM_DB_DIALECT=postgres everything goes to the platform pool as is.
+ */
+
+const db = require('./db');
+const { isReadOnly } = require('./storage');
+
+// ============================================
+// Constants
+// ============================================
+
+const DIALECT = (process.env.NIYAM_DB_DIALECT || 'sqlite').toLowerCase();
+
+const LITERAL_MARK = '\u0000';
+const LITERAL_TOKEN = /\u0000(\d+)\u0000/g;
+const WRITE_STATEMENT = /^\s*(WITH\b[\s\S]*?\)\s*)?(INSERT|UPDATE|DELETE|REPLACE)\b/i;
+const RETURNING_CLAUSE = /\bRETURNING\b/i;
+
+const INTERVAL_UNITS = {
+  second: 'seconds', seconds: 'seconds', sec: 'seconds', secs: 'seconds',
+  minute: 'minutes', minutes: 'minutes', min: 'minutes', mins: 'minutes',
+  hour: 'hours', hours: 'hours',
+  day: 'days', days: 'days',
+  week: 'days', weeks: 'days',
+  month: 'months', months: 'months', mon: 'months', mons: 'months',
+  year: 'years', years: 'years'
+};
+
+// strftime formats for EXTRACT on a timestamp
+const EXTRACT_FORMATS = {
+  year: '%Y', month: '%m', day: '%d', hour: '%H', minute: '%M', second: '%S', dow: '%w', doy: '%j'
+};
+
+// SQLite messages -> PostgreSQL SQLSTATE, for routes that check error.code
+const ERROR_CODES = [
+  [/UNIQUE constraint failed/i, '23505'],
+  [/FOREIGN KEY constraint failed/i, '23503'],
+  [/NOT NULL constraint failed/i, '23502'],
+  [/CHECK constraint failed/i, '23514'],
+  [/no such table/i, '42P01'],
+  [/no such column/i, '42703'],
+  [/already exists/i, '42P07'],
+  [/syntax error/i, '42601']
+];
+
+// ============================================
+// Scanning helpers
+// ============================================
+// String literals are swapped for \0n\0 markers first, so nothing below has
+// to care about quotes, and restored as the last step.
+
+function maskLiterals(sql, literals) {
+  let out = '';
+  let i = 0;
+  while (i < sql.length) {
+    const ch = sql[i];
+    const escapeString = (ch === 'E' || ch === 'e') && sql[i + 1] === "'" && !/[\w$]/.test(sql[i - 1] || '');
+    if (ch === "'" || escapeString) {
+      let j = escapeString ? i + 2 : i + 1;
+      let body = '';
+      while (j < sql.length) {
+        if (sql[j] === "'" && sql[j + 1] === "'") { body += "''"; j += 2; continue; }
+        if (sql[j] === "'") break;
+        if (escapeString && sql[j] === '\\' && j + 1 < sql.length) {
+          const next = sql[j + 1];
+          body += next === 'n' ? '\n' : next === 't' ? '\t' : next === 'r' ? '\r' : next === "'" ? "''" : next;
+          j += 2;
+          continue;
+        }
+        body += sql[j];
+        j++;
+      }
+      literals.push(`'${body}'`);
+      out += `${LITERAL_MARK}${literals.length - 1}${LITERAL_MARK}`;
+      i = j + 1;
+    } else if (ch === '-' && sql[i + 1] === '-') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+  return out;
+}
+
+function literalText(sql, literals) {
+  const m = /^\s*\u0000(\d+)\u0000/.exec(sql);
+  return m ? literals[Number(m[1])].slice(1, -1).replace(/''/g, "'") : null;
+}
+
+function matchingClose(sql, open) {
+  let depth = 0;
+  for (let i = open; i < sql.length; i++) {
+    if (sql[i] === '(') depth++;
+    else if (sql[i] === ')' && --depth === 0) return i;
+  }
+  throw new Error('Unbalanced parentheses in SQL');
+}
+
+function matchingOpen(sql, close) {
+  let depth = 0;
+  for (let i = close; i >= 0; i--) {
+    if (sql[i] === ')') depth++;
+    else if (sql[i] === '(' && --depth === 0) return i;
+  }
+  throw new Error('Unbalanced parentheses in SQL');
+}
+
+/**
+ * Start index of the operand that ends just before `end`
+ * (column, placeholder, literal, function call or parenthesised expression)
+ */
+function operandStart(sql, end) {
+  let i = end - 1;
+  while (i >= 0 && /\s/.test(sql[i])) i--;
+  if (sql[i] === LITERAL_MARK) return sql.lastIndexOf(LITERAL_MARK, i - 1);
+  if (sql[i] === ')') i = matchingOpen(sql, i) - 1;
+  while (i >= 0 && /[\w.$]/.test(sql[i])) i--;
+  return i + 1;
+}
+
+/**
+ * End index (exclusive) of the operand that starts at or after `start`
+ */
+function operandEnd(sql, start) {
+  let i = start;
+  while (i < sql.length && /\s/.test(sql[i])) i++;
+  if (sql[i] === LITERAL_MARK) return sql.indexOf(LITERAL_MARK, i + 1) + 1;
+  if (sql[i] === '(') return matchingClose(sql, i) + 1;
+  while (i < sql.length && /[\w.$]/.test(sql[i])) i++;
+  if (sql[i] === '(') return matchingClose(sql, i) + 1;
+  return i;
+}
+
+/**
+ * Split "a - b" at its top-level minus, or null when there is none
+ */
+function splitDifference(expr) {
+  let depth = 0;
+  for (let i = 1; i < expr.length; i++) {
+    if (expr[i] === '(') depth++;
+    else if (expr[i] === ')') depth--;
+    else if (expr[i] === '-' && depth === 0 && /[\w)\u0000]\s*$/.test(expr.slice(0, i))) {
+      return [expr.slice(0, i).trim(), expr.slice(i + 1).trim()];
+    }
+  }
+  return null;
+}
+
+// ============================================
+// Rewrites
+// ============================================
+
+function rewriteCasts(sql) {
+  const CAST = /^::\s*([a-z_]+(?:\s+precision|\s+varying|\s+with(?:out)?\s+time\s+zone)?)(\s*\(\s*\d+(?:\s*,\s*\d+)?\s*\))?(\s*\[\])?/i;
+  let idx = sql.indexOf('::');
+  while (idx !== -1) {
+    const m = CAST.exec(sql.slice(idx));
+    if (!m) { idx = sql.indexOf('::', idx + 2); continue; }
+    const start = operandStart(sql, idx);
+    const operand = sql.slice(start, idx).trim();
+    const type = m[1].toLowerCase().replace(/\s+/g, ' ');
+    let replacement = operand;
+    if (!m[3]) {
+      if (/^(numeric|decimal|real|float|float4|float8|double precision|money)$/.test(type)) replacement = `CAST(${operand} AS REAL)`;
+      else if (/^(int|int2|int4|int8|integer|smallint|bigint)$/.test(type)) replacement = `CAST(${operand} AS INTEGER)`;
+      else if (/^(text|varchar|character varying|char|character|uuid|citext)$/.test(type)) replacement = `CAST(${operand} AS TEXT)`;
+      else if (type === 'date') replacement = `date(${operand})`;
+    }
+    sql = sql.slice(0, start) + replacement + sql.slice(idx + m[0].length);
+    idx = sql.indexOf('::', start + replacement.length);
+  }
+  return sql;
+}
+
+function rewriteIntervals(sql, literals) {
+  const INTERVAL = /([+-])\s*INTERVAL\s*(?=\u0000)/i;
+  let m;
+  while ((m = INTERVAL.exec(sql))) {
+    const opIndex = m.index;
+    const start = operandStart(sql, opIndex);
+    const base = sql.slice(start, opIndex).trim();
+    const literalStart = opIndex + m[0].length;
+    const literalEnd = sql.indexOf(LITERAL_MARK, literalStart + 1) + 1;
+    const parts = /^\s*(-?\d+(?:\.\d+)?)\s*([a-z]+)\s*$/i.exec(literalText(sql.slice(literalStart), literals) || '');
+    const unit = parts && INTERVAL_UNITS[parts[2].toLowerCase()];
+    if (!unit) throw new Error(`Unsupported INTERVAL in SQL: ${sql.slice(opIndex, literalEnd)}`);
+    const amount = Number(parts[1]) * (/^weeks?$/i.test(parts[2]) ? 7 : 1) * (m[1] === '-' ? -1 : 1);
+
+    let end = literalEnd;
+    let modifier;
+    const times = /^\s*\*\s*/.exec(sql.slice(literalEnd));
+    if (times) {
+      end = operandEnd(sql, literalEnd + times[0].length);
+      const factor = sql.slice(literalEnd + times[0].length, end).trim();
+      const format = unit === 'months' || unit === 'years' ? '%+d' : '%+f';
+      modifier = `printf('${format} ${unit}', ${amount} * (${factor}))`;
+    } else {
+      modifier = `'${amount >= 0 ? '+' : ''}${amount} ${unit}'`;
+    }
+    sql = `${sql.slice(0, start)}datetime(${base}, ${modifier})${sql.slice(end)}`;
+  }
+  return sql;
+}
+
+function rewriteExtract(sql) {
+  const EXTRACT = /\bEXTRACT\s*\(\s*([a-z]+)\s+FROM\s+/i;
+  let m;
+  while ((m = EXTRACT.exec(sql))) {
+    const open = sql.indexOf('(', m.index);
+    const close = matchingClose(sql, open);
+    const field = m[1].toLowerCase();
+    const expr = sql.slice(m.index + m[0].length, close).trim();
+    const diff = splitDifference(expr);
+    let replacement;
+    if (diff) {
+      const days = `(julianday(${diff[0]}) - julianday(${diff[1]}))`;
+      if (field === 'day' || field === 'days') replacement = `CAST(${days} AS INTEGER)`;
+      else if (field === 'epoch') replacement = `(${days} * 86400)`;
+      else if (field === 'hour') replacement = `(CAST(${days} * 24 AS INTEGER) % 24)`;
+      else if (field === 'minute') replacement = `(CAST(${days} * 1440 AS INTEGER) % 60)`;
+    } else if (field === 'epoch') {
+      replacement = `((julianday(${expr}) - 2440587.5) * 86400)`;
+    } else if (field === 'quarter') {
+      replacement = `((CAST(strftime('%m', ${expr}) AS INTEGER) + 2) / 3)`;
+    } else if (EXTRACT_FORMATS[field]) {
+      replacement = `CAST(strftime('${EXTRACT_FORMATS[field]}', ${expr}) AS INTEGER)`;
+    }
+    if (!replacement) throw new Error(`Unsupported EXTRACT field in SQL: ${field}`);
+    sql = sql.slice(0, m.index) + replacement + sql.slice(close + 1);
+  }
+  return sql;
+}
+
+function rewriteDateTrunc(sql, literals) {
+  const DATE_TRUNC = /\bDATE_TRUNC\s*\(\s*(?=\u0000)/i;
+  let m;
+  while ((m = DATE_TRUNC.exec(sql))) {
+    const open = sql.indexOf('(', m.index);
+    const close = matchingClose(sql, open);
+    const unit = (literalText(sql.slice(m.index + m[0].length), literals) || '').toLowerCase();
+    const comma = sql.indexOf(',', m.index + m[0].length);
+    const expr = sql.slice(comma + 1, close).trim();
+    let replacement;
+    if (unit === 'minute') replacement = `strftime('%Y-%m-%d %H:%M:00', ${expr})`;
+    else if (unit === 'hour') replacement = `strftime('%Y-%m-%d %H:00:00', ${expr})`;
+    else if (unit === 'day') replacement = `datetime(${expr}, 'start of day')`;
+    else if (unit === 'week') replacement = `datetime(${expr}, 'start of day', '-6 days', 'weekday 1')`;
+    else if (unit === 'month') replacement = `datetime(${expr}, 'start of month')`;
+    else if (unit === 'quarter') {
+      replacement = `datetime(${expr}, 'start of month', '-' || ((CAST(strftime('%m', ${expr}) AS INTEGER) - 1) % 3) || ' months')`;
+    } else if (unit === 'year') replacement = `datetime(${expr}, 'start of year')`;
+    if (!replacement) throw new Error(`Unsupported DATE_TRUNC unit in SQL: ${unit}`);
+    sql = sql.slice(0, m.index) + replacement + sql.slice(close + 1);
+  }
+  return sql;
+}
+
+function toSqliteValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'bigint') return Number(value);
+  // Same text form as CURRENT_TIMESTAMP, so stored times compare correctly
+  if (value instanceof Date) return value.toISOString().slice(0, 19).replace('T', ' ');
+  if (value instanceof Uint8Array) return value;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Translate a PostgreSQL statement and its parameters for SQLite
+ * @param {string} text - SQL with $n placeholders
+ * @param {Array} values - Parameters, $1 = values[0]
+ * @returns {Object} - { sql, params } with ? placeholders in order
+ */
+function translate(text, values = []) {
+  const literals = [];
+  let sql = maskLiterals(String(text), literals);
+
+  sql = rewriteCasts(sql);
+  sql = sql.replace(/\bNOW\s*\(\s*\)/gi, "datetime('now')");
+  sql = rewriteIntervals(sql, literals);
+  sql = rewriteExtract(sql);
+  sql = rewriteDateTrunc(sql, literals);
+  sql = sql
+    .replace(/\bILIKE\b/gi, 'LIKE')
+    .replace(/\bGREATEST\s*\(/gi, 'MAX(')
+    .replace(/\bLEAST\s*\(/gi, 'MIN(')
+    .replace(/\bSTRING_AGG\s*\(/gi, 'GROUP_CONCAT(')
+    .replace(/\bgen_random_uuid\s*\(\s*\)/gi, `(${db.SQL_UUID})`)
+    .replace(/\s+FOR\s+(UPDATE|SHARE)(\s+(SKIP\s+LOCKED|NOWAIT))?\b/gi, '');
+
+  const params = [];
+  sql = sql.replace(/=\s*ANY\s*\(\s*\$(\d+)\s*\)|\$(\d+)/g, (match, anyIndex, index) => {
+    if (anyIndex) {
+      const list = values[Number(anyIndex) - 1];
+      const items = Array.isArray(list) ? list : list == null ? [] : [list];
+      if (!items.length) return 'IN (NULL)';
+      items.forEach(item => params.push(toSqliteValue(item)));
+      return `IN (${items.map(() => '?').join(', ')})`;
+    }
+    params.push(toSqliteValue(values[Number(index) - 1]));
+    return '?';
+  });
+
+  sql = sql.replace(LITERAL_TOKEN, (match, n) => literals[Number(n)]);
+  return { sql, params };
+}
+
+// ============================================
+// Execution
+// ============================================
+
+// "COUNT(*)" -> "count", like PostgreSQL names an unaliased function column
+function pgRow(row) {
+  for (const key of Object.keys(row)) {
+    const m = /^([a-z_]\w*)\s*\([\s\S]*\)$/i.exec(key);
+    if (!m) continue;
+    const name = m[1].toLowerCase();
+    if (!(name in row)) row[name] = row[key];
+    delete row[key];
+  }
+  return row;
+}
+
+function pgError(err) {
+  if (!err.code) {
+    const hit = ERROR_CODES.find(([pattern]) => pattern.test(err.message));
+    if (hit) err.code = hit[1];
+  }
+  return err;
+}
+
+function execute(text, values) {
+  const { sql, params } = translate(text, values);
+  let rows;
+  try {
+    rows = db.query(sql, params).map(pgRow);
+  } catch (err) {
+    throw pgError(err);
+  }
+  let rowCount = rows.length;
+  if (WRITE_STATEMENT.test(sql) && !RETURNING_CLAUSE.test(sql)) {
+    rowCount = db.get('SELECT changes() AS n').n;
+  }
+  return { rows, rowCount };
+}
+
+// ============================================
+// Transactions
+// ============================================
+// sql.js has a single connection, so one client transaction runs at a time;
+// other queries wait for it to finish instead of joining it.
+
+let owner = null; // { client, done } while a transaction is open
+let idle = Promise.resolve();
+
+async function waitForTurn(client) {
+  while (owner && owner.client !== client) await idle;
+}
+
+// Wait for the database write lock here rather than inside the synchronous write
+async function executeLocked(text, values) {
+  if (isReadOnly(text)) return execute(text, values);
+  const hold = await db.lockDb();
+  try {
+    return execute(text, values);
+  } finally {
+    db.releaseLock(hold);
+  }
+}
+
+function transactionCommand(text) {
+  const m = /^\s*(BEGIN|START\s+TRANSACTION|COMMIT|END|ROLLBACK|ABORT)\s*(TRANSACTION|WORK)?\s*;?\s*$/i.exec(text);
+  if (!m) return null;
+  const word = m[1].toUpperCase();
+  if (word === 'BEGIN' || word.startsWith('START')) return 'begin';
+  return word === 'COMMIT' || word === 'END' ? 'commit' : 'rollback';
+}
+
+function finishTransaction(client, commit) {
+  if (!owner || owner.client !== client) return;
+  const { done } = owner;
+  try {
+    if (commit) db.commitTransaction();
+    else db.rollbackTransaction();
+  } finally {
+    owner = null;
+    done();
+  }
+}
+
+/**
+ * Run one statement outside any transaction
+ * @param {string} text - SQL with $n placeholders
+ * @param {Array} values - Parameters
+ * @returns {Object} - { rows, rowCount }
+ */
+async function query(text, values = []) {
+  if (DIALECT === 'postgres') return require('@vruksha/platform/db/postgres').query(text, values);
+  await waitForTurn(null);
+  return executeLocked(text, values);
+}
+
+/**
+ * Check out a client for BEGIN ... COMMIT / ROLLBACK
+ * @returns {Object} - { query(text, values), release() }
+ */
+async function getClient() {
+  if (DIALECT === 'postgres') return require('@vruksha/platform/db/postgres').getClient();
+
+  const client = {
+    async query(text, values = []) {
+      const command = transactionCommand(text);
+      if (command === 'begin') {
+        // Another client may begin while this one waits for the lock
+        let hold;
+        do {
+          if (hold) db.releaseLock(hold);
+          await waitForTurn(client);
+          if (owner) throw new Error('A transaction is already open on this client');
+          hold = await db.lockDb();
+        } while (owner);
+        let done;
+        idle = new Promise(resolve => { done = resolve; });
+        owner = { client, done };
+        try {
+          db.beginTransaction();
+        } catch (err) {
+          owner = null;
+          done();
+          throw err;
+        } finally {
+          // The open transaction keeps the lock from here
+          db.releaseLock(hold);
+        }
+        return { rows: [], rowCount: 0 };
+      }
+      if (command) {
+        finishTransaction(client, command === 'commit');
+        return { rows: [], rowCount: 0 };
+      }
+      await waitForTurn(client);
+      return executeLocked(text, values);
+    },
+    // Anything left open (an early return or a throw) is rolled back
+    release() {
+      finishTransaction(client, false);
+    }
+  };
+  return client;
+}
+
+module.exports = {
+  query,
+  getClient,
+  translate,
+  // Constants
+  DIALECT
+};
@@ -0,0 +1,504 @@
+/**
+ * Sync Engine - Lite Version
+ * Conflict-aware replication between lite installations.
+ *
+ * Every change carries a hybrid logical clock (HLC) timestamp and the row's
+ * version vector ({ node_id: counter }). A change that already includes
+ * everything this node has seen of the row is applied as is. Concurrent
+ * changes are merged by the table's policy:
+ *   lww      - the later HLC wins, column by column
+ *   additive - counters (e.g. stock quantity) add up the deltas from both
+ *              sides, other columns are last-writer-wins
+ *   review   - differing columns go to the conflict queue for a person
+ * Only tables in sync_policies are replicated. db.js captures their writes
+ * into sync_log; this module stamps them with HLC and version vectors.
+ */
+
+const { query, run, get, transaction, installChangeCapture, withoutCapture, logChange } = require('./db');
+const { v4: uuidv4 } = require('uuid');
+
+// ============================================
+// Constants
+// ============================================
+
+const CONFLICT_POLICIES = ['lww', 'additive', 'review'];
+
+// Bookkeeping columns that differ between nodes without being a real disagreement
+const IGNORED_CONFLICT_COLUMNS = ['created_at', 'updated_at'];
+
+const COLUMN_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Errors that go away on a retry (a busy lock, I/O); SQL errors from sql.js carry no code
+const TRANSIENT_ERROR = /^(SQLITE_BUSY|SQLITE_LOCKED|E[A-Z]+)$/;
+
+// ============================================
+// Node identity and hybrid logical clock
+// ============================================
+
+function getState(key) {
+  const row = get('SELECT value FROM sync_state WHERE key = ?', [key]);
+  return row ? row.value : null;
+}
+
+function setState(key, value) {
+  run(`INSERT INTO sync_state (key, value, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+    [key, value, new Date().toISOString()]);
+}
+
+let nodeId = null;
+
+function getNodeId() {
+  if (nodeId) return nodeId;
+  nodeId = getState('node_id');
+  if (!nodeId) {
+    nodeId = process.env.SYNC_NODE_ID || uuidv4();
+    setState('node_id', nodeId);
+  }
+  return nodeId;
+}
+
+// HLC strings sort in time order: 15-digit wall clock ms, 5-digit counter, node id
+function formatHlc(ms, counter, node) {
+  return `${String(ms).padStart(15, '0')}:${String(counter).padStart(5, '0')}:${node}`;
+}
+
+function parseHlc(hlc) {
+  const [ms, counter, ...node] = String(hlc || '').split(':');
+  return { ms: parseInt(ms, 10) || 0, counter: parseInt(counter, 10) || 0, node: node.join(':') };
+}
+
+let clock = null;
+
+function loadClock() {
+  if (!clock) clock = parseHlc(getState('hlc'));
+  return clock;
+}
+
+/**
+ * Next timestamp for a local event; never goes backwards, even if the wall clock does
+ * @param {number} [at] - When the event happened, in ms; defaults to now
+ * @returns {string}
+ */
+function hlcNow(at = Date.now()) {
+  const last = loadClock();
+  clock = at > last.ms ? { ms: at, counter: 0 } : { ms: last.ms, counter: last.counter + 1 };
+  const hlc = formatHlc(clock.ms, clock.counter, getNodeId());
+  setState('hlc', hlc);
+  return hlc;
+}
+
+/**
+ * Move the clock past a timestamp received from another node
+ * @returns {string}
+ */
+function hlcReceive(remoteHlc) {
+  const last = loadClock();
+  const remote = parseHlc(remoteHlc);
+  const now = Date.now();
+  const ms = Math.max(now, last.ms, remote.ms);
+  let counter = 0;
+  if (ms === last.ms && ms === remote.ms) counter = Math.max(last.counter, remote.counter) + 1;
+  else if (ms === last.ms) counter = last.counter + 1;
+  else if (ms === remote.ms) counter = remote.counter + 1;
+  clock = { ms, counter };
+  const hlc = formatHlc(ms, counter, getNodeId());
+  setState('hlc', hlc);
+  return hlc;
+}
+
+// ============================================
+// Version vectors
+// ============================================
+
+/**
+ * Compare two version vectors
+ * @returns {string} - 'equal' | 'after' (a has seen everything in b) | 'before' | 'concurrent'
+ */
+function compareVersionVectors(a = {}, b = {}) {
+  let aAhead = false, bAhead = false;
+  for (const node of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const x = a[node] || 0, y = b[node] || 0;
+    if (x > y) aAhead = true;
+    if (y > x) bAhead = true;
+  }
+  if (aAhead && bAhead) return 'concurrent';
+  if (aAhead) return 'after';
+  if (bAhead) return 'before';
+  return 'equal';
+}
+
+function mergeVersionVectors(a = {}, b = {}) {
+  const merged = { ...a };
+  for (const [node, counter] of Object.entries(b)) merged[node] = Math.max(merged[node] || 0, counter);
+  return merged;
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try { return JSON.parse(value); } catch (e) { return fallback; }
+}
+
+function rowVersion(tableName, recordId) {
+  const row = get('SELECT * FROM sync_row_versions WHERE table_name = ? AND record_id = ?', [tableName, recordId]);
+  return row
+    ? { version_vector: parseJson(row.version_vector, {}), hlc: row.hlc, node_id: row.node_id, deleted: !!row.deleted }
+    : { version_vector: {}, hlc: null, node_id: null, deleted: false };
+}
+
+function saveRowVersion(tableName, recordId, versionVector, hlc, node, deleted) {
+  run(`INSERT INTO sync_row_versions (table_name, record_id, version_vector, hlc, node_id, deleted, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(table_name, record_id) DO UPDATE SET version_vector = excluded.version_vector, hlc = excluded.hlc,
+         node_id = excluded.node_id, deleted = excluded.deleted, updated_at = excluded.updated_at`,
+    [tableName, recordId, JSON.stringify(versionVector), hlc, node, deleted ? 1 : 0, new Date().toISOString()]);
+}
+
+// ============================================
+// Table policies (the allow-list)
+// ============================================
+
+function tableExists(table) {
+  return !!get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+}
+
+const columnCache = new Map();
+
+function tableColumns(table) {
+  if (!columnCache.has(table)) columnCache.set(table, query(`PRAGMA table_info(${table})`).map(c => c.name));
+  return columnCache.get(table);
+}
+
+function getPolicies() {
+  return query('SELECT * FROM sync_policies ORDER BY table_name')
+    .map(p => ({ ...p, additive_columns: parseJson(p.additive_columns, []), enabled: !!p.enabled }));
+}
+
+/**
+ * Policy for a replicated table, or null when the table is not on the allow-list
+ */
+function getPolicy(table) {
+  const row = get('SELECT * FROM sync_policies WHERE table_name = ? AND enabled = 1', [table]);
+  return row ? { table_name: row.table_name, policy: row.policy, additive_columns: parseJson(row.additive_columns, []) } : null;
+}
+
+/**
+ * Add a table to the allow-list or change how its conflicts merge
+ * @param {string} table - Table name; must exist and have an id column
+ * @param {Object} config - { policy, additive_columns, enabled }
+ */
+function setPolicy(table, { policy, additive_columns, enabled } = {}) {
+  if (!COLUMN_NAME.test(table || '') || !tableExists(table)) throw new Error(`Unknown table ${table}`);
+  if (table.startsWith('sync_')) throw new Error('Sync bookkeeping tables cannot be replicated');
+  const columns = tableColumns(table);
+  if (!columns.includes('id')) throw new Error(`${table} has no id column`);
+
+  const current = get('SELECT * FROM sync_policies WHERE table_name = ?', [table]);
+  const nextPolicy = policy || current?.policy || 'lww';
+  if (!CONFLICT_POLICIES.includes(nextPolicy)) throw new Error(`policy must be one of ${CONFLICT_POLICIES.join(', ')}`);
+  const additive = additive_columns !== undefined ? additive_columns : parseJson(current?.additive_columns, []);
+  if (!Array.isArray(additive)) throw new Error('additive_columns must be an array');
+  const unknown = additive.filter(c => !columns.includes(c));
+  if (unknown.length) throw new Error(`${table} has no column ${unknown.join(', ')}`);
+  const isEnabled = enabled !== undefined ? !!enabled : (current ? !!current.enabled : true);
+
+  run(`INSERT INTO sync_policies (table_name, policy, additive_columns, enabled, updated_at) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(table_name) DO UPDATE SET policy = excluded.policy, additive_columns = excluded.additive_columns,
+         enabled = excluded.enabled, updated_at = excluded.updated_at`,
+    [table, nextPolicy, JSON.stringify(additive), isEnabled ? 1 : 0, new Date().toISOString()]);
+  installChangeCapture();
+  return getPolicies().find(p => p.table_name === table);
+}
+
+// ============================================
+// Local changes (outgoing)
+// ============================================
+
+/**
+ * Give captured changes their HLC, version vector and deltas, in capture order.
+ * Runs before anything reads or merges against the log.
+ * @returns {number} - Changes stamped
+ */
+function stampCaptured() {
+  const pending = query('SELECT * FROM sync_log WHERE hlc IS NULL AND seq IS NOT NULL ORDER BY seq');
+  if (!pending.length) return 0;
+  const node = getNodeId();
+  for (const change of pending) {
+    const policy = getPolicy(change.table_name);
+    const data = parseJson(change.data, null);
+    const before = parseJson(change.before_data, null);
+    const version = rowVersion(change.table_name, change.record_id);
+    const versionVector = { ...version.version_vector, [node]: (version.version_vector[node] || 0) + 1 };
+    const hlc = hlcNow(Date.parse(change.captured_at) || Date.now());
+
+    let deltas = null;
+    if (change.action !== 'delete' && data && policy && policy.additive_columns.length) {
+      deltas = {};
+      for (const column of policy.additive_columns) {
+        if (data[column] === undefined) continue;
+        const previous = before && before[column] !== undefined ? Number(before[column]) || 0 : 0;
+        deltas[column] = (Number(data[column]) || 0) - previous;
+      }
+    }
+
+    run('UPDATE sync_log SET hlc = ?, node_id = ?, version_vector = ?, deltas = ? WHERE id = ?',
+      [hlc, node, JSON.stringify(versionVector), deltas ? JSON.stringify(deltas) : null, change.id]);
+    saveRowVersion(change.table_name, change.record_id, versionVector, hlc, node, change.action === 'delete');
+  }
+  return pending.length;
+}
+
+/**
+ * Changes made on this node after an HLC, oldest first
+ */
+function changesSince(sinceHlc, limit = 500) {
+  stampCaptured();
+  return query(`SELECT * FROM sync_log WHERE node_id = ? AND hlc > ? ORDER BY hlc LIMIT ?`,
+    [getNodeId(), sinceHlc || '', parseInt(limit) || 500])
+    .map(c => ({
+      id: c.id, table_name: c.table_name, record_id: c.record_id, action: c.action,
+      seq: c.seq, data: parseJson(c.data, null), deltas: parseJson(c.deltas, null),
+      hlc: c.hlc, node_id: c.node_id, version_vector: parseJson(c.version_vector, {})
+    }));
+}
+
+// ============================================
+// Remote changes (incoming)
+// ============================================
+
+function cleanData(table, data) {
+  const columns = tableColumns(table);
+  const clean = {};
+  for (const [key, value] of Object.entries(data || {})) {
+    if (!COLUMN_NAME.test(key) || !columns.includes(key)) continue;
+    clean[key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+  }
+  return clean;
+}
+
+function writeRow(table, recordId, data, exists) {
+  const columns = Object.keys(data).filter(c => c !== 'id');
+  if (exists) {
+    if (!columns.length) return;
+    run(`UPDATE ${table} SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(c => data[c]), recordId]);
+  } else {
+    run(`INSERT INTO ${table} (id${columns.map(c => `, ${c}`).join('')}) VALUES (?${columns.map(() => ', ?').join('')})`,
+      [recordId, ...columns.map(c => data[c])]);
+  }
+}
+
+function differingColumns(local, remote, skip) {
+  if (!local) return [];
+  return Object.keys(remote).filter(c => c !== 'id' && !skip.includes(c) && !IGNORED_CONFLICT_COLUMNS.includes(c)
+    && String(local[c] ?? '') !== String(remote[c] ?? ''));
+}
+
+function queueConflict(change, local, localVersion) {
+  const id = uuidv4();
+  run(`INSERT INTO sync_conflicts (id, table_name, record_id, change_id, remote_node_id, remote_action, remote_data, remote_hlc, local_data, local_hlc)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, change.table_name, change.record_id, change.id, change.node_id, change.action,
+      change.data ? JSON.stringify(change.data) : null, change.hlc, local ? JSON.stringify(local) : null, localVersion.hlc]);
+  return id;
+}
+
+/**
+ * Merge one incoming change into the local row according to the table policy
+ * @returns {Object} - { outcome: applied | merged | conflict | skipped | rejected, reason?, conflict_id? }
+ */
+function applyChange(raw) {
+  const change = {
+    ...raw,
+    data: parseJson(raw.data, null),
+    deltas: parseJson(raw.deltas, null),
+    version_vector: parseJson(raw.version_vector, null)
+  };
+  const { table_name, record_id, action } = change;
+
+  const policy = getPolicy(table_name);
+  if (!policy) return { outcome: 'rejected', reason: `Table ${table_name} is not replicated` };
+  if (!record_id || !['insert', 'update', 'delete'].includes(action)) return { outcome: 'rejected', reason: 'record_id and a valid action are required' };
+  if (!change.id || !change.hlc || !change.node_id || !change.version_vector) {
+    return { outcome: 'rejected', reason: 'Change is missing id, hlc, node_id or version_vector' };
+  }
+  if (change.node_id === getNodeId()) return { outcome: 'skipped', reason: 'Own change' };
+  if (get('SELECT change_id FROM sync_applied_changes WHERE change_id = ?', [change.id])) return { outcome: 'skipped', reason: 'Already applied' };
+
+  hlcReceive(change.hlc);
+  const local = get(`SELECT * FROM ${table_name} WHERE id = ?`, [record_id]);
+  const localVersion = rowVersion(table_name, record_id);
+  const order = compareVersionVectors(change.version_vector, localVersion.version_vector);
+  const data = cleanData(table_name, change.data);
+  const mergedVector = mergeVersionVectors(localVersion.version_vector, change.version_vector);
+  const remoteWins = !localVersion.hlc || change.hlc > localVersion.hlc;
+  const newestHlc = remoteWins ? change.hlc : localVersion.hlc;
+  const newestNode = remoteWins ? change.node_id : localVersion.node_id;
+
+  // Writes from another node are not captured again, or they would echo back
+  let result;
+  if (order === 'before' || order === 'equal') {
+    result = { outcome: 'skipped', reason: 'Already seen' };
+  } else if (order === 'after') {
+    // Remote has seen every local edit of this row, so its image is the merged state
+    withoutCapture(() => {
+      if (action === 'delete') { if (local) run(`DELETE FROM ${table_name} WHERE id = ?`, [record_id]); }
+      else writeRow(table_name, record_id, data, !!local);
+    });
+    saveRowVersion(table_name, record_id, mergedVector, change.hlc, change.node_id, action === 'delete');
+    result = { outcome: 'applied' };
+  } else {
+    result = withoutCapture(() => mergeConcurrent(change, policy, data, local, localVersion));
+    saveRowVersion(table_name, record_id, mergedVector, newestHlc, newestNode, result.deleted ?? localVersion.deleted);
+    delete result.deleted;
+  }
+
+  run('INSERT INTO sync_applied_changes (change_id, node_id, table_name, record_id, outcome) VALUES (?, ?, ?, ?, ?)',
+    [change.id, change.node_id, table_name, record_id, result.outcome]);
+  return result;
+}
+
+// Both sides edited the row without seeing each other's edit
+function mergeConcurrent(change, policy, data, local, localVersion) {
+  const { table_name, record_id, action } = change;
+  const remoteWins = !localVersion.hlc || change.hlc > localVersion.hlc;
+
+  if (action === 'delete' || !local) {
+    if (policy.policy === 'review' && (action === 'delete' ? !!local : localVersion.deleted)) {
+      return { outcome: 'conflict', conflict_id: queueConflict(change, local, localVersion) };
+    }
+    if (!remoteWins) return { outcome: 'merged', reason: 'Local version is newer' };
+    if (action === 'delete') { if (local) run(`DELETE FROM ${table_name} WHERE id = ?`, [record_id]); }
+    else writeRow(table_name, record_id, data, false);
+    return { outcome: 'applied', deleted: action === 'delete' };
+  }
+
+  // Counters take the other side's delta on top of the local value
+  const additive = policy.additive_columns.filter(c => change.deltas && change.deltas[c] !== undefined);
+  const update = {};
+  for (const column of additive) update[column] = (Number(local[column]) || 0) + (Number(change.deltas[column]) || 0);
+
+  const others = Object.keys(data).filter(c => c !== 'id' && !additive.includes(c));
+  const differing = differingColumns(local, data, additive);
+  let conflictId = null;
+  if (policy.policy === 'review' && differing.length) {
+    conflictId = queueConflict(change, local, localVersion);
+  } else if (remoteWins) {
+    for (const column of others) update[column] = data[column];
+  }
+
+  writeRow(table_name, record_id, update, true);
+  if (conflictId) return { outcome: 'conflict', conflict_id: conflictId, columns: differing };
+  return { outcome: 'merged', additive: additive.length ? additive : undefined, winner: remoteWins ? 'remote' : 'local' };
+}
+
+/**
+ * Apply a batch of changes from a peer, oldest first. Each change is saved
+ * with its sync_applied_changes record or not at all. A transient error
+ * (e.g. SQLITE_BUSY) stops the batch there, so the change is retried rather
+ * than rejected; last_hlc is how far the batch got.
+ * @returns {Object} - { applied, merged, skipped, conflicts, rejected, results, last_hlc, stopped }
+ */
+function applyChanges(changes) {
+  // Local edits must be in the row versions before anything is compared against them
+  transaction(stampCaptured);
+  const summary = { applied: 0, merged: 0, skipped: 0, conflicts: 0, rejected: [], results: [], last_hlc: null, stopped: null };
+  const ordered = [...changes].sort((a, b) => String(a.hlc || '').localeCompare(String(b.hlc || '')));
+  for (const change of ordered) {
+    let result;
+    try {
+      result = transaction(() => applyChange(change));
+    } catch (err) {
+      if (TRANSIENT_ERROR.test(err.code || '')) {
+        summary.stopped = { id: change.id, hlc: change.hlc, reason: err.message };
+        break;
+      }
+      result = { outcome: 'rejected', reason: err.message };
+    }
+    summary.last_hlc = change.hlc;
+    if (result.outcome === 'applied') summary.applied++;
+    else if (result.outcome === 'merged') summary.merged++;
+    else if (result.outcome === 'skipped') summary.skipped++;
+    else if (result.outcome === 'conflict') summary.conflicts++;
+    else summary.rejected.push({ id: change.id, table_name: change.table_name, record_id: change.record_id, reason: result.reason });
+    summary.results.push({ id: change.id, table_name: change.table_name, record_id: change.record_id, ...result });
+  }
+  return summary;
+}
+
+// ============================================
+// Conflict review queue
+// ============================================
+
+function listConflicts({ status = 'open', table_name, limit = 100 } = {}) {
+  let sql = 'SELECT * FROM sync_conflicts WHERE 1=1';
+  const params = [];
+  if (status && status !== 'all') { sql += ' AND status = ?'; params.push(status); }
+  if (table_name) { sql += ' AND table_name = ?'; params.push(table_name); }
+  sql += ' ORDER BY created_at DESC LIMIT ?';
+  params.push(parseInt(limit) || 100);
+  return query(sql, params).map(c => ({ ...c, remote_data: parseJson(c.remote_data, null), local_data: parseJson(c.local_data, null) }));
+}
+
+/**
+ * Settle a queued conflict. The outcome is recorded as a new local change that
+ * has seen both sides, so every peer converges on it.
+ * @param {string} id - Conflict ID
+ * @param {Object} decision - { resolution: 'local' | 'remote' | 'custom', data, resolved_by }
+ */
+function resolveConflict(id, { resolution, data, resolved_by } = {}) {
+  const conflict = get('SELECT * FROM sync_conflicts WHERE id = ?', [id]);
+  if (!conflict) throw Object.assign(new Error('Conflict not found'), { status: 404 });
+  if (conflict.status !== 'open') throw Object.assign(new Error(`Conflict already ${conflict.status}`), { status: 400 });
+  if (!['local', 'remote', 'custom'].includes(resolution)) throw Object.assign(new Error('resolution must be local, remote or custom'), { status: 400 });
+  if (resolution === 'custom' && (!data || typeof data !== 'object')) throw Object.assign(new Error('data required for a custom resolution'), { status: 400 });
+
+  const table = conflict.table_name;
+  const policy = getPolicy(table);
+  if (!policy) throw Object.assign(new Error(`Table ${table} is no longer replicated`), { status: 400 });
+  const before = get(`SELECT * FROM ${table} WHERE id = ?`, [conflict.record_id]);
+  const remoteDelete = conflict.remote_action === 'delete';
+
+  if (resolution === 'remote' && remoteDelete) {
+    withoutCapture(() => { if (before) run(`DELETE FROM ${table} WHERE id = ?`, [conflict.record_id]); });
+    logChange({ table_name: table, record_id: conflict.record_id, action: 'delete', data: null, before });
+  } else {
+    let chosen;
+    if (resolution === 'local') chosen = before || parseJson(conflict.local_data, null);
+    else if (resolution === 'remote') chosen = parseJson(conflict.remote_data, {});
+    else chosen = { ...(before || {}), ...data };
+    if (!chosen) throw Object.assign(new Error('Nothing left to keep: the row was deleted'), { status: 400 });
+    // Counters were already merged when the conflict was queued
+    const clean = cleanData(table, chosen);
+    for (const column of policy.additive_columns) if (before && before[column] !== undefined) clean[column] = before[column];
+    withoutCapture(() => writeRow(table, conflict.record_id, clean, !!before));
+    const after = get(`SELECT * FROM ${table} WHERE id = ?`, [conflict.record_id]);
+    // Logged even when nothing changed here, so peers still take the decision
+    logChange({ table_name: table, record_id: conflict.record_id, action: before ? 'update' : 'insert', data: after, before: after });
+  }
+  stampCaptured();
+
+  run('UPDATE sync_conflicts SET status = ?, resolution = ?, resolved_by = ?, resolved_at = ? WHERE id = ?',
+    ['resolved', resolution, resolved_by || null, new Date().toISOString(), id]);
+  return get('SELECT * FROM sync_conflicts WHERE id = ?', [id]);
+}
+
+module.exports = {
+  getNodeId,
+  hlcNow,
+  hlcReceive,
+  compareVersionVectors,
+  mergeVersionVectors,
+  getPolicies,
+  getPolicy,
+  setPolicy,
+  stampCaptured,
+  changesSince,
+  applyChange,
+  applyChanges,
+  listConflicts,
+  resolveConflict,
+  // Constants
+  CONFLICT_POLICIES,
+};
@@ -0,0 +1,209 @@
+/**
+ * Authentication tests - scrypt hashing, TOTP, lockout and the one-time
+ * demotion of self-assigned admins.
+ * Run: npm test (from lite/shared)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { execFileSync, spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory, so the shared database starts out empty
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-auth-'));
+process.env.HOME = home;
+
+const { initDb, query, run, get, saveDb, lockDb, releaseLock } = require('../db');
+const auth = require('../auth');
+
+test.before(async () => {
+  await initDb();
+  saveDb();
+  releaseLock();
+});
+
+test.after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+// RFC 6238 test secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// ============================================
+// Hashing
+// ============================================
+
+test('scrypt hashes are salted and verify only the right secret', () => {
+  const a = auth.hashSecret('correct horse');
+  const b = auth.hashSecret('correct horse');
+  assert.match(a, /^scrypt\$32768\$8\$1\$[^$]+\$[^$]+$/);
+  assert.notEqual(a, b, 'a fresh salt every time');
+  assert.deepEqual(auth.verifySecret('correct horse', a), { valid: true, needsRehash: false });
+  assert.equal(auth.verifySecret('wrong horse', a).valid, false);
+  assert.equal(auth.verifySecret('anything', null).valid, false);
+  assert.equal(auth.verifySecret('anything', 'not-a-hash').valid, false);
+});
+
+test('legacy SHA-256 and weaker scrypt hashes verify and ask to be rehashed', () => {
+  const legacy = crypto.createHash('sha256').update('old password').digest('hex');
+  assert.deepEqual(auth.verifySecret('old password', legacy), { valid: true, needsRehash: true });
+  assert.equal(auth.verifySecret('other', legacy).valid, false);
+
+  const salt = crypto.randomBytes(16);
+  const weak = crypto.scryptSync('pin1234', salt, 32, { N: 1024, r: 8, p: 1 });
+  const stored = ['scrypt', 1024, 8, 1, salt.toString('base64'), weak.toString('base64')].join('$');
+  assert.deepEqual(auth.verifySecret('pin1234', stored), { valid: true, needsRehash: true });
+});
+
+test('password and PIN rules', () => {
+  assert.ok(auth.passwordProblem('short'));
+  assert.equal(auth.passwordProblem('long enough'), null);
+  assert.ok(auth.pinProblem('12'));
+  assert.ok(auth.pinProblem('12ab'));
+  assert.equal(auth.pinProblem('4821'), null);
+});
+
+// ============================================
+// TOTP
+// ============================================
+
+test('TOTP codes match RFC 6238 and are good once', () => {
+  // RFC 6238 SHA-1 vectors, last six digits
+  assert.equal(auth.verifyTotp(RFC_SECRET, '287082', null, 59 * 1000), 1);
+  assert.equal(auth.verifyTotp(RFC_SECRET, '081804', null, 1111111109 * 1000), 37037036);
+  assert.equal(auth.verifyTotp(RFC_SECRET, '000000', null, 59 * 1000), null);
+
+  // One step of clock drift either way is accepted
+  assert.equal(auth.verifyTotp(RFC_SECRET, '081804', null, (1111111109 + 30) * 1000), 37037036);
+  assert.equal(auth.verifyTotp(RFC_SECRET, '081804', null, (1111111109 + 90) * 1000), null);
+  // A step already used cannot be used again
+  assert.equal(auth.verifyTotp(RFC_SECRET, '081804', 37037036, 1111111109 * 1000), null);
+});
+
+test('generated secrets round-trip through the otpauth URI', () => {
+  const secret = auth.generateTotpSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  const uri = new URL(auth.totpUri(secret, 'asha@example.com'));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.searchParams.get('secret'), secret);
+  assert.equal(uri.searchParams.get('digits'), '6');
+});
+
+// ============================================
+// Lockout
+// ============================================
+
+test('failed attempts lock the account, and clearing them unlocks it', async () => {
+  const hold = await lockDb();
+  try {
+    run("INSERT INTO users (id, username, password_hash) VALUES ('u-lock', 'locky', 'x')");
+    let until = null;
+    for (let i = 1; i <= auth.MAX_FAILED_ATTEMPTS; i++) {
+      const user = get("SELECT * FROM users WHERE id = 'u-lock'");
+      assert.equal(auth.lockedUntil(user), null);
+      until = auth.recordFailedAttempt(user);
+      assert.equal(until === null, i < auth.MAX_FAILED_ATTEMPTS, `attempt ${i}`);
+    }
+    const locked = get("SELECT * FROM users WHERE id = 'u-lock'");
+    assert.equal(auth.lockedUntil(locked), until);
+    const minutes = (new Date(until) - Date.now()) / 60000;
+    assert.ok(minutes > auth.LOCKOUT_MINUTES - 1 && minutes <= auth.LOCKOUT_MINUTES);
+
+    auth.clearFailedAttempts('u-lock');
+    assert.equal(auth.lockedUntil(get("SELECT * FROM users WHERE id = 'u-lock'")), null);
+  } finally {
+    saveDb();
+    releaseLock(hold);
+  }
+});
+
+// ============================================
+// Sessions
+// ============================================
+
+test('an authenticated read works while another process holds the write lock', async () => {
+  let hold = await lockDb();
+  let token;
+  try {
+    run("INSERT INTO users (id, username, password_hash, role) VALUES ('u-seen', 'seen', 'x', 'cashier')");
+    token = auth.createSession({ id: 'u-seen' }).token;
+    run("UPDATE sessions SET last_seen_at = '2020-01-01T00:00:00.000Z' WHERE user_id = 'u-seen'");
+  } finally {
+    saveDb();
+    releaseLock(hold);
+  }
+
+  // Another service takes the lock and keeps it until its stdin closes
+  const script = `
+    const { initDb, lockDb, releaseLock } = require(${JSON.stringify(path.join(__dirname, '..', 'db'))});
+    initDb().then(lockDb).then(hold => {
+      console.log('locked');
+      process.stdin.on('end', () => { releaseLock(hold); process.exit(0); }).resume();
+    });`;
+  const other = spawn(process.execPath, ['-e', script], { env: { ...process.env, HOME: home }, stdio: ['pipe', 'pipe', 'ignore'] });
+  try {
+    await new Promise((resolve, reject) => {
+      other.stdout.on('data', chunk => { if (String(chunk).includes('locked')) resolve(); });
+      other.on('exit', () => reject(new Error('the other process exited early')));
+    });
+
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    let nexted = false;
+    auth.authenticate(req, {}, () => { nexted = true; });
+    assert.ok(nexted);
+    assert.equal(req.user.id, 'u-seen');
+    assert.equal(get("SELECT last_seen_at FROM sessions WHERE user_id = 'u-seen'").last_seen_at, '2020-01-01T00:00:00.000Z',
+      'nothing is written while the lock is taken');
+  } finally {
+    other.stdin.end();
+  }
+
+  // Once the lock is free the background update goes through
+  for (let i = 0; ; i++) {
+    hold = await lockDb();
+    const { last_seen_at: seen } = get("SELECT last_seen_at FROM sessions WHERE user_id = 'u-seen'");
+    releaseLock(hold);
+    if (seen > '2020-01-01T00:00:00.000Z') break;
+    assert.ok(i < 100, 'last_seen_at was updated');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+});
+
+// ============================================
+// Legacy admins
+// ============================================
+
+test('self-assigned admins are demoted once, keeping the first account and confirmed names', async () => {
+  // Put the database back as it was before role_confirmed, with accounts registered then
+  const hold = await lockDb();
+  try {
+    run('DELETE FROM users');
+    run('ALTER TABLE users DROP COLUMN role_confirmed');
+    run(`INSERT INTO users (id, username, password_hash, role, created_at) VALUES
+      ('u1', 'founder', 'x', 'admin', '2025-01-01 09:00:00'),
+      ('u2', 'intruder', 'x', 'admin', '2025-02-01 09:00:00'),
+      ('u3', 'partner', 'x', 'owner', '2025-03-01 09:00:00'),
+      ('u4', 'cashier', 'x', 'cashier', '2025-04-01 09:00:00')`);
+  } finally {
+    saveDb();
+    releaseLock(hold);
+  }
+
+  // The next service to start runs the migration
+  const script = `require(${JSON.stringify(path.join(__dirname, '..', 'db'))}).initDb().then(() => process.exit(0))`;
+  execFileSync(process.execPath, ['-e', script], {
+    env: { ...process.env, HOME: home, AUTH_CONFIRMED_ADMINS: 'partner, someone-else' }, stdio: 'ignore', timeout: 30000
+  });
+
+  releaseLock(await lockDb());
+  const roles = Object.fromEntries(query('SELECT username, role, role_confirmed FROM users').map(u => [u.username, [u.role, u.role_confirmed]]));
+  assert.deepEqual(roles, {
+    founder: ['admin', 1],
+    intruder: ['user', 0],
+    partner: ['owner', 1],
+    cashier: ['cashier', 0]
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Demand forecast tests - the models, backtest selection, calendar effects
+ * and prediction intervals, on synthetic series with known answers.
+ * Run: npm test (from lite/shared)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// db.js is only loaded for the product queries, but keep it off the real data directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-forecast-'));
+process.env.HOME = home;
+
+const { forecastSeries, backtest, fitModel, calendarEffects, normalQuantile, METHODS, SEASON_LENGTH, MIN_HISTORY_DAYS } = require('../demandForecast');
+
+test.after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+const WEEK = [4, 5, 5, 6, 8, 14, 12]; // Busy weekends
+// A small repeatable wobble so no model fits exactly
+const noise = i => [0.4, -0.3, 0.1, -0.2, 0.3, -0.4, 0.2, 0, -0.1, 0.3, -0.3][i % 11];
+
+function series(days, qty, start = '2026-01-01') {
+  return Array.from({ length: days }, (_, i) => {
+    const d = new Date(`${start}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + i);
+    return { date: d.toISOString().slice(0, 10), qty: qty(i) };
+  });
+}
+
+const close = (actual, expected, tolerance, label) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} is not within ${tolerance} of ${expected}`);
+
+// ============================================
+// Building blocks
+// ============================================
+
+test('normalQuantile matches standard normal tables', () => {
+  close(normalQuantile(0.5), 0, 1e-9, 'median');
+  close(normalQuantile(0.975), 1.959964, 1e-5, '95% two-sided');
+  close(normalQuantile(0.995), 2.575829, 1e-5, '99% two-sided');
+  close(normalQuantile(0.01), -2.326348, 1e-5, 'lower tail');
+  close(normalQuantile(0.2) + normalQuantile(0.8), 0, 1e-9, 'symmetry');
+  assert.equal(normalQuantile(0), -Infinity);
+  assert.equal(normalQuantile(1), Infinity);
+});
+
+test('the level models fit steady demand exactly', () => {
+  const y = Array(42).fill(10);
+  for (const method of ['ses', 'holt_winters']) {
+    const model = fitModel(method, y);
+    assert.equal(model.method, method);
+    close(model.sigma, 0, 1e-9, `${method} sigma`);
+    model.forecast(5).forEach(v => close(v, 10, 1e-6, `${method} forecast`));
+  }
+});
+
+test('Holt-Winters carries the weekly pattern into the forecast', () => {
+  const y = series(56, i => WEEK[i % SEASON_LENGTH] + noise(i)).map(d => d.qty);
+  const model = fitModel('holt_winters', y);
+  // 56 days end on a full week, so the forecast starts again at the first weekday
+  model.forecast(SEASON_LENGTH).forEach((v, i) => close(v, WEEK[i], 1, `day ${i}`));
+  assert.ok(model.sigma < fitModel('ses', y).sigma / 2, 'beats a flat level in sample');
+});
+
+test('Croston forecasts the average rate of intermittent demand', () => {
+  // 6 units every sixth day is a rate of 1 a day
+  const y = Array.from({ length: 60 }, (_, i) => (i % 6 === 5 ? 6 : 0));
+  const model = fitModel('croston', y);
+  model.forecast(3).forEach(v => close(v, 1 - model.params.alpha / 2, 1e-6, 'SBA-corrected rate'));
+});
+
+// ============================================
+// Backtest
+// ============================================
+
+test('the backtest prefers the simplest method unless another is clearly better', () => {
+  const flat = backtest(Array(60).fill(7));
+  assert.equal(flat.best, 'ses', 'Holt-Winters ties with it on steady demand');
+  assert.deepEqual(flat.results.map(r => r.method), METHODS);
+
+  const seasonal = backtest(series(84, i => WEEK[i % SEASON_LENGTH] + noise(i)).map(d => d.qty));
+  assert.equal(seasonal.best, 'holt_winters');
+  assert.equal(seasonal.holdout_days, 21);
+  const byMethod = Object.fromEntries(seasonal.results.map(r => [r.method, r]));
+  assert.ok(byMethod.holt_winters.rmsse < byMethod.ses.rmsse / 2);
+
+  assert.equal(backtest(Array(MIN_HISTORY_DAYS).fill(3)), null, 'too short to hold out a week');
+});
+
+// ============================================
+// Calendar effects
+// ============================================
+
+test('event uplift is learned from history unless configured', () => {
+  const history = series(90, i => (i >= 40 && i < 43 ? 30 : 10));
+  const festival = { id: 'e1', name: 'Festival', start_date: history[40].date, end_date: history[42].date, recurring: 0, uplift: null };
+  const sale = { id: 'e2', name: 'Sale', start_date: '2026-12-20', end_date: '2026-12-24', recurring: 0, uplift: 1.5 };
+  const [learned, configured] = calendarEffects(history, [festival, sale]);
+  assert.deepEqual({ uplift: learned.uplift, source: learned.source, occurrences: learned.occurrences }, { uplift: 3, source: 'learned', occurrences: 3 });
+  assert.deepEqual({ uplift: configured.uplift, source: configured.source, occurrences: configured.occurrences }, { uplift: 1.5, source: 'configured', occurrences: 0 });
+});
+
+// ============================================
+// Forecast
+// ============================================
+
+test('short or empty histories are not forecast', () => {
+  let result = forecastSeries(series(MIN_HISTORY_DAYS - 1, () => 5), { horizon: 7 });
+  assert.equal(result.reliable, false);
+  assert.match(result.message, /Insufficient data/);
+  assert.equal(result.points.length, 7);
+
+  result = forecastSeries(series(30, () => 0), { horizon: 7 });
+  assert.equal(result.reliable, false);
+  assert.equal(result.message, 'No sales history');
+  assert.equal(result.total.forecast, 0);
+});
+
+test('a seasonal forecast picks its method, totals periods and widens its interval', () => {
+  const history = series(84, i => WEEK[i % SEASON_LENGTH] + noise(i));
+  const result = forecastSeries(history, { horizon: 28, periods: [7, 14], bucket_days: 7 });
+  assert.equal(result.reliable, true);
+  assert.equal(result.method, 'holt_winters');
+  assert.equal(result.points[0].date, '2026-03-26', 'starts the day after the history');
+
+  assert.deepEqual(result.totals.map(t => t.days), [7, 14, 28]);
+  close(result.totals[0].forecast, WEEK.reduce((s, v) => s + v, 0), 4, 'first week');
+  assert.equal(result.buckets.length, 4);
+  close(result.buckets.reduce((s, b) => s + b.forecast, 0), result.total.forecast, 0.05, 'buckets add up to the total');
+
+  const width = p => p.upper - p.lower;
+  assert.ok(width(result.points[27]) > width(result.points[0]), 'uncertainty grows with the horizon');
+  for (const p of result.points) assert.ok(p.lower <= p.forecast && p.forecast <= p.upper);
+  assert.ok(result.total.sd > result.totals[0].sd);
+
+  const narrower = forecastSeries(history, { horizon: 28, level: 0.8 });
+  assert.ok(width(narrower.points[0]) < width(result.points[0]), 'a lower level gives a narrower band');
+});
+
+test('a requested method is used and calendar uplift lands on the event days', () => {
+  const history = series(60, i => 10 + noise(i));
+  const event = { id: 'e1', name: 'Holiday', start_date: '2026-03-05', end_date: '2026-03-06', recurring: 0, uplift: 2 };
+  const result = forecastSeries(history, { horizon: 7, method: 'ses', events: [event] });
+  assert.equal(result.method, 'ses');
+  const byDate = Object.fromEntries(result.points.map(p => [p.date, p]));
+  assert.equal(byDate['2026-03-05'].event, 'Holiday');
+  close(byDate['2026-03-05'].forecast, 2 * byDate['2026-03-04'].forecast, 0.02, 'uplift applied');
+  assert.equal(byDate['2026-03-07'].event, undefined);
+  assert.deepEqual(result.calendar.map(e => e.name), ['Holiday']);
+
+  const unknown = forecastSeries(history, { horizon: 7, method: 'magic' });
+  assert.ok(METHODS.includes(unknown.method), 'unknown methods fall back to backtest selection');
+});
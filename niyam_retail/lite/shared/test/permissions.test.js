@@ -0,0 +1,111 @@
+/**
+ * Permission tests - store scoping and manager approvals, checked against
+ * the store of the record a request acts on rather than the store it names.
+ * Run: npm test (from lite/shared)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory, so the shared database starts out empty
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-permissions-'));
+process.env.HOME = home;
+delete process.env.SKIP_AUTH;
+
+const { initDb, run, get, saveDb, releaseLock } = require('../db');
+const permissions = require('../permissions');
+
+const users = {
+  manager: { id: 'u-manager', role: 'store_manager' },
+  cashier: { id: 'u-cashier', role: 'cashier' },
+  floater: { id: 'u-floater', role: 'cashier' }
+};
+
+test.before(async () => {
+  await initDb();
+  for (const user of Object.values(users)) {
+    run('INSERT INTO users (id, username, password_hash, role) VALUES (?, ?, ?, ?)', [user.id, user.id, 'x', user.role]);
+  }
+  permissions.setUserStores(users.manager.id, ['store-a', 'store-b']);
+  permissions.setUserStores(users.cashier.id, ['store-a', 'store-b']);
+  // The floater has no stores assigned, so is not limited to any
+  saveDb();
+  releaseLock();
+});
+
+test.after(() => {
+  saveDb();
+  releaseLock();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+// Run one requirePermission check; returns { allowed, status, body, req }
+function check(permission, { user, token, headers = {}, store } = {}) {
+  const req = {
+    user, method: 'POST', originalUrl: '/api/sales/s1/returns', params: {}, query: {}, body: {},
+    headers: { ...headers, ...(token ? { 'x-approval-token': token } : {}) }
+  };
+  const result = { allowed: false, status: 200, body: null, req };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; result.status = code; return this; },
+    json(body) { result.body = body; return this; },
+    on() {}
+  };
+  permissions.requirePermission(permission, store ? { store: () => store } : {})(req, res, () => { result.allowed = true; });
+  return result;
+}
+
+function approve(requester, storeId) {
+  const approval = permissions.grantApproval(users.manager, requester, { permission: 'sales:refund', store_id: storeId });
+  assert.ok(approval.token, JSON.stringify(approval));
+  return approval.token;
+}
+
+test('the record\'s store is checked, not the store the request names', () => {
+  const r = check('sales:read', { user: users.cashier, headers: { 'x-store-id': 'store-a' }, store: 'store-c' });
+  assert.equal(r.status, 403);
+  assert.equal(r.body.error, 'No access to store store-c');
+  assert.equal(check('sales:read', { user: users.cashier, store: 'store-a' }).allowed, true);
+  assert.equal(check('sales:read', { user: users.cashier, headers: { 'x-store-id': 'store-c' } }).status, 403);
+});
+
+test('an approval for one store cannot be used on another store\'s record', () => {
+  const token = approve(users.cashier, 'store-a');
+  let r = check('sales:refund', { user: users.cashier, token, store: 'store-b' });
+  assert.equal(r.allowed, false);
+  assert.equal(r.body.approval_required, true);
+  assert.equal(check('sales:refund', { user: users.cashier, token, headers: { 'x-store-id': 'store-a' }, store: 'store-b' }).allowed, false,
+    'naming the approved store does not help');
+  assert.equal(check('sales:refund', { user: users.cashier, token, store: null }).allowed, false, 'nor does a record without a store');
+
+  r = check('sales:refund', { user: users.cashier, token, store: 'store-a' });
+  assert.equal(r.allowed, true);
+  assert.equal(r.req.approval.approved_by, users.manager.id);
+  assert.equal(check('sales:refund', { user: users.cashier, token, store: 'store-a' }).allowed, false, 'approvals are single use');
+});
+
+test('an approval for no store only serves staff who are not limited to stores', () => {
+  const refused = permissions.grantApproval(users.manager, users.cashier, { permission: 'sales:refund' });
+  assert.equal(refused.status, 400);
+  // Granted before approvals had to name a store
+  const legacy = 'legacy-token';
+  run(`INSERT INTO auth_approvals (id, token, permission, requested_by, approved_by, expires_at)
+    VALUES ('a-legacy', ?, 'sales:refund', ?, ?, ?)`, [legacy, users.cashier.id, users.manager.id, new Date(Date.now() + 60000).toISOString()]);
+  assert.equal(check('sales:refund', { user: users.cashier, token: legacy, store: 'store-a' }).allowed, false);
+  assert.equal(check('sales:refund', { user: users.cashier, token: legacy }).allowed, false, 'leaving the store out does not help');
+
+  const token = approve(users.floater, null);
+  assert.equal(check('sales:refund', { user: users.floater, token, store: 'store-a' }).allowed, true);
+  assert.ok(get('SELECT used_at FROM auth_approvals WHERE token = ?', [token]).used_at);
+});
+
+test('approvals are only granted by managers of the store', () => {
+  const elsewhere = permissions.grantApproval(users.manager, users.cashier, { permission: 'sales:refund', store_id: 'store-c' });
+  assert.deepEqual(elsewhere, { error: 'Approver has no access to this store', status: 403 });
+  const byCashier = permissions.grantApproval(users.cashier, users.floater, { permission: 'sales:refund', store_id: 'store-a' });
+  assert.equal(byCashier.status, 403);
+});
@@ -0,0 +1,244 @@
+/**
+ * Storage tests - write-ahead journal, cross-process lock and flush retries.
+ * Two stores on the same file stand in for two services sharing a data directory.
+ * Run: npm test (from lite/shared)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { createStore } = require('../storage');
+
+let SQL;
+let dir;
+
+test.before(async () => {
+  SQL = await initSqlJs();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-storage-'));
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+let seq = 0;
+function dbPath() {
+  return path.join(dir, `test-${++seq}.db`);
+}
+
+function rows(store, sql) {
+  const result = store.current().exec(sql);
+  return result.length ? result[0].values : [];
+}
+
+async function openStore(file, options = {}) {
+  const store = createStore(SQL, file, { label: '[Test DB]', flushDelayMs: 5, maxFlushDelayMs: 20, ...options });
+  await store.open();
+  return store;
+}
+
+function write(store, sql) {
+  store.acquire().run(sql);
+  store.changed();
+}
+
+test('committed writes are replayed from the journal on reopen', async () => {
+  const file = dbPath();
+  const a = await openStore(file);
+  // The first save of a new database writes the whole file; later ones append
+  write(a, 'CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+  a.flush();
+  write(a, "INSERT INTO items (name) VALUES ('first')");
+  a.flush();
+  assert.ok(fs.statSync(file + '-wal').size > 32, 'frames were appended to the journal');
+
+  const b = await openStore(file);
+  assert.deepEqual(rows(b, 'SELECT name FROM items'), [['first']]);
+});
+
+test('another store picks up commits on its next read', async () => {
+  const file = dbPath();
+  const a = await openStore(file);
+  const b = await openStore(file);
+  write(a, 'CREATE TABLE items (name TEXT)');
+  write(a, "INSERT INTO items VALUES ('from a')");
+  a.flush();
+  assert.deepEqual(rows(b, 'SELECT name FROM items'), [['from a']]);
+
+  write(b, "INSERT INTO items VALUES ('from b')");
+  b.flush();
+  assert.deepEqual(rows(a, 'SELECT name FROM items ORDER BY name'), [['from a'], ['from b']]);
+});
+
+test('a held lock fails synchronous writers fast instead of blocking', async () => {
+  const file = dbPath();
+  const a = await openStore(file, { flushDelayMs: 200, maxFlushDelayMs: 200 });
+  const b = await openStore(file);
+  write(a, 'CREATE TABLE items (name TEXT)');
+
+  const started = Date.now();
+  assert.throws(() => b.acquire(), { code: 'SQLITE_BUSY' });
+  assert.ok(Date.now() - started < 50, 'acquire() did not wait');
+  a.flush();
+});
+
+test('acquireAsync waits without blocking the event loop', async () => {
+  const file = dbPath();
+  const a = await openStore(file, { flushDelayMs: 100, maxFlushDelayMs: 100 });
+  const b = await openStore(file);
+  write(a, 'CREATE TABLE items (name TEXT)');
+  write(a, "INSERT INTO items VALUES ('queued')");
+
+  // A blocking wait would hold this timer back until the lock was taken
+  let timerRan = false;
+  setTimeout(() => { timerRan = true; }, 1);
+  const db = await b.acquireAsync();
+  assert.ok(timerRan, 'timers kept running while waiting');
+  // The lock comes with a refreshed database
+  assert.deepEqual(db.exec('SELECT name FROM items')[0].values, [['queued']]);
+  b.release();
+});
+
+test('acquireAsync gives up with SQLITE_BUSY after the timeout', async () => {
+  const file = dbPath();
+  const a = await openStore(file, { flushDelayMs: 1000, maxFlushDelayMs: 1000 });
+  const b = await openStore(file, { lockTimeoutMs: 50 });
+  write(a, 'CREATE TABLE items (name TEXT)');
+  await assert.rejects(b.acquireAsync(), { code: 'SQLITE_BUSY' });
+  a.flush();
+});
+
+test('release() lets go of a lock nothing was written under', async () => {
+  const file = dbPath();
+  const a = await openStore(file);
+  const b = await openStore(file);
+  await a.acquireAsync();
+  assert.ok(fs.existsSync(file + '.lock'));
+  a.release();
+  assert.ok(!fs.existsSync(file + '.lock'));
+  b.acquire();
+  b.release();
+});
+
+test('a failed flush keeps the lock and its pages until a retry succeeds', async () => {
+  const file = dbPath();
+  const a = await openStore(file, { flushRetryMs: 20 });
+  const b = await openStore(file);
+  write(a, 'CREATE TABLE items (name TEXT)');
+  a.flush();
+
+  const openSync = fs.openSync;
+  let failures = 0;
+  fs.openSync = (target, flags, ...rest) => {
+    if (target === file + '-wal' && flags === 'a' && failures < 2) {
+      failures++;
+      const err = new Error('EIO: i/o error, write');
+      err.code = 'EIO';
+      throw err;
+    }
+    return openSync(target, flags, ...rest);
+  };
+  const errorLog = console.error;
+  console.error = () => {};
+  try {
+    write(a, "INSERT INTO items VALUES ('unsaved')");
+    a.flush();
+    assert.equal(failures, 1);
+    // Still locked, so nobody can write on top of the unsaved pages...
+    assert.ok(fs.existsSync(file + '.lock'));
+    assert.throws(() => b.acquire(), { code: 'SQLITE_BUSY' });
+    // ...and the unsaved row is not reloaded away
+    assert.deepEqual(rows(a, 'SELECT name FROM items'), [['unsaved']]);
+
+    const db = await b.acquireAsync();
+    assert.equal(failures, 2, 'the flush was retried until it went through');
+    assert.deepEqual(db.exec('SELECT name FROM items')[0].values, [['unsaved']]);
+    b.release();
+  } finally {
+    fs.openSync = openSync;
+    console.error = errorLog;
+  }
+});
+
+test('a mid-batch flush keeps the lock while its holder still has it', async () => {
+  const file = dbPath();
+  const a = await openStore(file, { maxPendingWrites: 20 });
+  const b = await openStore(file);
+  const hold = Symbol('batch');
+  await a.acquireAsync(hold);
+  write(a, 'CREATE TABLE items (n INTEGER)');
+  for (let n = 0; n < 50; n++) write(a, `INSERT INTO items VALUES (${n})`);
+
+  // Two flushes have gone through, but the batch is not finished
+  assert.deepEqual(rows(b, 'SELECT count(*) FROM items'), [[39]]);
+  assert.ok(fs.existsSync(file + '.lock'));
+  assert.throws(() => b.acquire(), { code: 'SQLITE_BUSY' });
+
+  a.release(hold);
+  assert.ok(fs.existsSync(file + '.lock'), 'unflushed rows keep it until their flush');
+  a.flush();
+  assert.ok(!fs.existsSync(file + '.lock'));
+  assert.deepEqual(rows(b, 'SELECT count(*) FROM items'), [[50]]);
+});
+
+test('the lock stays until every holder has released it', async () => {
+  const file = dbPath();
+  const a = await openStore(file);
+  const request = Symbol('request');
+  const job = Symbol('job');
+  await a.acquireAsync(request);
+  await a.acquireAsync(job);
+  write(a, 'CREATE TABLE items (name TEXT)');
+  a.flush();
+
+  a.release(job);
+  a.release(job);
+  a.release();
+  assert.ok(fs.existsSync(file + '.lock'), 'releasing one holder, twice or without one, leaves the other');
+  a.release(request);
+  assert.ok(!fs.existsSync(file + '.lock'));
+});
+
+test('rolled back transactions are not saved', async () => {
+  const file = dbPath();
+  const a = await openStore(file);
+  write(a, 'CREATE TABLE items (name TEXT)');
+  a.flush();
+
+  a.begin();
+  a.current().run("INSERT INTO items VALUES ('rolled back')");
+  a.changed();
+  a.rollback();
+  a.begin();
+  a.current().run("INSERT INTO items VALUES ('committed')");
+  a.changed();
+  a.commit();
+
+  const b = await openStore(file);
+  assert.deepEqual(rows(b, 'SELECT name FROM items'), [['committed']]);
+});
+
+test('checkpoint folds the journal into the database file', async () => {
+  const file = dbPath();
+  const a = await openStore(file);
+  write(a, 'CREATE TABLE items (name TEXT)');
+  write(a, "INSERT INTO items VALUES ('kept')");
+  a.checkpoint();
+  assert.equal(fs.statSync(file + '-wal').size, 32, 'journal reset to its header');
+
+  fs.unlinkSync(file + '-wal');
+  const b = await openStore(file);
+  assert.deepEqual(rows(b, 'SELECT name FROM items'), [['kept']]);
+});
+
+test('every vertical ships the same storage.js', () => {
+  const root = path.resolve(__dirname, '../../../..');
+  const retail = fs.readFileSync(path.join(__dirname, '..', 'storage.js'), 'utf8');
+  for (const vertical of ['niyam_accounting', 'niyam_ecommerce', 'niyam_hospitality']) {
+    const copy = path.join(root, vertical, 'lite', 'shared', 'storage.js');
+    assert.equal(fs.readFileSync(copy, 'utf8'), retail, `${vertical} storage.js differs from retail`);
+  }
+});
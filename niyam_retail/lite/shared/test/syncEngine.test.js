@@ -0,0 +1,151 @@
+/**
+ * Sync engine tests - incoming changes are applied once and atomically,
+ * concurrent counters add up, and a busy database stops a batch instead of
+ * losing the rest of it.
+ * Run: npm test (from lite/shared)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory, so the shared database starts out empty
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-sync-engine-'));
+process.env.HOME = home;
+process.env.SYNC_NODE_ID = 'node-a';
+
+const { initDb, query, run, get, saveDb, releaseLock, withoutCapture, DB_PATH } = require('../db');
+const sync = require('../syncEngine');
+
+test.before(async () => {
+  await initDb();
+  saveDb();
+  releaseLock();
+});
+
+test.after(() => {
+  saveDb();
+  releaseLock();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+let seq = 0;
+// A change made on node-b, as a peer would send it
+function remote(table_name, record_id, action, data, { version_vector, deltas = null, node_id = 'node-b' } = {}) {
+  seq++;
+  const hlc = `${String(Date.now()).padStart(15, '0')}:${String(seq).padStart(5, '0')}:${node_id}`;
+  return { id: `change-${seq}`, table_name, record_id, action, data, deltas, hlc, node_id, version_vector: version_vector || { [node_id]: seq } };
+}
+
+function capturedFor(recordId) {
+  return query('SELECT action FROM sync_log WHERE record_id = ?', [recordId]).map(c => c.action);
+}
+
+// ============================================
+// Clock & version vectors
+// ============================================
+
+test('version vectors order edits, and the clock never goes back', () => {
+  assert.equal(sync.compareVersionVectors({ a: 2, b: 1 }, { a: 1, b: 1 }), 'after');
+  assert.equal(sync.compareVersionVectors({ a: 1 }, { a: 1, b: 1 }), 'before');
+  assert.equal(sync.compareVersionVectors({ a: 2 }, { b: 1 }), 'concurrent');
+  assert.deepEqual(sync.mergeVersionVectors({ a: 2, b: 1 }, { b: 3 }), { a: 2, b: 3 });
+
+  const later = sync.hlcNow(Date.now() + 60000);
+  assert.ok(sync.hlcNow() > later, 'a slower wall clock still moves forward');
+  assert.ok(sync.hlcReceive(`${String(Date.now() + 120000).padStart(15, '0')}:00000:node-b`) > later);
+});
+
+// ============================================
+// Incoming changes
+// ============================================
+
+test('a remote change is applied once, without being captured again', () => {
+  const captureSeq = get("SELECT value FROM sync_state WHERE key = 'capture_seq'").value;
+  const change = remote('products', 'p-remote', 'insert', { id: 'p-remote', sku: 'R-1', name: 'Remote kettle', price: 150 });
+
+  const result = sync.applyChanges([change]);
+  assert.equal(result.applied, 1);
+  assert.equal(result.last_hlc, change.hlc);
+  assert.equal(get("SELECT name FROM products WHERE id = 'p-remote'").name, 'Remote kettle');
+  assert.equal(get('SELECT outcome FROM sync_applied_changes WHERE change_id = ?', [change.id]).outcome, 'applied');
+  assert.deepEqual(capturedFor('p-remote'), [], 'not logged, so it does not echo back');
+  assert.equal(get("SELECT value FROM sync_state WHERE key = 'capture_seq'").value, captureSeq);
+  assert.equal(get("SELECT 1 AS paused FROM sync_state WHERE key = 'capture_paused'"), null, 'the pause never reaches the database');
+
+  assert.equal(sync.applyChanges([change]).skipped, 1);
+
+  // Local writes are captured as before
+  run("UPDATE products SET price = 160 WHERE id = 'p-remote'");
+  assert.deepEqual(capturedFor('p-remote'), ['update']);
+});
+
+test('concurrent stock changes add up, and a redelivered delta is not added twice', () => {
+  run("INSERT INTO inventory (id, product_id, quantity) VALUES ('inv-1', 'p-remote', 10)");
+  run("UPDATE inventory SET quantity = 15 WHERE id = 'inv-1'");
+  sync.stampCaptured();
+
+  // node-b sold 3 without having seen either local edit
+  const change = remote('inventory', 'inv-1', 'update', { id: 'inv-1', product_id: 'p-remote', quantity: 7 }, { deltas: { quantity: -3 } });
+  let result = sync.applyChanges([change]);
+  assert.equal(result.merged, 1);
+  assert.equal(get("SELECT quantity FROM inventory WHERE id = 'inv-1'").quantity, 12);
+
+  result = sync.applyChanges([change]);
+  assert.equal(result.skipped, 1);
+  assert.equal(get("SELECT quantity FROM inventory WHERE id = 'inv-1'").quantity, 12);
+});
+
+test('a change that fails leaves nothing behind and the batch goes on', () => {
+  const clash = remote('products', 'p-clash', 'insert', { id: 'p-clash', sku: 'R-1', name: 'Same SKU' });
+  const next = remote('products', 'p-next', 'insert', { id: 'p-next', sku: 'R-2', name: 'Next' });
+
+  const result = sync.applyChanges([clash, next]);
+  assert.equal(result.rejected.length, 1);
+  assert.match(result.rejected[0].reason, /UNIQUE/);
+  assert.equal(result.applied, 1);
+  assert.equal(result.stopped, null);
+  assert.equal(result.last_hlc, next.hlc);
+
+  assert.equal(get("SELECT 1 AS found FROM sync_row_versions WHERE record_id = 'p-clash'"), null);
+  assert.equal(get('SELECT 1 AS found FROM sync_applied_changes WHERE change_id = ?', [clash.id]), null);
+});
+
+test('a busy database stops the batch at the change it could not apply', () => {
+  const changes = [1, 2, 3].map(n => remote('products', `p-busy-${n}`, 'insert', { id: `p-busy-${n}`, sku: `B-${n}`, name: `Busy ${n}` }));
+
+  // Another process takes the lock after the first change has been saved
+  const openSync = fs.openSync;
+  let lockAttempts = 0;
+  fs.openSync = (target, flags, ...rest) => {
+    if (target === DB_PATH + '.lock' && flags === 'wx' && ++lockAttempts > 2) {
+      throw Object.assign(new Error('EEXIST: file already exists'), { code: 'EEXIST' });
+    }
+    return openSync(target, flags, ...rest);
+  };
+  let result;
+  try {
+    result = sync.applyChanges(changes);
+  } finally {
+    fs.openSync = openSync;
+  }
+  assert.equal(result.applied, 1);
+  assert.equal(result.stopped.id, changes[1].id);
+  assert.match(result.stopped.reason, /locked/);
+  assert.equal(result.last_hlc, changes[0].hlc, 'a pull cursor stays before the change to retry');
+  assert.deepEqual(result.rejected, []);
+
+  // The same batch again, once the lock is free
+  result = sync.applyChanges(changes);
+  assert.equal(result.skipped, 1);
+  assert.equal(result.applied, 2);
+  assert.equal(query("SELECT id FROM products WHERE id LIKE 'p-busy-%'").length, 3);
+});
+
+test('withoutCapture on its own commits its writes with nothing logged', () => {
+  withoutCapture(() => run("INSERT INTO products (id, sku, name) VALUES ('p-quiet', 'Q-1', 'Quiet')"));
+  assert.ok(get("SELECT 1 AS found FROM products WHERE id = 'p-quiet'"));
+  assert.deepEqual(capturedFor('p-quiet'), []);
+});
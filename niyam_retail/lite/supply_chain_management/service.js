@@ -3,18 +3,26 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const { forecastProduct, METHODS } = require('../shared/demandForecast');
+const { calculateReorderPoint, suggestedOrderQty } = require('../shared/reorderPrediction');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8875;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'supply_chain_management', mode: 'lite' }));
 app.get('/healthz', (req, res) => res.json({ status: 'ok', service: 'supply_chain_management' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+app.use('/supply-chain', permissions.requireResource('inventory'));
+
 // Supply chain overview
 app.get('/supply-chain/overview', (req, res) => {
   try {
@@ -36,29 +44,70 @@ app.get('/supply-chain/overview', (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
-// Demand forecast (simple moving average)
+// Festival / holiday calendar used by the forecasts
+app.get('/supply-chain/forecast/calendar', (req, res) => {
+  try {
+    const events = query('SELECT * FROM forecast_calendar_events ORDER BY start_date');
+    res.json({ success: true, events });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/supply-chain/forecast/calendar', (req, res) => {
+  try {
+    const { name, start_date, end_date, recurring, uplift, category, product_id } = req.body;
+    if (!name || !start_date) return res.status(400).json({ success: false, error: 'name and start_date required' });
+    const end = end_date || start_date;
+    if (!/^\d{4}-\d{2}-\d{2}/.test(start_date) || !/^\d{4}-\d{2}-\d{2}/.test(end)) {
+      return res.status(400).json({ success: false, error: 'Dates must be YYYY-MM-DD' });
+    }
+    if (!recurring && end < start_date) return res.status(400).json({ success: false, error: 'end_date is before start_date' });
+    if (uplift !== undefined && uplift !== null && !(Number(uplift) > 0)) {
+      return res.status(400).json({ success: false, error: 'uplift must be positive (leave empty to learn it from history)' });
+    }
+    const id = uuidv4();
+    run(`INSERT INTO forecast_calendar_events (id, name, start_date, end_date, recurring, uplift, category, product_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, name, start_date.slice(0, 10), end.slice(0, 10), recurring ? 1 : 0, uplift ? Number(uplift) : null, category || null, product_id || null]);
+    res.json({ success: true, event: get('SELECT * FROM forecast_calendar_events WHERE id = ?', [id]) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.delete('/supply-chain/forecast/calendar/:id', (req, res) => {
+  try {
+    run('DELETE FROM forecast_calendar_events WHERE id = ?', [req.params.id]);
+    res.json({ success: true, message: 'Event deleted' });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// Demand forecast from sales history, with the reorder position it implies
 app.get('/supply-chain/forecast/:product_id', (req, res) => {
   try {
-    const { days = 30 } = req.query;
-    // Get historical sales (simplified - would need sales items breakdown)
-    const current = get('SELECT quantity FROM inventory WHERE product_id = ?', [req.params.product_id]);
+    const { days = 30, method, level, history_days, lead_time_days, service_level } = req.query;
+    if (method && method !== 'auto' && !METHODS.includes(method)) {
+      return res.status(400).json({ success: false, error: `method must be auto or one of ${METHODS.join(', ')}` });
+    }
     const product = get('SELECT * FROM products WHERE id = ?', [req.params.product_id]);
-    
-    // Simple forecast based on current stock and reorder point
-    const currentQty = current?.quantity || 0;
-    const minQty = current?.min_quantity || 10;
-    const daysOfStock = minQty > 0 ? Math.floor(currentQty / (minQty / 7)) : 999;
-    const shouldReorder = currentQty <= minQty;
-    
+    if (!product) return res.status(404).json({ success: false, error: 'Product not found' });
+
+    const forecast = forecastProduct(product.id, {
+      horizon: parseInt(days), method, level: level ? parseFloat(level) : undefined, history_days
+    });
+    const reorderOptions = {
+      leadTimeDays: parseInt(lead_time_days) || undefined,
+      serviceLevel: service_level ? parseFloat(service_level) : undefined
+    };
+    const reorder = calculateReorderPoint(product.id, reorderOptions);
+
     res.json({
       success: true,
-      product: product?.name,
+      product: product.name,
       forecast: {
-        current_stock: currentQty,
-        min_stock: minQty,
-        days_of_stock: daysOfStock,
-        should_reorder: shouldReorder,
-        suggested_order_qty: shouldReorder ? minQty * 2 : 0
+        ...forecast,
+        current_stock: reorder.currentQty ?? 0,
+        reorder_point: reorder.reorderPoint ?? null,
+        safety_stock: reorder.safetyStock ?? 0,
+        days_of_stock: forecast.average_daily > 0 ? Math.floor((reorder.currentQty || 0) / forecast.average_daily) : null,
+        should_reorder: reorder.reliable ? reorder.shouldReorder : (reorder.currentQty ?? 0) <= (reorder.minQuantity || 0),
+        suggested_order_qty: suggestedOrderQty(reorder)
       }
     });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
@@ -1,67 +1,110 @@
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get, saveDb, DB_PATH } = require('../shared/db');
+const { initDb, query, run, get, saveDb, checkpoint, replaceDb, lockDb, releaseLock, DB_PATH, writeLock } = require('../shared/db');
+const syncEngine = require('../shared/syncEngine');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8885;
+const SYNC_INTERVAL_MS = parseInt(process.env.SYNC_INTERVAL_MS, 10) || 0; // 0 = only sync when asked
+const PULL_BATCH = 500;
+const SYNC_KEY = process.env.SYNC_KEY || ''; // Shared by every peer; lets them pull and push without a user session
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
-// Add sync tracking table
+// Sync tables, default policies and change capture all come with the shared schema
 const initSync = async () => {
   const db = await initDb();
-  run(`CREATE TABLE IF NOT EXISTS sync_log (
-    id TEXT PRIMARY KEY,
-    table_name TEXT NOT NULL,
-    record_id TEXT NOT NULL,
-    action TEXT NOT NULL,
-    data TEXT,
-    synced INTEGER DEFAULT 0,
-    synced_at TEXT,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP
-  )`);
+  syncEngine.stampCaptured();
+  console.log(`[Sync Lite] Node ${syncEngine.getNodeId()}`);
   return db;
 };
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'sync', mode: 'lite' }));
 app.get('/healthz', (req, res) => res.json({ status: 'ok', service: 'sync' }));
 
+// ============================================
+// PERMISSIONS (shared/permissions.js)
+// ============================================
+// Export and import carry the whole database, users and roles included, and
+// pushed changes write straight into it, so every sync route needs
+// system:manage. Peers pulling or pushing changes show SYNC_KEY instead.
+
+function fromPeer(req) {
+  const key = req.headers['x-sync-key'];
+  if (!SYNC_KEY || typeof key !== 'string' || !['/changes', '/push'].includes(req.path)) return false;
+  const given = Buffer.from(key);
+  const expected = Buffer.from(SYNC_KEY);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+app.use(permissions.authenticate);
+app.use('/sync', permissions.requirePermission('system:manage', { when: req => !fromPeer(req) }));
+
+// Run fn under the write lock, held until it returns. GET routes
+// that stamp captured changes write too, so they take it here rather than
+// failing with SQLITE_BUSY when another process is writing
+async function withLock(fn) {
+  const hold = await lockDb();
+  try {
+    return fn();
+  } finally {
+    releaseLock(hold);
+  }
+}
+
 // Get sync status
-app.get('/sync/status', (req, res) => {
+app.get('/sync/status', async (req, res) => {
   try {
+    await withLock(syncEngine.stampCaptured);
     const pending = get('SELECT COUNT(*) as count FROM sync_log WHERE synced = 0');
     const lastSync = get('SELECT MAX(synced_at) as last_sync FROM sync_log WHERE synced = 1');
     const byTable = query('SELECT table_name, COUNT(*) as pending FROM sync_log WHERE synced = 0 GROUP BY table_name');
+    const sequence = get('SELECT MAX(seq) as seq FROM sync_log');
+    const conflicts = get("SELECT COUNT(*) as count FROM sync_conflicts WHERE status = 'open'");
     
     res.json({
       success: true,
       status: {
+        node_id: syncEngine.getNodeId(),
         pending_changes: pending?.count || 0,
         last_sync: lastSync?.last_sync,
-        by_table: byTable
+        last_seq: sequence?.seq || 0,
+        by_table: byTable,
+        open_conflicts: conflicts?.count || 0,
+        peers: query('SELECT id, name, url, node_id, last_sync_at, last_error FROM sync_peers ORDER BY created_at')
       }
     });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  } catch (err) { res.status(err.code === 'SQLITE_BUSY' ? 503 : 500).json({ success: false, error: err.message }); }
 });
 
-// Get pending changes
-app.get('/sync/pending', (req, res) => {
+function mapLogEntry(c) {
+  const parse = v => (v ? JSON.parse(v) : null);
+  return { ...c, data: parse(c.data), before_data: parse(c.before_data), deltas: parse(c.deltas), version_vector: parse(c.version_vector) };
+}
+
+// Get pending changes, in capture order; since=<seq> reads on from a known sequence number
+app.get('/sync/pending', async (req, res) => {
   try {
-    const { table_name, limit = 100 } = req.query;
+    const { table_name, since, limit = 100 } = req.query;
+    await withLock(syncEngine.stampCaptured);
     let sql = 'SELECT * FROM sync_log WHERE synced = 0';
     const params = [];
     if (table_name) { sql += ' AND table_name = ?'; params.push(table_name); }
-    sql += ' ORDER BY created_at LIMIT ?';
+    if (since) { sql += ' AND seq > ?'; params.push(parseInt(since)); }
+    sql += ' ORDER BY seq IS NULL, seq, created_at LIMIT ?';
     params.push(parseInt(limit));
     
     const changes = query(sql, params);
-    res.json({ success: true, changes: changes.map(c => ({ ...c, data: c.data ? JSON.parse(c.data) : null })) });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+    res.json({ success: true, changes: changes.map(mapLogEntry) });
+  } catch (err) { res.status(err.code === 'SQLITE_BUSY' ? 503 : 500).json({ success: false, error: err.message }); }
 });
 
 // Mark changes as synced
@@ -79,42 +122,178 @@ app.post('/sync/mark-synced', (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
-// Push changes (from another instance)
+// Changes made on this node after an HLC cursor, for peers to pull.
+// Stamping captured changes writes, so this read waits for the lock too.
+app.get('/sync/changes', async (req, res) => {
+  try {
+    const { since, limit = PULL_BATCH } = req.query;
+    const body = await withLock(() => ({ node_id: syncEngine.getNodeId(), hlc: syncEngine.hlcNow(), changes: syncEngine.changesSince(since, limit) }));
+    res.json({ success: true, ...body });
+  } catch (err) { res.status(err.code === 'SQLITE_BUSY' ? 503 : 500).json({ success: false, error: err.message }); }
+});
+
+// Push changes (from another instance). Only allow-listed tables are touched;
+// concurrent edits are merged by the table's conflict policy.
 app.post('/sync/push', (req, res) => {
   try {
     const { changes } = req.body;
     if (!changes || !Array.isArray(changes)) return res.status(400).json({ success: false, error: 'changes array required' });
-    
-    let applied = 0;
-    for (const change of changes) {
-      // Apply change based on table and action
-      // This is simplified - real implementation would need proper conflict resolution
-      if (change.action === 'insert' && change.data) {
-        // Try to insert, ignore if exists
-        try {
-          const columns = Object.keys(change.data).join(', ');
-          const placeholders = Object.keys(change.data).map(() => '?').join(', ');
-          run(`INSERT OR REPLACE INTO ${change.table_name} (${columns}) VALUES (${placeholders})`, Object.values(change.data));
-          applied++;
-        } catch (e) { /* ignore conflicts */ }
-      } else if (change.action === 'update' && change.data && change.record_id) {
-        const sets = Object.keys(change.data).map(k => `${k} = ?`).join(', ');
-        run(`UPDATE ${change.table_name} SET ${sets} WHERE id = ?`, [...Object.values(change.data), change.record_id]);
-        applied++;
-      } else if (change.action === 'delete' && change.record_id) {
-        run(`DELETE FROM ${change.table_name} WHERE id = ?`, [change.record_id]);
-        applied++;
-      }
-    }
-    
+
+    const result = syncEngine.applyChanges(changes);
     saveDb();
-    res.json({ success: true, applied });
+    // The pusher keeps the batch and sends it again; what was applied is skipped then
+    if (result.stopped) return res.status(503).json({ success: false, error: `Stopped at change ${result.stopped.id}: ${result.stopped.reason}`, ...result });
+    res.json({ success: true, node_id: syncEngine.getNodeId(), hlc: syncEngine.hlcNow(), ...result });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// ============================================
+// PEERS - other installations this node syncs with
+// ============================================
+// Pull and push carry only changes made on each node itself, so every
+// installation should list every other one as a peer.
+
+async function peerRequest(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(SYNC_KEY ? { 'X-Sync-Key': SYNC_KEY } : {}) },
+    signal: AbortSignal.timeout(30000)
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || body.success === false) throw new Error(body.error || `Peer responded ${response.status}`);
+  return body;
+}
+
+// Writes after each request to the peer wait for the write lock first
+async function syncWithPeer(peer) {
+  const base = peer.url.replace(/\/+$/, '');
+  const summary = { pulled: 0, pushed: 0, applied: 0, merged: 0, skipped: 0, conflicts: 0, rejected: [] };
+  let peerNode = peer.node_id;
+  try {
+    // Pull everything the peer has made since last time
+    let cursor = peer.last_pulled_hlc || '';
+    for (;;) {
+      const batch = await peerRequest(`${base}/sync/changes?since=${encodeURIComponent(cursor)}&limit=${PULL_BATCH}`);
+      peerNode = batch.node_id || peerNode;
+      if (!batch.changes.length) break;
+      const result = await withLock(() => {
+        const applied = syncEngine.applyChanges(batch.changes);
+        summary.pulled += applied.results.length;
+        for (const key of ['applied', 'merged', 'skipped', 'conflicts']) summary[key] += applied[key];
+        summary.rejected.push(...applied.rejected);
+        // Never past a change that is still to be retried
+        cursor = applied.last_hlc || cursor;
+        run('UPDATE sync_peers SET last_pulled_hlc = ?, node_id = ? WHERE id = ?', [cursor, peerNode || null, peer.id]);
+        return applied;
+      });
+      if (result.stopped) throw new Error(`Stopped at change ${result.stopped.id}: ${result.stopped.reason}`);
+      if (batch.changes.length < PULL_BATCH) break;
+    }
+
+    // Push what this node made since the peer last took it
+    let pushed = peer.last_pushed_hlc || '';
+    for (;;) {
+      const changes = syncEngine.changesSince(pushed, PULL_BATCH);
+      if (!changes.length) break;
+      await peerRequest(`${base}/sync/push`, { method: 'POST', body: JSON.stringify({ node_id: syncEngine.getNodeId(), changes }) });
+      await withLock(() => {
+        pushed = changes[changes.length - 1].hlc;
+        summary.pushed += changes.length;
+        const syncedAt = new Date().toISOString();
+        for (const change of changes) run('UPDATE sync_log SET synced = 1, synced_at = ? WHERE id = ?', [syncedAt, change.id]);
+        run('UPDATE sync_peers SET last_pushed_hlc = ? WHERE id = ?', [pushed, peer.id]);
+      });
+      if (changes.length < PULL_BATCH) break;
+    }
+
+    await withLock(() => run('UPDATE sync_peers SET last_sync_at = ?, last_error = NULL WHERE id = ?', [new Date().toISOString(), peer.id]));
+    return summary;
+  } catch (err) {
+    await withLock(() => run('UPDATE sync_peers SET last_error = ? WHERE id = ?', [err.message, peer.id]));
+    throw err;
+  }
+}
+
+app.get('/sync/peers', (req, res) => {
+  try {
+    res.json({ success: true, peers: query('SELECT * FROM sync_peers ORDER BY created_at') });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/sync/peers', (req, res) => {
+  try {
+    const { url, name } = req.body;
+    if (!url || !/^https?:\/\//.test(url)) return res.status(400).json({ success: false, error: 'http(s) url required' });
+    if (get('SELECT id FROM sync_peers WHERE url = ?', [url])) return res.status(400).json({ success: false, error: 'Peer already added' });
+    const id = uuidv4();
+    run('INSERT INTO sync_peers (id, name, url) VALUES (?, ?, ?)', [id, name || url, url]);
+    res.json({ success: true, peer: get('SELECT * FROM sync_peers WHERE id = ?', [id]) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.delete('/sync/peers/:id', (req, res) => {
+  try {
+    run('DELETE FROM sync_peers WHERE id = ?', [req.params.id]);
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/sync/peers/:id/run', async (req, res) => {
+  try {
+    const peer = get('SELECT * FROM sync_peers WHERE id = ?', [req.params.id]);
+    if (!peer) return res.status(404).json({ success: false, error: 'Peer not found' });
+    const result = await syncWithPeer(peer);
+    res.json({ success: true, peer_id: peer.id, ...result });
+  } catch (err) { res.status(502).json({ success: false, error: err.message }); }
+});
+
+// ============================================
+// POLICIES - which tables replicate and how conflicts merge
+// ============================================
+
+app.get('/sync/policies', (req, res) => {
+  try {
+    res.json({ success: true, policies: syncEngine.getPolicies(), available_policies: syncEngine.CONFLICT_POLICIES });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.put('/sync/policies/:table', (req, res) => {
+  try {
+    res.json({ success: true, policy: syncEngine.setPolicy(req.params.table, req.body) });
+  } catch (err) { res.status(400).json({ success: false, error: err.message }); }
+});
+
+// ============================================
+// CONFLICTS - concurrent edits waiting for review
+// ============================================
+
+app.get('/sync/conflicts', (req, res) => {
+  try {
+    const { status, table_name, limit } = req.query;
+    res.json({ success: true, conflicts: syncEngine.listConflicts({ status, table_name, limit }) });
+  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+app.post('/sync/conflicts/:id/resolve', (req, res) => {
+  try {
+    const conflict = syncEngine.resolveConflict(req.params.id, req.body);
+    res.json({ success: true, conflict });
+  } catch (err) { res.status(err.status || 500).json({ success: false, error: err.message }); }
+});
+
 // Export database
-app.get('/sync/export', (req, res) => {
+// since=<seq> exports only the changes captured after that sequence number, as JSON
+app.get('/sync/export', async (req, res) => {
+  let hold;
   try {
+    if (req.query.since !== undefined) {
+      await withLock(syncEngine.stampCaptured);
+      const changes = query('SELECT * FROM sync_log WHERE seq > ? ORDER BY seq LIMIT ?',
+        [parseInt(req.query.since) || 0, parseInt(req.query.limit) || 1000]).map(mapLogEntry);
+      return res.json({ success: true, node_id: syncEngine.getNodeId(), last_seq: changes.length ? changes[changes.length - 1].seq : parseInt(req.query.since) || 0, changes });
+    }
+    hold = await lockDb();
+    checkpoint();
     if (fs.existsSync(DB_PATH)) {
       res.setHeader('Content-Type', 'application/octet-stream');
       res.setHeader('Content-Disposition', 'attachment; filename=retail.db');
@@ -122,7 +301,11 @@ app.get('/sync/export', (req, res) => {
     } else {
       res.status(404).json({ success: false, error: 'Database not found' });
     }
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  } catch (err) {
+    res.status(err.code === 'SQLITE_BUSY' ? 503 : 500).json({ success: false, error: err.message });
+  } finally {
+    if (hold) releaseLock(hold);
+  }
 });
 
 // Import database
@@ -132,10 +315,9 @@ app.post('/sync/import', (req, res) => {
     if (!data) return res.status(400).json({ success: false, error: 'data required' });
     
     const buffer = Buffer.from(data, 'base64');
-    fs.writeFileSync(DB_PATH + '.backup', fs.readFileSync(DB_PATH)); // Backup
-    fs.writeFileSync(DB_PATH, buffer);
+    replaceDb(buffer); // Keeps the previous file as retail.db.backup
     
-    res.json({ success: true, message: 'Database imported. Restart required.' });
+    res.json({ success: true, message: 'Database imported' });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
@@ -158,4 +340,21 @@ app.get('*', (req, res) => {
   else res.json({ service: 'sync', mode: 'lite', status: 'running' });
 });
 
-initSync().then(() => app.listen(PORT, () => console.log(`[Sync Lite] Running on http://localhost:${PORT}`))).catch(e => { console.error(e); process.exit(1); });
+let syncingPeers = false;
+
+async function syncAllPeers() {
+  if (syncingPeers) return;
+  syncingPeers = true;
+  try {
+    for (const peer of query('SELECT * FROM sync_peers WHERE enabled = 1')) {
+      await syncWithPeer(peer).catch(err => console.error(`[Sync Lite] ${peer.name}: ${err.message}`));
+    }
+  } finally {
+    syncingPeers = false;
+  }
+}
+
+initSync().then(() => {
+  if (SYNC_INTERVAL_MS) setInterval(syncAllPeers, SYNC_INTERVAL_MS).unref();
+  app.listen(PORT, () => console.log(`[Sync Lite] Running on http://localhost:${PORT}`));
+}).catch(e => { console.error(e); process.exit(1); });
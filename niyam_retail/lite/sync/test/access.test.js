@@ -0,0 +1,90 @@
+/**
+ * Access tests - every sync route needs system:manage once users exist;
+ * peers pull and push changes with SYNC_KEY instead.
+ * Run: npm test (from sync)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory, so the shared database starts out empty
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'niyam-sync-'));
+process.env.HOME = home;
+
+const { initDb, run, saveDb, releaseLock } = require('../../shared/db');
+const { createSession } = require('../../shared/auth');
+
+const SYNC_KEY = 'peer-secret';
+const tokens = {};
+let service;
+let base;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function call(method, url, headers = {}) {
+  const res = await fetch(base + url, { method, headers: { 'content-type': 'application/json', ...headers } });
+  return { status: res.status, body: await res.json() };
+}
+
+function as(user) {
+  return { authorization: `Bearer ${tokens[user]}` };
+}
+
+test.before(async () => {
+  await initDb();
+  for (const [id, role] of [['u-admin', 'admin'], ['u-cashier', 'cashier']]) {
+    run('INSERT INTO users (id, username, password_hash, role) VALUES (?, ?, ?, ?)', [id, id, 'x', role]);
+    tokens[role] = createSession({ id }).token;
+  }
+  saveDb();
+  releaseLock();
+
+  const port = await freePort();
+  const env = { ...process.env, HOME: home, PORT: String(port), SYNC_KEY };
+  delete env.SKIP_AUTH;
+  service = spawn(process.execPath, [path.join(__dirname, '..', 'service.js')], { env, stdio: 'ignore' });
+  base = `http://127.0.0.1:${port}`;
+  for (let i = 0; ; i++) {
+    try {
+      if ((await fetch(base + '/health')).ok) break;
+    } catch (e) {
+      if (i > 150) throw new Error('sync did not start');
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+});
+
+test.after(() => {
+  if (service) service.kill();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('export and import need a signed-in administrator', async () => {
+  assert.equal((await call('GET', '/sync/export')).status, 401);
+  assert.equal((await call('POST', '/sync/import')).status, 401);
+  let r = await call('POST', '/sync/import', as('cashier'));
+  assert.equal(r.status, 403);
+  assert.equal(r.body.permission, 'system:manage');
+  assert.equal((await call('GET', '/sync/status', as('cashier'))).status, 403);
+  assert.equal((await call('GET', '/sync/status', as('admin'))).status, 200);
+});
+
+test('the sync key only opens pulling and pushing changes', async () => {
+  assert.equal((await call('GET', '/sync/changes')).status, 401);
+  assert.equal((await call('GET', '/sync/changes', { 'x-sync-key': 'wrong' })).status, 401);
+  assert.equal((await call('GET', '/sync/changes', { 'x-sync-key': SYNC_KEY })).status, 200);
+  assert.equal((await call('GET', '/sync/export', { 'x-sync-key': SYNC_KEY })).status, 401);
+  assert.equal((await call('POST', '/sync/import', { 'x-sync-key': SYNC_KEY })).status, 401);
+});
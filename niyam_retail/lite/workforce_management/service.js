@@ -3,18 +3,26 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { initDb, query, run, get } = require('../shared/db');
+const { initDb, query, run, get, writeLock } = require('../shared/db');
+const permissions = require('../shared/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 8850;
 app.use(cors());
 app.use(express.json());
+app.use(writeLock);
 const uiPath = path.join(__dirname, 'ui', 'dist');
 if (fs.existsSync(uiPath)) app.use(express.static(uiPath));
 
 app.get('/health', (req, res) => res.json({ status: 'ok', service: 'workforce_management', mode: 'lite' }));
 app.get('/healthz', (req, res) => res.json({ status: 'ok', service: 'workforce_management' }));
 
+// Permissions (shared/permissions.js)
+app.use(permissions.authenticate);
+// Clocking in and out is done at the register
+app.use('/time-clock', permissions.requireResource('register'));
+app.use(['/employees', '/shifts', '/leave-requests', '/commissions'], permissions.requireResource('staff'));
+
 // === EMPLOYEES ===
 app.get('/employees', (req, res) => {
   try {